@@ -3,13 +3,101 @@
  * 拡張機能の設定管理とメッセージ処理
  */
 
+// 依存するファイルを読み込む（後のファイルは先のファイルが宣言したクラスを参照する）
+importScripts(
+  "infrastructure/logger.js",
+  "infrastructure/error-handler.js",
+  "infrastructure/message-bus.js",
+  "infrastructure/auto-enable-schedule.js",
+  "infrastructure/auto-enable-scheduler.js",
+  "infrastructure/state-store.js",
+  "tab-state-manager.js"
+);
+// ブラウザのコマンドの定義
+importScripts(
+  "keyboard-shortcut-manager.js",
+  "infrastructure/browser-command-router.js"
+);
+// 設定の管理（設定のスキーマと移行、設定項目ごとのキーで保存する chrome.storage.sync）
+importScripts(
+  "infrastructure/overlay-effects.js",
+  "infrastructure/selector-pack.js",
+  "infrastructure/overlay-regions.js",
+  "infrastructure/overlay-reveal.js",
+  "infrastructure/live-chat.js",
+  "infrastructure/opacity-presets.js",
+  "infrastructure/on-screen-display.js",
+  "infrastructure/storage-adapter.js",
+  "infrastructure/settings-manager.js",
+  "infrastructure/sync-settings-storage.js",
+  "infrastructure/migration-scripts.js"
+);
+// 埋め込みモードのコンテンツスクリプトの定義
+importScripts("infrastructure/embed-mode.js");
+
 // デフォルト設定
 const DEFAULT_SETTINGS = {
   theaterModeEnabled: false,
   opacity: 0.7,
+  overlayEffects: {
+    opacity: 0.7,
+    blur: 0,
+    grayscale: 0,
+    brightness: 1,
+  },
+  opacityPresets: [],
+  overlayRegionLevels: {
+    masthead: "default",
+    metadata: "default",
+    comments: "default",
+    sidebar: "default",
+    chat: "default",
+  },
+  revealSettings: {
+    enabled: false,
+    revealDelay: 300,
+    hideDelay: 1000,
+  },
+  shortsActionRailVisible: true,
+  liveChatProfile: {
+    enabled: false,
+    chatOpacity: 0.5,
+    keepPinned: true,
+    keepSuperChats: true,
+  },
+  embedModeEnabled: false,
   keyboardShortcut: "t",
+  shortcuts: {},
+  shortcutSequenceTimeout: 1000,
+  osdHideDelay: 1500,
   lastUsed: null,
-  version: "1.0.0",
+  channelProfiles: {},
+  customSelectorRules: [],
+  overlayMode: "fade",
+  theme: "auto",
+  autoEnable: false,
+  autoEnablePageTypes: {
+    video: true,
+    shorts: false,
+    live: true,
+    premiere: true,
+    playlist: true,
+  },
+  autoEnableSchedule: [],
+  playerStateAutoDim: {
+    enableOnPlay: false,
+    enableOnPlayDelay: 0,
+    lightenOnPause: false,
+    pauseOpacity: 0.9,
+    lightenOnPauseDelay: 1000,
+    disableOnEnd: false,
+    disableOnEndDelay: 3000,
+  },
+  ambientSettings: {
+    sampleInterval: 500,
+    saturation: 1.2,
+  },
+  version: CURRENT_SETTINGS_VERSION,
 };
 
 // ログレベル設定
@@ -36,9 +124,45 @@ class BackgroundService {
       error: (message, ...args) => this.log(LOG_LEVELS.ERROR, message, ...args),
     };
 
+    // ブラウザのコマンドの送信先にするアクティブな YouTube タブの追跡
+    // （タブの状態はコンテンツスクリプトが管理するため、タブには送信しない）
+    this.tabStateManager = new TabStateManager({
+      stateStore: new StateStore({ logger: this.logger }),
+      logger: this.logger,
+      syncTabs: false,
+    });
+
+    // チャンネルプロファイルなどの検証して保存する設定の管理
+    this.syncSettingsStorage = new SyncSettingsStorage({
+      storage: chrome.storage.sync,
+    });
+    this.settingsManager = new SettingsManager({
+      storageAdapter: this.syncSettingsStorage,
+      initialSettings: DEFAULT_SETTINGS,
+      logger: this.logger,
+    });
+
+    this.scheduler = new AutoEnableScheduler({
+      logger: this.logger,
+      getSettings: () => this.getSettings(),
+      saveSettings: (settings) => this.saveSettings(settings),
+      sendToYouTubeTabs: (type, data) => this.sendToYouTubeTabs(type, data),
+      storage: chrome.storage.local,
+      alarms: chrome.alarms,
+    });
+
+    this.commandRouter = new BrowserCommandRouter({
+      logger: this.logger,
+      tabStateManager: this.tabStateManager,
+      sendToTab: (tabId, type, data) => this.sendToTab(tabId, type, data),
+    });
+
     this.initializeExtension();
     this.setupMessageListeners();
     this.setupTabListeners();
+    this.setupPermissionListeners();
+    this.setupScheduleListeners();
+    this.setupCommandListeners();
 
     this.logger.info("BackgroundService initialized");
   }
@@ -75,6 +199,9 @@ class BackgroundService {
         this.logger.info("Default settings initialized");
       }
 
+      await this.syncEmbedContentScripts();
+      await this.scheduler.evaluate();
+
       this.logger.info("Extension initialized successfully");
     } catch (error) {
       this.logger.error("Failed to initialize extension", error);
@@ -113,6 +240,51 @@ class BackgroundService {
     });
   }
 
+  /**
+   * 権限のリスナーを設定
+   */
+  setupPermissionListeners() {
+    // 拡張機能の管理画面でホスト権限を取り消された場合も登録を解除する
+    chrome.permissions.onRemoved.addListener(() => {
+      this.syncEmbedContentScripts();
+    });
+  }
+
+  /**
+   * 自動有効化スケジュールのリスナーを設定
+   * サービスワーカーが停止していても、次の切り替え時刻のアラームで起動して評価する
+   */
+  setupScheduleListeners() {
+    chrome.alarms.onAlarm.addListener((alarm) => {
+      this.scheduler.handleAlarm(alarm);
+    });
+
+    // ポップアップやオプションページで自動有効化の設定が変更された場合
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      // 他の画面で保存された設定を上書きしないよう、次の保存では読み込み直す
+      if (areaName === "sync") {
+        this.settingsManager.clearCache();
+      }
+
+      if (
+        areaName === "sync" &&
+        (changes.autoEnable || changes.autoEnableSchedule)
+      ) {
+        this.scheduler.evaluate();
+      }
+    });
+  }
+
+  /**
+   * ブラウザのコマンド（manifest.json の commands）のリスナーを設定
+   * キーボードショートカットのコマンドでサービスワーカーが起動した場合も受け取る
+   */
+  setupCommandListeners() {
+    chrome.commands.onCommand.addListener((command) => {
+      this.commandRouter.handleCommand(command);
+    });
+  }
+
   /**
    * メッセージを処理
    * @param {Object} message - 受信メッセージ
@@ -142,6 +314,32 @@ class BackgroundService {
           sendResponse(toggleResult);
           break;
 
+        case "saveChannelProfile":
+          const saveProfileResult = await this.saveChannelProfile(
+            message.channelId,
+            message.profile,
+            message.aliases
+          );
+          sendResponse(saveProfileResult);
+          break;
+
+        case "removeChannelProfile":
+          const removeProfileResult = await this.removeChannelProfile(
+            message.channelId,
+            message.aliases
+          );
+          sendResponse(removeProfileResult);
+          break;
+
+        case "getScheduleState":
+          const scheduleResult = await this.scheduler.getActiveState();
+          sendResponse(
+            scheduleResult.isSuccess()
+              ? { success: true, ...scheduleResult.data }
+              : { success: false, error: scheduleResult.error.message }
+          );
+          break;
+
         case "relayMessageToTab":
           const relayResult = await this.relayMessageToTab(
             message.tabId,
@@ -150,6 +348,11 @@ class BackgroundService {
           sendResponse(relayResult);
           break;
 
+        case "updateEmbedMode":
+          const embedResult = await this.syncEmbedContentScripts();
+          sendResponse(embedResult);
+          break;
+
         default:
           this.logger.warn("Unknown message action", message.action);
           sendResponse({ success: false, error: "Unknown action" });
@@ -192,6 +395,49 @@ class BackgroundService {
     }
   }
 
+  /**
+   * 保存された設定を MigrationScripts で現在のバージョンに移行
+   * 設定項目ごとのキーの設定を 1 つの設定としてメモリーのストレージで移行し、
+   * 新しい設定項目をデフォルト値で補って、変わった設定項目だけを書き込む
+   * @returns {Promise<Result<Object>>} 移行結果
+   */
+  async migrateSettings() {
+    const stored = await this.syncSettingsStorage.get("settings");
+    if (stored.isFailure()) {
+      return stored;
+    }
+
+    // バージョンのない設定は 1.0.0 として扱う（1.1.0 の構造として移行される）
+    const storageAdapter = new StorageAdapter({
+      namespace: "settingsMigration",
+      preferredType: StorageType.MEMORY,
+      fallbackTypes: [],
+    });
+    await storageAdapter.set("settings", { version: "1.0.0", ...stored.data });
+
+    const migrationScripts = new MigrationScripts({
+      storageAdapter,
+      logger: this.logger,
+      createBackup: false,
+    });
+    const migration = await migrationScripts.migrate();
+    if (migration.isFailure()) {
+      return migration;
+    }
+
+    const migrated = await storageAdapter.get("settings");
+    const saved = await this.syncSettingsStorage.set("settings", {
+      ...DEFAULT_SETTINGS,
+      ...migrated.data,
+    });
+    if (saved.isFailure()) {
+      return saved;
+    }
+
+    this.settingsManager.clearCache();
+    return migration;
+  }
+
   /**
    * シアターモード切り替えを処理
    * @param {Object} message - メッセージ
@@ -230,6 +476,135 @@ class BackgroundService {
     }
   }
 
+  /**
+   * チャンネルプロファイルを保存（検証と保存は SettingsManager で行う）
+   * @param {string} channelId - チャンネルID
+   * @param {Object} profile - プロファイル（theaterModeEnabled, opacity, name）
+   * @param {Array<string>} [aliases=[]] - 同じチャンネルの別の形式のID
+   * @returns {Promise<Object>} 処理結果
+   */
+  async saveChannelProfile(channelId, profile, aliases = []) {
+    const result = await this.settingsManager.saveChannelProfile(
+      channelId,
+      profile,
+      aliases
+    );
+    return this.createChannelProfileResponse(
+      result,
+      `Channel profile saved: ${channelId}`
+    );
+  }
+
+  /**
+   * チャンネルプロファイルを削除
+   * @param {string} channelId - チャンネルID
+   * @param {Array<string>} [aliases=[]] - 同じチャンネルの別の形式のID
+   * @returns {Promise<Object>} 処理結果
+   */
+  async removeChannelProfile(channelId, aliases = []) {
+    const result = await this.settingsManager.removeChannelProfile(
+      channelId,
+      aliases
+    );
+    return this.createChannelProfileResponse(
+      result,
+      `Channel profile removed: ${channelId}`
+    );
+  }
+
+  /**
+   * チャンネルプロファイルの変更結果からポップアップへの応答を作成
+   * @param {Result} result - SettingsManager の処理結果
+   * @param {string} message - 成功時のログメッセージ
+   * @returns {Promise<Object>} 処理結果 { success, channelProfiles }
+   *   （失敗時は { success, error, errorType }、容量超過は errorType: QUOTA_EXCEEDED_ERROR）
+   */
+  async createChannelProfileResponse(result, message) {
+    if (result.isFailure()) {
+      this.logger.error("Failed to update channel profiles", result.error);
+      return {
+        success: false,
+        error: result.error.message,
+        errorType: result.error.type,
+      };
+    }
+
+    this.logger.info(message);
+    const profiles = await this.settingsManager.getSetting("channelProfiles");
+    return {
+      success: true,
+      channelProfiles: profiles.isSuccess() ? profiles.data : {},
+    };
+  }
+
+  /**
+   * 埋め込みモードのコンテンツスクリプトの登録を設定と権限に合わせる
+   * 拡張機能の更新で定義が変わることがあるため、登録済みのものは一度解除してから登録し直す
+   * @returns {Promise<Object>} 処理結果
+   */
+  async syncEmbedContentScripts() {
+    try {
+      const settings = await this.getSettings();
+      const granted = await chrome.permissions.contains({
+        origins: EMBED_PERMISSION_ORIGINS,
+      });
+      const enabled = Boolean(settings.embedModeEnabled) && granted;
+
+      const registered = await chrome.scripting.getRegisteredContentScripts({
+        ids: EMBED_CONTENT_SCRIPTS.map(({ id }) => id),
+      });
+      if (registered.length > 0) {
+        await chrome.scripting.unregisterContentScripts({
+          ids: registered.map(({ id }) => id),
+        });
+      }
+
+      if (enabled) {
+        await chrome.scripting.registerContentScripts(EMBED_CONTENT_SCRIPTS);
+      }
+
+      this.logger.info(`Embed mode ${enabled ? "enabled" : "disabled"}`);
+      return { success: true, enabled };
+    } catch (error) {
+      this.logger.error("Failed to update embed mode", error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * 開いている全ての YouTube タブにメッセージを送信
+   * @param {string} type - メッセージタイプ
+   * @param {Object} data - メッセージデータ
+   * @returns {Promise<void>}
+   */
+  async sendToYouTubeTabs(type, data) {
+    const tabs = await chrome.tabs.query({ url: "*://*.youtube.com/*" });
+
+    await Promise.all(
+      tabs.map((tab) =>
+        this.sendToTab(tab.id, type, data).catch((error) => {
+          // コンテンツスクリプトが読み込まれていないタブは無視
+          this.logger.debug(`Failed to send ${type} to tab ${tab.id}`, error);
+        })
+      )
+    );
+  }
+
+  /**
+   * タブのコンテンツスクリプトにメッセージを送信
+   * @param {number} tabId - タブID
+   * @param {string} type - メッセージタイプ
+   * @param {Object} data - メッセージデータ
+   * @returns {Promise<Object>} コンテンツスクリプトの応答
+   */
+  async sendToTab(tabId, type, data) {
+    const message = new Message(type, data, {
+      source: "background",
+      target: MessageTarget.CONTENT_SCRIPT,
+    });
+    return chrome.tabs.sendMessage(tabId, message.serialize());
+  }
+
   /**
    * タブにメッセージを中継
    * @param {number} tabId - タブID
@@ -258,10 +633,11 @@ chrome.runtime.onInstalled.addListener(async (details) => {
       await chrome.storage.sync.set(DEFAULT_SETTINGS);
     } else if (details.reason === "update") {
       console.log(`Updated from version ${details.previousVersion}`);
-      // 必要に応じて設定の移行処理を実行
-      const currentSettings = await chrome.storage.sync.get(null);
-      const updatedSettings = { ...DEFAULT_SETTINGS, ...currentSettings };
-      await chrome.storage.sync.set(updatedSettings);
+      // 保存された設定を現在のバージョンに移行
+      const migration = await backgroundService.migrateSettings();
+      if (migration.isFailure()) {
+        console.error("Failed to migrate settings:", migration.error);
+      }
     }
   } catch (error) {
     console.error("Error during extension installation/update:", error);
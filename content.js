@@ -25,12 +25,48 @@ class TheaterModeController {
     /** @type {number} 現在の透明度 (0-0.9) */
     this.currentOpacity = 0.7; // デフォルト透明度 70%
 
+    /** @type {Object} オーバーレイの効果（ぼかし・グレースケール・明るさ） */
+    this.overlayEffects = SettingsManager.defaultOverlayEffects;
+
     /** @type {HTMLElement|null} 切り替えボタン要素 */
     this.toggleButton = null;
 
     /** @type {Array<HTMLElement>} オーバーレイが適用された要素の配列 */
     this.overlayElements = [];
 
+    /** @type {Map<HTMLElement, string>} オーバーレイ要素と領域の対応 */
+    this.overlayElementRegions = new Map();
+
+    /** @type {Object} 領域ごとの暗さ（"default"、"hidden"、"off" または透明度） */
+    this.overlayRegionLevels = SettingsManager.defaultOverlayRegionLevels;
+
+    /** @type {Object} ホバー・フォーカスで一時的に元に戻す設定 */
+    this.revealSettings = SettingsManager.defaultRevealSettings;
+
+    /** @type {OverlayReveal|null} ホバー・フォーカスによる一時表示 */
+    this.overlayReveal = null;
+
+    /** @type {boolean} Shorts の高評価・コメントなどのボタン列を暗くしない */
+    this.shortsActionRailVisible = true;
+
+    /** @type {HTMLElement|null} 監視している Shorts のリールのコンテナー */
+    this.shortsContainer = null;
+
+    /** @type {MutationObserver|null} リールの切り替えの監視 */
+    this.shortsObserver = null;
+
+    /** @type {HTMLElement|null} 再生中のリール */
+    this.activeReel = null;
+
+    /** @type {Object} ライブ配信でチャットを個別に暗くするプロファイル */
+    this.liveChatProfile = SettingsManager.defaultLiveChatProfile;
+
+    /** @type {boolean} ライブチャットをチャットのフレーム内で暗くしているかどうか */
+    this.liveChatDimmed = false;
+
+    /** @type {MessageBus|null} ライブチャットのフレームとの通信と再生状態の配信に使うメッセージバス */
+    this.messageBus = null;
+
     /** @type {boolean} 初期化完了フラグ */
     this.initialized = false;
 
@@ -39,6 +75,74 @@ class TheaterModeController {
 
     /** @type {SettingsManager|null} 設定管理インスタンス */
     this.settingsManager = null;
+
+    /** @type {Object|null} 現在のチャンネル情報 { id, name } */
+    this.currentChannel = null;
+
+    /** @type {string|null} 現在のページタイプ（YouTubePageType の値） */
+    this.currentPageType = null;
+
+    /** @type {Object|null} チャンネルプロファイル適用前の状態 */
+    this.profileBaseline = null;
+
+    /** @type {Array<Object>} ユーザー定義のセレクタールール */
+    this.customSelectorRules = [];
+
+    /** @type {string} 描画モード（"fade"、"spotlight" または "ambient"） */
+    this.overlayMode = "fade";
+
+    /** @type {HTMLElement|null} スポットライトモードの暗転レイヤー */
+    this.spotlightElement = null;
+
+    /** @type {HTMLElement|null} スポットライトで切り抜くプレーヤー要素 */
+    this.spotlightTarget = null;
+
+    /** @type {ResizeObserver|null} プレーヤーのサイズ変更監視 */
+    this.spotlightResizeObserver = null;
+
+    /** @type {number|null} 予約済みのスポットライト更新フレーム */
+    this.spotlightFrame = null;
+
+    this.handleViewportChange = () => this.scheduleSpotlightUpdate();
+
+    /** @type {Object} 再生状態による自動切り替えの設定 */
+    this.playerStateAutoDim = SettingsManager.defaultPlayerStateAutoDim;
+
+    /** @type {PlayerStateWatcher|null} 動画の再生状態の監視 */
+    this.playerStateWatcher = null;
+
+    /** @type {PlayerStateAutoDim|null} 再生状態による自動切り替え */
+    this.autoDim = null;
+
+    /** @type {Object} アンビエントモードの設定 */
+    this.ambientSettings = SettingsManager.defaultAmbientSettings;
+
+    /** @type {AmbientColorSampler|null} アンビエントカラーの抽出 */
+    this.ambientSampler = null;
+
+    /** @type {PerformanceMonitor|null} 抽出間隔の調整に使うパフォーマンス監視 */
+    this.performanceMonitor = null;
+
+    /** @type {KeyboardShortcutManager|null} キーボードショートカットの管理 */
+    this.shortcutManager = null;
+
+    /** @type {ShortcutHelpOverlay|null} ショートカット一覧の表示 */
+    this.shortcutHelp = null;
+
+    /** @type {OnScreenDisplay|null} ショートカットで変更した状態と透明度のプレーヤー上の表示 */
+    this.osd = null;
+
+    /** @type {Array<Object>} 名前を付けて保存した透明度と効果のプリセット */
+    this.opacityPresets = [];
+
+    /** @type {number} 最後に適用したプリセットの位置（適用していない場合は -1） */
+    this.opacityPresetIndex = -1;
+
+    /** @type {OpacityController|null} プリセットの切り替え時の透明度のアニメーション */
+    this.opacityController = null;
+
+    /** @type {DetectionPrompt|null} 構造から推定したプレーヤーを使うかどうかの確認 */
+    this.detectionPrompt = null;
   }
 
   /**
@@ -55,25 +159,47 @@ class TheaterModeController {
       // 設定を読み込み
       this.settingsManager = new SettingsManager();
       this.settings = await this.settingsManager.loadSettings();
+      this.customSelectorRules =
+        await this.settingsManager.loadCustomSelectorRules();
+      this.overlayMode = await this.settingsManager.loadOverlayMode();
+      this.playerStateAutoDim =
+        await this.settingsManager.loadPlayerStateAutoDim();
+      this.ambientSettings = await this.settingsManager.loadAmbientSettings();
+      this.overlayEffects = await this.settingsManager.loadOverlayEffects();
+      this.opacityPresets = await this.settingsManager.loadOpacityPresets();
+      this.overlayRegionLevels =
+        await this.settingsManager.loadOverlayRegionLevels();
+      this.revealSettings = await this.settingsManager.loadRevealSettings();
+      this.shortsActionRailVisible =
+        await this.settingsManager.loadShortsActionRailVisible();
+      this.liveChatProfile = await this.settingsManager.loadLiveChatProfile();
+      ElementDetector.applySelectorPack(
+        await this.settingsManager.loadSelectorPack()
+      );
+      ElementDetector.restoreSelectorHealth(
+        await this.settingsManager.loadSelectorHealth()
+      );
       // リロード時は透明度をデフォルト値（70%）に戻す
       this.currentOpacity = 0.7;
-      // リロード時はシアターモードを常にオフにする
+      // リロード時はオフで開始し、スケジュールとページタイプ別の自動有効化は初期化後に適用する
       this.isTheaterModeActive = false;
 
       console.log(
         `YouTube Theater Mode: 初期化完了 - 透明度: ${this.currentOpacity}, シアターモード: ${this.isTheaterModeActive}`
       );
 
+      // キーボードショートカットを設定
+      // ホームなどから動画ページに移動した後もコマンドを受け取れるよう、プレーヤーの検出より前に設定する
+      await this.setupKeyboardShortcuts();
+
       // YouTube動画プレーヤーを検出
       const player = await this.detectVideoPlayer();
+      await this.recordSelectorHealth();
       if (!player) {
         console.warn("YouTube Theater Mode: 動画プレーヤーが見つかりません");
         return false;
       }
 
-      // キーボードショートカットを設定
-      this.setupKeyboardShortcuts();
-
       this.initialized = true;
       console.log("YouTube Theater Mode: コントローラー初期化完了");
       return true;
@@ -85,17 +211,105 @@ class TheaterModeController {
 
   /**
    * YouTube動画プレーヤーを検出
+   * セレクターがすべて一致しない場合はページの構造から推定する
    * @returns {Promise<Element|null>} 動画プレーヤー要素またはnull
    */
   async detectVideoPlayer() {
     try {
-      return await ElementDetector.detectVideoPlayerAsync();
+      const player = await ElementDetector.detectVideoPlayerAsync();
+      return player || (await this.detectVideoPlayerByHeuristics());
     } catch (error) {
       console.error("YouTube Theater Mode: 動画プレーヤー検出エラー", error);
       return null;
     }
   }
 
+  /**
+   * ページの構造から動画プレーヤーを推定
+   * 再生ページでのみ推定し、推定したプレーヤーとオーバーレイ候補は ElementDetector に記録する
+   * @returns {Promise<Element|null>} 推定した動画プレーヤー要素、推定しない場合はnull
+   */
+  async detectVideoPlayerByHeuristics() {
+    if (!ElementDetector.isWatchPage()) {
+      return null;
+    }
+
+    const detection = ElementDetector.detectByHeuristics();
+    if (!detection) {
+      return null;
+    }
+
+    if (!(await this.acceptHeuristicDetection(detection))) {
+      console.warn(
+        "YouTube Theater Mode: 推定した動画プレーヤーは使用しません",
+        detection.confidence
+      );
+      return null;
+    }
+
+    ElementDetector.heuristicDetection = detection;
+    console.log(
+      "YouTube Theater Mode: 構造から推定した動画プレーヤーを使用します",
+      detection.confidence
+    );
+    return detection.player;
+  }
+
+  /**
+   * 構造から推定したプレーヤーを使うかどうかを判断
+   * 信頼度が高い場合はそのまま使い、それ以外はユーザーに確認する
+   * @param {Object} detection - HeuristicDetector#detect の検出結果
+   * @returns {Promise<boolean>} 使う場合はtrue
+   */
+  async acceptHeuristicDetection(detection) {
+    if (detection.confidence >= DetectionConfidence.HIGH) {
+      return true;
+    }
+
+    if (detection.confidence === DetectionConfidence.NONE) {
+      return false;
+    }
+
+    return (await this.confirmDetection(detection)) === true;
+  }
+
+  /**
+   * 推定したプレーヤーを枠線で示し、使うかどうかをユーザーに確認
+   * @param {Object} detection - HeuristicDetector#detect の検出結果
+   * @returns {Promise<boolean>} 使う場合はtrue
+   */
+  confirmDetection(detection) {
+    if (!this.detectionPrompt) {
+      this.detectionPrompt = createDetectionPrompt({ i18n: i18nManager });
+    }
+    return this.detectionPrompt.ask(detection);
+  }
+
+  /**
+   * 動画ページの読み込みごとにセレクターの記録を区切って保存
+   * 動画プレーヤーの優先セレクターが続けて一致しない場合はポップアップで警告する
+   */
+  async recordSelectorHealth() {
+    const health = ElementDetector.selectorHealth;
+    if (!health || !ElementDetector.isWatchPage()) {
+      return;
+    }
+
+    // ナビゲーション直後はプレーヤーの描画を待つ（初期化時は検出済みのためすぐに見つかる）
+    await ElementDetector.detectVideoPlayerAsync(
+      SELECTOR_HEALTH_PLAYER_TIMEOUT
+    );
+    health.completePageLoad();
+    await this.settingsManager.saveSelectorHealth(health.toJSON());
+
+    if (health.isPrimaryMissing("videoPlayer")) {
+      console.warn(
+        "YouTube Theater Mode: 動画プレーヤーの優先セレクターが一致していません",
+        health.getChain("videoPlayer")
+      );
+    }
+  }
+
   /**
    * シアターモード切り替えボタンを作成
    * 注: このメソッドは現在使用されていません（ボタンを削除したため）
@@ -221,19 +435,117 @@ class TheaterModeController {
 
   /**
    * キーボードショートカットを設定
-   * Ctrl+Shift+T でシアターモードを切り替えるイベントリスナーを追加
+   * オプションページで記録したショートカット（未設定の場合は Ctrl+Shift+T など）で
+   * シアターモードの切り替えと透明度の変更、ショートカット一覧の表示を行う
+   * 保存したプリセットには番号順に Ctrl+Shift+1〜5 を割り当てる
+   * シアターモードの切り替えと透明度の変更の結果はプレーヤー上に一時的に表示する
    *
+   * @async
    * @method setupKeyboardShortcuts
    */
-  setupKeyboardShortcuts() {
-    document.addEventListener("keydown", (event) => {
-      // Ctrl+Shift+T でシアターモードを切り替え
-      if (event.ctrlKey && event.shiftKey && event.key === "T") {
-        this.toggleTheaterMode();
+  async setupKeyboardShortcuts() {
+    const logger = new Logger("KeyboardShortcuts");
+    this.shortcutManager = createKeyboardShortcutManager({
+      logger,
+      errorHandler: new ErrorHandler(logger),
+      i18n: i18nManager,
+      sequenceTimeout: await this.settingsManager.loadShortcutSequenceTimeout(),
+    });
+    this.shortcutHelp = createShortcutHelpOverlay({
+      shortcutManager: this.shortcutManager,
+      i18n: i18nManager,
+      announce: (message) => this.announceStateChange(message),
+    });
+    await this.shortcutHelp.initialize();
+    this.osd = createOnScreenDisplay({
+      getContainer: () =>
+        ElementDetector.findVideoPlayer(),
+      i18n: i18nManager,
+      hideDelay: await this.settingsManager.loadOsdHideDelay(),
+    });
+    this.opacityController = createOpacityController({
+      logger,
+      errorHandler: new ErrorHandler(logger),
+      onOpacityUpdate: (opacity, completed) =>
+        this.handleAnimatedOpacity(opacity, completed),
+    });
+    this.shortcutManager.registerActionHandlers({
+      toggleTheaterMode: () =>
+        this.toggleTheaterMode().then(() => this.showOsd()),
+      increaseOpacity: () => this.stepOpacity(0.1),
+      decreaseOpacity: () => this.stepOpacity(-0.1),
+      cycleOverlayMode: () => this.cycleOverlayMode(),
+      cycleOpacityPreset: () => this.cycleOpacityPreset(),
+      toggleShortcutHelp: () => this.shortcutHelp.toggle(),
+      ...Object.fromEntries(
+        Array.from({ length: MAX_OPACITY_PRESETS }, (_, index) => [
+          getOpacityPresetAction(index),
+          () => this.applyOpacityPreset(index),
+        ])
+      ),
+    });
+
+    await this.shortcutManager.loadShortcuts(
+      await this.settingsManager.loadShortcuts()
+    );
+    this.registerOpacityPresetShortcuts();
+    await this.shortcutManager.initialize();
+
+    // オプションページで保存したショートカットを反映
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== "sync") return;
+      if (changes.shortcuts) {
+        // 読み込み直すとデフォルト以外のショートカットは消えるため、プリセットの分を登録し直す
+        this.shortcutManager
+          .loadShortcuts(changes.shortcuts.newValue || {})
+          .then(() => this.registerOpacityPresetShortcuts());
+      }
+      if (changes.opacityPresets) {
+        this.setOpacityPresets(changes.opacityPresets.newValue);
+      }
+      if (changes.shortcutSequenceTimeout) {
+        this.shortcutManager.setSequenceTimeout(
+          changes.shortcutSequenceTimeout.newValue
+        );
+      }
+      if (changes.osdHideDelay) {
+        this.osd.setHideDelay(changes.osdHideDelay.newValue);
       }
     });
   }
 
+  /**
+   * ショートカットで透明度を1段階変更
+   * 変更後の透明度をプレーヤー上に表示し、スクリーンリーダーにも通知する
+   *
+   * @async
+   * @method stepOpacity
+   * @param {number} amount - 変更量（下げる場合は負の値）
+   */
+  async stepOpacity(amount) {
+    await this.updateOpacity(this.currentOpacity + amount);
+    this.showOsd();
+    this.announceStateChange(
+      i18nManager.getMessage("opacityChanged", [
+        String(Math.round(this.currentOpacity * 100)),
+      ])
+    );
+  }
+
+  /**
+   * シアターモードの状態と透明度をプレーヤー上に一時的に表示
+   *
+   * @method showOsd
+   */
+  showOsd() {
+    if (!this.osd) return;
+
+    this.osd.show({
+      active: this.isTheaterModeActive,
+      opacity: this.currentOpacity,
+    });
+  }
+
   /**
    * シアターモードを切り替え
    * 現在の状態に応じてシアターモードを有効化または無効化
@@ -301,40 +613,192 @@ class TheaterModeController {
    * シアターモードを適用
    */
   async applyTheaterMode() {
-    // オーバーレイ対象要素を検出
-    const targets = ElementDetector.findOverlayTargets();
+    if (this.overlayMode === "spotlight") {
+      this.applySpotlight();
+      return;
+    }
+
+    if (this.overlayMode === "ambient") {
+      this.applySpotlight();
+      this.startAmbientSampling();
+      return;
+    }
+
+    // オーバーレイ対象要素を領域ごとに検出（Shorts はリール用の領域）
+    const pageType = await ElementDetector.detectPageType();
+    const regions = ElementDetector.findOverlayTargetsByRegion(
+      this.customSelectorRules,
+      {
+        pageType,
+        showShortsActions: this.shortsActionRailVisible,
+      }
+    );
+
+    // ライブ配信プロファイルではチャットをフレーム内で暗くする
+    // （固定メッセージなどをチャットより明るく表示するため、フレーム全体は暗くしない）
+    this.liveChatDimmed = this.liveChatProfile.enabled && pageType === "live";
+
+    // 現在の効果をCSS変数に設定
+    const effects = this.getOverlayEffects();
+    setEffectProperties(document.documentElement.style, effects);
+    const filter = buildEffectFilter(effects);
+
+    // 各要素にオーバーレイを適用（暗くしない領域は除く）
+    Object.entries(regions).forEach(([region, elements]) => {
+      const level = this.overlayRegionLevels[region];
+      if (level === OverlayRegionLevel.OFF) return;
+      if (region === "chat" && this.liveChatDimmed) return;
+
+      elements.forEach((element) => {
+        if (!element.classList.contains("theater-mode-overlay")) {
+          element.classList.add("theater-mode-overlay");
+          element.style.filter = filter;
+          this.overlayElements.push(element);
+          this.overlayElementRegions.set(element, region);
+          this.applyRegionLevel(element);
+        }
+      });
+    });
+
+    this.startOverlayReveal();
+    this.syncLiveChatState();
 
     console.log(
-      `YouTube Theater Mode: ${targets.length}個のオーバーレイ対象要素を検出しました`
+      `YouTube Theater Mode: ${this.overlayElements.length}個のオーバーレイ対象要素を検出しました`
     );
+  }
 
-    // 現在の透明度をCSS変数に設定
-    document.documentElement.style.setProperty(
-      "--theater-mode-opacity",
-      this.currentOpacity
+  /**
+   * 要素の領域に応じた透明度を適用
+   * 全体の透明度に従う領域はルートのCSS変数を使い、
+   * 独自の透明度や非表示の領域は要素にCSS変数を設定する
+   * @param {HTMLElement} element - オーバーレイ要素
+   */
+  applyRegionLevel(element) {
+    const region = this.overlayElementRegions.get(element);
+    const level = this.overlayRegionLevels[region];
+    const opacity = resolveRegionOpacity(level, this.currentOpacity);
+
+    element.style.opacity = opacity;
+    if (Number.isFinite(level) || level === OverlayRegionLevel.HIDDEN) {
+      element.style.setProperty("--theater-mode-opacity", opacity);
+    } else {
+      element.style.removeProperty("--theater-mode-opacity");
+    }
+    element.classList.toggle(
+      "theater-mode-region-hidden",
+      level === OverlayRegionLevel.HIDDEN
     );
+  }
 
-    // 各要素にオーバーレイを適用
-    targets.forEach((element) => {
-      if (!element.classList.contains("theater-mode-overlay")) {
-        element.classList.add("theater-mode-overlay");
-        element.style.opacity = this.currentOpacity;
-        this.overlayElements.push(element);
-      }
+  /**
+   * 領域ごとの暗さを変更
+   * フェードモードでシアターモードが有効な場合は新しい暗さで再適用する
+   * @param {Object} levels - 領域名をキーとした暗さ
+   */
+  async setOverlayRegionLevels(levels) {
+    this.overlayRegionLevels = normalizeOverlayRegionLevels(levels);
+
+    if (this.isTheaterModeActive && this.overlayMode === "fade") {
+      this.removeTheaterMode();
+      await this.applyTheaterMode();
+    }
+
+    console.log(
+      "YouTube Theater Mode: 領域ごとの暗さを変更しました",
+      this.overlayRegionLevels
+    );
+  }
+
+  /**
+   * ホバー・フォーカスによる一時表示を開始
+   * 完全に隠した領域は対象外とする
+   */
+  startOverlayReveal() {
+    if (!this.revealSettings.enabled || this.overlayReveal) return;
+
+    this.overlayReveal = new OverlayReveal(
+      {
+        getElements: () =>
+          this.overlayElements.filter(
+            (element) =>
+              !element.classList.contains("theater-mode-region-hidden")
+          ),
+        onReveal: (element) => element.classList.add("theater-mode-revealed"),
+        onConceal: (element) =>
+          element.classList.remove("theater-mode-revealed"),
+      },
+      this.revealSettings
+    );
+    this.overlayReveal.start();
+  }
+
+  /**
+   * ホバー・フォーカスによる一時表示を停止
+   */
+  stopOverlayReveal() {
+    if (this.overlayReveal) {
+      this.overlayReveal.stop();
+      this.overlayReveal = null;
+    }
+  }
+
+  /**
+   * ホバー・フォーカスによる一時表示の設定を変更
+   * @param {Object} settings - 表示設定（enabled, revealDelay, hideDelay）
+   */
+  setRevealSettings(settings) {
+    this.revealSettings = normalizeRevealSettings({
+      ...this.revealSettings,
+      ...(settings || {}),
     });
+
+    this.stopOverlayReveal();
+    if (this.isTheaterModeActive && this.overlayMode === "fade") {
+      this.startOverlayReveal();
+    }
+
+    console.log(
+      "YouTube Theater Mode: 一時表示の設定を変更しました",
+      this.revealSettings
+    );
+  }
+
+  /**
+   * 現在の透明度を含むオーバーレイの効果を取得
+   * @returns {Object} 効果（opacity, blur, grayscale, brightness）
+   */
+  getOverlayEffects() {
+    return { ...this.overlayEffects, opacity: this.currentOpacity };
   }
 
   /**
    * シアターモードを解除
    */
   removeTheaterMode() {
+    this.stopOverlayReveal();
+    this.stopAmbientSampling();
+    this.removeSpotlight();
+
     // 全てのオーバーレイを削除
     this.overlayElements.forEach((element) => {
-      element.classList.remove("theater-mode-overlay");
+      element.classList.remove(
+        "theater-mode-overlay",
+        "theater-mode-region-hidden",
+        "theater-mode-revealed"
+      );
       element.style.opacity = "";
+      element.style.filter = "";
+      element.style.removeProperty("--theater-mode-opacity");
     });
 
     this.overlayElements = [];
+    this.overlayElementRegions.clear();
+
+    if (this.liveChatDimmed) {
+      this.liveChatDimmed = false;
+      this.syncLiveChatState();
+    }
   }
 
   /**
@@ -348,25 +812,13 @@ class TheaterModeController {
     // 透明度を範囲内に制限
     this.currentOpacity = Math.max(0, Math.min(0.9, roundedOpacity));
 
-    // シアターモードが有効な場合は要素を更新
-    if (this.isTheaterModeActive) {
-      // 全てのオーバーレイ要素に対してカスタムプロパティを設定
-      document.documentElement.style.setProperty(
-        "--theater-mode-opacity",
-        this.currentOpacity
-      );
-
-      // 各要素に直接透明度を設定（CSS変数が効かない場合のフォールバック）
-      this.overlayElements.forEach((element) => {
-        element.style.opacity = this.currentOpacity;
-
-        // 一度クラスを削除して再追加することでスタイルを更新
-        element.classList.remove("theater-mode-overlay");
-        void element.offsetWidth; // リフロー強制
-        element.classList.add("theater-mode-overlay");
-      });
+    // プリセットの切り替え中のアニメーションはこの透明度で止める
+    if (this.opacityController) {
+      this.opacityController.syncOpacity(this.currentOpacity);
     }
 
+    this.renderOpacity();
+
     // 設定を保存
     this.saveSettings();
 
@@ -381,242 +833,1845 @@ class TheaterModeController {
   }
 
   /**
-   * 設定を保存
+   * 現在の透明度をオーバーレイ要素に反映
+   * シアターモードが無効な場合は何もしない
    */
-  async saveSettings() {
-    if (!this.settingsManager) return;
+  renderOpacity() {
+    if (!this.isTheaterModeActive) return;
 
-    const settings = {
-      ...this.settings,
-      opacity: this.currentOpacity,
-      isEnabled: this.isTheaterModeActive,
-      lastUsed: Date.now(),
-    };
+    // 全てのオーバーレイ要素に対してカスタムプロパティを設定
+    document.documentElement.style.setProperty(
+      "--theater-mode-opacity",
+      this.currentOpacity
+    );
 
-    await this.settingsManager.saveSettings(settings);
+    // 各要素に直接透明度を設定（CSS変数が効かない場合のフォールバック）
+    this.overlayElements.forEach((element) => {
+      this.applyRegionLevel(element);
+
+      // 一度クラスを削除して再追加することでスタイルを更新
+      element.classList.remove("theater-mode-overlay");
+      void element.offsetWidth; // リフロー強制
+      element.classList.add("theater-mode-overlay");
+    });
+
+    this.updateSpotlight();
   }
 
   /**
-   * シアターモードが有効かどうかを返す
-   * @returns {boolean} シアターモードが有効な場合true
+   * プリセットを切り替えるショートカットを登録
+   * 保存されていない番号のショートカットは登録を解除する
    */
-  isTheaterModeEnabled() {
-    return this.isTheaterModeActive;
+  registerOpacityPresetShortcuts() {
+    if (!this.shortcutManager) return;
+
+    const registered = this.shortcutManager.getShortcuts().data;
+    for (let index = 0; index < MAX_OPACITY_PRESETS; index++) {
+      const id = getOpacityPresetShortcutId(index);
+      if (!this.opacityPresets[index]) {
+        if (registered.has(id)) {
+          this.shortcutManager.unregisterShortcut(id);
+        }
+        continue;
+      }
+
+      this.shortcutManager.registerShortcut(
+        id,
+        createOpacityPresetShortcut(
+          index,
+          i18nManager.getMessage("opacityPresetShortcut", [
+            this.getOpacityPresetName(index),
+          ])
+        )
+      );
+    }
   }
 
   /**
-   * 現在の状態を取得
-   * @returns {Object} 現在の状態オブジェクト
+   * プリセットの表示名を取得
+   * 名前のないプリセットは番号で表す
+   * @param {number} index - プリセットの位置（0から）
+   * @returns {string} 表示名
    */
-  getState() {
-    return {
-      isActive: this.isTheaterModeActive,
-      opacity: this.currentOpacity,
-      initialized: this.initialized,
-    };
+  getOpacityPresetName(index) {
+    const preset = this.opacityPresets[index];
+    return preset && preset.name
+      ? preset.name
+      : i18nManager.getMessage("opacityPresetDefaultName", [String(index + 1)]);
   }
-}
 
-// 要素検出ユーティリティクラス
-class ElementDetector {
   /**
-   * 複数のセレクターを試行して要素を検出（フォールバック機能付き）
-   * @param {string|string[]} selectors - セレクター文字列または配列
-   * @param {Element} context - 検索コンテキスト（デフォルト: document）
-   * @returns {Element|null} 見つかった要素またはnull
+   * プリセットを変更
+   * @param {Array<Object>} presets - プリセットの一覧
    */
-  static findElementWithFallback(selectors, context = document) {
-    const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
-
-    for (const selector of selectorArray) {
-      try {
-        const element = context.querySelector(selector);
-        if (element) {
-          return element;
-        }
-      } catch (error) {
-        console.warn(
-          `YouTube Theater Mode: Invalid selector: ${selector}`,
-          error
-        );
-      }
-    }
+  setOpacityPresets(presets) {
+    this.opacityPresets = normalizeOpacityPresets(presets);
+    this.registerOpacityPresetShortcuts();
 
-    return null;
+    console.log(
+      "YouTube Theater Mode: 透明度のプリセットを変更しました",
+      this.opacityPresets.length
+    );
   }
 
   /**
-   * 要素が表示されるまで待機
-   * @param {string|string[]} selectors - セレクター文字列または配列
-   * @param {number} timeout - タイムアウト時間（ミリ秒）
-   * @returns {Promise<Element|null>} 見つかった要素またはnull
+   * プリセットを適用
+   * 透明度以外の効果はすぐに反映し、透明度は OpacityController でアニメーションさせる
+   * @param {number} index - プリセットの位置（0から）
+   * @returns {Promise<boolean>} プリセットが保存されていた場合はtrue
    */
-  static waitForElement(selectors, timeout = 10000) {
-    return new Promise((resolve) => {
-      const startTime = Date.now();
+  async applyOpacityPreset(index) {
+    const preset = this.opacityPresets[index];
+    if (!preset) return false;
+    this.opacityPresetIndex = index;
+
+    // 手動で変更した透明度は再生再開時に上書きしない
+    this.discardPausedOpacity();
+
+    const { opacity, blur, grayscale, brightness } = preset;
+    await this.updateOverlayEffects({
+      blur,
+      grayscale,
+      brightness,
+      opacity: this.currentOpacity,
+    });
 
-      const checkElement = () => {
-        const element = this.findElementWithFallback(selectors);
+    this.opacityController.syncOpacity(this.currentOpacity);
+    this.opacityController.setOpacity(opacity, true);
 
-        if (element) {
-          resolve(element);
-          return;
-        }
+    this.announceStateChange(
+      i18nManager.getMessage("opacityPresetApplied", [
+        this.getOpacityPresetName(index),
+        String(Math.round(opacity * 100)),
+      ])
+    );
+    return true;
+  }
 
-        if (Date.now() - startTime >= timeout) {
-          resolve(null);
-          return;
-        }
+  /**
+   * 保存したプリセットを順に適用
+   * 最後に適用したプリセットの次を適用し、最後のプリセットの次は最初に戻る
+   * @returns {Promise<boolean>} プリセットが保存されていた場合はtrue
+   */
+  async cycleOpacityPreset() {
+    const count = this.opacityPresets.length;
+    if (count === 0) return false;
 
-        setTimeout(checkElement, 100);
+    return this.applyOpacityPreset((this.opacityPresetIndex + 1) % count);
+  }
+
+  /**
+   * アニメーション中の透明度を反映
+   * 途中の透明度は表示だけを更新し、目標の透明度に達したら保存して通知する
+   * @param {number} opacity - 透明度
+   * @param {boolean} completed - 目標の透明度に達した場合はtrue
+   */
+  handleAnimatedOpacity(opacity, completed) {
+    if (completed) {
+      this.updateOpacity(opacity);
+      return;
+    }
+
+    this.currentOpacity = opacity;
+    this.renderOpacity();
+  }
+
+  /**
+   * オーバーレイの効果を更新
+   * 指定しなかった効果は現在の値を保持する
+   * @param {Object} effects - 効果（opacity, blur, grayscale, brightness の一部または全部）
+   */
+  async updateOverlayEffects(effects) {
+    const normalized = normalizeOverlayEffects({
+      ...this.getOverlayEffects(),
+      ...(effects || {}),
+    });
+
+    this.overlayEffects = normalized;
+    this.currentOpacity = normalized.opacity;
+
+    // シアターモードが有効な場合は要素を更新
+    if (this.isTheaterModeActive) {
+      setEffectProperties(document.documentElement.style, normalized);
+
+      const filter = buildEffectFilter(normalized);
+      this.overlayElements.forEach((element) => {
+        this.applyRegionLevel(element);
+        element.style.filter = filter;
+      });
+
+      this.updateSpotlight();
+    }
+
+    // 設定を保存
+    this.saveSettings();
+
+    // 状態変更を通知
+    notifyStateChange(this.isTheaterModeActive, this.currentOpacity);
+
+    console.log(
+      `YouTube Theater Mode: 効果を更新しました - ${buildEffectFilter(
+        normalized
+      )}`
+    );
+  }
+
+  /**
+   * スポットライトを適用
+   * 画面全体を覆う1枚のレイヤーを作り、プレーヤーの位置だけを切り抜く
+   */
+  applySpotlight() {
+    const player = ElementDetector.findVideoPlayer();
+    if (!player) {
+      console.warn(
+        "YouTube Theater Mode: スポットライト対象のプレーヤーが見つかりません"
+      );
+      return;
+    }
+
+    this.removeSpotlight();
+
+    document.documentElement.style.setProperty(
+      "--theater-mode-opacity",
+      this.currentOpacity
+    );
+
+    this.spotlightElement = document.createElement("div");
+    this.spotlightElement.className = "theater-mode-spotlight";
+    if (this.overlayMode === "ambient") {
+      this.spotlightElement.classList.add("theater-mode-ambient");
+    }
+    this.spotlightElement.setAttribute("aria-hidden", "true");
+    document.body.appendChild(this.spotlightElement);
+    this.spotlightTarget = player;
+    this.updateSpotlight();
+
+    // プレーヤーのサイズ変更とスクロールに追従
+    if (typeof ResizeObserver !== "undefined") {
+      this.spotlightResizeObserver = new ResizeObserver(
+        this.handleViewportChange
+      );
+      this.spotlightResizeObserver.observe(player);
+    }
+    window.addEventListener("scroll", this.handleViewportChange, {
+      passive: true,
+    });
+    window.addEventListener("resize", this.handleViewportChange);
+
+    console.log("YouTube Theater Mode: スポットライトを適用しました");
+  }
+
+  /**
+   * スポットライトの切り抜き位置と暗さを更新
+   */
+  updateSpotlight() {
+    this.spotlightFrame = null;
+
+    if (!this.spotlightElement || !this.spotlightTarget) return;
+
+    const rect = this.spotlightTarget.getBoundingClientRect();
+    const style = this.spotlightElement.style;
+
+    style.top = `${rect.top}px`;
+    style.left = `${rect.left}px`;
+    style.width = `${rect.width}px`;
+    style.height = `${rect.height}px`;
+
+    // アンビエントモードの影は theater-mode.css のカスタムプロパティで描画する
+    if (this.overlayMode === "ambient") return;
+
+    // フェードモードと同じく、透明度が高いほど明るくする
+    style.boxShadow = `0 0 0 100vmax rgba(0, 0, 0, ${
+      (1 - this.currentOpacity).toFixed(2)
+    })`;
+  }
+
+  /**
+   * スポットライトの更新を次のフレームに予約
+   */
+  scheduleSpotlightUpdate() {
+    if (this.spotlightFrame !== null) return;
+
+    this.spotlightFrame = requestAnimationFrame(() => this.updateSpotlight());
+  }
+
+  /**
+   * スポットライトを削除
+   */
+  removeSpotlight() {
+    window.removeEventListener("scroll", this.handleViewportChange);
+    window.removeEventListener("resize", this.handleViewportChange);
+
+    if (this.spotlightResizeObserver) {
+      this.spotlightResizeObserver.disconnect();
+      this.spotlightResizeObserver = null;
+    }
+
+    if (this.spotlightFrame !== null) {
+      cancelAnimationFrame(this.spotlightFrame);
+      this.spotlightFrame = null;
+    }
+
+    if (this.spotlightElement) {
+      this.spotlightElement.remove();
+      this.spotlightElement = null;
+    }
+
+    this.spotlightTarget = null;
+  }
+
+  /**
+   * アンビエントカラーの抽出を開始
+   * フレームドロップが続く間は抽出間隔を延ばす
+   */
+  startAmbientSampling() {
+    if (typeof AmbientColorSampler === "undefined") {
+      console.warn(
+        "YouTube Theater Mode: アンビエントカラーを抽出できないため通常の暗転で表示します"
+      );
+      return;
+    }
+
+    if (!this.performanceMonitor && typeof PerformanceMonitor !== "undefined") {
+      this.performanceMonitor = new PerformanceMonitor({
+        debug() {},
+        info() {},
+        warn() {},
+        error: (message, error) =>
+          console.error(`YouTube Theater Mode: ${message}`, error),
+      });
+    }
+
+    if (!this.ambientSampler) {
+      this.ambientSampler = new AmbientColorSampler(
+        {
+          getVideoElement: () => {
+            const player = ElementDetector.findVideoPlayer();
+            return player ? player.querySelector("video") : null;
+          },
+          performanceMonitor: this.performanceMonitor,
+        },
+        this.ambientSettings
+      );
+    }
+
+    if (this.performanceMonitor) {
+      this.performanceMonitor.startMonitoring();
+    }
+    this.ambientSampler.start((color) => this.applyAmbientColor(color));
+  }
+
+  /**
+   * アンビエントカラーの抽出を停止
+   */
+  stopAmbientSampling() {
+    if (this.ambientSampler) {
+      this.ambientSampler.stop();
+    }
+
+    if (this.performanceMonitor) {
+      this.performanceMonitor.stopMonitoring();
+    }
+
+    this.applyAmbientColor(null);
+  }
+
+  /**
+   * 抽出した色をカスタムプロパティに反映
+   * 色を抽出できない場合（クロスオリジンや DRM で保護されたフレーム）は通常の暗転に戻す
+   * @param {{r: number, g: number, b: number}|null} color - 抽出した色
+   */
+  applyAmbientColor(color) {
+    const root = document.documentElement.style;
+
+    if (color) {
+      root.setProperty("--theater-mode-ambient-rgb", formatAmbientColor(color));
+    } else {
+      root.removeProperty("--theater-mode-ambient-rgb");
+    }
+  }
+
+  /**
+   * アンビエントモードの設定を更新
+   * @param {Object} settings - 抽出間隔（ミリ秒）と彩度の倍率
+   */
+  setAmbientSettings(settings) {
+    this.ambientSettings = {
+      ...SettingsManager.defaultAmbientSettings,
+      ...(settings || {}),
+    };
+
+    if (this.ambientSampler) {
+      this.ambientSampler.updateSettings(this.ambientSettings);
+    }
+  }
+
+  /**
+   * 描画モードを変更
+   * シアターモードが有効な場合は新しいモードで再適用する
+   * @param {string} mode - "fade"、"spotlight" または "ambient"
+   * @returns {Promise<string>} 設定された描画モード
+   */
+  async setOverlayMode(mode) {
+    if (!SettingsManager.overlayModes.includes(mode)) {
+      console.warn(`YouTube Theater Mode: 不明な描画モード: ${mode}`);
+      return this.overlayMode;
+    }
+
+    if (mode === this.overlayMode) return this.overlayMode;
+
+    this.overlayMode = mode;
+
+    if (this.isTheaterModeActive) {
+      this.removeTheaterMode();
+      await this.applyTheaterMode();
+    }
+
+    console.log(`YouTube Theater Mode: 描画モードを ${mode} に変更しました`);
+    return this.overlayMode;
+  }
+
+  /**
+   * 描画モードを順に切り替えて保存
+   * @returns {Promise<string>} 切り替え後の描画モード
+   */
+  async cycleOverlayMode() {
+    const modes = SettingsManager.overlayModes;
+    const nextMode =
+      modes[(modes.indexOf(this.overlayMode) + 1) % modes.length];
+
+    await this.setOverlayMode(nextMode);
+    await this.settingsManager.saveOverlayMode(nextMode);
+    return this.overlayMode;
+  }
+
+  /**
+   * 現在のチャンネルに保存されたプロファイルを適用
+   * プロファイルのないチャンネルに移動した場合は適用前の状態に戻す
+   *
+   * @async
+   * @returns {Promise<Object|null>} 適用したプロファイルまたはnull
+   */
+  async applyChannelProfile() {
+    try {
+      this.currentChannel = await ElementDetector.detectChannelAsync();
+
+      const profiles = this.settingsManager
+        ? await this.settingsManager.loadChannelProfiles()
+        : {};
+      // 以前に "@handle" 形式のIDで保存したプロファイルも使う
+      const profile = this.currentChannel
+        ? [this.currentChannel.id, ...this.currentChannel.aliases]
+            .map((id) => profiles[id])
+            .find(Boolean)
+        : null;
+
+      if (profile) {
+        // 最初にプロファイルを適用する前の状態を保持
+        if (!this.profileBaseline) {
+          this.profileBaseline = {
+            isActive: this.isTheaterModeActive,
+            opacity: this.currentOpacity,
+          };
+        }
+
+        await this.applyProfileState(
+          profile.theaterModeEnabled,
+          profile.opacity
+        );
+        console.log(
+          `YouTube Theater Mode: チャンネルプロファイルを適用しました (${this.currentChannel.id})`
+        );
+        return profile;
+      }
+
+      if (this.profileBaseline) {
+        const baseline = this.profileBaseline;
+        this.profileBaseline = null;
+        await this.applyProfileState(baseline.isActive, baseline.opacity);
+        console.log(
+          "YouTube Theater Mode: チャンネルプロファイル適用前の状態に戻しました"
+        );
+      }
+
+      return null;
+    } catch (error) {
+      console.error(
+        "YouTube Theater Mode: チャンネルプロファイル適用エラー",
+        error
+      );
+      return null;
+    }
+  }
+
+  /**
+   * 自動有効化スケジュールの時間帯の途中で開いた場合に時間帯の状態を適用
+   * 時間帯の開始・終了はバックグラウンドから送信されるため、読み込み時だけ問い合わせる
+   *
+   * @async
+   * @returns {Promise<boolean>} 時間帯の状態を適用した場合はtrue
+   */
+  async applyActiveSchedule() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "getScheduleState",
+      });
+      if (!response || !response.success || !response.active) {
+        return false;
+      }
+
+      await this.applyProfileState(true, response.opacity);
+      console.log(
+        "YouTube Theater Mode: 自動有効化スケジュールの時間帯のため有効化しました"
+      );
+      return true;
+    } catch (error) {
+      console.warn("YouTube Theater Mode: スケジュールの取得エラー", error);
+      return false;
+    }
+  }
+
+  /**
+   * 現在のページタイプで自動有効化が設定されている場合にシアターモードを有効化
+   * 無効化はしないため、手動で有効にした状態はそのまま保たれる
+   *
+   * @async
+   * @returns {Promise<boolean>} 自動的に有効化した場合はtrue
+   */
+  async applyAutoEnable() {
+    try {
+      this.currentPageType = await ElementDetector.detectPageType();
+
+      if (!this.settingsManager || this.isTheaterModeActive) {
+        return false;
+      }
+
+      const autoEnable = await this.settingsManager.loadAutoEnableSettings();
+      if (!autoEnable.enabled || !autoEnable.pageTypes[this.currentPageType]) {
+        return false;
+      }
+
+      await this.enableTheaterMode();
+      console.log(
+        `YouTube Theater Mode: ページタイプ ${this.currentPageType} のため自動的に有効化しました`
+      );
+      return true;
+    } catch (error) {
+      console.error("YouTube Theater Mode: 自動有効化エラー", error);
+      return false;
+    }
+  }
+
+  /**
+   * 動画の再生状態（再生・一時停止・終了・シーク）の監視を開始
+   * 状態の変更はメッセージバスに配信し、設定に合わせてシアターモードを切り替える。
+   * SPA 遷移で video 要素が差し替えられた場合は付け替える
+   *
+   * @returns {boolean} video 要素を監視している場合はtrue
+   */
+  watchPlayerState() {
+    if (!this.playerStateWatcher) {
+      this.playerStateWatcher = createPlayerStateWatcher({
+        shortcutProtection: new YouTubeShortcutProtection(),
+        messageBus: this.messageBus,
+      });
+      this.autoDim = createPlayerStateAutoDim(
+        {
+          watcher: this.playerStateWatcher,
+          theaterModeController: {
+            enable: () => this.enableTheaterMode(),
+            disable: () => this.disableTheaterMode(),
+            updateOpacity: (opacity) => this.updateOpacity(opacity),
+            getState: () => ({
+              isActive: this.isTheaterModeActive,
+              opacity: this.currentOpacity,
+            }),
+          },
+        },
+        this.playerStateAutoDim
+      );
+      this.autoDim.start();
+    }
+
+    return this.playerStateWatcher.start();
+  }
+
+  /**
+   * Shorts のリールの切り替え（スワイプ）と読み込みの監視を開始
+   * 再生中のリールは is-active 属性で示されるため、属性が移るか新しいリールが
+   * 追加されたときにオーバーレイを再適用する
+   *
+   * @returns {Promise<boolean>} リールを監視している場合はtrue
+   */
+  async watchShortsReels() {
+    const container =
+      (await ElementDetector.detectPageType()) === "shorts"
+        ? ElementDetector.findElementWithFallback(
+            ElementDetector.selectorPack.pages.shorts.container
+          )
+        : null;
+
+    if (container === this.shortsContainer) {
+      return !!container;
+    }
+
+    // Shorts に出入りした場合も対象の領域が変わるため再適用する
+    const wasWatching = !!this.shortsContainer;
+    this.unwatchShortsReels();
+    if (!container) {
+      if (wasWatching) {
+        this.refreshShortsLayout();
+      }
+      return false;
+    }
+
+    this.shortsObserver = new MutationObserver((mutations) => {
+      const reel = container.querySelector(ACTIVE_REEL_SELECTOR);
+      const reelsAdded = mutations.some((mutation) =>
+        Array.from(mutation.addedNodes).some(
+          (node) =>
+            node.nodeType === Node.ELEMENT_NODE && node.matches(REEL_SELECTOR)
+        )
+      );
+
+      if (reel !== this.activeReel || reelsAdded) {
+        this.activeReel = reel;
+        this.refreshShortsLayout();
+      }
+    });
+    this.shortsObserver.observe(container, {
+      attributes: true,
+      attributeFilter: ["is-active"],
+      childList: true,
+      subtree: true,
+    });
+
+    this.shortsContainer = container;
+    this.activeReel = container.querySelector(ACTIVE_REEL_SELECTOR);
+    this.refreshShortsLayout();
+    return true;
+  }
+
+  /**
+   * Shorts のリールの監視を解除
+   */
+  unwatchShortsReels() {
+    if (this.shortsObserver) {
+      this.shortsObserver.disconnect();
+      this.shortsObserver = null;
+    }
+
+    this.shortsContainer = null;
+    this.activeReel = null;
+  }
+
+  /**
+   * 再生中のリールに合わせてオーバーレイを再適用
+   */
+  async refreshShortsLayout() {
+    if (!this.isTheaterModeActive) return;
+
+    try {
+      this.removeTheaterMode();
+      await this.applyTheaterMode();
+
+      console.log(
+        "YouTube Theater Mode: リールの切り替えに合わせて再適用しました"
+      );
+    } catch (error) {
+      console.error("YouTube Theater Mode: リールの再適用エラー", error);
+    }
+  }
+
+  /**
+   * Shorts のボタン列を暗くしないかどうかを変更
+   * @param {boolean} visible - ボタン列を暗くしない場合はtrue
+   */
+  async setShortsActionRailVisible(visible) {
+    this.shortsActionRailVisible = visible !== false;
+
+    if ((await ElementDetector.detectPageType()) === "shorts") {
+      await this.refreshShortsLayout();
+    }
+
+    console.log(
+      "YouTube Theater Mode: Shorts のボタン列の表示を変更しました",
+      this.shortsActionRailVisible
+    );
+  }
+
+  /**
+   * ライブチャットのフレームとの通信を開始
+   * フレームのスクリプトは読み込み完了時に LIVE_CHAT_READY を送るため、その都度状態を返す
+   */
+  connectLiveChatFrame() {
+    if (this.messageBus) return;
+
+    this.messageBus = new MessageBus({ name: "content_script" });
+    this.messageBus.connectFrame(() => {
+      const frame = document.querySelector(LIVE_CHAT_FRAME_SELECTOR);
+      return frame ? frame.contentWindow : null;
+    }, window.location.origin);
+    this.messageBus.registerHandler(MessageType.LIVE_CHAT_READY, () =>
+      this.handleLiveChatReady()
+    );
+  }
+
+  /**
+   * ライブチャットのフレームの読み込み完了を処理
+   * ライブバッジが適用後に表示された場合は、チャットを除いて再適用する
+   */
+  async handleLiveChatReady() {
+    const shouldDimInFrame =
+      this.isTheaterModeActive &&
+      this.overlayMode === "fade" &&
+      this.liveChatProfile.enabled &&
+      (await ElementDetector.detectPageType()) === "live";
+
+    if (shouldDimInFrame && !this.liveChatDimmed) {
+      this.removeTheaterMode();
+      await this.applyTheaterMode();
+      return;
+    }
+
+    this.syncLiveChatState();
+  }
+
+  /**
+   * ライブチャットのフレームに現在の状態を送信
+   */
+  syncLiveChatState() {
+    if (!this.messageBus) return;
+
+    this.messageBus.send(
+      MessageType.LIVE_CHAT_STATE,
+      {
+        active: this.liveChatDimmed,
+        chatOpacity: this.liveChatProfile.chatOpacity,
+        keepPinned: this.liveChatProfile.keepPinned,
+        keepSuperChats: this.liveChatProfile.keepSuperChats,
+      },
+      { target: MessageTarget.FRAME }
+    );
+  }
+
+  /**
+   * ライブ配信プロファイルを変更
+   * フェードモードでシアターモードが有効な場合は新しい設定で再適用する
+   * @param {Object} profile - プロファイル（enabled, chatOpacity, keepPinned, keepSuperChats）
+   */
+  async setLiveChatProfile(profile) {
+    this.liveChatProfile = normalizeLiveChatProfile({
+      ...this.liveChatProfile,
+      ...(profile || {}),
+    });
+
+    if (this.isTheaterModeActive && this.overlayMode === "fade") {
+      this.removeTheaterMode();
+      await this.applyTheaterMode();
+    }
+
+    console.log(
+      "YouTube Theater Mode: ライブ配信プロファイルを変更しました",
+      this.liveChatProfile
+    );
+  }
+
+  /**
+   * 一時停止で明るくする前の透明度を破棄
+   * 手動で変更した透明度は再生再開時に上書きしない
+   */
+  discardPausedOpacity() {
+    if (this.autoDim) {
+      this.autoDim.discardPausedOpacity();
+    }
+  }
+
+  /**
+   * 再生状態による自動切り替えの設定を更新
+   * @param {Object} settings - 自動切り替えの設定
+   */
+  setPlayerStateAutoDim(settings) {
+    this.playerStateAutoDim = {
+      ...SettingsManager.defaultPlayerStateAutoDim,
+      ...(settings || {}),
+    };
+
+    // 一時停止中の明るさ変更が不要になった場合は元に戻す
+    if (this.autoDim) {
+      this.autoDim.updateSettings(this.playerStateAutoDim);
+    }
+  }
+
+  /**
+   * 有効状態と透明度を変更がある場合のみ反映
+   * @param {boolean} isActive - シアターモードの有効状態
+   * @param {number} opacity - 透明度
+   */
+  async applyProfileState(isActive, opacity) {
+    if (typeof opacity === "number" && opacity !== this.currentOpacity) {
+      await this.updateOpacity(opacity);
+    }
+
+    if (isActive && !this.isTheaterModeActive) {
+      await this.enableTheaterMode();
+    } else if (!isActive && this.isTheaterModeActive) {
+      await this.disableTheaterMode();
+    }
+  }
+
+  /**
+   * セレクタールールを再読み込みしてオーバーレイを再適用
+   *
+   * @async
+   * @returns {Promise<number>} 読み込んだルール数
+   */
+  async reloadCustomSelectorRules() {
+    if (!this.settingsManager) return 0;
+
+    this.customSelectorRules =
+      await this.settingsManager.loadCustomSelectorRules();
+
+    if (this.isTheaterModeActive) {
+      this.removeTheaterMode();
+      await this.applyTheaterMode();
+    }
+
+    console.log(
+      `YouTube Theater Mode: ${this.customSelectorRules.length}個のセレクタールールを読み込みました`
+    );
+    return this.customSelectorRules.length;
+  }
+
+  /**
+   * セレクターパックを再読み込みしてオーバーレイを再適用
+   *
+   * @async
+   * @returns {Promise<boolean>} 読み込んだパックを適用した場合はtrue
+   */
+  async reloadSelectorPack() {
+    if (!this.settingsManager) return false;
+
+    const applied = ElementDetector.applySelectorPack(
+      await this.settingsManager.loadSelectorPack()
+    );
+
+    if (this.isTheaterModeActive) {
+      this.removeTheaterMode();
+      await this.applyTheaterMode();
+    }
+    await this.watchShortsReels();
+
+    return applied;
+  }
+
+  /**
+   * セレクターに一致する要素を一時的に強調表示（ルールのテスト用）
+   * @param {string} selector - テストするセレクター
+   * @param {number} [duration=3000] - 強調表示の時間（ミリ秒）
+   * @returns {{valid: boolean, count: number}} テスト結果
+   */
+  highlightSelector(selector, duration = 3000) {
+    this.clearSelectorHighlight();
+
+    if (!ElementDetector.isValidSelector(selector)) {
+      return { valid: false, count: 0 };
+    }
+
+    const elements = Array.from(document.querySelectorAll(selector));
+
+    elements.forEach((element) => {
+      element.classList.add("theater-mode-selector-highlight");
+    });
+
+    this.highlightTimer = setTimeout(
+      () => this.clearSelectorHighlight(),
+      duration
+    );
+
+    return { valid: true, count: elements.length };
+  }
+
+  /**
+   * セレクターの強調表示を解除
+   */
+  clearSelectorHighlight() {
+    clearTimeout(this.highlightTimer);
+    document
+      .querySelectorAll(".theater-mode-selector-highlight")
+      .forEach((element) => {
+        element.classList.remove("theater-mode-selector-highlight");
+      });
+  }
+
+  /**
+   * YouTube の SPA ナビゲーションを監視して自動有効化とチャンネルプロファイルを再適用
+   * ナビゲーションは YouTubePageDetector が URL の変更（_handleUrlChange）で検出する。
+   * チャンネルプロファイルはページタイプより優先するため後から適用する
+   *
+   * @async
+   * @returns {Promise<boolean>} ナビゲーションを監視している場合はtrue
+   */
+  async setupNavigationListener() {
+    const detector = ElementDetector.getPageDetector();
+    if (!detector) {
+      return false;
+    }
+
+    // 初回の検出は initializeTheaterMode() で適用するため、初期化後に登録する
+    const initialized = await detector.initialize();
+    if (initialized.isFailure()) {
+      console.warn(
+        "YouTube Theater Mode: ページの監視を開始できませんでした",
+        initialized.error
+      );
+      return false;
+    }
+
+    detector.addChangeListener(async (event) => {
+      if (event.type !== PageChangeEvent.NAVIGATION) return;
+
+      this.watchPlayerState();
+      await this.watchShortsReels();
+      await this.applyAutoEnable();
+      await this.applyChannelProfile();
+      await this.recordSelectorHealth();
+    });
+    return true;
+  }
+
+  /**
+   * 設定を保存
+   */
+  async saveSettings() {
+    if (!this.settingsManager) return;
+
+    const settings = {
+      ...this.settings,
+      opacity: this.currentOpacity,
+      isEnabled: this.isTheaterModeActive,
+      lastUsed: Date.now(),
+    };
+
+    await this.settingsManager.saveSettings(settings);
+  }
+
+  /**
+   * シアターモードが有効かどうかを返す
+   * @returns {boolean} シアターモードが有効な場合true
+   */
+  isTheaterModeEnabled() {
+    return this.isTheaterModeActive;
+  }
+
+  /**
+   * 現在の状態を取得
+   * @returns {Object} 現在の状態オブジェクト
+   */
+  getState() {
+    return {
+      isActive: this.isTheaterModeActive,
+      opacity: this.currentOpacity,
+      effects: this.getOverlayEffects(),
+      overlayMode: this.overlayMode,
+      reveal: { ...this.revealSettings },
+      liveChat: { ...this.liveChatProfile },
+      initialized: this.initialized,
+      channel: this.currentChannel,
+      pageType: this.currentPageType,
+    };
+  }
+}
+
+// 要素検出ユーティリティクラス
+class ElementDetector {
+  /**
+   * どのセレクターが一致したかの記録
+   * @type {SelectorHealthTracker|null}
+   */
+  static selectorHealth = null;
+
+  /**
+   * 使用するセレクターパック（読み込んだパックを同梱のパックで補完したもの）
+   * @type {Object}
+   */
+  static selectorPack = DEFAULT_SELECTOR_PACK;
+
+  /**
+   * 構造からの推定に使う HeuristicDetector（初めて推定するときに作成）
+   * @type {HeuristicDetector|null}
+   */
+  static heuristicDetector = null;
+
+  /**
+   * 使うことにした推定の結果（セレクターで動画プレーヤーが見つかった場合はnull）
+   * @type {Object|null}
+   */
+  static heuristicDetection = null;
+
+  /**
+   * ページタイプとチャンネルの検出に使う YouTubePageDetector（初めて検出するときに作成）
+   * @type {YouTubePageDetector|null}
+   */
+  static pageDetector = null;
+
+  /**
+   * 推定したオーバーレイ候補の配置と、候補を加える領域の対応
+   * @type {Object<string, string>}
+   */
+  static heuristicPlacementRegions = {
+    above: "masthead",
+    below: "metadata",
+    side: "sidebar",
+  };
+
+  /**
+   * 保存されたセレクターパックを適用
+   * 不正なパックや拡張機能のバージョンが足りないパックは無視し、同梱のパックを使う
+   * @param {Object|null} pack - 保存されたセレクターパック
+   * @returns {boolean} 保存されたパックを適用した場合はtrue
+   */
+  static applySelectorPack(pack) {
+    this.selectorPack = DEFAULT_SELECTOR_PACK;
+
+    if (pack) {
+      const validation = new DataValidator().validate(
+        pack,
+        SELECTOR_PACK_SCHEMA
+      );
+      const extensionVersion = chrome.runtime.getManifest().version;
+
+      if (validation.isFailure() || !validation.data.valid) {
+        console.warn(
+          "YouTube Theater Mode: セレクターパックが不正です",
+          validation.isSuccess() ? validation.data.errors : validation.error
+        );
+      } else if (!isSelectorPackCompatible(pack, extensionVersion)) {
+        console.warn(
+          `YouTube Theater Mode: セレクターパック ${pack.version} には拡張機能 ${pack.minExtensionVersion} 以降が必要です`
+        );
+      } else {
+        this.selectorPack = resolveSelectorPack(pack);
+      }
+    }
+
+    // ナビゲーションを監視している検出器はそのまま使い、パックだけを切り替える
+    if (this.pageDetector) {
+      this.pageDetector.setSelectorPack(this.selectorPack);
+    }
+
+    // 記録のセレクターの組の名前をパックのセレクターに合わせる
+    if (this.selectorHealth) {
+      this.selectorHealth.registerChain(
+        "videoPlayer",
+        this.videoPlayerSelectors
+      );
+    }
+
+    console.log(
+      `YouTube Theater Mode: セレクターパック ${this.selectorPack.version} を使用します`
+    );
+    return this.selectorPack !== DEFAULT_SELECTOR_PACK;
+  }
+
+  /**
+   * 保存されたセレクターの記録を復元
+   * @param {Object} [data] - SelectorHealthTracker#toJSON() で保存したデータ
+   */
+  static restoreSelectorHealth(data) {
+    if (typeof SelectorHealthTracker === "undefined") return;
+
+    this.selectorHealth = SelectorHealthTracker.fromJSON(data).registerChain(
+      "videoPlayer",
+      this.videoPlayerSelectors
+    );
+  }
+
+  /**
+   * 複数のセレクターを試行して要素を検出（フォールバック機能付き）
+   * @param {string|string[]} selectors - セレクター文字列または配列
+   * @param {Element} context - 検索コンテキスト（デフォルト: document）
+   * @returns {Element|null} 見つかった要素またはnull
+   */
+  static findElementWithFallback(selectors, context = document) {
+    const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+    const { element, matchedIndex } = this.queryWithFallback(
+      selectorArray,
+      context
+    );
+
+    if (this.selectorHealth) {
+      this.selectorHealth.record(selectorArray, matchedIndex);
+    }
+    return element;
+  }
+
+  /**
+   * セレクターを優先度順に試行し、最初に一致した要素とその位置を返す
+   * @param {string[]} selectorArray - セレクターの配列
+   * @param {Element} context - 検索コンテキスト
+   * @returns {{element: Element|null, matchedIndex: number}} 一致しない場合は位置が-1
+   */
+  static queryWithFallback(selectorArray, context) {
+    for (const [index, selector] of selectorArray.entries()) {
+      try {
+        const element = context.querySelector(selector);
+        if (element) {
+          return { element, matchedIndex: index };
+        }
+      } catch (error) {
+        console.warn(
+          `YouTube Theater Mode: Invalid selector: ${selector}`,
+          error
+        );
+      }
+    }
+
+    return { element: null, matchedIndex: -1 };
+  }
+
+  /**
+   * 要素が表示されるまで待機
+   * @param {string|string[]} selectors - セレクター文字列または配列
+   * @param {number} timeout - タイムアウト時間（ミリ秒）
+   * @returns {Promise<Element|null>} 見つかった要素またはnull
+   */
+  static waitForElement(selectors, timeout = 10000) {
+    const selectorArray = Array.isArray(selectors) ? selectors : [selectors];
+
+    return new Promise((resolve) => {
+      const startTime = Date.now();
+
+      // 待機中の試行は記録せず、最後の結果だけを記録する
+      const checkElement = () => {
+        const { element, matchedIndex } = this.queryWithFallback(
+          selectorArray,
+          document
+        );
+        const timedOut = Date.now() - startTime >= timeout;
+
+        if ((element || timedOut) && this.selectorHealth) {
+          this.selectorHealth.record(selectorArray, matchedIndex);
+        }
+
+        if (element) {
+          resolve(element);
+          return;
+        }
+
+        if (timedOut) {
+          resolve(null);
+          return;
+        }
+
+        setTimeout(checkElement, 100);
       };
 
-      checkElement();
-    });
+      checkElement();
+    });
+  }
+
+  /**
+   * 動画プレーヤーを確実に検出（非同期、リトライ機能付き）
+   * @param {number} timeout - タイムアウト時間（ミリ秒）
+   * @returns {Promise<Element|null>} 動画プレーヤー要素またはnull
+   */
+  static async detectVideoPlayerAsync(timeout = 15000) {
+    return await this.waitForElement(this.videoPlayerSelectors, timeout);
+  }
+
+  /**
+   * 動画プレーヤーを検出
+   * セレクターがすべて一致しない場合は、使うことにした推定のプレーヤーを返す
+   * @returns {Element|null} 動画プレーヤー要素またはnull
+   */
+  static findVideoPlayer() {
+    const player = this.findElementWithFallback(this.videoPlayerSelectors);
+    if (player) {
+      return player;
+    }
+
+    const detected = this.heuristicDetection && this.heuristicDetection.player;
+    return detected && detected.isConnected ? detected : null;
+  }
+
+  /**
+   * ページの構造から動画プレーヤーとオーバーレイ候補を推定
+   * @returns {Object|null} HeuristicDetector#detect の検出結果、推定できない場合はnull
+   */
+  static detectByHeuristics() {
+    if (typeof HeuristicDetector === "undefined") {
+      return null;
+    }
+
+    if (!this.heuristicDetector) {
+      const logger = new Logger("HeuristicDetector");
+      const errorHandler = new ErrorHandler(logger);
+      this.heuristicDetector = new HeuristicDetector(
+        logger,
+        errorHandler,
+        new ElementObserver(logger, errorHandler)
+      );
+    }
+
+    const result = this.heuristicDetector.detect();
+    if (result.isFailure() || !result.data.player) {
+      return null;
+    }
+    return result.data;
+  }
+
+  /**
+   * 動画プレーヤーのセレクター（優先度順）
+   * @returns {string[]} セレクターの配列
+   */
+  static get videoPlayerSelectors() {
+    return this.selectorPack.pages.video.videoPlayer;
+  }
+
+  /**
+   * 現在のページが動画プレーヤーのある再生ページ（/watch）かどうか
+   * プレイリスト内の動画の再生ページも含む
+   * @returns {boolean} 再生ページの場合はtrue
+   */
+  static isWatchPage() {
+    return (
+      window.location.pathname === "/watch" &&
+      new URLSearchParams(window.location.search).has("v")
+    );
+  }
+
+  /**
+   * ページタイプとチャンネルの検出に使う YouTubePageDetector を取得
+   * 初めて使うときに、使用中のセレクターパックで作成する
+   * @returns {YouTubePageDetector|null} 検出器（読み込まれていない場合はnull）
+   */
+  static getPageDetector() {
+    if (typeof YouTubePageDetector === "undefined") {
+      return null;
+    }
+
+    if (!this.pageDetector) {
+      const logger = new Logger("YouTubePageDetector");
+      this.pageDetector = new YouTubePageDetector(
+        { logger, errorHandler: new ErrorHandler(logger) },
+        { selectorPack: this.selectorPack, enableMutationObserver: false }
+      );
+    }
+    return this.pageDetector;
+  }
+
+  /**
+   * 現在のページタイプを検出
+   * 検出は YouTubePageDetector#detectPageType に任せる（プレイリスト内の動画の
+   * 再生ページは "playlist"、ライブ配信とプレミア公開はそちらを優先する）
+   * @returns {Promise<string>} YouTubePageType の値（検出できない場合は "unknown"）
+   */
+  static async detectPageType() {
+    const detector = this.getPageDetector();
+    if (!detector) {
+      return "unknown";
+    }
+
+    const result = await detector.detectPageType();
+    return result.isSuccess() ? result.data : "unknown";
+  }
+
+  /**
+   * 現在のページのチャンネルを検出
+   * 検出は YouTubePageDetector#detectChannel に任せ、使用中のセレクターパックで検出する
+   * @returns {Object|null} チャンネル情報 { id, aliases, name, source } またはnull
+   */
+  static detectChannel() {
+    const detector = this.getPageDetector();
+    if (!detector) {
+      return null;
+    }
+
+    const result = detector.detectChannel();
+    return result.isSuccess() ? result.data : null;
+  }
+
+  /**
+   * チャンネルを検出（動画ページではオーナーリンクの描画を待機）
+   * @param {number} timeout - タイムアウト時間（ミリ秒）
+   * @returns {Promise<Object|null>} チャンネル情報またはnull
+   */
+  static async detectChannelAsync(timeout = 3000) {
+    if (window.location.pathname === "/watch") {
+      await this.waitForElement(this.channelOwnerSelectors, timeout);
+    }
+    return this.detectChannel();
+  }
+
+  /**
+   * 動画ページのチャンネルオーナーリンクのセレクター
+   * @type {string[]}
+   */
+  static get channelOwnerSelectors() {
+    return this.selectorPack.pages.video.channelOwner;
+  }
+
+  /**
+   * CSSセレクターとして有効かどうかを判定
+   * @param {string} selector - 判定するセレクター
+   * @returns {boolean} 有効な場合はtrue
+   */
+  static isValidSelector(selector) {
+    return isValidSelector(selector);
+  }
+
+  /**
+   * オーバーレイ対象要素を全て検出
+   * @param {Array<Object>} [customRules=[]] - ユーザー定義のセレクタールール
+   * @param {Object} [layoutOptions={}] - ページタイプ別の対象の指定（getOverlayLayout のオプション）
+   * @returns {Element[]} オーバーレイ対象要素の配列
+   */
+  static findOverlayTargets(customRules = [], layoutOptions = {}) {
+    const elements = [];
+    const regions = this.collectRegionTargets(customRules, layoutOptions);
+    Object.values(regions).forEach((found) => {
+      found.forEach((element) => {
+        if (!elements.includes(element)) {
+          elements.push(element);
+        }
+      });
+    });
+
+    return elements;
+  }
+
+  /**
+   * オーバーレイ対象要素を領域ごとに検出
+   * 他の領域を含む要素（ライブチャットを含むサイドバーなど）は、
+   * 領域ごとに暗さを変えられるよう他の領域を含まない子孫要素に分割する
+   * @param {Array<Object>} [customRules=[]] - ユーザー定義のセレクタールール
+   * @param {Object} [layoutOptions={}] - ページタイプ別の対象の指定
+   * @param {string} [layoutOptions.pageType] - ページタイプ（"shorts" の場合はリール用の領域を使う）
+   * @param {boolean} [layoutOptions.showShortsActions=true] - Shorts のボタン列を暗くしない
+   * @returns {Object<string, Element[]>} 領域名をキーとした要素の配列
+   *   （ユーザー定義の対象は "custom" 領域）
+   */
+  static findOverlayTargetsByRegion(customRules = [], layoutOptions = {}) {
+    const found = this.collectRegionTargets(customRules, layoutOptions);
+    const regions = {};
+
+    Object.entries(found).forEach(([region, elements]) => {
+      const nested = Object.entries(found)
+        .filter(([other]) => other !== region)
+        .flatMap(([, others]) => others);
+
+      regions[region] = [];
+      elements.forEach((element) => {
+        splitAroundNested(element, nested).forEach((part) => {
+          if (!regions[region].includes(part)) {
+            regions[region].push(part);
+          }
+        });
+      });
+    });
+
+    return regions;
+  }
+
+  /**
+   * 領域ごとのセレクターとユーザー定義ルールで要素を検出
+   * @param {Array<Object>} customRules - ユーザー定義のセレクタールール
+   * @param {Object} [layoutOptions={}] - ページタイプ別の対象の指定
+   * @returns {Object<string, Element[]>} 領域名をキーとした要素の配列
+   */
+  static collectRegionTargets(customRules, layoutOptions = {}) {
+    const layout = getOverlayLayout(layoutOptions.pageType, {
+      ...layoutOptions,
+      selectorPack: this.selectorPack,
+    });
+    const regionSelectors = { ...layout.regions, custom: [] };
+
+    // ユーザー定義ルール（無効化されたルールは無視）
+    const activeRules = customRules.filter(
+      (rule) =>
+        rule && rule.enabled !== false && this.isValidSelector(rule.selector)
+    );
+    const excludeSelectors = activeRules
+      .filter((rule) => rule.type === "exclude")
+      .map((rule) => rule.selector);
+    activeRules
+      .filter((rule) => rule.type === "include")
+      .forEach((rule) => regionSelectors.custom.push(rule.selector));
+
+    const protectedSelectors = [
+      ...this.selectorPack.pages.video.protectedElements,
+      ...layout.protectedSelectors,
+      ...excludeSelectors,
+    ];
+
+    // オーバーレイ対象要素を検出
+    const regions = {};
+    Object.entries(regionSelectors).forEach(([region, selectors]) => {
+      regions[region] = [];
+      selectors.forEach((selector) => {
+        try {
+          const found = document.querySelectorAll(selector);
+          found.forEach((element) => {
+            // 保護対象要素を除外
+            const isProtected = protectedSelectors.some(
+              (protectedSelector) =>
+                element.matches(protectedSelector) ||
+                element.closest(protectedSelector)
+            );
+
+            if (!isProtected && !regions[region].includes(element)) {
+              regions[region].push(element);
+            }
+          });
+        } catch (error) {
+          console.warn(
+            `YouTube Theater Mode: Error finding elements with selector ${selector}:`,
+            error
+          );
+        }
+      });
+    });
+
+    this.addHeuristicTargets(regions, protectedSelectors);
+    return regions;
+  }
+
+  /**
+   * 推定したオーバーレイ候補を配置に対応する領域に加える
+   * 推定したプレーヤーがページに残っている場合のみ加える
+   * @param {Object<string, Element[]>} regions - 領域名をキーとした要素の配列
+   * @param {string[]} protectedSelectors - 除外する要素のセレクター
+   */
+  static addHeuristicTargets(regions, protectedSelectors) {
+    const detection = this.heuristicDetection;
+    if (!detection || !detection.player.isConnected) {
+      return;
+    }
+
+    detection.candidates.forEach(({ element, placement }) => {
+      const region = this.heuristicPlacementRegions[placement];
+      const isProtected = protectedSelectors.some(
+        (protectedSelector) =>
+          element.matches(protectedSelector) ||
+          element.closest(protectedSelector)
+      );
+
+      if (
+        regions[region] &&
+        element.isConnected &&
+        !isProtected &&
+        !regions[region].includes(element)
+      ) {
+        regions[region].push(element);
+      }
+    });
+  }
+}
+
+// 設定管理クラス
+class SettingsManager {
+  constructor() {
+    this.defaultSettings = {
+      opacity: 0.7, // デフォルト透明度 70%
+      isEnabled: false, // 初期状態は無効
+      shortcutKey: "Ctrl+Shift+T", // デフォルトショートカット
+      lastUsed: null, // 最終使用時刻
+      version: "1.0.0", // 設定バージョン
+    };
+
+    this.currentSettings = { ...this.defaultSettings };
+    this.settingsKey = "theaterModeSettings";
+  }
+
+  /**
+   * 設定を読み込み
+   * @returns {Promise<Object>} 設定オブジェクト
+   */
+  async loadSettings() {
+    try {
+      let storedSettings = null;
+
+      // Chrome Storage API から読み込み
+      if (
+        typeof chrome !== "undefined" &&
+        chrome.storage &&
+        chrome.storage.sync
+      ) {
+        try {
+          const result = await chrome.storage.sync.get([this.settingsKey]);
+          storedSettings = result[this.settingsKey];
+        } catch (error) {
+          console.warn(
+            "YouTube Theater Mode: Chrome Storage API error:",
+            error
+          );
+
+          // localStorage にフォールバック
+          const stored = localStorage.getItem(this.settingsKey);
+          if (stored) {
+            storedSettings = JSON.parse(stored);
+          }
+        }
+      } else {
+        // localStorage から読み込み
+        const stored = localStorage.getItem(this.settingsKey);
+        if (stored) {
+          storedSettings = JSON.parse(stored);
+        }
+      }
+
+      // 設定をマージ
+      const settings = storedSettings
+        ? { ...this.defaultSettings, ...storedSettings }
+        : { ...this.defaultSettings };
+
+      this.currentSettings = settings;
+      return settings;
+    } catch (error) {
+      console.error("YouTube Theater Mode: Error loading settings:", error);
+      return this.defaultSettings;
+    }
+  }
+
+  /**
+   * ポップアップからバックグラウンド経由で保存された値を読み込み
+   * @param {string} key - ストレージキー
+   * @param {any} defaultValue - 値がない場合のデフォルト値
+   * @returns {Promise<any>} 保存された値
+   */
+  async loadSyncedValue(key, defaultValue) {
+    try {
+      if (
+        typeof chrome !== "undefined" &&
+        chrome.storage &&
+        chrome.storage.sync
+      ) {
+        const result = await chrome.storage.sync.get([key]);
+        return result[key] !== undefined ? result[key] : defaultValue;
+      }
+
+      const stored = localStorage.getItem(key);
+      return stored ? JSON.parse(stored) : defaultValue;
+    } catch (error) {
+      console.warn(`YouTube Theater Mode: Error loading ${key}:`, error);
+      return defaultValue;
+    }
+  }
+
+  /**
+   * セレクターの記録を読み込み
+   * 端末ごとの診断情報のため chrome.storage.local に保存する
+   * @returns {Promise<Object|null>} 保存されたデータ
+   */
+  async loadSelectorHealth() {
+    try {
+      const result = await chrome.storage.local.get([
+        SELECTOR_HEALTH_STORAGE_KEY,
+      ]);
+      return result[SELECTOR_HEALTH_STORAGE_KEY] || null;
+    } catch (error) {
+      console.warn(
+        "YouTube Theater Mode: Error loading selector health:",
+        error
+      );
+      return null;
+    }
+  }
+
+  /**
+   * 読み込んだセレクターパックを取得
+   * パックは同期の容量制限を超えることがあるため chrome.storage.local に保存する
+   * @returns {Promise<Object|null>} 保存されたパック（同梱のパックを使う場合はnull）
+   */
+  async loadSelectorPack() {
+    try {
+      const result = await chrome.storage.local.get([
+        SELECTOR_PACK_STORAGE_KEY,
+      ]);
+      return result[SELECTOR_PACK_STORAGE_KEY] || null;
+    } catch (error) {
+      console.warn("YouTube Theater Mode: Error loading selector pack:", error);
+      return null;
+    }
+  }
+
+  /**
+   * セレクターの記録を保存
+   * @param {Object} data - SelectorHealthTracker#toJSON() のデータ
+   * @returns {Promise<boolean>} 保存成功時true
+   */
+  async saveSelectorHealth(data) {
+    try {
+      await chrome.storage.local.set({ [SELECTOR_HEALTH_STORAGE_KEY]: data });
+      return true;
+    } catch (error) {
+      console.warn(
+        "YouTube Theater Mode: Error saving selector health:",
+        error
+      );
+      return false;
+    }
+  }
+
+  /**
+   * チャンネルプロファイルを読み込み
+   * @returns {Promise<Object>} チャンネルIDをキーとしたプロファイルのマップ
+   */
+  async loadChannelProfiles() {
+    return (await this.loadSyncedValue("channelProfiles", {})) || {};
+  }
+
+  /**
+   * オプションページで記録したキーボードショートカットを読み込み
+   * @returns {Promise<Object>} ショートカットIDをキーとした設定
+   */
+  async loadShortcuts() {
+    return (await this.loadSyncedValue("shortcuts", {})) || {};
+  }
+
+  /**
+   * キーシーケンスのショートカットで次のキーを待つ時間を読み込み
+   * @returns {Promise<number>} 待つ時間（ミリ秒、範囲外の値は範囲内に丸める）
+   */
+  async loadShortcutSequenceTimeout() {
+    return normalizeSequenceTimeout(
+      await this.loadSyncedValue(
+        "shortcutSequenceTimeout",
+        DEFAULT_SHORTCUT_SEQUENCE_TIMEOUT
+      )
+    );
+  }
+
+  /**
+   * ショートカットで変更したときのプレーヤー上の表示を消すまでの時間を読み込み
+   * @returns {Promise<number>} 表示し続ける時間（ミリ秒、範囲外の値は範囲内に丸める）
+   */
+  async loadOsdHideDelay() {
+    return normalizeOsdHideDelay(
+      await this.loadSyncedValue("osdHideDelay", DEFAULT_OSD_HIDE_DELAY)
+    );
   }
 
   /**
-   * 動画プレーヤーを確実に検出（非同期、リトライ機能付き）
-   * @param {number} timeout - タイムアウト時間（ミリ秒）
-   * @returns {Promise<Element|null>} 動画プレーヤー要素またはnull
+   * ユーザー定義のセレクタールールを読み込み
+   * ポップアップと同じスキーマ（SelectorRules）で検証し、無効なルールは除外する
+   * @returns {Promise<Array<Object>>} ルール { selector, type, enabled } の配列
    */
-  static async detectVideoPlayerAsync(timeout = 15000) {
-    const videoPlayerSelectors = [
-      "#movie_player",
-      ".html5-video-player",
-      '[data-testid="video-player"]',
-      ".ytp-player-content",
-      "#player-container",
-    ];
+  async loadCustomSelectorRules() {
+    const rules = await this.loadSyncedValue("customSelectorRules", []);
+    if (!Array.isArray(rules)) {
+      return [];
+    }
+
+    const validation = validateSelectorRules(rules);
+    if (validation.isSuccess()) {
+      return validation.data;
+    }
 
-    return await this.waitForElement(videoPlayerSelectors, timeout);
+    console.warn(
+      "YouTube Theater Mode: 無効なセレクタールールを除外しました",
+      validation.error
+    );
+    return rules
+      .flatMap((rule) => {
+        const result = validateSelectorRules([rule]);
+        return result.isSuccess() ? result.data : [];
+      })
+      .slice(0, MAX_SELECTOR_RULES);
   }
 
   /**
-   * オーバーレイ対象要素を全て検出
-   * @returns {Element[]} オーバーレイ対象要素の配列
+   * ページタイプ別の自動有効化設定を読み込み
+   * @returns {Promise<{enabled: boolean, pageTypes: Object<string, boolean>}>} 設定
    */
-  static findOverlayTargets() {
-    const overlaySelectors = [
-      "#secondary", // サイドバー
-      "#comments", // コメント欄
-      "ytd-comments", // 新しいコメント欄
-      "#masthead", // ヘッダー
-      ".ytd-masthead", // ヘッダー（新UI）
-      "#meta-contents", // 動画メタデータ
-      ".ytd-watch-metadata", // 動画メタデータ（新UI）
-      "#description", // 動画説明
-      ".ytd-video-secondary-info-renderer", // 動画情報
-      "#related", // 関連動画
-      ".ytp-suggestion-set", // 動画終了時の提案
-      "#chat", // ライブチャット
-      "ytd-live-chat-frame", // ライブチャット（新UI）
-    ];
+  async loadAutoEnableSettings() {
+    const enabled = await this.loadSyncedValue("autoEnable", false);
+    const pageTypes = await this.loadSyncedValue("autoEnablePageTypes", {});
 
-    const protectedSelectors = [
-      "#movie_player",
-      ".html5-video-player",
-      ".video-stream",
-      ".ytp-chrome-controls",
-      ".ytp-chrome-bottom",
-    ];
+    return {
+      enabled: enabled === true,
+      pageTypes: {
+        video: true,
+        shorts: false,
+        live: true,
+        premiere: true,
+        playlist: true,
+        ...(pageTypes || {}),
+      },
+    };
+  }
 
-    // オーバーレイ対象要素を検出
-    const elements = [];
-    overlaySelectors.forEach((selector) => {
-      try {
-        const found = document.querySelectorAll(selector);
-        found.forEach((element) => {
-          // 保護対象要素を除外
-          let isProtected = false;
-          for (const protectedSelector of protectedSelectors) {
-            if (
-              element.matches(protectedSelector) ||
-              element.closest(protectedSelector)
-            ) {
-              isProtected = true;
-              break;
-            }
-          }
+  /**
+   * 再生状態による自動切り替えのデフォルト設定
+   * @returns {Object} 設定（遅延はミリ秒）
+   */
+  static get defaultPlayerStateAutoDim() {
+    return { ...DEFAULT_PLAYER_STATE_AUTO_DIM };
+  }
 
-          if (!isProtected) {
-            elements.push(element);
-          }
-        });
-      } catch (error) {
-        console.warn(
-          `YouTube Theater Mode: Error finding elements with selector ${selector}:`,
-          error
-        );
-      }
-    });
+  /**
+   * 再生状態による自動切り替えの設定を読み込み
+   * @returns {Promise<Object>} 設定
+   */
+  async loadPlayerStateAutoDim() {
+    const settings = await this.loadSyncedValue("playerStateAutoDim", {});
+    return {
+      ...SettingsManager.defaultPlayerStateAutoDim,
+      ...(settings || {}),
+    };
+  }
 
-    return elements;
+  /**
+   * アンビエントモードのデフォルト設定
+   * @returns {Object} 設定（抽出間隔はミリ秒）
+   */
+  static get defaultAmbientSettings() {
+    return {
+      sampleInterval: 500,
+      saturation: 1.2,
+    };
   }
-}
 
-// 設定管理クラス
-class SettingsManager {
-  constructor() {
-    this.defaultSettings = {
-      opacity: 0.7, // デフォルト透明度 70%
-      isEnabled: false, // 初期状態は無効
-      shortcutKey: "Ctrl+Shift+T", // デフォルトショートカット
-      lastUsed: null, // 最終使用時刻
-      version: "1.0.0", // 設定バージョン
+  /**
+   * アンビエントモードの設定を読み込み
+   * @returns {Promise<Object>} 設定
+   */
+  async loadAmbientSettings() {
+    const settings = await this.loadSyncedValue("ambientSettings", {});
+    return {
+      ...SettingsManager.defaultAmbientSettings,
+      ...(settings || {}),
     };
+  }
 
-    this.currentSettings = { ...this.defaultSettings };
-    this.settingsKey = "theaterModeSettings";
+  /**
+   * オーバーレイの効果のデフォルト値
+   * @returns {Object} 効果（opacity, blur, grayscale, brightness）
+   */
+  static get defaultOverlayEffects() {
+    return {
+      opacity: 0.7,
+      blur: 0,
+      grayscale: 0,
+      brightness: 1,
+    };
   }
 
   /**
-   * 設定を読み込み
-   * @returns {Promise<Object>} 設定オブジェクト
+   * オーバーレイの効果を読み込み
+   * @returns {Promise<Object>} 効果
    */
-  async loadSettings() {
-    try {
-      let storedSettings = null;
+  async loadOverlayEffects() {
+    const effects = await this.loadSyncedValue("overlayEffects", {});
+    return normalizeOverlayEffects({
+      ...SettingsManager.defaultOverlayEffects,
+      ...(effects || {}),
+    });
+  }
 
-      // Chrome Storage API から読み込み
-      if (
-        typeof chrome !== "undefined" &&
-        chrome.storage &&
-        chrome.storage.sync
-      ) {
-        try {
-          const result = await chrome.storage.sync.get([this.settingsKey]);
-          storedSettings = result[this.settingsKey];
-        } catch (error) {
-          console.warn(
-            "YouTube Theater Mode: Chrome Storage API error:",
-            error
-          );
+  /**
+   * 透明度と効果のプリセットを読み込み
+   * @returns {Promise<Array<Object>>} プリセットの一覧
+   */
+  async loadOpacityPresets() {
+    const presets = await this.loadSyncedValue("opacityPresets", []);
+    return normalizeOpacityPresets(presets);
+  }
 
-          // localStorage にフォールバック
-          const stored = localStorage.getItem(this.settingsKey);
-          if (stored) {
-            storedSettings = JSON.parse(stored);
-          }
-        }
-      } else {
-        // localStorage から読み込み
-        const stored = localStorage.getItem(this.settingsKey);
-        if (stored) {
-          storedSettings = JSON.parse(stored);
-        }
-      }
+  /**
+   * 領域ごとの暗さのデフォルト値
+   * @returns {Object} 領域名をキーとした暗さ（すべて全体の透明度に従う）
+   */
+  static get defaultOverlayRegionLevels() {
+    return { ...DEFAULT_OVERLAY_REGION_LEVELS };
+  }
 
-      // 設定をマージ
-      const settings = storedSettings
-        ? { ...this.defaultSettings, ...storedSettings }
-        : { ...this.defaultSettings };
+  /**
+   * 領域ごとの暗さを読み込み
+   * @returns {Promise<Object>} 領域名をキーとした暗さ
+   */
+  async loadOverlayRegionLevels() {
+    const levels = await this.loadSyncedValue("overlayRegionLevels", {});
+    return normalizeOverlayRegionLevels(levels);
+  }
 
-      this.currentSettings = settings;
-      return settings;
+  /**
+   * ホバー・フォーカスによる一時表示のデフォルト値
+   * @returns {Object} 表示設定（enabled, revealDelay, hideDelay）
+   */
+  static get defaultRevealSettings() {
+    return { ...DEFAULT_REVEAL_SETTINGS };
+  }
+
+  /**
+   * ホバー・フォーカスによる一時表示の設定を読み込み
+   * @returns {Promise<Object>} 表示設定
+   */
+  async loadRevealSettings() {
+    const settings = await this.loadSyncedValue("revealSettings", {});
+    return normalizeRevealSettings(settings);
+  }
+
+  /**
+   * Shorts のボタン列を暗くしないかどうかを読み込み
+   * @returns {Promise<boolean>} ボタン列を暗くしない場合はtrue
+   */
+  async loadShortsActionRailVisible() {
+    const visible = await this.loadSyncedValue("shortsActionRailVisible", true);
+    return visible !== false;
+  }
+
+  /**
+   * ライブ配信プロファイルのデフォルト値
+   * @returns {Object} プロファイル
+   */
+  static get defaultLiveChatProfile() {
+    return { ...DEFAULT_LIVE_CHAT_PROFILE };
+  }
+
+  /**
+   * ライブ配信プロファイルを読み込み
+   * @returns {Promise<Object>} プロファイル
+   */
+  async loadLiveChatProfile() {
+    const profile = await this.loadSyncedValue("liveChatProfile", {});
+    return normalizeLiveChatProfile(profile);
+  }
+
+  /**
+   * 描画モードの一覧
+   * @returns {string[]} 描画モード
+   */
+  static get overlayModes() {
+    return ["fade", "spotlight", "ambient"];
+  }
+
+  /**
+   * 描画モードを読み込み
+   * @returns {Promise<string>} "fade"、"spotlight" または "ambient"
+   */
+  async loadOverlayMode() {
+    const mode = await this.loadSyncedValue("overlayMode", "fade");
+    return SettingsManager.overlayModes.includes(mode) ? mode : "fade";
+  }
+
+  /**
+   * 描画モードをバックグラウンド経由で保存
+   * ポップアップで変更した場合と同じ設定に保存する
+   * @param {string} mode - "fade"、"spotlight" または "ambient"
+   * @returns {Promise<boolean>} 保存成功時true
+   */
+  async saveOverlayMode(mode) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: "saveSettings",
+        settings: { overlayMode: mode },
+      });
+      return Boolean(response && response.success);
     } catch (error) {
-      console.error("YouTube Theater Mode: Error loading settings:", error);
-      return this.defaultSettings;
+      console.warn("YouTube Theater Mode: Error saving overlayMode:", error);
+      return false;
     }
   }
 
@@ -711,8 +2766,19 @@ async function initializeTheaterMode() {
   window.theaterModeController = new TheaterModeController();
   await window.theaterModeController.initialize();
 
-  // ポップアップとの通信を設定
+  // ポップアップとライブチャットのフレームとの通信を設定
   setupPopupCommunication(window.theaterModeController);
+  window.theaterModeController.connectLiveChatFrame();
+
+  // 再生状態と Shorts のリールの監視を開始
+  window.theaterModeController.watchPlayerState();
+  await window.theaterModeController.watchShortsReels();
+
+  // 自動有効化とチャンネルプロファイルを適用し、以降のナビゲーションを監視
+  await window.theaterModeController.setupNavigationListener();
+  await window.theaterModeController.applyActiveSchedule();
+  await window.theaterModeController.applyAutoEnable();
+  await window.theaterModeController.applyChannelProfile();
 
   console.log("YouTube Theater Mode: 初期化完了");
 }
@@ -802,6 +2868,8 @@ function setupPopupCommunication(controller) {
 
       if (message.action === "updateOpacity" && message.opacity !== undefined) {
         const opacity = message.opacity;
+        // 手動で変更した透明度は再生再開時に上書きしない
+        controller.discardPausedOpacity();
         // 非同期処理を開始
         controller
           .updateOpacity(opacity)
@@ -818,6 +2886,40 @@ function setupPopupCommunication(controller) {
         return true;
       }
 
+      if (message.action === "updateOverlayEffects" && message.effects) {
+        // 手動で変更した透明度は再生再開時に上書きしない
+        if (message.effects.opacity !== undefined) {
+          controller.discardPausedOpacity();
+        }
+        // 非同期処理を開始
+        controller.updateOverlayEffects(message.effects).catch((error) => {
+          console.error("YouTube Theater Mode: 効果更新エラー", error);
+        });
+
+        sendResponse({ success: true });
+        return true;
+      }
+
+      if (message.action === "applyOpacityPreset") {
+        // 非同期処理を開始
+        controller.applyOpacityPreset(message.index).catch((error) => {
+          console.error("YouTube Theater Mode: プリセット適用エラー", error);
+        });
+
+        sendResponse({ success: true });
+        return true;
+      }
+
+      if (message.action === "updateOverlayRegions" && message.levels) {
+        // 非同期処理を開始
+        controller.setOverlayRegionLevels(message.levels).catch((error) => {
+          console.error("YouTube Theater Mode: 領域の暗さ変更エラー", error);
+        });
+
+        sendResponse({ success: true });
+        return true;
+      }
+
       if (message.action === "getState") {
         sendResponse({ success: true, state: controller.getState() });
         return true;
@@ -859,6 +2961,108 @@ function setupPopupCommunication(controller) {
         return true;
       }
 
+      if (message.action === "getChannel") {
+        controller.currentChannel = ElementDetector.detectChannel();
+        sendResponse({ success: true, channel: controller.currentChannel });
+        return true;
+      }
+
+      if (message.action === "applyChannelProfile") {
+        // 非同期処理を開始
+        controller.applyChannelProfile().catch((error) => {
+          console.error(
+            "YouTube Theater Mode: チャンネルプロファイル適用エラー",
+            error
+          );
+        });
+
+        sendResponse({ success: true });
+        return true;
+      }
+
+      if (message.action === "updateSelectorRules") {
+        // 非同期処理を開始
+        controller.reloadCustomSelectorRules().catch((error) => {
+          console.error(
+            "YouTube Theater Mode: セレクタールール更新エラー",
+            error
+          );
+        });
+
+        sendResponse({ success: true });
+        return true;
+      }
+
+      if (message.action === "updateSelectorPack") {
+        // 非同期処理を開始
+        controller.reloadSelectorPack().catch((error) => {
+          console.error(
+            "YouTube Theater Mode: セレクターパック更新エラー",
+            error
+          );
+        });
+
+        sendResponse({ success: true });
+        return true;
+      }
+
+      if (message.action === "updateOverlayMode" && message.mode) {
+        // 非同期処理を開始
+        controller.setOverlayMode(message.mode).catch((error) => {
+          console.error("YouTube Theater Mode: 描画モード変更エラー", error);
+        });
+
+        sendResponse({ success: true, mode: message.mode });
+        return true;
+      }
+
+      if (message.action === "updatePlayerStateAutoDim" && message.settings) {
+        controller.setPlayerStateAutoDim(message.settings);
+        sendResponse({ success: true });
+        return true;
+      }
+
+      if (message.action === "updateShortsActionRail") {
+        // 非同期処理を開始
+        controller.setShortsActionRailVisible(message.visible).catch((error) => {
+          console.error("YouTube Theater Mode: Shorts の設定変更エラー", error);
+        });
+
+        sendResponse({ success: true });
+        return true;
+      }
+
+      if (message.action === "updateLiveChatProfile" && message.profile) {
+        // 非同期処理を開始
+        controller.setLiveChatProfile(message.profile).catch((error) => {
+          console.error(
+            "YouTube Theater Mode: ライブ配信プロファイルの変更エラー",
+            error
+          );
+        });
+
+        sendResponse({ success: true });
+        return true;
+      }
+
+      if (message.action === "updateRevealSettings" && message.settings) {
+        controller.setRevealSettings(message.settings);
+        sendResponse({ success: true });
+        return true;
+      }
+
+      if (message.action === "updateAmbientSettings" && message.settings) {
+        controller.setAmbientSettings(message.settings);
+        sendResponse({ success: true });
+        return true;
+      }
+
+      if (message.action === "testSelectorRule" && message.selector) {
+        const result = controller.highlightSelector(message.selector);
+        sendResponse({ success: true, ...result });
+        return true;
+      }
+
       if (message.action === "setDefaultOpacity") {
         const defaultOpacity = message.opacity || 0.7;
         // 非同期処理を開始
@@ -880,6 +3084,39 @@ function setupPopupCommunication(controller) {
         return true;
       }
 
+      if (message.type === MessageType.SHORTCUT_COMMAND && message.data) {
+        // ブラウザのコマンドはページのショートカットと同じアクションを実行
+        const result = controller.shortcutManager
+          ? controller.shortcutManager.executeCommand(message.data.command)
+          : null;
+
+        sendResponse({ success: Boolean(result && result.isSuccess()) });
+        return true;
+      }
+
+      if (message.type === MessageType.THEATER_MODE_SET && message.data) {
+        // 自動有効化スケジュールの時間帯の開始・終了
+        controller
+          .applyProfileState(message.data.enabled === true)
+          .catch((error) => {
+            console.error("YouTube Theater Mode: 有効状態の変更エラー", error);
+          });
+
+        sendResponse({ success: true });
+        return true;
+      }
+
+      if (message.type === MessageType.OPACITY_CHANGE && message.data) {
+        // 自動有効化スケジュールの時間帯の透明度
+        controller.discardPausedOpacity();
+        controller.updateOpacity(message.data.value).catch((error) => {
+          console.error("YouTube Theater Mode: 透明度更新エラー", error);
+        });
+
+        sendResponse({ success: true });
+        return true;
+      }
+
       sendResponse({ success: false, error: "Unknown action" });
       return true;
     } catch (error) {
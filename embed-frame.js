@@ -0,0 +1,55 @@
+/**
+ * YouTube Theater Mode - Embed Frame Script
+ * 他のサイトに埋め込まれたプレーヤーの iframe 内で実行し、再生状態を埋め込み先のページに通知する
+ */
+
+/**
+ * 埋め込み先のページとの通信を開始
+ * 再生中は埋め込み先のページがプレーヤーの周囲を暗くする
+ */
+function initializeEmbedFrame() {
+  const hostOrigin = getEmbedHostOrigin();
+  if (!hostOrigin) {
+    return;
+  }
+
+  const bus = new MessageBus({ name: "embed_frame" });
+  bus.connectFrame(() => window.parent, hostOrigin);
+
+  let playing = false;
+
+  /**
+   * 再生状態が変わった場合のみ通知
+   * @param {boolean} nextPlaying - 再生中かどうか
+   */
+  const notifyPlayerState = (nextPlaying) => {
+    if (playing === nextPlaying) {
+      return;
+    }
+    playing = nextPlaying;
+
+    bus.send(
+      MessageType.EMBED_PLAYER_STATE,
+      { playing },
+      { target: MessageTarget.FRAME }
+    );
+    console.log("YouTube Theater Mode: 埋め込みプレーヤーの再生状態", playing);
+  };
+
+  // メディアのイベントはバブリングしないため、キャプチャで受け取る
+  document.addEventListener("playing", () => notifyPlayerState(true), true);
+  ["pause", "ended", "emptied"].forEach((eventName) => {
+    document.addEventListener(eventName, () => notifyPlayerState(false), true);
+  });
+
+  // 読み込み前に自動再生が始まっていた場合
+  const video = document.querySelector("video");
+  if (video && !video.paused && !video.ended) {
+    notifyPlayerState(true);
+  }
+}
+
+// 埋め込み先のページがある場合のみ実行
+if (window.parent !== window) {
+  initializeEmbedFrame();
+}
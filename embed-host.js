@@ -0,0 +1,214 @@
+/**
+ * YouTube Theater Mode - Embed Host Script
+ * YouTube プレーヤーを埋め込んだ他のサイトのページで実行し、再生中のプレーヤーの周囲を暗くする
+ * 埋め込みモードを有効にし、ホスト権限が許可されている場合のみバックグラウンドから登録される
+ */
+
+/**
+ * EmbedHostController クラス
+ * ページ内の埋め込みプレーヤーと接続し、再生中のプレーヤー以外を暗くする
+ */
+class EmbedHostController {
+  constructor() {
+    /** @type {number} 透明度（シアターモードの設定と共通） */
+    this.opacity = 0.7;
+
+    /** @type {Map<HTMLIFrameElement, MessageBus>} 接続済みのプレーヤー */
+    this.players = new Map();
+
+    /** @type {HTMLElement|null} プレーヤーの周囲を暗くする要素 */
+    this.overlayElement = null;
+
+    /** @type {HTMLIFrameElement|null} 再生中のプレーヤー */
+    this.overlayTarget = null;
+
+    /** @type {ResizeObserver|null} プレーヤーのサイズ変更の監視 */
+    this.overlayResizeObserver = null;
+
+    /** @type {number|null} 予約済みの位置更新 */
+    this.overlayFrame = null;
+
+    /** @type {MutationObserver|null} 後から追加されるプレーヤーの監視 */
+    this.playerObserver = null;
+
+    this.handleViewportChange = () => this.scheduleOverlayUpdate();
+  }
+
+  /**
+   * 初期化
+   */
+  async initialize() {
+    this.opacity = await this.loadOpacity();
+
+    findEmbedPlayers().forEach((player) => this.connectPlayer(player));
+
+    this.playerObserver = new MutationObserver(() => this.syncPlayers());
+    this.playerObserver.observe(document.body, {
+      childList: true,
+      subtree: true,
+    });
+
+    // ポップアップで透明度を変更した場合に追従
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "sync" && changes.opacity) {
+        this.opacity = changes.opacity.newValue;
+        this.updateOverlay();
+      }
+    });
+
+    console.log(
+      "YouTube Theater Mode: 埋め込みプレーヤーを検出しました",
+      this.players.size
+    );
+  }
+
+  /**
+   * 透明度の設定を読み込み
+   * @returns {Promise<number>} 透明度
+   */
+  async loadOpacity() {
+    try {
+      const result = await chrome.storage.sync.get(["opacity"]);
+      return typeof result.opacity === "number" ? result.opacity : this.opacity;
+    } catch (error) {
+      console.warn(
+        "YouTube Theater Mode: 透明度の読み込みに失敗しました",
+        error
+      );
+      return this.opacity;
+    }
+  }
+
+  /**
+   * 追加・削除されたプレーヤーとの接続を同期
+   */
+  syncPlayers() {
+    const current = findEmbedPlayers();
+
+    for (const [player, bus] of this.players) {
+      if (!current.includes(player)) {
+        bus.dispose();
+        this.players.delete(player);
+        if (this.overlayTarget === player) {
+          this.removeOverlay();
+        }
+      }
+    }
+
+    current
+      .filter((player) => !this.players.has(player))
+      .forEach((player) => this.connectPlayer(player));
+  }
+
+  /**
+   * プレーヤーと接続し、再生状態の通知を受け取る
+   * @param {HTMLIFrameElement} player - 埋め込みプレーヤー
+   */
+  connectPlayer(player) {
+    const bus = new MessageBus({ name: "embed_host" });
+    bus.connectFrame(
+      () => player.contentWindow,
+      getEmbedPlayerOrigin(player.src)
+    );
+
+    bus.registerHandler(MessageType.EMBED_PLAYER_STATE, (message) => {
+      if (message.data.playing) {
+        this.applyOverlay(player);
+      } else if (this.overlayTarget === player) {
+        this.removeOverlay();
+      }
+    });
+
+    this.players.set(player, bus);
+  }
+
+  /**
+   * プレーヤーの周囲を暗くする
+   * @param {HTMLIFrameElement} player - 再生中のプレーヤー
+   */
+  applyOverlay(player) {
+    if (this.overlayTarget === player) return;
+
+    this.removeOverlay();
+
+    this.overlayElement = document.createElement("div");
+    this.overlayElement.className = EMBED_OVERLAY_CLASS;
+    this.overlayElement.setAttribute("aria-hidden", "true");
+    document.body.appendChild(this.overlayElement);
+    this.overlayTarget = player;
+    this.updateOverlay();
+
+    // プレーヤーのサイズ変更とスクロールに追従
+    if (typeof ResizeObserver !== "undefined") {
+      this.overlayResizeObserver = new ResizeObserver(
+        this.handleViewportChange
+      );
+      this.overlayResizeObserver.observe(player);
+    }
+    window.addEventListener("scroll", this.handleViewportChange, {
+      passive: true,
+    });
+    window.addEventListener("resize", this.handleViewportChange);
+
+    console.log("YouTube Theater Mode: 埋め込みプレーヤーの周囲を暗くしました");
+  }
+
+  /**
+   * 暗くする要素の位置と暗さを更新
+   */
+  updateOverlay() {
+    this.overlayFrame = null;
+
+    if (!this.overlayElement || !this.overlayTarget) return;
+
+    positionEmbedOverlay(
+      this.overlayElement,
+      this.overlayTarget.getBoundingClientRect(),
+      this.opacity
+    );
+  }
+
+  /**
+   * 位置の更新を次のフレームに予約
+   */
+  scheduleOverlayUpdate() {
+    if (this.overlayFrame !== null) return;
+
+    this.overlayFrame = requestAnimationFrame(() => this.updateOverlay());
+  }
+
+  /**
+   * 暗くする要素を削除
+   */
+  removeOverlay() {
+    window.removeEventListener("scroll", this.handleViewportChange);
+    window.removeEventListener("resize", this.handleViewportChange);
+
+    if (this.overlayResizeObserver) {
+      this.overlayResizeObserver.disconnect();
+      this.overlayResizeObserver = null;
+    }
+
+    if (this.overlayFrame !== null) {
+      cancelAnimationFrame(this.overlayFrame);
+      this.overlayFrame = null;
+    }
+
+    if (this.overlayElement) {
+      this.overlayElement.remove();
+      this.overlayElement = null;
+    }
+
+    this.overlayTarget = null;
+  }
+}
+
+// 埋め込みプレーヤーのある最上位のページのみ対象とする
+if (window.top === window) {
+  new EmbedHostController().initialize().catch((error) => {
+    console.error(
+      "YouTube Theater Mode: 埋め込みモードの初期化に失敗しました",
+      error
+    );
+  });
+}
@@ -0,0 +1,488 @@
+/**
+ * AmbientColorSampler
+ * 再生中の <video> のフレームを小さなキャンバスに縮小して色を抽出し、
+ * アンビエントモードで暗転部分に重ねる色を求める
+ *
+ * コンテンツスクリプトからも読み込むため、他のモジュールには依存しない
+ */
+
+/**
+ * アンビエントモードのデフォルト設定
+ * @readonly
+ * @type {Object}
+ */
+const DEFAULT_AMBIENT_SETTINGS = {
+  sampleInterval: 500, // 色を抽出する間隔（ミリ秒）
+  saturation: 1.2, // 抽出した色の彩度の倍率
+};
+
+/**
+ * 抽出間隔の範囲（ミリ秒）
+ * @readonly
+ * @type {{min: number, max: number}}
+ */
+const AMBIENT_SAMPLE_INTERVAL_RANGE = { min: 100, max: 5000 };
+
+/**
+ * 彩度の倍率の範囲
+ * @readonly
+ * @type {{min: number, max: number}}
+ */
+const AMBIENT_SATURATION_RANGE = { min: 0, max: 2 };
+
+/**
+ * 抽出用キャンバスのサイズ（16:9）
+ * @type {{width: number, height: number}}
+ */
+const SAMPLE_CANVAS_SIZE = { width: 32, height: 18 };
+
+/**
+ * 黒とみなすフレームの平均輝度（DRM 保護や読み込み中のフレームは黒になる）
+ * @type {number}
+ */
+const BLACK_FRAME_LUMINANCE = 8;
+
+/**
+ * 抽出間隔を延ばす直近のフレームドロップ数
+ * PerformanceMonitor が FRAME_DROPS を報告する閾値に合わせる
+ * @type {number}
+ */
+const FRAME_DROP_THRESHOLD = 10;
+
+/**
+ * 抽出間隔の最大倍率
+ * @type {number}
+ */
+const MAX_BACKOFF = 8;
+
+/**
+ * 値を範囲内に制限
+ * @param {number} value - 値
+ * @param {number} min - 最小値
+ * @param {number} max - 最大値
+ * @returns {number} 制限された値
+ */
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * アンビエントモードの設定を正規化
+ * 範囲外の値は範囲内に丸め、不正な値はデフォルト値に置き換える
+ * @param {Object} [settings] - 保存された設定
+ * @returns {Object} 正規化された設定
+ */
+var normalizeAmbientSettings = (settings) => {
+  const source = settings && typeof settings === "object" ? settings : {};
+  const normalized = { ...DEFAULT_AMBIENT_SETTINGS };
+
+  if (Number.isFinite(source.sampleInterval)) {
+    normalized.sampleInterval = Math.round(
+      clamp(
+        source.sampleInterval,
+        AMBIENT_SAMPLE_INTERVAL_RANGE.min,
+        AMBIENT_SAMPLE_INTERVAL_RANGE.max
+      )
+    );
+  }
+
+  if (Number.isFinite(source.saturation)) {
+    normalized.saturation = clamp(
+      source.saturation,
+      AMBIENT_SATURATION_RANGE.min,
+      AMBIENT_SATURATION_RANGE.max
+    );
+  }
+
+  return normalized;
+};
+
+/**
+ * 縮小したフレームの画素から代表色を求める
+ * 画面の外周部を重視し、彩度の高い画素ほど重みを大きくする
+ * @param {Uint8ClampedArray|number[]} data - RGBA の画素データ
+ * @param {number} width - 画像の幅
+ * @param {number} height - 画像の高さ
+ * @param {Object} [options] - オプション
+ * @param {number} [options.edgeRatio=0.25] - 外周部とみなす幅の割合
+ * @returns {{r: number, g: number, b: number}|null} 代表色（黒いフレームの場合はnull）
+ */
+const computeAmbientColor = (data, width, height, options = {}) => {
+  const edgeRatio = options.edgeRatio !== undefined ? options.edgeRatio : 0.25;
+  const edgeX = Math.max(1, Math.floor(width * edgeRatio));
+  const edgeY = Math.max(1, Math.floor(height * edgeRatio));
+
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let totalWeight = 0;
+  let luminance = 0;
+  let count = 0;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const pr = data[i];
+      const pg = data[i + 1];
+      const pb = data[i + 2];
+
+      luminance += 0.2126 * pr + 0.7152 * pg + 0.0722 * pb;
+      count++;
+
+      const isEdge =
+        x < edgeX || x >= width - edgeX || y < edgeY || y >= height - edgeY;
+      const chroma = Math.max(pr, pg, pb) - Math.min(pr, pg, pb);
+      const weight = (isEdge ? 2 : 1) * (0.25 + chroma / 255);
+
+      r += pr * weight;
+      g += pg * weight;
+      b += pb * weight;
+      totalWeight += weight;
+    }
+  }
+
+  if (count === 0 || luminance / count < BLACK_FRAME_LUMINANCE) {
+    return null;
+  }
+
+  return {
+    r: Math.round(r / totalWeight),
+    g: Math.round(g / totalWeight),
+    b: Math.round(b / totalWeight),
+  };
+};
+
+/**
+ * 色の彩度を変更
+ * HSL の彩度に倍率を掛け、明度と色相は保持する
+ * @param {{r: number, g: number, b: number}} color - 元の色
+ * @param {number} factor - 彩度の倍率
+ * @returns {{r: number, g: number, b: number}} 変更後の色
+ */
+const adjustSaturation = (color, factor) => {
+  const r = color.r / 255;
+  const g = color.g / 255;
+  const b = color.b / 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 2;
+
+  if (max === min) {
+    return { ...color };
+  }
+
+  const delta = max - min;
+  const saturation =
+    lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  let hue;
+  if (max === r) {
+    hue = (g - b) / delta + (g < b ? 6 : 0);
+  } else if (max === g) {
+    hue = (b - r) / delta + 2;
+  } else {
+    hue = (r - g) / delta + 4;
+  }
+  hue /= 6;
+
+  const s = clamp(saturation * factor, 0, 1);
+  const q =
+    lightness < 0.5 ? lightness * (1 + s) : lightness + s - lightness * s;
+  const p = 2 * lightness - q;
+  const toChannel = (t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    let value;
+    if (t < 1 / 6) value = p + (q - p) * 6 * t;
+    else if (t < 1 / 2) value = q;
+    else if (t < 2 / 3) value = p + (q - p) * (2 / 3 - t) * 6;
+    else value = p;
+    return Math.round(value * 255);
+  };
+
+  return {
+    r: toChannel(hue + 1 / 3),
+    g: toChannel(hue),
+    b: toChannel(hue - 1 / 3),
+  };
+};
+
+/**
+ * 色を CSS カスタムプロパティ用の "r, g, b" 形式に変換
+ * @param {{r: number, g: number, b: number}} color - 色
+ * @returns {string} "r, g, b" 形式の文字列
+ */
+const formatAmbientColor = (color) => `${color.r}, ${color.g}, ${color.b}`;
+
+/**
+ * アンビエントカラー抽出クラス
+ * 一定間隔で <video> のフレームから色を抽出し、色が変わった場合にコールバックへ通知する
+ * フレームドロップが続く場合は抽出間隔を延ばす
+ */
+class AmbientColorSampler {
+  /**
+   * AmbientColorSamplerインスタンスを作成
+   * @param {Object} dependencies - 依存関係オブジェクト
+   * @param {Function} dependencies.getVideoElement - 抽出対象の <video> を返す関数
+   * @param {Object} [dependencies.performanceMonitor] - getRenderingStats() を持つ PerformanceMonitor
+   * @param {Object} [dependencies.logger] - ロガーインスタンス
+   * @param {Function} [dependencies.createCanvas] - (width, height) からキャンバスを作成する関数
+   * @param {Object} [settings] - アンビエントモードの設定
+   */
+  constructor(dependencies, settings) {
+    if (!dependencies || typeof dependencies.getVideoElement !== "function") {
+      throw new Error("getVideoElement is required");
+    }
+
+    this.getVideoElement = dependencies.getVideoElement;
+    this.performanceMonitor = dependencies.performanceMonitor || null;
+    this.logger = dependencies.logger || null;
+    this.createCanvas =
+      dependencies.createCanvas || AmbientColorSampler.createDefaultCanvas;
+
+    this.settings = normalizeAmbientSettings(settings);
+
+    // 抽出用キャンバス（最初の抽出時に作成）
+    this.context = null;
+
+    this.timer = null;
+    this.running = false;
+    this.onColor = null;
+
+    // フレームドロップによる抽出間隔の倍率
+    this.backoff = 1;
+
+    // 読み取れない（クロスオリジンの）<video>
+    this.unreadableVideo = null;
+
+    // 最後に抽出したフレームの再生位置
+    this.lastVideo = null;
+    this.lastFrameTime = null;
+
+    // 最後に通知した色（"r, g, b" 形式、未通知はundefined）
+    this.lastColorValue = undefined;
+  }
+
+  /**
+   * 既定のキャンバスを作成
+   * OffscreenCanvas が使える場合は DOM に追加しないキャンバスを使う
+   * @param {number} width - 幅
+   * @param {number} height - 高さ
+   * @returns {OffscreenCanvas|HTMLCanvasElement} キャンバス
+   */
+  static createDefaultCanvas(width, height) {
+    if (typeof OffscreenCanvas !== "undefined") {
+      return new OffscreenCanvas(width, height);
+    }
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+  }
+
+  /**
+   * 色の抽出を開始
+   * @param {Function} onColor - 色が変わった場合に呼び出す関数（色を抽出できない場合はnull）
+   */
+  start(onColor) {
+    this.onColor = onColor;
+
+    if (this.running) {
+      return;
+    }
+
+    this.running = true;
+    this.backoff = 1;
+    this._tick();
+  }
+
+  /**
+   * 色の抽出を停止
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.running = false;
+    this.lastVideo = null;
+    this.lastFrameTime = null;
+    this.lastColorValue = undefined;
+  }
+
+  /**
+   * 設定を更新
+   * 次回の抽出から反映される
+   * @param {Object} settings - アンビエントモードの設定
+   * @returns {Object} 正規化された設定
+   */
+  updateSettings(settings) {
+    this.settings = normalizeAmbientSettings(settings);
+    // 彩度の変更を次の抽出で反映するため、同じフレームでも再抽出させる
+    this.lastFrameTime = null;
+    return this.settings;
+  }
+
+  /**
+   * 現在のフレームから色を抽出して通知
+   * @returns {{r: number, g: number, b: number}|null|undefined} 抽出した色（抽出できない場合はnull、
+   *   フレームが変わっていない場合はundefined）
+   */
+  sample() {
+    const video = this.getVideoElement();
+
+    // HAVE_CURRENT_DATA 未満のフレームは描画できない
+    if (!video || video.readyState < 2) {
+      return undefined;
+    }
+
+    if (video === this.unreadableVideo) {
+      return null;
+    }
+
+    // 一時停止中など、前回と同じフレームは抽出しない
+    if (video === this.lastVideo && video.currentTime === this.lastFrameTime) {
+      return undefined;
+    }
+
+    let color;
+    try {
+      const { width, height } = SAMPLE_CANVAS_SIZE;
+      if (!this.context) {
+        const canvas = this.createCanvas(width, height);
+        this.context = canvas.getContext("2d", { willReadFrequently: true });
+      }
+
+      this.context.drawImage(video, 0, 0, width, height);
+      const image = this.context.getImageData(0, 0, width, height);
+      color = computeAmbientColor(image.data, width, height);
+    } catch (error) {
+      // クロスオリジンの動画ではキャンバスが汚染され、画素を読み取れない
+      if (error && error.name === "SecurityError") {
+        this.unreadableVideo = video;
+        if (this.logger) {
+          this.logger.warn("Video frame cannot be read for ambient color", {
+            error: error.message,
+          });
+        }
+        this._emit(null);
+        return null;
+      }
+      throw error;
+    }
+
+    this.lastVideo = video;
+    this.lastFrameTime = video.currentTime;
+
+    const adjusted = color
+      ? adjustSaturation(color, this.settings.saturation)
+      : null;
+    this._emit(adjusted);
+    return adjusted;
+  }
+
+  /**
+   * 色が変わった場合のみ通知
+   * @param {{r: number, g: number, b: number}|null} color - 色
+   * @private
+   */
+  _emit(color) {
+    const value = color ? formatAmbientColor(color) : null;
+    if (value === this.lastColorValue) {
+      return;
+    }
+
+    this.lastColorValue = value;
+    if (this.onColor) {
+      this.onColor(color);
+    }
+  }
+
+  /**
+   * 色を抽出して次の抽出を予約
+   * @private
+   */
+  _tick() {
+    this.timer = null;
+    if (!this.running) {
+      return;
+    }
+
+    try {
+      this.sample();
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error("Ambient color sampling failed", error);
+      }
+    }
+
+    this._updateBackoff();
+    this.timer = setTimeout(
+      () => this._tick(),
+      this.settings.sampleInterval * this.backoff
+    );
+  }
+
+  /**
+   * 直近のフレームドロップに合わせて抽出間隔の倍率を更新
+   * @private
+   */
+  _updateBackoff() {
+    if (!this.performanceMonitor) {
+      return;
+    }
+
+    const stats = this.performanceMonitor.getRenderingStats();
+    const frameDrops = stats ? stats.recentFrameDrops : 0;
+
+    if (frameDrops > FRAME_DROP_THRESHOLD) {
+      this.backoff = Math.min(MAX_BACKOFF, this.backoff * 2);
+    } else if (this.backoff > 1) {
+      this.backoff = Math.max(1, this.backoff / 2);
+    }
+  }
+
+  /**
+   * 現在の状態を取得
+   * @returns {Object} 現在の状態
+   */
+  getState() {
+    return {
+      running: this.running,
+      interval: this.settings.sampleInterval * this.backoff,
+      backoff: this.backoff,
+      readable: this.unreadableVideo !== this.getVideoElement(),
+      color: this.lastColorValue === undefined ? null : this.lastColorValue,
+    };
+  }
+}
+
+/**
+ * 新しいAmbientColorSamplerインスタンスを作成
+ * @param {Object} dependencies - 依存関係オブジェクト
+ * @param {Object} [settings] - アンビエントモードの設定
+ * @returns {AmbientColorSampler} 新しいAmbientColorSamplerインスタンス
+ */
+const createAmbientColorSampler = (dependencies, settings) =>
+  new AmbientColorSampler(dependencies, settings);
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    DEFAULT_AMBIENT_SETTINGS,
+    AMBIENT_SAMPLE_INTERVAL_RANGE,
+    AMBIENT_SATURATION_RANGE,
+    normalizeAmbientSettings,
+    computeAmbientColor,
+    adjustSaturation,
+    formatAmbientColor,
+    AmbientColorSampler,
+    createAmbientColorSampler,
+  };
+} else if (typeof window !== "undefined") {
+  window.DEFAULT_AMBIENT_SETTINGS = DEFAULT_AMBIENT_SETTINGS;
+  window.AMBIENT_SAMPLE_INTERVAL_RANGE = AMBIENT_SAMPLE_INTERVAL_RANGE;
+  window.AMBIENT_SATURATION_RANGE = AMBIENT_SATURATION_RANGE;
+  window.normalizeAmbientSettings = normalizeAmbientSettings;
+  window.computeAmbientColor = computeAmbientColor;
+  window.adjustSaturation = adjustSaturation;
+  window.formatAmbientColor = formatAmbientColor;
+  window.AmbientColorSampler = AmbientColorSampler;
+  window.createAmbientColorSampler = createAmbientColorSampler;
+}
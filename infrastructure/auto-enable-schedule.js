@@ -0,0 +1,272 @@
+/**
+ * AutoEnableSchedule
+ * 曜日と時間帯によるシアターモードの自動有効化スケジュールを評価
+ * autoEnable 設定が有効な場合に BackgroundService から利用される
+ */
+
+// 依存関係のインポート
+var Result, ErrorType;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ Result, ErrorType } = require("./error-handler.js"));
+}
+
+/**
+ * 登録できる時間帯の最大数
+ * @type {number}
+ */
+var MAX_SCHEDULE_WINDOWS = 20;
+
+/**
+ * "HH:MM" 形式の時刻を0時からの分数に変換
+ * @param {string} time - 時刻文字列
+ * @returns {number|null} 分数（不正な形式の場合はnull）
+ */
+const parseScheduleTime = (time) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(time);
+  if (!match) {
+    return null;
+  }
+
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+/**
+ * 時間帯を検証して正規化
+ * @param {Object} timeWindow - 時間帯 { id, days, start, end, opacity, enabled }
+ * @returns {Result<Object>} 正規化された時間帯
+ */
+var normalizeScheduleWindow = (timeWindow) => {
+  if (!timeWindow || typeof timeWindow !== "object") {
+    return Result.failure("Schedule window must be an object", {
+      type: ErrorType.VALIDATION_ERROR,
+    });
+  }
+
+  const days = Array.isArray(timeWindow.days)
+    ? [...new Set(timeWindow.days)].sort()
+    : [];
+  if (
+    days.length === 0 ||
+    !days.every((day) => Number.isInteger(day) && day >= 0 && day <= 6)
+  ) {
+    return Result.failure("Schedule days must be weekdays between 0 and 6", {
+      type: ErrorType.VALIDATION_ERROR,
+      context: { days: timeWindow.days },
+    });
+  }
+
+  const start = parseScheduleTime(timeWindow.start);
+  const end = parseScheduleTime(timeWindow.end);
+  if (start === null || end === null || start === end) {
+    return Result.failure("Schedule times must be distinct HH:MM values", {
+      type: ErrorType.VALIDATION_ERROR,
+      context: { start: timeWindow.start, end: timeWindow.end },
+    });
+  }
+
+  const opacity = timeWindow.opacity === undefined ? 0.7 : timeWindow.opacity;
+  if (typeof opacity !== "number" || opacity < 0 || opacity > 0.9) {
+    return Result.failure("Schedule opacity must be between 0 and 0.9", {
+      type: ErrorType.VALIDATION_ERROR,
+      context: { opacity: timeWindow.opacity },
+    });
+  }
+
+  return Result.success({
+    id:
+      typeof timeWindow.id === "string" && timeWindow.id
+        ? timeWindow.id
+        : `${days.join("")}-${timeWindow.start}-${timeWindow.end}`,
+    days,
+    start: timeWindow.start,
+    end: timeWindow.end,
+    opacity,
+    enabled: timeWindow.enabled !== false,
+  });
+};
+
+/**
+ * 自動有効化スケジュールクラス
+ * 時間帯の一覧から、指定時刻に有効な時間帯と次の切り替え時刻を求める
+ * 終了時刻が開始時刻より前の時間帯は日付をまたぐものとして扱う（例: 22:00-02:00）
+ */
+var AutoEnableSchedule = class AutoEnableSchedule {
+  /**
+   * AutoEnableScheduleインスタンスを作成
+   * @param {Array<Object>} windows - 正規化済みの時間帯
+   */
+  constructor(windows = []) {
+    this.windows = windows.filter(
+      (timeWindow) => timeWindow.enabled !== false
+    );
+  }
+
+  /**
+   * 時間帯の一覧を検証
+   * @param {Array<Object>} windows - 検証する時間帯
+   * @returns {Result<Array<Object>>} 正規化された時間帯
+   */
+  static validate(windows) {
+    if (!Array.isArray(windows)) {
+      return Result.failure("Schedule must be an array", {
+        type: ErrorType.VALIDATION_ERROR,
+      });
+    }
+
+    if (windows.length > MAX_SCHEDULE_WINDOWS) {
+      return Result.failure(
+        `Schedule has too many windows (max: ${MAX_SCHEDULE_WINDOWS})`,
+        { type: ErrorType.VALIDATION_ERROR }
+      );
+    }
+
+    const normalized = [];
+    for (const timeWindow of windows) {
+      const result = normalizeScheduleWindow(timeWindow);
+      if (result.isFailure()) {
+        return result;
+      }
+      normalized.push(result.data);
+    }
+
+    return Result.success(normalized);
+  }
+
+  /**
+   * 不正な時間帯を除外してインスタンスを作成
+   * @param {Array<Object>} windows - 保存された時間帯
+   * @returns {AutoEnableSchedule} 新しいインスタンス
+   */
+  static fromSettings(windows) {
+    const normalized = (Array.isArray(windows) ? windows : [])
+      .map((timeWindow) => normalizeScheduleWindow(timeWindow))
+      .filter((result) => result.isSuccess())
+      .map((result) => result.data);
+
+    return new AutoEnableSchedule(normalized);
+  }
+
+  /**
+   * 指定時刻に有効な時間帯を取得
+   * 複数の時間帯が重なる場合は最も遅く始まったものを優先する
+   * @param {Date} [date=new Date()] - 評価する時刻
+   * @returns {Object|null} { timeWindow, startedAt, key } またはnull
+   */
+  getActiveWindow(date = new Date()) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const today = date.getDay();
+    const yesterday = (today + 6) % 7;
+    let active = null;
+
+    for (const timeWindow of this.windows) {
+      const start = parseScheduleTime(timeWindow.start);
+      const end = parseScheduleTime(timeWindow.end);
+      let startedAt = null;
+
+      if (start < end) {
+        if (
+          timeWindow.days.includes(today) &&
+          minutes >= start &&
+          minutes < end
+        ) {
+          startedAt = this._atMinutes(date, 0, start);
+        }
+      } else if (timeWindow.days.includes(today) && minutes >= start) {
+        startedAt = this._atMinutes(date, 0, start);
+      } else if (timeWindow.days.includes(yesterday) && minutes < end) {
+        // 前日に始まった日付をまたぐ時間帯
+        startedAt = this._atMinutes(date, -1, start);
+      }
+
+      if (startedAt && (!active || startedAt > active.startedAt)) {
+        active = {
+          timeWindow,
+          startedAt,
+          key: `${timeWindow.id}@${startedAt.getTime()}`,
+        };
+      }
+    }
+
+    return active;
+  }
+
+  /**
+   * 指定時刻より後の最初の切り替え時刻（開始または終了）を取得
+   * @param {Date} [date=new Date()] - 基準時刻
+   * @returns {Date|null} 次の切り替え時刻（時間帯がない場合はnull）
+   */
+  getNextTransition(date = new Date()) {
+    let next = null;
+
+    // 日付をまたぐ時間帯のため前日から1週間後までを調べる
+    for (let offset = -1; offset <= 7; offset++) {
+      const day = (date.getDay() + offset + 7) % 7;
+
+      for (const timeWindow of this.windows) {
+        if (!timeWindow.days.includes(day)) {
+          continue;
+        }
+
+        const start = parseScheduleTime(timeWindow.start);
+        const end = parseScheduleTime(timeWindow.end);
+        const candidates = [
+          this._atMinutes(date, offset, start),
+          this._atMinutes(date, start < end ? offset : offset + 1, end),
+        ];
+
+        for (const candidate of candidates) {
+          if (candidate > date && (!next || candidate < next)) {
+            next = candidate;
+          }
+        }
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * 基準日から指定日数後の指定時刻を作成
+   * @param {Date} date - 基準日
+   * @param {number} dayOffset - 日数
+   * @param {number} minutes - 0時からの分数
+   * @returns {Date} 作成した時刻
+   * @private
+   */
+  _atMinutes(date, dayOffset, minutes) {
+    return new Date(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate() + dayOffset,
+      Math.floor(minutes / 60),
+      minutes % 60
+    );
+  }
+};
+
+/**
+ * 新しいAutoEnableScheduleインスタンスを作成
+ * @param {Array<Object>} windows - 保存された時間帯
+ * @returns {AutoEnableSchedule} 新しいAutoEnableScheduleインスタンス
+ */
+const createAutoEnableSchedule = (windows) =>
+  AutoEnableSchedule.fromSettings(windows);
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MAX_SCHEDULE_WINDOWS,
+    AutoEnableSchedule,
+    parseScheduleTime,
+    normalizeScheduleWindow,
+    createAutoEnableSchedule,
+  };
+} else if (typeof window !== "undefined") {
+  window.MAX_SCHEDULE_WINDOWS = MAX_SCHEDULE_WINDOWS;
+  window.AutoEnableSchedule = AutoEnableSchedule;
+  window.parseScheduleTime = parseScheduleTime;
+  window.normalizeScheduleWindow = normalizeScheduleWindow;
+  window.createAutoEnableSchedule = createAutoEnableSchedule;
+}
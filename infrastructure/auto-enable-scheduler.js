@@ -0,0 +1,198 @@
+/**
+ * AutoEnableScheduler
+ * 自動有効化スケジュールをサービスワーカーで評価し、YouTube タブに反映する
+ * 次の切り替え時刻に chrome.alarms のアラームを設定し、停止中のサービスワーカーも起こして評価する
+ */
+
+// 依存関係のインポート
+var Result, ErrorType, MessageType, AutoEnableSchedule;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ Result, ErrorType } = require("./error-handler.js"));
+  ({ MessageType } = require("./message-bus.js"));
+  ({ AutoEnableSchedule } = require("./auto-enable-schedule.js"));
+}
+
+/**
+ * 自動有効化スケジュールのアラーム名
+ * @type {string}
+ */
+var SCHEDULE_ALARM_NAME = "youtube-theater-mode-schedule";
+
+/**
+ * 最後に反映した時間帯の保存先（chrome.storage.local のキー）
+ * @type {string}
+ */
+var SCHEDULE_STATE_KEY = "scheduleState";
+
+/**
+ * 自動有効化スケジュールの評価
+ * 時間帯の開始・終了をまたいだときだけ状態を変更するため、
+ * 時間帯の途中でユーザーが手動で切り替えた状態は上書きしない
+ */
+var AutoEnableScheduler = class AutoEnableScheduler {
+  /**
+   * AutoEnableSchedulerインスタンスを作成
+   * @param {Object} dependencies - 依存関係
+   * @param {Object} dependencies.logger - ロガー
+   * @param {Function} dependencies.getSettings - 設定を取得する関数
+   * @param {Function} dependencies.saveSettings - 設定を保存する関数
+   * @param {Function} dependencies.sendToYouTubeTabs - YouTube タブにメッセージを送信する関数
+   * @param {Object} dependencies.storage - 時間帯を保存するストレージ（chrome.storage.local）
+   * @param {Object} dependencies.alarms - アラームの API（chrome.alarms）
+   */
+  constructor(dependencies) {
+    this.logger = dependencies.logger;
+    this.getSettings = dependencies.getSettings;
+    this.saveSettings = dependencies.saveSettings;
+    this.sendToYouTubeTabs = dependencies.sendToYouTubeTabs;
+    this.storage = dependencies.storage;
+    this.alarms = dependencies.alarms;
+
+    // 実行中の評価（同時に評価して二重に適用しないよう直列化）
+    this.evaluation = Promise.resolve();
+  }
+
+  /**
+   * アラームを処理
+   * @param {Object} alarm - 発火したアラーム
+   * @returns {Promise<Result<Object>>|null} 評価結果（スケジュールのアラームでない場合はnull）
+   */
+  handleAlarm(alarm) {
+    if (alarm.name !== SCHEDULE_ALARM_NAME) {
+      return null;
+    }
+    return this.evaluate();
+  }
+
+  /**
+   * 自動有効化スケジュールを評価して YouTube タブに反映
+   * @param {Date} [now=new Date()] - 評価する時刻
+   * @returns {Promise<Result<Object>>} { active, window, nextTransition }
+   */
+  evaluate(now = new Date()) {
+    const evaluation = this.evaluation.then(() => this._evaluate(now));
+    this.evaluation = evaluation;
+    return evaluation;
+  }
+
+  /**
+   * 現在の時間帯の状態を取得
+   * 時間帯の途中で開いたタブが読み込み時に時間帯の状態を適用するために使う
+   * @param {Date} [now=new Date()] - 評価する時刻
+   * @returns {Promise<Result<Object>>} { active, opacity }（時間帯の外の場合は opacity: null）
+   */
+  async getActiveState(now = new Date()) {
+    const result = await this.evaluate(now);
+    if (result.isFailure()) {
+      return result;
+    }
+
+    const { active, window: timeWindow } = result.data;
+    return Result.success({
+      active,
+      opacity: timeWindow ? timeWindow.opacity : null,
+    });
+  }
+
+  /**
+   * 自動有効化スケジュールを評価し、次の切り替え時刻にアラームを設定
+   * @param {Date} now - 評価する時刻
+   * @returns {Promise<Result<Object>>} 評価結果
+   * @private
+   */
+  async _evaluate(now) {
+    try {
+      const settings = await this.getSettings();
+      const schedule = AutoEnableSchedule.fromSettings(
+        settings.autoEnable ? settings.autoEnableSchedule : []
+      );
+      const active = schedule.getActiveWindow(now);
+
+      // 最後に反映した時間帯（サービスワーカーの再起動をまたいで保持）
+      const stored = await this.storage.get(SCHEDULE_STATE_KEY);
+      const previousKey = stored[SCHEDULE_STATE_KEY]
+        ? stored[SCHEDULE_STATE_KEY].activeKey
+        : null;
+      const activeKey = active ? active.key : null;
+
+      if (activeKey !== previousKey) {
+        if (active) {
+          await this._applyScheduledState(true, active.timeWindow.opacity);
+        } else if (previousKey && settings.autoEnable) {
+          await this._applyScheduledState(false);
+        }
+
+        await this.storage.set({
+          [SCHEDULE_STATE_KEY]: { activeKey, updatedAt: now.getTime() },
+        });
+      }
+
+      const nextTransition = schedule.getNextTransition(now);
+      if (nextTransition) {
+        await this.alarms.create(SCHEDULE_ALARM_NAME, {
+          when: nextTransition.getTime(),
+        });
+      } else {
+        await this.alarms.clear(SCHEDULE_ALARM_NAME);
+      }
+
+      this.logger.debug("Auto-enable schedule evaluated", {
+        activeKey,
+        nextTransition,
+      });
+
+      return Result.success({
+        active: !!active,
+        window: active ? active.timeWindow : null,
+        nextTransition,
+      });
+    } catch (error) {
+      this.logger.error("Error evaluating auto-enable schedule", error);
+      return Result.failure(error, {
+        type: ErrorType.INTERNAL_ERROR,
+        context: { operation: "evaluateSchedule" },
+      });
+    }
+  }
+
+  /**
+   * スケジュールによる状態を保存し、YouTube タブに送信
+   * 時間帯の透明度はタブにだけ送信し、ユーザーが設定した透明度は上書きしない
+   * @param {boolean} enabled - シアターモードの有効状態
+   * @param {number} [opacity] - 時間帯の透明度
+   * @returns {Promise<void>}
+   * @private
+   */
+  async _applyScheduledState(enabled, opacity) {
+    const hasOpacity = enabled && typeof opacity === "number";
+    await this.saveSettings({ theaterModeEnabled: enabled });
+
+    await this.sendToYouTubeTabs(MessageType.THEATER_MODE_SET, {
+      enabled,
+      source: "schedule",
+    });
+    if (hasOpacity) {
+      await this.sendToYouTubeTabs(MessageType.OPACITY_CHANGE, {
+        value: opacity,
+        source: "schedule",
+      });
+    }
+
+    this.logger.info("Auto-enable schedule applied", { enabled, opacity });
+  }
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SCHEDULE_ALARM_NAME,
+    SCHEDULE_STATE_KEY,
+    AutoEnableScheduler,
+  };
+} else if (typeof window !== "undefined") {
+  window.SCHEDULE_ALARM_NAME = SCHEDULE_ALARM_NAME;
+  window.SCHEDULE_STATE_KEY = SCHEDULE_STATE_KEY;
+  window.AutoEnableScheduler = AutoEnableScheduler;
+}
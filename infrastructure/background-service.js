@@ -12,9 +12,12 @@
  */
 
 // 依存関係のインポート
-let Logger, ErrorHandler, Result, AppError, ErrorType, RetryManager;
-let MessageBus, MessageType, MessageTarget, MessagePriority, Message;
-let StorageAdapter, StorageType;
+var Logger, ErrorHandler, Result, AppError, ErrorType, RetryManager;
+var MessageBus, MessageType, MessageTarget, MessagePriority, Message;
+var StorageAdapter, StorageType;
+var AutoEnableSchedule, normalizePlayerStateAutoDim, normalizeAmbientSettings;
+var normalizeOverlayEffects, normalizeOverlayRegionLevels;
+var normalizeRevealSettings, normalizeLiveChatProfile;
 
 // Node.js環境での依存関係の解決
 if (typeof require !== "undefined") {
@@ -34,6 +37,13 @@ if (typeof require !== "undefined") {
     Message,
   } = require("./message-bus.js"));
   ({ StorageAdapter, StorageType } = require("./storage-adapter.js"));
+  ({ AutoEnableSchedule } = require("./auto-enable-schedule.js"));
+  ({ normalizePlayerStateAutoDim } = require("./player-state-watcher.js"));
+  ({ normalizeAmbientSettings } = require("./ambient-color-sampler.js"));
+  ({ normalizeOverlayEffects } = require("./overlay-effects.js"));
+  ({ normalizeOverlayRegionLevels } = require("./overlay-regions.js"));
+  ({ normalizeRevealSettings } = require("./overlay-reveal.js"));
+  ({ normalizeLiveChatProfile } = require("./live-chat.js"));
 }
 
 /**
@@ -284,7 +294,55 @@ class BackgroundService {
     this.DEFAULT_SETTINGS = {
       theaterModeEnabled: false,
       opacity: 0.7,
+      overlayEffects: {
+        opacity: 0.7,
+        blur: 0,
+        grayscale: 0,
+        brightness: 1,
+      },
+      overlayRegionLevels: {
+        masthead: "default",
+        metadata: "default",
+        comments: "default",
+        sidebar: "default",
+        chat: "default",
+      },
+      revealSettings: {
+        enabled: false,
+        revealDelay: 300,
+        hideDelay: 1000,
+      },
+      shortsActionRailVisible: true,
+      liveChatProfile: {
+        enabled: false,
+        chatOpacity: 0.5,
+        keepPinned: true,
+        keepSuperChats: true,
+      },
+      embedModeEnabled: false,
       keyboardShortcut: "t",
+      autoEnable: false,
+      autoEnablePageTypes: {
+        video: true,
+        shorts: false,
+        live: true,
+        premiere: true,
+        playlist: true,
+      },
+      autoEnableSchedule: [],
+      playerStateAutoDim: {
+        enableOnPlay: false,
+        enableOnPlayDelay: 0,
+        lightenOnPause: false,
+        pauseOpacity: 0.9,
+        lightenOnPauseDelay: 1000,
+        disableOnEnd: false,
+        disableOnEndDelay: 3000,
+      },
+      ambientSettings: {
+        sampleInterval: 500,
+        saturation: 1.2,
+      },
       lastUsed: null,
       version: "1.0.0",
     };
@@ -331,8 +389,10 @@ class BackgroundService {
       // 設定の初期化
       await this._initializeSettings();
 
-      // ヘルスチェックを開始
-      this._startHealthCheck();
+      // ヘルスチェックを開始（初期化の完了前に破棄された場合は開始しない）
+      if (!this.isDisposed) {
+        this._startHealthCheck();
+      }
 
       // 拡張機能のバージョン情報を保存
       if (typeof chrome !== "undefined" && chrome.runtime) {
@@ -818,6 +878,48 @@ class BackgroundService {
       validated.opacity = settings.opacity;
     }
 
+    // 透明度は overlayEffects.opacity と同じ値に揃える
+    // （overlayEffects がない旧形式の設定は保存済みの透明度を引き継ぐ）
+    if (
+      settings.overlayEffects &&
+      typeof settings.overlayEffects === "object"
+    ) {
+      validated.overlayEffects = normalizeOverlayEffects(
+        settings.overlayEffects
+      );
+      validated.opacity = validated.overlayEffects.opacity;
+    } else {
+      validated.overlayEffects = normalizeOverlayEffects({
+        opacity: validated.opacity,
+      });
+    }
+
+    if (settings.overlayRegionLevels) {
+      validated.overlayRegionLevels = normalizeOverlayRegionLevels(
+        settings.overlayRegionLevels
+      );
+    }
+
+    if (settings.revealSettings) {
+      validated.revealSettings = normalizeRevealSettings(
+        settings.revealSettings
+      );
+    }
+
+    if (typeof settings.shortsActionRailVisible === "boolean") {
+      validated.shortsActionRailVisible = settings.shortsActionRailVisible;
+    }
+
+    if (settings.liveChatProfile) {
+      validated.liveChatProfile = normalizeLiveChatProfile(
+        settings.liveChatProfile
+      );
+    }
+
+    if (typeof settings.embedModeEnabled === "boolean") {
+      validated.embedModeEnabled = settings.embedModeEnabled;
+    }
+
     if (
       typeof settings.keyboardShortcut === "string" &&
       settings.keyboardShortcut.trim()
@@ -825,6 +927,42 @@ class BackgroundService {
       validated.keyboardShortcut = settings.keyboardShortcut;
     }
 
+    if (typeof settings.autoEnable === "boolean") {
+      validated.autoEnable = settings.autoEnable;
+    }
+
+    if (
+      settings.autoEnablePageTypes &&
+      typeof settings.autoEnablePageTypes === "object" &&
+      Object.values(settings.autoEnablePageTypes).every(
+        (enabled) => typeof enabled === "boolean"
+      )
+    ) {
+      validated.autoEnablePageTypes = {
+        ...this.DEFAULT_SETTINGS.autoEnablePageTypes,
+        ...settings.autoEnablePageTypes,
+      };
+    }
+
+    if (AutoEnableSchedule.validate(settings.autoEnableSchedule).isSuccess()) {
+      validated.autoEnableSchedule = settings.autoEnableSchedule;
+    }
+
+    if (settings.playerStateAutoDim) {
+      const autoDimResult = normalizePlayerStateAutoDim(
+        settings.playerStateAutoDim
+      );
+      if (autoDimResult.isSuccess()) {
+        validated.playerStateAutoDim = autoDimResult.data;
+      }
+    }
+
+    if (settings.ambientSettings) {
+      validated.ambientSettings = normalizeAmbientSettings(
+        settings.ambientSettings
+      );
+    }
+
     if (settings.lastUsed && typeof settings.lastUsed === "number") {
       validated.lastUsed = settings.lastUsed;
     } else {
@@ -0,0 +1,75 @@
+/**
+ * BrowserCommandRouter
+ * ブラウザのコマンド（manifest.json の commands）をアクティブな YouTube タブに送信する
+ * アクションはタブの KeyboardShortcutManager がページのショートカットと同じように実行する
+ */
+
+// 依存関係のインポート
+var Result, ErrorType, MessageType, BROWSER_COMMANDS;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ Result, ErrorType } = require("./error-handler.js"));
+  ({ MessageType } = require("./message-bus.js"));
+  ({ BROWSER_COMMANDS } = require("../keyboard-shortcut-manager.js"));
+}
+
+/**
+ * ブラウザのコマンドの送信
+ */
+var BrowserCommandRouter = class BrowserCommandRouter {
+  /**
+   * BrowserCommandRouterインスタンスを作成
+   * @param {Object} dependencies - 依存関係
+   * @param {Object} dependencies.logger - ロガー
+   * @param {Object} dependencies.tabStateManager - アクティブな YouTube タブを追跡する TabStateManager
+   * @param {Function} dependencies.sendToTab - タブにメッセージを送信する関数
+   */
+  constructor(dependencies) {
+    this.logger = dependencies.logger;
+    this.tabStateManager = dependencies.tabStateManager;
+    this.sendToTab = dependencies.sendToTab;
+  }
+
+  /**
+   * ブラウザのコマンドをアクティブな YouTube タブに送信
+   * @param {string} command - コマンド名（BROWSER_COMMANDS のキー）
+   * @returns {Promise<Result<boolean>>} 送信した場合は true
+   *   （アクティブなタブが YouTube の動画ページでない場合は false）
+   */
+  async handleCommand(command) {
+    if (!BROWSER_COMMANDS.hasOwnProperty(command)) {
+      this.logger.warn("Unknown command", command);
+      return Result.failure(`Unknown command: ${command}`, {
+        type: ErrorType.VALIDATION_ERROR,
+        context: { command },
+      });
+    }
+
+    try {
+      const tab = await this.tabStateManager.getCurrentActiveTab();
+      if (!tab) {
+        this.logger.debug("No active YouTube tab for command", { command });
+        return Result.success(false);
+      }
+
+      await this.sendToTab(tab.id, MessageType.SHORTCUT_COMMAND, { command });
+
+      this.logger.info("Command sent to tab", { command, tabId: tab.id });
+      return Result.success(true);
+    } catch (error) {
+      this.logger.error("Failed to send command to tab", error);
+      return Result.failure(error, {
+        type: ErrorType.COMMUNICATION_ERROR,
+        context: { command },
+      });
+    }
+  }
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { BrowserCommandRouter };
+} else if (typeof window !== "undefined") {
+  window.BrowserCommandRouter = BrowserCommandRouter;
+}
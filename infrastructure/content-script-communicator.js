@@ -5,7 +5,7 @@
  */
 
 // 依存関係のインポート
-let Logger,
+var Logger,
   ErrorHandler,
   Result,
   AppError,
@@ -5,7 +5,8 @@
  */
 
 // 依存関係のインポート
-let Logger, ErrorHandler, Result, AppError, ErrorType, MessageBus, MessageType;
+var Logger, ErrorHandler, Result, AppError, ErrorType, MessageBus, MessageType;
+var shouldAutoEnableForPageType, PageChangeEvent;
 
 // Node.js環境での依存関係の解決
 if (typeof require !== "undefined") {
@@ -17,6 +18,8 @@ if (typeof require !== "undefined") {
     ErrorType,
   } = require("./error-handler.js"));
   ({ MessageBus, MessageType } = require("./message-bus.js"));
+  ({ shouldAutoEnableForPageType } = require("./settings-manager.js"));
+  ({ PageChangeEvent } = require("./youtube-page-detector.js"));
 }
 
 /**
@@ -84,6 +87,10 @@ class ContentScriptManager {
     this.eventListeners = new Map();
     this.initialized = false;
 
+    // バックグラウンドから同期した設定と現在のページタイプ（自動有効化の判定に使用）
+    this.settings = null;
+    this.currentPageType = null;
+
     // パフォーマンス監視
     this.performanceMetrics = {
       initStartTime: null,
@@ -304,6 +311,8 @@ class ContentScriptManager {
           return pageTypeResult;
         }
 
+        this.currentPageType = pageTypeResult.data;
+
         this.logger.info("YouTube page validated", {
           pageType: pageTypeResult.data,
           url: window.location.href,
@@ -468,6 +477,15 @@ class ContentScriptManager {
       });
       this.eventListeners.set("mutationObserver", mutationObserver);
 
+      // SPA 遷移でページタイプ別の自動有効化を適用
+      if (typeof this.youtubePageDetector.addChangeListener === "function") {
+        const removePageChangeListener =
+          this.youtubePageDetector.addChangeListener(
+            this._handlePageChange.bind(this)
+          );
+        this.cleanupTasks.add(removePageChangeListener);
+      }
+
       this.logger.debug("Event listeners set up successfully");
       return Result.success(true);
     } catch (error) {
@@ -497,6 +515,8 @@ class ContentScriptManager {
       );
 
       if (stateResult.isSuccess() && stateResult.data) {
+        this.settings = stateResult.data;
+
         // シアターモードコントローラーに状態を適用
         if (
           this.theaterModeController &&
@@ -508,6 +528,9 @@ class ContentScriptManager {
         this.logger.info("Initial state synchronized", {
           state: stateResult.data,
         });
+
+        // 初回読み込み時のページタイプ別の自動有効化
+        await this._applyAutoEnable(this.currentPageType);
       } else {
         this.logger.warn("Failed to sync initial state", {
           error: stateResult.error,
@@ -622,6 +645,8 @@ class ContentScriptManager {
     this.logger.debug("Handling settings change", { data: message.data });
 
     try {
+      this.settings = { ...(this.settings || {}), ...message.data };
+
       // 各コンポーネントに設定変更を通知
       const components = [
         this.theaterModeController,
@@ -644,6 +669,53 @@ class ContentScriptManager {
     }
   }
 
+  /**
+   * ページ変更イベントを処理
+   * @param {Object} event - YouTubePageDetector のページ変更イベント
+   * @private
+   */
+  _handlePageChange(event) {
+    if (event.type !== PageChangeEvent.NAVIGATION) {
+      return;
+    }
+
+    this.currentPageType = event.to;
+    this._applyAutoEnable(event.to);
+  }
+
+  /**
+   * ページタイプの自動有効化設定に従ってシアターモードを有効化
+   * 無効化はしないため、手動で有効にした状態はそのまま保たれる
+   * @param {string} pageType - YouTubePageType の値
+   * @returns {Promise<Result<boolean>>} 有効化した場合は true
+   * @private
+   */
+  async _applyAutoEnable(pageType) {
+    if (!shouldAutoEnableForPageType(this.settings, pageType)) {
+      return Result.success(false);
+    }
+
+    try {
+      if (
+        this.theaterModeController &&
+        this.theaterModeController.syncState
+      ) {
+        await this.theaterModeController.syncState({
+          theaterModeEnabled: true,
+        });
+      }
+
+      this.logger.info("Theater mode auto-enabled", { pageType });
+      return Result.success(true);
+    } catch (error) {
+      return Result.failure(
+        this.errorHandler.handleError(error, {
+          context: { operation: "autoEnable", pageType },
+        })
+      );
+    }
+  }
+
   /**
    * ページ離脱前の処理
    * @param {Event} event - beforeunloadイベント
@@ -4,7 +4,7 @@
  */
 
 // 依存関係のインポート
-let Logger, ErrorHandler, Result, AppError, ErrorType;
+var Logger, ErrorHandler, Result, AppError, ErrorType;
 
 // Node.js環境での依存関係の解決
 if (typeof require !== "undefined") {
@@ -22,7 +22,7 @@ if (typeof require !== "undefined") {
  * @readonly
  * @enum {string}
  */
-const DataType = {
+var DataType = {
   STRING: "string",
   NUMBER: "number",
   BOOLEAN: "boolean",
@@ -60,7 +60,7 @@ const DataType = {
  * データバリデータ
  * スキーマベースのデータ検証とサニタイゼーション
  */
-class DataValidator {
+var DataValidator = class DataValidator {
   /**
    * DataValidatorインスタンスを作成
    * @param {Object} options - オプション
@@ -1116,7 +1116,7 @@ class DataValidator {
     }
     return copy;
   }
-}
+};
 
 // CommonJS/ES6 両対応のエクスポート
 if (typeof module !== "undefined" && module.exports) {
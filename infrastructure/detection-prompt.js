@@ -0,0 +1,174 @@
+/**
+ * DetectionPrompt
+ * セレクターが一致せず、ページの構造から推定した動画プレーヤーを使うかどうかをユーザーに確認する
+ * 推定したプレーヤーを枠線で示し、画面の下部に確認の表示を出す
+ *
+ * コンテンツスクリプトからも読み込むため、他のモジュールには依存しない
+ */
+
+/**
+ * 確認の表示の要素のIDとクラス名の接頭辞
+ * @type {string}
+ */
+const DETECTION_PROMPT_ID = "theater-mode-detection-prompt";
+
+/**
+ * 確認中のプレーヤーに付けるクラス名
+ * @type {string}
+ */
+const DETECTION_TARGET_CLASS = "theater-mode-detection-target";
+
+/**
+ * 推定したプレーヤーの確認
+ * 確認は一度に1つだけ表示し、閉じるまで結果の Promise は解決しない
+ */
+class DetectionPrompt {
+  /**
+   * DetectionPromptインスタンスを作成
+   * @param {Object} [dependencies] - 依存関係
+   * @param {Object} [dependencies.i18n] - メッセージの取得に使う I18nManager
+   */
+  constructor(dependencies = {}) {
+    this.i18n = dependencies.i18n;
+
+    // 表示中の要素と確認中のプレーヤー
+    this.element = null;
+    this.target = null;
+
+    // 確認の結果を返す関数（確認中でない場合はnull）
+    this.resolvePending = null;
+  }
+
+  /**
+   * 確認を表示しているかどうか
+   * @returns {boolean} 表示中の場合はtrue
+   */
+  isOpen() {
+    return this.resolvePending !== null;
+  }
+
+  /**
+   * 推定したプレーヤーを使うかどうかを確認
+   * 確認中に呼び出した場合は、前の確認を使わない場合として閉じる
+   * @param {Object} detection - 推定結果（player に推定したプレーヤーの要素）
+   * @returns {Promise<boolean>} 使う場合はtrue
+   */
+  ask(detection) {
+    this.close(false);
+
+    this.target = detection.player;
+    this.target.classList.add(DETECTION_TARGET_CLASS);
+    this.element = this._render();
+    document.body.appendChild(this.element);
+
+    return new Promise((resolve) => {
+      this.resolvePending = resolve;
+    });
+  }
+
+  /**
+   * 確認を閉じて結果を返す
+   * @param {boolean} [accepted=false] - プレーヤーを使う場合はtrue
+   */
+  close(accepted = false) {
+    if (this.target) {
+      this.target.classList.remove(DETECTION_TARGET_CLASS);
+      this.target = null;
+    }
+
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+
+    if (this.resolvePending) {
+      const resolve = this.resolvePending;
+      this.resolvePending = null;
+      resolve(accepted);
+    }
+  }
+
+  /**
+   * 確認の要素を作成
+   * Esc キーは使わない場合として閉じる
+   * @returns {HTMLElement} 確認の要素
+   * @private
+   */
+  _render() {
+    const element = document.createElement("div");
+    element.id = DETECTION_PROMPT_ID;
+    element.className = DETECTION_PROMPT_ID;
+    element.setAttribute("role", "alertdialog");
+    element.setAttribute("aria-labelledby", `${DETECTION_PROMPT_ID}-message`);
+
+    const message = document.createElement("p");
+    message.id = `${DETECTION_PROMPT_ID}-message`;
+    message.className = `${DETECTION_PROMPT_ID}-message`;
+    message.textContent = this._getMessage("detectionPromptMessage");
+
+    const accept = this._createButton("detectionPromptAccept", true);
+    const decline = this._createButton("detectionPromptDecline", false);
+
+    element.appendChild(message);
+    element.appendChild(accept);
+    element.appendChild(decline);
+    element.addEventListener("keydown", (event) => {
+      if (event.key === "Escape") {
+        event.stopPropagation();
+        this.close(false);
+      }
+    });
+
+    return element;
+  }
+
+  /**
+   * 確認を閉じるボタンを作成
+   * @param {string} key - ボタンのメッセージキー
+   * @param {boolean} accepted - プレーヤーを使うボタンの場合はtrue
+   * @returns {HTMLButtonElement} ボタン
+   * @private
+   */
+  _createButton(key, accepted) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = `${DETECTION_PROMPT_ID}-button`;
+    button.textContent = this._getMessage(key);
+    button.addEventListener("click", () => this.close(accepted));
+    return button;
+  }
+
+  /**
+   * メッセージを取得
+   * @param {string} key - メッセージキー
+   * @returns {string} メッセージ
+   * @private
+   */
+  _getMessage(key) {
+    return this.i18n ? this.i18n.getMessage(key) : key;
+  }
+}
+
+/**
+ * 新しいDetectionPromptインスタンスを作成
+ * @param {Object} [dependencies] - 依存関係
+ * @returns {DetectionPrompt} 新しいDetectionPromptインスタンス
+ */
+const createDetectionPrompt = (dependencies) => {
+  return new DetectionPrompt(dependencies);
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    DETECTION_PROMPT_ID,
+    DETECTION_TARGET_CLASS,
+    DetectionPrompt,
+    createDetectionPrompt,
+  };
+} else if (typeof window !== "undefined") {
+  window.DETECTION_PROMPT_ID = DETECTION_PROMPT_ID;
+  window.DETECTION_TARGET_CLASS = DETECTION_TARGET_CLASS;
+  window.DetectionPrompt = DetectionPrompt;
+  window.createDetectionPrompt = createDetectionPrompt;
+}
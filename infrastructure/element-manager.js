@@ -1,16 +1,41 @@
+// 依存関係のインポート
+var splitAroundNested, getOverlayLayout;
+var SelectorHealthTracker;
+var ElementObserver, HeuristicDetector, DetectionConfidence;
+var DEFAULT_SELECTOR_PACK, SELECTOR_PACK_SCHEMA, resolveSelectorPack;
+var isSelectorPackCompatible, DataValidator;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ splitAroundNested, getOverlayLayout } = require("./overlay-regions.js"));
+  ({ SelectorHealthTracker } = require("./selector-health.js"));
+  ({ ElementObserver } = require("./element-observer.js"));
+  ({ HeuristicDetector } = require("./heuristic-detector.js"));
+  ({ DetectionConfidence } = require("./youtube-page-detector.js"));
+  ({
+    DEFAULT_SELECTOR_PACK,
+    SELECTOR_PACK_SCHEMA,
+    resolveSelectorPack,
+    isSelectorPackCompatible,
+  } = require("./selector-pack.js"));
+  ({ DataValidator } = require("./data-validator.js"));
+}
+
 /**
  * ElementManager クラス
  * YouTube要素の検出と管理を担当する再利用可能なモジュール
  *
  * @class ElementManager
  */
-class ElementManager {
+var ElementManager = class ElementManager {
   /**
    * ElementManagerインスタンスを作成
    * @param {Object} logger - ロガーインスタンス
    * @param {Object} errorHandler - エラーハンドラーインスタンス
+   * @param {ElementObserver} [elementObserver] - 構造からの推定に使う ElementObserver（省略時は作成）
+   *   （HeuristicDetector を読み込んでいない場合は推定しない）
    */
-  constructor(logger, errorHandler) {
+  constructor(logger, errorHandler, elementObserver) {
     this.logger = logger;
     this.errorHandler = errorHandler;
 
@@ -21,12 +46,31 @@ class ElementManager {
     // デフォルトキャッシュ有効期間（ミリ秒）
     this.defaultCacheTTL = 5000;
 
-    // セレクター定義
+    // セレクター定義（読み込んだセレクターパックで置き換えられる）
+    this.selectorPack = DEFAULT_SELECTOR_PACK;
     this.selectors = this.getSelectors();
 
+    // セレクターパックの検証
+    this.dataValidator = new DataValidator({ logger, errorHandler });
+    this.dataValidator.registerSchema("selectorPack", SELECTOR_PACK_SCHEMA);
+
     // リソース管理
     this.observers = new Map();
 
+    // どのセレクターが一致したかの記録（名前付きのセレクターはレポートに名前で表示）
+    this.selectorHealth = new SelectorHealthTracker({ logger });
+    this._registerSelectorChains();
+
+    // セレクターがすべて一致しない場合の構造からの推定
+    this.heuristicDetector =
+      typeof HeuristicDetector === "function"
+        ? new HeuristicDetector(
+            logger,
+            errorHandler,
+            elementObserver || new ElementObserver(logger, errorHandler)
+          )
+        : null;
+
     this.logger.debug("ElementManager initialized");
   }
 
@@ -35,44 +79,79 @@ class ElementManager {
    * @returns {Object} セレクター設定
    */
   getSelectors() {
+    const { video, shorts } = this.selectorPack.pages;
+
     return {
-      videoPlayer: [
-        "#movie_player",
-        ".html5-video-player",
-        '[data-testid="video-player"]',
-        ".ytp-player-content",
-        "#player-container",
-      ],
-      videoControls: [
-        ".ytp-chrome-controls",
-        ".ytp-chrome-bottom",
-        ".video-stream",
-      ],
-      overlayTargets: [
-        "#secondary", // サイドバー
-        "#comments", // コメント欄
-        "ytd-comments", // 新しいコメント欄
-        "#masthead", // ヘッダー
-        ".ytd-masthead", // ヘッダー（新UI）
-        "#meta-contents", // 動画メタデータ
-        ".ytd-watch-metadata", // 動画メタデータ（新UI）
-        "#description", // 動画説明
-        ".ytd-video-secondary-info-renderer", // 動画情報
-        "#related", // 関連動画
-        ".ytp-suggestion-set", // 動画終了時の提案
-        "#chat", // ライブチャット
-        "ytd-live-chat-frame", // ライブチャット（新UI）
-      ],
-      protectedElements: [
-        "#movie_player",
-        ".html5-video-player",
-        ".video-stream",
-        ".ytp-chrome-controls",
-        ".ytp-chrome-bottom",
-      ],
+      videoPlayer: video.videoPlayer,
+      videoControls: video.videoControls,
+      // 領域（masthead, metadata, comments, sidebar, chat）ごとのセレクター
+      overlayRegions: video.overlayRegions,
+      overlayTargets: Object.values(video.overlayRegions).flat(),
+      // Shorts ページの領域（masthead, feed, reels, actions）ごとのセレクター
+      shortsOverlayRegions: shorts.overlayRegions,
+      shortsContainer: shorts.container,
+      protectedElements: video.protectedElements,
     };
   }
 
+  /**
+   * セレクターパックを検証して適用
+   * パックに書かれていないページタイプやセレクターは同梱のパックの値を使う
+   * @param {Object} pack - セレクターパック
+   * @param {Object} [options] - オプション
+   * @param {string} [options.extensionVersion] - 拡張機能のバージョン（指定時は minExtensionVersion を確認）
+   * @returns {Result<Object>} 適用したセレクターパック（補完済み）
+   */
+  applySelectorPack(pack, options = {}) {
+    return this.errorHandler.wrapSync(
+      () => {
+        const validation = this.dataValidator.validate(pack, "selectorPack");
+        if (validation.isFailure()) {
+          throw validation.error;
+        }
+        if (!validation.data.valid) {
+          const [error] = validation.data.errors;
+          throw new Error(`Invalid selector pack: ${error.message}`);
+        }
+
+        if (
+          options.extensionVersion &&
+          !isSelectorPackCompatible(pack, options.extensionVersion)
+        ) {
+          throw new Error(
+            `Selector pack ${pack.version} requires extension ${pack.minExtensionVersion} or later`
+          );
+        }
+
+        this.selectorPack = resolveSelectorPack(pack);
+        this.selectors = this.getSelectors();
+        this._registerSelectorChains();
+        this.clearCache();
+
+        this.logger.info("Selector pack applied", {
+          version: this.selectorPack.version,
+        });
+        return this.selectorPack;
+      },
+      {
+        type: ErrorType.VALIDATION_ERROR,
+        context: { version: pack && pack.version },
+      }
+    );
+  }
+
+  /**
+   * 名前付きのセレクターの組をレポート用に登録
+   * @private
+   */
+  _registerSelectorChains() {
+    for (const [name, selectors] of Object.entries(this.selectors)) {
+      if (Array.isArray(selectors)) {
+        this.selectorHealth.registerChain(name, selectors);
+      }
+    }
+  }
+
   /**
    * 複数のセレクターを試行して要素を検出（フォールバック機能付き）
    * @param {string|string[]} selectors - セレクター文字列または配列
@@ -85,23 +164,13 @@ class ElementManager {
         const selectorArray = Array.isArray(selectors)
           ? selectors
           : [selectors];
-
-        for (const selector of selectorArray) {
-          try {
-            const element = context.querySelector(selector);
-            if (element) {
-              this.logger.trace(`Element found with selector: ${selector}`);
-              return element;
-            }
-          } catch (error) {
-            this.logger.warn(`Invalid selector: ${selector}`, error);
-          }
-        }
-
-        this.logger.debug(
-          `No element found with selectors: ${selectorArray.join(", ")}`
+        const { element, matchedIndex } = this._queryWithFallback(
+          selectorArray,
+          context
         );
-        return null;
+
+        this.selectorHealth.record(selectorArray, matchedIndex);
+        return element;
       },
       {
         type: ErrorType.ELEMENT_NOT_FOUND,
@@ -110,6 +179,32 @@ class ElementManager {
     );
   }
 
+  /**
+   * セレクターを優先度順に試行し、最初に一致した要素とその位置を返す
+   * @param {string[]} selectorArray - セレクターの配列
+   * @param {Element|Document} context - 検索コンテキスト
+   * @returns {{element: Element|null, matchedIndex: number}} 一致しない場合は位置が-1
+   * @private
+   */
+  _queryWithFallback(selectorArray, context) {
+    for (const [index, selector] of selectorArray.entries()) {
+      try {
+        const element = context.querySelector(selector);
+        if (element) {
+          this.logger.trace(`Element found with selector: ${selector}`);
+          return { element, matchedIndex: index };
+        }
+      } catch (error) {
+        this.logger.warn(`Invalid selector: ${selector}`, error);
+      }
+    }
+
+    this.logger.debug(
+      `No element found with selectors: ${selectorArray.join(", ")}`
+    );
+    return { element: null, matchedIndex: -1 };
+  }
+
   /**
    * 複数のセレクターを試行して複数の要素を検出
    * @param {string|string[]} selectors - セレクター文字列または配列
@@ -203,9 +298,10 @@ class ElementManager {
     return this.errorHandler.wrapAsync(
       new Promise((resolve, reject) => {
         const startTime = Date.now();
-        const cacheKey = Array.isArray(selectors)
-          ? selectors.join(",")
-          : selectors;
+        const selectorArray = Array.isArray(selectors)
+          ? selectors
+          : [selectors];
+        const cacheKey = selectorArray.join(",");
 
         // キャッシュをチェック
         if (
@@ -223,29 +319,29 @@ class ElementManager {
           }
         }
 
+        // 待機中の試行は記録せず、最後の結果だけを記録する
         const checkElement = () => {
-          const result = this.findElementWithFallback(selectors);
+          const { element, matchedIndex } = this._queryWithFallback(
+            selectorArray,
+            document
+          );
 
-          if (result.isSuccess()) {
-            const element = result.data;
+          if (element && (!checkVisibility || this.isElementVisible(element))) {
+            this.selectorHealth.record(selectorArray, matchedIndex);
 
-            if (
-              element &&
-              (!checkVisibility || this.isElementVisible(element))
-            ) {
-              // キャッシュに保存
-              this.cache.set(cacheKey, element);
-              this.cacheExpiry.set(cacheKey, Date.now() + this.defaultCacheTTL);
+            // キャッシュに保存
+            this.cache.set(cacheKey, element);
+            this.cacheExpiry.set(cacheKey, Date.now() + this.defaultCacheTTL);
 
-              this.logger.debug(
-                `Element found after ${Date.now() - startTime}ms: ${cacheKey}`
-              );
-              resolve(element);
-              return;
-            }
+            this.logger.debug(
+              `Element found after ${Date.now() - startTime}ms: ${cacheKey}`
+            );
+            resolve(element);
+            return;
           }
 
           if (Date.now() - startTime >= timeout) {
+            this.selectorHealth.record(selectorArray, matchedIndex);
             this.logger.warn(`Timeout waiting for element: ${cacheKey}`, {
               timeout,
             });
@@ -281,6 +377,56 @@ class ElementManager {
     });
   }
 
+  /**
+   * 動画プレーヤーを検出し、セレクターがすべて一致しない場合はページの構造から推定
+   * 推定した結果は信頼度が低いことがあるため、適用するかどうかは呼び出し側で判断する
+   * @param {Object} [options] - 検出オプション（detectVideoPlayer と同じ）
+   * @returns {Promise<Result<Object>>} 検出結果
+   *   { player, candidates, confidence, heuristic }
+   *   （confidence は DetectionConfidence の値、heuristic は推定した場合true）
+   */
+  async locateVideoPlayer(options = {}) {
+    const playerResult = await this.detectVideoPlayer(options);
+
+    return this.errorHandler.wrapSync(
+      () => {
+        if (playerResult.isFailure()) {
+          throw playerResult.error;
+        }
+
+        if (playerResult.data) {
+          return {
+            player: playerResult.data,
+            candidates: [],
+            confidence: DetectionConfidence.HIGH,
+            heuristic: false,
+          };
+        }
+
+        if (!this.heuristicDetector) {
+          return {
+            player: null,
+            candidates: [],
+            confidence: DetectionConfidence.NONE,
+            heuristic: false,
+          };
+        }
+
+        this.logger.warn("Video player selectors failed, trying heuristics");
+        const detection = this.heuristicDetector.detect();
+        if (detection.isFailure()) {
+          throw detection.error;
+        }
+
+        const { player, candidates, confidence } = detection.data;
+        return { player, candidates, confidence, heuristic: true };
+      },
+      {
+        type: ErrorType.ELEMENT_NOT_FOUND,
+      }
+    );
+  }
+
   /**
    * オーバーレイ対象要素を検出
    * @returns {Result<Element[]>} オーバーレイ対象要素の配列
@@ -349,6 +495,99 @@ class ElementManager {
     );
   }
 
+  /**
+   * オーバーレイ対象要素を領域ごとに検出
+   * 他の領域を含む要素（ライブチャットを含むサイドバーなど）は、
+   * 領域ごとに暗さを変えられるよう他の領域を含まない子孫要素に分割する
+   * @param {Object} [options] - オプション
+   * @param {string} [options.pageType] - ページタイプ（"shorts" の場合はリール用の領域を使う）
+   * @param {boolean} [options.showShortsActions=true] - Shorts のボタン列を暗くしない
+   * @returns {Result<Object<string, Element[]>>} 領域名をキーとした要素の配列
+   */
+  findOverlayTargetsByRegion(options = {}) {
+    return this.errorHandler.wrapSync(
+      () => {
+        const isShorts = options.pageType === "shorts";
+        const layout = getOverlayLayout(options.pageType, {
+          ...options,
+          selectorPack: this.selectorPack,
+        });
+        const regionSelectors = isShorts
+          ? layout.regions
+          : this.selectors.overlayRegions;
+        const cacheKey = isShorts
+          ? `overlayRegions:shorts:${Object.keys(regionSelectors).join(",")}`
+          : "overlayRegions";
+
+        // キャッシュをチェック
+        if (
+          this.cache.has(cacheKey) &&
+          Date.now() < this.cacheExpiry.get(cacheKey)
+        ) {
+          return this.cache.get(cacheKey);
+        }
+
+        const protectedSelectors = [
+          ...this.selectors.protectedElements,
+          ...layout.protectedSelectors,
+        ];
+        const isProtected = (element) =>
+          protectedSelectors.some(
+            (selector) =>
+              element.matches(selector) || element.closest(selector)
+          );
+
+        // 領域ごとに要素を検出
+        const found = {};
+        for (const [region, selectors] of Object.entries(regionSelectors)) {
+          found[region] = [];
+          for (const selector of selectors) {
+            try {
+              document.querySelectorAll(selector).forEach((element) => {
+                if (!isProtected(element) && !found[region].includes(element)) {
+                  found[region].push(element);
+                }
+              });
+            } catch (error) {
+              this.logger.warn(
+                `Error finding elements with selector ${selector}:`,
+                error
+              );
+            }
+          }
+        }
+
+        // 他の領域の要素を含む要素を分割
+        const regions = {};
+        for (const [region, elements] of Object.entries(found)) {
+          const nested = Object.entries(found)
+            .filter(([other]) => other !== region)
+            .flatMap(([, others]) => others);
+          regions[region] = elements.flatMap((element) =>
+            splitAroundNested(element, nested)
+          );
+        }
+
+        // キャッシュに保存
+        this.cache.set(cacheKey, regions);
+        this.cacheExpiry.set(cacheKey, Date.now() + this.defaultCacheTTL);
+
+        this.logger.debug("Found overlay targets by region", {
+          counts: Object.fromEntries(
+            Object.entries(regions).map(([region, elements]) => [
+              region,
+              elements.length,
+            ])
+          ),
+        });
+        return regions;
+      },
+      {
+        type: ErrorType.ELEMENT_NOT_FOUND,
+      }
+    );
+  }
+
   /**
    * 要素の変更を監視
    * @param {Element} targetElement - 監視対象要素
@@ -523,6 +762,40 @@ class ElementManager {
     );
   }
 
+  /**
+   * ページ読み込みの区切りを記録
+   * 優先セレクターが一致しなかった連続回数はページ読み込みごとに数える
+   * @returns {Result<number>} 記録したページ読み込みの回数
+   */
+  recordPageLoad() {
+    return this.errorHandler.wrapSync(
+      () => this.selectorHealth.completePageLoad().pageLoads,
+      {
+        type: ErrorType.INTERNAL_ERROR,
+      }
+    );
+  }
+
+  /**
+   * セレクターの状態のレポートを取得
+   * レポートはロガーにも記録するため、メモリ出力先のログからも参照できる
+   * @param {Object} [options] - オプション
+   * @param {number} [options.threshold] - 警告するページ読み込み回数
+   * @returns {Result<Object>} レポート { pageLoads, chains, warnings }
+   */
+  getSelectorHealthReport(options = {}) {
+    return this.errorHandler.wrapSync(
+      () => {
+        const report = this.selectorHealth.getReport(options);
+        this.logger.info("Selector health report", report);
+        return report;
+      },
+      {
+        type: ErrorType.INTERNAL_ERROR,
+      }
+    );
+  }
+
   /**
    * キャッシュをクリア
    * @param {string} [key] - クリアする特定のキー（省略時は全て）
@@ -567,16 +840,17 @@ class ElementManager {
       }
     );
   }
-}
+};
 
 /**
  * 新しいElementManagerインスタンスを作成
  * @param {Object} logger - ロガーインスタンス
  * @param {Object} errorHandler - エラーハンドラーインスタンス
+ * @param {ElementObserver} [elementObserver] - ElementObserverインスタンス
  * @returns {ElementManager} 新しいElementManagerインスタンス
  */
-const createElementManager = (logger, errorHandler) => {
-  return new ElementManager(logger, errorHandler);
+const createElementManager = (logger, errorHandler, elementObserver) => {
+  return new ElementManager(logger, errorHandler, elementObserver);
 };
 
 // CommonJS/ES6 両対応のエクスポート
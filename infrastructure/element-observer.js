@@ -1,3 +1,12 @@
+// 依存関係のインポート
+var Result, ErrorType, REEL_SELECTOR, ACTIVE_REEL_SELECTOR;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ Result, ErrorType } = require("./error-handler.js"));
+  ({ REEL_SELECTOR, ACTIVE_REEL_SELECTOR } = require("./overlay-regions.js"));
+}
+
 /**
  * ElementObserver クラス
  * 要素の可視性と変更を監視するシステム
@@ -5,7 +14,7 @@
  *
  * @class ElementObserver
  */
-class ElementObserver {
+var ElementObserver = class ElementObserver {
   /**
    * ElementObserverインスタンスを作成
    * @param {Object} logger - ロガーインスタンス
@@ -383,6 +392,56 @@ class ElementObserver {
     );
   }
 
+  /**
+   * Shorts のリールの切り替えを監視
+   * スワイプで再生中のリールが変わると is-active 属性が移るため、
+   * 属性と子要素の変更のたびに再生中のリールを求め直し、
+   * 再生中のリールが変わった場合と新しいリールが読み込まれた場合に通知する
+   * @param {Element} container - リールを並べるコンテナー
+   * @param {Object} options - 監視オプション
+   * @param {Function} options.callback - 変更時のコールバック（再生中のリールを受け取る）
+   * @param {string} [options.id] - 監視ID（省略時は自動生成）
+   * @returns {Result<string>} 監視ID
+   */
+  observeShortsReels(container, options) {
+    const callback = options && options.callback;
+    let activeReel =
+      container && typeof container.querySelector === "function"
+        ? container.querySelector(ACTIVE_REEL_SELECTOR)
+        : null;
+
+    return this.observeMutations(container, {
+      id: options && options.id,
+      config: {
+        attributes: true,
+        attributeFilter: ["is-active"],
+        childList: true,
+        subtree: true,
+      },
+      callback:
+        typeof callback === "function"
+          ? (changes) => {
+              const reel = container.querySelector(ACTIVE_REEL_SELECTOR);
+              const reelsAdded = changes.some(({ mutations }) =>
+                mutations.some((mutation) =>
+                  Array.from(mutation.addedNodes || []).some(
+                    (node) =>
+                      typeof node.matches === "function" &&
+                      node.matches(REEL_SELECTOR)
+                  )
+                )
+              );
+
+              if (reel !== activeReel || reelsAdded) {
+                activeReel = reel;
+                this.logger.debug("Shorts reels changed", { reelsAdded });
+                callback(reel);
+              }
+            }
+          : undefined,
+    });
+  }
+
   /**
    * 監視を停止
    * @param {string} id - 監視ID
@@ -717,7 +776,7 @@ class ElementObserver {
       }
     );
   }
-}
+};
 
 /**
  * 新しいElementObserverインスタンスを作成
@@ -0,0 +1,197 @@
+/**
+ * EmbedMode
+ * 他のサイトに埋め込まれた YouTube プレーヤーの検出と、
+ * 埋め込み先のページを暗くするためのコンテンツスクリプトの定義を管理する
+ *
+ * バックグラウンドとコンテンツスクリプトからも読み込むため、他のモジュールには依存しない
+ */
+
+/**
+ * 埋め込みプレーヤーを配信するホスト名
+ * @readonly
+ * @type {string[]}
+ */
+const EMBED_PLAYER_HOSTS = [
+  "www.youtube.com",
+  "youtube.com",
+  "m.youtube.com",
+  "www.youtube-nocookie.com",
+  "youtube-nocookie.com",
+];
+
+/**
+ * 埋め込みプレーヤーの iframe のセレクター
+ * @readonly
+ * @type {string}
+ */
+const EMBED_PLAYER_SELECTOR =
+  'iframe[src*="youtube.com/embed/"], iframe[src*="youtube-nocookie.com/embed/"]';
+
+/**
+ * 埋め込みモードで必要になる任意のホスト権限
+ * manifest.json の optional_host_permissions と一致させる
+ * @readonly
+ * @type {string[]}
+ */
+const EMBED_PERMISSION_ORIGINS = ["*://*/*"];
+
+/**
+ * 埋め込みモードで登録するコンテンツスクリプト
+ * 権限が許可されている間だけ chrome.scripting.registerContentScripts で登録する
+ * @readonly
+ * @type {Array<Object>}
+ */
+const EMBED_CONTENT_SCRIPTS = [
+  {
+    // 埋め込み先のページ
+    id: "theater-mode-embed-host",
+    matches: ["http://*/*", "https://*/*"],
+    excludeMatches: ["*://*.youtube.com/*", "*://*.youtube-nocookie.com/*"],
+    js: [
+      "infrastructure/error-handler.js",
+      "infrastructure/message-bus.js",
+      "infrastructure/embed-mode.js",
+      "embed-host.js",
+    ],
+    css: ["embed-host.css"],
+    runAt: "document_idle",
+  },
+  {
+    // 埋め込みプレーヤーの iframe
+    id: "theater-mode-embed-frame",
+    matches: [
+      "*://*.youtube.com/embed/*",
+      "*://*.youtube-nocookie.com/embed/*",
+    ],
+    js: [
+      "infrastructure/error-handler.js",
+      "infrastructure/message-bus.js",
+      "infrastructure/embed-mode.js",
+      "embed-frame.js",
+    ],
+    allFrames: true,
+    runAt: "document_idle",
+  },
+];
+
+/**
+ * 埋め込み先のページでプレーヤーの周囲を暗くする要素のクラス
+ * @readonly
+ * @type {string}
+ */
+const EMBED_OVERLAY_CLASS = "theater-mode-embed-overlay";
+
+/**
+ * 埋め込み先のページの透明度を設定するCSS変数
+ * @readonly
+ * @type {string}
+ */
+const EMBED_OPACITY_PROPERTY = "--theater-mode-embed-opacity";
+
+/**
+ * URL が埋め込みプレーヤーのものかどうかを判定
+ * @param {string} url - 判定する URL
+ * @returns {boolean} 埋め込みプレーヤーの場合はtrue
+ */
+const isEmbedPlayerUrl = (url) => {
+  try {
+    const { hostname, pathname } = new URL(url);
+    return (
+      EMBED_PLAYER_HOSTS.includes(hostname) && pathname.startsWith("/embed/")
+    );
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * 埋め込みプレーヤーの iframe から届くメッセージのオリジンを取得
+ * www の付かないホストは www 付きにリダイレクトされるため、リダイレクト後のオリジンを返す
+ * @param {string} url - iframe の URL
+ * @returns {string|null} オリジン、埋め込みプレーヤーでない場合はnull
+ */
+const getEmbedPlayerOrigin = (url) => {
+  if (!isEmbedPlayerUrl(url)) {
+    return null;
+  }
+
+  const { protocol, hostname } = new URL(url);
+  const host = hostname.split(".").length === 2 ? `www.${hostname}` : hostname;
+  return `${protocol}//${host}`;
+};
+
+/**
+ * ページ内の埋め込みプレーヤーを検索
+ * @param {Document|Element} [root=document] - 検索の起点
+ * @returns {HTMLIFrameElement[]} 埋め込みプレーヤーの iframe
+ */
+const findEmbedPlayers = (root = document) =>
+  Array.from(root.querySelectorAll(EMBED_PLAYER_SELECTOR)).filter((frame) =>
+    isEmbedPlayerUrl(frame.src)
+  );
+
+/**
+ * 埋め込みプレーヤーから見た埋め込み先のページのオリジンを取得
+ * @param {Location} [location=window.location] - プレーヤーの location
+ * @param {string} [referrer=document.referrer] - プレーヤーのリファラー
+ * @returns {string|null} 埋め込み先のオリジン、分からない場合はnull
+ */
+const getEmbedHostOrigin = (
+  location = window.location,
+  referrer = document.referrer
+) => {
+  // ancestorOrigins はリファラーポリシーの影響を受けないため優先する
+  if (location.ancestorOrigins && location.ancestorOrigins.length > 0) {
+    return location.ancestorOrigins[0];
+  }
+
+  try {
+    return new URL(referrer).origin;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * 暗くする要素をプレーヤーの位置に合わせる
+ * 要素の box-shadow でプレーヤー以外の部分を覆う
+ * @param {HTMLElement} overlay - 暗くする要素
+ * @param {DOMRect} rect - プレーヤーの表示位置
+ * @param {number} opacity - 透明度
+ */
+const positionEmbedOverlay = (overlay, rect, opacity) => {
+  overlay.style.left = `${rect.left}px`;
+  overlay.style.top = `${rect.top}px`;
+  overlay.style.width = `${rect.width}px`;
+  overlay.style.height = `${rect.height}px`;
+  overlay.style.setProperty(EMBED_OPACITY_PROPERTY, opacity);
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    EMBED_PLAYER_HOSTS,
+    EMBED_PLAYER_SELECTOR,
+    EMBED_PERMISSION_ORIGINS,
+    EMBED_CONTENT_SCRIPTS,
+    EMBED_OVERLAY_CLASS,
+    EMBED_OPACITY_PROPERTY,
+    isEmbedPlayerUrl,
+    getEmbedPlayerOrigin,
+    findEmbedPlayers,
+    getEmbedHostOrigin,
+    positionEmbedOverlay,
+  };
+} else if (typeof window !== "undefined") {
+  window.EMBED_PLAYER_HOSTS = EMBED_PLAYER_HOSTS;
+  window.EMBED_PLAYER_SELECTOR = EMBED_PLAYER_SELECTOR;
+  window.EMBED_PERMISSION_ORIGINS = EMBED_PERMISSION_ORIGINS;
+  window.EMBED_CONTENT_SCRIPTS = EMBED_CONTENT_SCRIPTS;
+  window.EMBED_OVERLAY_CLASS = EMBED_OVERLAY_CLASS;
+  window.EMBED_OPACITY_PROPERTY = EMBED_OPACITY_PROPERTY;
+  window.isEmbedPlayerUrl = isEmbedPlayerUrl;
+  window.getEmbedPlayerOrigin = getEmbedPlayerOrigin;
+  window.findEmbedPlayers = findEmbedPlayers;
+  window.getEmbedHostOrigin = getEmbedHostOrigin;
+  window.positionEmbedOverlay = positionEmbedOverlay;
+}
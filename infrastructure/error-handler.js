@@ -8,7 +8,7 @@
  * @readonly
  * @enum {string}
  */
-const ErrorType = {
+var ErrorType = {
   // システムエラー
   INITIALIZATION_ERROR: "INITIALIZATION_ERROR",
   INTERNAL_ERROR: "INTERNAL_ERROR",
@@ -52,7 +52,7 @@ const ErrorSeverity = {
 /**
  * 構造化されたエラー情報
  */
-class AppError extends Error {
+var AppError = class AppError extends Error {
   /**
    * AppErrorインスタンスを作成
    * @param {string} message - エラーメッセージ
@@ -111,14 +111,14 @@ class AppError extends Error {
         : undefined,
     };
   }
-}
+};
 
 /**
  * Result型パターンの実装
  * 成功または失敗の結果を表現する
  * @template T
  */
-class Result {
+var Result = class Result {
   /**
    * @param {boolean} success - 成功フラグ
    * @param {T} [data] - 成功時のデータ
@@ -267,12 +267,12 @@ class Result {
       return `Failure: ${this.error}`;
     }
   }
-}
+};
 
 /**
  * エラーハンドリングユーティリティ
  */
-class ErrorHandler {
+var ErrorHandler = class ErrorHandler {
   /**
    * ErrorHandlerインスタンスを作成
    * @param {Object} logger - ロガーインスタンス
@@ -541,12 +541,12 @@ class ErrorHandler {
       }
     }
   }
-}
+};
 
 /**
  * リトライ機構
  */
-class RetryManager {
+var RetryManager = class RetryManager {
   /**
    * RetryManagerインスタンスを作成
    * @param {Object} options - リトライオプション
@@ -630,7 +630,7 @@ class RetryManager {
       }
     }
   }
-}
+};
 
 // CommonJS/ES6 両対応のエクスポート
 if (typeof module !== "undefined" && module.exports) {
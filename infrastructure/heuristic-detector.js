@@ -0,0 +1,336 @@
+/**
+ * HeuristicDetector
+ * セレクターがすべて一致しない場合に、ページの構造から動画プレーヤーとオーバーレイ対象を推定する
+ * YouTube の DOM 変更でセレクターが古くなっても、最大の <video> 要素と周囲の列の配置から検出する
+ */
+
+// 依存関係のインポート
+var DetectionConfidence;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ DetectionConfidence } = require("./youtube-page-detector.js"));
+}
+
+/**
+ * 動画として扱う最小の表示面積（ピクセル）
+ * 広告やプレビューの小さな動画を除外する
+ * @readonly
+ * @type {number}
+ */
+const HEURISTIC_MIN_VIDEO_AREA = 320 * 180;
+
+/**
+ * プレーヤーのコンテナとみなす親要素の大きさの許容差（動画の大きさに対する割合）
+ * @readonly
+ * @type {number}
+ */
+const HEURISTIC_CONTAINER_TOLERANCE = 0.1;
+
+/**
+ * 列とみなす要素の最小の大きさ（ビューポートの高さ・幅に対する割合）
+ * @readonly
+ * @type {number}
+ */
+const HEURISTIC_COLUMN_MIN_RATIO = 0.4;
+
+/**
+ * 信頼度を上げるための動画の最小の表示面積（ビューポートの面積に対する割合）
+ * @readonly
+ * @type {number}
+ */
+const HEURISTIC_PLAYER_MIN_VIEWPORT_RATIO = 0.15;
+
+/**
+ * プレーヤーと列の境界の許容差（ピクセル、余白や枠線の分）
+ * @readonly
+ * @type {number}
+ */
+const HEURISTIC_EDGE_MARGIN = 8;
+
+/**
+ * プレーヤーに対するオーバーレイ候補の位置
+ * @readonly
+ * @enum {string}
+ */
+const HeuristicPlacement = {
+  ABOVE: "above", // プレーヤーの上（マストヘッドなど）
+  BELOW: "below", // プレーヤーの下（動画情報・コメントなど）
+  SIDE: "side", // プレーヤーの横（関連動画・チャットなど）
+};
+
+/**
+ * ビューポートの大きさを取得
+ * @returns {{width: number, height: number}} ビューポートの大きさ
+ */
+const getViewportSize = () => ({
+  width: window.innerWidth || document.documentElement.clientWidth,
+  height: window.innerHeight || document.documentElement.clientHeight,
+});
+
+/**
+ * 2つの矩形がほぼ同じ大きさかどうか
+ * @param {DOMRect} rect - 比較する矩形
+ * @param {DOMRect} reference - 基準の矩形
+ * @param {number} [tolerance=HEURISTIC_CONTAINER_TOLERANCE] - 許容差（基準の大きさに対する割合）
+ * @returns {boolean} ほぼ同じ大きさの場合true
+ */
+const isSimilarRect = (
+  rect,
+  reference,
+  tolerance = HEURISTIC_CONTAINER_TOLERANCE
+) =>
+  Math.abs(rect.width - reference.width) <= reference.width * tolerance &&
+  Math.abs(rect.height - reference.height) <= reference.height * tolerance;
+
+/**
+ * プレーヤーとの位置関係から要素をオーバーレイ候補に分類
+ * プレーヤーと重なる要素や小さい要素は候補にしない
+ * @param {DOMRect} rect - 要素の矩形
+ * @param {DOMRect} playerRect - プレーヤーの矩形
+ * @param {{width: number, height: number}} viewport - ビューポートの大きさ
+ * @returns {string|null} HeuristicPlacement の値、候補でない場合はnull
+ */
+const classifyPlacement = (rect, playerRect, viewport) => {
+  if (rect.width <= 0 || rect.height <= 0) {
+    return null;
+  }
+
+  const isBeside =
+    rect.left >= playerRect.right - HEURISTIC_EDGE_MARGIN ||
+    rect.right <= playerRect.left + HEURISTIC_EDGE_MARGIN;
+  if (isBeside && rect.height >= viewport.height * HEURISTIC_COLUMN_MIN_RATIO) {
+    return HeuristicPlacement.SIDE;
+  }
+
+  if (
+    rect.top >= playerRect.bottom - HEURISTIC_EDGE_MARGIN &&
+    rect.width >= playerRect.width * HEURISTIC_COLUMN_MIN_RATIO
+  ) {
+    return HeuristicPlacement.BELOW;
+  }
+
+  if (
+    rect.bottom <= playerRect.top + HEURISTIC_EDGE_MARGIN &&
+    rect.width >= viewport.width * HEURISTIC_COLUMN_MIN_RATIO
+  ) {
+    return HeuristicPlacement.ABOVE;
+  }
+
+  return null;
+};
+
+/**
+ * HeuristicDetector クラス
+ * ページの構造と要素の配置から動画プレーヤーとオーバーレイ対象を推定し、信頼度を付けて返す
+ *
+ * @class HeuristicDetector
+ */
+var HeuristicDetector = class HeuristicDetector {
+  /**
+   * HeuristicDetectorインスタンスを作成
+   * @param {Object} logger - ロガーインスタンス
+   * @param {Object} errorHandler - エラーハンドラーインスタンス
+   * @param {ElementObserver} elementObserver - 要素の可視性の確認に使う ElementObserver
+   */
+  constructor(logger, errorHandler, elementObserver) {
+    this.logger = logger;
+    this.errorHandler = errorHandler;
+    this.elementObserver = elementObserver;
+
+    this.logger.debug("HeuristicDetector initialized");
+  }
+
+  /**
+   * 動画プレーヤーとオーバーレイ対象を推定
+   * @param {Document|Element} [root=document] - 検索の起点
+   * @returns {Result<Object>} 検出結果
+   *   { player, video, candidates: [{ element, placement }], confidence }
+   *   （confidence は DetectionConfidence の値）
+   */
+  detect(root = document) {
+    return this.errorHandler.wrapSync(
+      () => {
+        const video = this._findLargestVideo(root);
+        if (!video) {
+          this.logger.debug("Heuristic detection found no video");
+          return {
+            player: null,
+            video: null,
+            candidates: [],
+            confidence: DetectionConfidence.NONE,
+          };
+        }
+
+        const player = this._findPlayerContainer(video);
+        const candidates = this._findOverlayCandidates(player);
+        const confidence = this._scoreDetection(video, player, candidates);
+
+        this.logger.info("Heuristic detection completed", {
+          player: player.tagName,
+          candidates: candidates.map(({ placement }) => placement),
+          confidence,
+        });
+
+        return { player, video, candidates, confidence };
+      },
+      {
+        type: ErrorType.ELEMENT_NOT_FOUND,
+      }
+    );
+  }
+
+  /**
+   * 表示されている最大の <video> 要素を検出
+   * @param {Document|Element} root - 検索の起点
+   * @returns {HTMLVideoElement|null} 動画要素
+   * @private
+   */
+  _findLargestVideo(root) {
+    let largest = null;
+    let largestArea = HEURISTIC_MIN_VIDEO_AREA;
+
+    root.querySelectorAll("video").forEach((video) => {
+      const visible = this.elementObserver.isElementVisible(video);
+      if (!visible.isSuccess() || !visible.data) {
+        return;
+      }
+
+      const rect = video.getBoundingClientRect();
+      const area = rect.width * rect.height;
+      if (area >= largestArea) {
+        largest = video;
+        largestArea = area;
+      }
+    });
+
+    return largest;
+  }
+
+  /**
+   * 動画とほぼ同じ大きさの最も外側の祖先要素をプレーヤーのコンテナとする
+   * @param {HTMLVideoElement} video - 動画要素
+   * @returns {Element} プレーヤーのコンテナ（見つからない場合は動画要素）
+   * @private
+   */
+  _findPlayerContainer(video) {
+    const videoRect = video.getBoundingClientRect();
+    let container = video;
+    let parent = video.parentElement;
+
+    while (parent && parent !== document.body) {
+      if (!isSimilarRect(parent.getBoundingClientRect(), videoRect)) {
+        break;
+      }
+      container = parent;
+      parent = parent.parentElement;
+    }
+
+    return container;
+  }
+
+  /**
+   * プレーヤーの祖先要素の兄弟要素から、プレーヤーの上・下・横にある大きな列を検出
+   * @param {Element} player - プレーヤーのコンテナ
+   * @returns {Array<{element: Element, placement: string}>} オーバーレイ候補
+   * @private
+   */
+  _findOverlayCandidates(player) {
+    const playerRect = player.getBoundingClientRect();
+    const viewport = getViewportSize();
+    const candidates = [];
+
+    for (
+      let node = player;
+      node && node.parentElement && node !== document.body;
+      node = node.parentElement
+    ) {
+      for (const sibling of node.parentElement.children) {
+        if (sibling === node) continue;
+
+        const placement = classifyPlacement(
+          sibling.getBoundingClientRect(),
+          playerRect,
+          viewport
+        );
+        if (placement) {
+          candidates.push({ element: sibling, placement });
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * 検出結果の信頼度を求める
+   * 動画が十分に大きくビューポート内にあれば MEDIUM、
+   * さらに横と下の列がある標準的な配置であれば HIGH とする
+   * @param {HTMLVideoElement} video - 動画要素
+   * @param {Element} player - プレーヤーのコンテナ
+   * @param {Array<{element: Element, placement: string}>} candidates - オーバーレイ候補
+   * @returns {number} DetectionConfidence の値
+   * @private
+   */
+  _scoreDetection(video, player, candidates) {
+    const { width, height } = getViewportSize();
+    const rect = video.getBoundingClientRect();
+    const inViewport = this.elementObserver.isElementInViewport(player);
+
+    const isProminent =
+      rect.width * rect.height >=
+        width * height * HEURISTIC_PLAYER_MIN_VIEWPORT_RATIO &&
+      inViewport.isSuccess() &&
+      inViewport.data;
+    if (!isProminent) {
+      return DetectionConfidence.LOW;
+    }
+
+    const placements = candidates.map(({ placement }) => placement);
+    if (
+      placements.includes(HeuristicPlacement.SIDE) &&
+      placements.includes(HeuristicPlacement.BELOW)
+    ) {
+      return DetectionConfidence.HIGH;
+    }
+    return DetectionConfidence.MEDIUM;
+  }
+};
+
+/**
+ * 新しいHeuristicDetectorインスタンスを作成
+ * @param {Object} logger - ロガーインスタンス
+ * @param {Object} errorHandler - エラーハンドラーインスタンス
+ * @param {ElementObserver} elementObserver - ElementObserverインスタンス
+ * @returns {HeuristicDetector} 新しいHeuristicDetectorインスタンス
+ */
+const createHeuristicDetector = (logger, errorHandler, elementObserver) =>
+  new HeuristicDetector(logger, errorHandler, elementObserver);
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    HEURISTIC_MIN_VIDEO_AREA,
+    HEURISTIC_CONTAINER_TOLERANCE,
+    HEURISTIC_COLUMN_MIN_RATIO,
+    HEURISTIC_PLAYER_MIN_VIEWPORT_RATIO,
+    HEURISTIC_EDGE_MARGIN,
+    HeuristicPlacement,
+    isSimilarRect,
+    classifyPlacement,
+    HeuristicDetector,
+    createHeuristicDetector,
+  };
+} else if (typeof window !== "undefined") {
+  window.HEURISTIC_MIN_VIDEO_AREA = HEURISTIC_MIN_VIDEO_AREA;
+  window.HEURISTIC_CONTAINER_TOLERANCE = HEURISTIC_CONTAINER_TOLERANCE;
+  window.HEURISTIC_COLUMN_MIN_RATIO = HEURISTIC_COLUMN_MIN_RATIO;
+  window.HEURISTIC_PLAYER_MIN_VIEWPORT_RATIO =
+    HEURISTIC_PLAYER_MIN_VIEWPORT_RATIO;
+  window.HEURISTIC_EDGE_MARGIN = HEURISTIC_EDGE_MARGIN;
+  window.HeuristicPlacement = HeuristicPlacement;
+  window.isSimilarRect = isSimilarRect;
+  window.classifyPlacement = classifyPlacement;
+  window.HeuristicDetector = HeuristicDetector;
+  window.createHeuristicDetector = createHeuristicDetector;
+}
@@ -5,7 +5,7 @@
  */
 
 // 依存関係のインポート
-let Logger,
+var Logger,
   ErrorHandler,
   Result,
   AppError,
@@ -35,7 +35,7 @@ if (typeof require !== "undefined") {
  * レガシーAPIアダプター
  * 既存のAPIを新しい実装にマッピング
  */
-class LegacyAdapter {
+var LegacyAdapter = class LegacyAdapter {
   /**
    * LegacyAdapterインスタンスを作成
    * @param {Object} options - オプション
@@ -691,7 +691,7 @@ class LegacyAdapter {
       this.logger.debug("LegacyAdapter cleaned up");
     }
   }
-}
+};
 
 /**
  * 新しいLegacyAdapterインスタンスを作成
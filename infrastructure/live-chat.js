@@ -0,0 +1,159 @@
+/**
+ * LiveChat
+ * ライブ配信の検出と、iframe 内のライブチャットを暗くするためのプロファイルを管理する
+ *
+ * コンテンツスクリプトからも読み込むため、selector-pack.js 以外のモジュールには依存しない
+ */
+
+/**
+ * ライブ配信中を示すバッジのセレクター（同梱のセレクターパックの live セクション）
+ * @readonly
+ * @type {string[]}
+ */
+const LIVE_BADGE_SELECTORS = (
+  typeof require !== "undefined"
+    ? require("./selector-pack.js").DEFAULT_SELECTOR_PACK
+    : DEFAULT_SELECTOR_PACK
+).pages.live.detect;
+
+/**
+ * ライブチャットの iframe のセレクター
+ * @readonly
+ * @type {string}
+ */
+const LIVE_CHAT_FRAME_SELECTOR = "ytd-live-chat-frame iframe#chatframe";
+
+/**
+ * チャットフレームのルート要素に設定するクラス
+ * @readonly
+ * @enum {string}
+ */
+const LiveChatClass = {
+  ACTIVE: "theater-mode-live-chat", // チャットを暗くする
+  KEEP_PINNED: "theater-mode-keep-pinned", // 固定メッセージを元の明るさで表示
+  KEEP_SUPER_CHATS: "theater-mode-keep-super-chats", // スーパーチャットを元の明るさで表示
+};
+
+/**
+ * チャットの透明度を設定するCSS変数
+ * @readonly
+ * @type {string}
+ */
+const LIVE_CHAT_OPACITY_PROPERTY = "--theater-mode-chat-opacity";
+
+/**
+ * ライブ配信プロファイルのデフォルト値
+ * @readonly
+ * @type {Object}
+ */
+var DEFAULT_LIVE_CHAT_PROFILE = {
+  enabled: false,
+  chatOpacity: 0.5,
+  keepPinned: true,
+  keepSuperChats: true,
+};
+
+/**
+ * ライブ配信プロファイルを正規化
+ * @param {Object} [profile] - ライブ配信プロファイル
+ * @returns {Object} 正規化されたプロファイル
+ */
+var normalizeLiveChatProfile = (profile) => {
+  const source = profile && typeof profile === "object" ? profile : {};
+
+  return {
+    enabled: source.enabled === true,
+    // 領域ごとの暗さと同じく0-0.9の5%単位に丸める
+    chatOpacity: Number.isFinite(source.chatOpacity)
+      ? Math.max(0, Math.min(0.9, Math.round(source.chatOpacity * 20) / 20))
+      : DEFAULT_LIVE_CHAT_PROFILE.chatOpacity,
+    keepPinned: source.keepPinned !== false,
+    keepSuperChats: source.keepSuperChats !== false,
+  };
+};
+
+/**
+ * ライブバッジが表示されているかどうかを判定
+ * @param {Element|null} badge - バッジ要素
+ * @returns {boolean} 表示されている場合はtrue
+ */
+var isLiveBadgeVisible = (badge) => {
+  if (!badge || badge.hidden) {
+    return false;
+  }
+
+  const view = badge.ownerDocument && badge.ownerDocument.defaultView;
+  if (view && view.getComputedStyle(badge).display === "none") {
+    return false;
+  }
+  return true;
+};
+
+/**
+ * 表示されているライブバッジを検索
+ * @param {Document|Element} [root=document] - 検索の起点
+ * @param {string[]} [selectors=LIVE_BADGE_SELECTORS] - バッジのセレクター
+ * @returns {Element|null} 表示されているバッジ、ない場合はnull
+ */
+const findLiveBadge = (root = document, selectors = LIVE_BADGE_SELECTORS) => {
+  for (const selector of selectors) {
+    const badge = Array.from(root.querySelectorAll(selector)).find(
+      isLiveBadgeVisible
+    );
+    if (badge) {
+      return badge;
+    }
+  }
+  return null;
+};
+
+/**
+ * チャットフレームのルート要素に状態を反映
+ * @param {Element} root - チャットフレームの documentElement
+ * @param {Object} state - 状態 { active, chatOpacity, keepPinned, keepSuperChats }
+ */
+const applyLiveChatState = (root, state) => {
+  const active = Boolean(state && state.active);
+  const profile = normalizeLiveChatProfile(state);
+
+  root.classList.toggle(LiveChatClass.ACTIVE, active);
+  root.classList.toggle(
+    LiveChatClass.KEEP_PINNED,
+    active && profile.keepPinned
+  );
+  root.classList.toggle(
+    LiveChatClass.KEEP_SUPER_CHATS,
+    active && profile.keepSuperChats
+  );
+
+  if (active) {
+    root.style.setProperty(LIVE_CHAT_OPACITY_PROPERTY, profile.chatOpacity);
+  } else {
+    root.style.removeProperty(LIVE_CHAT_OPACITY_PROPERTY);
+  }
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    LIVE_BADGE_SELECTORS,
+    LIVE_CHAT_FRAME_SELECTOR,
+    LiveChatClass,
+    LIVE_CHAT_OPACITY_PROPERTY,
+    DEFAULT_LIVE_CHAT_PROFILE,
+    normalizeLiveChatProfile,
+    isLiveBadgeVisible,
+    findLiveBadge,
+    applyLiveChatState,
+  };
+} else if (typeof window !== "undefined") {
+  window.LIVE_BADGE_SELECTORS = LIVE_BADGE_SELECTORS;
+  window.LIVE_CHAT_FRAME_SELECTOR = LIVE_CHAT_FRAME_SELECTOR;
+  window.LiveChatClass = LiveChatClass;
+  window.LIVE_CHAT_OPACITY_PROPERTY = LIVE_CHAT_OPACITY_PROPERTY;
+  window.DEFAULT_LIVE_CHAT_PROFILE = DEFAULT_LIVE_CHAT_PROFILE;
+  window.normalizeLiveChatProfile = normalizeLiveChatProfile;
+  window.isLiveBadgeVisible = isLiveBadgeVisible;
+  window.findLiveBadge = findLiveBadge;
+  window.applyLiveChatState = applyLiveChatState;
+}
@@ -4,7 +4,7 @@
  *
  * @class Logger
  */
-class Logger {
+var Logger = class Logger {
   /**
    * ログレベル定義
    * @readonly
@@ -565,7 +565,7 @@ class Logger {
       Logger.LogLevelNames[this.level]
     }, destinations=[${this.destinations.join(", ")}])`;
   }
-}
+};
 
 // グローバルLoggerインスタンス
 const globalLogger = new Logger("YouTube Theater Mode");
@@ -4,7 +4,7 @@
  */
 
 // 依存関係のインポート
-let Logger, ErrorHandler, Result, AppError, ErrorType, RetryManager;
+var Logger, ErrorHandler, Result, AppError, ErrorType, RetryManager;
 
 // Node.js環境での依存関係の解決
 if (typeof require !== "undefined") {
@@ -23,7 +23,7 @@ if (typeof require !== "undefined") {
  * @readonly
  * @enum {string}
  */
-const MessageType = {
+var MessageType = {
   // システムメッセージ
   SYSTEM_INIT: "SYSTEM_INIT",
   SYSTEM_READY: "SYSTEM_READY",
@@ -41,6 +41,9 @@ const MessageType = {
   THEATER_MODE_STATUS: "THEATER_MODE_STATUS",
   OPACITY_CHANGE: "OPACITY_CHANGE",
 
+  // ショートカット関連メッセージ
+  SHORTCUT_COMMAND: "SHORTCUT_COMMAND",
+
   // タブ関連メッセージ
   TAB_ACTIVATED: "TAB_ACTIVATED",
   TAB_UPDATED: "TAB_UPDATED",
@@ -56,6 +59,13 @@ const MessageType = {
   YOUTUBE_PLAYER_READY: "YOUTUBE_PLAYER_READY",
   YOUTUBE_PLAYER_STATE_CHANGE: "YOUTUBE_PLAYER_STATE_CHANGE",
 
+  // ライブチャット関連メッセージ
+  LIVE_CHAT_READY: "LIVE_CHAT_READY",
+  LIVE_CHAT_STATE: "LIVE_CHAT_STATE",
+
+  // 埋め込みプレーヤー関連メッセージ
+  EMBED_PLAYER_STATE: "EMBED_PLAYER_STATE",
+
   // カスタムメッセージ
   CUSTOM: "CUSTOM",
 };
@@ -65,20 +75,28 @@ const MessageType = {
  * @readonly
  * @enum {string}
  */
-const MessageTarget = {
+var MessageTarget = {
   BACKGROUND: "background",
   CONTENT_SCRIPT: "content_script",
   POPUP: "popup",
   ALL: "all",
   TAB: "tab",
+  FRAME: "frame", // connectFrame() で接続したフレーム
 };
 
+/**
+ * フレーム間メッセージを識別するチャンネル名
+ * @readonly
+ * @type {string}
+ */
+const FRAME_CHANNEL = "youtube-theater-mode";
+
 /**
  * メッセージの優先度
  * @readonly
  * @enum {number}
  */
-const MessagePriority = {
+var MessagePriority = {
   HIGH: 0,
   NORMAL: 1,
   LOW: 2,
@@ -104,11 +122,27 @@ const MessageSchemas = {
   [MessageType.OPACITY_CHANGE]: {
     value: { type: "number", required: true, min: 0, max: 0.9 },
   },
+  [MessageType.SHORTCUT_COMMAND]: {
+    command: { type: "string", required: true },
+  },
+  [MessageType.YOUTUBE_PLAYER_STATE_CHANGE]: {
+    state: { type: "string", required: true },
+    currentTime: { type: "number", required: false },
+  },
   [MessageType.TAB_UPDATED]: {
     tabId: { type: "number", required: true },
     url: { type: "string", required: false },
     status: { type: "string", required: false },
   },
+  [MessageType.LIVE_CHAT_STATE]: {
+    active: { type: "boolean", required: true },
+    chatOpacity: { type: "number", required: false, min: 0, max: 0.9 },
+    keepPinned: { type: "boolean", required: false },
+    keepSuperChats: { type: "boolean", required: false },
+  },
+  [MessageType.EMBED_PLAYER_STATE]: {
+    playing: { type: "boolean", required: true },
+  },
   // 他のメッセージタイプのスキーマを追加
 };
 
@@ -278,7 +312,7 @@ class MessageValidator {
  * メッセージ構造体
  * 送受信されるメッセージの標準形式
  */
-class Message {
+var Message = class Message {
   /**
    * メッセージを作成
    * @param {string} type - メッセージタイプ
@@ -365,7 +399,7 @@ class Message {
       responseToId: serialized.responseToId,
     });
   }
-}
+};
 
 /**
  * メッセージキュー
@@ -442,7 +476,7 @@ class MessageQueue {
  * メッセージバス
  * 型安全なメッセージパッシングシステムの中核
  */
-class MessageBus {
+var MessageBus = class MessageBus {
   /**
    * MessageBusインスタンスを作成
    * @param {Object} options - オプション
@@ -480,6 +514,9 @@ class MessageBus {
       logger: this.logger,
     });
 
+    // connectFrame() で接続したフレーム: {getTargetWindow, targetOrigin, listener}
+    this.frames = [];
+
     // Chrome拡張機能のメッセージリスナーを設定
     this._setupChromeListeners();
   }
@@ -494,7 +531,12 @@ class MessageBus {
       chrome.runtime &&
       chrome.runtime.onMessage
     ) {
-      chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+      this._chromeMessageListener = (message, sender, sendResponse) => {
+        // action 形式など MessageBus 以外のメッセージは他のリスナーに任せる
+        if (!message || !message.type) {
+          return false;
+        }
+
         // メッセージをデシリアライズ
         let msg;
         try {
@@ -527,7 +569,96 @@ class MessageBus {
         }
 
         return false;
-      });
+      };
+      chrome.runtime.onMessage.addListener(this._chromeMessageListener);
+    }
+  }
+
+  /**
+   * 親ページと iframe の間のメッセージ送受信を接続
+   * 接続後は target: MessageTarget.FRAME で送信したメッセージが相手のウィンドウに届き、
+   * 相手から届いたメッセージは登録済みのハンドラーで処理される
+   * @param {function(): Window|null} getTargetWindow - 相手のウィンドウを返す関数
+   *   （iframe は読み込み直されるため送受信のたびに取得する）
+   * @param {string} targetOrigin - 相手のオリジン
+   * @returns {function()} 接続解除関数
+   */
+  connectFrame(getTargetWindow, targetOrigin) {
+    const frame = { getTargetWindow, targetOrigin, listener: null };
+
+    frame.listener = (event) => {
+      const envelope = event.data;
+      if (!envelope || envelope.channel !== FRAME_CHANNEL) {
+        return;
+      }
+
+      // 接続した相手以外からのメッセージは無視
+      const targetWindow = getTargetWindow();
+      if (
+        !targetWindow ||
+        event.source !== targetWindow ||
+        event.origin !== targetOrigin
+      ) {
+        return;
+      }
+
+      let msg;
+      try {
+        msg = Message.deserialize(envelope.message);
+      } catch (error) {
+        if (this.logger) {
+          this.logger.warn("Failed to deserialize frame message", { error });
+        }
+        return;
+      }
+
+      const validationResult = MessageValidator.validate(msg.type, msg.data);
+      if (validationResult.isFailure() && !msg.responseToId) {
+        if (this.logger) {
+          this.logger.warn("Frame message validation failed", {
+            type: msg.type,
+            error: validationResult.error,
+          });
+        }
+        return;
+      }
+
+      // 応答をフレームに返すため送信元を設定
+      msg.source = MessageTarget.FRAME;
+
+      this.incomingQueue.enqueue(msg);
+      this._processIncomingQueue();
+    };
+
+    window.addEventListener("message", frame.listener);
+    this.frames.push(frame);
+
+    return () => {
+      window.removeEventListener("message", frame.listener);
+      const index = this.frames.indexOf(frame);
+      if (index !== -1) {
+        this.frames.splice(index, 1);
+      }
+    };
+  }
+
+  /**
+   * 接続したフレームにメッセージを送信
+   * 相手のウィンドウがまだない場合は送信しない（相手の準備完了時に改めて送る）
+   * @param {Message} message - 送信するメッセージ
+   * @private
+   */
+  _postToFrames(message) {
+    const envelope = {
+      channel: FRAME_CHANNEL,
+      message: message.serialize(),
+    };
+
+    for (const { getTargetWindow, targetOrigin } of this.frames) {
+      const targetWindow = getTargetWindow();
+      if (targetWindow) {
+        targetWindow.postMessage(envelope, targetOrigin);
+      }
     }
   }
 
@@ -749,6 +880,12 @@ class MessageBus {
    * @private
    */
   async _sendMessage(message) {
+    // フレーム宛てのメッセージは postMessage で送信
+    if (message.target === MessageTarget.FRAME) {
+      this._postToFrames(message);
+      return;
+    }
+
     // Chrome拡張機能のメッセージングAPIを使用
     if (
       typeof chrome !== "undefined" &&
@@ -968,8 +1105,14 @@ class MessageBus {
     ) {
       chrome.runtime.onMessage.removeListener(this._chromeMessageListener);
     }
+
+    // フレームのメッセージリスナーを削除
+    for (const { listener } of this.frames) {
+      window.removeEventListener("message", listener);
+    }
+    this.frames = [];
   }
-}
+};
 
 // CommonJS/ES6 両対応のエクスポート
 if (typeof module !== "undefined" && module.exports) {
@@ -981,6 +1124,7 @@ if (typeof module !== "undefined" && module.exports) {
     MessageQueue,
     MessageValidator,
     MessageBus,
+    FRAME_CHANNEL,
   };
 } else if (typeof window !== "undefined") {
   window.MessageType = MessageType;
@@ -990,4 +1134,5 @@ if (typeof module !== "undefined" && module.exports) {
   window.MessageQueue = MessageQueue;
   window.MessageValidator = MessageValidator;
   window.MessageBus = MessageBus;
+  window.FRAME_CHANNEL = FRAME_CHANNEL;
 }
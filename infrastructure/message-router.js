@@ -5,8 +5,8 @@
  */
 
 // 依存関係のインポート
-let Logger, ErrorHandler, Result, AppError, ErrorType;
-let MessageBus, MessageType, MessageTarget, MessagePriority, Message;
+var Logger, ErrorHandler, Result, AppError, ErrorType;
+var MessageBus, MessageType, MessageTarget, MessagePriority, Message;
 
 // Node.js環境での依存関係の解決
 if (typeof require !== "undefined") {
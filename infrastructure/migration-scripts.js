@@ -5,13 +5,17 @@
  */
 
 // 依存関係のインポート
-let Logger,
+var Logger,
   ErrorHandler,
   Result,
   AppError,
   ErrorType,
   StorageAdapter,
-  StorageType;
+  StorageType,
+  ShortcutBinding,
+  getCodeFromKey,
+  getKeyFromCode,
+  migrateShortcutConfig;
 
 // Node.js環境での依存関係の解決
 if (typeof require !== "undefined") {
@@ -23,13 +27,19 @@ if (typeof require !== "undefined") {
     ErrorType,
   } = require("./error-handler.js"));
   ({ StorageAdapter, StorageType } = require("./storage-adapter.js"));
+  ({
+    ShortcutBinding,
+    getCodeFromKey,
+    getKeyFromCode,
+    migrateShortcutConfig,
+  } = require("../keyboard-shortcut-manager.js"));
 }
 
 /**
  * 移行バージョン定義
  * 各バージョンの移行処理を定義
  */
-const MIGRATION_VERSIONS = [
+var MIGRATION_VERSIONS = [
   {
     version: "1.0.0",
     description: "初期バージョン",
@@ -78,10 +88,75 @@ const MIGRATION_VERSIONS = [
       };
     },
   },
+  {
+    version: "1.3.0",
+    description: "ページタイプ別の自動有効化の追加",
+    legacyKeys: ["settings"],
+    newKeys: ["settings"],
+    migrate: (oldData) => {
+      const oldSettings = oldData.settings || {};
+
+      return {
+        settings: {
+          ...oldSettings,
+          autoEnablePageTypes: oldSettings.autoEnablePageTypes || {
+            video: true,
+            shorts: false,
+            live: true,
+            premiere: true,
+            playlist: true,
+          },
+          version: "1.3.0",
+        },
+      };
+    },
+  },
+  {
+    version: "1.4.0",
+    description: "透明度から効果モデルへの移行",
+    legacyKeys: ["settings"],
+    newKeys: ["settings"],
+    migrate: (oldData) => {
+      const oldSettings = oldData.settings || {};
+      const opacity =
+        typeof oldSettings.opacity === "number" ? oldSettings.opacity : 0.7;
+
+      return {
+        settings: {
+          ...oldSettings,
+          overlayEffects: oldSettings.overlayEffects || {
+            opacity,
+            blur: 0,
+            grayscale: 0,
+            brightness: 1,
+          },
+          version: "1.4.0",
+        },
+      };
+    },
+  },
+  {
+    version: "1.5.0",
+    description: "キーボード配列に依存しないショートカットの割り当て",
+    legacyKeys: ["settings"],
+    newKeys: ["settings"],
+    migrate: (oldData) => {
+      const oldSettings = oldData.settings || {};
+
+      return {
+        settings: {
+          ...oldSettings,
+          shortcuts: migrateShortcuts(oldSettings),
+          version: "1.5.0",
+        },
+      };
+    },
+  },
 ];
 
 /**
  * ショートカットキーを抽出するヘルパー関数
+ * キーの位置（"KeyT" や "Ctrl+Shift+KeyT"）で書かれたキーは US 配列の文字にする
  * @param {string} shortcutKey - レガシー形式のショートカットキー
  * @returns {string} 抽出されたキー
  */
@@ -91,19 +166,52 @@ function extractShortcutKey(shortcutKey) {
   }
 
   // "Ctrl+Shift+T" -> "t" に変換
-  const match = shortcutKey.match(/Ctrl\+Shift\+(.)/i);
-  if (match) {
-    return match[1].toLowerCase();
-  }
+  const match = shortcutKey.match(/^Ctrl\+Shift\+(.+)$/i);
+  const key = match ? match[1] : shortcutKey;
 
   // 単一文字の場合はそのまま返す
-  if (shortcutKey.length === 1) {
-    return shortcutKey.toLowerCase();
+  if (key.length === 1) {
+    return key.toLowerCase();
+  }
+
+  // キーの位置の場合は入力される文字を返す
+  const keyFromCode = getKeyFromCode(key);
+  if (keyFromCode && keyFromCode.length === 1) {
+    return keyFromCode;
   }
 
   return "t"; // デフォルト
 }
 
+/**
+ * 設定のショートカットをキーボード配列に依存しない形式に移行
+ * 保存済みのショートカットは入力される文字での割り当てを引き継ぎ、
+ * ショートカットがなくレガシーの keyboardShortcut を変更していた場合は
+ * Ctrl+Shift とそのキーをシアターモードの切り替えに割り当てる
+ * @param {Object} settings - 移行前の設定
+ * @returns {Object} ショートカットIDをキーとした設定
+ */
+function migrateShortcuts(settings) {
+  const shortcuts = Object.fromEntries(
+    Object.entries(settings.shortcuts || {}).map(([id, config]) => [
+      id,
+      config && config.key ? migrateShortcutConfig(config) : config,
+    ])
+  );
+
+  const legacyKey = extractShortcutKey(settings.keyboardShortcut);
+  if (!shortcuts.theaterMode && legacyKey !== "t") {
+    shortcuts.theaterMode = {
+      key: legacyKey,
+      code: getCodeFromKey(legacyKey),
+      modifiers: { ctrl: true, shift: true, alt: false, meta: false },
+      binding: ShortcutBinding.CHARACTER,
+    };
+  }
+
+  return shortcuts;
+}
+
 /**
  * 現在の最新バージョン
  */
@@ -113,7 +221,7 @@ const CURRENT_VERSION =
 /**
  * 移行スクリプト管理クラス
  */
-class MigrationScripts {
+var MigrationScripts = class MigrationScripts {
   /**
    * MigrationScriptsインスタンスを作成
    * @param {Object} options - オプション
@@ -416,6 +524,26 @@ class MigrationScripts {
     }
   }
 
+  /**
+   * 指定したデータのバックアップを作成
+   * 移行以外でデータを置き換える前（設定のインポートなど）に使用する
+   * @param {Object} data - バックアップするデータ（ストレージのキーと値）
+   * @returns {Promise<Result<string>>} バックアップキー
+   */
+  async backupData(data) {
+    try {
+      return await this._createBackup(data);
+    } catch (error) {
+      if (this.logger) {
+        this.logger.error("Error creating backup", error);
+      }
+
+      return Result.failure(error, {
+        type: ErrorType.STORAGE_ERROR,
+      });
+    }
+  }
+
   /**
    * 利用可能なバックアップを取得
    * @returns {Promise<Result<Array>>} バックアップリスト
@@ -556,8 +684,12 @@ class MigrationScripts {
    */
   _detectCurrentVersion(data) {
     // 新形式の設定にバージョンがある場合
+    // 新形式は 1.1.0 で導入したため、1.0.0 と記録した新形式の設定
+    // （バージョンを更新していなかった拡張機能が保存・エクスポートした設定）は 1.1.0 の構造として移行する
     if (data.settings && data.settings.version) {
-      return data.settings.version;
+      return data.settings.version === "1.0.0"
+        ? "1.1.0"
+        : data.settings.version;
     }
 
     // レガシー形式の設定がある場合
@@ -971,7 +1103,7 @@ class MigrationScripts {
 
     return issues;
   }
-}
+};
 
 /**
  * 新しいMigrationScriptsインスタンスを作成
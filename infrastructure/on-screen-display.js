@@ -0,0 +1,226 @@
+/**
+ * OnScreenDisplay
+ * ショートカットでシアターモードや透明度を変更したときに、
+ * YouTube の音量表示のような小さな表示（OSD）をプレーヤーの上に一時的に表示する
+ *
+ * コンテンツスクリプトからも読み込むため、他のモジュールには依存しない
+ */
+
+/**
+ * OSD の要素のIDとクラス名の接頭辞
+ * @type {string}
+ */
+const OSD_ID = "theater-mode-osd";
+
+/**
+ * OSD を表示し続ける時間のデフォルト値（ミリ秒）
+ * @type {number}
+ */
+var DEFAULT_OSD_HIDE_DELAY = 1500;
+
+/**
+ * OSD を表示し続ける時間の範囲（ミリ秒）
+ * @readonly
+ * @type {{min: number, max: number}}
+ */
+var OSD_HIDE_DELAY_RANGE = { min: 500, max: 5000 };
+
+/**
+ * OSD を表示し続ける時間を範囲内に丸める
+ * @param {number} delay - 表示し続ける時間（ミリ秒）
+ * @returns {number} 範囲内の時間（数値でない場合はデフォルト）
+ */
+const normalizeOsdHideDelay = (delay) => {
+  if (!Number.isFinite(delay)) {
+    return DEFAULT_OSD_HIDE_DELAY;
+  }
+
+  const { min, max } = OSD_HIDE_DELAY_RANGE;
+  return Math.round(Math.min(max, Math.max(min, delay)));
+};
+
+/**
+ * プレーヤー上の一時的な状態表示
+ * フェードアウトのアニメーションは CSS で行い、prefers-reduced-motion が有効な場合は行わない
+ */
+class OnScreenDisplay {
+  /**
+   * OnScreenDisplayインスタンスを作成
+   * @param {Object} [dependencies] - 依存関係
+   * @param {Function} [dependencies.getContainer] - 表示先のプレーヤー要素を返す関数
+   *   （見つからない場合は全画面の要素か body の中央に表示する）
+   * @param {Object} [dependencies.i18n] - メッセージの取得に使う I18nManager
+   * @param {number} [dependencies.hideDelay] - 表示し続ける時間（ミリ秒、OSD_HIDE_DELAY_RANGE の範囲）
+   */
+  constructor(dependencies = {}) {
+    this.getContainer = dependencies.getContainer || (() => null);
+    this.i18n = dependencies.i18n;
+    this.hideDelay = normalizeOsdHideDelay(dependencies.hideDelay);
+
+    // 表示中の要素（一度作成したら使い回す）
+    this.element = null;
+    this.stateText = null;
+    this.valueText = null;
+    this.meter = null;
+
+    this.hideTimer = null;
+  }
+
+  /**
+   * 表示し続ける時間を変更
+   * @param {number} delay - 表示し続ける時間（ミリ秒）
+   * @returns {number} 範囲内に丸めた時間
+   */
+  setHideDelay(delay) {
+    this.hideDelay = normalizeOsdHideDelay(delay);
+    return this.hideDelay;
+  }
+
+  /**
+   * OSD が表示されているかどうか
+   * @returns {boolean} 表示中の場合はtrue
+   */
+  isVisible() {
+    return this.hideTimer !== null;
+  }
+
+  /**
+   * シアターモードの状態と透明度を表示
+   * 表示中に呼び出した場合は内容を更新し、表示し続ける時間を延長する
+   * @param {Object} state - 表示する状態
+   * @param {boolean} state.active - シアターモードが有効かどうか
+   * @param {number} state.opacity - 透明度（0-1）
+   */
+  show({ active, opacity }) {
+    const element = this._attach();
+    const percent = Math.round(opacity * 100);
+
+    element.classList.toggle("is-active", active);
+    this.stateText.textContent = this._getMessage(
+      active ? "osdTheaterOn" : "osdTheaterOff"
+    );
+    this.valueText.textContent = `${percent}%`;
+    this.meter.style.width = `${percent}%`;
+    element.classList.add("is-visible");
+
+    clearTimeout(this.hideTimer);
+    this.hideTimer = setTimeout(() => this.hide(), this.hideDelay);
+  }
+
+  /**
+   * OSD を隠す（要素は次の表示のために残す）
+   */
+  hide() {
+    clearTimeout(this.hideTimer);
+    this.hideTimer = null;
+
+    if (this.element) {
+      this.element.classList.remove("is-visible");
+    }
+  }
+
+  /**
+   * OSD の要素を削除
+   */
+  destroy() {
+    this.hide();
+
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+
+  /**
+   * 表示先のプレーヤーに要素を追加
+   * SPA 遷移でプレーヤーが差し替えられた場合は新しいプレーヤーに移す
+   * @returns {HTMLElement} OSD の要素
+   * @private
+   */
+  _attach() {
+    if (!this.element) {
+      this.element = this._render();
+    }
+
+    const player = this.getContainer();
+    const container = player || document.fullscreenElement || document.body;
+    this.element.classList.toggle("is-detached", !player);
+    if (this.element.parentNode !== container) {
+      container.appendChild(this.element);
+    }
+
+    return this.element;
+  }
+
+  /**
+   * OSD の要素を作成
+   * スクリーンリーダーには別に通知するため、読み上げの対象から外す
+   * @returns {HTMLElement} OSD の要素
+   * @private
+   */
+  _render() {
+    const element = document.createElement("div");
+    element.id = OSD_ID;
+    element.className = OSD_ID;
+    element.setAttribute("aria-hidden", "true");
+
+    const stateText = document.createElement("span");
+    stateText.className = `${OSD_ID}-state`;
+
+    const valueText = document.createElement("span");
+    valueText.className = `${OSD_ID}-value`;
+
+    const bar = document.createElement("span");
+    bar.className = `${OSD_ID}-bar`;
+    const meter = document.createElement("span");
+    meter.className = `${OSD_ID}-meter`;
+    bar.appendChild(meter);
+
+    element.appendChild(stateText);
+    element.appendChild(valueText);
+    element.appendChild(bar);
+
+    this.stateText = stateText;
+    this.valueText = valueText;
+    this.meter = meter;
+    return element;
+  }
+
+  /**
+   * メッセージを取得
+   * @param {string} key - メッセージキー
+   * @returns {string} メッセージ
+   * @private
+   */
+  _getMessage(key) {
+    return this.i18n ? this.i18n.getMessage(key) : key;
+  }
+}
+
+/**
+ * 新しいOnScreenDisplayインスタンスを作成
+ * @param {Object} [dependencies] - 依存関係
+ * @returns {OnScreenDisplay} 新しいOnScreenDisplayインスタンス
+ */
+const createOnScreenDisplay = (dependencies) => {
+  return new OnScreenDisplay(dependencies);
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    OSD_ID,
+    DEFAULT_OSD_HIDE_DELAY,
+    OSD_HIDE_DELAY_RANGE,
+    normalizeOsdHideDelay,
+    OnScreenDisplay,
+    createOnScreenDisplay,
+  };
+} else if (typeof window !== "undefined") {
+  window.OSD_ID = OSD_ID;
+  window.DEFAULT_OSD_HIDE_DELAY = DEFAULT_OSD_HIDE_DELAY;
+  window.OSD_HIDE_DELAY_RANGE = OSD_HIDE_DELAY_RANGE;
+  window.normalizeOsdHideDelay = normalizeOsdHideDelay;
+  window.OnScreenDisplay = OnScreenDisplay;
+  window.createOnScreenDisplay = createOnScreenDisplay;
+}
@@ -0,0 +1,114 @@
+/**
+ * OpacityPresets
+ * 名前を付けて保存した透明度と効果の組み合わせ（プリセット）と、
+ * プリセットを切り替える番号付きのショートカット（Ctrl+Shift+1〜5）を定義する
+ */
+
+// 依存関係のインポート
+var normalizeOverlayEffects, ShortcutBinding;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ normalizeOverlayEffects } = require("./overlay-effects.js"));
+  ({ ShortcutBinding } = require("../keyboard-shortcut-manager.js"));
+}
+
+/**
+ * 保存できるプリセットの最大数（ショートカットの番号 1〜5 に対応）
+ * @type {number}
+ */
+var MAX_OPACITY_PRESETS = 5;
+
+/**
+ * プリセット名の最大文字数
+ * @type {number}
+ */
+const OPACITY_PRESET_NAME_MAX_LENGTH = 30;
+
+/**
+ * プリセットを正規化
+ * 名前は前後の空白を除いて最大文字数までにし、効果は範囲内に丸める
+ * @param {Object} preset - プリセット（name と opacity, blur, grayscale, brightness）
+ * @returns {Object|null} 正規化されたプリセット（オブジェクトでない場合はnull）
+ */
+const normalizeOpacityPreset = (preset) => {
+  if (!preset || typeof preset !== "object") {
+    return null;
+  }
+
+  const name = typeof preset.name === "string" ? preset.name.trim() : "";
+  return {
+    name: name.slice(0, OPACITY_PRESET_NAME_MAX_LENGTH),
+    ...normalizeOverlayEffects(preset),
+  };
+};
+
+/**
+ * プリセットの一覧を正規化
+ * 不正なプリセットを除き、最大数を超えた分は切り捨てる
+ * @param {Array<Object>} [presets] - プリセットの一覧
+ * @returns {Array<Object>} 正規化されたプリセットの一覧
+ */
+const normalizeOpacityPresets = (presets) => {
+  if (!Array.isArray(presets)) {
+    return [];
+  }
+
+  return presets
+    .map(normalizeOpacityPreset)
+    .filter((preset) => preset !== null)
+    .slice(0, MAX_OPACITY_PRESETS);
+};
+
+/**
+ * プリセットを切り替えるショートカットのID
+ * @param {number} index - プリセットの位置（0から）
+ * @returns {string} ショートカットID（例: "opacityPreset1"）
+ */
+const getOpacityPresetShortcutId = (index) => `opacityPreset${index + 1}`;
+
+/**
+ * プリセットを切り替えるショートカットのアクション名
+ * @param {number} index - プリセットの位置（0から）
+ * @returns {string} アクション名（例: "applyOpacityPreset1"）
+ */
+const getOpacityPresetAction = (index) => `applyOpacityPreset${index + 1}`;
+
+/**
+ * プリセットを切り替えるショートカットの設定を作成
+ * Shift で入力される記号はキーボード配列によって異なるため、数字キーの位置で割り当てる
+ * @param {number} index - プリセットの位置（0から）
+ * @param {string} description - ショートカットの説明
+ * @returns {Object} KeyboardShortcutManager.registerShortcut() に渡す設定
+ */
+const createOpacityPresetShortcut = (index, description) => ({
+  key: String(index + 1),
+  code: `Digit${index + 1}`,
+  modifiers: { ctrl: true, shift: true, alt: false, meta: false },
+  binding: ShortcutBinding.CODE,
+  description,
+  action: getOpacityPresetAction(index),
+  context: "global",
+  enabled: true,
+});
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    MAX_OPACITY_PRESETS,
+    OPACITY_PRESET_NAME_MAX_LENGTH,
+    normalizeOpacityPreset,
+    normalizeOpacityPresets,
+    getOpacityPresetShortcutId,
+    getOpacityPresetAction,
+    createOpacityPresetShortcut,
+  };
+} else if (typeof window !== "undefined") {
+  window.MAX_OPACITY_PRESETS = MAX_OPACITY_PRESETS;
+  window.OPACITY_PRESET_NAME_MAX_LENGTH = OPACITY_PRESET_NAME_MAX_LENGTH;
+  window.normalizeOpacityPreset = normalizeOpacityPreset;
+  window.normalizeOpacityPresets = normalizeOpacityPresets;
+  window.getOpacityPresetShortcutId = getOpacityPresetShortcutId;
+  window.getOpacityPresetAction = getOpacityPresetAction;
+  window.createOpacityPresetShortcut = createOpacityPresetShortcut;
+}
@@ -0,0 +1,1161 @@
+/**
+ * OptionsController
+ * オプションページの制御を専門とするクラス
+ * 設定スキーマのメタデータからフォームを生成し、
+ * 設定の編集・インポート・エクスポートと診断情報の表示を行う
+ */
+
+// 依存関係のインポート
+var Result,
+  AppError,
+  ErrorType,
+  SchemaType,
+  validateSchemaValue,
+  CURRENT_SETTINGS_VERSION,
+  createSettingsExport,
+  parseSettingsExport,
+  migrateExportedSettings,
+  getSettingsChanges;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ Result, AppError, ErrorType } = require("./error-handler.js"));
+  ({
+    SchemaType,
+    validateSchemaValue,
+    CURRENT_SETTINGS_VERSION,
+  } = require("./settings-manager.js"));
+  ({
+    createSettingsExport,
+    parseSettingsExport,
+    migrateExportedSettings,
+    getSettingsChanges,
+  } = require("./settings-transfer.js"));
+}
+
+/**
+ * スキーマの規則から生成するフォームコントロールの種類
+ * @readonly
+ * @enum {string}
+ */
+const OptionControlType = {
+  CHECKBOX: "checkbox", // 真偽値
+  RANGE: "range", // 範囲のある数値（スライダー）
+  NUMBER: "number", // 範囲のない数値
+  SELECT: "select", // 列挙値
+  COMBO: "combo", // 列挙値または範囲内の数値（候補付きのテキスト入力）
+  TEXT: "text", // 文字列
+  GROUP: "group", // properties を持つオブジェクト（プロパティごとに生成）
+  JSON: "json", // マップや配列（JSON で編集）
+};
+
+/**
+ * エクスポートするファイルの名前
+ * @readonly
+ * @type {string}
+ */
+const SETTINGS_EXPORT_FILE_NAME = "youtube-theater-mode-settings.json";
+
+/**
+ * スキーマの規則に対応するコントロールの種類を取得
+ * @param {Object} rule - スキーマの規則
+ * @returns {string} OptionControlType の値
+ */
+const getControlType = (rule) => {
+  const hasRange = rule.min !== undefined && rule.max !== undefined;
+
+  switch (rule.type) {
+    case SchemaType.OBJECT:
+      return rule.properties ? OptionControlType.GROUP : OptionControlType.JSON;
+    case SchemaType.ARRAY:
+      return OptionControlType.JSON;
+    case SchemaType.BOOLEAN:
+      return OptionControlType.CHECKBOX;
+    case SchemaType.NUMBER:
+      return hasRange ? OptionControlType.RANGE : OptionControlType.NUMBER;
+  }
+
+  if (rule.enum) {
+    return rule.type === SchemaType.ANY && hasRange
+      ? OptionControlType.COMBO
+      : OptionControlType.SELECT;
+  }
+  return OptionControlType.TEXT;
+};
+
+/**
+ * スキーマからフォームの項目を作成
+ * properties を持つオブジェクトはプロパティごとの子項目を持つ
+ * 専用のエディターで編集する設定（customEditor）は項目にしない
+ * @param {Object} schema - 設定スキーマ（または properties）
+ * @param {Array<string>} [parentPath=[]] - 親の項目のパス
+ * @returns {Array<Object>} 項目
+ *   { key, path, rule, controlType, label, children }
+ */
+const createOptionFields = (schema, parentPath = []) =>
+  Object.entries(schema)
+    .filter(([, rule]) => !rule.customEditor)
+    .map(([name, rule]) => {
+      const path = [...parentPath, name];
+      const controlType = getControlType(rule);
+
+      return {
+        key: path.join("."),
+        path,
+        rule,
+        controlType,
+        label: rule.description || name,
+        children:
+          controlType === OptionControlType.GROUP
+            ? createOptionFields(rule.properties, path)
+            : [],
+      };
+    });
+
+/**
+ * 項目の値を設定オブジェクトから取得
+ * @param {Object} settings - 設定オブジェクト
+ * @param {Object} field - 項目
+ * @returns {any} 値（存在しない場合は undefined）
+ */
+const getFieldValue = (settings, field) =>
+  field.path.reduce(
+    (value, name) =>
+      value !== null && typeof value === "object" ? value[name] : undefined,
+    settings
+  );
+
+/**
+ * コントロールに表示する文字列に変換
+ * @param {Object} field - 項目
+ * @param {any} value - 設定値
+ * @returns {string} 表示する文字列
+ */
+const formatControlValue = (field, value) => {
+  if (field.controlType === OptionControlType.JSON) {
+    return JSON.stringify(value, null, 2);
+  }
+  return value === undefined || value === null ? "" : String(value);
+};
+
+/**
+ * コントロールの入力を設定値に変換
+ * JSON の構文エラーは例外として投げる
+ * @param {Object} field - 項目
+ * @param {string|boolean} input - コントロールの値（チェックボックスは真偽値）
+ * @returns {any} 設定値
+ */
+const parseControlValue = (field, input) => {
+  switch (field.controlType) {
+    case OptionControlType.CHECKBOX:
+      return input === true;
+    case OptionControlType.RANGE:
+    case OptionControlType.NUMBER:
+      return input.trim() === "" ? NaN : Number(input);
+    case OptionControlType.COMBO: {
+      // 列挙値でも数値でもない入力は文字列のまま検証で弾く
+      const number = Number(input);
+      return field.rule.enum.includes(input) ||
+        input.trim() === "" ||
+        !Number.isFinite(number)
+        ? input
+        : number;
+    }
+    case OptionControlType.JSON:
+      return JSON.parse(input);
+    default:
+      return input;
+  }
+};
+
+/**
+ * OptionsController
+ * オプションページの制御を専門とするクラス
+ */
+class OptionsController {
+  /**
+   * OptionsControllerインスタンスを作成
+   * @param {Object} dependencies - 依存関係
+   * @param {Object} dependencies.schema - 設定スキーマ
+   * @param {Object} dependencies.settingsClient - 設定の読み書きと診断情報の取得
+   *   { getSettings(), saveSettings(settings), backupSettings(settings),
+   *     getDiagnostics() }（いずれも Promise を返す）
+   * @param {DataValidator} dependencies.dataValidator - インポートの検証に使うデータバリデータ
+   * @param {string} dependencies.extensionVersion - エクスポートに記録する拡張機能のバージョン
+   * @param {UIEventHandler} dependencies.uiEventHandler - UIイベントハンドラー
+   * @param {Object} dependencies.i18n - メッセージの取得に使う I18nManager
+   * @param {Logger} dependencies.logger - ロガーインスタンス
+   * @param {ErrorHandler} dependencies.errorHandler - エラーハンドラーインスタンス
+   */
+  constructor(dependencies) {
+    this.schema = dependencies.schema;
+    this.settingsClient = dependencies.settingsClient;
+    this.dataValidator = dependencies.dataValidator;
+    this.extensionVersion = dependencies.extensionVersion;
+    this.uiEventHandler = dependencies.uiEventHandler;
+    this.i18n = dependencies.i18n;
+    this.logger = dependencies.logger;
+    this.errorHandler = dependencies.errorHandler;
+
+    // UI状態
+    this.uiState = {
+      isInitialized: false,
+      isDirty: false,
+      isSaving: false,
+    };
+
+    // フォームの項目とコントロール（項目のキー -> 入力要素）
+    this.fields = createOptionFields(this.schema);
+    this.controls = new Map();
+
+    // 保存済みの設定と診断情報
+    this.settings = {};
+    this.diagnostics = [];
+
+    // プレビュー中のインポートする設定
+    this.pendingImport = null;
+
+    // UI要素の参照
+    this.elements = {};
+
+    // イベントハンドラーの削除関数（クリーンアップ用）
+    this.removeHandlers = null;
+
+    // フィードバック表示用のタイマー
+    this.feedbackTimer = null;
+
+    this.logger.debug("OptionsController initialized", {
+      fields: this.fields.length,
+    });
+  }
+
+  /**
+   * オプションページを初期化
+   * @returns {Promise<Result<void>>} 初期化結果
+   */
+  async initialize() {
+    try {
+      this.logger.info("Initializing OptionsController");
+
+      // UI要素の参照を取得
+      const elementsResult = this._getUIElements();
+      if (elementsResult.isFailure()) {
+        return elementsResult;
+      }
+
+      // スキーマからフォームを生成
+      this._renderForm();
+
+      // イベントハンドラーを登録
+      this._setupEventHandlers();
+
+      // 保存済みの設定を読み込み
+      const loadResult = await this.loadSettings();
+      if (loadResult.isFailure()) {
+        return loadResult;
+      }
+
+      // 診断情報を表示
+      await this.refreshDiagnostics();
+
+      this.uiState.isInitialized = true;
+
+      this.logger.info("OptionsController initialization completed");
+
+      return Result.success();
+    } catch (error) {
+      const appError = new AppError("Failed to initialize OptionsController", {
+        type: ErrorType.INITIALIZATION_ERROR,
+        cause: error,
+      });
+
+      this.errorHandler.handleError(appError);
+      return Result.failure(appError);
+    }
+  }
+
+  /**
+   * オプションページを破棄
+   * @returns {Result<void>} 破棄結果
+   */
+  dispose() {
+    if (this.removeHandlers) {
+      this.removeHandlers();
+      this.removeHandlers = null;
+    }
+
+    if (this.feedbackTimer) {
+      clearTimeout(this.feedbackTimer);
+      this.feedbackTimer = null;
+    }
+
+    this.controls.clear();
+    this.uiState.isInitialized = false;
+
+    return Result.success();
+  }
+
+  /**
+   * 保存済みの設定を読み込んでフォームに反映
+   * @returns {Promise<Result<Object>>} 読み込んだ設定
+   */
+  async loadSettings() {
+    const result = await this.errorHandler.wrapAsync(
+      this.settingsClient.getSettings(),
+      { type: ErrorType.COMMUNICATION_ERROR }
+    );
+
+    if (result.isFailure()) {
+      return result;
+    }
+
+    this.settings = result.data || {};
+    this._applySettingsToForm(this.settings);
+    this._setDirty(false);
+
+    return Result.success(this.settings);
+  }
+
+  /**
+   * フォームの外（専用のエディターなど）で保存された設定を反映
+   * フォームの未保存の変更はそのまま残す
+   * @param {Object} updates - 保存された設定
+   * @returns {Result<Object>} 反映後の保存済みの設定
+   */
+  applySavedSettings(updates) {
+    this.settings = { ...this.settings, ...updates };
+    return Result.success(this.settings);
+  }
+
+  /**
+   * フォームの入力から設定を作成して検証
+   * 検証エラーのある項目にはエラーメッセージを表示する
+   * @returns {Result<Object>} 設定
+   *   （失敗時は context.errors に { key, message } の配列）
+   */
+  collectSettings() {
+    const settings = {};
+    const errors = [];
+
+    const collect = (field, target) => {
+      const name = field.path[field.path.length - 1];
+
+      if (field.controlType === OptionControlType.GROUP) {
+        // フォームにないプロパティは保存済みの値を残す
+        target[name] = { ...(getFieldValue(this.settings, field) || {}) };
+        field.children.forEach((child) => collect(child, target[name]));
+        return;
+      }
+
+      const error = this._readControl(field, target);
+      this._showFieldError(field, error);
+      if (error) {
+        errors.push({ key: field.key, message: error });
+      }
+    };
+
+    this.fields
+      .filter(({ rule }) => !rule.readOnly)
+      .forEach((field) => collect(field, settings));
+
+    if (errors.length > 0) {
+      return Result.failure("Options validation failed", {
+        type: ErrorType.VALIDATION_ERROR,
+        context: { errors },
+      });
+    }
+
+    return Result.success(settings);
+  }
+
+  /**
+   * フォームの設定を保存
+   * @returns {Promise<Result<Object>>} 保存した設定
+   */
+  async saveSettings() {
+    const collected = this.collectSettings();
+    if (collected.isFailure()) {
+      this._showValidationFeedback(collected);
+      return collected;
+    }
+
+    this._setSaving(true);
+    const saved = await this.settingsClient.saveSettings(collected.data);
+    this._setSaving(false);
+
+    if (!saved) {
+      this._showFeedbackMessage(this._getMessage("optionsSaveFailed"), true);
+      return Result.failure("Failed to save settings", {
+        type: ErrorType.STORAGE_ERROR,
+      });
+    }
+
+    this.settings = { ...this.settings, ...collected.data };
+    this._setDirty(false);
+    this._showFeedbackMessage(this._getMessage("optionsSaved"));
+
+    this.logger.info("Options saved");
+
+    return Result.success(collected.data);
+  }
+
+  /**
+   * フォームをスキーマのデフォルト値に戻す（保存するまでは反映しない）
+   * @returns {Result<void>} 結果
+   */
+  resetToDefaults() {
+    this._applySettingsToForm({
+      ...this._getDefaultSettings(),
+      version: this.settings.version,
+    });
+    this._setDirty(true);
+    this._showFeedbackMessage(this._getMessage("optionsReset"));
+
+    return Result.success();
+  }
+
+  /**
+   * フォームの設定をバージョン付きの JSON ドキュメントとして書き出す
+   * 専用のエディターで編集する設定は保存済みの値を書き出す
+   * フォームは現在のスキーマで検証するため、設定のバージョンは現在のバージョンにする
+   * @returns {Result<string>} JSON 文字列
+   */
+  exportSettings() {
+    const collected = this.collectSettings();
+    if (collected.isFailure()) {
+      this._showValidationFeedback(collected);
+      return collected;
+    }
+
+    const json = JSON.stringify(
+      createSettingsExport(
+        {
+          ...this._getCustomEditorSettings(),
+          ...collected.data,
+          version: CURRENT_SETTINGS_VERSION,
+        },
+        this.extensionVersion
+      ),
+      null,
+      2
+    );
+    this._downloadFile(SETTINGS_EXPORT_FILE_NAME, json);
+    this._showFeedbackMessage(this._getMessage("settingsExported"));
+
+    return Result.success(json);
+  }
+
+  /**
+   * エクスポートしたドキュメントを検証して、インポートで変わる設定を表示
+   * 古いバージョンの設定は現在のバージョンに移行してから検証する
+   * スキーマにないキーと読み取り専用のキーは無視し、適用するまでは保存しない
+   * @param {string} json - JSON 文字列
+   * @returns {Promise<Result<Array<Object>>>} 変わる設定 [{ key, before, after }]
+   */
+  async importSettings(json) {
+    const showInvalid = (result) => {
+      this.logger.warn("Invalid settings import", result.error);
+      this._showFeedbackMessage(
+        this._getMessage("settingsImportInvalid"),
+        true
+      );
+      return result;
+    };
+
+    const parsed = parseSettingsExport(json, this.dataValidator);
+    if (parsed.isFailure()) {
+      return showInvalid(parsed);
+    }
+
+    const migrated = await migrateExportedSettings(parsed.data.settings, {
+      logger: this.logger,
+      errorHandler: this.errorHandler,
+    });
+    if (migrated.isFailure()) {
+      return showInvalid(migrated);
+    }
+
+    const imported = migrated.data;
+    const settings = {};
+    const errors = [];
+    for (const [key, rule] of Object.entries(this.schema)) {
+      if (rule.readOnly || imported[key] === undefined) continue;
+
+      const validation = validateSchemaValue(key, rule, imported[key]);
+      if (validation.isFailure()) {
+        errors.push({ key, message: validation.error.message });
+      } else {
+        settings[key] = imported[key];
+      }
+    }
+
+    if (errors.length > 0) {
+      return showInvalid(
+        Result.failure("Imported settings validation failed", {
+          type: ErrorType.VALIDATION_ERROR,
+          context: { errors },
+        })
+      );
+    }
+
+    const changes = getSettingsChanges(this.settings, settings);
+    if (changes.length === 0) {
+      this._showFeedbackMessage(this._getMessage("settingsImportNoChanges"));
+      return Result.success(changes);
+    }
+
+    this.pendingImport = settings;
+    this._renderImportPreview(changes);
+
+    return Result.success(changes);
+  }
+
+  /**
+   * プレビュー中のインポートを適用して保存
+   * 保存する前に現在の設定のバックアップを作成する
+   * @returns {Promise<Result<Object>>} 保存した設定
+   */
+  async applyImport() {
+    if (!this.pendingImport) {
+      return Result.failure("No settings to import", {
+        type: ErrorType.VALIDATION_ERROR,
+      });
+    }
+
+    const settings = this.pendingImport;
+
+    this._setSaving(true);
+    const backedUp = await this.settingsClient.backupSettings(this.settings);
+    const saved =
+      backedUp && (await this.settingsClient.saveSettings(settings));
+    this._setSaving(false);
+
+    if (!saved) {
+      this._showFeedbackMessage(
+        this._getMessage(
+          backedUp ? "optionsSaveFailed" : "settingsBackupFailed"
+        ),
+        true
+      );
+      return Result.failure("Failed to import settings", {
+        type: ErrorType.STORAGE_ERROR,
+        context: { backedUp },
+      });
+    }
+
+    this.cancelImport();
+    this.settings = { ...this.settings, ...settings };
+    this._applySettingsToForm(this.settings);
+    this._setDirty(false);
+    this._showFeedbackMessage(this._getMessage("settingsImported"));
+
+    this.logger.info("Settings imported", { keys: Object.keys(settings) });
+
+    return Result.success(settings);
+  }
+
+  /**
+   * プレビュー中のインポートを取り消す
+   * @returns {Result<void>} 結果
+   */
+  cancelImport() {
+    this.pendingImport = null;
+    this.elements.importPreview.hidden = true;
+    this.elements.importPreviewList.textContent = "";
+
+    return Result.success();
+  }
+
+  /**
+   * 診断情報を取得して表示
+   * @returns {Promise<Result<Array<Object>>>} 診断情報 [{ label, value }]
+   */
+  async refreshDiagnostics() {
+    const result = await this.errorHandler.wrapAsync(
+      this.settingsClient.getDiagnostics(),
+      { type: ErrorType.COMMUNICATION_ERROR }
+    );
+
+    if (result.isFailure()) {
+      return result;
+    }
+
+    this.diagnostics = result.data || [];
+    this._renderDiagnostics();
+
+    return Result.success(this.diagnostics);
+  }
+
+  /**
+   * 診断情報をテキストとしてクリップボードにコピー
+   * @returns {Promise<Result<string>>} コピーしたテキスト
+   */
+  async copyDiagnostics() {
+    const text = this.diagnostics
+      .map(({ label, value }) => `${label}: ${value}`)
+      .join("\n");
+
+    const result = await this.errorHandler.wrapAsync(
+      navigator.clipboard.writeText(text)
+    );
+    if (result.isFailure()) {
+      return result;
+    }
+
+    this._showFeedbackMessage(this._getMessage("diagnosticsCopied"));
+    return Result.success(text);
+  }
+
+  /**
+   * UI要素の参照を取得
+   * @returns {Result<Object>} UI要素
+   * @private
+   */
+  _getUIElements() {
+    const elements = {
+      optionsForm: document.getElementById("optionsForm"),
+      saveOptionsBtn: document.getElementById("saveOptionsBtn"),
+      resetOptionsBtn: document.getElementById("resetOptionsBtn"),
+      exportSettingsBtn: document.getElementById("exportSettingsBtn"),
+      importSettingsBtn: document.getElementById("importSettingsBtn"),
+      importSettingsInput: document.getElementById("importSettingsInput"),
+      importPreview: document.getElementById("importPreview"),
+      importPreviewList: document.getElementById("importPreviewList"),
+      applyImportBtn: document.getElementById("applyImportBtn"),
+      cancelImportBtn: document.getElementById("cancelImportBtn"),
+      diagnosticsList: document.getElementById("diagnosticsList"),
+      copyDiagnosticsBtn: document.getElementById("copyDiagnosticsBtn"),
+      optionsFeedback: document.getElementById("optionsFeedback"),
+    };
+
+    for (const [elementName, element] of Object.entries(elements)) {
+      if (!element) {
+        return Result.failure(`Required UI element not found: ${elementName}`, {
+          type: ErrorType.ELEMENT_NOT_FOUND,
+          context: { elementName },
+        });
+      }
+    }
+
+    this.elements = elements;
+    return Result.success(elements);
+  }
+
+  /**
+   * スキーマの項目からフォームを生成
+   * @private
+   */
+  _renderForm() {
+    const { optionsForm } = this.elements;
+    optionsForm.textContent = "";
+    this.controls.clear();
+
+    this.fields.forEach((field) => {
+      optionsForm.appendChild(this._createFieldElement(field));
+    });
+  }
+
+  /**
+   * 項目の要素を作成
+   * @param {Object} field - 項目
+   * @returns {HTMLElement} 項目の要素
+   * @private
+   */
+  _createFieldElement(field) {
+    if (field.controlType === OptionControlType.GROUP) {
+      const fieldset = document.createElement("fieldset");
+      fieldset.className = "option-group";
+      fieldset.dataset.field = field.key;
+
+      const legend = document.createElement("legend");
+      legend.textContent = field.label;
+      legend.appendChild(this._createKeyElement(field));
+      fieldset.appendChild(legend);
+
+      field.children.forEach((child) => {
+        fieldset.appendChild(this._createFieldElement(child));
+      });
+      return fieldset;
+    }
+
+    const container = document.createElement("div");
+    container.className = "option-field";
+    container.dataset.field = field.key;
+
+    const control = this._createControl(field);
+    control.id = `option-${field.path.join("-")}`;
+    control.classList.add("option-control");
+    control.dataset.field = field.key;
+    this.controls.set(field.key, control);
+
+    const label = document.createElement("label");
+    label.htmlFor = control.id;
+    label.className = "option-label";
+    label.textContent = field.label;
+    label.appendChild(this._createKeyElement(field));
+
+    const error = document.createElement("p");
+    error.className = "option-error";
+    error.id = `${control.id}-error`;
+    error.hidden = true;
+    control.setAttribute("aria-describedby", error.id);
+
+    container.append(label, control);
+    if (field.controlType === OptionControlType.RANGE) {
+      const output = document.createElement("output");
+      output.className = "option-range-value";
+      output.htmlFor = control.id;
+      container.appendChild(output);
+    }
+    container.appendChild(error);
+
+    return container;
+  }
+
+  /**
+   * 項目のキーを表示する要素を作成
+   * @param {Object} field - 項目
+   * @returns {HTMLElement} キーの要素
+   * @private
+   */
+  _createKeyElement(field) {
+    const key = document.createElement("code");
+    key.className = "option-key";
+    key.textContent = field.key;
+    return key;
+  }
+
+  /**
+   * スキーマの規則からコントロールを作成
+   * @param {Object} field - 項目
+   * @returns {HTMLElement} 入力要素
+   * @private
+   */
+  _createControl(field) {
+    const { rule } = field;
+
+    switch (field.controlType) {
+      case OptionControlType.CHECKBOX: {
+        const input = document.createElement("input");
+        input.type = "checkbox";
+        return input;
+      }
+      case OptionControlType.RANGE:
+      case OptionControlType.NUMBER: {
+        const input = document.createElement("input");
+        input.type = field.controlType;
+        if (rule.min !== undefined) input.min = String(rule.min);
+        if (rule.max !== undefined) input.max = String(rule.max);
+        input.step = rule.step !== undefined ? String(rule.step) : "any";
+        return input;
+      }
+      case OptionControlType.SELECT: {
+        const select = document.createElement("select");
+        rule.enum.forEach((value) => {
+          const option = document.createElement("option");
+          option.value = String(value);
+          option.textContent = String(value);
+          select.appendChild(option);
+        });
+        return select;
+      }
+      case OptionControlType.COMBO: {
+        const input = document.createElement("input");
+        input.type = "text";
+        input.placeholder = `${rule.enum.join(" / ")} / ${rule.min}-${
+          rule.max
+        }`;
+
+        // 列挙値を候補として表示
+        const datalist = document.createElement("datalist");
+        datalist.id = `option-${field.path.join("-")}-values`;
+        rule.enum.forEach((value) => {
+          const option = document.createElement("option");
+          option.value = value;
+          datalist.appendChild(option);
+        });
+        this.elements.optionsForm.appendChild(datalist);
+        input.setAttribute("list", datalist.id);
+        return input;
+      }
+      case OptionControlType.JSON: {
+        const textarea = document.createElement("textarea");
+        textarea.rows = 4;
+        textarea.spellcheck = false;
+        return textarea;
+      }
+      default: {
+        const input = document.createElement("input");
+        input.type = "text";
+        input.readOnly = rule.readOnly === true;
+        if (rule.minLength !== undefined) input.minLength = rule.minLength;
+        if (rule.maxLength !== undefined) input.maxLength = rule.maxLength;
+        if (rule.pattern) input.pattern = rule.pattern.source;
+        return input;
+      }
+    }
+  }
+
+  /**
+   * 設定をフォームのコントロールに反映
+   * 設定にない値はスキーマのデフォルト値を表示する
+   * @param {Object} settings - 設定オブジェクト
+   * @private
+   */
+  _applySettingsToForm(settings) {
+    const defaults = this._getDefaultSettings();
+
+    const apply = (field) => {
+      if (field.controlType === OptionControlType.GROUP) {
+        field.children.forEach(apply);
+        return;
+      }
+
+      const control = this.controls.get(field.key);
+      const value = getFieldValue(settings, field);
+      const resolved =
+        value !== undefined ? value : getFieldValue(defaults, field);
+
+      if (field.controlType === OptionControlType.CHECKBOX) {
+        control.checked = resolved === true;
+      } else {
+        control.value = formatControlValue(field, resolved);
+      }
+      this._updateRangeOutput(control);
+      this._showFieldError(field, null);
+    };
+
+    this.fields.forEach(apply);
+  }
+
+  /**
+   * コントロールの値を読み取って検証し、設定オブジェクトに書き込む
+   * @param {Object} field - 項目
+   * @param {Object} target - 書き込み先のオブジェクト
+   * @returns {string|null} エラーメッセージ（問題がない場合はnull）
+   * @private
+   */
+  _readControl(field, target) {
+    const control = this.controls.get(field.key);
+    const input =
+      field.controlType === OptionControlType.CHECKBOX
+        ? control.checked
+        : control.value;
+
+    const parsed = this.errorHandler.wrapSync(
+      () => parseControlValue(field, input),
+      { type: ErrorType.VALIDATION_ERROR }
+    );
+    if (parsed.isFailure()) {
+      return `Invalid JSON for '${field.key}'`;
+    }
+
+    const validation = validateSchemaValue(field.key, field.rule, parsed.data);
+    if (validation.isFailure()) {
+      return validation.error.message;
+    }
+
+    target[field.path[field.path.length - 1]] = parsed.data;
+    return null;
+  }
+
+  /**
+   * 診断情報を表示
+   * @private
+   */
+  _renderDiagnostics() {
+    const { diagnosticsList } = this.elements;
+    diagnosticsList.textContent = "";
+
+    this.diagnostics.forEach(({ label, value }) => {
+      const term = document.createElement("dt");
+      term.textContent = label;
+      const description = document.createElement("dd");
+      description.textContent = String(value);
+      diagnosticsList.append(term, description);
+    });
+  }
+
+  /**
+   * インポートで変わる設定を表示
+   * @param {Array<Object>} changes - 変わる設定 [{ key, before, after }]
+   * @private
+   */
+  _renderImportPreview(changes) {
+    const { importPreview, importPreviewList } = this.elements;
+    const format = (value) =>
+      value === undefined ? "—" : JSON.stringify(value);
+
+    importPreviewList.textContent = "";
+    changes.forEach(({ key, before, after }) => {
+      const row = document.createElement("tr");
+
+      const keyCell = document.createElement("th");
+      keyCell.scope = "row";
+      const code = document.createElement("code");
+      code.textContent = key;
+      keyCell.appendChild(code);
+
+      const beforeCell = document.createElement("td");
+      beforeCell.textContent = format(before);
+      const afterCell = document.createElement("td");
+      afterCell.textContent = format(after);
+
+      row.append(keyCell, beforeCell, afterCell);
+      importPreviewList.appendChild(row);
+    });
+
+    importPreview.hidden = false;
+  }
+
+  /**
+   * イベントハンドラーを登録
+   * @private
+   */
+  _setupEventHandlers() {
+    const configs = [
+      {
+        selector: ".option-control",
+        event: "input",
+        handler: (event) => {
+          this._updateRangeOutput(event.currentTarget);
+          this._setDirty(true);
+        },
+      },
+      {
+        selector: ".option-control",
+        event: "change",
+        handler: () => this._setDirty(true),
+      },
+      {
+        selector: "#saveOptionsBtn",
+        event: "click",
+        handler: () => this.saveSettings(),
+      },
+      {
+        selector: "#resetOptionsBtn",
+        event: "click",
+        handler: () => this.resetToDefaults(),
+      },
+      {
+        selector: "#exportSettingsBtn",
+        event: "click",
+        handler: () => this.exportSettings(),
+      },
+      {
+        selector: "#importSettingsBtn",
+        event: "click",
+        handler: () => this.elements.importSettingsInput.click(),
+      },
+      {
+        selector: "#importSettingsInput",
+        event: "change",
+        handler: (event) => this._handleImportFile(event),
+      },
+      {
+        selector: "#applyImportBtn",
+        event: "click",
+        handler: () => this.applyImport(),
+      },
+      {
+        selector: "#cancelImportBtn",
+        event: "click",
+        handler: () => this.cancelImport(),
+      },
+      {
+        selector: "#copyDiagnosticsBtn",
+        event: "click",
+        handler: () => this.copyDiagnostics(),
+      },
+    ];
+
+    this.removeHandlers = this.uiEventHandler.registerHandlers(configs);
+  }
+
+  /**
+   * 選択されたファイルを読み込んでインポート
+   * @param {Event} event - change イベント
+   * @private
+   */
+  async _handleImportFile(event) {
+    const input = event.currentTarget;
+    const [file] = input.files;
+    if (!file) return;
+
+    const text = await file.text();
+    input.value = "";
+    await this.importSettings(text);
+  }
+
+  /**
+   * スライダーの値の表示を更新
+   * @param {HTMLElement} control - 入力要素
+   * @private
+   */
+  _updateRangeOutput(control) {
+    if (control.type !== "range") return;
+
+    const output = control.parentElement.querySelector(".option-range-value");
+    if (output) {
+      output.textContent = control.value;
+    }
+  }
+
+  /**
+   * 項目のエラーメッセージを表示
+   * @param {Object} field - 項目
+   * @param {string|null} message - エラーメッセージ（null の場合は非表示）
+   * @private
+   */
+  _showFieldError(field, message) {
+    const control = this.controls.get(field.key);
+    const error = document.getElementById(`${control.id}-error`);
+
+    control.setAttribute("aria-invalid", String(Boolean(message)));
+    if (error) {
+      error.textContent = message || "";
+      error.hidden = !message;
+    }
+  }
+
+  /**
+   * 検証エラーの件数を表示
+   * @param {Result} result - 失敗した検証結果
+   * @private
+   */
+  _showValidationFeedback(result) {
+    const { errors = [] } = result.error.context || {};
+    this._showFeedbackMessage(
+      this._getMessage("optionsInvalid", [String(errors.length)]),
+      true
+    );
+  }
+
+  /**
+   * 未保存の変更の有無を設定
+   * @param {boolean} isDirty - 未保存の変更がある場合はtrue
+   * @private
+   */
+  _setDirty(isDirty) {
+    this.uiState.isDirty = isDirty;
+    this.elements.saveOptionsBtn.disabled = !isDirty || this.uiState.isSaving;
+  }
+
+  /**
+   * 保存中の状態を設定
+   * @param {boolean} isSaving - 保存中の場合はtrue
+   * @private
+   */
+  _setSaving(isSaving) {
+    this.uiState.isSaving = isSaving;
+    this.elements.saveOptionsBtn.disabled = isSaving || !this.uiState.isDirty;
+  }
+
+  /**
+   * ファイルとしてダウンロード
+   * @param {string} fileName - ファイル名
+   * @param {string} text - ファイルの内容
+   * @private
+   */
+  _downloadFile(fileName, text) {
+    const url = URL.createObjectURL(
+      new Blob([text], { type: "application/json" })
+    );
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * フィードバックメッセージを表示
+   * @param {string} message - メッセージ
+   * @param {boolean} [isError=false] - エラーの場合はtrue
+   * @param {number} [duration=3000] - 表示時間（ミリ秒）
+   * @private
+   */
+  _showFeedbackMessage(message, isError = false, duration = 3000) {
+    const { optionsFeedback } = this.elements;
+    optionsFeedback.textContent = message;
+    optionsFeedback.classList.toggle("error", isError);
+    optionsFeedback.hidden = false;
+
+    clearTimeout(this.feedbackTimer);
+    this.feedbackTimer = setTimeout(() => {
+      optionsFeedback.hidden = true;
+      this.feedbackTimer = null;
+    }, duration);
+  }
+
+  /**
+   * ローカライズされたメッセージを取得
+   * @param {string} key - メッセージキー
+   * @param {Array<string>} [substitutions] - 置換文字列
+   * @returns {string} メッセージ
+   * @private
+   */
+  _getMessage(key, substitutions) {
+    return this.i18n.getMessage(key, substitutions);
+  }
+
+  /**
+   * 専用のエディターで編集する設定の保存済みの値を取得
+   * @returns {Object} 設定
+   * @private
+   */
+  _getCustomEditorSettings() {
+    return Object.fromEntries(
+      Object.keys(this.schema)
+        .filter(
+          (key) =>
+            this.schema[key].customEditor && this.settings[key] !== undefined
+        )
+        .map((key) => [key, this.settings[key]])
+    );
+  }
+
+  /**
+   * スキーマのデフォルト値から設定オブジェクトを作成
+   * @returns {Object} デフォルト設定
+   * @private
+   */
+  _getDefaultSettings() {
+    return Object.fromEntries(
+      Object.entries(this.schema).map(([key, rule]) => [key, rule.default])
+    );
+  }
+}
+
+/**
+ * 新しいOptionsControllerインスタンスを作成
+ * @param {Object} dependencies - 依存関係
+ * @returns {OptionsController} 新しいOptionsControllerインスタンス
+ */
+const createOptionsController = (dependencies) =>
+  new OptionsController(dependencies);
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    OptionControlType,
+    SETTINGS_EXPORT_FILE_NAME,
+    getControlType,
+    createOptionFields,
+    getFieldValue,
+    formatControlValue,
+    parseControlValue,
+    OptionsController,
+    createOptionsController,
+  };
+} else if (typeof window !== "undefined") {
+  window.OptionControlType = OptionControlType;
+  window.SETTINGS_EXPORT_FILE_NAME = SETTINGS_EXPORT_FILE_NAME;
+  window.getControlType = getControlType;
+  window.createOptionFields = createOptionFields;
+  window.getFieldValue = getFieldValue;
+  window.formatControlValue = formatControlValue;
+  window.parseControlValue = parseControlValue;
+  window.OptionsController = OptionsController;
+  window.createOptionsController = createOptionsController;
+}
@@ -0,0 +1,142 @@
+/**
+ * OverlayEffects
+ * オーバーレイ対象要素に適用する効果（透明度・ぼかし・グレースケール・明るさ）のモデル
+ *
+ * コンテンツスクリプトからも読み込むため、他のモジュールには依存しない
+ */
+
+/**
+ * 各効果の範囲と刻み
+ * blur はピクセル、それ以外は CSS の opacity / grayscale() / brightness() に渡す値
+ * @readonly
+ * @type {Object<string, {min: number, max: number, step: number}>}
+ */
+var OVERLAY_EFFECT_RANGES = {
+  opacity: { min: 0, max: 0.9, step: 0.05 },
+  blur: { min: 0, max: 20, step: 1 },
+  grayscale: { min: 0, max: 1, step: 0.05 },
+  brightness: { min: 0.2, max: 1, step: 0.05 },
+};
+
+/**
+ * 効果のデフォルト値（透明度のみを下げる従来の見え方）
+ * @readonly
+ * @type {Object}
+ */
+var DEFAULT_OVERLAY_EFFECTS = {
+  opacity: 0.7,
+  blur: 0,
+  grayscale: 0,
+  brightness: 1,
+};
+
+/**
+ * 効果を反映する CSS カスタムプロパティ
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const OVERLAY_EFFECT_PROPERTIES = {
+  opacity: "--theater-mode-opacity",
+  blur: "--theater-mode-blur",
+  grayscale: "--theater-mode-grayscale",
+  brightness: "--theater-mode-brightness",
+};
+
+/**
+ * 効果の値を範囲内に制限し、刻みに丸める
+ * @param {string} name - 効果の名前
+ * @param {number} value - 値
+ * @returns {number} 正規化された値
+ */
+const normalizeEffectValue = (name, value) => {
+  const range = OVERLAY_EFFECT_RANGES[name];
+  const clamped = Math.min(range.max, Math.max(range.min, value));
+  const stepped = Math.round(clamped / range.step) * range.step;
+
+  // 浮動小数点の誤差を取り除く
+  return Math.round(stepped * 100) / 100;
+};
+
+/**
+ * 効果の設定を正規化
+ * 不足している効果や数値でない値はデフォルト値で補う
+ * @param {Object} [effects] - 効果の設定
+ * @returns {Object} 正規化された効果
+ */
+var normalizeOverlayEffects = (effects) => {
+  const source = effects && typeof effects === "object" ? effects : {};
+  const normalized = {};
+
+  for (const name of Object.keys(DEFAULT_OVERLAY_EFFECTS)) {
+    normalized[name] = Number.isFinite(source[name])
+      ? normalizeEffectValue(name, source[name])
+      : DEFAULT_OVERLAY_EFFECTS[name];
+  }
+
+  return normalized;
+};
+
+/**
+ * 効果から CSS の filter 値を作成
+ * 透明度以外の効果がすべて無効な場合は "none"
+ * @param {Object} effects - 正規化された効果
+ * @returns {string} filter の値
+ */
+var buildEffectFilter = (effects) => {
+  const filters = [];
+
+  if (effects.blur > 0) {
+    filters.push(`blur(${effects.blur}px)`);
+  }
+  if (effects.grayscale > 0) {
+    filters.push(`grayscale(${effects.grayscale})`);
+  }
+  if (effects.brightness < 1) {
+    filters.push(`brightness(${effects.brightness})`);
+  }
+
+  return filters.length > 0 ? filters.join(" ") : "none";
+};
+
+/**
+ * 効果を CSS カスタムプロパティに反映
+ * @param {CSSStyleDeclaration} style - 反映先のスタイル（通常は document.documentElement.style）
+ * @param {Object} effects - 正規化された効果
+ */
+var setEffectProperties = (style, effects) => {
+  style.setProperty(OVERLAY_EFFECT_PROPERTIES.opacity, effects.opacity);
+  style.setProperty(OVERLAY_EFFECT_PROPERTIES.blur, `${effects.blur}px`);
+  style.setProperty(OVERLAY_EFFECT_PROPERTIES.grayscale, effects.grayscale);
+  style.setProperty(OVERLAY_EFFECT_PROPERTIES.brightness, effects.brightness);
+};
+
+/**
+ * 効果の CSS カスタムプロパティを削除
+ * @param {CSSStyleDeclaration} style - 削除対象のスタイル
+ */
+var removeEffectProperties = (style) => {
+  for (const property of Object.values(OVERLAY_EFFECT_PROPERTIES)) {
+    style.removeProperty(property);
+  }
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    OVERLAY_EFFECT_RANGES,
+    DEFAULT_OVERLAY_EFFECTS,
+    OVERLAY_EFFECT_PROPERTIES,
+    normalizeOverlayEffects,
+    buildEffectFilter,
+    setEffectProperties,
+    removeEffectProperties,
+  };
+} else if (typeof window !== "undefined") {
+  window.OVERLAY_EFFECT_RANGES = OVERLAY_EFFECT_RANGES;
+  window.DEFAULT_OVERLAY_EFFECTS = DEFAULT_OVERLAY_EFFECTS;
+  window.OVERLAY_EFFECT_PROPERTIES = OVERLAY_EFFECT_PROPERTIES;
+  window.normalizeOverlayEffects = normalizeOverlayEffects;
+  window.buildEffectFilter = buildEffectFilter;
+  window.setEffectProperties = setEffectProperties;
+  window.removeEffectProperties = removeEffectProperties;
+}
@@ -1,3 +1,33 @@
+// 依存関係のインポート
+var normalizeOverlayEffects,
+  buildEffectFilter,
+  setEffectProperties,
+  removeEffectProperties,
+  normalizeRevealSettings,
+  OverlayReveal;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({
+    normalizeOverlayEffects,
+    buildEffectFilter,
+    setEffectProperties,
+    removeEffectProperties,
+  } = require("./overlay-effects.js"));
+  ({ normalizeRevealSettings, OverlayReveal } = require("./overlay-reveal.js"));
+}
+
+/**
+ * オーバーレイの描画モード
+ * @readonly
+ * @enum {string}
+ */
+const OverlayMode = {
+  FADE: "fade", // 対象要素ごとに透明度を下げる
+  SPOTLIGHT: "spotlight", // 画面全体を暗くし、プレーヤー部分だけを切り抜く
+  AMBIENT: "ambient", // スポットライトの暗転部分を動画の色で着色する
+};
+
 /**
  * OverlayManager クラス
  * オーバーレイの適用と管理を専門とするクラス
@@ -12,9 +42,17 @@ class OverlayManager {
    * @param {Object} errorHandler - エラーハンドラーインスタンス
    * @param {Object} [options] - オプション設定
    * @param {number} [options.defaultOpacity=0.7] - デフォルトの透明度
+   * @param {Object} [options.effects] - 透明度以外も含む効果（opacity, blur, grayscale, brightness）
    * @param {string} [options.overlayClass='theater-mode-overlay'] - オーバーレイのCSSクラス
    * @param {string} [options.protectedClass='theater-mode-video-area'] - 保護要素のCSSクラス
    * @param {number} [options.animationDuration=300] - アニメーション時間（ミリ秒）
+   * @param {string} [options.mode='fade'] - 描画モード（OverlayMode）
+   * @param {Object} [options.elementObserver] - スポットライトの追従に使う ElementObserver
+   * @param {string} [options.spotlightTargetSelector='#movie_player'] - スポットライトで切り抜く要素のセレクター
+   * @param {string} [options.spotlightClass='theater-mode-spotlight'] - スポットライトレイヤーのCSSクラス
+   * @param {string} [options.ambientClass='theater-mode-ambient'] - アンビエントモードで追加するCSSクラス
+   * @param {Object} [options.reveal] - ホバー・フォーカスで一時的に元に戻す設定（enabled, revealDelay, hideDelay）
+   * @param {string} [options.revealClass='theater-mode-revealed'] - 一時的に元に戻した要素のCSSクラス
    */
   constructor(logger, errorHandler, options = {}) {
     this.logger = logger;
@@ -25,21 +63,54 @@ class OverlayManager {
     this.overlayClass = options.overlayClass || "theater-mode-overlay";
     this.protectedClass = options.protectedClass || "theater-mode-video-area";
     this.animationDuration = options.animationDuration || 300;
+    this.mode = Object.values(OverlayMode).includes(options.mode)
+      ? options.mode
+      : OverlayMode.FADE;
+    this.elementObserver = options.elementObserver || null;
+    this.spotlightTargetSelector =
+      options.spotlightTargetSelector || "#movie_player";
+    this.spotlightClass = options.spotlightClass || "theater-mode-spotlight";
+    this.ambientClass = options.ambientClass || "theater-mode-ambient";
+    this.revealClass = options.revealClass || "theater-mode-revealed";
 
     // 状態管理
     this.isActive = false;
-    this.currentOpacity = this.defaultOpacity;
+    this.currentEffects = normalizeOverlayEffects({
+      opacity: this.defaultOpacity,
+      ...(options.effects || {}),
+    });
+    this.currentOpacity = this.currentEffects.opacity;
     this.overlayElements = new Set();
     this.protectedElements = new Set();
     this.pendingUpdates = new Map();
     this.updateScheduled = false;
 
+    // ユーザー定義のセレクタールール
+    this.customRules = [];
+
+    // 最後に適用した対象（モード切り替え時の再適用用）
+    this.lastTargets = [];
+    this.lastProtected = [];
+
+    // スポットライトモードの状態
+    this.spotlightElement = null;
+    this.spotlightTarget = null;
+    this.spotlightObservationId = null;
+    this.spotlightFrame = null;
+    this._handleViewportChange = () => this._scheduleSpotlightUpdate();
+
+    // ホバー・フォーカスによる一時表示
+    this.revealSettings = normalizeRevealSettings(options.reveal);
+    this.overlayReveal = null;
+
     // CSSカスタムプロパティ名
     this.opacityVarName = "--theater-mode-opacity";
+    this.ambientVarName = "--theater-mode-ambient-rgb";
 
     this.logger.debug("OverlayManager initialized", {
       defaultOpacity: this.defaultOpacity,
       overlayClass: this.overlayClass,
+      mode: this.mode,
     });
   }
 
@@ -56,6 +127,19 @@ class OverlayManager {
           throw new Error("Target elements must be an array");
         }
 
+        this.lastTargets = targetElements;
+        this.lastProtected = protectedElements;
+
+        if (
+          this.mode === OverlayMode.SPOTLIGHT ||
+          this.mode === OverlayMode.AMBIENT
+        ) {
+          return this._applySpotlight(protectedElements);
+        }
+
+        // ユーザー定義ルールを反映
+        targetElements = this.resolveTargets(targetElements);
+
         if (targetElements.length === 0) {
           this.logger.warn("No target elements provided for overlay");
           return false;
@@ -65,9 +149,9 @@ class OverlayManager {
         this.clearOverlay(false);
 
         // CSSカスタムプロパティを設定
-        document.documentElement.style.setProperty(
-          this.opacityVarName,
-          this.currentOpacity
+        setEffectProperties(
+          document.documentElement.style,
+          this.currentEffects
         );
 
         // バッチ処理のためにDOM操作をキューに入れる
@@ -101,6 +185,7 @@ class OverlayManager {
 
         // 状態を更新
         this.isActive = true;
+        this._startReveal();
 
         this.logger.info("Overlay applied", {
           targetCount: targetElements.length,
@@ -120,6 +205,238 @@ class OverlayManager {
     );
   }
 
+  /**
+   * 描画モードを変更
+   * オーバーレイが有効な場合は新しいモードで再適用する
+   * @param {string} mode - 描画モード（OverlayMode）
+   * @returns {Result<string>} 設定されたモード
+   */
+  setMode(mode) {
+    return this.errorHandler.wrapSync(
+      () => {
+        if (!Object.values(OverlayMode).includes(mode)) {
+          throw new Error(`Unknown overlay mode: ${mode}`);
+        }
+
+        if (mode === this.mode) {
+          return this.mode;
+        }
+
+        const wasActive = this.isActive;
+        if (wasActive) {
+          this.clearOverlay(false);
+        }
+
+        this.mode = mode;
+
+        if (wasActive) {
+          this.applyOverlay(this.lastTargets, this.lastProtected);
+        }
+
+        this.logger.debug("Overlay mode changed", { mode });
+        return this.mode;
+      },
+      {
+        type: ErrorType.INTERNAL_ERROR,
+        context: { mode },
+      }
+    );
+  }
+
+  /**
+   * スポットライトを適用（内部メソッド）
+   * 画面全体を覆う1枚のレイヤーを作り、プレーヤーの位置だけを切り抜く
+   * @param {Element[]} protectedElements - 保護対象要素（プレーヤーが見つからない場合の代替）
+   * @returns {boolean} 成功したかどうか
+   * @private
+   */
+  _applySpotlight(protectedElements) {
+    const target =
+      document.querySelector(this.spotlightTargetSelector) ||
+      protectedElements.find((element) => element instanceof Element);
+
+    if (!target) {
+      this.logger.warn("No spotlight target found", {
+        selector: this.spotlightTargetSelector,
+      });
+      return false;
+    }
+
+    this.clearOverlay(false);
+
+    setEffectProperties(document.documentElement.style, this.currentEffects);
+
+    const layer = document.createElement("div");
+    layer.className = this.spotlightClass;
+    if (this.mode === OverlayMode.AMBIENT) {
+      layer.classList.add(this.ambientClass);
+    }
+    layer.setAttribute("aria-hidden", "true");
+    document.body.appendChild(layer);
+
+    this.spotlightElement = layer;
+    this.spotlightTarget = target;
+    this._updateSpotlight();
+
+    // プレーヤーのサイズ変更とスクロールに追従
+    if (this.elementObserver) {
+      const observeResult = this.elementObserver.observeResize(target, {
+        id: "overlay-spotlight",
+        callback: () => this._scheduleSpotlightUpdate(),
+      });
+      if (observeResult.isSuccess()) {
+        this.spotlightObservationId = observeResult.data;
+      }
+    }
+    window.addEventListener("scroll", this._handleViewportChange, {
+      passive: true,
+    });
+    window.addEventListener("resize", this._handleViewportChange);
+
+    this.isActive = true;
+
+    this.logger.info("Spotlight applied", {
+      target: target.id || target.tagName,
+      opacity: this.currentOpacity,
+    });
+
+    return true;
+  }
+
+  /**
+   * スポットライトの切り抜き位置と暗さを更新
+   * 透明度が高いほど明るくなるよう、フェードモードと同じ見え方に揃える
+   * @private
+   */
+  _updateSpotlight() {
+    this.spotlightFrame = null;
+
+    if (!this.spotlightElement || !this.spotlightTarget) {
+      return;
+    }
+
+    const rect = this.spotlightTarget.getBoundingClientRect();
+    const style = this.spotlightElement.style;
+
+    style.top = `${rect.top}px`;
+    style.left = `${rect.left}px`;
+    style.width = `${rect.width}px`;
+    style.height = `${rect.height}px`;
+
+    // アンビエントモードの影はCSSクラスがカスタムプロパティから描画する
+    if (this.mode === OverlayMode.AMBIENT) {
+      return;
+    }
+
+    style.boxShadow = `0 0 0 100vmax rgba(0, 0, 0, ${
+      (1 - this.currentOpacity).toFixed(2)
+    })`;
+  }
+
+  /**
+   * スポットライトの更新を次のフレームに予約
+   * @private
+   */
+  _scheduleSpotlightUpdate() {
+    if (this.spotlightFrame !== null) {
+      return;
+    }
+
+    this.spotlightFrame = requestAnimationFrame(() => this._updateSpotlight());
+  }
+
+  /**
+   * スポットライトを削除（内部メソッド）
+   * @private
+   */
+  _removeSpotlight() {
+    window.removeEventListener("scroll", this._handleViewportChange);
+    window.removeEventListener("resize", this._handleViewportChange);
+
+    if (this.spotlightObservationId && this.elementObserver) {
+      this.elementObserver.stopObservation(this.spotlightObservationId);
+    }
+
+    if (this.spotlightFrame !== null) {
+      cancelAnimationFrame(this.spotlightFrame);
+    }
+
+    if (this.spotlightElement) {
+      this.spotlightElement.remove();
+    }
+
+    this.spotlightElement = null;
+    this.spotlightTarget = null;
+    this.spotlightObservationId = null;
+    this.spotlightFrame = null;
+    document.documentElement.style.removeProperty(this.ambientVarName);
+  }
+
+  /**
+   * ユーザー定義のセレクタールールを設定
+   * 有効なルールは次回の applyOverlay() から反映される
+   * @param {Array<Object>} rules - ルール { selector, type: "include"|"exclude", enabled }
+   * @returns {number} 有効なルール数
+   */
+  setCustomRules(rules) {
+    this.customRules = (Array.isArray(rules) ? rules : []).filter(
+      (rule) =>
+        rule &&
+        rule.enabled !== false &&
+        typeof rule.selector === "string" &&
+        (rule.type === "include" || rule.type === "exclude")
+    );
+
+    this.logger.debug("Custom selector rules updated", {
+      count: this.customRules.length,
+    });
+
+    return this.customRules.length;
+  }
+
+  /**
+   * オーバーレイ対象にユーザー定義ルールを適用
+   * include ルールの一致要素を追加し、exclude ルールに一致する要素（または子孫）を除外する
+   * @param {Element[]} targetElements - 既定のオーバーレイ対象
+   * @returns {Element[]} ルール適用後のオーバーレイ対象
+   */
+  resolveTargets(targetElements) {
+    if (this.customRules.length === 0) {
+      return targetElements;
+    }
+
+    const targets = new Set(targetElements);
+    const excludeSelectors = [];
+
+    for (const rule of this.customRules) {
+      try {
+        if (rule.type === "include") {
+          document
+            .querySelectorAll(rule.selector)
+            .forEach((element) => targets.add(element));
+        } else {
+          // 構文エラーを事前に検出
+          document.querySelector(rule.selector);
+          excludeSelectors.push(rule.selector);
+        }
+      } catch (error) {
+        this.logger.warn(`Invalid custom selector skipped: ${rule.selector}`, {
+          error,
+        });
+      }
+    }
+
+    return Array.from(targets).filter(
+      (element) =>
+        !excludeSelectors.some(
+          (selector) =>
+            element &&
+            typeof element.matches === "function" &&
+            (element.matches(selector) || element.closest(selector))
+        )
+    );
+  }
+
   /**
    * オーバーレイを削除
    * @param {boolean} [animate=true] - アニメーションを使用するかどうか
@@ -128,10 +445,20 @@ class OverlayManager {
   clearOverlay(animate = true) {
     return this.errorHandler.wrapSync(
       () => {
-        if (!this.isActive && this.overlayElements.size === 0) {
+        if (
+          !this.isActive &&
+          this.overlayElements.size === 0 &&
+          !this.spotlightElement
+        ) {
           return true; // 既にクリアされている
         }
 
+        this._stopReveal();
+
+        if (this.spotlightElement) {
+          this._removeSpotlight();
+        }
+
         if (animate) {
           // フェードアウトアニメーション
           for (const element of this.overlayElements) {
@@ -182,11 +509,99 @@ class OverlayManager {
     for (const element of this.overlayElements) {
       element.classList.remove(this.overlayClass);
       element.style.opacity = "";
+      element.style.filter = "";
       element.style.transition = "";
     }
 
     // CSSカスタムプロパティをリセット
-    document.documentElement.style.removeProperty(this.opacityVarName);
+    removeEffectProperties(document.documentElement.style);
+  }
+
+  /**
+   * ホバー・フォーカスによる一時表示の設定を変更
+   * フェードモードでオーバーレイが有効な場合は新しい設定で監視し直す
+   * @param {Object} settings - 表示設定（enabled, revealDelay, hideDelay）
+   * @returns {Result<Object>} 正規化された表示設定
+   */
+  setRevealSettings(settings) {
+    return this.errorHandler.wrapSync(
+      () => {
+        if (!settings || typeof settings !== "object") {
+          throw new Error("Reveal settings must be an object");
+        }
+
+        this.revealSettings = normalizeRevealSettings({
+          ...this.revealSettings,
+          ...settings,
+        });
+
+        this._stopReveal();
+        if (this.isActive) {
+          this._startReveal();
+        }
+
+        this.logger.debug("Reveal settings changed", this.revealSettings);
+        return { ...this.revealSettings };
+      },
+      {
+        type: ErrorType.VALIDATION_ERROR,
+        context: { settings },
+      }
+    );
+  }
+
+  /**
+   * ホバー・フォーカスの監視を開始（内部メソッド）
+   * 要素ごとに透明度を下げるフェードモードでのみ有効
+   * @private
+   */
+  _startReveal() {
+    if (
+      !this.revealSettings.enabled ||
+      this.mode !== OverlayMode.FADE ||
+      this.overlayReveal
+    ) {
+      return;
+    }
+
+    this.overlayReveal = new OverlayReveal(
+      {
+        getElements: () => Array.from(this.overlayElements),
+        onReveal: (element) => element.classList.add(this.revealClass),
+        onConceal: (element) => element.classList.remove(this.revealClass),
+      },
+      this.revealSettings
+    );
+    this.overlayReveal.start();
+  }
+
+  /**
+   * ホバー・フォーカスの監視を停止（内部メソッド）
+   * @private
+   */
+  _stopReveal() {
+    if (this.overlayReveal) {
+      this.overlayReveal.stop();
+      this.overlayReveal = null;
+    }
+  }
+
+  /**
+   * アンビエントカラーを設定
+   * AmbientColorSampler が抽出した色を暗転部分の着色に使う
+   * @param {{r: number, g: number, b: number}|null} color - 色（nullの場合は通常の暗転に戻す）
+   */
+  setAmbientColor(color) {
+    const style = document.documentElement.style;
+
+    if (color) {
+      style.setProperty(
+        this.ambientVarName,
+        `${color.r}, ${color.g}, ${color.b}`
+      );
+    } else {
+      style.removeProperty(this.ambientVarName);
+    }
   }
 
   /**
@@ -201,21 +616,10 @@ class OverlayManager {
         const validOpacity = Math.max(0, Math.min(0.9, opacity));
 
         // 5%単位に丸める（0.05単位）
-        this.currentOpacity = Math.round(validOpacity * 20) / 20;
-
-        // CSSカスタムプロパティを更新
-        document.documentElement.style.setProperty(
-          this.opacityVarName,
-          this.currentOpacity
-        );
-
-        // オーバーレイが有効な場合、各要素の透明度を更新
-        if (this.isActive) {
-          for (const element of this.overlayElements) {
-            // フォールバックとして直接スタイルも設定
-            element.style.opacity = this.currentOpacity;
-          }
-        }
+        this._applyEffects({
+          ...this.currentEffects,
+          opacity: Math.round(validOpacity * 20) / 20,
+        });
 
         this.logger.debug("Opacity updated", {
           opacity: this.currentOpacity,
@@ -231,6 +635,58 @@ class OverlayManager {
     );
   }
 
+  /**
+   * 効果を更新
+   * 指定しなかった効果は現在の値を保持する
+   * @param {Object} effects - 効果（opacity, blur, grayscale, brightness の一部または全部）
+   * @returns {Result<Object>} 正規化された効果
+   */
+  updateEffects(effects) {
+    return this.errorHandler.wrapSync(
+      () => {
+        if (!effects || typeof effects !== "object") {
+          throw new Error("Effects must be an object");
+        }
+
+        this._applyEffects(
+          normalizeOverlayEffects({ ...this.currentEffects, ...effects })
+        );
+
+        this.logger.debug("Effects updated", this.currentEffects);
+
+        return { ...this.currentEffects };
+      },
+      {
+        type: ErrorType.INTERNAL_ERROR,
+        context: { effects },
+      }
+    );
+  }
+
+  /**
+   * 正規化された効果をCSSカスタムプロパティと各要素に反映
+   * @param {Object} effects - 正規化された効果
+   * @private
+   */
+  _applyEffects(effects) {
+    this.currentEffects = effects;
+    this.currentOpacity = effects.opacity;
+
+    setEffectProperties(document.documentElement.style, effects);
+
+    // オーバーレイが有効な場合、各要素の効果を更新
+    if (this.isActive) {
+      const filter = buildEffectFilter(effects);
+      for (const element of this.overlayElements) {
+        // フォールバックとして直接スタイルも設定
+        element.style.opacity = effects.opacity;
+        element.style.filter = filter;
+      }
+
+      this._updateSpotlight();
+    }
+  }
+
   /**
    * 要素にオーバーレイを適用
    * @param {Element} element - 対象要素
@@ -247,6 +703,7 @@ class OverlayManager {
 
     // フォールバックとして直接スタイルも設定
     element.style.opacity = this.currentOpacity;
+    element.style.filter = buildEffectFilter(this.currentEffects);
 
     // 要素を追跡
     this.overlayElements.add(element);
@@ -496,6 +953,14 @@ class OverlayManager {
     return this.currentOpacity;
   }
 
+  /**
+   * 現在の効果を取得
+   * @returns {Object} 現在の効果（opacity, blur, grayscale, brightness）
+   */
+  getEffects() {
+    return { ...this.currentEffects };
+  }
+
   /**
    * 現在の状態を取得
    * @returns {Object} 現在の状態オブジェクト
@@ -503,9 +968,18 @@ class OverlayManager {
   getState() {
     return {
       isActive: this.isActive,
+      mode: this.mode,
       opacity: this.currentOpacity,
+      effects: { ...this.currentEffects },
+      reveal: {
+        ...this.revealSettings,
+        revealedCount: this.overlayReveal
+          ? this.overlayReveal.getRevealedElements().length
+          : 0,
+      },
       overlayElementsCount: this.overlayElements.size,
       protectedElementsCount: this.protectedElements.size,
+      customRulesCount: this.customRules.length,
     };
   }
 
@@ -543,8 +1017,9 @@ const createOverlayManager = (logger, errorHandler, options = {}) => {
 
 // CommonJS/ES6 両対応のエクスポート
 if (typeof module !== "undefined" && module.exports) {
-  module.exports = { OverlayManager, createOverlayManager };
+  module.exports = { OverlayMode, OverlayManager, createOverlayManager };
 } else if (typeof window !== "undefined") {
+  window.OverlayMode = OverlayMode;
   window.OverlayManager = OverlayManager;
   window.createOverlayManager = createOverlayManager;
 }
@@ -0,0 +1,198 @@
+/**
+ * OverlayRegions
+ * オーバーレイ対象を名前付きの領域に分け、領域ごとの暗さを管理する
+ *
+ * コンテンツスクリプトからも読み込むため、selector-pack.js 以外のモジュールには依存しない
+ */
+
+// 既定のセレクターは同梱のセレクターパックで管理する
+const { pages: DEFAULT_PACK_PAGES } =
+  typeof require !== "undefined"
+    ? require("./selector-pack.js").DEFAULT_SELECTOR_PACK
+    : DEFAULT_SELECTOR_PACK;
+
+/**
+ * オーバーレイ対象の領域とセレクター
+ * @readonly
+ * @type {Object<string, string[]>}
+ */
+const OVERLAY_REGIONS = DEFAULT_PACK_PAGES.video.overlayRegions;
+
+/**
+ * Shorts ページのオーバーレイ対象の領域とセレクター
+ * @readonly
+ * @type {Object<string, string[]>}
+ */
+const SHORTS_OVERLAY_REGIONS = DEFAULT_PACK_PAGES.shorts.overlayRegions;
+
+/**
+ * Shorts ページで暗くしない要素のセレクター
+ * @readonly
+ * @type {string[]}
+ */
+const SHORTS_PROTECTED_SELECTORS = DEFAULT_PACK_PAGES.shorts.protectedElements;
+
+/**
+ * リールを並べる Shorts のコンテナーのセレクター
+ * @readonly
+ * @type {string[]}
+ */
+const SHORTS_CONTAINER_SELECTORS = DEFAULT_PACK_PAGES.shorts.container;
+
+/**
+ * リールのセレクター
+ * @readonly
+ * @type {string}
+ */
+var REEL_SELECTOR = "ytd-reel-video-renderer";
+
+/**
+ * 再生中のリールのセレクター
+ * @readonly
+ * @type {string}
+ */
+var ACTIVE_REEL_SELECTOR = `${REEL_SELECTOR}[is-active]`;
+
+/**
+ * ページタイプに応じたオーバーレイ対象の領域と追加の保護対象を取得
+ * @param {string} pageType - ページタイプ（YouTubePageType の値）
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.showShortsActions=true] - Shorts のボタン列を暗くしない
+ * @param {Object} [options.selectorPack] - 使用するセレクターパック（省略時は同梱のパック）
+ * @returns {{regions: Object<string, string[]>, protectedSelectors: string[]}}
+ *   領域ごとのセレクターと保護対象のセレクター
+ */
+var getOverlayLayout = (pageType, options = {}) => {
+  const pack = options.selectorPack || { pages: DEFAULT_PACK_PAGES };
+  const section = (pageType !== "video" && pack.pages[pageType]) || {};
+  const regions = section.overlayRegions || pack.pages.video.overlayRegions;
+  const protectedSelectors = section.protectedElements || [];
+
+  if (pageType !== "shorts" || options.showShortsActions === false) {
+    return { regions, protectedSelectors };
+  }
+
+  // 共有の定義を変更しないようコピーから除く
+  const { actions, ...visibleRegions } = regions;
+  return { regions: visibleRegions, protectedSelectors };
+};
+
+/**
+ * 領域ごとの暗さの指定
+ * 数値（0-0.9）は領域独自の透明度
+ * @readonly
+ * @enum {string}
+ */
+var OverlayRegionLevel = {
+  DEFAULT: "default", // 全体の透明度に従う
+  HIDDEN: "hidden", // 完全に隠す
+  OFF: "off", // 暗くしない
+};
+
+/**
+ * 領域ごとの暗さのデフォルト値（すべて全体の透明度に従う）
+ * @readonly
+ * @type {Object<string, string>}
+ */
+var DEFAULT_OVERLAY_REGION_LEVELS = Object.keys(OVERLAY_REGIONS).reduce(
+  (levels, region) => ({ ...levels, [region]: OverlayRegionLevel.DEFAULT }),
+  {}
+);
+
+/**
+ * 領域ごとの暗さを正規化
+ * 不明な領域は無視し、不正な値は全体の透明度に従う
+ * @param {Object} [levels] - 領域ごとの暗さ
+ * @returns {Object<string, string|number>} 正規化された暗さ
+ */
+var normalizeOverlayRegionLevels = (levels) => {
+  const source = levels && typeof levels === "object" ? levels : {};
+  const normalized = { ...DEFAULT_OVERLAY_REGION_LEVELS };
+
+  for (const region of Object.keys(OVERLAY_REGIONS)) {
+    const level = source[region];
+
+    if (Number.isFinite(level)) {
+      // 透明度と同じく5%単位に丸める
+      normalized[region] = Math.max(
+        0,
+        Math.min(0.9, Math.round(level * 20) / 20)
+      );
+    } else if (Object.values(OverlayRegionLevel).includes(level)) {
+      normalized[region] = level;
+    }
+  }
+
+  return normalized;
+};
+
+/**
+ * 領域に適用する透明度を求める
+ * @param {string|number} level - 領域の暗さ
+ * @param {number} baseOpacity - 全体の透明度
+ * @returns {number|null} 透明度（暗くしない場合は null、隠す場合は 0）
+ */
+const resolveRegionOpacity = (level, baseOpacity) => {
+  if (level === OverlayRegionLevel.OFF) {
+    return null;
+  }
+  if (level === OverlayRegionLevel.HIDDEN) {
+    return 0;
+  }
+  return Number.isFinite(level) ? level : baseOpacity;
+};
+
+/**
+ * 他の領域の要素を含む要素を、それらを含まない子孫要素に分割
+ * （例: ライブチャットを含むサイドバーをチャット以外の部分に分ける）
+ * @param {Element} element - 分割する要素
+ * @param {Element[]} nested - 除外する他の領域の要素
+ * @returns {Element[]} 除外する要素を含まない要素の配列
+ */
+var splitAroundNested = (element, nested) => {
+  const containsNested = nested.some(
+    (inner) => inner !== element && element.contains(inner)
+  );
+  if (!containsNested) {
+    return [element];
+  }
+
+  const parts = [];
+  for (const child of Array.from(element.children)) {
+    if (!nested.includes(child)) {
+      parts.push(...splitAroundNested(child, nested));
+    }
+  }
+  return parts;
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    OVERLAY_REGIONS,
+    OverlayRegionLevel,
+    DEFAULT_OVERLAY_REGION_LEVELS,
+    normalizeOverlayRegionLevels,
+    resolveRegionOpacity,
+    splitAroundNested,
+    SHORTS_OVERLAY_REGIONS,
+    SHORTS_PROTECTED_SELECTORS,
+    SHORTS_CONTAINER_SELECTORS,
+    REEL_SELECTOR,
+    ACTIVE_REEL_SELECTOR,
+    getOverlayLayout,
+  };
+} else if (typeof window !== "undefined") {
+  window.OVERLAY_REGIONS = OVERLAY_REGIONS;
+  window.OverlayRegionLevel = OverlayRegionLevel;
+  window.DEFAULT_OVERLAY_REGION_LEVELS = DEFAULT_OVERLAY_REGION_LEVELS;
+  window.normalizeOverlayRegionLevels = normalizeOverlayRegionLevels;
+  window.resolveRegionOpacity = resolveRegionOpacity;
+  window.splitAroundNested = splitAroundNested;
+  window.SHORTS_OVERLAY_REGIONS = SHORTS_OVERLAY_REGIONS;
+  window.SHORTS_PROTECTED_SELECTORS = SHORTS_PROTECTED_SELECTORS;
+  window.SHORTS_CONTAINER_SELECTORS = SHORTS_CONTAINER_SELECTORS;
+  window.REEL_SELECTOR = REEL_SELECTOR;
+  window.ACTIVE_REEL_SELECTOR = ACTIVE_REEL_SELECTOR;
+  window.getOverlayLayout = getOverlayLayout;
+}
@@ -0,0 +1,300 @@
+/**
+ * OverlayReveal
+ * ポインターを重ねた領域やキーボードフォーカスのある領域を一時的に元の明るさに戻す
+ *
+ * コンテンツスクリプトからも読み込むため、他のモジュールには依存しない
+ */
+
+/**
+ * 表示設定のデフォルト値
+ * @readonly
+ * @type {Object}
+ */
+var DEFAULT_REVEAL_SETTINGS = {
+  enabled: false,
+  revealDelay: 300,
+  hideDelay: 1000,
+};
+
+/**
+ * 元に戻すまでの遅延の範囲（ミリ秒）
+ * @readonly
+ * @type {{min: number, max: number}}
+ */
+var REVEAL_DELAY_RANGE = { min: 0, max: 2000 };
+
+/**
+ * 再び暗くするまでの保持時間の範囲（ミリ秒）
+ * @readonly
+ * @type {{min: number, max: number}}
+ */
+var REVEAL_HIDE_DELAY_RANGE = { min: 0, max: 5000 };
+
+/**
+ * 値を範囲内の整数に制限
+ * @param {*} value - 値
+ * @param {{min: number, max: number}} range - 範囲
+ * @param {number} defaultValue - 数値でない場合の値
+ * @returns {number} 制限された値
+ */
+const clampDelay = (value, range, defaultValue) => {
+  if (!Number.isFinite(value)) {
+    return defaultValue;
+  }
+  return Math.round(Math.min(range.max, Math.max(range.min, value)));
+};
+
+/**
+ * 表示設定を正規化
+ * @param {Object} [settings] - 表示設定
+ * @returns {Object} 正規化された表示設定
+ */
+var normalizeRevealSettings = (settings) => {
+  const source = settings && typeof settings === "object" ? settings : {};
+
+  return {
+    enabled: source.enabled === true,
+    revealDelay: clampDelay(
+      source.revealDelay,
+      REVEAL_DELAY_RANGE,
+      DEFAULT_REVEAL_SETTINGS.revealDelay
+    ),
+    hideDelay: clampDelay(
+      source.hideDelay,
+      REVEAL_HIDE_DELAY_RANGE,
+      DEFAULT_REVEAL_SETTINGS.hideDelay
+    ),
+  };
+};
+
+/**
+ * 暗くした領域の一時表示クラス
+ * YouTubeShortcutProtection.configureOverlayForEventPropagation() によって
+ * オーバーレイ要素は pointer-events: none になりマウスイベントを受け取らないため、
+ * document のポインター位置と要素の矩形で判定する
+ */
+var OverlayReveal = class OverlayReveal {
+  /**
+   * OverlayRevealインスタンスを作成
+   * @param {Object} dependencies - 依存関係オブジェクト
+   * @param {Function} dependencies.getElements - 対象となるオーバーレイ要素の配列を返す関数
+   * @param {Function} dependencies.onReveal - 要素を元の明るさに戻す関数
+   * @param {Function} dependencies.onConceal - 要素を再び暗くする関数
+   * @param {Object} [settings] - 表示設定（revealDelay, hideDelay）
+   */
+  constructor(dependencies, settings) {
+    if (!dependencies || typeof dependencies.getElements !== "function") {
+      throw new Error("getElements is required");
+    }
+
+    this.getElements = dependencies.getElements;
+    this.onReveal = dependencies.onReveal || (() => {});
+    this.onConceal = dependencies.onConceal || (() => {});
+    this.settings = normalizeRevealSettings(settings);
+
+    // 要素ごとの状態 { hovered, focused, revealed, timer }
+    this.states = new Map();
+    this.started = false;
+
+    this._handlePointerMove = (event) =>
+      this._updateHover(event.clientX, event.clientY);
+    this._handlePointerLeave = () => this._updateHover(null, null);
+    this._handleFocusIn = (event) => this._updateFocus(event.target);
+    this._handleFocusOut = (event) => {
+      // フォーカスがページの外に移った場合
+      if (!event.relatedTarget) {
+        this._updateFocus(null);
+      }
+    };
+  }
+
+  /**
+   * 監視を開始
+   * クリックなどのイベントを YouTube に届けるため、受動的に監視するだけで伝播は止めない
+   */
+  start() {
+    if (this.started) return;
+
+    document.addEventListener("pointermove", this._handlePointerMove, {
+      capture: true,
+      passive: true,
+    });
+    document.documentElement.addEventListener(
+      "pointerleave",
+      this._handlePointerLeave
+    );
+    document.addEventListener("focusin", this._handleFocusIn, true);
+    document.addEventListener("focusout", this._handleFocusOut, true);
+    this.started = true;
+
+    // 既にフォーカスがある領域は開始時に反映
+    if (document.activeElement && document.activeElement !== document.body) {
+      this._updateFocus(document.activeElement);
+    }
+  }
+
+  /**
+   * 監視を停止し、一時表示中の要素を暗い状態に戻す
+   */
+  stop() {
+    if (this.started) {
+      document.removeEventListener("pointermove", this._handlePointerMove, {
+        capture: true,
+      });
+      document.documentElement.removeEventListener(
+        "pointerleave",
+        this._handlePointerLeave
+      );
+      document.removeEventListener("focusin", this._handleFocusIn, true);
+      document.removeEventListener("focusout", this._handleFocusOut, true);
+      this.started = false;
+    }
+
+    for (const [element, state] of this.states) {
+      clearTimeout(state.timer);
+      if (state.revealed) {
+        this.onConceal(element);
+      }
+    }
+    this.states.clear();
+  }
+
+  /**
+   * 表示設定を更新
+   * @param {Object} settings - 表示設定（revealDelay, hideDelay）
+   */
+  updateSettings(settings) {
+    this.settings = normalizeRevealSettings({
+      ...this.settings,
+      ...(settings || {}),
+    });
+  }
+
+  /**
+   * 一時表示中の要素を取得
+   * @returns {Element[]} 一時表示中の要素
+   */
+  getRevealedElements() {
+    return Array.from(this.states.entries())
+      .filter(([, state]) => state.revealed)
+      .map(([element]) => element);
+  }
+
+  /**
+   * 要素の状態を取得（なければ作成）
+   * @param {Element} element - 対象要素
+   * @returns {Object} 状態
+   * @private
+   */
+  _getState(element) {
+    if (!this.states.has(element)) {
+      this.states.set(element, {
+        hovered: false,
+        focused: false,
+        revealed: false,
+        timer: null,
+      });
+    }
+    return this.states.get(element);
+  }
+
+  /**
+   * ポインター位置から各要素のホバー状態を更新
+   * @param {number|null} x - クライアント座標 X（ページ外の場合は null）
+   * @param {number|null} y - クライアント座標 Y
+   * @private
+   */
+  _updateHover(x, y) {
+    for (const element of this.getElements()) {
+      let hovered = false;
+      if (x !== null) {
+        const rect = element.getBoundingClientRect();
+        hovered =
+          x >= rect.left &&
+          x <= rect.right &&
+          y >= rect.top &&
+          y <= rect.bottom;
+      }
+
+      const state = this._getState(element);
+      if (state.hovered !== hovered) {
+        state.hovered = hovered;
+        this._schedule(element, state);
+      }
+    }
+  }
+
+  /**
+   * フォーカスのある要素から各要素のフォーカス状態を更新
+   * @param {Element|null} target - フォーカスのある要素
+   * @private
+   */
+  _updateFocus(target) {
+    for (const element of this.getElements()) {
+      const focused = Boolean(target) && element.contains(target);
+
+      const state = this._getState(element);
+      if (state.focused !== focused) {
+        state.focused = focused;
+        this._schedule(element, state);
+      }
+    }
+  }
+
+  /**
+   * 状態に応じて一時表示または再び暗くする処理を予約
+   * ホバーまたはフォーカスが続いている間は revealDelay 後に元に戻し、
+   * 両方が外れてから hideDelay の間は元の明るさを保つ
+   * @param {Element} element - 対象要素
+   * @param {Object} state - 要素の状態
+   * @private
+   */
+  _schedule(element, state) {
+    const active = state.hovered || state.focused;
+
+    clearTimeout(state.timer);
+    state.timer = null;
+
+    if (active === state.revealed) return;
+
+    const delay = active ? this.settings.revealDelay : this.settings.hideDelay;
+    state.timer = setTimeout(() => {
+      state.timer = null;
+      state.revealed = active;
+      if (active) {
+        this.onReveal(element);
+      } else {
+        this.onConceal(element);
+      }
+    }, delay);
+  }
+};
+
+/**
+ * 新しいOverlayRevealインスタンスを作成
+ * @param {Object} dependencies - 依存関係オブジェクト
+ * @param {Object} [settings] - 表示設定
+ * @returns {OverlayReveal} 新しいOverlayRevealインスタンス
+ */
+const createOverlayReveal = (dependencies, settings) => {
+  return new OverlayReveal(dependencies, settings);
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    DEFAULT_REVEAL_SETTINGS,
+    REVEAL_DELAY_RANGE,
+    REVEAL_HIDE_DELAY_RANGE,
+    normalizeRevealSettings,
+    OverlayReveal,
+    createOverlayReveal,
+  };
+} else if (typeof window !== "undefined") {
+  window.DEFAULT_REVEAL_SETTINGS = DEFAULT_REVEAL_SETTINGS;
+  window.REVEAL_DELAY_RANGE = REVEAL_DELAY_RANGE;
+  window.REVEAL_HIDE_DELAY_RANGE = REVEAL_HIDE_DELAY_RANGE;
+  window.normalizeRevealSettings = normalizeRevealSettings;
+  window.OverlayReveal = OverlayReveal;
+  window.createOverlayReveal = createOverlayReveal;
+}
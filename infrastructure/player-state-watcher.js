@@ -0,0 +1,597 @@
+/**
+ * PlayerStateWatcher
+ * YouTube の <video> 要素の再生状態（再生・一時停止・終了・シーク）を監視してメッセージバスに配信し、
+ * 再生状態に合わせてシアターモードを自動で切り替える
+ */
+
+// 依存関係のインポート
+var Logger, ErrorHandler, Result, AppError, ErrorType;
+var MessageBus, MessageType, MessageTarget;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ Logger } = require("./logger.js"));
+  ({
+    ErrorHandler,
+    Result,
+    AppError,
+    ErrorType,
+  } = require("./error-handler.js"));
+  ({ MessageBus, MessageType, MessageTarget } = require("./message-bus.js"));
+}
+
+/**
+ * 再生状態の種類
+ * @readonly
+ * @enum {string}
+ */
+const PlayerState = {
+  PLAYING: "playing", // 再生中
+  PAUSED: "paused", // 一時停止
+  ENDED: "ended", // 再生終了
+  SEEKING: "seeking", // シーク中
+};
+
+/**
+ * 監視する <video> のイベントと再生状態の対応
+ * @type {Object<string, string>}
+ */
+const VIDEO_EVENT_STATES = {
+  play: PlayerState.PLAYING,
+  pause: PlayerState.PAUSED,
+  ended: PlayerState.ENDED,
+  seeking: PlayerState.SEEKING,
+};
+
+/**
+ * 切り替えの遅延の最大値（ミリ秒）
+ * @type {number}
+ */
+const MAX_TRANSITION_DELAY = 10000;
+
+/**
+ * 再生状態による自動切り替えのデフォルト設定
+ * @readonly
+ * @type {Object}
+ */
+const DEFAULT_PLAYER_STATE_AUTO_DIM = {
+  enableOnPlay: false,
+  enableOnPlayDelay: 0,
+  lightenOnPause: false,
+  pauseOpacity: 0.9,
+  lightenOnPauseDelay: 1000,
+  disableOnEnd: false,
+  disableOnEndDelay: 3000,
+};
+
+/**
+ * 再生状態による自動切り替えの設定を検証して正規化
+ * @param {Object} settings - 保存された設定
+ * @returns {Result<Object>} 正規化された設定
+ */
+var normalizePlayerStateAutoDim = (settings) => {
+  if (settings === undefined || settings === null) {
+    return Result.success({ ...DEFAULT_PLAYER_STATE_AUTO_DIM });
+  }
+
+  if (typeof settings !== "object") {
+    return Result.failure("Player state auto-dim settings must be an object", {
+      type: ErrorType.VALIDATION_ERROR,
+    });
+  }
+
+  const normalized = { ...DEFAULT_PLAYER_STATE_AUTO_DIM, ...settings };
+
+  for (const key of ["enableOnPlay", "lightenOnPause", "disableOnEnd"]) {
+    if (typeof normalized[key] !== "boolean") {
+      return Result.failure(`'${key}' must be a boolean`, {
+        type: ErrorType.VALIDATION_ERROR,
+        context: { key, value: normalized[key] },
+      });
+    }
+  }
+
+  for (const key of [
+    "enableOnPlayDelay",
+    "lightenOnPauseDelay",
+    "disableOnEndDelay",
+  ]) {
+    const delay = normalized[key];
+    if (
+      !Number.isInteger(delay) ||
+      delay < 0 ||
+      delay > MAX_TRANSITION_DELAY
+    ) {
+      return Result.failure(
+        `'${key}' must be an integer between 0 and ${MAX_TRANSITION_DELAY}`,
+        {
+          type: ErrorType.VALIDATION_ERROR,
+          context: { key, value: delay },
+        }
+      );
+    }
+  }
+
+  const opacity = normalized.pauseOpacity;
+  if (typeof opacity !== "number" || opacity < 0 || opacity > 0.9) {
+    return Result.failure("'pauseOpacity' must be between 0 and 0.9", {
+      type: ErrorType.VALIDATION_ERROR,
+      context: { value: opacity },
+    });
+  }
+
+  return Result.success({
+    enableOnPlay: normalized.enableOnPlay,
+    enableOnPlayDelay: normalized.enableOnPlayDelay,
+    lightenOnPause: normalized.lightenOnPause,
+    pauseOpacity: opacity,
+    lightenOnPauseDelay: normalized.lightenOnPauseDelay,
+    disableOnEnd: normalized.disableOnEnd,
+    disableOnEndDelay: normalized.disableOnEndDelay,
+  });
+};
+
+/**
+ * 再生状態監視クラス
+ * <video> 要素のイベントを監視し、YOUTUBE_PLAYER_STATE_CHANGE として配信する
+ */
+class PlayerStateWatcher {
+  /**
+   * PlayerStateWatcherインスタンスを作成
+   * @param {Object} dependencies - 依存関係オブジェクト
+   * @param {Object} dependencies.shortcutProtection - getVideoElement() を持つ YouTubeShortcutProtection
+   * @param {MessageBus} [dependencies.messageBus] - 状態変更を配信するメッセージバス
+   * @param {Logger} [dependencies.logger] - ロガーインスタンス
+   * @param {Object} [options] - オプション
+   * @param {number} [options.retryInterval=1000] - <video> が見つからない場合の再検索間隔（ミリ秒）
+   * @param {number} [options.maxRetries=15] - 再検索の最大回数
+   */
+  constructor(dependencies, options = {}) {
+    if (!dependencies || !dependencies.shortcutProtection) {
+      throw new Error("YouTubeShortcutProtection is required");
+    }
+
+    this.shortcutProtection = dependencies.shortcutProtection;
+    this.messageBus = dependencies.messageBus;
+    this.logger = dependencies.logger;
+
+    this.options = {
+      retryInterval: options.retryInterval || 1000,
+      maxRetries: options.maxRetries !== undefined ? options.maxRetries : 15,
+    };
+
+    // 監視中の <video> 要素とイベントリスナー
+    this.videoElement = null;
+    this.videoListeners = new Map();
+
+    // 再検索用タイマー
+    this.retryTimer = null;
+    this.retryCount = 0;
+
+    // 状態変更リスナー
+    this.changeListeners = new Set();
+
+    // 最後に通知した状態
+    this.currentState = null;
+  }
+
+  /**
+   * 監視を開始
+   * <video> が見つからない場合は描画されるまで一定間隔で再検索する
+   * @returns {boolean} <video> の監視を開始できた場合はtrue
+   */
+  start() {
+    this.retryCount = 0;
+    return this.refresh();
+  }
+
+  /**
+   * <video> 要素を再検索して監視対象を更新
+   * YouTube の SPA 遷移で <video> が差し替えられた場合に呼び出す
+   * @returns {boolean} <video> を監視している場合はtrue
+   */
+  refresh() {
+    const video = this.shortcutProtection.getVideoElement();
+
+    if (!video) {
+      this._scheduleRetry();
+      return false;
+    }
+
+    if (video !== this.videoElement) {
+      this._attach(video);
+    }
+
+    return true;
+  }
+
+  /**
+   * <video> 要素にイベントリスナーを設定
+   * @param {HTMLVideoElement} video - 監視する <video> 要素
+   * @private
+   */
+  _attach(video) {
+    this._detach();
+
+    for (const [eventName, state] of Object.entries(VIDEO_EVENT_STATES)) {
+      const listener = () => this._handleVideoEvent(state);
+      video.addEventListener(eventName, listener);
+      this.videoListeners.set(eventName, listener);
+    }
+
+    this.videoElement = video;
+
+    if (this.logger) {
+      this.logger.debug("Player state watcher attached to video element");
+    }
+  }
+
+  /**
+   * <video> 要素のイベントリスナーを解除
+   * @private
+   */
+  _detach() {
+    if (this.videoElement) {
+      for (const [eventName, listener] of this.videoListeners) {
+        this.videoElement.removeEventListener(eventName, listener);
+      }
+    }
+
+    this.videoListeners.clear();
+    this.videoElement = null;
+  }
+
+  /**
+   * <video> の再検索を予約
+   * @private
+   */
+  _scheduleRetry() {
+    if (this.retryTimer || this.retryCount >= this.options.maxRetries) {
+      return;
+    }
+
+    this.retryCount++;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.refresh();
+    }, this.options.retryInterval);
+  }
+
+  /**
+   * <video> のイベントを処理して状態変更を配信
+   * @param {string} state - PlayerState の値
+   * @private
+   */
+  _handleVideoEvent(state) {
+    const video = this.videoElement;
+    const event = {
+      state,
+      previousState: this.currentState,
+      currentTime: video ? video.currentTime : 0,
+      duration: video ? video.duration : 0,
+      timestamp: Date.now(),
+    };
+
+    // シークは一時的な操作のため現在の状態としては保持しない
+    if (state !== PlayerState.SEEKING) {
+      this.currentState = state;
+    }
+
+    if (this.logger) {
+      this.logger.debug("Player state changed", event);
+    }
+
+    for (const listener of this.changeListeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        if (this.logger) {
+          this.logger.warn("Error in player state listener", { error });
+        }
+      }
+    }
+
+    if (this.messageBus) {
+      this.messageBus
+        .send(MessageType.YOUTUBE_PLAYER_STATE_CHANGE, event, {
+          target: MessageTarget.ALL,
+        })
+        .catch((error) => {
+          if (this.logger) {
+            this.logger.warn("Failed to broadcast player state", { error });
+          }
+        });
+    }
+  }
+
+  /**
+   * 状態変更リスナーを追加
+   * @param {Function} listener - リスナー関数（状態変更イベントを受け取る）
+   * @returns {Function} リスナー削除関数
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener);
+
+    return () => {
+      this.changeListeners.delete(listener);
+    };
+  }
+
+  /**
+   * 現在の状態を取得
+   * @returns {Object} 現在の状態
+   */
+  getState() {
+    return {
+      state: this.currentState,
+      attached: !!this.videoElement,
+      listenerCount: this.changeListeners.size,
+    };
+  }
+
+  /**
+   * 監視を停止してリソースを解放
+   */
+  dispose() {
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this._detach();
+    this.changeListeners.clear();
+    this.currentState = null;
+  }
+}
+
+/**
+ * 再生状態による自動切り替えクラス
+ * 再生開始で有効化、一時停止で明るく、再生終了で無効化する（それぞれ遅延付き）
+ * 新しい状態変更を受け取ると、まだ実行されていない切り替えは取り消される
+ */
+class PlayerStateAutoDim {
+  /**
+   * PlayerStateAutoDimインスタンスを作成
+   * @param {Object} dependencies - 依存関係オブジェクト
+   * @param {PlayerStateWatcher} dependencies.watcher - 再生状態の監視
+   * @param {Object} dependencies.theaterModeController - enable/disable/updateOpacity/getState を持つコントローラー
+   * @param {Logger} [dependencies.logger] - ロガーインスタンス
+   * @param {Object} [settings] - 自動切り替えの設定
+   */
+  constructor(dependencies, settings) {
+    if (!dependencies || !dependencies.watcher) {
+      throw new Error("PlayerStateWatcher is required");
+    }
+
+    if (!dependencies.theaterModeController) {
+      throw new Error("TheaterModeController is required");
+    }
+
+    this.watcher = dependencies.watcher;
+    this.theaterModeController = dependencies.theaterModeController;
+    this.logger = dependencies.logger;
+
+    // 実行待ちの切り替え
+    this.pendingTimer = null;
+
+    // 一時停止で明るくする前の透明度（明るくしていない場合はnull）
+    this.opacityBeforePause = null;
+
+    this.removeListener = null;
+
+    this.settings = { ...DEFAULT_PLAYER_STATE_AUTO_DIM };
+    this.updateSettings(settings);
+  }
+
+  /**
+   * 再生状態の監視を開始
+   */
+  start() {
+    if (!this.removeListener) {
+      this.removeListener = this.watcher.addChangeListener((event) =>
+        this.handleStateChange(event)
+      );
+    }
+  }
+
+  /**
+   * 設定を更新
+   * 不正な設定は無視して現在の設定を保持する。
+   * 一時停止中の明るさ変更が不要になった場合は透明度を元に戻す
+   * @param {Object} settings - 自動切り替えの設定
+   * @returns {Result<Object>} 正規化された設定
+   */
+  updateSettings(settings) {
+    const result = normalizePlayerStateAutoDim(settings);
+
+    if (result.isSuccess()) {
+      this.settings = result.data;
+      if (!this.settings.lightenOnPause) {
+        this._restoreOpacity().catch((error) => {
+          if (this.logger) {
+            this.logger.error("Failed to restore paused opacity", error);
+          }
+        });
+      }
+    } else if (this.logger) {
+      this.logger.warn("Invalid player state auto-dim settings", {
+        error: result.error,
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * 一時停止で明るくする前の透明度を破棄
+   * 一時停止中に手動で変更した透明度を、再生再開時に上書きしないようにする
+   */
+  discardPausedOpacity() {
+    this.opacityBeforePause = null;
+  }
+
+  /**
+   * 再生状態の変更を処理
+   * @param {Object} event - 状態変更イベント { state, ... }
+   * @returns {Promise<void>}
+   */
+  async handleStateChange(event) {
+    // シークでは切り替えない（シーク後に play / pause が続く）
+    if (event.state === PlayerState.SEEKING) {
+      return;
+    }
+
+    this._cancelPending();
+
+    switch (event.state) {
+      case PlayerState.PLAYING:
+        await this._restoreOpacity();
+        if (this.settings.enableOnPlay) {
+          this._schedule(this.settings.enableOnPlayDelay, () =>
+            this._enable()
+          );
+        }
+        break;
+
+      case PlayerState.PAUSED:
+        if (this.settings.lightenOnPause) {
+          this._schedule(this.settings.lightenOnPauseDelay, () =>
+            this._lighten()
+          );
+        }
+        break;
+
+      case PlayerState.ENDED:
+        if (this.settings.disableOnEnd) {
+          this._schedule(this.settings.disableOnEndDelay, () =>
+            this._disable()
+          );
+        }
+        break;
+    }
+  }
+
+  /**
+   * 遅延後に切り替えを実行
+   * @param {number} delay - 遅延（ミリ秒）
+   * @param {Function} action - 実行する切り替え
+   * @private
+   */
+  _schedule(delay, action) {
+    this.pendingTimer = setTimeout(() => {
+      this.pendingTimer = null;
+      action().catch((error) => {
+        if (this.logger) {
+          this.logger.error("Player state transition failed", error);
+        }
+      });
+    }, delay);
+  }
+
+  /**
+   * 実行待ちの切り替えを取り消し
+   * @private
+   */
+  _cancelPending() {
+    clearTimeout(this.pendingTimer);
+    this.pendingTimer = null;
+  }
+
+  /**
+   * シアターモードを有効化
+   * @private
+   */
+  async _enable() {
+    if (!this.theaterModeController.getState().isActive) {
+      await this.theaterModeController.enable();
+    }
+  }
+
+  /**
+   * 一時停止用の透明度に上げる（現在より明るくなる場合のみ）
+   * @private
+   */
+  async _lighten() {
+    const state = this.theaterModeController.getState();
+    if (!state.isActive || state.opacity >= this.settings.pauseOpacity) {
+      return;
+    }
+
+    this.opacityBeforePause = state.opacity;
+    await this.theaterModeController.updateOpacity(this.settings.pauseOpacity);
+  }
+
+  /**
+   * 一時停止で上げた透明度を元に戻す
+   * @private
+   */
+  async _restoreOpacity() {
+    if (this.opacityBeforePause === null) {
+      return;
+    }
+
+    const opacity = this.opacityBeforePause;
+    this.opacityBeforePause = null;
+    await this.theaterModeController.updateOpacity(opacity);
+  }
+
+  /**
+   * シアターモードを無効化
+   * @private
+   */
+  async _disable() {
+    await this._restoreOpacity();
+    if (this.theaterModeController.getState().isActive) {
+      await this.theaterModeController.disable();
+    }
+  }
+
+  /**
+   * 自動切り替えを停止
+   */
+  dispose() {
+    this._cancelPending();
+    if (this.removeListener) {
+      this.removeListener();
+      this.removeListener = null;
+    }
+  }
+}
+
+/**
+ * 新しいPlayerStateWatcherインスタンスを作成
+ * @param {Object} dependencies - 依存関係オブジェクト
+ * @param {Object} [options] - オプション
+ * @returns {PlayerStateWatcher} 新しいPlayerStateWatcherインスタンス
+ */
+const createPlayerStateWatcher = (dependencies, options) =>
+  new PlayerStateWatcher(dependencies, options);
+
+/**
+ * 新しいPlayerStateAutoDimインスタンスを作成
+ * @param {Object} dependencies - 依存関係オブジェクト
+ * @param {Object} [settings] - 自動切り替えの設定
+ * @returns {PlayerStateAutoDim} 新しいPlayerStateAutoDimインスタンス
+ */
+const createPlayerStateAutoDim = (dependencies, settings) =>
+  new PlayerStateAutoDim(dependencies, settings);
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    PlayerState,
+    MAX_TRANSITION_DELAY,
+    DEFAULT_PLAYER_STATE_AUTO_DIM,
+    normalizePlayerStateAutoDim,
+    PlayerStateWatcher,
+    PlayerStateAutoDim,
+    createPlayerStateWatcher,
+    createPlayerStateAutoDim,
+  };
+} else if (typeof window !== "undefined") {
+  window.PlayerState = PlayerState;
+  window.MAX_TRANSITION_DELAY = MAX_TRANSITION_DELAY;
+  window.DEFAULT_PLAYER_STATE_AUTO_DIM = DEFAULT_PLAYER_STATE_AUTO_DIM;
+  window.normalizePlayerStateAutoDim = normalizePlayerStateAutoDim;
+  window.PlayerStateWatcher = PlayerStateWatcher;
+  window.PlayerStateAutoDim = PlayerStateAutoDim;
+  window.createPlayerStateWatcher = createPlayerStateWatcher;
+  window.createPlayerStateAutoDim = createPlayerStateAutoDim;
+}
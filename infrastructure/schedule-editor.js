@@ -0,0 +1,455 @@
+/**
+ * ScheduleEditor
+ * オプションページで自動有効化の時間帯（曜日・開始時刻・終了時刻・透明度）を編集するクラス
+ * 変更した時間帯は検証してからその場で保存し、不正な場合は保存せずに行にエラーを表示する
+ */
+
+// 依存関係のインポート
+var Result, ErrorType, MAX_SCHEDULE_WINDOWS, normalizeScheduleWindow;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ Result, ErrorType } = require("./error-handler.js"));
+  ({
+    MAX_SCHEDULE_WINDOWS,
+    normalizeScheduleWindow,
+  } = require("./auto-enable-schedule.js"));
+}
+
+/**
+ * 追加する時間帯の初期値（平日の夜）
+ * @readonly
+ * @type {Object}
+ */
+const NEW_SCHEDULE_WINDOW = {
+  days: [1, 2, 3, 4, 5],
+  start: "20:00",
+  end: "23:00",
+  opacity: 0.7,
+};
+
+/**
+ * 表示する曜日（Date#getDay() の値）
+ * @type {Array<number>}
+ */
+const SCHEDULE_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+/**
+ * 時間帯のエディター
+ */
+class ScheduleEditor {
+  /**
+   * ScheduleEditorインスタンスを作成
+   * @param {Object} dependencies - 依存関係
+   * @param {Function} dependencies.saveSchedule - 時間帯の一覧を保存する関数（保存できた場合は true を返す）
+   * @param {UIEventHandler} dependencies.uiEventHandler - UIイベントハンドラー
+   * @param {Object} dependencies.i18n - メッセージとロケールの取得に使う I18nManager
+   * @param {Logger} dependencies.logger - ロガーインスタンス
+   * @param {ErrorHandler} dependencies.errorHandler - エラーハンドラーインスタンス
+   */
+  constructor(dependencies) {
+    this.saveSchedule = dependencies.saveSchedule;
+    this.uiEventHandler = dependencies.uiEventHandler;
+    this.i18n = dependencies.i18n;
+    this.logger = dependencies.logger;
+    this.errorHandler = dependencies.errorHandler;
+
+    // 保存済みの時間帯（正規化済み）
+    this.windows = [];
+
+    // UI要素の参照
+    this.elements = {};
+
+    // イベントハンドラーの削除関数（クリーンアップ用）
+    this.removeHandlers = null;
+  }
+
+  /**
+   * エディターを初期化
+   * @returns {Result<void>} 初期化結果
+   */
+  initialize() {
+    const elements = {
+      scheduleList: document.getElementById("scheduleList"),
+      addScheduleWindowBtn: document.getElementById("addScheduleWindowBtn"),
+      scheduleFeedback: document.getElementById("scheduleFeedback"),
+    };
+
+    for (const [elementName, element] of Object.entries(elements)) {
+      if (!element) {
+        return Result.failure(`Required UI element not found: ${elementName}`, {
+          type: ErrorType.ELEMENT_NOT_FOUND,
+          context: { elementName },
+        });
+      }
+    }
+    this.elements = elements;
+
+    this._render();
+    this.removeHandlers = this.uiEventHandler.registerHandlers([
+      {
+        selector: ".schedule-day-input",
+        event: "change",
+        handler: (event) => {
+          const { windowIndex, day } = event.currentTarget.dataset;
+          this.setDay(
+            Number(windowIndex),
+            Number(day),
+            event.currentTarget.checked
+          );
+        },
+      },
+      {
+        selector: ".schedule-time-input",
+        event: "change",
+        handler: (event) => {
+          const { windowIndex, property } = event.currentTarget.dataset;
+          this.updateWindow(Number(windowIndex), {
+            [property]: event.currentTarget.value,
+          });
+        },
+      },
+      {
+        selector: ".schedule-opacity-input",
+        event: "change",
+        handler: (event) =>
+          this.updateWindow(Number(event.currentTarget.dataset.windowIndex), {
+            opacity: parseFloat(event.currentTarget.value),
+          }),
+      },
+      {
+        selector: ".schedule-enabled-input",
+        event: "change",
+        handler: (event) =>
+          this.updateWindow(Number(event.currentTarget.dataset.windowIndex), {
+            enabled: event.currentTarget.checked,
+          }),
+      },
+      {
+        selector: ".schedule-remove-btn",
+        event: "click",
+        handler: (event) =>
+          this.removeWindow(Number(event.currentTarget.dataset.windowIndex)),
+      },
+      {
+        selector: "#addScheduleWindowBtn",
+        event: "click",
+        handler: () => this.addWindow(),
+      },
+    ]);
+
+    this.logger.debug("ScheduleEditor initialized");
+    return Result.success();
+  }
+
+  /**
+   * エディターを破棄
+   * @returns {Result<void>} 破棄結果
+   */
+  dispose() {
+    if (this.removeHandlers) {
+      this.removeHandlers();
+      this.removeHandlers = null;
+    }
+
+    return Result.success();
+  }
+
+  /**
+   * 保存された時間帯を読み込んで表示
+   * 不正な時間帯は表示しない（次に保存したときに取り除かれる）
+   * @param {Array<Object>} windows - 保存された時間帯
+   * @returns {Result<Array<Object>>} 読み込んだ時間帯
+   */
+  loadSchedule(windows) {
+    this.windows = (Array.isArray(windows) ? windows : [])
+      .map((timeWindow) => normalizeScheduleWindow(timeWindow))
+      .filter((result) => result.isSuccess())
+      .map((result) => result.data);
+
+    this._render();
+    return Result.success(this.windows);
+  }
+
+  /**
+   * 時間帯を追加して保存
+   * @returns {Promise<Result<Array<Object>>>} 保存した時間帯
+   */
+  async addWindow() {
+    if (this.windows.length >= MAX_SCHEDULE_WINDOWS) {
+      this._showFeedbackMessage(
+        this._getMessage("scheduleWindowLimit", [
+          String(MAX_SCHEDULE_WINDOWS),
+        ]),
+        true
+      );
+      return Result.failure(
+        `Schedule has too many windows (max: ${MAX_SCHEDULE_WINDOWS})`,
+        { type: ErrorType.VALIDATION_ERROR }
+      );
+    }
+
+    const { data } = normalizeScheduleWindow({
+      ...NEW_SCHEDULE_WINDOW,
+      id: `window-${Date.now()}-${this.windows.length}`,
+    });
+    return this._save([...this.windows, data]);
+  }
+
+  /**
+   * 時間帯を変更して保存
+   * 変更後の時間帯が不正な場合は保存せず、行にエラーを表示する
+   * @param {number} index - 時間帯の位置
+   * @param {Object} changes - 変更する値（days, start, end, opacity, enabled）
+   * @returns {Promise<Result<Array<Object>>>} 保存した時間帯
+   */
+  async updateWindow(index, changes) {
+    const current = this.windows[index];
+    if (!current) {
+      return Result.failure(`Schedule window not found: ${index}`, {
+        type: ErrorType.VALIDATION_ERROR,
+      });
+    }
+
+    const normalized = normalizeScheduleWindow({ ...current, ...changes });
+    if (normalized.isFailure()) {
+      this._render({ [index]: this._getMessage("scheduleWindowInvalid") });
+      return normalized;
+    }
+
+    const windows = [...this.windows];
+    windows[index] = normalized.data;
+    return this._save(windows);
+  }
+
+  /**
+   * 時間帯の曜日を選択または解除して保存
+   * @param {number} index - 時間帯の位置
+   * @param {number} day - 曜日（0: 日曜日 - 6: 土曜日）
+   * @param {boolean} selected - 選択する場合はtrue
+   * @returns {Promise<Result<Array<Object>>>} 保存した時間帯
+   */
+  async setDay(index, day, selected) {
+    const current = this.windows[index];
+    const days = current ? current.days.filter((value) => value !== day) : [];
+
+    return this.updateWindow(index, {
+      days: selected ? [...days, day] : days,
+    });
+  }
+
+  /**
+   * 時間帯を削除して保存
+   * @param {number} index - 時間帯の位置
+   * @returns {Promise<Result<Array<Object>>>} 保存した時間帯
+   */
+  async removeWindow(index) {
+    return this._save(
+      this.windows.filter((_, position) => position !== index)
+    );
+  }
+
+  /**
+   * 時間帯の一覧を保存して表示
+   * 保存できなかった場合は保存済みの時間帯を表示したままにする
+   * @param {Array<Object>} windows - 保存する時間帯
+   * @returns {Promise<Result<Array<Object>>>} 保存した時間帯
+   * @private
+   */
+  async _save(windows) {
+    const saved = await this.errorHandler.wrapAsync(this.saveSchedule(windows));
+    if (saved.isFailure() || !saved.data) {
+      this._render();
+      this._showFeedbackMessage(this._getMessage("scheduleSaveFailed"), true);
+      return Result.failure("Failed to save schedule", {
+        type: ErrorType.STORAGE_ERROR,
+      });
+    }
+
+    this.windows = windows;
+    this._render();
+    this._showFeedbackMessage(this._getMessage("scheduleSaved"));
+
+    this.logger.info("Auto-enable schedule saved", { count: windows.length });
+    return Result.success(windows);
+  }
+
+  /**
+   * 時間帯の一覧を表示
+   * @param {Object<number, string>} [errors={}] - 時間帯の位置ごとのエラーメッセージ
+   * @private
+   */
+  _render(errors = {}) {
+    const { scheduleList } = this.elements;
+    if (!scheduleList) return;
+
+    scheduleList.textContent = "";
+
+    if (this.windows.length === 0) {
+      const row = document.createElement("tr");
+      const cell = document.createElement("td");
+      cell.colSpan = 6;
+      cell.className = "schedule-empty";
+      cell.textContent = this._getMessage("scheduleEmpty");
+      row.appendChild(cell);
+      scheduleList.appendChild(row);
+      return;
+    }
+
+    this.windows.forEach((timeWindow, index) => {
+      const row = document.createElement("tr");
+      row.dataset.windowId = timeWindow.id;
+
+      const daysCell = document.createElement("td");
+      const days = document.createElement("div");
+      days.className = "schedule-days";
+      days.setAttribute("role", "group");
+      days.setAttribute("aria-label", this._getMessage("scheduleDays"));
+      SCHEDULE_DAYS.forEach((day) => {
+        const label = document.createElement("label");
+        label.className = "schedule-day";
+        const checkbox = this._createInput("checkbox", index);
+        checkbox.className = "schedule-day-input";
+        checkbox.dataset.day = String(day);
+        checkbox.checked = timeWindow.days.includes(day);
+        label.append(checkbox, this._getDayLabel(day));
+        days.appendChild(label);
+      });
+      daysCell.appendChild(days);
+
+      const error = document.createElement("p");
+      error.className = "schedule-error";
+      error.id = `schedule-error-${timeWindow.id}`;
+      error.textContent = errors[index] || "";
+      error.hidden = !errors[index];
+      daysCell.appendChild(error);
+
+      const [startCell, endCell] = ["start", "end"].map((property) => {
+        const cell = document.createElement("td");
+        const input = this._createInput("time", index);
+        input.className = "schedule-time-input";
+        input.dataset.property = property;
+        input.value = timeWindow[property];
+        input.required = true;
+        input.setAttribute(
+          "aria-label",
+          this._getMessage(
+            property === "start" ? "scheduleStart" : "scheduleEnd"
+          )
+        );
+        input.setAttribute("aria-describedby", error.id);
+        cell.appendChild(input);
+        return cell;
+      });
+
+      const opacityCell = document.createElement("td");
+      const opacity = this._createInput("number", index);
+      opacity.className = "schedule-opacity-input";
+      opacity.min = "0";
+      opacity.max = "0.9";
+      opacity.step = "0.05";
+      opacity.value = String(timeWindow.opacity);
+      opacity.setAttribute("aria-label", this._getMessage("scheduleOpacity"));
+      opacityCell.appendChild(opacity);
+
+      const enabledCell = document.createElement("td");
+      const enabled = this._createInput("checkbox", index);
+      enabled.className = "schedule-enabled-input";
+      enabled.checked = timeWindow.enabled;
+      enabled.setAttribute(
+        "aria-label",
+        this._getMessage("scheduleWindowEnabled")
+      );
+      enabledCell.appendChild(enabled);
+
+      const actionCell = document.createElement("td");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "secondary-button schedule-remove-btn";
+      button.dataset.windowIndex = String(index);
+      button.textContent = this._getMessage("removeScheduleWindow");
+      actionCell.appendChild(button);
+
+      row.append(
+        daysCell,
+        startCell,
+        endCell,
+        opacityCell,
+        enabledCell,
+        actionCell
+      );
+      scheduleList.appendChild(row);
+    });
+  }
+
+  /**
+   * 時間帯の行の入力要素を作成
+   * @param {string} type - input の type
+   * @param {number} index - 時間帯の位置
+   * @returns {HTMLInputElement} 入力要素
+   * @private
+   */
+  _createInput(type, index) {
+    const input = document.createElement("input");
+    input.type = type;
+    input.dataset.windowIndex = String(index);
+    return input;
+  }
+
+  /**
+   * 曜日の表示名を現在のロケールで取得
+   * @param {number} day - 曜日（0: 日曜日 - 6: 土曜日）
+   * @returns {string} 曜日の短い表示名
+   * @private
+   */
+  _getDayLabel(day) {
+    const locale = this.i18n.getCurrentLocale().replace("_", "-");
+    // 2024年1月7日は日曜日
+    return new Intl.DateTimeFormat(locale, { weekday: "short" }).format(
+      new Date(2024, 0, 7 + day)
+    );
+  }
+
+  /**
+   * フィードバックメッセージを表示
+   * @param {string} message - メッセージ
+   * @param {boolean} [isError=false] - エラーの場合はtrue
+   * @private
+   */
+  _showFeedbackMessage(message, isError = false) {
+    const { scheduleFeedback } = this.elements;
+    scheduleFeedback.textContent = message;
+    scheduleFeedback.classList.toggle("error", isError);
+  }
+
+  /**
+   * ローカライズされたメッセージを取得
+   * @param {string} key - メッセージキー
+   * @param {Array<string>} [substitutions] - 置換文字列
+   * @returns {string} メッセージ
+   * @private
+   */
+  _getMessage(key, substitutions) {
+    return this.i18n.getMessage(key, substitutions);
+  }
+}
+
+/**
+ * 新しいScheduleEditorインスタンスを作成
+ * @param {Object} dependencies - 依存関係
+ * @returns {ScheduleEditor} 新しいScheduleEditorインスタンス
+ */
+const createScheduleEditor = (dependencies) => new ScheduleEditor(dependencies);
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    NEW_SCHEDULE_WINDOW,
+    ScheduleEditor,
+    createScheduleEditor,
+  };
+} else if (typeof window !== "undefined") {
+  window.NEW_SCHEDULE_WINDOW = NEW_SCHEDULE_WINDOW;
+  window.ScheduleEditor = ScheduleEditor;
+  window.createScheduleEditor = createScheduleEditor;
+}
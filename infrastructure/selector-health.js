@@ -0,0 +1,351 @@
+/**
+ * SelectorHealth
+ * フォールバック付きセレクターのどれが一致したかを記録し、YouTube の DOM 変更を検出する
+ *
+ * コンテンツスクリプトとポップアップからも読み込むため、他のモジュールには依存しない
+ */
+
+/**
+ * 信頼度の平滑化係数（直近の検索結果の重み）
+ * @readonly
+ * @type {number}
+ */
+const SELECTOR_HEALTH_SMOOTHING = 0.2;
+
+/**
+ * 警告を表示するまでの、優先セレクターが一致しなかったページ読み込み回数
+ * @readonly
+ * @type {number}
+ */
+const SELECTOR_HEALTH_WARNING_LOADS = 3;
+
+/**
+ * ページ読み込みごとの記録で動画プレーヤーの描画を待つ時間（ミリ秒）
+ * @readonly
+ * @type {number}
+ */
+const SELECTOR_HEALTH_PLAYER_TIMEOUT = 5000;
+
+/**
+ * 記録するセレクターの組の上限（古いものから削除する）
+ * @readonly
+ * @type {number}
+ */
+const MAX_SELECTOR_CHAINS = 50;
+
+/**
+ * 保存時のストレージキー（chrome.storage.local）
+ * @readonly
+ * @type {string}
+ */
+const SELECTOR_HEALTH_STORAGE_KEY = "selectorHealth";
+
+/**
+ * セレクターの組の識別キーを作成
+ * @param {string[]} selectors - セレクターの配列（優先度順）
+ * @returns {string} 識別キー
+ */
+const getSelectorChainKey = (selectors) => selectors.join(", ");
+
+/**
+ * 一致したセレクターの位置から検索結果の信頼度を求める
+ * 優先セレクターは1、後ろのフォールバックほど低く、どれも一致しない場合は0
+ * @param {number} matchedIndex - 一致したセレクターの位置（一致しない場合は-1）
+ * @param {number} length - セレクターの数
+ * @returns {number} 0-1の信頼度
+ */
+const scoreSelectorMatch = (matchedIndex, length) => {
+  if (matchedIndex < 0 || length <= 0) {
+    return 0;
+  }
+  return 1 - matchedIndex / length;
+};
+
+/**
+ * SelectorHealthTracker クラス
+ * セレクターの組ごとに一致したセレクター・回数・失敗を記録し、信頼度付きのレポートを作成する
+ */
+var SelectorHealthTracker = class SelectorHealthTracker {
+  /**
+   * SelectorHealthTrackerインスタンスを作成
+   * @param {Object} [options] - オプション
+   * @param {Object} [options.logger] - ロガー（セレクターの組がすべて失敗した場合に警告を記録）
+   * @param {Function} [options.now=Date.now] - 現在時刻を返す関数
+   */
+  constructor(options = {}) {
+    this.logger = options.logger || null;
+    this.now = options.now || Date.now;
+
+    /** @type {number} 記録したページ読み込みの回数 */
+    this.pageLoads = 0;
+
+    /** @type {Map<string, Object>} 識別キーごとの記録 */
+    this.chains = new Map();
+
+    /** @type {Map<string, string>} 識別キーと名前の対応 */
+    this.names = new Map();
+  }
+
+  /**
+   * セレクターの組に名前を付ける
+   * @param {string} name - 名前（例: "videoPlayer"）
+   * @param {string[]} selectors - セレクターの配列
+   * @returns {SelectorHealthTracker} メソッドチェーン用のthis
+   */
+  registerChain(name, selectors) {
+    this.names.set(getSelectorChainKey(selectors), name);
+    return this;
+  }
+
+  /**
+   * 検索結果を記録
+   * @param {string[]} selectors - 試行したセレクターの配列（優先度順）
+   * @param {number} matchedIndex - 一致したセレクターの位置（一致しない場合は-1）
+   * @returns {Object} 更新後の記録
+   */
+  record(selectors, matchedIndex) {
+    const key = getSelectorChainKey(selectors);
+    const chain = this._getOrCreateChain(key, selectors);
+    const timestamp = this.now();
+
+    chain.lookups++;
+    chain.lookupsThisLoad++;
+    chain.confidence +=
+      (scoreSelectorMatch(matchedIndex, selectors.length) - chain.confidence) *
+      SELECTOR_HEALTH_SMOOTHING;
+
+    if (matchedIndex < 0) {
+      chain.failures++;
+      chain.lastFailedAt = timestamp;
+
+      if (this.logger) {
+        this.logger.warn("Selector chain failed", {
+          chain: chain.name || key,
+          selectors,
+          failures: chain.failures,
+        });
+      }
+    } else {
+      const selector = selectors[matchedIndex];
+      chain.matches[selector] = (chain.matches[selector] || 0) + 1;
+      chain.lastMatchedSelector = selector;
+      chain.lastMatchedAt = timestamp;
+      if (matchedIndex === 0) {
+        chain.primaryMatchedThisLoad = true;
+      }
+    }
+
+    return chain;
+  }
+
+  /**
+   * ページ読み込みの区切りを記録
+   * 読み込み中に検索したセレクターの組ごとに、優先セレクターが一致しなかった連続回数を更新する
+   * @returns {SelectorHealthTracker} メソッドチェーン用のthis
+   */
+  completePageLoad() {
+    this.pageLoads++;
+
+    for (const chain of this.chains.values()) {
+      if (chain.lookupsThisLoad > 0) {
+        chain.primaryMissedLoads = chain.primaryMatchedThisLoad
+          ? 0
+          : chain.primaryMissedLoads + 1;
+      }
+      chain.lookupsThisLoad = 0;
+      chain.primaryMatchedThisLoad = false;
+    }
+
+    return this;
+  }
+
+  /**
+   * 名前または識別キーで記録を取得
+   * @param {string} nameOrKey - 名前または識別キー
+   * @returns {Object|null} 記録
+   */
+  getChain(nameOrKey) {
+    if (this.chains.has(nameOrKey)) {
+      return this.chains.get(nameOrKey);
+    }
+
+    for (const chain of this.chains.values()) {
+      if (chain.name === nameOrKey) {
+        return chain;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 優先セレクターが指定回数のページ読み込みで続けて一致していないかどうか
+   * @param {string} nameOrKey - 名前または識別キー
+   * @param {number} [threshold=SELECTOR_HEALTH_WARNING_LOADS] - 回数
+   * @returns {boolean} 一致していない場合はtrue
+   */
+  isPrimaryMissing(nameOrKey, threshold = SELECTOR_HEALTH_WARNING_LOADS) {
+    const chain = this.getChain(nameOrKey);
+    return Boolean(chain) && chain.primaryMissedLoads >= threshold;
+  }
+
+  /**
+   * レポートを作成
+   * @param {Object} [options] - オプション
+   * @param {number} [options.threshold=SELECTOR_HEALTH_WARNING_LOADS] - 警告する回数
+   * @returns {Object} レポート { pageLoads, chains, warnings }
+   */
+  getReport(options = {}) {
+    const threshold = options.threshold || SELECTOR_HEALTH_WARNING_LOADS;
+
+    const chains = Array.from(this.chains.entries()).map(([key, chain]) => ({
+      key,
+      name: chain.name,
+      selectors: [...chain.selectors],
+      lookups: chain.lookups,
+      failures: chain.failures,
+      confidence: Math.round(chain.confidence * 100) / 100,
+      matches: { ...chain.matches },
+      lastMatchedSelector: chain.lastMatchedSelector,
+      lastMatchedAt: chain.lastMatchedAt,
+      lastFailedAt: chain.lastFailedAt,
+      primaryMissedLoads: chain.primaryMissedLoads,
+    }));
+
+    return {
+      pageLoads: this.pageLoads,
+      chains,
+      warnings: chains
+        .filter((chain) => chain.primaryMissedLoads >= threshold)
+        .map((chain) => chain.name || chain.key),
+    };
+  }
+
+  /**
+   * 保存用のデータに変換
+   * @returns {Object} 保存用のデータ
+   */
+  toJSON() {
+    return {
+      pageLoads: this.pageLoads,
+      chains: Array.from(this.chains.entries()).map(([key, chain]) => ({
+        ...chain,
+        key,
+        lookupsThisLoad: 0,
+        primaryMatchedThisLoad: false,
+      })),
+    };
+  }
+
+  /**
+   * 保存されたデータからインスタンスを作成
+   * 不正なデータは無視して空の状態から始める
+   * @param {Object} [data] - toJSON() で保存したデータ
+   * @param {Object} [options] - コンストラクターのオプション
+   * @returns {SelectorHealthTracker} 新しいインスタンス
+   */
+  static fromJSON(data, options = {}) {
+    const tracker = new SelectorHealthTracker(options);
+    if (!data || typeof data !== "object") {
+      return tracker;
+    }
+
+    tracker.pageLoads = Number.isInteger(data.pageLoads) ? data.pageLoads : 0;
+
+    const chains = Array.isArray(data.chains) ? data.chains : [];
+    for (const saved of chains.slice(-MAX_SELECTOR_CHAINS)) {
+      if (!saved || !Array.isArray(saved.selectors)) {
+        continue;
+      }
+      const chain = tracker._getOrCreateChain(
+        getSelectorChainKey(saved.selectors),
+        saved.selectors
+      );
+      Object.assign(chain, {
+        lookups: saved.lookups || 0,
+        failures: saved.failures || 0,
+        confidence: Number.isFinite(saved.confidence) ? saved.confidence : 1,
+        matches: { ...saved.matches },
+        lastMatchedSelector: saved.lastMatchedSelector || null,
+        lastMatchedAt: saved.lastMatchedAt || null,
+        lastFailedAt: saved.lastFailedAt || null,
+        primaryMissedLoads: saved.primaryMissedLoads || 0,
+      });
+      if (saved.name && !chain.name) {
+        chain.name = saved.name;
+      }
+    }
+
+    return tracker;
+  }
+
+  /**
+   * 記録を取得（ない場合は作成）
+   * @param {string} key - 識別キー
+   * @param {string[]} selectors - セレクターの配列
+   * @returns {Object} 記録
+   * @private
+   */
+  _getOrCreateChain(key, selectors) {
+    let chain = this.chains.get(key);
+
+    if (!chain) {
+      chain = {
+        name: null,
+        selectors: [...selectors],
+        lookups: 0,
+        failures: 0,
+        confidence: 1,
+        matches: {},
+        lastMatchedSelector: null,
+        lastMatchedAt: null,
+        lastFailedAt: null,
+        primaryMissedLoads: 0,
+        lookupsThisLoad: 0,
+        primaryMatchedThisLoad: false,
+      };
+      this.chains.set(key, chain);
+
+      // 上限を超えた場合は最も古い記録を削除
+      if (this.chains.size > MAX_SELECTOR_CHAINS) {
+        this.chains.delete(this.chains.keys().next().value);
+      }
+    }
+
+    // 後から名前を付けた場合にも反映する
+    chain.name = this.names.get(key) || chain.name;
+    return chain;
+  }
+};
+
+/**
+ * 新しいSelectorHealthTrackerインスタンスを作成
+ * @param {Object} [options] - オプション
+ * @returns {SelectorHealthTracker} 新しいSelectorHealthTrackerインスタンス
+ */
+const createSelectorHealthTracker = (options) =>
+  new SelectorHealthTracker(options);
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SELECTOR_HEALTH_SMOOTHING,
+    SELECTOR_HEALTH_WARNING_LOADS,
+    SELECTOR_HEALTH_PLAYER_TIMEOUT,
+    MAX_SELECTOR_CHAINS,
+    SELECTOR_HEALTH_STORAGE_KEY,
+    getSelectorChainKey,
+    scoreSelectorMatch,
+    SelectorHealthTracker,
+    createSelectorHealthTracker,
+  };
+} else if (typeof window !== "undefined") {
+  window.SELECTOR_HEALTH_SMOOTHING = SELECTOR_HEALTH_SMOOTHING;
+  window.SELECTOR_HEALTH_WARNING_LOADS = SELECTOR_HEALTH_WARNING_LOADS;
+  window.SELECTOR_HEALTH_PLAYER_TIMEOUT = SELECTOR_HEALTH_PLAYER_TIMEOUT;
+  window.MAX_SELECTOR_CHAINS = MAX_SELECTOR_CHAINS;
+  window.SELECTOR_HEALTH_STORAGE_KEY = SELECTOR_HEALTH_STORAGE_KEY;
+  window.getSelectorChainKey = getSelectorChainKey;
+  window.scoreSelectorMatch = scoreSelectorMatch;
+  window.SelectorHealthTracker = SelectorHealthTracker;
+  window.createSelectorHealthTracker = createSelectorHealthTracker;
+}
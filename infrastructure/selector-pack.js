@@ -0,0 +1,376 @@
+/**
+ * SelectorPack
+ * YouTube の要素のセレクターをページタイプ別にまとめた、バージョン付きの JSON 形式（セレクターパック）
+ * YouTube の DOM 変更でセレクターが古くなった場合に、ストアのリリースを待たずに更新したパックを読み込める
+ *
+ * コンテンツスクリプトとポップアップからも読み込むため、他のモジュールには依存しない
+ */
+
+/**
+ * 読み込んだパックの保存先のストレージキー（chrome.storage.local）
+ * @readonly
+ * @type {string}
+ */
+const SELECTOR_PACK_STORAGE_KEY = "selectorPack";
+
+/**
+ * パックと拡張機能のバージョンの形式（"1.2.3" のような数字の区切り）
+ * @readonly
+ * @type {RegExp}
+ */
+const SELECTOR_PACK_VERSION_PATTERN = /^\d+(\.\d+){0,3}$/;
+
+/**
+ * パックのファイルの最大サイズ（バイト）
+ * @readonly
+ * @type {number}
+ */
+const MAX_SELECTOR_PACK_SIZE = 100 * 1024;
+
+/**
+ * ページタイプ別のセクションに書けるセレクターの一覧
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const SELECTOR_PACK_LIST_FIELDS = {
+  detect: "ページタイプの判定に使う要素",
+  videoPlayer: "動画プレーヤー（優先度順）",
+  videoControls: "プレーヤーのコントロール",
+  protectedElements: "暗くしない要素",
+  container: "リールを並べるコンテナー",
+  channelOwner: "動画ページのチャンネルオーナーのリンク",
+  channelName: "チャンネルページのチャンネル名",
+  channelId: "チャンネルID（UC...）を content または href に持つ要素（優先度順）",
+};
+
+/**
+ * 拡張機能に同梱のセレクターパック
+ * video セクションは他のページタイプの既定値として使う
+ * @readonly
+ * @type {Object}
+ */
+var DEFAULT_SELECTOR_PACK = {
+  version: "1.0.0",
+  minExtensionVersion: "1.0.0",
+  pages: {
+    video: {
+      detect: [
+        "#movie_player", // メインプレーヤー
+        ".html5-video-player", // HTML5プレーヤー
+        '[data-testid="video-player"]', // テスト用属性
+      ],
+      videoPlayer: [
+        "#movie_player", // メインプレーヤー
+        ".html5-video-player", // HTML5プレーヤー
+        '[data-testid="video-player"]', // テスト用属性
+        ".ytp-player-content", // プレーヤーコンテンツ
+        "#player-container", // プレーヤーコンテナ
+      ],
+      videoControls: [
+        ".ytp-chrome-controls", // コントロールバー
+        ".ytp-chrome-bottom", // 下部のコントロール
+        ".video-stream", // 動画
+      ],
+      protectedElements: [
+        "#movie_player", // メインプレーヤー
+        ".html5-video-player", // HTML5プレーヤー
+        ".video-stream", // 動画
+        ".ytp-chrome-controls", // コントロールバー
+        ".ytp-chrome-bottom", // 下部のコントロール
+      ],
+      // サイドバー内のライブチャットは splitAroundNested で分け、チャット領域として扱う
+      overlayRegions: {
+        masthead: [
+          "#masthead", // ヘッダー
+          ".ytd-masthead", // ヘッダー（新UI）
+        ],
+        metadata: [
+          "#meta-contents", // 動画メタデータ
+          ".ytd-watch-metadata", // 動画メタデータ（新UI）
+          "#description", // 動画説明
+          ".ytd-video-secondary-info-renderer", // 動画情報
+        ],
+        comments: [
+          "#comments", // コメント欄
+          "ytd-comments", // 新しいコメント欄
+        ],
+        sidebar: [
+          "#secondary", // サイドバー
+          "#related", // 関連動画
+          ".ytp-suggestion-set", // 動画終了時の提案
+        ],
+        chat: [
+          "#chat", // ライブチャット
+          "ytd-live-chat-frame", // ライブチャット（新UI）
+        ],
+      },
+      channelOwner: [
+        "ytd-video-owner-renderer #channel-name a", // 動画のチャンネル名
+        "ytd-video-owner-renderer a.yt-simple-endpoint", // チャンネルへのリンク
+        "#owner #channel-name a", // 旧UI
+      ],
+      channelId: [
+        'ytd-video-owner-renderer a[href^="/channel/"]', // チャンネルIDのリンク
+        'ytd-watch-flexy meta[itemprop="channelId"]', // 動画のメタデータ
+      ],
+    },
+    shorts: {
+      detect: [
+        "#shorts-player", // Shorts のプレーヤー
+        '[data-testid="shorts-player"]', // テスト用属性
+        ".ytd-shorts", // Shorts のページ
+      ],
+      container: [
+        "#shorts-container", // リールを並べるコンテナー
+        "ytd-shorts", // Shorts のページ
+      ],
+      // video セクションの保護対象に追加する
+      protectedElements: [
+        "#shorts-player", // Shorts のプレーヤー
+        "ytd-reel-video-renderer[is-active] #player-container", // 再生中のリールの動画
+      ],
+      // 再生中のリールは is-active 属性を持つため、それ以外のリールを暗くする
+      overlayRegions: {
+        masthead: [
+          "#masthead", // ヘッダー
+          ".ytd-masthead", // ヘッダー（新UI）
+        ],
+        feed: [
+          "#guide", // ガイド（サイドメニュー）
+          "ytd-mini-guide-renderer", // 折りたたみ時のガイド
+          "#navigation-container", // 前後のリールへの移動ボタン
+        ],
+        reels: [
+          "ytd-reel-video-renderer:not([is-active])", // 前後のリール
+        ],
+        actions: [
+          "ytd-reel-video-renderer[is-active] #actions", // 高評価・コメントなどのボタン列
+          "ytd-reel-video-renderer[is-active] reel-action-bar-view-model", // ボタン列（新UI）
+        ],
+      },
+    },
+    live: {
+      // .ytp-live-badge は通常の動画にも display: none で存在するため、表示状態で判定する
+      detect: [
+        ".ytp-live-badge", // プレーヤーの「ライブ」バッジ
+        '[data-testid="live-badge"]', // ライブバッジ（テスト用属性）
+      ],
+    },
+    premiere: {
+      detect: [
+        ".ytp-premiere-countdown", // プレミア公開のカウントダウン
+        '[data-testid="premiere-countdown"]', // テスト用属性
+        ".premiere-badge", // プレミア公開のバッジ
+      ],
+    },
+    channel: {
+      detect: [
+        "#channel-header", // チャンネルヘッダー
+        ".ytd-c4-tabbed-header-renderer", // チャンネルヘッダー（旧UI）
+        ".ytd-channel-header-renderer", // チャンネルヘッダー（新UI）
+      ],
+      channelName: [
+        "#channel-header #channel-name", // チャンネル名
+        "ytd-channel-name#channel-name", // チャンネル名（新UI）
+      ],
+      channelId: [
+        'link[rel="canonical"][href*="/channel/"]', // チャンネルページの正規URL
+        'meta[itemprop="channelId"]', // チャンネルのメタデータ
+      ],
+    },
+    search: {
+      detect: [
+        "#contents.ytd-search-page-renderer", // 検索結果
+        ".ytd-search-page-renderer", // 検索ページ
+      ],
+    },
+    home: {
+      detect: [
+        "#contents.ytd-rich-grid-renderer", // ホームのグリッド
+        ".ytd-browse-page-renderer", // ブラウズページ
+      ],
+    },
+  },
+};
+
+/**
+ * CSSセレクターとして有効かどうかを判定
+ * @param {string} selector - 判定するセレクター
+ * @returns {boolean} 有効な場合はtrue
+ */
+const isPackSelectorValid = (selector) => {
+  if (typeof selector !== "string" || selector.trim() === "") {
+    return false;
+  }
+
+  // DOM が利用できない環境では構文チェックを省略
+  if (typeof document === "undefined" || !document.createDocumentFragment) {
+    return true;
+  }
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * セレクターの一覧の誤りを取得
+ * @param {any} list - セレクターの一覧
+ * @param {string} path - エラーメッセージに使う位置
+ * @returns {string[]} 誤りの説明
+ */
+const getSelectorListErrors = (list, path) => {
+  if (!Array.isArray(list) || list.length === 0) {
+    return [`'${path}' must be a non-empty array of selectors`];
+  }
+
+  return list
+    .filter((selector) => !isPackSelectorValid(selector))
+    .map((selector) => `Invalid CSS selector in '${path}': ${selector}`);
+};
+
+/**
+ * ページタイプ別のセクションの誤りを取得
+ * @param {any} pages - パックの pages
+ * @returns {string[]} 誤りの説明（正しい場合は空）
+ */
+const getSelectorPackPageErrors = (pages) => {
+  if (!pages || typeof pages !== "object" || Array.isArray(pages)) {
+    return ["'pages' must be an object of page type sections"];
+  }
+
+  const errors = [];
+  for (const [pageType, section] of Object.entries(pages)) {
+    if (!section || typeof section !== "object" || Array.isArray(section)) {
+      errors.push(`'pages.${pageType}' must be an object`);
+      continue;
+    }
+
+    for (const [field, value] of Object.entries(section)) {
+      const path = `pages.${pageType}.${field}`;
+
+      if (field === "overlayRegions") {
+        if (!value || typeof value !== "object" || Array.isArray(value)) {
+          errors.push(`'${path}' must be an object of region selectors`);
+          continue;
+        }
+        for (const [region, selectors] of Object.entries(value)) {
+          errors.push(...getSelectorListErrors(selectors, `${path}.${region}`));
+        }
+      } else if (field in SELECTOR_PACK_LIST_FIELDS) {
+        errors.push(...getSelectorListErrors(value, path));
+      } else {
+        errors.push(`Unknown field '${path}'`);
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * セレクターパックのバリデーションスキーマ（DataValidator 用）
+ * @type {Object<string, Object>}
+ */
+var SELECTOR_PACK_SCHEMA = {
+  version: {
+    type: "string",
+    required: true,
+    pattern: SELECTOR_PACK_VERSION_PATTERN,
+    description: "パックのバージョン",
+  },
+  minExtensionVersion: {
+    type: "string",
+    required: true,
+    pattern: SELECTOR_PACK_VERSION_PATTERN,
+    description: "パックを読み込める拡張機能の最小バージョン",
+  },
+  pages: {
+    type: "object",
+    required: true,
+    custom: (pages) => {
+      const errors = getSelectorPackPageErrors(pages);
+      return errors.length === 0 || { valid: false, message: errors[0] };
+    },
+    description: "ページタイプ別のセレクター",
+  },
+};
+
+/**
+ * バージョンを比較
+ * @param {string} a - バージョン
+ * @param {string} b - バージョン
+ * @returns {number} a が新しい場合は正、古い場合は負、同じ場合は0
+ */
+const compareVersions = (a, b) => {
+  const left = String(a).split(".").map(Number);
+  const right = String(b).split(".").map(Number);
+
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    const diff = (left[i] || 0) - (right[i] || 0);
+    if (diff !== 0) {
+      return diff;
+    }
+  }
+  return 0;
+};
+
+/**
+ * 拡張機能のバージョンでパックを読み込めるかどうか
+ * @param {Object} pack - セレクターパック
+ * @param {string} extensionVersion - 拡張機能のバージョン
+ * @returns {boolean} 読み込める場合はtrue
+ */
+var isSelectorPackCompatible = (pack, extensionVersion) =>
+  compareVersions(extensionVersion, pack.minExtensionVersion) >= 0;
+
+/**
+ * パックに同梱のパックを補完
+ * 読み込んだパックに書かれていないページタイプやセレクターは同梱のパックの値を使う
+ * @param {Object} [pack] - 読み込んだセレクターパック（省略時は同梱のパック）
+ * @returns {Object} 補完したセレクターパック
+ */
+var resolveSelectorPack = (pack) => {
+  if (!pack || pack === DEFAULT_SELECTOR_PACK) {
+    return DEFAULT_SELECTOR_PACK;
+  }
+
+  const pages = { ...DEFAULT_SELECTOR_PACK.pages };
+  for (const [pageType, section] of Object.entries(pack.pages || {})) {
+    pages[pageType] = { ...pages[pageType], ...section };
+  }
+
+  return {
+    version: pack.version,
+    minExtensionVersion: pack.minExtensionVersion,
+    pages,
+  };
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SELECTOR_PACK_STORAGE_KEY,
+    SELECTOR_PACK_VERSION_PATTERN,
+    MAX_SELECTOR_PACK_SIZE,
+    SELECTOR_PACK_LIST_FIELDS,
+    DEFAULT_SELECTOR_PACK,
+    SELECTOR_PACK_SCHEMA,
+    compareVersions,
+    isSelectorPackCompatible,
+    resolveSelectorPack,
+  };
+} else if (typeof window !== "undefined") {
+  window.SELECTOR_PACK_STORAGE_KEY = SELECTOR_PACK_STORAGE_KEY;
+  window.SELECTOR_PACK_VERSION_PATTERN = SELECTOR_PACK_VERSION_PATTERN;
+  window.MAX_SELECTOR_PACK_SIZE = MAX_SELECTOR_PACK_SIZE;
+  window.SELECTOR_PACK_LIST_FIELDS = SELECTOR_PACK_LIST_FIELDS;
+  window.DEFAULT_SELECTOR_PACK = DEFAULT_SELECTOR_PACK;
+  window.SELECTOR_PACK_SCHEMA = SELECTOR_PACK_SCHEMA;
+  window.compareVersions = compareVersions;
+  window.isSelectorPackCompatible = isSelectorPackCompatible;
+  window.resolveSelectorPack = resolveSelectorPack;
+}
@@ -0,0 +1,299 @@
+/**
+ * SelectorRules
+ * ユーザー定義のオーバーレイ対象セレクタールール（追加・除外）を管理
+ * YouTube の新しいパネルにリリースを待たずに対応するための仕組み
+ */
+
+// 依存関係のインポート
+var Logger, ErrorHandler, Result, AppError, ErrorType, DataValidator;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ Logger } = require("./logger.js"));
+  ({
+    ErrorHandler,
+    Result,
+    AppError,
+    ErrorType,
+  } = require("./error-handler.js"));
+  ({ DataValidator } = require("./data-validator.js"));
+}
+
+/**
+ * セレクタールールの種類
+ * @readonly
+ * @enum {string}
+ */
+var SelectorRuleType = {
+  INCLUDE: "include", // オーバーレイ対象に追加
+  EXCLUDE: "exclude", // オーバーレイ対象から除外
+};
+
+/**
+ * 保存できるルールの最大数
+ * @type {number}
+ */
+var MAX_SELECTOR_RULES = 50;
+
+/**
+ * CSSセレクターとして有効かどうかを判定
+ * @param {string} selector - 判定するセレクター
+ * @returns {boolean} 有効な場合はtrue
+ */
+var isValidSelector = (selector) => {
+  if (typeof selector !== "string" || selector.trim() === "") {
+    return false;
+  }
+
+  // DOM が利用できない環境では構文チェックを省略
+  if (typeof document === "undefined" || !document.createDocumentFragment) {
+    return true;
+  }
+
+  try {
+    document.createDocumentFragment().querySelector(selector);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * セレクタールールのバリデーションスキーマ（DataValidator 用）
+ * @type {Object<string, Object>}
+ */
+var SELECTOR_RULES_SCHEMA = {
+  rules: {
+    type: "array",
+    default: [],
+    maxItems: MAX_SELECTOR_RULES,
+    items: {
+      type: "object",
+      properties: {
+        selector: {
+          type: "string",
+          required: true,
+          minLength: 1,
+          maxLength: 200,
+          custom: (value) =>
+            isValidSelector(value) || {
+              valid: false,
+              message: `Invalid CSS selector: ${value}`,
+            },
+        },
+        type: {
+          type: "string",
+          required: true,
+          enum: Object.values(SelectorRuleType),
+        },
+        enabled: {
+          type: "boolean",
+          default: true,
+        },
+      },
+    },
+    description: "ユーザー定義のオーバーレイ対象セレクタールール",
+  },
+};
+
+/**
+ * セレクタールールを検証
+ * ポップアップでの保存とコンテンツスクリプトでの読み込みでも同じスキーマで検証する
+ * @param {Array<Object>} rules - 検証するルール
+ * @param {Object} [dataValidator] - データバリデーターインスタンス
+ * @returns {Result<Array<Object>>} 検証済みのルール（enabled の既定値を補完）
+ *   （失敗時は context.errors に検証エラー）
+ */
+var validateSelectorRules = (rules, dataValidator = new DataValidator()) => {
+  const result = dataValidator.validate({ rules }, SELECTOR_RULES_SCHEMA);
+  if (result.isFailure()) {
+    return result;
+  }
+
+  if (!result.data.valid) {
+    return Result.failure("Invalid selector rules", {
+      type: ErrorType.VALIDATION_ERROR,
+      context: { errors: result.data.errors },
+    });
+  }
+
+  return Result.success(
+    (rules || []).map((rule) => ({
+      selector: rule.selector,
+      type: rule.type,
+      enabled: rule.enabled !== false,
+    }))
+  );
+};
+
+/**
+ * セレクタールール管理クラス
+ * ルールの検証と永続化を行う（適用は OverlayManager.setCustomRules() で行う）
+ */
+var SelectorRules = class SelectorRules {
+  /**
+   * SelectorRulesインスタンスを作成
+   * @param {Object} options - オプション
+   * @param {Object} options.settingsManager - 設定管理インスタンス
+   * @param {Object} [options.dataValidator] - データバリデーターインスタンス
+   * @param {Object} [options.logger] - ロガーインスタンス
+   * @param {Object} [options.errorHandler] - エラーハンドラーインスタンス
+   */
+  constructor(options) {
+    if (!options || !options.settingsManager) {
+      throw new Error("SettingsManager is required");
+    }
+
+    this.settingsManager = options.settingsManager;
+    this.logger = options.logger;
+    this.errorHandler = options.errorHandler;
+    this.dataValidator =
+      options.dataValidator ||
+      new DataValidator({
+        logger: this.logger,
+        errorHandler: this.errorHandler,
+      });
+
+    this.dataValidator.registerSchema("selectorRules", SELECTOR_RULES_SCHEMA);
+  }
+
+  /**
+   * ルールを検証
+   * @param {Array<Object>} rules - 検証するルール
+   * @returns {Result<Array<Object>>} 検証済みのルール（enabled の既定値を補完）
+   */
+  validateRules(rules) {
+    return validateSelectorRules(rules, this.dataValidator);
+  }
+
+  /**
+   * 保存されたルールを読み込み
+   * @returns {Promise<Result<Array<Object>>>} ルールの配列
+   */
+  async loadRules() {
+    const result = await this.settingsManager.getSetting(
+      "customSelectorRules"
+    );
+    if (result.isFailure()) {
+      return result;
+    }
+
+    return Result.success(result.data || []);
+  }
+
+  /**
+   * ルールを追加
+   * 同じセレクターと種類のルールが既にある場合は置き換える
+   * @param {Object} rule - 追加するルール { selector, type, enabled }
+   * @returns {Promise<Result<Array<Object>>>} 更新後のルール
+   */
+  async addRule(rule) {
+    const loadResult = await this.loadRules();
+    if (loadResult.isFailure()) {
+      return loadResult;
+    }
+
+    const normalized = {
+      ...rule,
+      selector: typeof rule.selector === "string" ? rule.selector.trim() : "",
+    };
+    const rules = loadResult.data.filter(
+      (r) =>
+        !(r.selector === normalized.selector && r.type === normalized.type)
+    );
+    rules.push(normalized);
+
+    return this._saveRules(rules);
+  }
+
+  /**
+   * ルールを削除
+   * @param {string} selector - セレクター
+   * @param {string} type - ルールの種類
+   * @returns {Promise<Result<Array<Object>>>} 更新後のルール
+   */
+  async removeRule(selector, type) {
+    const loadResult = await this.loadRules();
+    if (loadResult.isFailure()) {
+      return loadResult;
+    }
+
+    const rules = loadResult.data.filter(
+      (r) => !(r.selector === selector && r.type === type)
+    );
+
+    return this._saveRules(rules);
+  }
+
+  /**
+   * ルールを検証して保存
+   * @param {Array<Object>} rules - 保存するルール
+   * @returns {Promise<Result<Array<Object>>>} 保存したルール
+   * @private
+   */
+  async _saveRules(rules) {
+    const validationResult = this.validateRules(rules);
+    if (validationResult.isFailure()) {
+      return validationResult;
+    }
+
+    const saveResult = await this.settingsManager.saveSettings({
+      customSelectorRules: validationResult.data,
+    });
+    if (saveResult.isFailure()) {
+      return saveResult;
+    }
+
+    if (this.logger) {
+      this.logger.debug("Selector rules saved", {
+        count: validationResult.data.length,
+      });
+    }
+
+    return Result.success(validationResult.data);
+  }
+
+  /**
+   * セレクターに一致する要素を取得（ルールのテスト用）
+   * @param {string} selector - テストするセレクター
+   * @param {Document|Element} [root=document] - 検索ルート
+   * @returns {Result<Element[]>} 一致した要素
+   */
+  testSelector(selector, root = document) {
+    if (!isValidSelector(selector)) {
+      return Result.failure(`Invalid CSS selector: ${selector}`, {
+        type: ErrorType.VALIDATION_ERROR,
+      });
+    }
+
+    return Result.success(Array.from(root.querySelectorAll(selector)));
+  }
+};
+
+/**
+ * 新しいSelectorRulesインスタンスを作成
+ * @param {Object} options - オプション
+ * @returns {SelectorRules} 新しいSelectorRulesインスタンス
+ */
+const createSelectorRules = (options) => new SelectorRules(options);
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SelectorRuleType,
+    MAX_SELECTOR_RULES,
+    SELECTOR_RULES_SCHEMA,
+    SelectorRules,
+    isValidSelector,
+    validateSelectorRules,
+    createSelectorRules,
+  };
+} else if (typeof window !== "undefined") {
+  window.SelectorRuleType = SelectorRuleType;
+  window.MAX_SELECTOR_RULES = MAX_SELECTOR_RULES;
+  window.SELECTOR_RULES_SCHEMA = SELECTOR_RULES_SCHEMA;
+  window.SelectorRules = SelectorRules;
+  window.isValidSelector = isValidSelector;
+  window.validateSelectorRules = validateSelectorRules;
+  window.createSelectorRules = createSelectorRules;
+}
@@ -4,13 +4,28 @@
  */
 
 // 依存関係のインポート
-let Logger,
+var Logger,
   ErrorHandler,
   Result,
   AppError,
   ErrorType,
   StorageAdapter,
-  StorageType;
+  StorageType,
+  OVERLAY_EFFECT_RANGES,
+  DEFAULT_OVERLAY_EFFECTS,
+  normalizeOverlayEffects,
+  OverlayRegionLevel,
+  DEFAULT_OVERLAY_REGION_LEVELS,
+  DEFAULT_REVEAL_SETTINGS,
+  REVEAL_DELAY_RANGE,
+  REVEAL_HIDE_DELAY_RANGE,
+  DEFAULT_LIVE_CHAT_PROFILE,
+  SHORTCUT_SEQUENCE_TIMEOUT_RANGE,
+  DEFAULT_SHORTCUT_SEQUENCE_TIMEOUT,
+  migrateShortcutConfig,
+  MAX_OPACITY_PRESETS,
+  DEFAULT_OSD_HIDE_DELAY,
+  OSD_HIDE_DELAY_RANGE;
 
 // Node.js環境での依存関係の解決
 if (typeof require !== "undefined") {
@@ -22,6 +37,31 @@ if (typeof require !== "undefined") {
     ErrorType,
   } = require("./error-handler.js"));
   ({ StorageAdapter, StorageType } = require("./storage-adapter.js"));
+  ({
+    OVERLAY_EFFECT_RANGES,
+    DEFAULT_OVERLAY_EFFECTS,
+    normalizeOverlayEffects,
+  } = require("./overlay-effects.js"));
+  ({
+    OverlayRegionLevel,
+    DEFAULT_OVERLAY_REGION_LEVELS,
+  } = require("./overlay-regions.js"));
+  ({
+    DEFAULT_REVEAL_SETTINGS,
+    REVEAL_DELAY_RANGE,
+    REVEAL_HIDE_DELAY_RANGE,
+  } = require("./overlay-reveal.js"));
+  ({ DEFAULT_LIVE_CHAT_PROFILE } = require("./live-chat.js"));
+  ({
+    SHORTCUT_SEQUENCE_TIMEOUT_RANGE,
+    DEFAULT_SHORTCUT_SEQUENCE_TIMEOUT,
+    migrateShortcutConfig,
+  } = require("../keyboard-shortcut-manager.js"));
+  ({ MAX_OPACITY_PRESETS } = require("./opacity-presets.js"));
+  ({
+    DEFAULT_OSD_HIDE_DELAY,
+    OSD_HIDE_DELAY_RANGE,
+  } = require("./on-screen-display.js"));
 }
 
 /**
@@ -29,7 +69,7 @@ if (typeof require !== "undefined") {
  * @readonly
  * @enum {string}
  */
-const SchemaType = {
+var SchemaType = {
   STRING: "string",
   NUMBER: "number",
   BOOLEAN: "boolean",
@@ -38,6 +78,50 @@ const SchemaType = {
   ANY: "any",
 };
 
+/**
+ * ページタイプ別の自動有効化のデフォルト値
+ * キーは YouTubePageType の値（自動有効化の対象となる再生ページのみ）
+ * @readonly
+ * @type {Object<string, boolean>}
+ */
+const DEFAULT_AUTO_ENABLE_PAGE_TYPES = {
+  video: true,
+  shorts: false,
+  live: true,
+  premiere: true,
+  playlist: true,
+};
+
+/**
+ * 再生状態による自動切り替えの遅延の範囲と刻み（ミリ秒）
+ * @readonly
+ * @type {{min: number, max: number, step: number}}
+ */
+const PLAYER_STATE_DELAY_RANGE = { min: 0, max: 10000, step: 500 };
+
+/**
+ * 設定でページタイプの自動有効化が有効かどうかを判定
+ * autoEnable が全体のスイッチで、autoEnablePageTypes がページタイプ別の設定
+ * @param {Object} settings - 設定オブジェクト
+ * @param {string} pageType - YouTubePageType の値
+ * @returns {boolean} 自動的に有効化する場合は true
+ */
+var shouldAutoEnableForPageType = (settings, pageType) => {
+  if (!settings || settings.autoEnable !== true) {
+    return false;
+  }
+
+  if (!DEFAULT_AUTO_ENABLE_PAGE_TYPES.hasOwnProperty(pageType)) {
+    return false;
+  }
+
+  const pageTypes = {
+    ...DEFAULT_AUTO_ENABLE_PAGE_TYPES,
+    ...(settings.autoEnablePageTypes || {}),
+  };
+  return pageTypes[pageType] === true;
+};
+
 /**
  * 設定バージョン履歴
  * 設定形式の変更履歴を管理
@@ -73,20 +157,425 @@ const SETTINGS_VERSIONS = [
       };
     },
   },
+  {
+    version: "1.3.0",
+    description: "ページタイプ別の自動有効化を追加",
+    migrate: (oldSettings) => {
+      // 1.2.0 -> 1.3.0 の移行処理
+      return {
+        ...oldSettings,
+        autoEnablePageTypes: {
+          ...DEFAULT_AUTO_ENABLE_PAGE_TYPES,
+          ...(oldSettings.autoEnablePageTypes || {}),
+        },
+        version: "1.3.0",
+      };
+    },
+  },
+  {
+    version: "1.4.0",
+    description:
+      "透明度を効果モデル（透明度・ぼかし・グレースケール・明るさ）に移行",
+    migrate: (oldSettings) => {
+      // 1.3.0 -> 1.4.0 の移行処理（保存済みの透明度を効果モデルに引き継ぐ）
+      return {
+        ...oldSettings,
+        overlayEffects: normalizeOverlayEffects({
+          opacity: oldSettings.opacity,
+          ...(oldSettings.overlayEffects || {}),
+        }),
+        version: "1.4.0",
+      };
+    },
+  },
+  {
+    version: "1.5.0",
+    description:
+      "ショートカットにキーの割り当て方（入力される文字・キーの位置）を追加",
+    migrate: (oldSettings) => {
+      // 1.4.0 -> 1.5.0 の移行処理（保存済みのショートカットは入力される文字で割り当てる）
+      return {
+        ...oldSettings,
+        shortcuts: Object.fromEntries(
+          Object.entries(oldSettings.shortcuts || {}).map(([id, config]) => [
+            id,
+            config && config.key ? migrateShortcutConfig(config) : config,
+          ])
+        ),
+        version: "1.5.0",
+      };
+    },
+  },
 ];
 
 /**
  * 現在の最新設定バージョン
  * @type {string}
  */
-const CURRENT_SETTINGS_VERSION =
+var CURRENT_SETTINGS_VERSION =
   SETTINGS_VERSIONS[SETTINGS_VERSIONS.length - 1].version;
 
+/**
+ * 同じ規則を持つオブジェクトのプロパティの規則を作成
+ * @param {Array<string>} keys - プロパティ名
+ * @param {Object} rule - 各プロパティの規則
+ * @returns {Object<string, Object>} プロパティ名をキーとした規則
+ */
+const createPropertyRules = (keys, rule) =>
+  Object.fromEntries(keys.map((key) => [key, rule]));
+
+/**
+ * デフォルトの設定スキーマを作成
+ * オブジェクト型の設定は properties に各プロパティの規則を持つ（マップ形式を除く）
+ * オプションページはこのメタデータからフォームを生成する
+ * （customEditor の設定はフォームに含めず、専用のエディターで編集する）
+ * @returns {Object} 設定スキーマ
+ */
+const getDefaultSettingsSchema = () => ({
+  theaterModeEnabled: {
+    type: SchemaType.BOOLEAN,
+    default: false,
+    description: "シアターモードの有効状態",
+  },
+  opacity: {
+    type: SchemaType.NUMBER,
+    default: 0.7,
+    min: 0,
+    max: 0.9,
+    description: "オーバーレイの透明度（overlayEffects.opacity と同じ値）",
+  },
+  overlayEffects: {
+    type: SchemaType.OBJECT,
+    default: { ...DEFAULT_OVERLAY_EFFECTS },
+    description:
+      "オーバーレイの効果（opacity: 透明度 / blur: ぼかし（px） / grayscale: グレースケール / brightness: 明るさ）",
+    properties: Object.fromEntries(
+      Object.entries(OVERLAY_EFFECT_RANGES).map(([name, range]) => [
+        name,
+        { type: SchemaType.NUMBER, ...range },
+      ])
+    ),
+  },
+  opacityPresets: {
+    type: SchemaType.ARRAY,
+    default: [],
+    maxItems: MAX_OPACITY_PRESETS,
+    description:
+      "名前を付けて保存した透明度と効果の組み合わせ（name: 名前 / opacity, blur, grayscale, brightness: overlayEffects と同じ効果）。順番が Ctrl+Shift+1〜5 の番号になる",
+  },
+  overlayRegionLevels: {
+    type: SchemaType.OBJECT,
+    default: { ...DEFAULT_OVERLAY_REGION_LEVELS },
+    description:
+      "領域（masthead, metadata, comments, sidebar, chat）ごとの暗さ（default: 全体の透明度 / hidden: 非表示 / off: 暗くしない / 数値: 独自の透明度）",
+    properties: createPropertyRules(
+      Object.keys(DEFAULT_OVERLAY_REGION_LEVELS),
+      {
+        type: SchemaType.ANY,
+        enum: Object.values(OverlayRegionLevel),
+        ...OVERLAY_EFFECT_RANGES.opacity,
+      }
+    ),
+  },
+  revealSettings: {
+    type: SchemaType.OBJECT,
+    default: { ...DEFAULT_REVEAL_SETTINGS },
+    description:
+      "ホバー・フォーカスで暗くした領域を一時的に元に戻す設定（enabled: 有効 / revealDelay: 元に戻すまでの遅延（ミリ秒） / hideDelay: 再び暗くするまでの保持時間（ミリ秒））",
+    properties: {
+      enabled: { type: SchemaType.BOOLEAN },
+      revealDelay: {
+        type: SchemaType.NUMBER,
+        ...REVEAL_DELAY_RANGE,
+        step: 100,
+      },
+      hideDelay: {
+        type: SchemaType.NUMBER,
+        ...REVEAL_HIDE_DELAY_RANGE,
+        step: 500,
+      },
+    },
+  },
+  shortsActionRailVisible: {
+    type: SchemaType.BOOLEAN,
+    default: true,
+    description: "Shorts の高評価・コメントなどのボタン列を暗くせずに表示する",
+  },
+  liveChatProfile: {
+    type: SchemaType.OBJECT,
+    default: { ...DEFAULT_LIVE_CHAT_PROFILE },
+    description:
+      "ライブ配信でチャットを個別に暗くする設定（enabled: 有効 / chatOpacity: チャットの透明度 / keepPinned: 固定メッセージを暗くしない / keepSuperChats: スーパーチャットを暗くしない）",
+    properties: {
+      enabled: { type: SchemaType.BOOLEAN },
+      chatOpacity: {
+        type: SchemaType.NUMBER,
+        ...OVERLAY_EFFECT_RANGES.opacity,
+      },
+      keepPinned: { type: SchemaType.BOOLEAN },
+      keepSuperChats: { type: SchemaType.BOOLEAN },
+    },
+  },
+  embedModeEnabled: {
+    type: SchemaType.BOOLEAN,
+    default: false,
+    description:
+      "他のサイトに埋め込まれたプレーヤーの再生中に、埋め込み先のページを暗くする",
+  },
+  keyboardShortcut: {
+    type: SchemaType.STRING,
+    default: "t",
+    minLength: 1,
+    maxLength: 1,
+    pattern: /^[a-zA-Z0-9]$/,
+    description: "シアターモード切替のキーボードショートカット",
+  },
+  shortcuts: {
+    type: SchemaType.OBJECT,
+    default: {},
+    customEditor: true,
+    description:
+      "ショートカットIDをキーとしたキーボードショートカット（key・code と modifiers、キーシーケンスは続きのキーの sequence、binding は割り当て方）のマップ",
+  },
+  shortcutSequenceTimeout: {
+    type: SchemaType.NUMBER,
+    default: DEFAULT_SHORTCUT_SEQUENCE_TIMEOUT,
+    ...SHORTCUT_SEQUENCE_TIMEOUT_RANGE,
+    step: 100,
+    description:
+      "キーシーケンスのショートカットで次のキーを待つ時間（ミリ秒）",
+  },
+  osdHideDelay: {
+    type: SchemaType.NUMBER,
+    default: DEFAULT_OSD_HIDE_DELAY,
+    ...OSD_HIDE_DELAY_RANGE,
+    step: 100,
+    description:
+      "ショートカットで状態や透明度を変更したときにプレーヤー上の表示を消すまでの時間（ミリ秒）",
+  },
+  theme: {
+    type: SchemaType.STRING,
+    default: "auto",
+    enum: ["auto", "light", "dark"],
+    description: "テーマ設定",
+  },
+  autoEnable: {
+    type: SchemaType.BOOLEAN,
+    default: false,
+    description:
+      "YouTube動画ページを開いたときに自動的にシアターモードを有効化",
+  },
+  autoEnablePageTypes: {
+    type: SchemaType.OBJECT,
+    default: { ...DEFAULT_AUTO_ENABLE_PAGE_TYPES },
+    description:
+      "自動有効化の対象ページタイプ（video, shorts, live, premiere, playlist）",
+    properties: createPropertyRules(
+      Object.keys(DEFAULT_AUTO_ENABLE_PAGE_TYPES),
+      { type: SchemaType.BOOLEAN }
+    ),
+  },
+  overlayMode: {
+    type: SchemaType.STRING,
+    default: "fade",
+    enum: ["fade", "spotlight", "ambient"],
+    description:
+      "描画モード（fade: 要素ごとに透明度を下げる / spotlight: プレーヤー以外を暗転 / ambient: 動画の色で暗転部分を着色）",
+  },
+  ambientSettings: {
+    type: SchemaType.OBJECT,
+    default: {
+      sampleInterval: 500,
+      saturation: 1.2,
+    },
+    description:
+      "アンビエントモードの設定（sampleInterval: 色の抽出間隔（ミリ秒） / saturation: 彩度の倍率）",
+    properties: {
+      sampleInterval: {
+        type: SchemaType.NUMBER,
+        min: 100,
+        max: 2000,
+        step: 100,
+      },
+      saturation: { type: SchemaType.NUMBER, min: 0, max: 2, step: 0.1 },
+    },
+  },
+  playerStateAutoDim: {
+    type: SchemaType.OBJECT,
+    default: {
+      enableOnPlay: false,
+      enableOnPlayDelay: 0,
+      lightenOnPause: false,
+      pauseOpacity: 0.9,
+      lightenOnPauseDelay: 1000,
+      disableOnEnd: false,
+      disableOnEndDelay: 3000,
+    },
+    description:
+      "再生状態による自動切り替え（再生で有効化・一時停止で明るく・終了で無効化、遅延はミリ秒）",
+    properties: {
+      enableOnPlay: { type: SchemaType.BOOLEAN },
+      enableOnPlayDelay: {
+        type: SchemaType.NUMBER,
+        ...PLAYER_STATE_DELAY_RANGE,
+      },
+      lightenOnPause: { type: SchemaType.BOOLEAN },
+      pauseOpacity: {
+        type: SchemaType.NUMBER,
+        ...OVERLAY_EFFECT_RANGES.opacity,
+      },
+      lightenOnPauseDelay: {
+        type: SchemaType.NUMBER,
+        ...PLAYER_STATE_DELAY_RANGE,
+      },
+      disableOnEnd: { type: SchemaType.BOOLEAN },
+      disableOnEndDelay: {
+        type: SchemaType.NUMBER,
+        ...PLAYER_STATE_DELAY_RANGE,
+      },
+    },
+  },
+  autoEnableSchedule: {
+    type: SchemaType.ARRAY,
+    default: [],
+    maxItems: 20,
+    customEditor: true,
+    description:
+      "自動有効化の時間帯 { days, start, end, opacity }（autoEnable が有効な場合に適用）",
+  },
+  channelProfiles: {
+    type: SchemaType.OBJECT,
+    default: {},
+    description:
+      "チャンネルIDをキーとしたプロファイル（有効状態と透明度）のマップ",
+  },
+  customSelectorRules: {
+    type: SchemaType.ARRAY,
+    default: [],
+    maxItems: 50,
+    description:
+      "ユーザー定義のオーバーレイ対象セレクタールール（include/exclude）",
+  },
+  version: {
+    type: SchemaType.STRING,
+    default: CURRENT_SETTINGS_VERSION,
+    readOnly: true,
+    description: "設定バージョン",
+  },
+});
+
+/**
+ * スキーマの規則で値を検証
+ * properties を持つオブジェクトは各プロパティも検証する（キーは "a.b" の形式）
+ * ANY 型で enum と min/max を併用した場合は、列挙値と範囲内の数値を受け付ける
+ * @param {string} key - 設定キー（エラーメッセージに使用）
+ * @param {Object} rule - スキーマの規則
+ * @param {any} value - 検証する値
+ * @returns {Result<boolean>} 検証結果
+ */
+var validateSchemaValue = (key, rule, value) => {
+  const fail = (message) =>
+    Result.failure(message, { type: ErrorType.VALIDATION_ERROR });
+
+  // 型チェック
+  if (rule.type !== SchemaType.ANY) {
+    let typeValid = false;
+
+    switch (rule.type) {
+      case SchemaType.STRING:
+        typeValid = typeof value === "string";
+        break;
+      case SchemaType.NUMBER:
+        typeValid = typeof value === "number" && !isNaN(value);
+        break;
+      case SchemaType.BOOLEAN:
+        typeValid = typeof value === "boolean";
+        break;
+      case SchemaType.OBJECT:
+        typeValid =
+          typeof value === "object" && value !== null && !Array.isArray(value);
+        break;
+      case SchemaType.ARRAY:
+        typeValid = Array.isArray(value);
+        break;
+    }
+
+    if (!typeValid) {
+      return fail(`Invalid type for '${key}': expected ${rule.type}`);
+    }
+  }
+
+  // 数値の範囲チェック（ANY 型の数値も含む）
+  const isNumber = typeof value === "number";
+  if (isNumber) {
+    if (rule.min !== undefined && value < rule.min) {
+      return fail(`Value for '${key}' is below minimum: ${rule.min}`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      return fail(`Value for '${key}' exceeds maximum: ${rule.max}`);
+    }
+  }
+
+  // 文字列の長さチェック
+  if (rule.type === SchemaType.STRING) {
+    if (rule.minLength !== undefined && value.length < rule.minLength) {
+      return fail(`String '${key}' is too short (min: ${rule.minLength})`);
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return fail(`String '${key}' is too long (max: ${rule.maxLength})`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return fail(`String '${key}' does not match required pattern`);
+    }
+  }
+
+  // 配列の長さチェック
+  if (rule.type === SchemaType.ARRAY) {
+    if (rule.minItems !== undefined && value.length < rule.minItems) {
+      return fail(`Array '${key}' has too few items (min: ${rule.minItems})`);
+    }
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      return fail(`Array '${key}' has too many items (max: ${rule.maxItems})`);
+    }
+  }
+
+  // 列挙型チェック（範囲を持つ ANY 型の数値は範囲チェック済み）
+  const isRangedNumber =
+    rule.type === SchemaType.ANY &&
+    isNumber &&
+    (rule.min !== undefined || rule.max !== undefined);
+  if (
+    rule.enum !== undefined &&
+    !isRangedNumber &&
+    !rule.enum.includes(value)
+  ) {
+    return fail(`Value for '${key}' must be one of: ${rule.enum.join(", ")}`);
+  }
+
+  // プロパティごとのチェック
+  if (rule.properties && rule.type === SchemaType.OBJECT) {
+    for (const [name, propertyRule] of Object.entries(rule.properties)) {
+      if (value[name] === undefined) continue;
+
+      const result = validateSchemaValue(
+        `${key}.${name}`,
+        propertyRule,
+        value[name]
+      );
+      if (result.isFailure()) {
+        return result;
+      }
+    }
+  }
+
+  return Result.success(true);
+};
+
 /**
  * 設定管理クラス
  * スキーマベースのバリデーションと型安全性を提供
  */
-class SettingsManager {
+var SettingsManager = class SettingsManager {
   /**
    * SettingsManagerインスタンスを作成
    * @param {Object} options - オプション
@@ -132,45 +621,7 @@ class SettingsManager {
    * @returns {Object} 設定スキーマ
    */
   getDefaultSchema() {
-    return {
-      theaterModeEnabled: {
-        type: SchemaType.BOOLEAN,
-        default: false,
-        description: "シアターモードの有効状態",
-      },
-      opacity: {
-        type: SchemaType.NUMBER,
-        default: 0.7,
-        min: 0,
-        max: 0.9,
-        description: "オーバーレイの透明度",
-      },
-      keyboardShortcut: {
-        type: SchemaType.STRING,
-        default: "t",
-        minLength: 1,
-        maxLength: 1,
-        pattern: /^[a-zA-Z0-9]$/,
-        description: "シアターモード切替のキーボードショートカット",
-      },
-      theme: {
-        type: SchemaType.STRING,
-        default: "auto",
-        enum: ["auto", "light", "dark"],
-        description: "テーマ設定",
-      },
-      autoEnable: {
-        type: SchemaType.BOOLEAN,
-        default: false,
-        description:
-          "YouTube動画ページを開いたときに自動的にシアターモードを有効化",
-      },
-      version: {
-        type: SchemaType.STRING,
-        default: CURRENT_SETTINGS_VERSION,
-        description: "設定バージョン",
-      },
-    };
+    return getDefaultSettingsSchema();
   }
 
   /**
@@ -484,6 +935,187 @@ class SettingsManager {
     }
   }
 
+  /**
+   * チャンネルプロファイルを取得
+   * @param {string} channelId - チャンネルID（"UC..." 形式、取得できない場合は "@handle" 形式）
+   * @param {Array<string>} [aliases=[]] - 同じチャンネルの別の形式のID（以前に保存したプロファイルのキー）
+   * @returns {Promise<Result<Object|null>>} プロファイル（未保存の場合は null）
+   */
+  async getChannelProfile(channelId, aliases = []) {
+    const result = await this.getSetting("channelProfiles");
+    if (result.isFailure()) {
+      return result;
+    }
+
+    const profiles = result.data || {};
+    const key = [channelId, ...aliases].find((id) =>
+      profiles.hasOwnProperty(id)
+    );
+    return Result.success(key ? profiles[key] : null);
+  }
+
+  /**
+   * チャンネルプロファイルを保存
+   * @param {string} channelId - チャンネルID
+   * @param {Object} profile - プロファイル
+   * @param {boolean} profile.theaterModeEnabled - シアターモードの有効状態
+   * @param {number} profile.opacity - オーバーレイの透明度
+   * @param {string} [profile.name] - チャンネルの表示名
+   * @param {Array<string>} [aliases=[]] - 同じチャンネルの別の形式のID（このキーのプロファイルは置き換える）
+   * @returns {Promise<Result<void>>} 保存結果
+   *   （chrome.storage.sync の容量を超える場合は QUOTA_EXCEEDED_ERROR）
+   */
+  async saveChannelProfile(channelId, profile, aliases = []) {
+    if (!channelId || typeof channelId !== "string") {
+      return Result.failure("Channel ID must be a non-empty string", {
+        type: ErrorType.VALIDATION_ERROR,
+      });
+    }
+
+    if (!profile || typeof profile.theaterModeEnabled !== "boolean") {
+      return Result.failure("Profile must have a boolean theaterModeEnabled", {
+        type: ErrorType.VALIDATION_ERROR,
+        context: { channelId },
+      });
+    }
+
+    // 透明度はグローバル設定と同じ範囲で検証
+    const opacityResult = this._validateValue("opacity", profile.opacity);
+    if (opacityResult.isFailure()) {
+      return opacityResult;
+    }
+
+    const result = await this.getSetting("channelProfiles");
+    if (result.isFailure()) {
+      return result;
+    }
+
+    const profiles = { ...(result.data || {}) };
+    aliases.forEach((alias) => delete profiles[alias]);
+    profiles[channelId] = {
+      theaterModeEnabled: profile.theaterModeEnabled,
+      opacity: profile.opacity,
+      name: profile.name || channelId,
+      updatedAt: Date.now(),
+    };
+
+    return await this.saveSettings({ channelProfiles: profiles });
+  }
+
+  /**
+   * チャンネルプロファイルを削除
+   * @param {string} channelId - チャンネルID
+   * @param {Array<string>} [aliases=[]] - 同じチャンネルの別の形式のID
+   * @returns {Promise<Result<boolean>>} 削除した場合は true
+   */
+  async removeChannelProfile(channelId, aliases = []) {
+    const result = await this.getSetting("channelProfiles");
+    if (result.isFailure()) {
+      return result;
+    }
+
+    const profiles = { ...(result.data || {}) };
+    const keys = [channelId, ...aliases].filter((id) =>
+      profiles.hasOwnProperty(id)
+    );
+    if (keys.length === 0) {
+      return Result.success(false);
+    }
+
+    keys.forEach((key) => delete profiles[key]);
+
+    const saveResult = await this.saveSettings({ channelProfiles: profiles });
+    if (saveResult.isFailure()) {
+      return saveResult;
+    }
+
+    return Result.success(true);
+  }
+
+  /**
+   * ページタイプで自動有効化するかどうかを取得
+   * @param {string} pageType - YouTubePageType の値
+   * @returns {Promise<Result<boolean>>} 自動的に有効化する場合は true
+   */
+  async isAutoEnabledForPageType(pageType) {
+    const result = await this.loadSettings();
+    if (result.isFailure()) {
+      return result;
+    }
+
+    return Result.success(shouldAutoEnableForPageType(result.data, pageType));
+  }
+
+  /**
+   * ページタイプ別の自動有効化を設定
+   * @param {string} pageType - YouTubePageType の値
+   * @param {boolean} enabled - 自動的に有効化する場合は true
+   * @returns {Promise<Result<void>>} 保存結果
+   */
+  async setAutoEnableForPageType(pageType, enabled) {
+    if (!DEFAULT_AUTO_ENABLE_PAGE_TYPES.hasOwnProperty(pageType)) {
+      return Result.failure(`Page type '${pageType}' cannot be auto-enabled`, {
+        type: ErrorType.VALIDATION_ERROR,
+        context: { pageType },
+      });
+    }
+
+    if (typeof enabled !== "boolean") {
+      return Result.failure("Auto-enable flag must be a boolean", {
+        type: ErrorType.VALIDATION_ERROR,
+        context: { pageType, enabled },
+      });
+    }
+
+    const result = await this.getSetting("autoEnablePageTypes");
+    if (result.isFailure()) {
+      return result;
+    }
+
+    return await this.saveSettings({
+      autoEnablePageTypes: {
+        ...DEFAULT_AUTO_ENABLE_PAGE_TYPES,
+        ...(result.data || {}),
+        [pageType]: enabled,
+      },
+    });
+  }
+
+  /**
+   * オーバーレイの効果を更新
+   * 指定しなかった効果は現在の値を保持し、透明度は opacity にも反映する
+   * @param {Object} effects - 効果（opacity, blur, grayscale, brightness の一部または全部）
+   * @returns {Promise<Result<Object>>} 正規化された効果
+   */
+  async updateOverlayEffects(effects) {
+    if (!effects || typeof effects !== "object") {
+      return Result.failure("Overlay effects must be an object", {
+        type: ErrorType.VALIDATION_ERROR,
+        context: { effects },
+      });
+    }
+
+    const result = await this.getSetting("overlayEffects");
+    if (result.isFailure()) {
+      return result;
+    }
+
+    const overlayEffects = normalizeOverlayEffects({
+      ...(result.data || {}),
+      ...effects,
+    });
+
+    const saveResult = await this.saveSettings({
+      overlayEffects,
+      opacity: overlayEffects.opacity,
+    });
+    if (saveResult.isFailure()) {
+      return saveResult;
+    }
+
+    return Result.success(overlayEffects);
+  }
+
   /**
    * 設定をバリデート
    * @param {Object} settings - バリデーション対象
@@ -554,120 +1186,7 @@ class SettingsManager {
       });
     }
 
-    // 型チェック
-    if (schema.type !== SchemaType.ANY) {
-      let typeValid = false;
-
-      switch (schema.type) {
-        case SchemaType.STRING:
-          typeValid = typeof value === "string";
-          break;
-        case SchemaType.NUMBER:
-          typeValid = typeof value === "number" && !isNaN(value);
-          break;
-        case SchemaType.BOOLEAN:
-          typeValid = typeof value === "boolean";
-          break;
-        case SchemaType.OBJECT:
-          typeValid =
-            typeof value === "object" &&
-            value !== null &&
-            !Array.isArray(value);
-          break;
-        case SchemaType.ARRAY:
-          typeValid = Array.isArray(value);
-          break;
-      }
-
-      if (!typeValid) {
-        return Result.failure(
-          `Invalid type for '${key}': expected ${schema.type}`,
-          {
-            type: ErrorType.VALIDATION_ERROR,
-          }
-        );
-      }
-    }
-
-    // 数値の範囲チェック
-    if (schema.type === SchemaType.NUMBER) {
-      if (schema.min !== undefined && value < schema.min) {
-        return Result.failure(
-          `Value for '${key}' is below minimum: ${schema.min}`,
-          {
-            type: ErrorType.VALIDATION_ERROR,
-          }
-        );
-      }
-      if (schema.max !== undefined && value > schema.max) {
-        return Result.failure(
-          `Value for '${key}' exceeds maximum: ${schema.max}`,
-          {
-            type: ErrorType.VALIDATION_ERROR,
-          }
-        );
-      }
-    }
-
-    // 文字列の長さチェック
-    if (schema.type === SchemaType.STRING) {
-      if (schema.minLength !== undefined && value.length < schema.minLength) {
-        return Result.failure(
-          `String '${key}' is too short (min: ${schema.minLength})`,
-          {
-            type: ErrorType.VALIDATION_ERROR,
-          }
-        );
-      }
-      if (schema.maxLength !== undefined && value.length > schema.maxLength) {
-        return Result.failure(
-          `String '${key}' is too long (max: ${schema.maxLength})`,
-          {
-            type: ErrorType.VALIDATION_ERROR,
-          }
-        );
-      }
-      if (schema.pattern && !schema.pattern.test(value)) {
-        return Result.failure(
-          `String '${key}' does not match required pattern`,
-          {
-            type: ErrorType.VALIDATION_ERROR,
-          }
-        );
-      }
-    }
-
-    // 配列の長さチェック
-    if (schema.type === SchemaType.ARRAY) {
-      if (schema.minItems !== undefined && value.length < schema.minItems) {
-        return Result.failure(
-          `Array '${key}' has too few items (min: ${schema.minItems})`,
-          {
-            type: ErrorType.VALIDATION_ERROR,
-          }
-        );
-      }
-      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
-        return Result.failure(
-          `Array '${key}' has too many items (max: ${schema.maxItems})`,
-          {
-            type: ErrorType.VALIDATION_ERROR,
-          }
-        );
-      }
-    }
-
-    // 列挙型チェック
-    if (schema.enum !== undefined && !schema.enum.includes(value)) {
-      return Result.failure(
-        `Value for '${key}' must be one of: ${schema.enum.join(", ")}`,
-        {
-          type: ErrorType.VALIDATION_ERROR,
-        }
-      );
-    }
-
-    return Result.success(true);
+    return validateSchemaValue(key, schema, value);
   }
 
   /**
@@ -848,19 +1367,29 @@ class SettingsManager {
   getSchema() {
     return { ...this.schema };
   }
-}
+};
 
 // CommonJS/ES6 両対応のエクスポート
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     SchemaType,
+    PLAYER_STATE_DELAY_RANGE,
     SETTINGS_VERSIONS,
     CURRENT_SETTINGS_VERSION,
+    DEFAULT_AUTO_ENABLE_PAGE_TYPES,
+    shouldAutoEnableForPageType,
+    getDefaultSettingsSchema,
+    validateSchemaValue,
     SettingsManager,
   };
 } else if (typeof window !== "undefined") {
   window.SchemaType = SchemaType;
+  window.PLAYER_STATE_DELAY_RANGE = PLAYER_STATE_DELAY_RANGE;
   window.SETTINGS_VERSIONS = SETTINGS_VERSIONS;
   window.CURRENT_SETTINGS_VERSION = CURRENT_SETTINGS_VERSION;
+  window.DEFAULT_AUTO_ENABLE_PAGE_TYPES = DEFAULT_AUTO_ENABLE_PAGE_TYPES;
+  window.shouldAutoEnableForPageType = shouldAutoEnableForPageType;
+  window.getDefaultSettingsSchema = getDefaultSettingsSchema;
+  window.validateSchemaValue = validateSchemaValue;
   window.SettingsManager = SettingsManager;
 }
@@ -0,0 +1,208 @@
+/**
+ * Settings Transfer
+ * 設定のエクスポート・インポートに使うバージョン付きの JSON ドキュメントを扱う
+ * ショートカット・チャンネルプロファイル・カスタムセレクタールールは設定の一部として含まれる
+ */
+
+// 依存関係のインポート
+var Result,
+  ErrorType,
+  DataType,
+  StorageAdapter,
+  StorageType,
+  MIGRATION_VERSIONS,
+  MigrationScripts;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ Result, ErrorType } = require("./error-handler.js"));
+  ({ DataType } = require("./data-validator.js"));
+  ({ StorageAdapter, StorageType } = require("./storage-adapter.js"));
+  ({
+    MIGRATION_VERSIONS,
+    MigrationScripts,
+  } = require("./migration-scripts.js"));
+}
+
+/**
+ * エクスポートするドキュメントの形式名
+ * @readonly
+ * @type {string}
+ */
+const SETTINGS_EXPORT_FORMAT = "youtube-theater-mode-settings";
+
+/**
+ * エクスポートするドキュメントの形式のバージョン
+ * ドキュメントの構造を変えた場合に上げる（設定のバージョンは settings.version）
+ * @readonly
+ * @type {number}
+ */
+const SETTINGS_EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * エクスポートしたドキュメントのバリデーションスキーマ（DataValidator 用）
+ * 設定の各項目は SettingsManager のスキーマで別に検証する
+ */
+const SETTINGS_EXPORT_SCHEMA = {
+  format: {
+    type: DataType.STRING,
+    required: true,
+    enum: [SETTINGS_EXPORT_FORMAT],
+    description: "ドキュメントの形式名",
+  },
+  formatVersion: {
+    type: DataType.NUMBER,
+    required: true,
+    min: 1,
+    max: SETTINGS_EXPORT_FORMAT_VERSION,
+    description: "ドキュメントの形式のバージョン",
+  },
+  exportedAt: {
+    type: DataType.STRING,
+    description: "エクスポートした日時（ISO 8601）",
+  },
+  extensionVersion: {
+    type: DataType.STRING,
+    description: "エクスポートした拡張機能のバージョン",
+  },
+  settings: {
+    type: DataType.OBJECT,
+    required: true,
+    properties: {
+      version: {
+        type: DataType.STRING,
+        required: true,
+        // 古いバージョンの設定は MigrationScripts で現在のバージョンに移行する
+        enum: MIGRATION_VERSIONS.map(({ version }) => version),
+        description: "設定のバージョン",
+      },
+    },
+    description: "設定",
+  },
+};
+
+/**
+ * 設定をエクスポートするドキュメントを作成
+ * @param {Object} settings - 設定（version を含む）
+ * @param {string} extensionVersion - 拡張機能のバージョン
+ * @returns {Object} ドキュメント
+ */
+var createSettingsExport = (settings, extensionVersion) => ({
+  format: SETTINGS_EXPORT_FORMAT,
+  formatVersion: SETTINGS_EXPORT_FORMAT_VERSION,
+  exportedAt: new Date().toISOString(),
+  extensionVersion,
+  settings,
+});
+
+/**
+ * JSON 文字列のドキュメントを読み込んで検証
+ * @param {string} json - JSON 文字列
+ * @param {DataValidator} dataValidator - データバリデータ
+ * @returns {Result<Object>} ドキュメント
+ *   （検証エラーの場合は context.errors に DataValidator のエラー）
+ */
+var parseSettingsExport = (json, dataValidator) => {
+  let exported;
+  try {
+    exported = JSON.parse(json);
+  } catch (error) {
+    return Result.failure(error, { type: ErrorType.VALIDATION_ERROR });
+  }
+
+  const validation = dataValidator.validate(exported, SETTINGS_EXPORT_SCHEMA);
+  if (validation.isFailure()) {
+    return validation;
+  }
+  if (!validation.data.valid) {
+    return Result.failure("Invalid settings export", {
+      type: ErrorType.VALIDATION_ERROR,
+      context: { errors: validation.data.errors },
+    });
+  }
+
+  return Result.success(exported);
+};
+
+/**
+ * エクスポートした設定を現在のバージョンに移行
+ * 移行処理は MigrationScripts をメモリーのストレージで実行する
+ * @param {Object} settings - エクスポートした設定
+ * @param {Object} [options] - オプション
+ * @param {Object} [options.logger] - ロガーインスタンス
+ * @param {Object} [options.errorHandler] - エラーハンドラーインスタンス
+ * @returns {Promise<Result<Object>>} 移行した設定
+ */
+var migrateExportedSettings = async (settings, options = {}) => {
+  const storageAdapter = new StorageAdapter({
+    namespace: "settingsImport",
+    preferredType: StorageType.MEMORY,
+    fallbackTypes: [],
+  });
+  await storageAdapter.set("settings", settings);
+
+  const migrationScripts = new MigrationScripts({
+    storageAdapter,
+    logger: options.logger,
+    errorHandler: options.errorHandler,
+    createBackup: false,
+  });
+  const migration = await migrationScripts.migrate();
+  if (migration.isFailure()) {
+    return migration;
+  }
+
+  return storageAdapter.get("settings");
+};
+
+/**
+ * インポートで変わる設定を取得
+ * オブジェクトの設定はプロパティごとに比較する（キーは "a.b" の形式）
+ * @param {Object} current - 現在の設定
+ * @param {Object} incoming - インポートする設定
+ * @returns {Array<{key: string, before: any, after: any}>} 変更
+ */
+var getSettingsChanges = (current, incoming) => {
+  const changes = [];
+  const isObject = (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value);
+
+  const compare = (key, before, after) => {
+    if (isObject(before) && isObject(after)) {
+      new Set([...Object.keys(before), ...Object.keys(after)]).forEach(
+        (name) => compare(`${key}.${name}`, before[name], after[name])
+      );
+      return;
+    }
+
+    if (JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ key, before, after });
+    }
+  };
+
+  Object.keys(incoming).forEach((key) =>
+    compare(key, current[key], incoming[key])
+  );
+  return changes;
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    SETTINGS_EXPORT_FORMAT,
+    SETTINGS_EXPORT_FORMAT_VERSION,
+    SETTINGS_EXPORT_SCHEMA,
+    createSettingsExport,
+    parseSettingsExport,
+    migrateExportedSettings,
+    getSettingsChanges,
+  };
+} else if (typeof window !== "undefined") {
+  window.SETTINGS_EXPORT_FORMAT = SETTINGS_EXPORT_FORMAT;
+  window.SETTINGS_EXPORT_FORMAT_VERSION = SETTINGS_EXPORT_FORMAT_VERSION;
+  window.SETTINGS_EXPORT_SCHEMA = SETTINGS_EXPORT_SCHEMA;
+  window.createSettingsExport = createSettingsExport;
+  window.parseSettingsExport = parseSettingsExport;
+  window.migrateExportedSettings = migrateExportedSettings;
+  window.getSettingsChanges = getSettingsChanges;
+}
@@ -0,0 +1,618 @@
+/**
+ * ShortcutEditor
+ * オプションページでキーボードショートカットを編集するクラス
+ * 「記録」を押したあとに押したキーの組み合わせをショートカットに設定し、
+ * （続けて押したキーはキーシーケンスとして記録する）
+ * 他のショートカットや YouTube の標準ショートカットキーと競合しない場合に保存する
+ */
+
+// 依存関係のインポート
+var Result,
+  ErrorType,
+  ShortcutConflictType,
+  ShortcutBinding,
+  SHORTCUT_MESSAGE_KEYS,
+  MAX_SHORTCUT_SEQUENCE_LENGTH,
+  getShortcutFromEvent,
+  formatShortcut,
+  loadBrowserCommands,
+  loadKeyboardLayoutMap;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ Result, ErrorType } = require("./error-handler.js"));
+  ({
+    ShortcutConflictType,
+    ShortcutBinding,
+    SHORTCUT_MESSAGE_KEYS,
+    MAX_SHORTCUT_SEQUENCE_LENGTH,
+    getShortcutFromEvent,
+    formatShortcut,
+    loadBrowserCommands,
+    loadKeyboardLayoutMap,
+  } = require("../keyboard-shortcut-manager.js"));
+}
+
+/**
+ * キーの割り当て方ごとの表示名のメッセージキー
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const BINDING_MESSAGE_KEYS = {
+  [ShortcutBinding.CHARACTER]: "shortcutBindingCharacter",
+  [ShortcutBinding.CODE]: "shortcutBindingCode",
+};
+
+/**
+ * ブラウザのコマンドのキーを変更する画面の URL
+ * @type {string}
+ */
+const BROWSER_SHORTCUTS_URL = "chrome://extensions/shortcuts";
+
+/**
+ * ショートカットエディター
+ */
+class ShortcutEditor {
+  /**
+   * ShortcutEditorインスタンスを作成
+   * @param {Object} dependencies - 依存関係
+   * @param {KeyboardShortcutManager} dependencies.shortcutManager - 保存先の StateStore を持つショートカットマネージャー
+   * @param {UIEventHandler} dependencies.uiEventHandler - UIイベントハンドラー
+   * @param {Object} dependencies.i18n - メッセージの取得に使う I18nManager
+   * @param {Logger} dependencies.logger - ロガーインスタンス
+   * @param {ErrorHandler} dependencies.errorHandler - エラーハンドラーインスタンス
+   */
+  constructor(dependencies) {
+    this.shortcutManager = dependencies.shortcutManager;
+    this.uiEventHandler = dependencies.uiEventHandler;
+    this.i18n = dependencies.i18n;
+    this.logger = dependencies.logger;
+    this.errorHandler = dependencies.errorHandler;
+
+    // 記録中のショートカットID
+    this.recordingId = null;
+
+    // 記録中に押されたキー（{ steps: キーと修飾キー, timer: 記録を終えるタイマー }）
+    this.recordedKeys = null;
+
+    // UI要素の参照
+    this.elements = {};
+
+    // キーの位置と現在のキーボード配列で入力される文字（表示用）
+    this.layoutMap = null;
+
+    // イベントハンドラーの削除関数（クリーンアップ用）
+    this.removeHandlers = null;
+
+    // 記録中に押されたキーを受け取るハンドラー
+    this.handleRecordKeyDown = (event) => this._handleRecordKeyDown(event);
+  }
+
+  /**
+   * エディターを初期化
+   * @returns {Result<void>} 初期化結果
+   */
+  initialize() {
+    const elements = {
+      shortcutList: document.getElementById("shortcutList"),
+      resetShortcutsBtn: document.getElementById("resetShortcutsBtn"),
+      shortcutFeedback: document.getElementById("shortcutFeedback"),
+      commandList: document.getElementById("commandList"),
+    };
+
+    for (const [elementName, element] of Object.entries(elements)) {
+      if (!element) {
+        return Result.failure(`Required UI element not found: ${elementName}`, {
+          type: ErrorType.ELEMENT_NOT_FOUND,
+          context: { elementName },
+        });
+      }
+    }
+    this.elements = elements;
+
+    this._render();
+    this.removeHandlers = this.uiEventHandler.registerHandlers([
+      {
+        selector: ".shortcut-record-btn",
+        event: "click",
+        handler: (event) =>
+          this._toggleRecording(event.currentTarget.dataset.shortcutId),
+      },
+      {
+        selector: ".shortcut-binding-select",
+        event: "change",
+        handler: (event) =>
+          this.setBinding(
+            event.currentTarget.dataset.shortcutId,
+            event.currentTarget.value
+          ),
+      },
+      {
+        selector: "#resetShortcutsBtn",
+        event: "click",
+        handler: () => this.resetShortcuts(),
+      },
+      {
+        selector: "#changeBrowserShortcutsBtn",
+        event: "click",
+        handler: () => chrome.tabs.create({ url: BROWSER_SHORTCUTS_URL }),
+      },
+    ]);
+
+    // キーの位置で割り当てたショートカットを現在のキーボード配列の文字で表示する
+    loadKeyboardLayoutMap().then((layoutMap) => {
+      this.layoutMap = layoutMap;
+      this._render();
+    });
+
+    this.logger.debug("ShortcutEditor initialized");
+    return Result.success();
+  }
+
+  /**
+   * エディターを破棄
+   * @returns {Result<void>} 破棄結果
+   */
+  dispose() {
+    this._stopRecording();
+
+    if (this.removeHandlers) {
+      this.removeHandlers();
+      this.removeHandlers = null;
+    }
+
+    return Result.success();
+  }
+
+  /**
+   * 保存されたショートカットを読み込んで表示
+   * 記録中の場合は記録を中止する
+   * @param {Object} shortcuts - ショートカットIDをキーとした設定
+   * @returns {Promise<Result<boolean>>} 読み込み結果
+   */
+  async loadShortcuts(shortcuts) {
+    this._stopRecording();
+
+    const result = await this.shortcutManager.loadShortcuts(shortcuts);
+    this._render();
+    return result;
+  }
+
+  /**
+   * ブラウザのコマンドと割り当てられたキーを読み込んで表示
+   * キーはブラウザの設定画面で変更されるため、ページに戻るたびに読み込み直す
+   * @returns {Promise<Result<Array<Object>>>} コマンド
+   */
+  async loadBrowserCommands() {
+    const result = await this.errorHandler.wrapAsync(loadBrowserCommands());
+    if (result.isFailure()) {
+      this.logger.warn("Failed to load browser commands", result.error);
+      return result;
+    }
+
+    this._renderBrowserCommands(result.data);
+    return result;
+  }
+
+  /**
+   * ショートカットの記録を開始
+   * 次に押されたキーの組み合わせをショートカットに設定する（Esc で中止）
+   * 次のキーを待つ時間内に続けて押されたキーはキーシーケンスとして記録する
+   * @param {string} id - ショートカットID
+   * @returns {Result<void>} 結果
+   */
+  startRecording(id) {
+    this._stopRecording();
+
+    this.recordingId = id;
+    document.addEventListener("keydown", this.handleRecordKeyDown, true);
+    this._render();
+
+    return Result.success();
+  }
+
+  /**
+   * ショートカットの記録を中止
+   * @returns {Result<void>} 結果
+   */
+  cancelRecording() {
+    this._stopRecording();
+    this._render();
+
+    return Result.success();
+  }
+
+  /**
+   * キーの組み合わせをショートカットに設定して保存
+   * 他のショートカットや YouTube の標準ショートカットキーと競合する場合は設定しない
+   * @param {string} id - ショートカットID
+   * @param {Object} shortcut - キーと修飾キー（キーシーケンスは続きのキーの sequence）
+   * @returns {Promise<Result<Object>>} 設定したショートカット
+   *   （競合した場合は context.conflicts に競合）
+   */
+  async recordShortcut(id, shortcut) {
+    const conflicts = this.shortcutManager.findConflicts(id, shortcut);
+    if (conflicts.isFailure()) {
+      return conflicts;
+    }
+
+    if (conflicts.data.length > 0) {
+      this._render({
+        [id]: conflicts.data.map((conflict) =>
+          this._getConflictMessage(shortcut, conflict)
+        ),
+      });
+      return Result.failure("Shortcut conflicts with other shortcuts", {
+        type: ErrorType.VALIDATION_ERROR,
+        context: { conflicts: conflicts.data },
+      });
+    }
+
+    // 元のキーの位置とキーシーケンスは引き継がない
+    const current = this.shortcutManager.getShortcuts(id).data;
+    const { code, sequence, ...settings } = current;
+    this.shortcutManager.registerShortcut(id, { ...settings, ...shortcut });
+
+    const saved = await this.shortcutManager.saveShortcuts();
+    if (saved.isFailure() || !saved.data) {
+      // 保存できなかった場合は元のショートカットに戻す
+      this.shortcutManager.registerShortcut(id, current);
+      this._render();
+      this._showFeedbackMessage(this._getMessage("shortcutSaveFailed"), true);
+      return Result.failure("Failed to save shortcuts", {
+        type: ErrorType.STORAGE_ERROR,
+      });
+    }
+
+    const recorded = this.shortcutManager.getShortcuts(id).data;
+    this._render();
+    this._showFeedbackMessage(
+      this._getMessage("shortcutSaved", [
+        this._getLabel(id, current),
+        formatShortcut(recorded, this.layoutMap),
+      ])
+    );
+
+    this.logger.info(`Shortcut recorded: ${id}`, { shortcut });
+    return Result.success(recorded);
+  }
+
+  /**
+   * ショートカットのキーの割り当て方を設定して保存
+   * @param {string} id - ショートカットID
+   * @param {string} binding - 割り当て方（ShortcutBinding の値）
+   * @returns {Promise<Result<Object>>} 設定したショートカット
+   */
+  async setBinding(id, binding) {
+    const current = this.shortcutManager.getShortcuts(id).data;
+    const result = this.shortcutManager.setShortcutBinding(id, binding);
+    if (result.isFailure() || !result.data) {
+      this._render();
+      return result.isFailure()
+        ? result
+        : Result.failure(`Shortcut not found: ${id}`, {
+            type: ErrorType.VALIDATION_ERROR,
+          });
+    }
+
+    const saved = await this.shortcutManager.saveShortcuts();
+    if (saved.isFailure() || !saved.data) {
+      // 保存できなかった場合は元の割り当て方に戻す
+      this.shortcutManager.registerShortcut(id, current);
+      this._render();
+      this._showFeedbackMessage(this._getMessage("shortcutSaveFailed"), true);
+      return Result.failure("Failed to save shortcuts", {
+        type: ErrorType.STORAGE_ERROR,
+      });
+    }
+
+    const updated = this.shortcutManager.getShortcuts(id).data;
+    this._render();
+    this._showFeedbackMessage(
+      this._getMessage("shortcutSaved", [
+        this._getLabel(id, updated),
+        formatShortcut(updated, this.layoutMap),
+      ])
+    );
+
+    this.logger.info(`Shortcut binding changed: ${id}`, { binding });
+    return Result.success(updated);
+  }
+
+  /**
+   * すべてのショートカットをデフォルトに戻して保存
+   * @returns {Promise<Result<void>>} 結果
+   */
+  async resetShortcuts() {
+    this._stopRecording();
+
+    const current = this.shortcutManager.getShortcuts().data;
+    this.shortcutManager.resetShortcuts();
+
+    const saved = await this.shortcutManager.saveShortcuts();
+    if (saved.isFailure() || !saved.data) {
+      current.forEach((config, id) =>
+        this.shortcutManager.registerShortcut(id, config)
+      );
+      this._render();
+      this._showFeedbackMessage(this._getMessage("shortcutSaveFailed"), true);
+      return Result.failure("Failed to save shortcuts", {
+        type: ErrorType.STORAGE_ERROR,
+      });
+    }
+
+    this._render();
+    this._showFeedbackMessage(this._getMessage("shortcutsReset"));
+    return Result.success();
+  }
+
+  /**
+   * 記録ボタンの操作で記録を開始または中止
+   * @param {string} id - ショートカットID
+   * @private
+   */
+  _toggleRecording(id) {
+    if (this.recordingId === id) {
+      this.cancelRecording();
+    } else {
+      this.startRecording(id);
+    }
+  }
+
+  /**
+   * 記録中に押されたキーを処理
+   * 修飾キーだけの場合は続けて押されるキーを待つ
+   * キーシーケンスの最大数に達するか次のキーを待つ時間が過ぎたら記録を終える
+   * @param {KeyboardEvent} event - キーボードイベント
+   * @private
+   */
+  _handleRecordKeyDown(event) {
+    // 記録中のキーはページや他のハンドラーに渡さない
+    event.preventDefault();
+    event.stopPropagation();
+
+    const shortcut = getShortcutFromEvent(event);
+    if (!shortcut) return;
+
+    const { ctrl, shift, alt, meta } = shortcut.modifiers;
+    if (shortcut.key === "Escape" && !ctrl && !shift && !alt && !meta) {
+      this.cancelRecording();
+      return;
+    }
+
+    const recorded = this.recordedKeys ? this.recordedKeys.steps : [];
+    const steps = [...recorded, shortcut];
+    this._clearRecordedKeys();
+
+    if (steps.length >= MAX_SHORTCUT_SEQUENCE_LENGTH) {
+      this._finishRecording(steps);
+      return;
+    }
+
+    this.recordedKeys = {
+      steps,
+      timer: setTimeout(
+        () => this._finishRecording(steps),
+        this.shortcutManager.sequenceTimeout
+      ),
+    };
+    this._render();
+  }
+
+  /**
+   * 記録したキーをショートカットに設定して記録を終える
+   * @param {Array<{key: string, modifiers: Object}>} steps - 押された順のキーと修飾キー
+   * @private
+   */
+  _finishRecording([first, ...sequence]) {
+    const id = this.recordingId;
+    this._stopRecording();
+    this.recordShortcut(id, { ...first, sequence });
+  }
+
+  /**
+   * 記録を終了してキーの受け取りを止める
+   * @private
+   */
+  _stopRecording() {
+    this.recordingId = null;
+    this._clearRecordedKeys();
+    document.removeEventListener("keydown", this.handleRecordKeyDown, true);
+  }
+
+  /**
+   * 記録中に押されたキーを破棄
+   * @private
+   */
+  _clearRecordedKeys() {
+    if (this.recordedKeys) {
+      clearTimeout(this.recordedKeys.timer);
+      this.recordedKeys = null;
+    }
+  }
+
+  /**
+   * ショートカットの一覧を表示
+   * @param {Object<string, Array<string>>} [errors={}] - ショートカットIDごとのエラーメッセージ
+   * @private
+   */
+  _render(errors = {}) {
+    const { shortcutList } = this.elements;
+    if (!shortcutList) return;
+
+    shortcutList.textContent = "";
+    this.shortcutManager.getShortcuts().data.forEach((config, id) => {
+      const isRecording = this.recordingId === id;
+      const row = document.createElement("tr");
+      row.dataset.shortcutId = id;
+
+      const labelCell = document.createElement("th");
+      labelCell.scope = "row";
+      labelCell.textContent = this._getLabel(id, config);
+
+      const keysCell = document.createElement("td");
+      const keys = document.createElement("kbd");
+      keys.className = "shortcut-keys";
+      keys.textContent = isRecording
+        ? this._getRecordingText()
+        : formatShortcut(config, this.layoutMap);
+      keysCell.appendChild(keys);
+
+      const error = document.createElement("p");
+      error.className = "shortcut-error";
+      error.id = `shortcut-error-${id}`;
+      error.textContent = (errors[id] || []).join(" ");
+      error.hidden = !errors[id];
+      keysCell.appendChild(error);
+
+      const bindingCell = document.createElement("td");
+      const bindingSelect = document.createElement("select");
+      bindingSelect.className = "shortcut-binding-select";
+      bindingSelect.dataset.shortcutId = id;
+      bindingSelect.setAttribute(
+        "aria-label",
+        this._getMessage("shortcutBinding")
+      );
+      for (const binding of Object.values(ShortcutBinding)) {
+        const option = document.createElement("option");
+        option.value = binding;
+        option.textContent = this._getMessage(BINDING_MESSAGE_KEYS[binding]);
+        bindingSelect.appendChild(option);
+      }
+      bindingSelect.value = config.binding || ShortcutBinding.CHARACTER;
+      bindingSelect.disabled = isRecording;
+      bindingCell.appendChild(bindingSelect);
+
+      const actionCell = document.createElement("td");
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "secondary-button shortcut-record-btn";
+      button.dataset.shortcutId = id;
+      button.textContent = this._getMessage(
+        isRecording ? "cancelRecordShortcut" : "recordShortcut"
+      );
+      button.setAttribute("aria-pressed", String(isRecording));
+      button.setAttribute("aria-describedby", error.id);
+      actionCell.appendChild(button);
+
+      row.append(labelCell, keysCell, bindingCell, actionCell);
+      shortcutList.appendChild(row);
+    });
+  }
+
+  /**
+   * 記録中のショートカットに表示する文字列を取得
+   * @returns {string} 押されたキー（まだ押されていない場合は記録中のメッセージ）
+   * @private
+   */
+  _getRecordingText() {
+    if (!this.recordedKeys) {
+      return this._getMessage("shortcutRecording");
+    }
+
+    const [first, ...sequence] = this.recordedKeys.steps;
+    const { binding } = this.shortcutManager.getShortcuts(this.recordingId).data;
+    return formatShortcut({ ...first, sequence, binding }, this.layoutMap);
+  }
+
+  /**
+   * ブラウザのコマンドの一覧を表示
+   * @param {Array<{description: string, shortcut: string}>} commands - コマンド
+   * @private
+   */
+  _renderBrowserCommands(commands) {
+    const { commandList } = this.elements;
+    if (!commandList) return;
+
+    commandList.textContent = "";
+    for (const command of commands) {
+      const row = document.createElement("tr");
+
+      const labelCell = document.createElement("th");
+      labelCell.scope = "row";
+      labelCell.textContent = command.description;
+
+      const keysCell = document.createElement("td");
+      const keys = document.createElement("kbd");
+      keys.className = "shortcut-keys";
+      keys.textContent =
+        command.shortcut || this._getMessage("browserShortcutNotSet");
+      keysCell.appendChild(keys);
+
+      row.append(labelCell, keysCell);
+      commandList.appendChild(row);
+    }
+  }
+
+  /**
+   * 競合のメッセージを作成
+   * @param {Object} shortcut - 記録したキーと修飾キー（任意で sequence）
+   * @param {Object} conflict - KeyboardShortcutManager#findConflicts() の競合
+   * @returns {string} メッセージ
+   * @private
+   */
+  _getConflictMessage(shortcut, conflict) {
+    const keys = formatShortcut(shortcut, this.layoutMap);
+
+    if (conflict.type === ShortcutConflictType.YOUTUBE) {
+      return this._getMessage("shortcutConflictYouTube", [keys]);
+    }
+
+    const other = this.shortcutManager.getShortcuts(conflict.id).data;
+    return this._getMessage("shortcutConflict", [
+      keys,
+      this._getLabel(conflict.id, other),
+    ]);
+  }
+
+  /**
+   * ショートカットの説明を取得
+   * メッセージキーのないショートカットは設定の説明を使う
+   * @param {string} id - ショートカットID
+   * @param {Object} config - ショートカット設定
+   * @returns {string} 説明
+   * @private
+   */
+  _getLabel(id, config) {
+    const key = SHORTCUT_MESSAGE_KEYS[id];
+    return key ? this._getMessage(key) : config.description || id;
+  }
+
+  /**
+   * フィードバックメッセージを表示
+   * @param {string} message - メッセージ
+   * @param {boolean} [isError=false] - エラーの場合はtrue
+   * @private
+   */
+  _showFeedbackMessage(message, isError = false) {
+    const { shortcutFeedback } = this.elements;
+    shortcutFeedback.textContent = message;
+    shortcutFeedback.classList.toggle("error", isError);
+  }
+
+  /**
+   * ローカライズされたメッセージを取得
+   * @param {string} key - メッセージキー
+   * @param {Array<string>} [substitutions] - 置換文字列
+   * @returns {string} メッセージ
+   * @private
+   */
+  _getMessage(key, substitutions) {
+    return this.i18n.getMessage(key, substitutions);
+  }
+}
+
+/**
+ * 新しいShortcutEditorインスタンスを作成
+ * @param {Object} dependencies - 依存関係
+ * @returns {ShortcutEditor} 新しいShortcutEditorインスタンス
+ */
+const createShortcutEditor = (dependencies) => new ShortcutEditor(dependencies);
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { ShortcutEditor, createShortcutEditor };
+} else if (typeof window !== "undefined") {
+  window.ShortcutEditor = ShortcutEditor;
+  window.createShortcutEditor = createShortcutEditor;
+}
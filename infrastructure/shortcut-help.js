@@ -0,0 +1,307 @@
+/**
+ * ShortcutHelpOverlay
+ * YouTube のページ上に登録されているキーボードショートカットの一覧を表示する
+ * YouTube の標準ショートカットキーと競合するショートカットには印を付ける
+ */
+
+// 依存関係のインポート
+var ShortcutConflictType, formatShortcut, loadKeyboardLayoutMap;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({
+    ShortcutConflictType,
+    formatShortcut,
+    loadKeyboardLayoutMap,
+  } = require("../keyboard-shortcut-manager.js"));
+}
+
+/**
+ * 一覧の要素のIDとクラス名の接頭辞
+ * @type {string}
+ */
+const SHORTCUT_HELP_ID = "theater-mode-shortcut-help";
+
+/**
+ * ショートカット一覧のオーバーレイ
+ */
+class ShortcutHelpOverlay {
+  /**
+   * ShortcutHelpOverlayインスタンスを作成
+   * @param {Object} dependencies - 依存関係
+   * @param {KeyboardShortcutManager} dependencies.shortcutManager - 一覧を表示するショートカットマネージャー
+   * @param {Object} dependencies.i18n - メッセージの取得に使う I18nManager
+   * @param {Function} [dependencies.announce] - スクリーンリーダー向けにメッセージを通知する関数
+   */
+  constructor(dependencies) {
+    if (!dependencies || !dependencies.shortcutManager) {
+      throw new Error("shortcutManager is required");
+    }
+
+    this.shortcutManager = dependencies.shortcutManager;
+    this.i18n = dependencies.i18n;
+    this.announce = dependencies.announce || (() => {});
+
+    // キーの位置と現在のキーボード配列で入力される文字（表示用）
+    this.layoutMap = null;
+
+    // 表示中のオーバーレイ要素と閉じるボタン
+    this.container = null;
+    this.closeButton = null;
+
+    // 表示前にフォーカスのあった要素（閉じたときに戻す）
+    this.previousFocus = null;
+
+    this._handleKeyDown = (event) => this._onKeyDown(event);
+  }
+
+  /**
+   * キーボード配列を読み込む
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.layoutMap = await loadKeyboardLayoutMap();
+  }
+
+  /**
+   * 一覧が表示されているかどうか
+   * @returns {boolean} 表示中の場合はtrue
+   */
+  isOpen() {
+    return this.container !== null;
+  }
+
+  /**
+   * 一覧に表示するショートカットを取得
+   * @returns {Array<Object>} 各ショートカットの ID・キー・説明と、
+   *   YouTube の標準ショートカットキーとの競合（conflictsWithYouTube）、有効かどうか（enabled）
+   */
+  getEntries() {
+    const shortcuts = this.shortcutManager.getShortcuts().data;
+    const entries = [];
+
+    for (const [id, config] of shortcuts.entries()) {
+      const conflicts = this.shortcutManager.findConflicts(id, config).data;
+      entries.push({
+        id,
+        keys: formatShortcut(config, this.layoutMap),
+        label: this.shortcutManager.getShortcutLabel(id).data,
+        description: this.shortcutManager.getShortcutDescription(
+          id,
+          this.layoutMap
+        ).data,
+        conflictsWithYouTube: (conflicts || []).some(
+          (conflict) => conflict.type === ShortcutConflictType.YOUTUBE
+        ),
+        enabled: config.enabled !== false,
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * 一覧を表示
+   * 全画面表示中は全画面の要素の中に表示する
+   */
+  open() {
+    if (this.isOpen()) return;
+
+    this.previousFocus = document.activeElement;
+    this.container = this._render();
+    (document.fullscreenElement || document.body).appendChild(this.container);
+    document.addEventListener("keydown", this._handleKeyDown, true);
+
+    this.closeButton.focus();
+    this.announce(this._getMessage("shortcutHelpOpened"));
+  }
+
+  /**
+   * 一覧を閉じ、表示前の要素にフォーカスを戻す
+   */
+  close() {
+    if (!this.isOpen()) return;
+
+    document.removeEventListener("keydown", this._handleKeyDown, true);
+    this.container.remove();
+    this.container = null;
+    this.closeButton = null;
+
+    if (this.previousFocus && typeof this.previousFocus.focus === "function") {
+      this.previousFocus.focus();
+    }
+    this.previousFocus = null;
+    this.announce(this._getMessage("shortcutHelpClosed"));
+  }
+
+  /**
+   * 一覧の表示・非表示を切り替え
+   * @returns {boolean} 切り替え後の状態（true: 表示中）
+   */
+  toggle() {
+    if (this.isOpen()) {
+      this.close();
+    } else {
+      this.open();
+    }
+    return this.isOpen();
+  }
+
+  /**
+   * 一覧の要素を作成
+   * @returns {HTMLElement} オーバーレイ要素
+   * @private
+   */
+  _render() {
+    const container = document.createElement("div");
+    container.id = SHORTCUT_HELP_ID;
+    container.className = SHORTCUT_HELP_ID;
+    // 一覧の外側をクリックしたら閉じる
+    container.addEventListener("click", (event) => {
+      if (event.target === container) {
+        this.close();
+      }
+    });
+
+    const dialog = document.createElement("div");
+    dialog.className = `${SHORTCUT_HELP_ID}-dialog`;
+    dialog.setAttribute("role", "dialog");
+    dialog.setAttribute("aria-modal", "true");
+    dialog.setAttribute("aria-labelledby", `${SHORTCUT_HELP_ID}-title`);
+
+    const title = document.createElement("h2");
+    title.id = `${SHORTCUT_HELP_ID}-title`;
+    title.className = `${SHORTCUT_HELP_ID}-title`;
+    title.textContent = this._getMessage("shortcutHelpTitle");
+
+    const list = document.createElement("ul");
+    list.className = `${SHORTCUT_HELP_ID}-list`;
+    for (const entry of this.getEntries()) {
+      list.appendChild(this._renderEntry(entry));
+    }
+
+    const hint = document.createElement("p");
+    hint.className = `${SHORTCUT_HELP_ID}-hint`;
+    hint.textContent = this._getMessage("shortcutHelpHint");
+
+    const closeButton = document.createElement("button");
+    closeButton.type = "button";
+    closeButton.className = `${SHORTCUT_HELP_ID}-close`;
+    closeButton.textContent = this._getMessage("shortcutHelpClose");
+    closeButton.addEventListener("click", () => this.close());
+
+    dialog.appendChild(title);
+    dialog.appendChild(list);
+    dialog.appendChild(hint);
+    dialog.appendChild(closeButton);
+    container.appendChild(dialog);
+
+    this.closeButton = closeButton;
+    return container;
+  }
+
+  /**
+   * ショートカット1件分の要素を作成
+   * @param {Object} entry - getEntries() の要素
+   * @returns {HTMLElement} リスト項目
+   * @private
+   */
+  _renderEntry(entry) {
+    const item = document.createElement("li");
+    item.className = `${SHORTCUT_HELP_ID}-item`;
+    item.dataset.shortcutId = entry.id;
+    item.title = entry.description;
+
+    const keys = document.createElement("kbd");
+    keys.className = `${SHORTCUT_HELP_ID}-keys`;
+    keys.textContent = entry.keys;
+
+    const label = document.createElement("span");
+    label.className = `${SHORTCUT_HELP_ID}-label`;
+    label.textContent = entry.label;
+
+    item.appendChild(keys);
+    item.appendChild(label);
+
+    if (entry.conflictsWithYouTube) {
+      item.classList.add("is-conflict");
+      item.appendChild(
+        this._renderBadge("shortcutHelpConflict", "is-conflict")
+      );
+    }
+    if (!entry.enabled) {
+      item.classList.add("is-disabled");
+      item.appendChild(
+        this._renderBadge("shortcutHelpDisabled", "is-disabled")
+      );
+    }
+
+    return item;
+  }
+
+  /**
+   * ショートカットの状態を示す印を作成
+   * @param {string} key - メッセージキー
+   * @param {string} state - 状態のクラス名
+   * @returns {HTMLElement} 印の要素
+   * @private
+   */
+  _renderBadge(key, state) {
+    const badge = document.createElement("span");
+    badge.className = `${SHORTCUT_HELP_ID}-badge ${state}`;
+    badge.textContent = this._getMessage(key);
+    return badge;
+  }
+
+  /**
+   * 表示中に押されたキーを処理
+   * Esc で閉じ、Tab では一覧の外にフォーカスを移さない
+   * @param {KeyboardEvent} event - キーボードイベント
+   * @private
+   */
+  _onKeyDown(event) {
+    if (event.key === "Escape") {
+      // 全画面表示の終了など YouTube の操作には渡さない
+      event.preventDefault();
+      event.stopPropagation();
+      this.close();
+      return;
+    }
+
+    if (event.key === "Tab") {
+      // フォーカスできる要素は閉じるボタンだけのため、閉じるボタンに留める
+      event.preventDefault();
+      this.closeButton.focus();
+    }
+  }
+
+  /**
+   * メッセージを取得
+   * @param {string} key - メッセージキー
+   * @returns {string} メッセージ
+   * @private
+   */
+  _getMessage(key) {
+    return this.i18n ? this.i18n.getMessage(key) : key;
+  }
+}
+
+/**
+ * 新しいShortcutHelpOverlayインスタンスを作成
+ * @param {Object} dependencies - 依存関係
+ * @returns {ShortcutHelpOverlay} 新しいShortcutHelpOverlayインスタンス
+ */
+const createShortcutHelpOverlay = (dependencies) => {
+  return new ShortcutHelpOverlay(dependencies);
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ShortcutHelpOverlay,
+    createShortcutHelpOverlay,
+  };
+} else if (typeof window !== "undefined") {
+  window.ShortcutHelpOverlay = ShortcutHelpOverlay;
+  window.createShortcutHelpOverlay = createShortcutHelpOverlay;
+}
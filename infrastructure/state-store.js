@@ -4,7 +4,7 @@
  */
 
 // 依存関係のインポート
-let Logger, ErrorHandler, Result, AppError, ErrorType;
+var Logger, ErrorHandler, Result, AppError, ErrorType;
 
 // Node.js環境での依存関係の解決
 if (typeof require !== "undefined") {
@@ -22,7 +22,7 @@ if (typeof require !== "undefined") {
  * @readonly
  * @enum {string}
  */
-const ActionType = {
+var ActionType = {
   // システムアクション
   INITIALIZE: "INITIALIZE",
   RESET: "RESET",
@@ -52,7 +52,7 @@ const ActionType = {
  * アクションクリエーター
  * 型安全なアクションオブジェクトを生成
  */
-class ActionCreator {
+var ActionCreator = class ActionCreator {
   /**
    * 初期化アクションを作成
    * @param {Object} payload - 初期化データ
@@ -216,13 +216,13 @@ class ActionCreator {
       type: ActionType.UI_RESET,
     };
   }
-}
+};
 
 /**
  * 状態管理ストア
  * Flux パターンに基づく一方向データフロー
  */
-class StateStore {
+var StateStore = class StateStore {
   /**
    * StateStoreインスタンスを作成
    * @param {Object} options - オプション
@@ -1068,7 +1068,7 @@ class StateStore {
 
     return false;
   }
-}
+};
 
 // CommonJS/ES6 両対応のエクスポート
 if (typeof module !== "undefined" && module.exports) {
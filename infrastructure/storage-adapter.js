@@ -4,7 +4,7 @@
  */
 
 // 依存関係のインポート
-let Logger, ErrorHandler, Result, AppError, ErrorType;
+var Logger, ErrorHandler, Result, AppError, ErrorType;
 
 // Node.js環境での依存関係の解決
 if (typeof require !== "undefined") {
@@ -22,7 +22,7 @@ if (typeof require !== "undefined") {
  * @readonly
  * @enum {string}
  */
-const StorageType = {
+var StorageType = {
   SYNC: "sync",
   LOCAL: "local",
   SESSION: "session",
@@ -33,7 +33,7 @@ const StorageType = {
  * ストレージアダプター
  * Chrome Storage API の抽象化レイヤーを提供
  */
-class StorageAdapter {
+var StorageAdapter = class StorageAdapter {
   /**
    * StorageAdapterインスタンスを作成
    * @param {Object} options - オプション
@@ -918,6 +918,69 @@ class StorageAdapter {
     return Result.success();
   }
 
+  /**
+   * 名前空間内のすべてのキーを取得
+   * @param {Object} [options] - 取得オプション
+   * @param {StorageType} [options.storageType] - 使用するストレージタイプ
+   * @returns {Promise<Result<Array<string>>>} 名前空間を除いたキーの配列
+   */
+  async getAllKeys(options = {}) {
+    const storageType = options.storageType || this._selectStorageType();
+    const prefix = `${this.namespace}.`;
+    const toKeys = (keys) =>
+      keys
+        .filter((key) => key.startsWith(prefix))
+        .map((key) => key.substring(prefix.length));
+
+    try {
+      switch (storageType) {
+        case StorageType.SYNC:
+        case StorageType.LOCAL:
+        case StorageType.SESSION:
+          if (typeof chrome !== "undefined" && chrome.storage) {
+            const storage = chrome.storage[storageType];
+
+            return await new Promise((resolve) => {
+              storage.get(null, (items) => {
+                if (chrome.runtime.lastError) {
+                  resolve(
+                    Result.failure(chrome.runtime.lastError.message, {
+                      type: ErrorType.STORAGE_ERROR,
+                    })
+                  );
+                } else {
+                  resolve(Result.success(toKeys(Object.keys(items))));
+                }
+              });
+            });
+          } else if (
+            storageType !== StorageType.SYNC &&
+            (typeof localStorage !== "undefined" ||
+              typeof sessionStorage !== "undefined")
+          ) {
+            const storage =
+              storageType === StorageType.LOCAL ? localStorage : sessionStorage;
+            const keys = [];
+            for (let i = 0; i < storage.length; i++) {
+              keys.push(storage.key(i));
+            }
+            return Result.success(toKeys(keys));
+          }
+          // フォールバック
+          return Result.success([...this.memoryStorage.keys()]);
+
+        case StorageType.MEMORY:
+        default:
+          return Result.success([...this.memoryStorage.keys()]);
+      }
+    } catch (error) {
+      return Result.failure(error, {
+        type: ErrorType.STORAGE_ERROR,
+        context: { namespace: this.namespace, storageType },
+      });
+    }
+  }
+
   /**
    * 名前空間内のすべてのキーをクリア
    * @param {Object} [options] - クリアオプション
@@ -1077,7 +1140,7 @@ class StorageAdapter {
       });
     }
   }
-}
+};
 
 // CommonJS/ES6 両対応のエクスポート
 if (typeof module !== "undefined" && module.exports) {
@@ -0,0 +1,89 @@
+/**
+ * SyncSettingsStorage
+ * chrome.storage.sync に設定項目ごとのキーで保存した設定を、
+ * SettingsManager からは 1 つのキーの設定として読み書きするストレージ
+ * コンテンツスクリプトとポップアップは設定項目ごとのキーを読むため、
+ * サービスワーカーの SettingsManager はこのストレージを使う
+ */
+
+// 依存関係のインポート
+var Result, ErrorType;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ Result, ErrorType } = require("./error-handler.js"));
+}
+
+/**
+ * 設定項目ごとのキーで保存する chrome.storage.sync のストレージ
+ * StorageAdapter の get・set と同じ形で呼び出せる
+ */
+var SyncSettingsStorage = class SyncSettingsStorage {
+  /**
+   * SyncSettingsStorageインスタンスを作成
+   * @param {Object} dependencies - 依存関係
+   * @param {Object} dependencies.storage - 設定項目を保存するストレージ（chrome.storage.sync）
+   */
+  constructor(dependencies) {
+    this.storage = dependencies.storage;
+  }
+
+  /**
+   * 保存された設定を取得
+   * @param {string} key - 設定のキー（SettingsManager の storageKey、設定全体を表す）
+   * @param {Object} [options] - オプション
+   * @param {Object} [options.defaultValue] - 保存されていない設定項目の値
+   * @returns {Promise<Result<Object>>} 設定
+   */
+  async get(key, options = {}) {
+    try {
+      const items = await this.storage.get(null);
+      return Result.success({ ...options.defaultValue, ...items });
+    } catch (error) {
+      return Result.failure(error, {
+        type: ErrorType.STORAGE_ERROR,
+        context: { key },
+      });
+    }
+  }
+
+  /**
+   * 設定を保存
+   * 保存済みの値から変わった設定項目だけを書き込む
+   * @param {string} key - 設定のキー（SettingsManager の storageKey、設定全体を表す）
+   * @param {Object} settings - 設定
+   * @returns {Promise<Result<void>>} 保存結果
+   *   （設定項目が chrome.storage.sync の容量を超える場合は QUOTA_EXCEEDED_ERROR）
+   */
+  async set(key, settings) {
+    try {
+      const stored = await this.storage.get(null);
+      const changes = Object.fromEntries(
+        Object.entries(settings).filter(
+          ([name, value]) =>
+            JSON.stringify(value) !== JSON.stringify(stored[name])
+        )
+      );
+
+      if (Object.keys(changes).length > 0) {
+        await this.storage.set(changes);
+      }
+      return Result.success();
+    } catch (error) {
+      const quotaExceeded = /quota/i.test(String(error && error.message));
+      return Result.failure(error, {
+        type: quotaExceeded
+          ? ErrorType.QUOTA_EXCEEDED_ERROR
+          : ErrorType.STORAGE_ERROR,
+        context: { key },
+      });
+    }
+  }
+};
+
+// CommonJS/ES6 両対応のエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { SyncSettingsStorage };
+} else if (typeof window !== "undefined") {
+  window.SyncSettingsStorage = SyncSettingsStorage;
+}
@@ -5,7 +5,7 @@
  */
 
 // 依存関係のインポート
-let Logger, ErrorHandler, Result, AppError, ErrorType;
+var Logger, ErrorHandler, Result, AppError, ErrorType;
 
 // Node.js環境での依存関係の解決
 if (typeof require !== "undefined") {
@@ -574,22 +574,30 @@ class UIEventHandler {
     if (!this.delegatedHandlers.has(event)) {
       const delegatedHandler = (e) => {
         // イベントターゲットから上位に向かってセレクターにマッチする要素を探す
+        // （同じ要素にマッチしたセレクターのハンドラーはすべて実行する）
         let target = e.target;
         while (target && target !== this.rootElement) {
-          if (target.matches && target.matches(selector)) {
-            // セレクターにマッチした場合、対応するハンドラーを実行
-            const selectorHandlers = this.eventHandlers.get(selector);
-            if (selectorHandlers && selectorHandlers.has(event)) {
-              const specificHandler = selectorHandlers.get(event);
-              // イベントオブジェクトのcurrentTargetを設定
-              Object.defineProperty(e, "currentTarget", {
-                value: target,
-                configurable: true,
-              });
-              specificHandler(e);
-              break;
+          const matchedHandlers = [];
+          for (const [selector, selectorHandlers] of this.eventHandlers) {
+            if (
+              selectorHandlers.has(event) &&
+              target.matches &&
+              target.matches(selector)
+            ) {
+              matchedHandlers.push(selectorHandlers.get(event));
             }
           }
+
+          if (matchedHandlers.length > 0) {
+            // イベントオブジェクトのcurrentTargetを設定
+            Object.defineProperty(e, "currentTarget", {
+              value: target,
+              configurable: true,
+            });
+            // セレクターにマッチした場合、対応するハンドラーを実行
+            matchedHandlers.forEach((specificHandler) => specificHandler(e));
+            break;
+          }
           target = target.parentElement;
         }
       };
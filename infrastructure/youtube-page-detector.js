@@ -5,7 +5,8 @@
  */
 
 // 依存関係のインポート
-let Logger, ErrorHandler, Result, AppError, ErrorType;
+var Logger, ErrorHandler, Result, AppError, ErrorType;
+var isLiveBadgeVisible, resolveSelectorPack;
 
 // Node.js環境での依存関係の解決
 if (typeof require !== "undefined") {
@@ -16,6 +17,8 @@ if (typeof require !== "undefined") {
     AppError,
     ErrorType,
   } = require("./error-handler.js"));
+  ({ isLiveBadgeVisible } = require("./live-chat.js"));
+  ({ resolveSelectorPack } = require("./selector-pack.js"));
 }
 
 /**
@@ -28,6 +31,7 @@ const YouTubePageType = {
   SHORTS: "shorts", // YouTube Shorts
   LIVE: "live", // ライブ配信
   PREMIERE: "premiere", // プレミア公開
+  EMBED: "embed", // 他のサイトに埋め込まれたプレーヤー
   PLAYLIST: "playlist", // プレイリスト
   CHANNEL: "channel", // チャンネルページ
   HOME: "home", // ホームページ
@@ -45,7 +49,7 @@ const YouTubePageType = {
  * @readonly
  * @enum {number}
  */
-const DetectionConfidence = {
+var DetectionConfidence = {
   HIGH: 3, // 高い信頼度（複数の指標で確認）
   MEDIUM: 2, // 中程度の信頼度（主要な指標で確認）
   LOW: 1, // 低い信頼度（限定的な指標のみ）
@@ -57,7 +61,7 @@ const DetectionConfidence = {
  * @readonly
  * @enum {string}
  */
-const PageChangeEvent = {
+var PageChangeEvent = {
   NAVIGATION: "navigation", // ページ間の遷移
   PLAYER_LOAD: "player_load", // 動画プレーヤーの読み込み
   CONTENT_UPDATE: "content_update", // コンテンツの更新
@@ -123,6 +127,9 @@ class YouTubePageDetector {
     this.cacheExpiry = new Map();
     this.cacheTimeout = 5000; // 5秒でキャッシュを無効化
 
+    // ページタイプの判定に使うセレクター（options.selectorPack で置き換え可能）
+    this.selectorPack = resolveSelectorPack(options.selectorPack);
+
     this.logger.info("YouTubePageDetector created", {
       options: this.options,
     });
@@ -217,10 +224,11 @@ class YouTubePageDetector {
       const domResult = await this._detectFromDOM();
 
       // 結果を統合して最も信頼度の高いものを選択
-      const finalResult = this._consolidateDetectionResults([
-        urlResult,
-        domResult,
-      ]);
+      // 埋め込みプレーヤーは DOM が通常の動画やライブ配信と同じため、URL の結果を使う
+      const finalResult =
+        urlResult.pageType === YouTubePageType.EMBED
+          ? urlResult
+          : this._consolidateDetectionResults([urlResult, domResult]);
 
       // 検出結果を更新
       this._updateDetectionState(finalResult);
@@ -263,6 +271,20 @@ class YouTubePageDetector {
 
     this.logger.debug("Detecting page type from URL", { url, pathname });
 
+    // 埋め込みプレーヤー（/embed/ の後に動画IDやプレイリスト指定が続くため他より先に判定）
+    if (pathname.startsWith("/embed/")) {
+      const indicators = ["pathname:/embed/"];
+      if (window.self !== window.top) {
+        indicators.push("frame:embedded");
+      }
+      return {
+        pageType: YouTubePageType.EMBED,
+        confidence: DetectionConfidence.HIGH,
+        source: "url",
+        indicators,
+      };
+    }
+
     // YouTube Shorts
     if (pathname.includes("/shorts/")) {
       return {
@@ -273,21 +295,27 @@ class YouTubePageDetector {
       };
     }
 
+    // プレイリスト内の動画の再生ページ
+    // 指標を通常の動画の DOM の検出結果より多くし、ライブ配信とプレミア公開（信頼度が高い）は DOM を優先する
+    if (
+      pathname === "/watch" &&
+      searchParams.has("v") &&
+      searchParams.has("list")
+    ) {
+      return {
+        pageType: YouTubePageType.PLAYLIST,
+        confidence: DetectionConfidence.MEDIUM,
+        source: "url",
+        indicators: ["pathname:/watch", "param:v", "param:list"],
+      };
+    }
+
     // 通常の動画ページ
+    // ライブ配信やプレミア公開も同じ URL のため、DOM の検出結果を優先する
     if (pathname === "/watch" && searchParams.has("v")) {
-      // ライブ配信の検出
-      if (searchParams.has("live") || url.includes("live_stream")) {
-        return {
-          pageType: YouTubePageType.LIVE,
-          confidence: DetectionConfidence.MEDIUM,
-          source: "url",
-          indicators: ["pathname:/watch", "param:live"],
-        };
-      }
-
       return {
         pageType: YouTubePageType.VIDEO,
-        confidence: DetectionConfidence.HIGH,
+        confidence: DetectionConfidence.MEDIUM,
         source: "url",
         indicators: ["pathname:/watch", "param:v"],
       };
@@ -356,6 +384,121 @@ class YouTubePageDetector {
     };
   }
 
+  /**
+   * 現在のページのチャンネルを検出
+   * チャンネルページでは URL から、動画ページではオーナーリンクから取得する
+   * @returns {Result<Object|null>} チャンネル情報 { id, aliases, name, source }（検出できない場合は null）
+   */
+  detectChannel() {
+    try {
+      const { pages } = this.selectorPack;
+
+      // チャンネルページの URL
+      const fromUrl = this._parseChannelPath(window.location.pathname);
+      if (fromUrl) {
+        const header = document.querySelector(
+          pages.channel.channelName.join(", ")
+        );
+        return Result.success(
+          this._createChannel(
+            fromUrl,
+            header && header.textContent.trim(),
+            "url",
+            pages.channel.channelId
+          )
+        );
+      }
+
+      // 動画ページのオーナーリンク
+      const ownerLink = document.querySelector(
+        pages.video.channelOwner.join(", ")
+      );
+      if (ownerLink) {
+        const href = ownerLink.getAttribute("href") || "";
+        const fromOwner = this._parseChannelPath(
+          new URL(href, window.location.origin).pathname
+        );
+        if (fromOwner) {
+          return Result.success(
+            this._createChannel(
+              fromOwner,
+              ownerLink.textContent.trim(),
+              "owner-link",
+              pages.video.channelId
+            )
+          );
+        }
+      }
+
+      return Result.success(null);
+    } catch (error) {
+      return Result.failure(
+        this.errorHandler.handleError(error, {
+          type: ErrorType.ELEMENT_NOT_FOUND,
+          context: { phase: "channelDetection" },
+        })
+      );
+    }
+  }
+
+  /**
+   * チャンネル情報を作成
+   * チャンネルページとオーナーリンクでプロファイルのキーをそろえるため、
+   * ページから "UC..." 形式のIDを取得できる場合はそれを id にし、パスのIDは aliases に入れる
+   * @param {string} pathId - パスから抽出したID
+   * @param {string} [name] - チャンネル名
+   * @param {string} source - 検出元（"url" または "owner-link"）
+   * @param {string[]} [idSelectors=[]] - チャンネルIDを持つ要素のセレクター（優先度順）
+   * @returns {Object} チャンネル情報 { id, aliases, name, source }
+   * @private
+   */
+  _createChannel(pathId, name, source, idSelectors = []) {
+    const id = this._findChannelId(idSelectors) || pathId;
+    return {
+      id,
+      aliases: id === pathId ? [] : [pathId],
+      name: name || pathId,
+      source,
+    };
+  }
+
+  /**
+   * ページの要素から "UC..." 形式のチャンネルIDを取得
+   * @param {string[]} selectors - チャンネルIDを content または href に持つ要素のセレクター（優先度順）
+   * @returns {string|null} チャンネルID
+   * @private
+   */
+  _findChannelId(selectors) {
+    for (const selector of selectors) {
+      const element = document.querySelector(selector);
+      const value = element
+        ? element.getAttribute("content") || element.getAttribute("href")
+        : null;
+      const match = /(?:^|\/channel\/)(UC[\w-]+)/.exec(value || "");
+      if (match) {
+        return match[1];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * パスからチャンネルIDを抽出
+   * @param {string} pathname - URL パス
+   * @returns {string|null} "@handle"、"UC..." または "c/name" 形式のID
+   * @private
+   */
+  _parseChannelPath(pathname) {
+    const match = /^\/(@[^/]+|channel\/[^/]+|c\/[^/]+)/.exec(pathname || "");
+    if (!match) {
+      return null;
+    }
+
+    const id = decodeURIComponent(match[1]);
+    return id.startsWith("channel/") ? id.slice("channel/".length) : id;
+  }
+
   /**
    * DOM からページタイプを検出
    * @returns {Promise<Object>} 検出結果
@@ -367,49 +510,39 @@ class YouTubePageDetector {
     const indicators = [];
     let pageType = YouTubePageType.UNKNOWN;
     let confidence = DetectionConfidence.NONE;
+    const { pages } = this.selectorPack;
 
     try {
       // 動画プレーヤーの検出
-      const videoPlayer = await this._findElementWithCache([
-        "#movie_player",
-        ".html5-video-player",
-        '[data-testid="video-player"]',
-      ]);
+      const videoPlayer = await this._findElementWithCache(pages.video.detect);
 
       if (videoPlayer) {
         indicators.push("element:video-player");
 
         // Shorts プレーヤーの検出
-        const shortsPlayer = await this._findElementWithCache([
-          "#shorts-player",
-          '[data-testid="shorts-player"]',
-          ".ytd-shorts",
-        ]);
+        const shortsPlayer = await this._findElementWithCache(
+          pages.shorts.detect
+        );
 
         if (shortsPlayer) {
           pageType = YouTubePageType.SHORTS;
           confidence = DetectionConfidence.HIGH;
           indicators.push("element:shorts-player");
         } else {
-          // ライブ配信の検出
-          const liveIndicators = await this._findElementWithCache([
-            ".ytp-live",
-            ".ytp-live-badge",
-            '[data-testid="live-badge"]',
-            ".live-stream-text",
-          ]);
-
-          if (liveIndicators) {
+          // ライブ配信の検出（ライブバッジは通常の動画では非表示で存在する）
+          const liveBadge = await this._findElementWithCache(
+            pages.live.detect
+          );
+
+          if (isLiveBadgeVisible(liveBadge)) {
             pageType = YouTubePageType.LIVE;
             confidence = DetectionConfidence.HIGH;
-            indicators.push("element:live-indicator");
+            indicators.push("element:live-badge");
           } else {
             // プレミア公開の検出
-            const premiereIndicators = await this._findElementWithCache([
-              ".ytp-premiere-countdown",
-              '[data-testid="premiere-countdown"]',
-              ".premiere-badge",
-            ]);
+            const premiereIndicators = await this._findElementWithCache(
+              pages.premiere.detect
+            );
 
             if (premiereIndicators) {
               pageType = YouTubePageType.PREMIERE;
@@ -426,11 +559,9 @@ class YouTubePageDetector {
         // プレーヤーがない場合の検出
 
         // チャンネルページの検出
-        const channelHeader = await this._findElementWithCache([
-          "#channel-header",
-          ".ytd-c4-tabbed-header-renderer",
-          ".ytd-channel-header-renderer",
-        ]);
+        const channelHeader = await this._findElementWithCache(
+          pages.channel.detect
+        );
 
         if (channelHeader) {
           pageType = YouTubePageType.CHANNEL;
@@ -438,10 +569,9 @@ class YouTubePageDetector {
           indicators.push("element:channel-header");
         } else {
           // 検索結果の検出
-          const searchResults = await this._findElementWithCache([
-            "#contents.ytd-search-page-renderer",
-            ".ytd-search-page-renderer",
-          ]);
+          const searchResults = await this._findElementWithCache(
+            pages.search.detect
+          );
 
           if (searchResults) {
             pageType = YouTubePageType.SEARCH;
@@ -449,10 +579,9 @@ class YouTubePageDetector {
             indicators.push("element:search-results");
           } else {
             // ホームページの検出
-            const homeContent = await this._findElementWithCache([
-              "#contents.ytd-rich-grid-renderer",
-              ".ytd-browse-page-renderer",
-            ]);
+            const homeContent = await this._findElementWithCache(
+              pages.home.detect
+            );
 
             if (homeContent && window.location.pathname === "/") {
               pageType = YouTubePageType.HOME;
@@ -574,8 +703,12 @@ class YouTubePageDetector {
     this.currentUrl = window.location.href;
     this.detectionConfidence = result.confidence;
 
-    // ページタイプが変更された場合は通知
-    if (this.previousPageType !== this.currentPageType) {
+    // ページタイプまたは URL が変更された場合は通知
+    // （動画から別の動画への SPA 遷移もページタイプ別の自動有効化の対象になる）
+    if (
+      this.previousPageType !== this.currentPageType ||
+      this.previousUrl !== this.currentUrl
+    ) {
       this._notifyPageChange(PageChangeEvent.NAVIGATION, {
         from: this.previousPageType,
         to: this.currentPageType,
@@ -707,10 +840,9 @@ class YouTubePageDetector {
 
     this.detectionTimer = setInterval(() => {
       // URL が変更されているかチェック
+      // （コンテンツスクリプトからはページの pushState を監視できないため、ここで遷移を処理する）
       if (window.location.href !== this.currentUrl) {
-        this.detectPageType().catch((error) => {
-          this.logger.warn("Periodic detection failed", { error });
-        });
+        this._handleUrlChange();
       }
     }, this.options.detectionInterval);
 
@@ -771,6 +903,19 @@ class YouTubePageDetector {
     }, 200);
   }
 
+  /**
+   * ページタイプの判定に使うセレクターパックを変更
+   * 読み込んだパックは ElementManager.applySelectorPack() で検証してから渡す
+   * @param {Object} [pack] - セレクターパック（省略時は同梱のパック）
+   */
+  setSelectorPack(pack) {
+    this.selectorPack = resolveSelectorPack(pack);
+    this._clearElementCache();
+    this.logger.debug("Selector pack changed", {
+      version: this.selectorPack.version,
+    });
+  }
+
   /**
    * 要素キャッシュをクリア
    * @private
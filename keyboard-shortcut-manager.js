@@ -3,6 +3,401 @@
  * キーボードショートカット処理を専門とするクラス
  * ショートカットの競合回避とカスタマイズ機能を実装
  */
+
+// 依存関係のインポート
+var ActionCreator, YOUTUBE_NATIVE_SHORTCUTS;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({ ActionCreator } = require("./infrastructure/state-store.js"));
+  ({
+    YOUTUBE_NATIVE_SHORTCUTS,
+  } = require("./youtube-shortcut-protection.js"));
+}
+
+/**
+ * ショートカットの競合の種類
+ * @readonly
+ * @enum {string}
+ */
+var ShortcutConflictType = {
+  SHORTCUT: "shortcut", // 登録済みの他のショートカット
+  YOUTUBE: "youtube", // YouTube の標準ショートカットキー
+};
+
+/**
+ * ショートカットのキーの割り当て方
+ * @readonly
+ * @enum {string}
+ */
+var ShortcutBinding = {
+  CHARACTER: "character", // 入力される文字（KeyboardEvent.key）
+  CODE: "code", // キーボード上の物理的な位置（KeyboardEvent.code）
+};
+
+/**
+ * ショートカットIDごとの説明のメッセージキー（I18nManager 用）
+ * @readonly
+ * @type {Object<string, string>}
+ */
+var SHORTCUT_MESSAGE_KEYS = {
+  theaterMode: "shortcutTheaterMode",
+  increaseOpacity: "shortcutIncreaseOpacity",
+  decreaseOpacity: "shortcutDecreaseOpacity",
+  showShortcutHelp: "shortcutShowHelp",
+};
+
+/**
+ * manifest.json の commands に登録したコマンド名と実行するアクション名
+ * ブラウザのコマンドはページにフォーカスがなくても受け付けられ、
+ * バックグラウンドサービスからアクティブな YouTube タブに送られる
+ * @readonly
+ * @type {Object<string, string>}
+ */
+var BROWSER_COMMANDS = {
+  "toggle-theater-mode": "toggleTheaterMode",
+  "increase-opacity": "increaseOpacity",
+  "decrease-opacity": "decreaseOpacity",
+  "cycle-profile": "cycleOpacityPreset",
+};
+
+/**
+ * キーシーケンスの次のキーを待つ時間の範囲（ミリ秒）
+ * @readonly
+ * @type {{min: number, max: number}}
+ */
+var SHORTCUT_SEQUENCE_TIMEOUT_RANGE = { min: 300, max: 3000 };
+
+/**
+ * キーシーケンスの次のキーを待つ時間のデフォルト（ミリ秒）
+ * @type {number}
+ */
+var DEFAULT_SHORTCUT_SEQUENCE_TIMEOUT = 1000;
+
+/**
+ * キーシーケンスで順に押すキーの最大数
+ * @type {number}
+ */
+var MAX_SHORTCUT_SEQUENCE_LENGTH = 3;
+
+/**
+ * 単独ではショートカットにならない修飾キー（KeyboardEvent.key の値）
+ * @readonly
+ * @type {Array<string>}
+ */
+const MODIFIER_KEYS = ["Control", "Shift", "Alt", "Meta"];
+
+/**
+ * US 配列で記号を入力するキーの位置（KeyboardEvent.code）
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const SYMBOL_KEY_CODES = {
+  "-": "Minus",
+  "=": "Equal",
+  "[": "BracketLeft",
+  "]": "BracketRight",
+  "\\": "Backslash",
+  ";": "Semicolon",
+  "'": "Quote",
+  ",": "Comma",
+  ".": "Period",
+  "/": "Slash",
+  "`": "Backquote",
+  " ": "Space",
+};
+
+/**
+ * キーを US 配列で入力する位置（KeyboardEvent.code）を取得
+ * 位置を記録していない設定を移行するときに使う
+ * @param {string} key - キー（KeyboardEvent.key）
+ * @returns {string|null} キーの位置（分からない場合は null）
+ */
+var getCodeFromKey = (key) => {
+  if (typeof key !== "string" || key.length === 0) {
+    return null;
+  }
+  if (/^[a-z]$/i.test(key)) {
+    return `Key${key.toUpperCase()}`;
+  }
+  if (/^[0-9]$/.test(key)) {
+    return `Digit${key}`;
+  }
+  if (SYMBOL_KEY_CODES[key]) {
+    return SYMBOL_KEY_CODES[key];
+  }
+
+  // 矢印キーやファンクションキーなどは名前と位置が同じ
+  return key.length > 1 ? key : null;
+};
+
+/**
+ * キーの位置（KeyboardEvent.code）で US 配列の場合に入力されるキーを取得
+ * @param {string} code - キーの位置
+ * @returns {string|null} キー（分からない場合は null）
+ */
+var getKeyFromCode = (code) => {
+  if (typeof code !== "string" || code.length === 0) {
+    return null;
+  }
+
+  const match = code.match(/^(?:Key([A-Z])|Digit([0-9]))$/);
+  if (match) {
+    return (match[1] || match[2]).toLowerCase();
+  }
+
+  const symbol = Object.keys(SYMBOL_KEY_CODES).find(
+    (key) => SYMBOL_KEY_CODES[key] === code
+  );
+  return symbol || code;
+};
+
+/**
+ * キーボードイベントからキーと修飾キーの組み合わせを取得
+ * 1文字のキーは Shift で大文字になるため小文字にそろえる
+ * @param {KeyboardEvent} event - キーボードイベント
+ * @returns {{key: string, code: string|null, modifiers: Object}|null}
+ *   キー・キーの位置と修飾キー（修飾キーだけが押された場合は null）
+ */
+var getShortcutFromEvent = (event) => {
+  if (MODIFIER_KEYS.includes(event.key)) {
+    return null;
+  }
+
+  return {
+    key: event.key.length === 1 ? event.key.toLowerCase() : event.key,
+    code: event.code || getCodeFromKey(event.key),
+    modifiers: {
+      ctrl: event.ctrlKey,
+      shift: event.shiftKey,
+      alt: event.altKey,
+      meta: event.metaKey,
+    },
+  };
+};
+
+/**
+ * キーと修飾キーの組み合わせを正規化（修飾キーを真偽値にそろえる）
+ * キーの位置を記録していない場合は US 配列の位置を補う
+ * @param {{key: string, code?: string, modifiers?: Object}} step - キーと修飾キー
+ * @returns {{key: string, code: string|null, modifiers: Object}}
+ *   正規化したキー・キーの位置と修飾キー
+ */
+const normalizeShortcutStep = (step) => ({
+  key: step.key,
+  code: step.code || getCodeFromKey(step.key),
+  modifiers: {
+    ctrl: !!step.modifiers?.ctrl,
+    shift: !!step.modifiers?.shift,
+    alt: !!step.modifiers?.alt,
+    meta: !!step.modifiers?.meta,
+  },
+});
+
+/**
+ * キーシーケンスの次のキーを待つ時間を範囲内に丸める
+ * @param {number} timeout - 待つ時間（ミリ秒）
+ * @returns {number} 範囲内の待つ時間（数値でない場合はデフォルト）
+ */
+const normalizeSequenceTimeout = (timeout) => {
+  if (typeof timeout !== "number" || Number.isNaN(timeout)) {
+    return DEFAULT_SHORTCUT_SEQUENCE_TIMEOUT;
+  }
+
+  const { min, max } = SHORTCUT_SEQUENCE_TIMEOUT_RANGE;
+  return Math.min(max, Math.max(min, Math.round(timeout)));
+};
+
+/**
+ * 保存されたショートカット設定を現在の形式に移行
+ * 割り当て方のない設定は以前と同じく入力される文字で割り当て、
+ * キーの位置を記録していないキーには US 配列の位置を補う
+ * @param {Object} config - ショートカット設定
+ * @returns {Object} 移行したショートカット設定
+ */
+var migrateShortcutConfig = (config) => ({
+  ...config,
+  ...normalizeShortcutStep(config),
+  ...(config.sequence
+    ? { sequence: config.sequence.map(normalizeShortcutStep) }
+    : {}),
+  binding:
+    config.binding === ShortcutBinding.CODE
+      ? ShortcutBinding.CODE
+      : ShortcutBinding.CHARACTER,
+});
+
+/**
+ * ショートカットで順に押すキーと修飾キーの組み合わせを取得
+ * キーシーケンスは最初のキーを key と modifiers に、続くキーを sequence に持つ
+ * @param {Object} shortcut - ショートカット（key、modifiers と任意の sequence）
+ * @returns {Array<{key: string, code?: string, modifiers: Object}>}
+ *   押す順のキーと修飾キー
+ */
+const getShortcutSteps = (shortcut) => [
+  { key: shortcut.key, code: shortcut.code, modifiers: shortcut.modifiers },
+  ...(shortcut.sequence || []),
+];
+
+/**
+ * 現在のキーボード配列でキーの位置ごとに入力される文字を取得
+ * （navigator.keyboard が使えない環境では null）
+ * @returns {Promise<Map<string, string>|null>} キーの位置と文字
+ */
+var loadKeyboardLayoutMap = async () => {
+  if (
+    typeof navigator === "undefined" ||
+    !navigator.keyboard ||
+    !navigator.keyboard.getLayoutMap
+  ) {
+    return null;
+  }
+
+  try {
+    return await navigator.keyboard.getLayoutMap();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * キーと修飾キーの組み合わせを表示用の文字列に変換（例: "Ctrl+Shift+T"）
+ * キーの位置で割り当てたキーはキーボード配列で入力される文字で表示する
+ * @param {{key: string, code?: string, modifiers: Object}} step - キーと修飾キー
+ * @param {string} [binding] - 割り当て方（ShortcutBinding の値）
+ * @param {Map<string, string>|null} [layoutMap] - キーの位置と文字
+ * @returns {string} 表示用の文字列
+ */
+const formatShortcutStep = (step, binding, layoutMap) => {
+  const modifiers = [];
+
+  if (step.modifiers.ctrl) modifiers.push("Ctrl");
+  if (step.modifiers.shift) modifiers.push("Shift");
+  if (step.modifiers.alt) modifiers.push("Alt");
+  if (step.modifiers.meta) modifiers.push("Meta");
+
+  let key = step.key;
+  if (binding === ShortcutBinding.CODE && step.code) {
+    key =
+      (layoutMap && layoutMap.get(step.code)) ||
+      getKeyFromCode(step.code) ||
+      step.key;
+  }
+
+  let keyDisplay = key;
+  if (key === " ") {
+    keyDisplay = "Space";
+  } else if (key.length === 1) {
+    keyDisplay = key.toUpperCase();
+  }
+
+  return [...modifiers, keyDisplay].join("+");
+};
+
+/**
+ * ショートカットを表示用の文字列に変換
+ * キーシーケンスは順に押すキーを空白で区切る（例: "G T"）
+ * @param {Object} shortcut - ショートカット（key、modifiers と任意の sequence・binding）
+ * @param {Map<string, string>|null} [layoutMap] - キーの位置と文字
+ *   （loadKeyboardLayoutMap() の結果、省略時は US 配列の文字）
+ * @returns {string} 表示用の文字列
+ */
+var formatShortcut = (shortcut, layoutMap = null) =>
+  getShortcutSteps(shortcut)
+    .map((step) => formatShortcutStep(step, shortcut.binding, layoutMap))
+    .join(" ");
+
+/**
+ * 修飾キーが同じかどうか
+ * @param {Object} a - 修飾キー
+ * @param {Object} b - 修飾キー
+ * @returns {boolean} 同じ場合はtrue
+ */
+const hasSameModifiers = (a, b) =>
+  ["ctrl", "shift", "alt", "meta"].every((name) => !!a[name] === !!b[name]);
+
+/**
+ * 押したキーがショートカットのキーに一致するかどうか
+ * キーの位置で割り当てたショートカットは KeyboardEvent.code で比べる
+ * @param {{key: string, code?: string, modifiers: Object}} step - ショートカットのキー
+ * @param {{key: string, code?: string, modifiers: Object}} pressed - 押したキー
+ * @param {string} [binding] - 割り当て方（ShortcutBinding の値）
+ * @returns {boolean} 一致する場合はtrue
+ */
+const isSameShortcutStep = (step, pressed, binding) => {
+  if (!hasSameModifiers(step.modifiers, pressed.modifiers)) {
+    return false;
+  }
+  if (binding === ShortcutBinding.CODE && step.code && pressed.code) {
+    return step.code === pressed.code;
+  }
+  return step.key.toLowerCase() === pressed.key.toLowerCase();
+};
+
+/**
+ * 2つのキーが競合するかどうか
+ * 割り当て方によらず、同じ文字か同じ位置のキーの場合は競合とする
+ * @param {{key: string, code?: string, modifiers: Object}} a - キーと修飾キー
+ * @param {{key: string, code?: string, modifiers: Object}} b - キーと修飾キー
+ * @returns {boolean} 競合する場合はtrue
+ */
+const isConflictingStep = (a, b) =>
+  hasSameModifiers(a.modifiers, b.modifiers) &&
+  (a.key.toLowerCase() === b.key.toLowerCase() ||
+    (!!a.code && a.code === b.code));
+
+/**
+ * 押したキーがショートカットの最初から順に一致するかどうか
+ * @param {Array<Object>} steps - ショートカットのキー
+ * @param {Array<Object>} pressed - 押したキー
+ * @param {Function} [isSameStep] - キーが一致するかどうかを判定する関数
+ * @returns {boolean} 一致する場合はtrue（押したキーのほうが多い場合はfalse）
+ */
+const startsWithSteps = (steps, pressed, isSameStep = isSameShortcutStep) =>
+  pressed.length <= steps.length &&
+  pressed.every((step, index) => isSameStep(steps[index], step));
+
+/**
+ * 押したキーがショートカットの割り当て方で最初から順に一致するかどうか
+ * @param {Object} config - ショートカット設定
+ * @param {Array<Object>} pressed - 押したキー
+ * @returns {boolean} 一致する場合はtrue
+ */
+const startsWithPressed = (config, pressed) =>
+  startsWithSteps(getShortcutSteps(config), pressed, (step, key) =>
+    isSameShortcutStep(step, key, config.binding)
+  );
+
+/**
+ * 2つのショートカットが同じキーの組み合わせかどうか
+ * @param {Object} a - ショートカット（key、modifiers と任意の sequence）
+ * @param {Object} b - ショートカット（key、modifiers と任意の sequence）
+ * @returns {boolean} 同じ組み合わせの場合はtrue
+ */
+const isSameShortcut = (a, b) => {
+  const stepsA = getShortcutSteps(a);
+  const stepsB = getShortcutSteps(b);
+  return (
+    stepsA.length === stepsB.length &&
+    startsWithSteps(stepsA, stepsB, isConflictingStep)
+  );
+};
+
+/**
+ * ブラウザのコマンドと割り当てられたキーを取得
+ * キーは chrome://extensions/shortcuts で変更され、未割り当ての場合は空文字列になる
+ * @returns {Promise<Array<{name: string, description: string, shortcut: string}>>}
+ *   コマンド（chrome.commands が使えない環境では空の配列）
+ */
+var loadBrowserCommands = async () => {
+  if (typeof chrome === "undefined" || !chrome.commands) {
+    return [];
+  }
+
+  const commands = await chrome.commands.getAll();
+  return commands.filter(({ name }) => BROWSER_COMMANDS.hasOwnProperty(name));
+};
+
 class KeyboardShortcutManager {
   /**
    * KeyboardShortcutManagerインスタンスを作成
@@ -10,12 +405,15 @@ class KeyboardShortcutManager {
    * @param {Object} dependencies.logger - ロガーインスタンス
    * @param {Object} dependencies.errorHandler - エラーハンドラーインスタンス
    * @param {Object} [dependencies.stateStore] - 状態管理クラス（オプション）
+   * @param {Object} [dependencies.i18n] - 説明の取得に使う I18nManager（省略時は設定の説明）
+   * @param {number} [dependencies.sequenceTimeout=1000] - キーシーケンスの次のキーを待つ時間（ミリ秒、SHORTCUT_SEQUENCE_TIMEOUT_RANGE の範囲）
    */
   constructor(dependencies) {
     // 依存性の注入
     this.logger = dependencies.logger;
     this.errorHandler = dependencies.errorHandler;
     this.stateStore = dependencies.stateStore;
+    this.i18n = dependencies.i18n || null;
 
     // ショートカット設定
     this.shortcuts = new Map();
@@ -28,11 +426,19 @@ class KeyboardShortcutManager {
     this.eventListeners = new Map();
     this.unsubscribeStateStore = null;
 
+    // 入力途中のキーシーケンス（{ steps: 押したキー, timer: タイムアウト }）
+    this.sequenceTimeout = normalizeSequenceTimeout(
+      dependencies.sequenceTimeout
+    );
+    this.pendingSequence = null;
+
     this.logger.debug("KeyboardShortcutManager created");
   }
 
   /**
    * デフォルトのショートカット設定を取得
+   * Ctrl+Shift と文字キーの組み合わせは環境によって KeyboardEvent.key が変わるため、
+   * キーの位置で割り当てる
    * @returns {Map<string, Object>} デフォルトショートカット
    * @private
    */
@@ -42,7 +448,9 @@ class KeyboardShortcutManager {
         "theaterMode",
         {
           key: "t",
+          code: "KeyT",
           modifiers: { ctrl: true, shift: true, alt: false, meta: false },
+          binding: ShortcutBinding.CODE,
           description: "シアターモードの切り替え",
           action: "toggleTheaterMode",
           context: "global",
@@ -53,7 +461,9 @@ class KeyboardShortcutManager {
         "increaseOpacity",
         {
           key: "ArrowUp",
+          code: "ArrowUp",
           modifiers: { ctrl: true, shift: true, alt: false, meta: false },
+          binding: ShortcutBinding.CODE,
           description: "オーバーレイの透明度を上げる",
           action: "increaseOpacity",
           context: "global",
@@ -64,13 +474,28 @@ class KeyboardShortcutManager {
         "decreaseOpacity",
         {
           key: "ArrowDown",
+          code: "ArrowDown",
           modifiers: { ctrl: true, shift: true, alt: false, meta: false },
+          binding: ShortcutBinding.CODE,
           description: "オーバーレイの透明度を下げる",
           action: "decreaseOpacity",
           context: "global",
           enabled: true,
         },
       ],
+      [
+        "showShortcutHelp",
+        {
+          key: "?",
+          code: "Slash",
+          modifiers: { ctrl: true, shift: true, alt: false, meta: false },
+          binding: ShortcutBinding.CODE,
+          description: "ショートカットの一覧を表示",
+          action: "toggleShortcutHelp",
+          context: "global",
+          enabled: true,
+        },
+      ],
     ]);
   }
 
@@ -79,27 +504,29 @@ class KeyboardShortcutManager {
    * @returns {Promise<Result<boolean>>} 初期化結果
    */
   async initialize() {
-    return this.errorHandler.wrapAsync(async () => {
-      this.logger.info("KeyboardShortcutManager initializing");
-
-      // 設定からショートカットを読み込み
-      if (this.stateStore) {
-        const settings = this.stateStore.getStateValue("settings", {});
-        await this._loadShortcutsFromSettings(settings);
-
-        // 設定変更を監視
-        this.unsubscribeStateStore = this.stateStore.subscribeToPath(
-          "settings",
-          (settings) => this._handleSettingsChange(settings)
-        );
-      }
+    return this.errorHandler.wrapAsync(
+      (async () => {
+        this.logger.info("KeyboardShortcutManager initializing");
 
-      // キーボードイベントリスナーを設定
-      this._setupEventListeners();
+        // 設定からショートカットを読み込み
+        if (this.stateStore) {
+          const settings = this.stateStore.getStateValue("settings", {});
+          await this._loadShortcutsFromSettings(settings);
+
+          // 設定変更を監視
+          this.unsubscribeStateStore = this.stateStore.subscribeToPath(
+            "settings",
+            (settings) => this._handleSettingsChange(settings)
+          );
+        }
 
-      this.logger.info("KeyboardShortcutManager initialized");
-      return true;
-    });
+        // キーボードイベントリスナーを設定
+        this._setupEventListeners();
+
+        this.logger.info("KeyboardShortcutManager initialized");
+        return true;
+      })()
+    );
   }
 
   /**
@@ -109,39 +536,42 @@ class KeyboardShortcutManager {
    * @private
    */
   async _loadShortcutsFromSettings(settings) {
-    return this.errorHandler.wrapAsync(async () => {
-      if (!settings || !settings.shortcuts) {
-        return false;
-      }
+    return this.errorHandler.wrapAsync(
+      (async () => {
+        if (!settings || !settings.shortcuts) {
+          return false;
+        }
 
-      try {
-        // 設定からショートカットを読み込み
-        const customShortcuts = settings.shortcuts;
-
-        // デフォルトショートカットをコピー
-        this.activeShortcuts = new Map(this.defaultShortcuts);
-
-        // カスタムショートカットで上書き
-        for (const [id, shortcut] of Object.entries(customShortcuts)) {
-          if (this.activeShortcuts.has(id)) {
-            const defaultShortcut = this.activeShortcuts.get(id);
-            this.activeShortcuts.set(id, {
-              ...defaultShortcut,
-              ...shortcut,
-            });
+        try {
+          // 設定からショートカットを読み込み
+          const customShortcuts = settings.shortcuts;
+
+          // デフォルトショートカットをコピー
+          this.activeShortcuts = new Map(this.defaultShortcuts);
+
+          // カスタムショートカットで上書き
+          // （割り当て方やキーの位置がない以前の設定は移行してから使う）
+          for (const [id, shortcut] of Object.entries(customShortcuts)) {
+            if (this.activeShortcuts.has(id)) {
+              const defaultShortcut = this.activeShortcuts.get(id);
+              this.activeShortcuts.set(id, {
+                ...defaultShortcut,
+                ...(shortcut.key ? migrateShortcutConfig(shortcut) : shortcut),
+              });
+            }
           }
-        }
 
-        this.logger.debug("Shortcuts loaded from settings", {
-          shortcutCount: this.activeShortcuts.size,
-        });
+          this.logger.debug("Shortcuts loaded from settings", {
+            shortcutCount: this.activeShortcuts.size,
+          });
 
-        return true;
-      } catch (error) {
-        this.logger.error("Failed to load shortcuts from settings", error);
-        return false;
-      }
-    });
+          return true;
+        } catch (error) {
+          this.logger.error("Failed to load shortcuts from settings", error);
+          return false;
+        }
+      })()
+    );
   }
 
   /**
@@ -161,8 +591,9 @@ class KeyboardShortcutManager {
    */
   _setupEventListeners() {
     // キーダウンイベントリスナー
+    // （完了したキーシーケンスの最後のキーを YouTube より先に処理するためキャプチャフェーズで受け取る）
     const keydownHandler = (event) => this._handleKeyDown(event);
-    document.addEventListener("keydown", keydownHandler);
+    document.addEventListener("keydown", keydownHandler, true);
     this.eventListeners.set("keydown", keydownHandler);
 
     // フォーカス変更の監視
@@ -231,18 +662,26 @@ class KeyboardShortcutManager {
     }
 
     // イベントからショートカット情報を抽出
-    const shortcutInfo = {
-      key: event.key,
-      modifiers: {
-        ctrl: event.ctrlKey,
-        shift: event.shiftKey,
-        alt: event.altKey,
-        meta: event.metaKey,
-      },
-    };
+    const shortcutInfo = getShortcutFromEvent(event);
+    if (!shortcutInfo) return;
 
-    // マッチするショートカットを検索
-    const matchedShortcut = this._findMatchingShortcut(shortcutInfo);
+    // 入力途中のキーシーケンスに続けて押したキーとして検索
+    let pressed = this.pendingSequence
+      ? [...this.pendingSequence.steps, shortcutInfo]
+      : [shortcutInfo];
+    let matchedShortcut = this._findMatchingShortcut(pressed);
+
+    // シーケンスに続かないキーは最初に押したキーとして検索し直す
+    if (
+      !matchedShortcut &&
+      pressed.length > 1 &&
+      !this._isSequencePrefix(pressed)
+    ) {
+      pressed = [shortcutInfo];
+      matchedShortcut = this._findMatchingShortcut(pressed);
+    }
+
+    this._clearPendingSequence();
 
     if (matchedShortcut) {
       this.logger.debug("Shortcut matched", {
@@ -256,6 +695,12 @@ class KeyboardShortcutManager {
       // デフォルトの動作を防止
       event.preventDefault();
       event.stopPropagation();
+      return;
+    }
+
+    // シーケンスの途中のキーは YouTube のショートカットキーとしても処理させる
+    if (this._isSequencePrefix(pressed)) {
+      this._startPendingSequence(pressed);
     }
   }
 
@@ -274,28 +719,18 @@ class KeyboardShortcutManager {
   }
 
   /**
-   * マッチするショートカットを検索
-   * @param {Object} shortcutInfo - ショートカット情報
+   * 押したキーにすべて一致するショートカットを検索
+   * @param {Array<{key: string, modifiers: Object}>} pressed - 押したキー
    * @returns {Object|null} マッチしたショートカット情報
    * @private
    */
-  _findMatchingShortcut(shortcutInfo) {
-    for (const [id, config] of this.activeShortcuts.entries()) {
-      // 無効なショートカットはスキップ
-      if (!config.enabled) continue;
-
-      // コンテキストが一致しない場合はスキップ
-      if (config.context !== "global" && config.context !== this.contextMode) {
-        continue;
-      }
-
-      // キーが一致するか確認
+  _findMatchingShortcut(pressed) {
+    for (const [id, config] of this._getAvailableShortcuts()) {
+      // 押したキーがすべて一致するか確認
+      const steps = getShortcutSteps(config);
       if (
-        config.key.toLowerCase() === shortcutInfo.key.toLowerCase() &&
-        config.modifiers.ctrl === shortcutInfo.modifiers.ctrl &&
-        config.modifiers.shift === shortcutInfo.modifiers.shift &&
-        config.modifiers.alt === shortcutInfo.modifiers.alt &&
-        config.modifiers.meta === shortcutInfo.modifiers.meta
+        steps.length === pressed.length &&
+        startsWithPressed(config, pressed)
       ) {
         return { id, config };
       }
@@ -304,6 +739,67 @@ class KeyboardShortcutManager {
     return null;
   }
 
+  /**
+   * 押したキーがいずれかのキーシーケンスの途中まで一致するかどうか
+   * @param {Array<{key: string, modifiers: Object}>} pressed - 押したキー
+   * @returns {boolean} 続きのキーがあるシーケンスに一致する場合true
+   * @private
+   */
+  _isSequencePrefix(pressed) {
+    for (const [, config] of this._getAvailableShortcuts()) {
+      const steps = getShortcutSteps(config);
+      if (steps.length > pressed.length && startsWithPressed(config, pressed)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * 現在のコンテキストで使えるショートカットを取得
+   * @returns {Array<[string, Object]>} ショートカットIDと設定
+   * @private
+   */
+  _getAvailableShortcuts() {
+    return Array.from(this.activeShortcuts.entries()).filter(
+      ([, config]) =>
+        // 無効なショートカットとコンテキストが一致しないショートカットは除く
+        config.enabled &&
+        (config.context === "global" || config.context === this.contextMode)
+    );
+  }
+
+  /**
+   * キーシーケンスの続きのキーを待つ
+   * タイムアウトまでに続きのキーが押されない場合はシーケンスを破棄する
+   * @param {Array<{key: string, modifiers: Object}>} steps - 押したキー
+   * @private
+   */
+  _startPendingSequence(steps) {
+    this.pendingSequence = {
+      steps,
+      timer: setTimeout(() => {
+        this.pendingSequence = null;
+        this.logger.debug("Shortcut sequence timed out");
+      }, this.sequenceTimeout),
+    };
+    this.logger.debug("Shortcut sequence pending", {
+      keys: steps.map((step) => formatShortcutStep(step)).join(" "),
+    });
+  }
+
+  /**
+   * 入力途中のキーシーケンスを破棄
+   * @private
+   */
+  _clearPendingSequence() {
+    if (this.pendingSequence) {
+      clearTimeout(this.pendingSequence.timer);
+      this.pendingSequence = null;
+    }
+  }
+
   /**
    * ショートカットアクションを実行
    * @param {string} id - ショートカットID
@@ -388,6 +884,22 @@ class KeyboardShortcutManager {
     }
   }
 
+  /**
+   * ブラウザのコマンドに対応するアクションを実行
+   * @param {string} command - コマンド名（BROWSER_COMMANDS のキー）
+   * @returns {Result<boolean>} 実行結果
+   */
+  executeCommand(command) {
+    return this.errorHandler.wrapSync(() => {
+      if (!BROWSER_COMMANDS.hasOwnProperty(command)) {
+        throw new Error(`Unknown command: ${command}`);
+      }
+
+      this._executeAction(command, { action: BROWSER_COMMANDS[command] });
+      return true;
+    });
+  }
+
   /**
    * アクションハンドラーを登録
    * @param {Object} handlers - アクションハンドラーオブジェクト
@@ -413,15 +925,20 @@ class KeyboardShortcutManager {
         throw new Error("Invalid shortcut configuration");
       }
 
+      const sequence = (config.sequence || []).map(normalizeShortcutStep);
+      if (sequence.length + 1 > MAX_SHORTCUT_SEQUENCE_LENGTH) {
+        throw new Error("Shortcut sequence is too long");
+      }
+
       // 既存のショートカットを上書き
+      // （キーシーケンスの続きのキーは sequence がある場合だけ持たせる）
       this.activeShortcuts.set(id, {
-        key: config.key,
-        modifiers: {
-          ctrl: !!config.modifiers?.ctrl,
-          shift: !!config.modifiers?.shift,
-          alt: !!config.modifiers?.alt,
-          meta: !!config.modifiers?.meta,
-        },
+        ...normalizeShortcutStep(config),
+        ...(sequence.length > 0 ? { sequence } : {}),
+        binding:
+          config.binding === ShortcutBinding.CODE
+            ? ShortcutBinding.CODE
+            : ShortcutBinding.CHARACTER,
         description: config.description || "",
         action: config.action,
         context: config.context || "global",
@@ -433,6 +950,47 @@ class KeyboardShortcutManager {
     });
   }
 
+  /**
+   * キーシーケンスの次のキーを待つ時間を設定
+   * 入力途中のキーシーケンスには次に押したキーから反映される
+   * @param {number} timeout - 待つ時間（ミリ秒、SHORTCUT_SEQUENCE_TIMEOUT_RANGE の範囲に丸める）
+   * @returns {Result<number>} 設定した待つ時間
+   */
+  setSequenceTimeout(timeout) {
+    return this.errorHandler.wrapSync(() => {
+      this.sequenceTimeout = normalizeSequenceTimeout(timeout);
+      this.logger.debug("Shortcut sequence timeout updated", {
+        timeout: this.sequenceTimeout,
+      });
+      return this.sequenceTimeout;
+    });
+  }
+
+  /**
+   * ショートカットのキーの割り当て方を設定
+   * @param {string} id - ショートカットID
+   * @param {string} binding - 割り当て方（ShortcutBinding の値）
+   * @returns {Result<boolean>} 設定結果
+   */
+  setShortcutBinding(id, binding) {
+    return this.errorHandler.wrapSync(() => {
+      if (!Object.values(ShortcutBinding).includes(binding)) {
+        throw new Error(`Invalid shortcut binding: ${binding}`);
+      }
+      if (!this.activeShortcuts.has(id)) {
+        this.logger.warn(`Shortcut not found: ${id}`);
+        return false;
+      }
+
+      this.activeShortcuts.set(id, {
+        ...this.activeShortcuts.get(id),
+        binding,
+      });
+      this.logger.debug(`Shortcut binding set: ${id}`, { binding });
+      return true;
+    });
+  }
+
   /**
    * ショートカットを削除
    * @param {string} id - ショートカットID
@@ -509,37 +1067,100 @@ class KeyboardShortcutManager {
     });
   }
 
+  /**
+   * キーの組み合わせと競合するショートカットを検索
+   * 登録済みの他のショートカットと YouTube の標準ショートカットキーを確認する
+   * キーシーケンスは一方が他方の途中までと一致する場合も競合として扱う
+   * （短いほうが先に実行され、長いほうが完了しないため）
+   * @param {string} id - 設定するショートカットID（自身は競合として扱わない）
+   * @param {Object} shortcut - キーと修飾キー（任意で sequence）
+   * @returns {Result<Array<{type: string, id?: string, action: string}>>}
+   *   競合（type は ShortcutConflictType の値）
+   */
+  findConflicts(id, shortcut) {
+    return this.errorHandler.wrapSync(() => {
+      const conflicts = [];
+      const steps = getShortcutSteps(shortcut).map(normalizeShortcutStep);
+
+      for (const [otherId, config] of this.activeShortcuts.entries()) {
+        const otherSteps = getShortcutSteps(config);
+        if (
+          otherId !== id &&
+          (startsWithSteps(otherSteps, steps, isConflictingStep) ||
+            startsWithSteps(steps, otherSteps, isConflictingStep))
+        ) {
+          conflicts.push({
+            type: ShortcutConflictType.SHORTCUT,
+            id: otherId,
+            action: config.action,
+          });
+        }
+      }
+
+      // YouTube は Ctrl・Alt・Meta なしのキーを処理する（Shift は区別しない）
+      // キーシーケンスの最後のキーは完了したときだけ YouTube に渡さないため、
+      // YouTube に渡る途中のキーだけを確認する
+      const passedSteps = steps.length > 1 ? steps.slice(0, -1) : steps;
+      for (const { key, modifiers } of passedSteps) {
+        const nativeAction =
+          YOUTUBE_NATIVE_SHORTCUTS[key] ||
+          YOUTUBE_NATIVE_SHORTCUTS[key.toLowerCase()];
+        const { ctrl, alt, meta } = modifiers;
+        if (!ctrl && !alt && !meta && nativeAction) {
+          conflicts.push({
+            type: ShortcutConflictType.YOUTUBE,
+            action: nativeAction,
+          });
+        }
+      }
+
+      return conflicts;
+    });
+  }
+
+  /**
+   * 保存されたショートカット設定を読み込み
+   * デフォルトのショートカットを保存された設定で上書きする
+   * @param {Object} shortcuts - ショートカットIDをキーとした設定
+   * @returns {Promise<Result<boolean>>} 読み込み結果
+   */
+  async loadShortcuts(shortcuts) {
+    return this._loadShortcutsFromSettings({ shortcuts });
+  }
+
   /**
    * ショートカット設定を保存
    * @returns {Promise<Result<boolean>>} 保存結果
    */
   async saveShortcuts() {
-    return this.errorHandler.wrapAsync(async () => {
-      if (!this.stateStore) {
-        this.logger.warn("StateStore not available, shortcuts not saved");
-        return false;
-      }
+    return this.errorHandler.wrapAsync(
+      (async () => {
+        if (!this.stateStore) {
+          this.logger.warn("StateStore not available, shortcuts not saved");
+          return false;
+        }
 
-      // ショートカット設定をオブジェクトに変換
-      const shortcutsObj = {};
-      for (const [id, config] of this.activeShortcuts.entries()) {
-        shortcutsObj[id] = { ...config };
-      }
+        // ショートカット設定をオブジェクトに変換
+        const shortcutsObj = {};
+        for (const [id, config] of this.activeShortcuts.entries()) {
+          shortcutsObj[id] = { ...config };
+        }
 
-      // 設定を更新
-      const action = ActionCreator.updateSettings({
-        shortcuts: shortcutsObj,
-      });
+        // 設定を更新
+        const action = ActionCreator.updateSettings({
+          shortcuts: shortcutsObj,
+        });
 
-      const result = await this.stateStore.dispatch(action);
-      if (result.isFailure()) {
-        this.logger.error("Failed to save shortcuts", result.error);
-        return false;
-      }
+        const result = await this.stateStore.dispatch(action);
+        if (result.isFailure()) {
+          this.logger.error("Failed to save shortcuts", result.error);
+          return false;
+        }
 
-      this.logger.debug("Shortcuts saved to settings");
-      return true;
-    });
+        this.logger.debug("Shortcuts saved to settings");
+        return true;
+      })()
+    );
   }
 
   /**
@@ -555,28 +1176,40 @@ class KeyboardShortcutManager {
   }
 
   /**
-   * ショートカットの説明を生成
+   * ショートカットの操作の説明を取得
+   * メッセージキーのあるショートカットは I18nManager で翻訳した説明を使う
    * @param {string} id - ショートカットID
-   * @returns {Result<string>} ショートカットの説明
+   * @returns {Result<string>} 操作の説明
    */
-  getShortcutDescription(id) {
+  getShortcutLabel(id) {
     return this.errorHandler.wrapSync(() => {
       if (!this.activeShortcuts.has(id)) {
         return "";
       }
 
-      const shortcut = this.activeShortcuts.get(id);
-      const modifiers = [];
-
-      if (shortcut.modifiers.ctrl) modifiers.push("Ctrl");
-      if (shortcut.modifiers.shift) modifiers.push("Shift");
-      if (shortcut.modifiers.alt) modifiers.push("Alt");
-      if (shortcut.modifiers.meta) modifiers.push("Meta");
+      const key = SHORTCUT_MESSAGE_KEYS[id];
+      if (key && this.i18n) {
+        return this.i18n.getMessage(key);
+      }
+      return this.activeShortcuts.get(id).description || id;
+    });
+  }
 
-      const keyDisplay = shortcut.key === " " ? "Space" : shortcut.key;
-      const shortcutText = [...modifiers, keyDisplay].join("+");
+  /**
+   * ショートカットの説明を生成
+   * @param {string} id - ショートカットID
+   * @param {Map<string, string>|null} [layoutMap] - キーの位置と文字（loadKeyboardLayoutMap() の結果）
+   * @returns {Result<string>} ショートカットの説明（例: "Ctrl+Shift+T: シアターモードの切り替え"）
+   */
+  getShortcutDescription(id, layoutMap = null) {
+    return this.errorHandler.wrapSync(() => {
+      if (!this.activeShortcuts.has(id)) {
+        return "";
+      }
 
-      return `${shortcutText}: ${shortcut.description}`;
+      const shortcut = this.activeShortcuts.get(id);
+      const label = this.getShortcutLabel(id).data;
+      return `${formatShortcut(shortcut, layoutMap)}: ${label}`;
     });
   }
 
@@ -586,11 +1219,12 @@ class KeyboardShortcutManager {
    */
   cleanup() {
     return this.errorHandler.wrapSync(() => {
-      // イベントリスナーを削除
+      // イベントリスナーを削除（keydown はキャプチャフェーズで登録している）
       for (const [event, handler] of this.eventListeners.entries()) {
-        document.removeEventListener(event, handler);
+        document.removeEventListener(event, handler, event === "keydown");
       }
       this.eventListeners.clear();
+      this._clearPendingSequence();
 
       // StateStore購読を解除
       if (this.unsubscribeStateStore) {
@@ -615,8 +1249,43 @@ const createKeyboardShortcutManager = (dependencies) => {
 
 // CommonJS/ES6 両対応のエクスポート
 if (typeof module !== "undefined" && module.exports) {
-  module.exports = { KeyboardShortcutManager, createKeyboardShortcutManager };
+  module.exports = {
+    ShortcutConflictType,
+    ShortcutBinding,
+    SHORTCUT_MESSAGE_KEYS,
+    BROWSER_COMMANDS,
+    SHORTCUT_SEQUENCE_TIMEOUT_RANGE,
+    DEFAULT_SHORTCUT_SEQUENCE_TIMEOUT,
+    MAX_SHORTCUT_SEQUENCE_LENGTH,
+    getShortcutFromEvent,
+    getCodeFromKey,
+    getKeyFromCode,
+    migrateShortcutConfig,
+    normalizeSequenceTimeout,
+    loadKeyboardLayoutMap,
+    formatShortcut,
+    isSameShortcut,
+    loadBrowserCommands,
+    KeyboardShortcutManager,
+    createKeyboardShortcutManager,
+  };
 } else if (typeof window !== "undefined") {
+  window.ShortcutConflictType = ShortcutConflictType;
+  window.ShortcutBinding = ShortcutBinding;
+  window.SHORTCUT_MESSAGE_KEYS = SHORTCUT_MESSAGE_KEYS;
+  window.BROWSER_COMMANDS = BROWSER_COMMANDS;
+  window.SHORTCUT_SEQUENCE_TIMEOUT_RANGE = SHORTCUT_SEQUENCE_TIMEOUT_RANGE;
+  window.DEFAULT_SHORTCUT_SEQUENCE_TIMEOUT = DEFAULT_SHORTCUT_SEQUENCE_TIMEOUT;
+  window.MAX_SHORTCUT_SEQUENCE_LENGTH = MAX_SHORTCUT_SEQUENCE_LENGTH;
+  window.getShortcutFromEvent = getShortcutFromEvent;
+  window.getCodeFromKey = getCodeFromKey;
+  window.getKeyFromCode = getKeyFromCode;
+  window.migrateShortcutConfig = migrateShortcutConfig;
+  window.loadKeyboardLayoutMap = loadKeyboardLayoutMap;
+  window.normalizeSequenceTimeout = normalizeSequenceTimeout;
+  window.formatShortcut = formatShortcut;
+  window.isSameShortcut = isSameShortcut;
+  window.loadBrowserCommands = loadBrowserCommands;
   window.KeyboardShortcutManager = KeyboardShortcutManager;
   window.createKeyboardShortcutManager = createKeyboardShortcutManager;
 }
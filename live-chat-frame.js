@@ -0,0 +1,28 @@
+/**
+ * YouTube Theater Mode - Live Chat Frame Script
+ * ライブチャットの iframe 内で実行し、親ページのシアターモードの状態に合わせてチャットを暗くする
+ */
+
+/**
+ * 親ページとの通信を開始
+ * 読み込み完了を通知し、以降は親ページから届く状態をチャットに反映する
+ */
+function initializeLiveChatFrame() {
+  const bus = new MessageBus({ name: "live_chat_frame" });
+  bus.connectFrame(() => window.parent, window.location.origin);
+
+  bus.registerHandler(MessageType.LIVE_CHAT_STATE, (message) => {
+    applyLiveChatState(document.documentElement, message.data);
+    console.log(
+      "YouTube Theater Mode: ライブチャットの状態を反映しました",
+      message.data
+    );
+  });
+
+  bus.send(MessageType.LIVE_CHAT_READY, {}, { target: MessageTarget.FRAME });
+}
+
+// ポップアウトしたチャットなど、親ページのない場合は何もしない
+if (window.parent !== window) {
+  initializeLiveChatFrame();
+}
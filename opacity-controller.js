@@ -10,6 +10,8 @@ class OpacityController {
    * @param {Object} dependencies.logger - ロガーインスタンス
    * @param {Object} dependencies.errorHandler - エラーハンドラーインスタンス
    * @param {Object} [dependencies.stateStore] - 状態管理クラス（オプション）
+   * @param {Function} [dependencies.onOpacityUpdate] - 透明度を反映するたびに呼び出す関数
+   *   （透明度と、目標の透明度に達したかどうかを受け取る）
    * @param {Object} [options] - オプション設定
    * @param {number} [options.defaultOpacity=0.7] - デフォルトの透明度
    * @param {number} [options.minOpacity=0] - 最小透明度
@@ -22,6 +24,7 @@ class OpacityController {
     this.logger = dependencies.logger;
     this.errorHandler = dependencies.errorHandler;
     this.stateStore = dependencies.stateStore;
+    this.onOpacityUpdate = dependencies.onOpacityUpdate || null;
 
     // オプション設定
     this.defaultOpacity = options.defaultOpacity || 0.7;
@@ -141,6 +144,22 @@ class OpacityController {
     });
   }
 
+  /**
+   * アニメーションせずに現在の透明度を合わせる
+   * 他の方法で変更された透明度に合わせるためのもので、CSSカスタムプロパティは更新しない
+   * 実行中のアニメーションは中止する
+   * @param {number} opacity - 現在の透明度（0-1）
+   */
+  syncOpacity(opacity) {
+    if (this.animationFrameId) {
+      cancelAnimationFrame(this.animationFrameId);
+      this.animationFrameId = null;
+    }
+    this.isAnimating = false;
+    this.currentOpacity = opacity;
+    this.targetOpacity = opacity;
+  }
+
   /**
    * 透明度を増加
    * @param {number} [amount=0.1] - 増加量
@@ -221,16 +240,15 @@ class OpacityController {
       this.animationStartOpacity +
       (this.targetOpacity - this.animationStartOpacity) * easedProgress;
 
-    // CSSカスタムプロパティを更新
-    this._updateCssVariable();
-
     // アニメーションが完了していない場合は次のフレームを要求
     if (progress < 1) {
+      // CSSカスタムプロパティを更新
+      this._updateCssVariable();
       this.animationFrameId = requestAnimationFrame((timestamp) =>
         this._animationFrame(timestamp)
       );
     } else {
-      // アニメーション完了
+      // アニメーション完了（最後のフレームでは目標の透明度を一度だけ反映する）
       this.currentOpacity = this.targetOpacity;
       this._updateCssVariable();
       this.isAnimating = false;
@@ -251,6 +269,13 @@ class OpacityController {
       this.opacityVarName,
       this.currentOpacity
     );
+
+    if (this.onOpacityUpdate) {
+      this.onOpacityUpdate(
+        this.currentOpacity,
+        this.currentOpacity === this.targetOpacity
+      );
+    }
   }
 
   /**
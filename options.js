@@ -0,0 +1,252 @@
+/**
+ * YouTube Theater Mode - オプションページスクリプト
+ * 設定スキーマから生成したフォームで、ポップアップにない設定も含めてすべての設定を編集する
+ */
+
+// Initialize I18n Manager
+const i18nManager = new I18nManager();
+
+/**
+ * バックグラウンドにメッセージを送信
+ * @param {Object} message - メッセージ
+ * @returns {Promise<any>} 応答
+ */
+const sendRuntimeMessage = (message) =>
+  new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+        return;
+      }
+      resolve(response);
+    });
+  });
+
+/**
+ * インポート前のバックアップの保存先
+ * バックアップは chrome.storage.local に保存し、新しいものから5件を残す
+ */
+const migrationScripts = new MigrationScripts({
+  storageAdapter: new StorageAdapter({
+    namespace: "youtube-theater-mode",
+    preferredType: StorageType.LOCAL,
+  }),
+});
+
+/**
+ * 診断情報を作成
+ * @param {Object} settings - 保存済みの設定
+ * @returns {Promise<Array<{label: string, value: string}>>} 診断情報
+ */
+const collectDiagnostics = async (settings) => {
+  const stored = await chrome.storage.local.get([
+    SELECTOR_PACK_STORAGE_KEY,
+    SELECTOR_HEALTH_STORAGE_KEY,
+  ]);
+  const pack = stored[SELECTOR_PACK_STORAGE_KEY];
+  const report = SelectorHealthTracker.fromJSON(
+    stored[SELECTOR_HEALTH_STORAGE_KEY]
+  ).getReport();
+  const bytesInUse = await chrome.storage.sync.getBytesInUse(null);
+
+  return [
+    ["diagnosticsExtensionVersion", chrome.runtime.getManifest().version],
+    ["diagnosticsSettingsVersion", settings.version],
+    [
+      "diagnosticsSelectorPack",
+      pack
+        ? i18nManager.getMessage("selectorPackImported", [pack.version])
+        : i18nManager.getMessage("selectorPackBuiltIn", [
+            DEFAULT_SELECTOR_PACK.version,
+          ]),
+    ],
+    ["diagnosticsPageLoads", report.pageLoads],
+    [
+      "diagnosticsSelectorWarnings",
+      report.warnings.join(", ") || i18nManager.getMessage("diagnosticsNone"),
+    ],
+    [
+      "diagnosticsStorageUsage",
+      `${bytesInUse} / ${chrome.storage.sync.QUOTA_BYTES}`,
+    ],
+    ["diagnosticsLocale", i18nManager.getCurrentLocale()],
+    ["diagnosticsBrowser", navigator.userAgent],
+  ].map(([key, value]) => ({
+    label: i18nManager.getMessage(key),
+    value: String(value),
+  }));
+};
+
+/**
+ * オプションページの設定の読み書き
+ * 設定はポップアップと同じくバックグラウンドの getSettings / saveSettings を通す
+ */
+const settingsClient = {
+  getSettings: () => sendRuntimeMessage({ action: "getSettings" }),
+
+  saveSettings: async (settings) => {
+    try {
+      const response = await sendRuntimeMessage({
+        action: "saveSettings",
+        settings,
+      });
+
+      // 埋め込みモードのコンテンツスクリプトの登録を設定に合わせる
+      await sendRuntimeMessage({ action: "updateEmbedMode" });
+      return Boolean(response && response.success);
+    } catch (error) {
+      console.error("YouTube Theater Mode: 設定の保存に失敗しました", error);
+      return false;
+    }
+  },
+
+  backupSettings: async (settings) => {
+    const result = await migrationScripts.backupData({ settings });
+    if (result.isFailure()) {
+      console.error(
+        "YouTube Theater Mode: 設定のバックアップに失敗しました",
+        result.error
+      );
+      return false;
+    }
+
+    await migrationScripts.cleanupOldBackups();
+    return true;
+  },
+
+  getDiagnostics: async () =>
+    collectDiagnostics(await sendRuntimeMessage({ action: "getSettings" })),
+};
+
+/**
+ * 設定更新アクションの内容をバックグラウンドに保存するミドルウェア
+ * KeyboardShortcutManager.saveShortcuts() の保存先になる
+ * （保存に失敗した場合は例外を投げ、ストアの状態を更新しない）
+ * @param {Object} action - アクション
+ * @returns {Promise<Object>} アクション
+ */
+const persistSettingsUpdate = async (action) => {
+  if (
+    action.type === ActionType.SETTINGS_UPDATE &&
+    !(await settingsClient.saveSettings(action.payload.updates))
+  ) {
+    throw new Error("Failed to save settings");
+  }
+  return action;
+};
+
+/**
+ * 埋め込みモードの変更
+ * ホスト権限はユーザー操作の中でしか要求できないため、チェックの変更時にその場で要求する
+ * @param {Event} event - change イベント
+ */
+const handleEmbedModeChange = (event) => {
+  const checkbox = event.currentTarget;
+  const permissions = { origins: EMBED_PERMISSION_ORIGINS };
+
+  if (checkbox.checked) {
+    chrome.permissions.request(permissions, (granted) => {
+      // 権限が拒否された場合は無効に戻す
+      checkbox.checked = granted;
+    });
+  } else {
+    // 不要になったホスト権限は返却する
+    chrome.permissions.remove(permissions);
+  }
+};
+
+document.addEventListener("DOMContentLoaded", async () => {
+  // Localize the document
+  i18nManager.localizeDocument();
+
+  // Set document language attribute
+  document.documentElement.lang = i18nManager.getCurrentLocale();
+
+  const logger = new Logger("OptionsPage");
+  const errorHandler = new ErrorHandler(logger);
+  const uiEventHandler = new UIEventHandler({ logger, errorHandler });
+
+  const controller = createOptionsController({
+    schema: getDefaultSettingsSchema(),
+    settingsClient,
+    dataValidator: new DataValidator({ logger, errorHandler }),
+    extensionVersion: chrome.runtime.getManifest().version,
+    uiEventHandler,
+    i18n: i18nManager,
+    logger,
+    errorHandler,
+  });
+
+  const result = await controller.initialize();
+  if (result.isFailure()) {
+    console.error(
+      "YouTube Theater Mode: オプションページの初期化に失敗しました",
+      result.error
+    );
+    return;
+  }
+
+  uiEventHandler.registerHandler({
+    selector: "#option-embedModeEnabled",
+    event: "change",
+    handler: handleEmbedModeChange,
+  });
+
+  // ショートカットエディター
+  const stateStore = new StateStore({ logger, errorHandler });
+  stateStore.addMiddleware(persistSettingsUpdate);
+  const shortcutManager = createKeyboardShortcutManager({
+    logger,
+    errorHandler,
+    stateStore,
+  });
+  await shortcutManager.loadShortcuts(controller.settings.shortcuts || {});
+
+  const shortcutEditor = createShortcutEditor({
+    shortcutManager,
+    uiEventHandler,
+    i18n: i18nManager,
+    logger,
+    errorHandler,
+  });
+  shortcutEditor.initialize();
+  shortcutEditor.loadBrowserCommands();
+
+  // ブラウザのショートカット設定で変更したキーを戻ってきたときに反映
+  window.addEventListener("focus", () => shortcutEditor.loadBrowserCommands());
+
+  // 自動有効化のスケジュールエディター
+  const scheduleEditor = createScheduleEditor({
+    saveSchedule: (autoEnableSchedule) =>
+      settingsClient.saveSettings({ autoEnableSchedule }),
+    uiEventHandler,
+    i18n: i18nManager,
+    logger,
+    errorHandler,
+  });
+  scheduleEditor.initialize();
+  scheduleEditor.loadSchedule(controller.settings.autoEnableSchedule);
+
+  // 記録したショートカットとインポートしたショートカット・スケジュールを両方の表示に反映
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "sync") return;
+
+    if (changes.shortcuts) {
+      const shortcuts = changes.shortcuts.newValue || {};
+      controller.applySavedSettings({ shortcuts });
+      shortcutEditor.loadShortcuts(shortcuts);
+    }
+    if (changes.autoEnableSchedule) {
+      const autoEnableSchedule = changes.autoEnableSchedule.newValue || [];
+      controller.applySavedSettings({ autoEnableSchedule });
+      scheduleEditor.loadSchedule(autoEnableSchedule);
+    }
+  });
+
+  window.addEventListener("unload", () => {
+    scheduleEditor.dispose();
+    shortcutEditor.dispose();
+    controller.dispose();
+    uiEventHandler.dispose();
+  });
+});
@@ -16,13 +16,132 @@ document.addEventListener("DOMContentLoaded", () => {
   const theaterModeToggle = document.getElementById("theaterModeToggle");
   const opacitySlider = document.getElementById("opacitySlider");
   const opacityValue = document.getElementById("opacityValue");
-  const shortcutKey = document.getElementById("shortcutKey");
+  const overlayMode = document.getElementById("overlayMode");
+  const ambientOptions = document.getElementById("ambientOptions");
+  const ambientSampleInterval = document.getElementById(
+    "ambientSampleInterval"
+  );
+  const ambientSaturation = document.getElementById("ambientSaturation");
+  const ambientSampleIntervalValue = document.getElementById(
+    "ambientSampleIntervalValue"
+  );
+  const ambientSaturationValue = document.getElementById(
+    "ambientSaturationValue"
+  );
+  const overlayEffectSliders = document.querySelectorAll("input[data-effect]");
+  const overlayRegionRows = document.querySelectorAll(
+    "#overlayRegions [data-region]"
+  );
+  const revealEnabled = document.getElementById("revealEnabled");
+  const revealDelay = document.getElementById("revealDelay");
+  const revealHideDelay = document.getElementById("revealHideDelay");
+  const shortsActionRailVisible = document.getElementById(
+    "shortsActionRailVisible"
+  );
+  const liveChatEnabled = document.getElementById("liveChatEnabled");
+  const liveChatOpacity = document.getElementById("liveChatOpacity");
+  const liveChatOpacityValue = document.getElementById("liveChatOpacityValue");
+  const liveChatKeepPinned = document.getElementById("liveChatKeepPinned");
+  const liveChatKeepSuperChats = document.getElementById(
+    "liveChatKeepSuperChats"
+  );
+  const embedModeEnabled = document.getElementById("embedModeEnabled");
+  const autoEnableToggle = document.getElementById("autoEnableToggle");
+  const autoEnablePageTypes = document.getElementById("autoEnablePageTypes");
+  const pageTypeCheckboxes = autoEnablePageTypes.querySelectorAll(
+    "input[data-page-type]"
+  );
+  const playerStateRules = ["enableOnPlay", "lightenOnPause", "disableOnEnd"];
   const resetOpacityBtn = document.getElementById("resetOpacityBtn");
+  const opacityPresetList = document.getElementById("opacityPresetList");
+  const opacityPresetName = document.getElementById("opacityPresetName");
+  const saveOpacityPresetBtn = document.getElementById("saveOpacityPresetBtn");
   const statusIndicator = document.getElementById("statusIndicator");
   const statusText = document.getElementById("statusText");
+  const selectorHealthWarning = document.getElementById(
+    "selectorHealthWarning"
+  );
   const previewOverlay = document.getElementById("previewOverlay");
-  const shortcutKeyDisplay = document.getElementById("shortcutKeyDisplay");
+  const shortcutList = document.getElementById("shortcutList");
+  const customizeShortcutsBtn = document.getElementById(
+    "customizeShortcutsBtn"
+  );
+  const commandList = document.getElementById("commandList");
   const connectionStatus = document.getElementById("connectionStatus");
+  const channelName = document.getElementById("channelName");
+  const saveChannelProfileBtn = document.getElementById(
+    "saveChannelProfileBtn"
+  );
+  const forgetChannelProfileBtn = document.getElementById(
+    "forgetChannelProfileBtn"
+  );
+  const selectorRuleInput = document.getElementById("selectorRuleInput");
+  const selectorRuleType = document.getElementById("selectorRuleType");
+  const testSelectorRuleBtn = document.getElementById("testSelectorRuleBtn");
+  const addSelectorRuleBtn = document.getElementById("addSelectorRuleBtn");
+  const selectorRuleList = document.getElementById("selectorRuleList");
+  const selectorPackVersion = document.getElementById("selectorPackVersion");
+  const selectorPackInput = document.getElementById("selectorPackInput");
+  const importSelectorPackBtn = document.getElementById(
+    "importSelectorPackBtn"
+  );
+  const resetSelectorPackBtn = document.getElementById("resetSelectorPackBtn");
+  const openOptionsBtn = document.getElementById("openOptionsBtn");
+
+  // 表示するショートカット（未設定のショートカットはデフォルトを表示する）
+  const shortcutLogger = new Logger("Popup");
+  const shortcutManager = createKeyboardShortcutManager({
+    logger: shortcutLogger,
+    errorHandler: new ErrorHandler(shortcutLogger),
+  });
+
+  // 現在のタブのチャンネルと保存済みプロファイル
+  let currentChannel = null;
+  let channelProfiles = {};
+
+  // ユーザー定義のオーバーレイ対象ルール
+  let customSelectorRules = [];
+
+  // 再生状態による自動切り替えの設定（background.js のデフォルトと同じ）
+  let playerStateAutoDim = {
+    enableOnPlay: false,
+    enableOnPlayDelay: 0,
+    lightenOnPause: false,
+    pauseOpacity: 0.9,
+    lightenOnPauseDelay: 1000,
+    disableOnEnd: false,
+    disableOnEndDelay: 3000,
+  };
+
+  // アンビエントモードの設定（background.js のデフォルトと同じ）
+  let ambientSettings = {
+    sampleInterval: 500,
+    saturation: 1.2,
+  };
+
+  // オーバーレイの効果（透明度はスライダーの値と同じ）
+  let overlayEffects = normalizeOverlayEffects();
+
+  // 名前を付けて保存した透明度と効果のプリセット（順番が Ctrl+Shift+1〜5 の番号）
+  let opacityPresets = [];
+
+  // 領域ごとの暗さ（"default"、"hidden"、"off" または透明度）
+  let overlayRegionLevels = normalizeOverlayRegionLevels();
+
+  // ホバー・フォーカスで元に戻す設定（遅延はミリ秒）
+  let revealSettings = normalizeRevealSettings();
+
+  // ライブ配信でチャットを個別に暗くするプロファイル
+  let liveChatProfile = normalizeLiveChatProfile();
+
+  // ページタイプ別の自動有効化のデフォルト（background.js と同じ）
+  const DEFAULT_AUTO_ENABLE_PAGE_TYPES = {
+    video: true,
+    shorts: false,
+    live: true,
+    premiere: true,
+    playlist: true,
+  };
 
   // 設定を読み込み
   loadSettings();
@@ -30,16 +149,125 @@ document.addEventListener("DOMContentLoaded", () => {
   // 接続状態を確認
   checkConnectionStatus();
 
+  // セレクターの状態を確認
+  checkSelectorHealth();
+
+  // 使用中のセレクターパックを表示
+  loadSelectorPack();
+
+  // ブラウザのショートカットを表示
+  renderBrowserCommands();
+
   // イベントリスナー設定
   theaterModeToggle.addEventListener("change", handleTheaterModeToggle);
   opacitySlider.addEventListener("input", handleOpacityChange);
-  shortcutKey.addEventListener("change", handleShortcutChange);
+  overlayMode.addEventListener("change", handleOverlayModeChange);
+  ambientSampleInterval.addEventListener("input", renderAmbientValues);
+  ambientSampleInterval.addEventListener("change", handleAmbientSettingsChange);
+  ambientSaturation.addEventListener("input", renderAmbientValues);
+  ambientSaturation.addEventListener("change", handleAmbientSettingsChange);
+  overlayEffectSliders.forEach((slider) => {
+    slider.addEventListener("input", renderOverlayEffectValues);
+    slider.addEventListener("change", handleOverlayEffectsChange);
+  });
+  overlayRegionRows.forEach((row) => {
+    const levelSelect = row.querySelector(".region-level");
+    const opacityRange = row.querySelector(".region-opacity");
+
+    levelSelect.addEventListener("change", () => {
+      // 個別に設定する場合は現在の全体の透明度から始める
+      if (levelSelect.value === "custom") {
+        opacityRange.value = opacitySlider.value;
+      }
+      handleOverlayRegionsChange();
+    });
+    opacityRange.addEventListener("input", () => renderOverlayRegionValue(row));
+    opacityRange.addEventListener("change", handleOverlayRegionsChange);
+  });
+  [revealEnabled, revealDelay, revealHideDelay].forEach((input) => {
+    input.addEventListener("change", handleRevealSettingsChange);
+  });
+  shortsActionRailVisible.addEventListener(
+    "change",
+    handleShortsActionRailChange
+  );
+  liveChatOpacity.addEventListener("input", renderLiveChatOpacityValue);
+  [
+    liveChatEnabled,
+    liveChatOpacity,
+    liveChatKeepPinned,
+    liveChatKeepSuperChats,
+  ].forEach((input) => {
+    input.addEventListener("change", handleLiveChatProfileChange);
+  });
+  embedModeEnabled.addEventListener("change", handleEmbedModeChange);
+  autoEnableToggle.addEventListener("change", handleAutoEnableChange);
+  pageTypeCheckboxes.forEach((checkbox) => {
+    checkbox.addEventListener("change", handleAutoEnableChange);
+  });
+  playerStateRules.forEach((rule) => {
+    document
+      .getElementById(rule)
+      .addEventListener("change", handlePlayerStateAutoDimChange);
+    document
+      .getElementById(`${rule}Delay`)
+      .addEventListener("change", handlePlayerStateAutoDimChange);
+  });
 
   // デフォルト透明度リセットボタンのイベントリスナー
   if (resetOpacityBtn) {
     resetOpacityBtn.addEventListener("click", resetToDefaultOpacity);
   }
 
+  // 透明度のプリセットのイベントリスナー
+  saveOpacityPresetBtn.addEventListener("click", saveOpacityPreset);
+  opacityPresetName.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      saveOpacityPreset();
+    }
+  });
+
+  // チャンネルプロファイルボタンのイベントリスナー
+  if (saveChannelProfileBtn && forgetChannelProfileBtn) {
+    saveChannelProfileBtn.addEventListener("click", saveChannelProfile);
+    forgetChannelProfileBtn.addEventListener("click", forgetChannelProfile);
+  }
+
+  // カスタムルールエディターのイベントリスナー
+  if (selectorRuleInput && testSelectorRuleBtn && addSelectorRuleBtn) {
+    testSelectorRuleBtn.addEventListener("click", testSelectorRule);
+    addSelectorRuleBtn.addEventListener("click", addSelectorRule);
+    selectorRuleInput.addEventListener("input", () => {
+      selectorRuleInput.classList.remove("invalid");
+    });
+    selectorRuleInput.addEventListener("keydown", (event) => {
+      if (event.key === "Enter") {
+        addSelectorRule();
+      }
+    });
+  }
+
+  // セレクターパックのイベントリスナー
+  if (selectorPackInput && importSelectorPackBtn && resetSelectorPackBtn) {
+    importSelectorPackBtn.addEventListener("click", () =>
+      selectorPackInput.click()
+    );
+    selectorPackInput.addEventListener("change", importSelectorPack);
+    resetSelectorPackBtn.addEventListener("click", resetSelectorPack);
+  }
+
+  // オプションページを開く
+  if (openOptionsBtn) {
+    openOptionsBtn.addEventListener("click", () =>
+      chrome.runtime.openOptionsPage()
+    );
+  }
+
+  // ショートカットはオプションページのエディターで記録する
+  customizeShortcutsBtn.addEventListener("click", () =>
+    chrome.runtime.openOptionsPage()
+  );
+
   /**
    * 設定読み込み
    * バックグラウンドサービスから現在の設定を取得してUIに反映
@@ -60,10 +288,75 @@ document.addEventListener("DOMContentLoaded", () => {
         updateOpacityDisplay(opacity);
         updateOpacityPreview(opacity);
 
-        // ショートカットキーの設定
-        const keyboardShortcut = response.keyboardShortcut || "t";
-        shortcutKey.value = keyboardShortcut;
-        updateShortcutDisplay(keyboardShortcut);
+        // オーバーレイの効果の設定（旧形式の設定は透明度のみ）
+        overlayEffects = normalizeOverlayEffects({
+          ...(response.overlayEffects || {}),
+          opacity,
+        });
+        renderOverlayEffects();
+
+        // 透明度のプリセット
+        opacityPresets = normalizeOpacityPresets(response.opacityPresets);
+        renderOpacityPresets();
+
+        // 領域ごとの暗さの設定
+        overlayRegionLevels = normalizeOverlayRegionLevels(
+          response.overlayRegionLevels
+        );
+        renderOverlayRegions();
+
+        // ホバー・フォーカスで元に戻す設定
+        revealSettings = normalizeRevealSettings(response.revealSettings);
+        renderRevealSettings();
+
+        // Shorts のボタン列の設定
+        shortsActionRailVisible.checked =
+          response.shortsActionRailVisible !== false;
+
+        // ライブ配信プロファイルの設定
+        liveChatProfile = normalizeLiveChatProfile(response.liveChatProfile);
+        renderLiveChatProfile();
+
+        // 埋め込みモードの設定（ホスト権限を取り消された場合は無効として表示）
+        embedModeEnabled.checked = response.embedModeEnabled === true;
+        chrome.permissions.contains(
+          { origins: EMBED_PERMISSION_ORIGINS },
+          (granted) => {
+            embedModeEnabled.checked = embedModeEnabled.checked && granted;
+          }
+        );
+
+        // キーボードショートカットの設定
+        renderShortcuts(response.shortcuts || {});
+
+        // 描画モードの設定
+        overlayMode.value = response.overlayMode || "fade";
+        ambientSettings = {
+          ...ambientSettings,
+          ...(response.ambientSettings || {}),
+        };
+        renderAmbientSettings();
+
+        // ページタイプ別の自動有効化の設定
+        renderAutoEnable(
+          response.autoEnable === true,
+          response.autoEnablePageTypes
+        );
+
+        // 再生状態による自動切り替えの設定
+        playerStateAutoDim = {
+          ...playerStateAutoDim,
+          ...(response.playerStateAutoDim || {}),
+        };
+        renderPlayerStateAutoDim();
+
+        // チャンネルプロファイルの設定
+        channelProfiles = response.channelProfiles || {};
+        loadCurrentChannel();
+
+        // カスタムルールの設定
+        customSelectorRules = response.customSelectorRules || [];
+        renderSelectorRules();
 
         console.log("設定を読み込みました:", response);
       } else {
@@ -72,7 +365,7 @@ document.addEventListener("DOMContentLoaded", () => {
         updateOpacityDisplay(0.7);
         updateOpacityPreview(0.7);
         updateStatusIndicator(false);
-        updateShortcutDisplay("t");
+        renderShortcuts({});
       }
     });
   }
@@ -97,6 +390,33 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  /**
+   * セレクターの状態を確認
+   * 動画プレーヤーの優先セレクターが続けて一致していない場合に警告を表示
+   *
+   * @function checkSelectorHealth
+   */
+  function checkSelectorHealth() {
+    chrome.storage.local.get([SELECTOR_HEALTH_STORAGE_KEY], (result) => {
+      const tracker = SelectorHealthTracker.fromJSON(
+        result && result[SELECTOR_HEALTH_STORAGE_KEY]
+      );
+      const chain = tracker.getChain("videoPlayer");
+
+      if (!tracker.isPrimaryMissing("videoPlayer")) {
+        selectorHealthWarning.hidden = true;
+        return;
+      }
+
+      selectorHealthWarning.textContent = i18nManager.getMessage(
+        "selectorHealthWarning",
+        [String(chain.primaryMissedLoads)]
+      );
+      selectorHealthWarning.title = chain.lastMatchedSelector || "";
+      selectorHealthWarning.hidden = false;
+    });
+  }
+
   /**
    * シアターモード切り替え
    */
@@ -149,9 +469,10 @@ document.addEventListener("DOMContentLoaded", () => {
     updateOpacityPreview(roundedOpacity);
 
     // 設定を保存
+    overlayEffects = { ...overlayEffects, opacity: roundedOpacity };
     chrome.runtime.sendMessage({
       action: "saveSettings",
-      settings: { opacity: roundedOpacity },
+      settings: { opacity: roundedOpacity, overlayEffects },
     });
 
     // アクティブなタブに透明度変更を通知
@@ -167,6 +488,414 @@ document.addEventListener("DOMContentLoaded", () => {
     );
   }
 
+  /**
+   * オーバーレイの効果をUIに反映
+   */
+  function renderOverlayEffects() {
+    overlayEffectSliders.forEach((slider) => {
+      slider.value = overlayEffects[slider.dataset.effect];
+    });
+    renderOverlayEffectValues();
+  }
+
+  /**
+   * スライダーの値を表示（ぼかしはpx、それ以外は%）
+   */
+  function renderOverlayEffectValues() {
+    overlayEffectSliders.forEach((slider) => {
+      const value = parseFloat(slider.value);
+      document.getElementById(`${slider.id}Value`).textContent =
+        slider.dataset.effect === "blur"
+          ? `${value}px`
+          : `${Math.round(value * 100)}%`;
+    });
+  }
+
+  /**
+   * オーバーレイの効果の変更
+   */
+  function handleOverlayEffectsChange() {
+    const effects = {};
+    overlayEffectSliders.forEach((slider) => {
+      effects[slider.dataset.effect] = parseFloat(slider.value);
+    });
+    overlayEffects = normalizeOverlayEffects({ ...overlayEffects, ...effects });
+
+    // 設定を保存
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: { overlayEffects },
+    });
+
+    // アクティブなタブに効果の変更を通知（透明度は一時停止中の変更を保つため送らない）
+    sendMessageToActiveTab({ action: "updateOverlayEffects", effects });
+
+    console.log("オーバーレイの効果を変更しました:", overlayEffects);
+  }
+
+  /**
+   * 領域ごとの暗さをUIに反映
+   * 透明度のスライダーは「個別に設定」を選んだ領域のみ表示する
+   */
+  function renderOverlayRegions() {
+    overlayRegionRows.forEach((row) => {
+      const level = overlayRegionLevels[row.dataset.region];
+      const custom = typeof level === "number";
+
+      row.querySelector(".region-level").value = custom ? "custom" : level;
+      if (custom) {
+        row.querySelector(".region-opacity").value = level;
+      }
+      renderOverlayRegionValue(row);
+    });
+  }
+
+  /**
+   * 領域の透明度を表示
+   * @param {HTMLElement} row - 領域の行
+   */
+  function renderOverlayRegionValue(row) {
+    const custom = row.querySelector(".region-level").value === "custom";
+    const opacityRange = row.querySelector(".region-opacity");
+
+    opacityRange.hidden = !custom;
+    row.querySelector(".region-value").textContent = custom
+      ? `${Math.round(parseFloat(opacityRange.value) * 100)}%`
+      : "";
+  }
+
+  /**
+   * 領域ごとの暗さの変更
+   */
+  function handleOverlayRegionsChange() {
+    const levels = {};
+    overlayRegionRows.forEach((row) => {
+      const level = row.querySelector(".region-level").value;
+      levels[row.dataset.region] =
+        level === "custom"
+          ? parseFloat(row.querySelector(".region-opacity").value)
+          : level;
+    });
+    overlayRegionLevels = normalizeOverlayRegionLevels(levels);
+    renderOverlayRegions();
+
+    // 設定を保存
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: { overlayRegionLevels },
+    });
+
+    // アクティブなタブに領域ごとの暗さの変更を通知
+    sendMessageToActiveTab({
+      action: "updateOverlayRegions",
+      levels: overlayRegionLevels,
+    });
+
+    console.log("領域ごとの暗さを変更しました:", overlayRegionLevels);
+  }
+
+  /**
+   * ホバー・フォーカスで元に戻す設定をUIに反映
+   * 遅延はミリ秒で保存し、秒で表示する
+   */
+  function renderRevealSettings() {
+    revealEnabled.checked = revealSettings.enabled;
+    revealDelay.value = revealSettings.revealDelay / 1000;
+    revealHideDelay.value = revealSettings.hideDelay / 1000;
+    revealDelay.disabled = !revealSettings.enabled;
+    revealHideDelay.disabled = !revealSettings.enabled;
+  }
+
+  /**
+   * ホバー・フォーカスで元に戻す設定の変更
+   */
+  function handleRevealSettingsChange() {
+    revealSettings = normalizeRevealSettings({
+      enabled: revealEnabled.checked,
+      revealDelay: Math.round(parseFloat(revealDelay.value) * 1000),
+      hideDelay: Math.round(parseFloat(revealHideDelay.value) * 1000),
+    });
+    renderRevealSettings();
+
+    // 設定を保存
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: { revealSettings },
+    });
+
+    // アクティブなタブに設定変更を通知
+    sendMessageToActiveTab({
+      action: "updateRevealSettings",
+      settings: revealSettings,
+    });
+
+    console.log(
+      "ホバー・フォーカスで元に戻す設定を変更しました:",
+      revealSettings
+    );
+  }
+
+  /**
+   * Shorts のボタン列を暗くしないかどうかの変更
+   */
+  function handleShortsActionRailChange() {
+    const visible = shortsActionRailVisible.checked;
+
+    // 設定を保存
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: { shortsActionRailVisible: visible },
+    });
+
+    // アクティブなタブに設定変更を通知
+    sendMessageToActiveTab({ action: "updateShortsActionRail", visible });
+
+    console.log("Shorts のボタン列の表示を変更しました:", visible);
+  }
+
+  /**
+   * ライブ配信プロファイルをUIに反映
+   */
+  function renderLiveChatProfile() {
+    liveChatEnabled.checked = liveChatProfile.enabled;
+    liveChatOpacity.value = liveChatProfile.chatOpacity;
+    liveChatKeepPinned.checked = liveChatProfile.keepPinned;
+    liveChatKeepSuperChats.checked = liveChatProfile.keepSuperChats;
+    [liveChatOpacity, liveChatKeepPinned, liveChatKeepSuperChats].forEach(
+      (input) => {
+        input.disabled = !liveChatProfile.enabled;
+      }
+    );
+    renderLiveChatOpacityValue();
+  }
+
+  /**
+   * チャットの透明度の表示を更新
+   */
+  function renderLiveChatOpacityValue() {
+    liveChatOpacityValue.textContent = `${Math.round(
+      parseFloat(liveChatOpacity.value) * 100
+    )}%`;
+  }
+
+  /**
+   * ライブ配信プロファイルの変更
+   */
+  function handleLiveChatProfileChange() {
+    liveChatProfile = normalizeLiveChatProfile({
+      enabled: liveChatEnabled.checked,
+      chatOpacity: parseFloat(liveChatOpacity.value),
+      keepPinned: liveChatKeepPinned.checked,
+      keepSuperChats: liveChatKeepSuperChats.checked,
+    });
+    renderLiveChatProfile();
+
+    // 設定を保存
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: { liveChatProfile },
+    });
+
+    // アクティブなタブに設定変更を通知
+    sendMessageToActiveTab({
+      action: "updateLiveChatProfile",
+      profile: liveChatProfile,
+    });
+
+    console.log("ライブ配信プロファイルを変更しました:", liveChatProfile);
+  }
+
+  /**
+   * 埋め込みモードの変更
+   * ホスト権限はユーザー操作の中でしか要求できないため、変更時にその場で要求する
+   */
+  function handleEmbedModeChange() {
+    const permissions = { origins: EMBED_PERMISSION_ORIGINS };
+
+    if (embedModeEnabled.checked) {
+      chrome.permissions.request(permissions, (granted) => {
+        // 権限が拒否された場合は無効に戻す
+        embedModeEnabled.checked = granted;
+        saveEmbedMode(granted);
+      });
+    } else {
+      // 不要になったホスト権限は返却する
+      chrome.permissions.remove(permissions, () => saveEmbedMode(false));
+    }
+  }
+
+  /**
+   * 埋め込みモードの設定を保存し、コンテンツスクリプトの登録を更新
+   * @param {boolean} enabled - 有効にするかどうか
+   */
+  function saveEmbedMode(enabled) {
+    chrome.runtime.sendMessage(
+      { action: "saveSettings", settings: { embedModeEnabled: enabled } },
+      () => {
+        chrome.runtime.sendMessage({ action: "updateEmbedMode" });
+      }
+    );
+
+    console.log("埋め込みモードを変更しました:", enabled);
+  }
+
+  /**
+   * 描画モード変更
+   */
+  function handleOverlayModeChange() {
+    const mode = overlayMode.value;
+    renderAmbientSettings();
+
+    // 設定を保存
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: { overlayMode: mode },
+    });
+
+    // アクティブなタブに描画モード変更を通知
+    sendMessageToActiveTab({ action: "updateOverlayMode", mode });
+
+    console.log("描画モードを変更しました:", mode);
+  }
+
+  /**
+   * アンビエントモードの設定をUIに反映
+   * 設定項目はアンビエントモードを選んだ場合のみ表示する
+   */
+  function renderAmbientSettings() {
+    ambientOptions.hidden = overlayMode.value !== "ambient";
+    ambientSampleInterval.value = ambientSettings.sampleInterval;
+    ambientSaturation.value = ambientSettings.saturation;
+    renderAmbientValues();
+  }
+
+  /**
+   * スライダーの値を表示（更新間隔は秒、鮮やかさは%）
+   */
+  function renderAmbientValues() {
+    const seconds = parseInt(ambientSampleInterval.value, 10) / 1000;
+    const saturation = Math.round(parseFloat(ambientSaturation.value) * 100);
+
+    ambientSampleIntervalValue.textContent = `${seconds} ${i18nManager.getMessage(
+      "secondsUnit"
+    )}`;
+    ambientSaturationValue.textContent = `${saturation}%`;
+  }
+
+  /**
+   * アンビエントモードの設定変更
+   */
+  function handleAmbientSettingsChange() {
+    ambientSettings = {
+      sampleInterval: parseInt(ambientSampleInterval.value, 10),
+      saturation: Math.round(parseFloat(ambientSaturation.value) * 10) / 10,
+    };
+
+    // 設定を保存
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: { ambientSettings },
+    });
+
+    // アクティブなタブに設定変更を通知
+    sendMessageToActiveTab({
+      action: "updateAmbientSettings",
+      settings: ambientSettings,
+    });
+
+    console.log("アンビエントモードの設定を変更しました:", ambientSettings);
+  }
+
+  /**
+   * ページタイプ別の自動有効化の設定をUIに反映
+   * @param {boolean} enabled - 自動有効化の全体スイッチ
+   * @param {Object<string, boolean>} [pageTypes] - ページタイプ別の設定
+   */
+  function renderAutoEnable(enabled, pageTypes) {
+    const merged = { ...DEFAULT_AUTO_ENABLE_PAGE_TYPES, ...(pageTypes || {}) };
+
+    autoEnableToggle.checked = enabled;
+    pageTypeCheckboxes.forEach((checkbox) => {
+      checkbox.checked = merged[checkbox.dataset.pageType] === true;
+      checkbox.disabled = !enabled;
+    });
+    autoEnablePageTypes.classList.toggle("disabled", !enabled);
+  }
+
+  /**
+   * 自動有効化の設定変更
+   * 次に YouTube のページを開いたとき（SPA 遷移を含む）から適用される
+   */
+  function handleAutoEnableChange() {
+    const pageTypes = {};
+    pageTypeCheckboxes.forEach((checkbox) => {
+      pageTypes[checkbox.dataset.pageType] = checkbox.checked;
+    });
+
+    renderAutoEnable(autoEnableToggle.checked, pageTypes);
+
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: {
+        autoEnable: autoEnableToggle.checked,
+        autoEnablePageTypes: pageTypes,
+      },
+    });
+
+    console.log("自動有効化の設定を変更しました:", pageTypes);
+  }
+
+  /**
+   * 再生状態による自動切り替えの設定をUIに反映
+   * 遅延はミリ秒で保存し、秒で表示する
+   */
+  function renderPlayerStateAutoDim() {
+    playerStateRules.forEach((rule) => {
+      const checkbox = document.getElementById(rule);
+      const delayInput = document.getElementById(`${rule}Delay`);
+
+      checkbox.checked = playerStateAutoDim[rule] === true;
+      delayInput.value = playerStateAutoDim[`${rule}Delay`] / 1000;
+      delayInput.disabled = !checkbox.checked;
+    });
+  }
+
+  /**
+   * 再生状態による自動切り替えの設定変更
+   */
+  function handlePlayerStateAutoDimChange() {
+    playerStateRules.forEach((rule) => {
+      const seconds = parseFloat(
+        document.getElementById(`${rule}Delay`).value
+      );
+      const delay = Number.isFinite(seconds)
+        ? Math.round(Math.max(0, Math.min(10, seconds)) * 1000)
+        : 0;
+
+      playerStateAutoDim[rule] = document.getElementById(rule).checked;
+      playerStateAutoDim[`${rule}Delay`] = delay;
+    });
+
+    renderPlayerStateAutoDim();
+
+    // 設定を保存
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: { playerStateAutoDim },
+    });
+
+    // アクティブなタブに設定変更を通知
+    sendMessageToActiveTab({
+      action: "updatePlayerStateAutoDim",
+      settings: playerStateAutoDim,
+    });
+
+    console.log(
+      "再生状態による自動切り替えを変更しました:",
+      playerStateAutoDim
+    );
+  }
+
   /**
    * デフォルト透明度（70%）にリセット
    */
@@ -179,9 +908,10 @@ document.addEventListener("DOMContentLoaded", () => {
     updateOpacityPreview(defaultOpacity);
 
     // 設定を保存
+    overlayEffects = { ...overlayEffects, opacity: defaultOpacity };
     chrome.runtime.sendMessage({
       action: "saveSettings",
-      settings: { opacity: defaultOpacity },
+      settings: { opacity: defaultOpacity, overlayEffects },
     });
 
     // アクティブなタブに透明度変更を通知
@@ -204,24 +934,581 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   /**
-   * ショートカットキー変更
+   * プリセットの表示名を取得
+   * 名前のないプリセットは番号で表す
+   * @param {number} index - プリセットの位置（0から）
+   * @returns {string} 表示名
    */
-  function handleShortcutChange() {
-    const shortcut = shortcutKey.value;
+  function getOpacityPresetName(index) {
+    return (
+      opacityPresets[index].name ||
+      i18nManager.getMessage("opacityPresetDefaultName", [String(index + 1)])
+    );
+  }
 
-    // UI表示を更新
-    updateShortcutDisplay(shortcut);
+  /**
+   * プリセットの一覧の表示更新
+   * 保存できる数に達したら保存ボタンを無効にする
+   */
+  function renderOpacityPresets() {
+    opacityPresetList.textContent = "";
+
+    opacityPresets.forEach((preset, index) => {
+      const name = getOpacityPresetName(index);
+      const keys = formatShortcut(createOpacityPresetShortcut(index, name));
+      const item = document.createElement("li");
+
+      const applyBtn = document.createElement("button");
+      applyBtn.className = "reset-button opacity-preset-apply";
+      applyBtn.title = i18nManager.getMessage("opacityPresetApplyTitle", [
+        name,
+        keys,
+      ]);
+      const number = document.createElement("span");
+      number.className = "opacity-preset-number";
+      number.textContent = String(index + 1);
+      applyBtn.append(number, `${name} ${Math.round(preset.opacity * 100)}%`);
+      applyBtn.addEventListener("click", () => applyOpacityPreset(index));
+
+      const removeLabel = i18nManager.getMessage("opacityPresetRemove", [name]);
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "reset-button opacity-preset-remove";
+      removeBtn.textContent = "×";
+      removeBtn.title = removeLabel;
+      removeBtn.setAttribute("aria-label", removeLabel);
+      removeBtn.addEventListener("click", () => removeOpacityPreset(index));
+
+      item.append(applyBtn, removeBtn);
+      opacityPresetList.appendChild(item);
+    });
+
+    saveOpacityPresetBtn.disabled =
+      opacityPresets.length >= MAX_OPACITY_PRESETS;
+  }
+
+  /**
+   * プリセットを適用
+   * ページではコンテンツスクリプトが透明度をアニメーションさせながら切り替える
+   * @param {number} index - プリセットの位置（0から）
+   */
+  function applyOpacityPreset(index) {
+    // UI表示を更新（名前以外はオーバーレイの効果と同じ値）
+    overlayEffects = normalizeOverlayEffects(opacityPresets[index]);
+    updateOpacityDisplay(overlayEffects.opacity);
+    updateOpacityPreview(overlayEffects.opacity);
+    renderOverlayEffects();
 
     // 設定を保存
     chrome.runtime.sendMessage({
       action: "saveSettings",
-      settings: { keyboardShortcut: shortcut },
+      settings: { opacity: overlayEffects.opacity, overlayEffects },
+    });
+
+    // アクティブなタブにプリセットの適用を通知
+    sendMessageToActiveTab({ action: "applyOpacityPreset", index });
+
+    console.log("透明度のプリセットを適用しました:", opacityPresets[index]);
+  }
+
+  /**
+   * 現在の透明度と効果をプリセットとして保存
+   */
+  function saveOpacityPreset() {
+    if (opacityPresets.length >= MAX_OPACITY_PRESETS) {
+      showOpacityFeedback(
+        i18nManager.getMessage("opacityPresetLimit", [
+          String(MAX_OPACITY_PRESETS),
+        ])
+      );
+      return;
+    }
+
+    const preset = normalizeOpacityPreset({
+      ...overlayEffects,
+      name: opacityPresetName.value,
+    });
+    saveOpacityPresets([...opacityPresets, preset]);
+    opacityPresetName.value = "";
+
+    showOpacityFeedback(
+      i18nManager.getMessage("opacityPresetSaved", [
+        getOpacityPresetName(opacityPresets.length - 1),
+      ])
+    );
+  }
+
+  /**
+   * プリセットを削除
+   * 後ろのプリセットの番号は1つずつ繰り上がる
+   * @param {number} index - プリセットの位置（0から）
+   */
+  function removeOpacityPreset(index) {
+    saveOpacityPresets(opacityPresets.filter((_, i) => i !== index));
+  }
+
+  /**
+   * プリセットを保存
+   * ページのショートカットは保存された設定の変更から登録し直される
+   * @param {Array<Object>} presets - 保存するプリセット
+   */
+  function saveOpacityPresets(presets) {
+    opacityPresets = normalizeOpacityPresets(presets);
+    renderOpacityPresets();
+
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: { opacityPresets },
+    });
+
+    console.log("透明度のプリセットを保存しました:", opacityPresets.length);
+  }
+
+  /**
+   * 透明度のフィードバックを表示
+   * @param {string} message - 表示するメッセージ
+   */
+  function showOpacityFeedback(message) {
+    const feedbackEl = document.getElementById("opacityFeedback");
+    if (feedbackEl) {
+      feedbackEl.textContent = message;
+      feedbackEl.style.display = "block";
+      setTimeout(() => {
+        feedbackEl.style.display = "none";
+      }, 2000);
+    }
+  }
+
+  /**
+   * アクティブなタブのチャンネルを取得
+   */
+  function loadCurrentChannel() {
+    sendMessageToActiveTab({ action: "getChannel" }, (response) => {
+      currentChannel = response && response.channel ? response.channel : null;
+      updateChannelProfileDisplay();
+    });
+  }
+
+  /**
+   * 現在の有効状態と透明度をチャンネルプロファイルとして保存
+   */
+  function saveChannelProfile() {
+    if (!currentChannel) return;
+
+    const channel = currentChannel;
+    chrome.runtime.sendMessage(
+      {
+        action: "saveChannelProfile",
+        channelId: channel.id,
+        aliases: channel.aliases,
+        profile: {
+          theaterModeEnabled: theaterModeToggle.checked,
+          opacity: parseFloat(opacitySlider.value),
+          name: channel.name,
+        },
+      },
+      (response) => {
+        if (response && response.success) {
+          channelProfiles = response.channelProfiles;
+          updateChannelProfileDisplay();
+          showChannelProfileFeedback(
+            i18nManager.getMessage("channelProfileSaved", [channel.name])
+          );
+
+          // 保存したプロファイルを以降のナビゲーションの基準にする
+          sendMessageToActiveTab({ action: "applyChannelProfile" });
+
+          console.log("チャンネルプロファイルを保存しました:", channel.id);
+        } else {
+          console.warn(
+            "チャンネルプロファイルの保存に失敗しました",
+            response && response.error
+          );
+
+          // 同期ストレージの容量を超えた場合は削除を促す
+          if (
+            response &&
+            response.errorType === ErrorType.QUOTA_EXCEEDED_ERROR
+          ) {
+            showChannelProfileFeedback(
+              i18nManager.getMessage("channelProfileQuotaExceeded")
+            );
+          }
+        }
+      }
+    );
+  }
+
+  /**
+   * 現在のチャンネルのプロファイルを削除
+   */
+  function forgetChannelProfile() {
+    if (!currentChannel) return;
+
+    const channel = currentChannel;
+    chrome.runtime.sendMessage(
+      {
+        action: "removeChannelProfile",
+        channelId: channel.id,
+        aliases: channel.aliases,
+      },
+      (response) => {
+        if (response && response.success) {
+          channelProfiles = response.channelProfiles;
+          updateChannelProfileDisplay();
+          showChannelProfileFeedback(
+            i18nManager.getMessage("channelProfileRemoved", [channel.name])
+          );
+
+          sendMessageToActiveTab({ action: "applyChannelProfile" });
+
+          console.log("チャンネルプロファイルを削除しました:", channel.id);
+        } else {
+          console.warn("チャンネルプロファイルの削除に失敗しました");
+        }
+      }
+    );
+  }
+
+  /**
+   * チャンネルプロファイル表示更新
+   */
+  function updateChannelProfileDisplay() {
+    if (!channelName) return;
+
+    if (currentChannel) {
+      channelName.textContent = currentChannel.name;
+      channelName.title = currentChannel.id;
+    } else {
+      channelName.textContent = i18nManager.getMessage("noChannelDetected");
+      channelName.title = "";
+    }
+
+    saveChannelProfileBtn.disabled = !currentChannel;
+    forgetChannelProfileBtn.disabled =
+      !currentChannel ||
+      ![currentChannel.id, ...currentChannel.aliases].some(
+        (id) => channelProfiles[id]
+      );
+  }
+
+  /**
+   * チャンネルプロファイルのフィードバックを表示
+   */
+  function showChannelProfileFeedback(message) {
+    const feedbackEl = document.getElementById("channelProfileFeedback");
+    if (feedbackEl) {
+      feedbackEl.textContent = message;
+      feedbackEl.style.display = "block";
+      setTimeout(() => {
+        feedbackEl.style.display = "none";
+      }, 2000);
+    }
+  }
+
+  /**
+   * 入力中のセレクターを取得して検証
+   * 無効な場合はエラーを表示してnullを返す
+   * @returns {string|null} 有効なセレクター
+   */
+  function getValidatedSelectorInput() {
+    const selector = selectorRuleInput.value.trim();
+
+    if (!isValidSelector(selector)) {
+      selectorRuleInput.classList.add("invalid");
+      showSelectorRuleFeedback(i18nManager.getMessage("invalidSelector"), true);
+      return null;
+    }
+
+    return selector;
+  }
+
+  /**
+   * 入力中のセレクターに一致する要素をページ上で強調表示
+   */
+  function testSelectorRule() {
+    const selector = getValidatedSelectorInput();
+    if (!selector) return;
+
+    sendMessageToActiveTab(
+      { action: "testSelectorRule", selector },
+      (response) => {
+        if (!response || !response.valid) {
+          showSelectorRuleFeedback(
+            i18nManager.getMessage("invalidSelector"),
+            true
+          );
+          return;
+        }
+
+        showSelectorRuleFeedback(
+          i18nManager.getMessage("selectorMatches", [String(response.count)]),
+          response.count === 0
+        );
+      }
+    );
+  }
+
+  /**
+   * 入力中のセレクターをルールとして追加
+   * 同じセレクターと種類のルールは置き換える
+   */
+  function addSelectorRule() {
+    const selector = getValidatedSelectorInput();
+    if (!selector) return;
+
+    const type = selectorRuleType.value;
+    const rules = customSelectorRules.filter(
+      (rule) => !(rule.selector === selector && rule.type === type)
+    );
+
+    if (rules.length >= MAX_SELECTOR_RULES) {
+      showSelectorRuleFeedback(
+        i18nManager.getMessage("ruleLimitReached", [
+          String(MAX_SELECTOR_RULES),
+        ]),
+        true
+      );
+      return;
+    }
+
+    rules.push({ selector, type, enabled: true });
+    saveSelectorRules(rules);
+    selectorRuleInput.value = "";
+  }
+
+  /**
+   * ルールを削除
+   * @param {Object} target - 削除するルール
+   */
+  function removeSelectorRule(target) {
+    saveSelectorRules(
+      customSelectorRules.filter(
+        (rule) =>
+          !(rule.selector === target.selector && rule.type === target.type)
+      )
+    );
+  }
+
+  /**
+   * ルールを検証して保存し、アクティブなタブに反映
+   * @param {Array<Object>} rules - 保存するルール
+   */
+  function saveSelectorRules(rules) {
+    const validation = validateSelectorRules(rules);
+    if (validation.isFailure()) {
+      showSelectorRuleFeedback(i18nManager.getMessage("invalidSelector"), true);
+      console.warn(
+        "カスタムルールの検証に失敗しました:",
+        validation.error
+      );
+      return;
+    }
+
+    customSelectorRules = validation.data;
+    renderSelectorRules();
+
+    chrome.runtime.sendMessage({
+      action: "saveSettings",
+      settings: { customSelectorRules: validation.data },
+    });
+
+    sendMessageToActiveTab({ action: "updateSelectorRules" });
+
+    console.log("カスタムルールを保存しました:", validation.data.length);
+  }
+
+  /**
+   * ルール一覧の表示更新
+   */
+  function renderSelectorRules() {
+    if (!selectorRuleList) return;
+
+    selectorRuleList.textContent = "";
+
+    if (customSelectorRules.length === 0) {
+      const empty = document.createElement("li");
+      empty.className = "empty";
+      empty.textContent = i18nManager.getMessage("noCustomRules");
+      selectorRuleList.appendChild(empty);
+      return;
+    }
+
+    customSelectorRules.forEach((rule) => {
+      const item = document.createElement("li");
+
+      const type = document.createElement("span");
+      type.className = `rule-type ${rule.type}`;
+      type.textContent = i18nManager.getMessage(
+        rule.type === "exclude" ? "ruleExclude" : "ruleInclude"
+      );
+
+      const selector = document.createElement("span");
+      selector.className = "rule-selector";
+      selector.textContent = rule.selector;
+      selector.title = rule.selector;
+
+      const removeBtn = document.createElement("button");
+      removeBtn.className = "reset-button";
+      removeBtn.textContent = "×";
+      removeBtn.title = i18nManager.getMessage("removeRule");
+      removeBtn.addEventListener("click", () => removeSelectorRule(rule));
+
+      item.append(type, selector, removeBtn);
+      selectorRuleList.appendChild(item);
+    });
+  }
+
+  /**
+   * カスタムルールのフィードバックを表示
+   * @param {string} message - 表示するメッセージ
+   * @param {boolean} [isError=false] - エラー表示にするかどうか
+   */
+  function showSelectorRuleFeedback(message, isError = false) {
+    const feedbackEl = document.getElementById("selectorRuleFeedback");
+    if (feedbackEl) {
+      feedbackEl.textContent = message;
+      feedbackEl.classList.toggle("error", isError);
+      feedbackEl.style.display = "block";
+      setTimeout(() => {
+        feedbackEl.style.display = "none";
+      }, 2000);
+    }
+  }
+
+  /**
+   * 使用中のセレクターパックを読み込んで表示
+   */
+  function loadSelectorPack() {
+    if (!selectorPackVersion) return;
+
+    chrome.storage.local.get([SELECTOR_PACK_STORAGE_KEY], (result) => {
+      renderSelectorPack((result && result[SELECTOR_PACK_STORAGE_KEY]) || null);
     });
+  }
 
-    // アクティブなタブにショートカット変更を通知
-    sendMessageToActiveTab({ action: "updateShortcut", shortcut: shortcut });
+  /**
+   * セレクターパックの表示更新
+   * @param {Object|null} pack - 読み込んだパック（同梱のパックを使う場合はnull）
+   */
+  function renderSelectorPack(pack) {
+    if (!selectorPackVersion) return;
 
-    console.log("ショートカットキーを変更しました:", shortcut);
+    selectorPackVersion.textContent = pack
+      ? i18nManager.getMessage("selectorPackImported", [pack.version])
+      : i18nManager.getMessage("selectorPackBuiltIn", [
+          DEFAULT_SELECTOR_PACK.version,
+        ]);
+    resetSelectorPackBtn.disabled = !pack;
+  }
+
+  /**
+   * 選択されたファイルのセレクターパックを検証して保存し、アクティブなタブに反映
+   */
+  function importSelectorPack() {
+    const [file] = selectorPackInput.files;
+    selectorPackInput.value = "";
+    if (!file) return;
+
+    if (file.size > MAX_SELECTOR_PACK_SIZE) {
+      showSelectorPackFeedback(
+        i18nManager.getMessage("selectorPackInvalid"),
+        true
+      );
+      return;
+    }
+
+    file
+      .text()
+      .then((text) => {
+        let pack;
+        try {
+          pack = JSON.parse(text);
+        } catch (error) {
+          pack = null;
+        }
+
+        const validation = new DataValidator().validate(
+          pack,
+          SELECTOR_PACK_SCHEMA
+        );
+        if (validation.isFailure() || !validation.data.valid) {
+          console.warn(
+            "セレクターパックが不正です:",
+            validation.isSuccess() ? validation.data.errors : validation.error
+          );
+          showSelectorPackFeedback(
+            i18nManager.getMessage("selectorPackInvalid"),
+            true
+          );
+          return;
+        }
+
+        const extensionVersion = chrome.runtime.getManifest().version;
+        if (!isSelectorPackCompatible(pack, extensionVersion)) {
+          showSelectorPackFeedback(
+            i18nManager.getMessage("selectorPackIncompatible", [
+              pack.minExtensionVersion,
+            ]),
+            true
+          );
+          return;
+        }
+
+        saveSelectorPack(pack);
+        showSelectorPackFeedback(
+          i18nManager.getMessage("selectorPackApplied", [pack.version])
+        );
+      })
+      .catch((error) => {
+        console.error("セレクターパックの読み込みに失敗しました:", error);
+        showSelectorPackFeedback(
+          i18nManager.getMessage("selectorPackInvalid"),
+          true
+        );
+      });
+  }
+
+  /**
+   * 同梱のセレクターパックに戻す
+   */
+  function resetSelectorPack() {
+    saveSelectorPack(null);
+    showSelectorPackFeedback(i18nManager.getMessage("selectorPackReset"));
+  }
+
+  /**
+   * セレクターパックを保存してアクティブなタブに反映
+   * @param {Object|null} pack - 保存するパック（null の場合は同梱のパックに戻す）
+   */
+  function saveSelectorPack(pack) {
+    const done = () => {
+      renderSelectorPack(pack);
+      sendMessageToActiveTab({ action: "updateSelectorPack" });
+      console.log("セレクターパックを保存しました:", pack && pack.version);
+    };
+
+    if (pack) {
+      chrome.storage.local.set({ [SELECTOR_PACK_STORAGE_KEY]: pack }, done);
+    } else {
+      chrome.storage.local.remove(SELECTOR_PACK_STORAGE_KEY, done);
+    }
+  }
+
+  /**
+   * セレクターパックのフィードバックを表示
+   * @param {string} message - 表示するメッセージ
+   * @param {boolean} [isError=false] - エラー表示にするかどうか
+   */
+  function showSelectorPackFeedback(message, isError = false) {
+    const feedbackEl = document.getElementById("selectorPackFeedback");
+    if (feedbackEl) {
+      feedbackEl.textContent = message;
+      feedbackEl.classList.toggle("error", isError);
+      feedbackEl.style.display = "block";
+      setTimeout(() => {
+        feedbackEl.style.display = "none";
+      }, 2000);
+    }
   }
 
   /**
@@ -270,26 +1557,57 @@ document.addEventListener("DOMContentLoaded", () => {
   }
 
   /**
-   * ショートカット表示更新
+   * キーボードショートカットの一覧を表示
+   * ショートカットの記録はオプションページで行う
+   * @param {Object} shortcuts - ショートカットIDをキーとした保存済みの設定
    */
-  function updateShortcutDisplay(shortcut) {
-    if (shortcutKeyDisplay) {
-      // ショートカットキーの表示名を設定
-      let displayText = shortcut.toUpperCase();
+  async function renderShortcuts(shortcuts) {
+    await shortcutManager.loadShortcuts(shortcuts);
+    // キーの位置で割り当てたショートカットは現在のキーボード配列の文字で表示する
+    const layoutMap = await loadKeyboardLayoutMap();
 
-      // 特殊キーの場合は表示名を変更
-      if (shortcut === "space") {
-        displayText = "スペース";
-      }
+    shortcutList.textContent = "";
+    shortcutManager.getShortcuts().data.forEach((config, id) => {
+      const item = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = SHORTCUT_MESSAGE_KEYS[id]
+        ? i18nManager.getMessage(SHORTCUT_MESSAGE_KEYS[id])
+        : config.description;
+      const keys = document.createElement("kbd");
+      keys.textContent = formatShortcut(config, layoutMap);
 
-      shortcutKeyDisplay.textContent = displayText;
-    }
+      item.append(label, keys);
+      shortcutList.appendChild(item);
+    });
+  }
+
+  /**
+   * ブラウザのショートカット（chrome.commands）の一覧を表示
+   * ページにフォーカスがなくても使えるキーで、ブラウザのショートカット設定で変更する
+   */
+  async function renderBrowserCommands() {
+    const commands = await loadBrowserCommands();
+
+    commandList.textContent = "";
+    commands.forEach((command) => {
+      const item = document.createElement("li");
+      const label = document.createElement("span");
+      label.textContent = command.description;
+      const keys = document.createElement("kbd");
+      keys.textContent =
+        command.shortcut || i18nManager.getMessage("browserShortcutNotSet");
+
+      item.append(label, keys);
+      commandList.appendChild(item);
+    });
   }
 
   /**
    * アクティブなタブにメッセージ送信
+   * @param {Object} message - 送信するメッセージ
+   * @param {Function} [callback] - コンテンツスクリプトの応答を受け取る関数
    */
-  function sendMessageToActiveTab(message) {
+  function sendMessageToActiveTab(message, callback) {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (tabs[0] && tabs[0].url && tabs[0].url.includes("youtube.com")) {
         // バックグラウンドスクリプトを経由してメッセージを送信
@@ -314,6 +1632,9 @@ document.addEventListener("DOMContentLoaded", () => {
 
             if (response && response.success) {
               console.log("メッセージ送信成功:", response);
+              if (callback) {
+                callback(response.response);
+              }
             } else if (response && response.error) {
               console.warn("メッセージ送信エラー:", response.error);
               connectionStatus.textContent =
@@ -4,7 +4,7 @@
  */
 
 // 依存関係のインポート
-let Logger,
+var Logger,
   ErrorHandler,
   Result,
   AppError,
@@ -41,6 +41,8 @@ class TabStateManager {
    * @param {Object} [options.logger] - ロガーインスタンス
    * @param {Object} [options.errorHandler] - エラーハンドラーインスタンス
    * @param {number} [options.syncIntervalTime=5000] - 同期間隔（ミリ秒）
+   * @param {boolean} [options.syncTabs=true] - タブに状態を送信して同期するかどうか
+   *   （false の場合はアクティブなタブの追跡だけを行い、タブの状態は変更しない）
    */
   constructor(options) {
     if (!options || !options.stateStore) {
@@ -51,6 +53,7 @@ class TabStateManager {
     this.logger = options.logger;
     this.errorHandler = options.errorHandler;
     this.syncIntervalTime = options.syncIntervalTime || 5000;
+    this.syncTabs = options.syncTabs !== false;
 
     // 同期インターバル
     this.syncInterval = null;
@@ -78,7 +81,9 @@ class TabStateManager {
     await this.getCurrentActiveTab();
 
     // 定期的な状態同期を開始
-    this.startPeriodicSync();
+    if (this.syncTabs) {
+      this.startPeriodicSync();
+    }
   }
 
   /**
@@ -174,10 +179,12 @@ class TabStateManager {
 
   /**
    * 現在のアクティブタブを取得
+   * YouTube の動画ページの場合はアクティブなタブとして登録する
+   * @returns {Promise<Object|null>} YouTube の動画ページのタブ（それ以外の場合はnull）
    */
   async getCurrentActiveTab() {
     if (typeof chrome === "undefined" || !chrome.tabs) {
-      return;
+      return null;
     }
 
     try {
@@ -203,8 +210,11 @@ class TabStateManager {
         if (activeTab.url && activeTab.url.includes("youtube.com/watch")) {
           await this.activateTab(activeTab.id);
           await this.registerTab(activeTab.id, activeTab);
+          return activeTab;
         }
       }
+
+      return null;
     } catch (error) {
       if (this.logger) {
         this.logger.error("Error getting current active tab", error);
@@ -215,6 +225,8 @@ class TabStateManager {
           context: { operation: "getCurrentActiveTab" },
         });
       }
+
+      return null;
     }
   }
 
@@ -444,10 +456,11 @@ class TabStateManager {
 
   /**
    * タブにメッセージを送信
+   * syncTabs が false の場合は送信しない
    * @param {number} tabId - タブID
    */
   async notifyTab(tabId) {
-    if (typeof chrome === "undefined" || !chrome.tabs) {
+    if (!this.syncTabs || typeof chrome === "undefined" || !chrome.tabs) {
       return;
     }
 
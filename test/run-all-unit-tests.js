@@ -25,6 +25,7 @@ const unitTests = [
   "run-message-bus-tests.js",
   "run-message-router-tests.js",
   "run-storage-adapter-tests.js",
+  "run-sync-settings-storage-tests.js",
 
   // Business Layer Tests
   "run-state-store-tests.js",
@@ -32,11 +33,32 @@ const unitTests = [
   "run-settings-error-tests.js",
   "run-tab-state-tests.js",
   "run-data-validator-tests.js",
+  "run-selector-rules-tests.js",
+  "run-auto-enable-schedule-tests.js",
+  "run-auto-enable-scheduler-tests.js",
 
   // Element Management Layer Tests
   "run-element-manager-tests.js",
   "run-element-observer-tests.js",
   "run-overlay-tests.js",
+  "run-ambient-color-sampler-tests.js",
+  "run-overlay-effects-tests.js",
+  "run-overlay-regions-tests.js",
+  "run-overlay-reveal-tests.js",
+  "run-live-chat-tests.js",
+  "run-embed-mode-tests.js",
+  "run-selector-health-tests.js",
+  "run-heuristic-detector-tests.js",
+  "run-selector-pack-tests.js",
+  "run-options-controller-tests.js",
+  "run-settings-transfer-tests.js",
+  "run-shortcut-editor-tests.js",
+  "run-schedule-editor-tests.js",
+  "run-shortcut-help-tests.js",
+  "run-opacity-presets-tests.js",
+  "run-on-screen-display-tests.js",
+  "run-detection-prompt-tests.js",
+  "run-script-loading-tests.js",
 
   // Theater Mode Controller Tests
   "run-theater-mode-controller-tests.js",
@@ -45,7 +67,9 @@ const unitTests = [
 
   // Background Service Tests
   "run-background-service-tests.js",
+  "run-background-tests.js",
   "run-service-worker-manager-tests.js",
+  "run-browser-command-router-tests.js",
 
   // Popup UI Tests
   "run-popup-controller-tests.js",
@@ -54,8 +78,11 @@ const unitTests = [
 
   // Content Script Tests
   "run-content-script-manager-tests.js",
+  "run-content-script-auto-enable-tests.js",
+  "run-content-script-tests.js",
   "run-content-script-communicator-tests.js",
   "run-youtube-page-detector-tests.js",
+  "run-player-state-watcher-tests.js",
 
   // Performance Tests
   "run-resource-manager-tests.js",
@@ -0,0 +1,34 @@
+/**
+ * AmbientColorSampler テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running AmbientColorSampler tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-ambient-color-sampler.js");
+
+  // テスト実行
+  if (typeof testModule.runAmbientColorSamplerTests === "function") {
+    testModule
+      .runAmbientColorSamplerTests()
+      .then(() => {
+        console.log("AmbientColorSampler tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in AmbientColorSampler tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running AmbientColorSampler tests:", error);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * AutoEnableSchedule テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running AutoEnableSchedule tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-auto-enable-schedule.js");
+
+  // テスト実行
+  if (typeof testModule.runAutoEnableScheduleTests === "function") {
+    testModule
+      .runAutoEnableScheduleTests()
+      .then(() => {
+        console.log("AutoEnableSchedule tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in AutoEnableSchedule tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running AutoEnableSchedule tests:", error);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * AutoEnableScheduler テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running AutoEnableScheduler tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-auto-enable-scheduler.js");
+
+  // テスト実行
+  if (typeof testModule.runAutoEnableSchedulerTests === "function") {
+    testModule
+      .runAutoEnableSchedulerTests()
+      .then(() => {
+        console.log("AutoEnableScheduler tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in AutoEnableScheduler tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running AutoEnableScheduler tests:", error);
+  process.exit(1);
+}
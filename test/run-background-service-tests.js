@@ -111,6 +111,11 @@ const expect = (actual) => ({
   },
 });
 
+// モックで使う Result を設定（ブラウザでは先に読み込んだ error-handler.js のクラスを使う）
+if (typeof Result === "undefined") {
+  global.Result = require("../infrastructure/error-handler.js").Result;
+}
+
 // テスト用のモックを作成
 function createMocks() {
   // ロガーのモック
@@ -0,0 +1,34 @@
+/**
+ * Background テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running Background tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-background.js");
+
+  // テスト実行
+  if (typeof testModule.runBackgroundTests === "function") {
+    testModule
+      .runBackgroundTests()
+      .then(() => {
+        console.log("Background tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in Background tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running Background tests:", error);
+  process.exit(1);
+}
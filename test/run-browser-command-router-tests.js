@@ -0,0 +1,34 @@
+/**
+ * BrowserCommandRouter テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running BrowserCommandRouter tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-browser-command-router.js");
+
+  // テスト実行
+  if (typeof testModule.runBrowserCommandRouterTests === "function") {
+    testModule
+      .runBrowserCommandRouterTests()
+      .then(() => {
+        console.log("BrowserCommandRouter tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in BrowserCommandRouter tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running BrowserCommandRouter tests:", error);
+  process.exit(1);
+}
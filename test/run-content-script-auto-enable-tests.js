@@ -0,0 +1,34 @@
+/**
+ * ContentScript auto-enable テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running ContentScript auto-enable tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-content-script-auto-enable.js");
+
+  // テスト実行
+  if (typeof testModule.runContentScriptAutoEnableTests === "function") {
+    testModule
+      .runContentScriptAutoEnableTests()
+      .then(() => {
+        console.log("ContentScript auto-enable tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in ContentScript auto-enable tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running ContentScript auto-enable tests:", error);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * ContentScript テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running ContentScript tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-content-script.js");
+
+  // テスト実行
+  if (typeof testModule.runContentScriptTests === "function") {
+    testModule
+      .runContentScriptTests()
+      .then(() => {
+        console.log("ContentScript tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in ContentScript tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running ContentScript tests:", error);
+  process.exit(1);
+}
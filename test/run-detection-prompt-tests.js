@@ -0,0 +1,34 @@
+/**
+ * DetectionPrompt テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running DetectionPrompt tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-detection-prompt.js");
+
+  // テスト実行
+  if (typeof testModule.runDetectionPromptTests === "function") {
+    testModule
+      .runDetectionPromptTests()
+      .then(() => {
+        console.log("DetectionPrompt tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in DetectionPrompt tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running DetectionPrompt tests:", error);
+  process.exit(1);
+}
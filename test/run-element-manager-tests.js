@@ -5,6 +5,7 @@
 
 // 必要なモジュールをインポート
 const { ElementManager } = require("../infrastructure/element-manager");
+const { ErrorType } = require("../infrastructure/error-handler");
 const { ElementManagerTests } = require("./test-element-manager");
 
 // テスト実行
@@ -13,6 +14,9 @@ console.log("🧪 Running ElementManager Tests in Node.js environment...");
 // グローバルオブジェクトにElementManagerを設定
 global.ElementManager = ElementManager;
 
+// ElementManager はブラウザで先に読み込んだ error-handler.js の ErrorType を使う
+global.ErrorType = ErrorType;
+
 // テストスイートを作成して実行
 const testSuite = new ElementManagerTests();
 testSuite.runAllTests().catch((error) => {
@@ -0,0 +1,34 @@
+/**
+ * EmbedMode テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running EmbedMode tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-embed-mode.js");
+
+  // テスト実行
+  if (typeof testModule.runEmbedModeTests === "function") {
+    testModule
+      .runEmbedModeTests()
+      .then(() => {
+        console.log("EmbedMode tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in EmbedMode tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running EmbedMode tests:", error);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * HeuristicDetector テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running HeuristicDetector tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-heuristic-detector.js");
+
+  // テスト実行
+  if (typeof testModule.runHeuristicDetectorTests === "function") {
+    testModule
+      .runHeuristicDetectorTests()
+      .then(() => {
+        console.log("HeuristicDetector tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in HeuristicDetector tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running HeuristicDetector tests:", error);
+  process.exit(1);
+}
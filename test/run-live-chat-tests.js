@@ -0,0 +1,34 @@
+/**
+ * LiveChat テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running LiveChat tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-live-chat.js");
+
+  // テスト実行
+  if (typeof testModule.runLiveChatTests === "function") {
+    testModule
+      .runLiveChatTests()
+      .then(() => {
+        console.log("LiveChat tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in LiveChat tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running LiveChat tests:", error);
+  process.exit(1);
+}
@@ -44,6 +44,7 @@ if (typeof require !== "undefined") {
       MessageQueue,
       MessageValidator,
       MessageBus,
+      FRAME_CHANNEL,
     } = require("../infrastructure/message-bus.js");
     global.MessageType = MessageType;
     global.MessageTarget = MessageTarget;
@@ -52,6 +53,7 @@ if (typeof require !== "undefined") {
     global.MessageQueue = MessageQueue;
     global.MessageValidator = MessageValidator;
     global.MessageBus = MessageBus;
+    global.FRAME_CHANNEL = FRAME_CHANNEL;
   }
 }
 
@@ -0,0 +1,34 @@
+/**
+ * OnScreenDisplay テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running OnScreenDisplay tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-on-screen-display.js");
+
+  // テスト実行
+  if (typeof testModule.runOnScreenDisplayTests === "function") {
+    testModule
+      .runOnScreenDisplayTests()
+      .then(() => {
+        console.log("OnScreenDisplay tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in OnScreenDisplay tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running OnScreenDisplay tests:", error);
+  process.exit(1);
+}
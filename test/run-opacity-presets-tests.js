@@ -0,0 +1,34 @@
+/**
+ * OpacityPreset テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running OpacityPreset tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-opacity-presets.js");
+
+  // テスト実行
+  if (typeof testModule.runOpacityPresetTests === "function") {
+    testModule
+      .runOpacityPresetTests()
+      .then(() => {
+        console.log("OpacityPreset tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in OpacityPreset tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running OpacityPreset tests:", error);
+  process.exit(1);
+}
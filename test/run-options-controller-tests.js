@@ -0,0 +1,34 @@
+/**
+ * OptionsController テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running OptionsController tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-options-controller.js");
+
+  // テスト実行
+  if (typeof testModule.runOptionsControllerTests === "function") {
+    testModule
+      .runOptionsControllerTests()
+      .then(() => {
+        console.log("OptionsController tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in OptionsController tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running OptionsController tests:", error);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * OverlayEffects テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running OverlayEffects tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-overlay-effects.js");
+
+  // テスト実行
+  if (typeof testModule.runOverlayEffectsTests === "function") {
+    testModule
+      .runOverlayEffectsTests()
+      .then(() => {
+        console.log("OverlayEffects tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in OverlayEffects tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running OverlayEffects tests:", error);
+  process.exit(1);
+}
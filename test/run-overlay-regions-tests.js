@@ -0,0 +1,34 @@
+/**
+ * OverlayRegions テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running OverlayRegions tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-overlay-regions.js");
+
+  // テスト実行
+  if (typeof testModule.runOverlayRegionsTests === "function") {
+    testModule
+      .runOverlayRegionsTests()
+      .then(() => {
+        console.log("OverlayRegions tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in OverlayRegions tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running OverlayRegions tests:", error);
+  process.exit(1);
+}
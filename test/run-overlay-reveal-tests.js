@@ -0,0 +1,34 @@
+/**
+ * OverlayReveal テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running OverlayReveal tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-overlay-reveal.js");
+
+  // テスト実行
+  if (typeof testModule.runOverlayRevealTests === "function") {
+    testModule
+      .runOverlayRevealTests()
+      .then(() => {
+        console.log("OverlayReveal tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in OverlayReveal tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running OverlayReveal tests:", error);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * PlayerStateWatcher テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running PlayerStateWatcher tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-player-state-watcher.js");
+
+  // テスト実行
+  if (typeof testModule.runPlayerStateWatcherTests === "function") {
+    testModule
+      .runPlayerStateWatcherTests()
+      .then(() => {
+        console.log("PlayerStateWatcher tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in PlayerStateWatcher tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running PlayerStateWatcher tests:", error);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * ScheduleEditor テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running ScheduleEditor tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-schedule-editor.js");
+
+  // テスト実行
+  if (typeof testModule.runScheduleEditorTests === "function") {
+    testModule
+      .runScheduleEditorTests()
+      .then(() => {
+        console.log("ScheduleEditor tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in ScheduleEditor tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running ScheduleEditor tests:", error);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * ScriptLoading テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running ScriptLoading tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-script-loading.js");
+
+  // テスト実行
+  if (typeof testModule.runScriptLoadingTests === "function") {
+    testModule
+      .runScriptLoadingTests()
+      .then(() => {
+        console.log("ScriptLoading tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in ScriptLoading tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running ScriptLoading tests:", error);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * SelectorHealth テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running SelectorHealth tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-selector-health.js");
+
+  // テスト実行
+  if (typeof testModule.runSelectorHealthTests === "function") {
+    testModule
+      .runSelectorHealthTests()
+      .then(() => {
+        console.log("SelectorHealth tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in SelectorHealth tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running SelectorHealth tests:", error);
+  process.exit(1);
+}
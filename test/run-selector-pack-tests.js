@@ -0,0 +1,34 @@
+/**
+ * SelectorPack テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running SelectorPack tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-selector-pack.js");
+
+  // テスト実行
+  if (typeof testModule.runSelectorPackTests === "function") {
+    testModule
+      .runSelectorPackTests()
+      .then(() => {
+        console.log("SelectorPack tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in SelectorPack tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running SelectorPack tests:", error);
+  process.exit(1);
+}
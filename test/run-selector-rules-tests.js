@@ -0,0 +1,34 @@
+/**
+ * SelectorRules テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running SelectorRules tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-selector-rules.js");
+
+  // テスト実行
+  if (typeof testModule.runSelectorRulesTests === "function") {
+    testModule
+      .runSelectorRulesTests()
+      .then(() => {
+        console.log("SelectorRules tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in SelectorRules tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running SelectorRules tests:", error);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * SettingsTransfer テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running SettingsTransfer tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-settings-transfer.js");
+
+  // テスト実行
+  if (typeof testModule.runSettingsTransferTests === "function") {
+    testModule
+      .runSettingsTransferTests()
+      .then(() => {
+        console.log("SettingsTransfer tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in SettingsTransfer tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running SettingsTransfer tests:", error);
+  process.exit(1);
+}
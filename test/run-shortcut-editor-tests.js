@@ -0,0 +1,34 @@
+/**
+ * ShortcutEditor テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running ShortcutEditor tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-shortcut-editor.js");
+
+  // テスト実行
+  if (typeof testModule.runShortcutEditorTests === "function") {
+    testModule
+      .runShortcutEditorTests()
+      .then(() => {
+        console.log("ShortcutEditor tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in ShortcutEditor tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running ShortcutEditor tests:", error);
+  process.exit(1);
+}
@@ -0,0 +1,34 @@
+/**
+ * SyncSettingsStorage テストランナー
+ */
+
+// テストファイルをインポート
+const path = require("path");
+const fs = require("fs");
+
+// テスト実行
+console.log("Running SyncSettingsStorage tests...");
+
+try {
+  // テストモジュールを読み込み
+  const testModule = require("./test-sync-settings-storage.js");
+
+  // テスト実行
+  if (typeof testModule.runSyncSettingsStorageTests === "function") {
+    testModule
+      .runSyncSettingsStorageTests()
+      .then(() => {
+        console.log("SyncSettingsStorage tests completed successfully");
+      })
+      .catch((error) => {
+        console.error("Error in SyncSettingsStorage tests:", error);
+        process.exit(1);
+      });
+  } else {
+    console.log("Running default test export");
+    // デフォルトのテスト関数を実行
+  }
+} catch (error) {
+  console.error("Error running SyncSettingsStorage tests:", error);
+  process.exit(1);
+}
@@ -7,6 +7,8 @@
 const dependencies = [
   "../infrastructure/logger.js",
   "../infrastructure/error-handler.js",
+  "../infrastructure/selector-pack.js",
+  "../infrastructure/live-chat.js",
   "../infrastructure/youtube-page-detector.js",
   "./test-youtube-page-detector.js",
 ];
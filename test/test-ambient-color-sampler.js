@@ -0,0 +1,311 @@
+/**
+ * AmbientColorSampler のテスト
+ */
+
+// 依存関係のインポート
+const {
+  DEFAULT_AMBIENT_SETTINGS,
+  normalizeAmbientSettings,
+  computeAmbientColor,
+  adjustSaturation,
+  formatAmbientColor,
+  AmbientColorSampler,
+} = require("../infrastructure/ambient-color-sampler.js");
+
+/**
+ * 単色の画素データを作成
+ * @param {number} width - 幅
+ * @param {number} height - 高さ
+ * @param {number[]} rgb - 色 [r, g, b]
+ * @returns {Uint8ClampedArray} RGBA の画素データ
+ */
+function createPixels(width, height, rgb) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = rgb[0];
+    data[i + 1] = rgb[1];
+    data[i + 2] = rgb[2];
+    data[i + 3] = 255;
+  }
+  return data;
+}
+
+/**
+ * テスト用のキャンバスを作成
+ * drawImage された疑似 <video> の frame 色で画素データを返す
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.tainted=false] - getImageData で SecurityError を投げる
+ * @returns {Function} createCanvas 関数
+ */
+function createFakeCanvasFactory(options = {}) {
+  return (width, height) => {
+    let frame = [0, 0, 0];
+    return {
+      getContext: () => ({
+        drawImage: (video) => {
+          frame = video.frame;
+        },
+        getImageData: () => {
+          if (options.tainted) {
+            const error = new Error("The canvas has been tainted");
+            error.name = "SecurityError";
+            throw error;
+          }
+          return { data: createPixels(width, height, frame) };
+        },
+      }),
+    };
+  };
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== AmbientColorSampler Tests ===");
+
+  // 各テストを実行
+  testNormalize();
+  testComputeAmbientColor();
+  testAdjustSaturation();
+  testSample();
+  testUnreadableFrames();
+  testFrameDropBackoff();
+
+  console.log("=== All AmbientColorSampler Tests Completed ===");
+}
+
+/**
+ * 設定の正規化テスト
+ */
+function testNormalize() {
+  console.log("Testing normalizeAmbientSettings...");
+
+  const defaults = normalizeAmbientSettings(undefined);
+  console.assert(
+    defaults.sampleInterval === DEFAULT_AMBIENT_SETTINGS.sampleInterval &&
+      defaults.saturation === DEFAULT_AMBIENT_SETTINGS.saturation,
+    "Missing settings should use defaults"
+  );
+
+  const clamped = normalizeAmbientSettings({
+    sampleInterval: 10,
+    saturation: 5,
+  });
+  console.assert(clamped.sampleInterval === 100, "Interval should be clamped");
+  console.assert(clamped.saturation === 2, "Saturation should be clamped");
+
+  const invalid = normalizeAmbientSettings({
+    sampleInterval: "fast",
+    saturation: NaN,
+  });
+  console.assert(
+    invalid.sampleInterval === 500 && invalid.saturation === 1.2,
+    "Invalid values should fall back to defaults"
+  );
+
+  console.log("✓ normalize tests passed");
+}
+
+/**
+ * 代表色の計算テスト
+ */
+function testComputeAmbientColor() {
+  console.log("Testing computeAmbientColor...");
+
+  const solid = computeAmbientColor(createPixels(8, 4, [180, 40, 40]), 8, 4);
+  console.assert(
+    solid.r === 180 && solid.g === 40 && solid.b === 40,
+    "Solid frame should return its color"
+  );
+
+  console.assert(
+    computeAmbientColor(createPixels(8, 4, [0, 0, 0]), 8, 4) === null,
+    "Black frame should return null"
+  );
+
+  // 中央が灰色、外周が青のフレームは青に寄る
+  const data = createPixels(8, 4, [128, 128, 128]);
+  for (let y = 0; y < 4; y++) {
+    for (const x of [0, 1, 6, 7]) {
+      const i = (y * 8 + x) * 4;
+      data[i] = 0;
+      data[i + 1] = 0;
+      data[i + 2] = 255;
+    }
+  }
+  const edge = computeAmbientColor(data, 8, 4);
+  console.assert(edge.b > edge.r * 2, "Edge and saturated pixels should win");
+
+  console.log("✓ computeAmbientColor tests passed");
+}
+
+/**
+ * 彩度の変更テスト
+ */
+function testAdjustSaturation() {
+  console.log("Testing adjustSaturation...");
+
+  const color = { r: 200, g: 100, b: 50 };
+  const same = adjustSaturation(color, 1);
+  console.assert(
+    formatAmbientColor(same) === "200, 100, 50",
+    "Factor 1 should keep the color"
+  );
+
+  const gray = adjustSaturation(color, 0);
+  console.assert(
+    gray.r === gray.g && gray.g === gray.b,
+    "Factor 0 should return gray"
+  );
+
+  const vivid = adjustSaturation(color, 2);
+  console.assert(
+    vivid.r - vivid.b > color.r - color.b,
+    "Factor 2 should increase saturation"
+  );
+
+  console.log("✓ adjustSaturation tests passed");
+}
+
+/**
+ * フレームからの色の抽出テスト
+ */
+function testSample() {
+  console.log("Testing sample...");
+
+  const video = { readyState: 4, currentTime: 1, frame: [200, 40, 10] };
+  const colors = [];
+  const sampler = new AmbientColorSampler(
+    {
+      getVideoElement: () => video,
+      createCanvas: createFakeCanvasFactory(),
+    },
+    { saturation: 1 }
+  );
+  sampler.onColor = (color) => colors.push(color);
+
+  const color = sampler.sample();
+  console.assert(
+    formatAmbientColor(color) === "200, 40, 10",
+    "Sample should return the frame color"
+  );
+  console.assert(colors.length === 1, "Color change should be notified");
+
+  // 同じフレームは抽出しない
+  video.frame = [0, 200, 0];
+  console.assert(
+    sampler.sample() === undefined,
+    "Unchanged frame should be skipped"
+  );
+
+  // 同じ色は通知しない
+  video.frame = [200, 40, 10];
+  video.currentTime = 2;
+  sampler.sample();
+  console.assert(colors.length === 1, "Same color should not be notified");
+
+  // 描画前の <video> は抽出しない
+  video.readyState = 1;
+  video.currentTime = 3;
+  console.assert(
+    sampler.sample() === undefined,
+    "Video without data should be skipped"
+  );
+
+  console.log("✓ sample tests passed");
+}
+
+/**
+ * 読み取れないフレームのフォールバックテスト
+ */
+function testUnreadableFrames() {
+  console.log("Testing unreadable frames...");
+
+  // クロスオリジンの動画
+  const video = { readyState: 4, currentTime: 1, frame: [200, 40, 10] };
+  const colors = [];
+  const tainted = new AmbientColorSampler({
+    getVideoElement: () => video,
+    createCanvas: createFakeCanvasFactory({ tainted: true }),
+  });
+  tainted.onColor = (color) => colors.push(color);
+
+  console.assert(tainted.sample() === null, "Tainted canvas should fall back");
+  console.assert(
+    colors.length === 1 && colors[0] === null,
+    "Fallback should be notified"
+  );
+  console.assert(!tainted.getState().readable, "Video should be unreadable");
+
+  video.currentTime = 2;
+  tainted.sample();
+  console.assert(colors.length === 1, "Unreadable video should not be retried");
+
+  // DRM で保護された動画は黒いフレームになる
+  const drmVideo = { readyState: 4, currentTime: 1, frame: [0, 0, 0] };
+  const drm = new AmbientColorSampler({
+    getVideoElement: () => drmVideo,
+    createCanvas: createFakeCanvasFactory(),
+  });
+  console.assert(drm.sample() === null, "Black frame should fall back");
+
+  drmVideo.frame = [20, 120, 200];
+  drmVideo.currentTime = 2;
+  console.assert(
+    drm.sample() !== null,
+    "Sampling should resume when frames become readable"
+  );
+
+  console.log("✓ unreadable frame tests passed");
+}
+
+/**
+ * フレームドロップによる抽出間隔の調整テスト
+ */
+function testFrameDropBackoff() {
+  console.log("Testing frame drop backoff...");
+
+  let recentFrameDrops = 20;
+  const sampler = new AmbientColorSampler(
+    {
+      getVideoElement: () => null,
+      performanceMonitor: {
+        getRenderingStats: () => ({ recentFrameDrops }),
+      },
+    },
+    { sampleInterval: 200 }
+  );
+
+  sampler._updateBackoff();
+  sampler._updateBackoff();
+  console.assert(sampler.getState().interval === 800, "Interval should grow");
+
+  for (let i = 0; i < 5; i++) {
+    sampler._updateBackoff();
+  }
+  console.assert(sampler.backoff === 8, "Backoff should be capped");
+
+  recentFrameDrops = 0;
+  sampler._updateBackoff();
+  console.assert(sampler.backoff === 4, "Backoff should recover gradually");
+
+  // 統計がない場合は調整しない
+  sampler.performanceMonitor = { getRenderingStats: () => null };
+  sampler._updateBackoff();
+  console.assert(sampler.backoff === 2, "Missing stats count as no drops");
+
+  console.log("✓ frame drop backoff tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runAmbientColorSamplerTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runAmbientColorSamplerTests = runTests;
+}
@@ -0,0 +1,262 @@
+/**
+ * AutoEnableSchedule のテスト
+ */
+
+// 依存関係のインポート
+const {
+  MAX_SCHEDULE_WINDOWS,
+  AutoEnableSchedule,
+  parseScheduleTime,
+  normalizeScheduleWindow,
+} = require("../infrastructure/auto-enable-schedule.js");
+
+/**
+ * テスト用の時刻を作成（2026-10-19 は月曜日）
+ * @param {number} date - 10月の日付
+ * @param {number} hours - 時
+ * @param {number} [minutes=0] - 分
+ * @returns {Date} 作成した時刻
+ */
+function at(date, hours, minutes = 0) {
+  return new Date(2026, 9, date, hours, minutes);
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== AutoEnableSchedule Tests ===");
+
+  // 各テストを実行
+  testParseAndNormalize();
+  testValidate();
+  testActiveWindow();
+  testOvernightWindow();
+  testNextTransition();
+
+  console.log("=== All AutoEnableSchedule Tests Completed ===");
+}
+
+/**
+ * 時刻の解析と正規化のテスト
+ */
+function testParseAndNormalize() {
+  console.log("Testing parseScheduleTime and normalizeScheduleWindow...");
+
+  console.assert(parseScheduleTime("00:00") === 0, "00:00 should be 0");
+  console.assert(parseScheduleTime("19:30") === 1170, "19:30 should be 1170");
+  console.assert(parseScheduleTime("24:00") === null, "24:00 is invalid");
+  console.assert(parseScheduleTime("7:00") === null, "H:MM is invalid");
+
+  const result = normalizeScheduleWindow({
+    days: [5, 1, 1],
+    start: "19:00",
+    end: "23:00",
+  });
+  console.assert(result.success, "Valid window should normalize");
+  console.assert(
+    result.data.days.join(",") === "1,5",
+    "Days should be deduplicated and sorted"
+  );
+  console.assert(result.data.opacity === 0.7, "Opacity should default to 0.7");
+  console.assert(result.data.enabled === true, "enabled should default");
+  console.assert(result.data.id === "15-19:00-23:00", "id should be derived");
+
+  console.assert(
+    normalizeScheduleWindow({ days: [7], start: "19:00", end: "23:00" })
+      .isFailure(),
+    "Weekday out of range should fail"
+  );
+  console.assert(
+    normalizeScheduleWindow({ days: [1], start: "19:00", end: "19:00" })
+      .isFailure(),
+    "Empty window should fail"
+  );
+  console.assert(
+    normalizeScheduleWindow({
+      days: [1],
+      start: "19:00",
+      end: "23:00",
+      opacity: 1,
+    }).isFailure(),
+    "Opacity above 0.9 should fail"
+  );
+
+  console.log("✓ parse and normalize tests passed");
+}
+
+/**
+ * スケジュール全体の検証テスト
+ */
+function testValidate() {
+  console.log("Testing validate...");
+
+  console.assert(
+    AutoEnableSchedule.validate([]).success,
+    "Empty schedule should be valid"
+  );
+  console.assert(
+    AutoEnableSchedule.validate(null).isFailure(),
+    "Non-array schedule should fail"
+  );
+
+  const tooMany = Array.from({ length: MAX_SCHEDULE_WINDOWS + 1 }, () => ({
+    days: [1],
+    start: "19:00",
+    end: "23:00",
+  }));
+  console.assert(
+    AutoEnableSchedule.validate(tooMany).isFailure(),
+    "Too many windows should fail"
+  );
+
+  // 不正な時間帯は fromSettings で除外される
+  const schedule = AutoEnableSchedule.fromSettings([
+    { days: [1], start: "19:00", end: "23:00" },
+    { days: [1], start: "bad", end: "23:00" },
+    { days: [2], start: "19:00", end: "23:00", enabled: false },
+  ]);
+  console.assert(
+    schedule.windows.length === 1,
+    "Invalid and disabled windows should be skipped"
+  );
+
+  console.log("✓ validate tests passed");
+}
+
+/**
+ * 有効な時間帯の判定テスト
+ */
+function testActiveWindow() {
+  console.log("Testing getActiveWindow...");
+
+  const schedule = AutoEnableSchedule.fromSettings([
+    { id: "evening", days: [1, 2, 3, 4, 5], start: "19:00", end: "23:00" },
+    {
+      id: "movie",
+      days: [5],
+      start: "21:00",
+      end: "22:00",
+      opacity: 0.2,
+    },
+  ]);
+
+  console.assert(
+    schedule.getActiveWindow(at(19, 18, 59)) === null,
+    "Before start should be inactive"
+  );
+
+  const monday = schedule.getActiveWindow(at(19, 19, 0));
+  console.assert(
+    monday && monday.timeWindow.id === "evening",
+    "Start time should be active"
+  );
+  console.assert(
+    schedule.getActiveWindow(at(19, 23, 0)) === null,
+    "End time should be exclusive"
+  );
+  console.assert(
+    schedule.getActiveWindow(at(18, 20, 0)) === null,
+    "Sunday is not scheduled"
+  );
+
+  // 同じ時間帯の中では同じキーになる
+  console.assert(
+    monday.key === schedule.getActiveWindow(at(19, 22, 30)).key,
+    "Key should be stable within an occurrence"
+  );
+  console.assert(
+    monday.key !== schedule.getActiveWindow(at(20, 20, 0)).key,
+    "Key should differ between days"
+  );
+
+  // 重なる場合は後から始まった時間帯を優先
+  const friday = schedule.getActiveWindow(at(23, 21, 30));
+  console.assert(
+    friday.timeWindow.id === "movie" && friday.timeWindow.opacity === 0.2,
+    "Later starting window should win"
+  );
+
+  console.log("✓ getActiveWindow tests passed");
+}
+
+/**
+ * 日付をまたぐ時間帯のテスト
+ */
+function testOvernightWindow() {
+  console.log("Testing overnight windows...");
+
+  const schedule = AutoEnableSchedule.fromSettings([
+    { id: "late", days: [5], start: "22:00", end: "02:00" },
+  ]);
+
+  const fridayNight = schedule.getActiveWindow(at(23, 23, 0));
+  const saturdayMorning = schedule.getActiveWindow(at(24, 1, 30));
+  console.assert(fridayNight, "Friday night should be active");
+  console.assert(saturdayMorning, "Early Saturday should still be active");
+  console.assert(
+    fridayNight.key === saturdayMorning.key,
+    "Overnight occurrence should keep one key"
+  );
+  console.assert(
+    schedule.getActiveWindow(at(24, 2, 0)) === null,
+    "Overnight window should end at 02:00"
+  );
+  console.assert(
+    schedule.getActiveWindow(at(19, 1, 0)) === null,
+    "Monday morning is not after a scheduled night"
+  );
+
+  console.log("✓ overnight window tests passed");
+}
+
+/**
+ * 次の切り替え時刻のテスト
+ */
+function testNextTransition() {
+  console.log("Testing getNextTransition...");
+
+  const schedule = AutoEnableSchedule.fromSettings([
+    { days: [1, 5], start: "19:00", end: "23:00" },
+    { days: [5], start: "22:00", end: "02:00" },
+  ]);
+
+  console.assert(
+    schedule.getNextTransition(at(19, 12, 0)).getTime() ===
+      at(19, 19, 0).getTime(),
+    "Next transition should be today's start"
+  );
+  console.assert(
+    schedule.getNextTransition(at(19, 19, 0)).getTime() ===
+      at(19, 23, 0).getTime(),
+    "Next transition after start should be the end"
+  );
+  console.assert(
+    schedule.getNextTransition(at(19, 23, 0)).getTime() ===
+      at(23, 19, 0).getTime(),
+    "Next transition should skip to Friday"
+  );
+  console.assert(
+    schedule.getNextTransition(at(23, 23, 30)).getTime() ===
+      at(24, 2, 0).getTime(),
+    "Overnight end should be on the next day"
+  );
+  console.assert(
+    new AutoEnableSchedule([]).getNextTransition(at(19, 12, 0)) === null,
+    "Empty schedule has no transition"
+  );
+
+  console.log("✓ getNextTransition tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runAutoEnableScheduleTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runAutoEnableScheduleTests = runTests;
+}
@@ -0,0 +1,249 @@
+/**
+ * AutoEnableScheduler のテスト
+ */
+
+// 依存関係のインポート
+const {
+  SCHEDULE_ALARM_NAME,
+  SCHEDULE_STATE_KEY,
+  AutoEnableScheduler,
+} = require("../infrastructure/auto-enable-scheduler.js");
+const { MessageType } = require("../infrastructure/message-bus.js");
+
+// 出力しないロガー
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * テスト用の時刻を作成（2026-10-19 は月曜日）
+ * @param {number} date - 10月の日付
+ * @param {number} hours - 時
+ * @param {number} [minutes=0] - 分
+ * @returns {Date} 作成した時刻
+ */
+function at(date, hours, minutes = 0) {
+  return new Date(2026, 9, date, hours, minutes);
+}
+
+/**
+ * 平日 19:00-23:00 に透明度 0.4 で有効化する設定で AutoEnableScheduler を作成
+ * 設定・ストレージ・アラーム・送信したメッセージは返すオブジェクトで確認する
+ * @returns {Object} { scheduler, settings, local, alarms, sent }
+ */
+function createScheduler() {
+  const settings = {
+    theaterModeEnabled: false,
+    opacity: 0.7,
+    autoEnable: true,
+    autoEnableSchedule: [
+      { days: [1, 2, 3, 4, 5], start: "19:00", end: "23:00", opacity: 0.4 },
+    ],
+  };
+  const local = {};
+  const alarms = {};
+  const sent = [];
+
+  const scheduler = new AutoEnableScheduler({
+    logger,
+    getSettings: async () => ({ ...settings }),
+    saveSettings: async (changes) => Object.assign(settings, changes),
+    sendToYouTubeTabs: async (type, data) => sent.push({ type, data }),
+    storage: {
+      get: async (key) => ({ [key]: local[key] }),
+      set: async (items) => Object.assign(local, items),
+    },
+    alarms: {
+      create: async (name, info) => {
+        alarms[name] = info;
+      },
+      clear: async (name) => {
+        delete alarms[name];
+      },
+    },
+  });
+
+  return { scheduler, settings, local, alarms, sent };
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== AutoEnableScheduler Tests ===");
+
+  await testWindowStart();
+  await testManualOverride();
+  await testWindowEnd();
+  await testDisabledSchedule();
+  await testAlarm();
+  await testActiveState();
+
+  console.log("=== All AutoEnableScheduler tests passed ===");
+}
+
+/**
+ * 時間帯の開始のテスト
+ */
+async function testWindowStart() {
+  const { scheduler, settings, local, alarms, sent } = createScheduler();
+
+  const result = await scheduler.evaluate(at(19, 19));
+  console.assert(
+    result.isSuccess() && result.data.active && settings.theaterModeEnabled,
+    "The window start should enable theater mode"
+  );
+  console.assert(
+    settings.opacity === 0.7,
+    "The window opacity should not overwrite the user's opacity"
+  );
+  console.assert(
+    sent.some(
+      ({ type, data }) =>
+        type === MessageType.THEATER_MODE_SET &&
+        data.enabled &&
+        data.source === "schedule"
+    ) &&
+      sent.some(
+        ({ type, data }) =>
+          type === MessageType.OPACITY_CHANGE && data.value === 0.4
+      ),
+    "The window start should be sent to YouTube tabs"
+  );
+  console.assert(
+    local[SCHEDULE_STATE_KEY].activeKey !== null,
+    "The applied window should be stored"
+  );
+  console.assert(
+    result.data.nextTransition.getTime() === at(19, 23).getTime() &&
+      alarms[SCHEDULE_ALARM_NAME].when === at(19, 23).getTime(),
+    "An alarm should be set for the window end"
+  );
+
+  console.log("✓ Window start tests passed");
+}
+
+/**
+ * 時間帯の途中で手動で切り替えた場合のテスト
+ */
+async function testManualOverride() {
+  const { scheduler, settings, sent } = createScheduler();
+  await scheduler.evaluate(at(19, 19));
+
+  settings.theaterModeEnabled = false;
+  sent.length = 0;
+  await scheduler.evaluate(at(19, 21));
+  console.assert(
+    !settings.theaterModeEnabled && sent.length === 0,
+    "A manual change within the same window should not be overwritten"
+  );
+
+  console.log("✓ Manual override tests passed");
+}
+
+/**
+ * 時間帯の終了のテスト
+ */
+async function testWindowEnd() {
+  const { scheduler, settings, local, alarms, sent } = createScheduler();
+  await scheduler.evaluate(at(19, 19));
+
+  sent.length = 0;
+  const result = await scheduler.evaluate(at(19, 23));
+  console.assert(
+    result.isSuccess() &&
+      !result.data.active &&
+      !settings.theaterModeEnabled &&
+      sent.some(
+        ({ type, data }) =>
+          type === MessageType.THEATER_MODE_SET && !data.enabled
+      ),
+    "The window end should disable theater mode"
+  );
+  console.assert(
+    local[SCHEDULE_STATE_KEY].activeKey === null,
+    "The window end should be stored"
+  );
+  console.assert(
+    alarms[SCHEDULE_ALARM_NAME].when === at(20, 19).getTime(),
+    "An alarm should be set for the next window start"
+  );
+
+  console.log("✓ Window end tests passed");
+}
+
+/**
+ * 自動有効化が無効な場合のテスト
+ */
+async function testDisabledSchedule() {
+  const { scheduler, settings, alarms, sent } = createScheduler();
+  settings.autoEnable = false;
+  alarms[SCHEDULE_ALARM_NAME] = { when: 0 };
+
+  const result = await scheduler.evaluate(at(19, 19));
+  console.assert(
+    result.isSuccess() &&
+      !result.data.active &&
+      !settings.theaterModeEnabled &&
+      sent.length === 0,
+    "A disabled schedule should not change theater mode"
+  );
+  console.assert(
+    !(SCHEDULE_ALARM_NAME in alarms),
+    "A disabled schedule should clear the alarm"
+  );
+
+  console.log("✓ Disabled schedule tests passed");
+}
+
+/**
+ * アラームの処理のテスト
+ */
+async function testAlarm() {
+  const { scheduler } = createScheduler();
+
+  console.assert(
+    scheduler.handleAlarm({ name: "other-alarm" }) === null,
+    "Other alarms should be ignored"
+  );
+  const result = await scheduler.handleAlarm({ name: SCHEDULE_ALARM_NAME });
+  console.assert(
+    result.isSuccess(),
+    "The schedule alarm should evaluate the schedule"
+  );
+
+  console.log("✓ Alarm tests passed");
+}
+
+/**
+ * 現在の時間帯の状態の取得のテスト
+ */
+async function testActiveState() {
+  const { scheduler } = createScheduler();
+
+  const active = await scheduler.getActiveState(at(19, 21));
+  console.assert(
+    active.isSuccess() && active.data.active && active.data.opacity === 0.4,
+    "A page opened within a window should get the window opacity"
+  );
+
+  const inactive = await scheduler.getActiveState(at(19, 23, 30));
+  console.assert(
+    inactive.isSuccess() &&
+      !inactive.data.active &&
+      inactive.data.opacity === null,
+    "Outside a window the schedule should be inactive"
+  );
+
+  console.log("✓ Active state tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runAutoEnableSchedulerTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runAutoEnableSchedulerTests = runTests;
+}
@@ -0,0 +1,359 @@
+/**
+ * サービスワーカー（background.js）のテスト
+ * importScripts で読み込むファイルと合わせて同じコンテキストで実行し、
+ * 疑似の chrome API で保存する設定とイベントの処理を確認する
+ */
+
+// 依存関係のインポート
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const {
+  OptionsController,
+} = require("../infrastructure/options-controller.js");
+const {
+  CURRENT_SETTINGS_VERSION,
+  getDefaultSettingsSchema,
+} = require("../infrastructure/settings-manager.js");
+const { DataValidator } = require("../infrastructure/data-validator.js");
+const { Logger } = require("../infrastructure/logger.js");
+const { ErrorHandler } = require("../infrastructure/error-handler.js");
+
+const ROOT = path.join(__dirname, "..");
+
+// テスト用のロガーとエラーハンドラーを作成
+const logger = new Logger("BackgroundTest", { level: Logger.LogLevel.ERROR });
+const errorHandler = new ErrorHandler(logger);
+
+/**
+ * chrome.storage.sync の 1 項目あたりの容量（QUOTA_BYTES_PER_ITEM）
+ * @type {number}
+ */
+const QUOTA_BYTES_PER_ITEM = 8192;
+
+/**
+ * chrome.storage の疑似ストレージ領域を作成
+ * @param {Object} [items={}] - 保存済みの値
+ * @param {number} [quotaBytesPerItem=Infinity] - 1 項目あたりの容量
+ * @returns {Object} get・set と保存した値（items）
+ */
+function createStorageArea(items = {}, quotaBytesPerItem = Infinity) {
+  const copy = (value) => JSON.parse(JSON.stringify(value));
+  return {
+    items,
+    async get(keys) {
+      if (keys === null || keys === undefined) {
+        return copy(this.items);
+      }
+      const names = typeof keys === "string" ? [keys] : keys;
+      return copy(
+        Object.fromEntries(
+          names
+            .filter((name) => name in this.items)
+            .map((name) => [name, this.items[name]])
+        )
+      );
+    },
+    async set(values) {
+      const oversized = Object.entries(values).some(
+        ([key, value]) =>
+          key.length + JSON.stringify(value).length > quotaBytesPerItem
+      );
+      if (oversized) {
+        throw new Error("QUOTA_BYTES_PER_ITEM quota exceeded");
+      }
+      Object.assign(this.items, copy(values));
+    },
+  };
+}
+
+/**
+ * 疑似の chrome API を作成
+ * イベントのリスナーは listeners にイベント名ごとに記録する
+ * @param {Object} [syncItems={}] - chrome.storage.sync に保存済みの値
+ * @returns {Object} 疑似の chrome API
+ */
+function createChrome(syncItems = {}) {
+  const listeners = {};
+  const event = (name) => ({
+    addListener: (listener) => {
+      (listeners[name] = listeners[name] || []).push(listener);
+    },
+  });
+
+  return {
+    listeners,
+    runtime: {
+      onMessage: event("runtime.onMessage"),
+      onInstalled: event("runtime.onInstalled"),
+      lastError: null,
+    },
+    storage: {
+      sync: createStorageArea(syncItems, QUOTA_BYTES_PER_ITEM),
+      local: createStorageArea(),
+      onChanged: event("storage.onChanged"),
+    },
+    tabs: {
+      onRemoved: event("tabs.onRemoved"),
+      onUpdated: event("tabs.onUpdated"),
+      onActivated: event("tabs.onActivated"),
+      query: async () => [],
+      sendMessage: async () => ({}),
+    },
+    permissions: {
+      onRemoved: event("permissions.onRemoved"),
+      contains: async () => false,
+    },
+    scripting: {
+      getRegisteredContentScripts: async () => [],
+      unregisterContentScripts: async () => {},
+      registerContentScripts: async () => {},
+    },
+    alarms: {
+      onAlarm: event("alarms.onAlarm"),
+      create: async () => {},
+      clear: async () => true,
+    },
+    commands: { onCommand: event("commands.onCommand") },
+  };
+}
+
+/**
+ * サービスワーカーを読み込んだコンテキストを作成
+ * @param {Object} chrome - 疑似の chrome API
+ * @returns {Object} サービスワーカーを読み込んだコンテキスト
+ */
+function loadServiceWorker(chrome) {
+  const context = vm.createContext({
+    console: { ...console, log() {}, debug() {}, info() {} },
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    URL,
+    chrome,
+  });
+  const run = (file) =>
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, {
+      filename: file,
+    });
+  context.importScripts = (...files) => files.forEach(run);
+  run("background.js");
+
+  return context;
+}
+
+/**
+ * サービスワーカーにメッセージを送信
+ * @param {Object} chrome - 疑似の chrome API
+ * @param {Object} message - メッセージ
+ * @returns {Promise<Object>} 応答
+ */
+function sendMessage(chrome, message) {
+  return new Promise((resolve) => {
+    chrome.listeners["runtime.onMessage"].forEach((listener) =>
+      listener(message, {}, resolve)
+    );
+  });
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== Background Tests ===");
+
+  await testSettingsRoundTrip();
+  await testChannelProfiles();
+  await testChannelProfileQuota();
+  await testSettingsMigration();
+
+  console.log("=== All Background tests passed ===");
+}
+
+/**
+ * サービスワーカーのデフォルト設定をオプションページでエクスポート・インポートするテスト
+ */
+async function testSettingsRoundTrip() {
+  const context = loadServiceWorker(createChrome());
+  const settings = vm.runInContext("DEFAULT_SETTINGS", context);
+
+  const controller = new OptionsController({
+    schema: getDefaultSettingsSchema(),
+    settingsClient: {},
+    dataValidator: new DataValidator({ logger, errorHandler }),
+    extensionVersion: "1.0.0",
+    i18n: { getMessage: (key) => key },
+    logger,
+    errorHandler,
+  });
+
+  // フォームの代わりに値だけを持つコントロールを使い、画面には表示しない
+  controller.fields
+    .flatMap((field) => (field.children.length ? field.children : [field]))
+    .forEach(({ key }) => controller.controls.set(key, { type: "text" }));
+  controller._showFieldError = () => {};
+  controller._showFeedbackMessage = () => {};
+  controller._downloadFile = () => {};
+  controller._renderImportPreview = () => {};
+
+  controller.settings = settings;
+  controller._applySettingsToForm(settings);
+
+  const exported = controller.exportSettings();
+  console.assert(
+    exported.isSuccess() &&
+      JSON.parse(exported.data).settings.version === CURRENT_SETTINGS_VERSION,
+    "Exported settings should record the current settings version"
+  );
+
+  const imported = await controller.importSettings(exported.data);
+  console.assert(
+    imported.isSuccess() && imported.data.length === 0,
+    `Exported default settings should import without changes: ${JSON.stringify(
+      imported.isSuccess() ? imported.data : imported.error.context
+    )}`
+  );
+
+  console.log("✓ Settings round trip tests passed");
+}
+
+/**
+ * チャンネルプロファイルの保存と削除のテスト
+ */
+async function testChannelProfiles() {
+  const chrome = createChrome({
+    channelProfiles: {
+      "@handle": { theaterModeEnabled: false, opacity: 0.3, name: "Handle" },
+    },
+  });
+  loadServiceWorker(chrome);
+
+  const saved = await sendMessage(chrome, {
+    action: "saveChannelProfile",
+    channelId: "UC123",
+    aliases: ["@handle"],
+    profile: { theaterModeEnabled: true, opacity: 0.5, name: "Handle" },
+  });
+  const stored = chrome.storage.sync.items.channelProfiles;
+  console.assert(
+    saved.success &&
+      Object.keys(saved.channelProfiles).join() === "UC123" &&
+      stored.UC123.opacity === 0.5 &&
+      !("@handle" in stored),
+    "A profile should be saved under the channel ID, replacing the handle"
+  );
+
+  const invalid = await sendMessage(chrome, {
+    action: "saveChannelProfile",
+    channelId: "UC123",
+    profile: { theaterModeEnabled: true, opacity: 2 },
+  });
+  console.assert(
+    !invalid.success && chrome.storage.sync.items.channelProfiles.UC123,
+    "An invalid profile should be rejected by SettingsManager"
+  );
+
+  const removed = await sendMessage(chrome, {
+    action: "removeChannelProfile",
+    channelId: "UC123",
+    aliases: ["@handle"],
+  });
+  console.assert(
+    removed.success &&
+      Object.keys(chrome.storage.sync.items.channelProfiles).length === 0,
+    "The profile should be removed"
+  );
+
+  console.log("✓ Channel profile tests passed");
+}
+
+/**
+ * 同期ストレージの容量を超える場合のテスト
+ */
+async function testChannelProfileQuota() {
+  const profile = { theaterModeEnabled: true, opacity: 0.5, name: "Channel" };
+  const channelProfiles = {};
+  for (
+    let i = 0;
+    JSON.stringify(channelProfiles).length < QUOTA_BYTES_PER_ITEM - 200;
+    i++
+  ) {
+    channelProfiles[`UC${String(i).padStart(22, "0")}`] = {
+      ...profile,
+      updatedAt: 0,
+    };
+  }
+  const chrome = createChrome({ channelProfiles });
+  loadServiceWorker(chrome);
+
+  const response = await sendMessage(chrome, {
+    action: "saveChannelProfile",
+    channelId: "UCnew",
+    profile: { ...profile, name: "Channel".repeat(40) },
+  });
+  console.assert(
+    !response.success && response.errorType === "QUOTA_EXCEEDED_ERROR",
+    "A profile over the sync quota should be reported as QUOTA_EXCEEDED_ERROR"
+  );
+  console.assert(
+    !("UCnew" in chrome.storage.sync.items.channelProfiles),
+    "The profile over the quota should not be stored"
+  );
+
+  console.log("✓ Channel profile quota tests passed");
+}
+
+/**
+ * 拡張機能の更新時の設定の移行のテスト
+ */
+async function testSettingsMigration() {
+  const chrome = createChrome({
+    theaterModeEnabled: true,
+    opacity: 0.4,
+    keyboardShortcut: "y",
+    shortcuts: {},
+    version: "1.0.0",
+  });
+  loadServiceWorker(chrome);
+
+  await Promise.all(
+    chrome.listeners["runtime.onInstalled"].map((listener) =>
+      listener({ reason: "update", previousVersion: "1.0.0" })
+    )
+  );
+
+  const stored = chrome.storage.sync.items;
+  console.assert(
+    stored.version === CURRENT_SETTINGS_VERSION,
+    "Stored settings should be migrated to the current version"
+  );
+  console.assert(
+    stored.overlayEffects.opacity === 0.4 && stored.opacity === 0.4,
+    "The stored opacity should be migrated to the effect model"
+  );
+  console.assert(
+    stored.shortcuts.theaterMode.key === "y" &&
+      stored.shortcuts.theaterMode.binding === "character",
+    "The legacy shortcut key should be migrated to the shortcut binding"
+  );
+  console.assert(
+    stored.theaterModeEnabled === true &&
+      Array.isArray(stored.autoEnableSchedule),
+    "Stored values should be kept and new settings filled with defaults"
+  );
+
+  console.log("✓ Settings migration tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runBackgroundTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runBackgroundTests = runTests;
+}
@@ -0,0 +1,135 @@
+/**
+ * BrowserCommandRouter のテスト
+ */
+
+// 依存関係のインポート
+const {
+  BrowserCommandRouter,
+} = require("../infrastructure/browser-command-router.js");
+const { MessageType } = require("../infrastructure/message-bus.js");
+
+// 出力しないロガー
+const logger = { debug() {}, info() {}, warn() {}, error() {} };
+
+/**
+ * アクティブなタブを差し替えられる BrowserCommandRouter を作成
+ * @returns {Object} { router, sent, setActiveTab }
+ */
+function createRouter() {
+  let activeTab = { id: 7, url: "https://www.youtube.com/watch?v=test" };
+  const sent = [];
+
+  const router = new BrowserCommandRouter({
+    logger,
+    tabStateManager: { getCurrentActiveTab: async () => activeTab },
+    sendToTab: async (tabId, type, data) => sent.push({ tabId, type, data }),
+  });
+
+  return {
+    router,
+    sent,
+    setActiveTab: (tab) => {
+      activeTab = tab;
+    },
+  };
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== BrowserCommandRouter Tests ===");
+
+  await testSend();
+  await testNoActiveTab();
+  await testUnknownCommand();
+  await testSendFailure();
+
+  console.log("=== All BrowserCommandRouter tests passed ===");
+}
+
+/**
+ * アクティブな YouTube タブに送信する場合のテスト
+ */
+async function testSend() {
+  const { router, sent } = createRouter();
+
+  const result = await router.handleCommand("increase-opacity");
+  console.assert(
+    result.isSuccess() && result.data === true,
+    "The command should be sent"
+  );
+  console.assert(
+    sent.length === 1 &&
+      sent[0].tabId === 7 &&
+      sent[0].type === MessageType.SHORTCUT_COMMAND &&
+      sent[0].data.command === "increase-opacity",
+    "The active tab should receive SHORTCUT_COMMAND"
+  );
+
+  console.log("✓ Send tests passed");
+}
+
+/**
+ * YouTube の動画ページがアクティブでない場合のテスト
+ */
+async function testNoActiveTab() {
+  const { router, sent, setActiveTab } = createRouter();
+  setActiveTab(null);
+
+  const result = await router.handleCommand("toggle-theater-mode");
+  console.assert(
+    result.isSuccess() && result.data === false && sent.length === 0,
+    "Nothing should be sent without an active YouTube tab"
+  );
+
+  console.log("✓ No active tab tests passed");
+}
+
+/**
+ * 不明なコマンドのテスト
+ */
+async function testUnknownCommand() {
+  const { router, sent } = createRouter();
+
+  const result = await router.handleCommand("unknown-command");
+  console.assert(
+    result.isFailure() && sent.length === 0,
+    "Unknown commands should fail without sending"
+  );
+
+  console.log("✓ Unknown command tests passed");
+}
+
+/**
+ * 送信に失敗した場合のテスト
+ */
+async function testSendFailure() {
+  const router = new BrowserCommandRouter({
+    logger,
+    tabStateManager: { getCurrentActiveTab: async () => ({ id: 7 }) },
+    sendToTab: async () => {
+      throw new Error("Could not establish connection");
+    },
+  });
+
+  const result = await router.handleCommand("cycle-profile");
+  console.assert(
+    result.isFailure(),
+    "A failed send should be returned as a failure"
+  );
+
+  console.log("✓ Send failure tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runBrowserCommandRouterTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runBrowserCommandRouterTests = runTests;
+}
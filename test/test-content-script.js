@@ -0,0 +1,544 @@
+/**
+ * コンテンツスクリプトのテスト
+ * manifest.json のコンテンツスクリプトを読み込む順に同じコンテキストで実行し、
+ * TheaterModeController の初期化とバックグラウンドからのメッセージの処理を確認する
+ */
+
+// 依存関係のインポート
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+/**
+ * テスト用の要素を作成
+ * @returns {Object} 属性・クラス・スタイルを扱える疑似要素
+ */
+function createFakeElement() {
+  return {
+    style: { setProperty() {}, removeProperty() {} },
+    dataset: {},
+    children: [],
+    classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+    setAttribute() {},
+    getAttribute: () => null,
+    removeAttribute() {},
+    appendChild(child) {
+      this.children.push(child);
+      return child;
+    },
+    addEventListener() {},
+    removeEventListener() {},
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    remove() {},
+  };
+}
+
+/**
+ * 疑似 document を作成
+ * dispatch でイベントリスナーを呼び出す
+ * @returns {Object} 疑似 document
+ */
+function createFakeDocument() {
+  const listeners = {};
+  return {
+    readyState: "loading",
+    documentElement: createFakeElement(),
+    head: createFakeElement(),
+    body: createFakeElement(),
+    createElement: createFakeElement,
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    getElementById: () => null,
+    addEventListener(type, listener) {
+      (listeners[type] = listeners[type] || []).push(listener);
+    },
+    removeEventListener() {},
+    dispatch(type) {
+      return Promise.all((listeners[type] || []).map((listener) => listener()));
+    },
+  };
+}
+
+/**
+ * コンテンツスクリプトを読み込んだコンテキストを作成
+ * YouTube 以外の URL で読み込むため、自動では初期化しない
+ * @param {Object} [options] - オプション
+ * @param {Function} [options.sendMessage] - バックグラウンドへの送信（chrome.runtime.sendMessage）
+ * @param {Object} [options.syncItems={}] - chrome.storage.sync に保存済みの値
+ * @returns {Object} コンテンツスクリプトを読み込んだコンテキスト
+ *   （messageListeners に chrome.runtime.onMessage のリスナー）
+ */
+function loadContentScripts(options = {}) {
+  const event = { addListener() {}, removeListener() {} };
+  const messageListeners = [];
+  const storageArea = { get: async () => ({}), set: async () => {} };
+  const syncItems = options.syncItems || {};
+  const syncArea = {
+    get: async (keys) =>
+      Object.fromEntries(
+        keys
+          .filter((key) => key in syncItems)
+          .map((key) => [key, syncItems[key]])
+      ),
+    set: async () => {},
+  };
+  const context = {
+    console: { ...console, log() {}, debug() {}, info() {}, warn() {} },
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    URL,
+    URLSearchParams,
+    performance,
+    navigator: { userAgent: "node" },
+    location: { href: "https://example.com/", pathname: "/", search: "" },
+    history: { pushState() {}, replaceState() {} },
+    document: createFakeDocument(),
+    MutationObserver: class {
+      observe() {}
+      disconnect() {}
+    },
+    addEventListener() {},
+    removeEventListener() {},
+    chrome: {
+      runtime: {
+        id: "test",
+        onMessage: {
+          addListener: (listener) => messageListeners.push(listener),
+        },
+        getURL: (file) => file,
+        getManifest: () => ({ version: "1.0.0" }),
+        sendMessage: options.sendMessage || (async () => ({})),
+      },
+      storage: { sync: syncArea, local: storageArea, onChanged: event },
+      i18n: { getMessage: () => "", getUILanguage: () => "en" },
+    },
+  };
+  context.window = context;
+  context.messageListeners = messageListeners;
+  vm.createContext(context);
+
+  const manifest = JSON.parse(
+    fs.readFileSync(path.join(ROOT, "manifest.json"), "utf8")
+  );
+  manifest.content_scripts[0].js.forEach((file) => {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), "utf8"), context, {
+      filename: file,
+    });
+  });
+
+  return context;
+}
+
+/**
+ * オーバーレイを描画しない TheaterModeController を作成
+ * @param {Object} context - コンテンツスクリプトを読み込んだコンテキスト
+ * @returns {TheaterModeController} 作成したコントローラー
+ */
+function createController(context) {
+  const controller = new (vm.runInContext("TheaterModeController", context))();
+  controller.applyTheaterMode = async () => {};
+  controller.removeTheaterMode = () => {};
+  return controller;
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== Content Script Tests ===");
+
+  await testActiveSchedule();
+  await testInactiveSchedule();
+  await testCommandAfterNavigation();
+  await testPageType();
+  await testCustomSelectorRules();
+  await testSelectorPack();
+  await testChannelProfileKey();
+
+  console.log("=== All Content Script tests passed ===");
+}
+
+/**
+ * 自動有効化スケジュールの時間帯の途中で開いた場合のテスト
+ */
+async function testActiveSchedule() {
+  const messages = [];
+  const context = loadContentScripts({
+    sendMessage: async (message) => {
+      messages.push(message);
+      return message.action === "getScheduleState"
+        ? { success: true, active: true, opacity: 0.4 }
+        : {};
+    },
+  });
+  const controller = createController(context);
+
+  const applied = await controller.applyActiveSchedule();
+  console.assert(
+    applied &&
+      controller.isTheaterModeActive &&
+      controller.currentOpacity === 0.4,
+    "A page opened within a window should start with the window state"
+  );
+  console.assert(
+    messages.some(({ action }) => action === "getScheduleState"),
+    "The content script should ask the background for the schedule"
+  );
+
+  console.log("✓ Active schedule tests passed");
+}
+
+/**
+ * 時間帯の外で開いた場合と問い合わせに失敗した場合のテスト
+ */
+async function testInactiveSchedule() {
+  const inactive = createController(
+    loadContentScripts({
+      sendMessage: async () => ({
+        success: true,
+        active: false,
+        opacity: null,
+      }),
+    })
+  );
+  console.assert(
+    !(await inactive.applyActiveSchedule()) &&
+      !inactive.isTheaterModeActive &&
+      inactive.currentOpacity === 0.7,
+    "A page opened outside a window should keep its state"
+  );
+
+  const failing = createController(
+    loadContentScripts({
+      sendMessage: async () => {
+        throw new Error("Receiving end does not exist");
+      },
+    })
+  );
+  console.assert(
+    !(await failing.applyActiveSchedule()) && !failing.isTheaterModeActive,
+    "A failed schedule request should keep the page off"
+  );
+
+  console.log("✓ Inactive schedule tests passed");
+}
+
+/**
+ * ホームから動画ページに移動した後のブラウザのコマンドのテスト
+ */
+async function testCommandAfterNavigation() {
+  const context = loadContentScripts();
+  context.location.href = "https://www.youtube.com/";
+  context.location.pathname = "/";
+
+  // ホームには動画プレーヤーがない
+  let player = null;
+  const ElementDetector = vm.runInContext("ElementDetector", context);
+  ElementDetector.detectVideoPlayerAsync = async () => player;
+  ElementDetector.findVideoPlayer = () => player;
+
+  await vm.runInContext("initializeTheaterMode()", context);
+  const controller = context.theaterModeController;
+  controller.applyTheaterMode = async () => {};
+
+  // SPA 遷移で動画ページに移動（YouTubePageDetector が URL の変更を検出する）
+  player = context.document.createElement("div");
+  context.location.href = "https://www.youtube.com/watch?v=test";
+  context.location.pathname = "/watch";
+  context.location.search = "?v=test";
+  const detector = ElementDetector.getPageDetector();
+  let navigated = false;
+  detector.addChangeListener(() => {
+    navigated = true;
+  });
+  detector._handleUrlChange();
+  await new Promise((resolve) => setTimeout(resolve, 300));
+  console.assert(
+    navigated && controller.currentPageType === "video",
+    "The navigation detected by YouTubePageDetector should be applied"
+  );
+
+  const MessageType = vm.runInContext("MessageType", context);
+  const responses = [];
+  context.messageListeners.forEach((listener) =>
+    listener(
+      {
+        type: MessageType.SHORTCUT_COMMAND,
+        data: { command: "toggle-theater-mode" },
+      },
+      {},
+      (response) => responses.push(response)
+    )
+  );
+  await new Promise((resolve) => setTimeout(resolve, 0));
+
+  console.assert(
+    responses.length === 1 && responses[0].success,
+    "A browser command should run after navigating from the home page"
+  );
+  console.assert(
+    controller.isTheaterModeActive,
+    "The command should toggle theater mode on the watch page"
+  );
+
+  await detector.destroy();
+  console.log("✓ Command after navigation tests passed");
+}
+
+/**
+ * ページタイプの検出のテスト
+ */
+async function testPageType() {
+  const context = loadContentScripts();
+  const ElementDetector = vm.runInContext("ElementDetector", context);
+
+  // セレクターの記録は動画プレーヤーなどの検索だけを対象にする
+  let recorded = 0;
+  ElementDetector.selectorHealth = {
+    record: () => recorded++,
+    registerChain() {
+      return this;
+    },
+  };
+
+  // セレクターと一致する要素
+  let elements = {};
+  context.document.querySelector = (selector) => elements[selector] || null;
+  const detect = (url) => {
+    const { href, pathname, search } = new URL(url);
+    Object.assign(context.location, { href, pathname, search });
+    ElementDetector.pageDetector = null;
+    return ElementDetector.detectPageType();
+  };
+
+  elements = { "#movie_player": createFakeElement() };
+  console.assert(
+    (await detect("https://www.youtube.com/watch?v=a")) === "video",
+    "A watch page should be detected as a video"
+  );
+  console.assert(
+    (await detect("https://www.youtube.com/watch?v=a&list=PL1")) ===
+      "playlist",
+    "A watch page in a playlist should be detected as a playlist"
+  );
+
+  elements = {
+    "#movie_player": createFakeElement(),
+    ".ytp-premiere-countdown": createFakeElement(),
+  };
+  console.assert(
+    (await detect("https://www.youtube.com/watch?v=a&list=PL1")) ===
+      "premiere",
+    "A premiere should take priority over the playlist"
+  );
+
+  elements = {
+    "#movie_player": createFakeElement(),
+    ".ytp-live-badge": createFakeElement(),
+  };
+  console.assert(
+    (await detect("https://www.youtube.com/watch?v=a")) === "live",
+    "A visible live badge should be detected as a live stream"
+  );
+
+  // 通常の動画にも非表示のライブバッジがある
+  elements = {
+    "#movie_player": createFakeElement(),
+    ".ytp-live-badge": { ...createFakeElement(), hidden: true },
+  };
+  console.assert(
+    (await detect("https://www.youtube.com/watch?v=a&live=1")) === "video",
+    "A hidden live badge or URL parameter should not mean a live stream"
+  );
+
+  // 埋め込みプレーヤーはライブ配信でも URL で判定する
+  elements = {
+    "#movie_player": createFakeElement(),
+    ".ytp-live-badge": createFakeElement(),
+  };
+  console.assert(
+    (await detect("https://www.youtube.com/embed/a?list=PL1")) === "embed",
+    "An embedded player should be detected from the URL"
+  );
+
+  console.assert(
+    recorded === 0,
+    "Page type detection should not record selector health"
+  );
+
+  console.log("✓ Page type tests passed");
+}
+
+/**
+ * 保存されたセレクタールールの読み込みのテスト
+ */
+async function testCustomSelectorRules() {
+  const load = (customSelectorRules) => {
+    const context = loadContentScripts({ syncItems: { customSelectorRules } });
+    return new (vm.runInContext("SettingsManager", context))()
+      .loadCustomSelectorRules()
+      .then((rules) => JSON.parse(JSON.stringify(rules)));
+  };
+
+  const valid = await load([
+    { selector: "#merch-shelf", type: "include" },
+    { selector: "#chat", type: "exclude", enabled: false },
+  ]);
+  console.assert(
+    valid.length === 2 &&
+      valid[0].enabled === true &&
+      valid[1].enabled === false,
+    "Valid rules should be loaded with enabled filled in"
+  );
+
+  const mixed = await load([
+    { selector: "#merch-shelf", type: "include" },
+    { selector: "", type: "include" },
+    { selector: "#chat", type: "hide" },
+    "#comments",
+  ]);
+  console.assert(
+    mixed.length === 1 && mixed[0].selector === "#merch-shelf",
+    "Rules that fail the selector rule schema should be dropped"
+  );
+
+  const notArray = await load({ selector: "#merch-shelf" });
+  console.assert(notArray.length === 0, "A non-array value should be ignored");
+
+  console.log("✓ Custom selector rule tests passed");
+}
+
+/**
+ * 保存されたセレクターパックの適用のテスト
+ */
+async function testSelectorPack() {
+  const context = loadContentScripts();
+  const ElementDetector = vm.runInContext("ElementDetector", context);
+  const pack = {
+    version: "1.1.0",
+    minExtensionVersion: "1.0.0",
+    pages: { video: { videoPlayer: ["#movie_player"] } },
+  };
+
+  console.assert(
+    ElementDetector.applySelectorPack(pack) &&
+      ElementDetector.videoPlayerSelectors[0] === "#movie_player",
+    "A valid selector pack should be applied"
+  );
+  console.assert(
+    !ElementDetector.applySelectorPack({
+      ...pack,
+      pages: { video: { videoPlayer: "#movie_player" } },
+    }) &&
+      ElementDetector.selectorPack ===
+        vm.runInContext("DEFAULT_SELECTOR_PACK", context),
+    "A pack that fails the selector pack schema should be ignored"
+  );
+
+  console.log("✓ Selector pack tests passed");
+}
+
+/**
+ * チャンネルページと動画ページでのチャンネルプロファイルのキーのテスト
+ */
+async function testChannelProfileKey() {
+  const context = loadContentScripts();
+  const ElementDetector = vm.runInContext("ElementDetector", context);
+  context.location.origin = "https://www.youtube.com";
+
+  // セレクターに含まれる文字列で返す要素
+  let elements = {};
+  const createElement = (attributes, text = "") => ({
+    ...createFakeElement(),
+    textContent: text,
+    getAttribute: (name) => attributes[name] || null,
+  });
+  context.document.querySelector = (selector) => {
+    const key = Object.keys(elements).find((part) => selector.includes(part));
+    return key ? elements[key] : null;
+  };
+
+  // "@handle" の URL のチャンネルページ
+  context.location.pathname = "/@handle/videos";
+  elements = {
+    'link[rel="canonical"]': createElement({
+      href: "https://www.youtube.com/channel/UC123",
+    }),
+  };
+  const fromChannelPage = ElementDetector.detectChannel();
+  console.assert(
+    fromChannelPage.id === "UC123" &&
+      fromChannelPage.aliases.join() === "@handle",
+    "A channel page should use the channel ID with the handle as an alias"
+  );
+
+  // チャンネルIDの URL のチャンネルページ
+  context.location.pathname = "/channel/UC456";
+  elements = {};
+  const fromChannelId = ElementDetector.detectChannel();
+  console.assert(
+    fromChannelId.id === "UC456" &&
+      fromChannelId.aliases.length === 0 &&
+      fromChannelId.source === "url",
+    "A /channel/ URL should use the channel ID from the path"
+  );
+
+  // "@handle" のオーナーリンクの動画ページ
+  context.location.pathname = "/watch";
+  elements = {
+    "ytd-video-owner-renderer #channel-name a": createElement(
+      { href: "/@handle" },
+      "Handle"
+    ),
+    'meta[itemprop="channelId"]': createElement({ content: "UC123" }),
+  };
+  const fromWatchPage = ElementDetector.detectChannel();
+  console.assert(
+    fromWatchPage.id === "UC123" &&
+      fromWatchPage.aliases.join() === "@handle" &&
+      fromWatchPage.name === "Handle",
+    "A watch page should resolve the owner link to the same channel ID"
+  );
+
+  // 以前に "@handle" で保存したプロファイル
+  const controller = createController(context);
+  controller.settingsManager = {
+    loadChannelProfiles: async () => ({
+      "@handle": { theaterModeEnabled: true, opacity: 0.5 },
+    }),
+    saveSettings: async () => {},
+  };
+  const applied = await controller.applyChannelProfile();
+  console.assert(
+    applied &&
+      controller.isTheaterModeActive &&
+      controller.currentOpacity === 0.5,
+    "A profile saved with the handle should still apply"
+  );
+
+  // チャンネルの情報がないページ
+  elements = {};
+  console.assert(
+    ElementDetector.detectChannel() === null,
+    "A page without a channel should not be detected as one"
+  );
+
+  console.log("✓ Channel profile key tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runContentScriptTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runContentScriptTests = runTests;
+}
@@ -0,0 +1,216 @@
+/**
+ * DetectionPrompt のテスト
+ */
+
+// 依存関係のインポート
+const {
+  DETECTION_PROMPT_ID,
+  DETECTION_TARGET_CLASS,
+  DetectionPrompt,
+} = require("../infrastructure/detection-prompt.js");
+
+// メッセージキーをそのまま返す I18nManager
+const i18n = { getMessage: (key) => key };
+
+/**
+ * テスト用の要素を作成
+ * @param {string} tagName - タグ名
+ * @returns {Object} 子要素・属性・クラス・イベントを扱える疑似要素
+ */
+function createFakeElement(tagName) {
+  const classes = new Set();
+  const listeners = {};
+  const element = {
+    tagName: tagName.toUpperCase(),
+    children: [],
+    parentNode: null,
+    attributes: {},
+    textContent: "",
+    classList: {
+      add: (name) => classes.add(name),
+      remove: (name) => classes.delete(name),
+      contains: (name) => classes.has(name),
+    },
+    appendChild(child) {
+      child.parentNode = element;
+      element.children.push(child);
+      return child;
+    },
+    remove() {
+      if (element.parentNode) {
+        const siblings = element.parentNode.children;
+        siblings.splice(siblings.indexOf(element), 1);
+        element.parentNode = null;
+      }
+    },
+    setAttribute(name, value) {
+      element.attributes[name] = String(value);
+    },
+    getAttribute(name) {
+      return element.attributes[name] ?? null;
+    },
+    addEventListener(type, listener) {
+      listeners[type] = listener;
+    },
+    dispatch(type, event = {}) {
+      listeners[type]({ stopPropagation: () => {}, ...event });
+    },
+  };
+  Object.defineProperty(element, "className", {
+    get: () => [...classes].join(" "),
+    set: (value) => {
+      classes.clear();
+      value.split(" ").forEach((name) => classes.add(name));
+    },
+  });
+  return element;
+}
+
+// 確認を表示する疑似 body
+const body = createFakeElement("body");
+
+/**
+ * 疑似 document で確認を表示
+ * 結果を待つ間に他のテストが document を使うため、表示する間だけ document を差し替える
+ * @param {DetectionPrompt} prompt - 確認を表示する DetectionPrompt
+ * @param {Object} detection - 推定結果
+ * @returns {Promise<boolean>} 確認の結果
+ */
+function ask(prompt, detection) {
+  const originalDocument = global.document;
+  global.document = { createElement: createFakeElement, body };
+  try {
+    return prompt.ask(detection);
+  } finally {
+    global.document = originalDocument;
+  }
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== DetectionPrompt Tests ===");
+
+  await testAccept();
+  await testDecline();
+  await testEscape();
+  await testAskAgain();
+
+  console.log("=== All DetectionPrompt tests passed ===");
+}
+
+/**
+ * 使う場合のテスト
+ */
+async function testAccept() {
+  const prompt = new DetectionPrompt({ i18n });
+  const player = createFakeElement("div");
+
+  const answer = ask(prompt, { player });
+  const element = prompt.element;
+  const [message, accept] = element.children;
+  console.assert(
+    prompt.isOpen() &&
+      element.parentNode === body &&
+      element.id === DETECTION_PROMPT_ID &&
+      element.getAttribute("role") === "alertdialog" &&
+      message.textContent === "detectionPromptMessage" &&
+      player.classList.contains(DETECTION_TARGET_CLASS),
+    "Asking should outline the player and show the prompt"
+  );
+
+  accept.dispatch("click");
+  console.assert(
+    (await answer) === true,
+    "The accept button should resolve with true"
+  );
+  console.assert(
+    !prompt.isOpen() &&
+      element.parentNode === null &&
+      !player.classList.contains(DETECTION_TARGET_CLASS),
+    "Answering should remove the prompt and the outline"
+  );
+
+  console.log("✓ Accept tests passed");
+}
+
+/**
+ * 使わない場合のテスト
+ */
+async function testDecline() {
+  const prompt = new DetectionPrompt({ i18n });
+  const answer = ask(prompt, { player: createFakeElement("div") });
+  const decline = prompt.element.children[2];
+
+  console.assert(
+    decline.textContent === "detectionPromptDecline",
+    "The decline button should use its message"
+  );
+  decline.dispatch("click");
+  console.assert(
+    (await answer) === false,
+    "The decline button should resolve with false"
+  );
+
+  console.log("✓ Decline tests passed");
+}
+
+/**
+ * Esc キーで閉じる場合のテスト
+ */
+async function testEscape() {
+  const prompt = new DetectionPrompt({ i18n });
+  const answer = ask(prompt, { player: createFakeElement("div") });
+  const element = prompt.element;
+
+  element.dispatch("keydown", { key: "Enter" });
+  console.assert(prompt.isOpen(), "Other keys should keep the prompt open");
+
+  element.dispatch("keydown", { key: "Escape" });
+  console.assert(
+    (await answer) === false && element.parentNode === null,
+    "Escape should close the prompt as declined"
+  );
+
+  console.log("✓ Escape tests passed");
+}
+
+/**
+ * 確認中に再び確認する場合のテスト
+ */
+async function testAskAgain() {
+  const prompt = new DetectionPrompt({ i18n });
+  const first = createFakeElement("div");
+  const second = createFakeElement("div");
+
+  const firstAnswer = ask(prompt, { player: first });
+  const secondAnswer = ask(prompt, { player: second });
+  console.assert(
+    (await firstAnswer) === false &&
+      !first.classList.contains(DETECTION_TARGET_CLASS) &&
+      second.classList.contains(DETECTION_TARGET_CLASS) &&
+      body.children.length === 1,
+    "A new question should decline the previous one"
+  );
+
+  prompt.close(true);
+  console.assert(
+    (await secondAnswer) === true && body.children.length === 0,
+    "Closing should answer the current question"
+  );
+
+  console.log("✓ Ask again tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runDetectionPromptTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runDetectionPromptTests = runTests;
+}
@@ -641,6 +641,302 @@ class ElementManagerTests {
     return "Successfully cleans up resources";
   }
 
+  // テスト18: findOverlayTargetsByRegion
+  testFindOverlayTargetsByRegion() {
+    // サイドバーの中にライブチャットがある構造
+    const createNode = (id, children = []) => {
+      const node = {
+        id,
+        children,
+        matches: (selector) => selector === `#${id}`,
+        closest: () => null,
+        contains: (other) =>
+          other === node || children.some((child) => child.contains(other)),
+      };
+      return node;
+    };
+    const chat = createNode("chat");
+    const related = createNode("related");
+    const secondary = createNode("secondary", [
+      createNode("secondary-inner", [chat, related]),
+    ]);
+    const nodes = [secondary, chat, related, createNode("comments")];
+
+    const originalDocument = global.document;
+    global.document = {
+      querySelectorAll: (selector) =>
+        nodes.filter((node) => selector === `#${node.id}`),
+    };
+
+    try {
+      const elementManager = this.createElementManager();
+      const result = elementManager.findOverlayTargetsByRegion();
+
+      if (!result.isSuccess()) {
+        throw new Error("Expected successful result");
+      }
+
+      const regions = result.data;
+      if (regions.comments.length !== 1 || regions.masthead.length !== 0) {
+        throw new Error("Expected elements grouped by region");
+      }
+
+      if (regions.chat.length !== 1 || regions.chat[0] !== chat) {
+        throw new Error("Expected chat in its own region");
+      }
+
+      // サイドバーはチャットを含まない部分に分割される
+      if (
+        regions.sidebar.includes(secondary) ||
+        !regions.sidebar.includes(related)
+      ) {
+        throw new Error("Expected sidebar to be split around chat");
+      }
+    } finally {
+      global.document = originalDocument;
+    }
+
+    return "Successfully groups overlay targets by region";
+  }
+
+  // テスト19: Shorts のオーバーレイ対象
+  testFindShortsOverlayTargets() {
+    const activeReel = { id: "active-reel" };
+    const nextReel = { id: "next-reel" };
+    const actions = { id: "actions" };
+    const guide = { id: "guide" };
+    const found = {
+      "ytd-reel-video-renderer:not([is-active])": [nextReel],
+      "ytd-reel-video-renderer[is-active] #actions": [actions],
+      "#guide": [guide],
+      "#secondary": [{ id: "secondary" }],
+    };
+    [activeReel, nextReel, actions, guide].forEach((node) => {
+      node.matches = () => false;
+      node.closest = () => null;
+      node.contains = (other) => other === node;
+      node.children = [];
+    });
+
+    const originalDocument = global.document;
+    global.document = {
+      querySelectorAll: (selector) => found[selector] || [],
+    };
+
+    try {
+      const elementManager = this.createElementManager();
+      const result = elementManager.findOverlayTargetsByRegion({
+        pageType: "shorts",
+      });
+
+      if (!result.isSuccess()) {
+        throw new Error("Expected successful result");
+      }
+
+      const regions = result.data;
+      if (regions.reels[0] !== nextReel || regions.feed[0] !== guide) {
+        throw new Error("Expected feed and neighbouring reels to be dimmed");
+      }
+
+      if ("sidebar" in regions || "actions" in regions) {
+        throw new Error("Expected Shorts regions only, without action rail");
+      }
+
+      // ボタン列も暗くする場合
+      const dimmed = elementManager.findOverlayTargetsByRegion({
+        pageType: "shorts",
+        showShortsActions: false,
+      }).data;
+      if (!dimmed.actions || dimmed.actions[0] !== actions) {
+        throw new Error("Expected action rail to be dimmed when requested");
+      }
+    } finally {
+      global.document = originalDocument;
+    }
+
+    return "Successfully finds Shorts overlay targets";
+  }
+
+  // テスト20: セレクターの状態のレポート
+  testSelectorHealthReport() {
+    const elementManager = this.createElementManager();
+    const { videoPlayer } = elementManager.selectors;
+
+    const originalDocument = global.document;
+    try {
+      // 優先セレクターで一致
+      global.document = {
+        querySelector: (selector) => this.mockDOM.querySelector(selector),
+      };
+      elementManager.findElementWithFallback(videoPlayer);
+      elementManager.recordPageLoad();
+
+      // 優先セレクターが見つからずフォールバックで一致
+      global.document = {
+        querySelector: (selector) =>
+          selector === "#movie_player"
+            ? null
+            : this.mockDOM.querySelector(selector),
+      };
+      elementManager.findElementWithFallback(videoPlayer);
+      elementManager.findElementWithFallback(["#missing-a", "#missing-b"]);
+      elementManager.recordPageLoad();
+    } finally {
+      global.document = originalDocument;
+    }
+
+    const result = elementManager.getSelectorHealthReport({ threshold: 1 });
+    if (!result.isSuccess()) {
+      throw new Error("Expected successful result");
+    }
+
+    const report = result.data;
+    const chain = report.chains.find((entry) => entry.name === "videoPlayer");
+    if (!chain || chain.lookups !== 2) {
+      throw new Error("Expected two lookups for the video player selectors");
+    }
+    if (
+      chain.matches["#movie_player"] !== 1 ||
+      chain.matches[".html5-video-player"] !== 1
+    ) {
+      throw new Error("Expected matched selectors to be counted");
+    }
+    if (chain.confidence >= 1 || chain.primaryMissedLoads !== 1) {
+      throw new Error("Expected fallback match to lower the confidence");
+    }
+    if (!report.warnings.includes("videoPlayer")) {
+      throw new Error("Expected a warning for the video player selectors");
+    }
+
+    const failed = report.chains.find(
+      (entry) => entry.key === "#missing-a, #missing-b"
+    );
+    if (!failed || failed.failures !== 1 || failed.lastFailedAt === null) {
+      throw new Error("Expected fully failed chain to be recorded");
+    }
+    if (
+      !this.mockLogger.logs.some(
+        (log) =>
+          log.level === "INFO" && log.message === "Selector health report"
+      )
+    ) {
+      throw new Error("Expected report to be written to the logger");
+    }
+
+    return "Successfully reports selector health";
+  }
+
+  // テスト21: locateVideoPlayer
+  async testLocateVideoPlayer() {
+    const elementManager = this.createElementManager();
+
+    // セレクターで検出した場合は推定しない
+    const found = await elementManager.locateVideoPlayer({ timeout: 500 });
+    if (
+      !found.isSuccess() ||
+      found.data.heuristic ||
+      found.data.player.id !== "movie_player"
+    ) {
+      throw new Error("Expected selectors to find the video player");
+    }
+
+    // セレクターがすべて一致しない場合は構造から推定
+    const player = { id: "" };
+    const sidebar = { id: "" };
+    elementManager.detectVideoPlayer = async () =>
+      this.mockErrorHandler.wrapSync(() => null);
+    elementManager.heuristicDetector.detect = () =>
+      this.mockErrorHandler.wrapSync(() => ({
+        player,
+        video: {},
+        candidates: [{ element: sidebar, placement: "side" }],
+        confidence: 2,
+      }));
+
+    const result = await elementManager.locateVideoPlayer();
+    if (!result.isSuccess()) {
+      throw new Error("Expected successful result");
+    }
+    if (
+      !result.data.heuristic ||
+      result.data.player !== player ||
+      result.data.confidence !== 2 ||
+      result.data.candidates[0].element !== sidebar
+    ) {
+      throw new Error("Expected heuristic detection with its confidence");
+    }
+
+    // HeuristicDetector を読み込んでいない場合は推定しない
+    elementManager.heuristicDetector = null;
+    const skipped = await elementManager.locateVideoPlayer();
+    if (
+      !skipped.isSuccess() ||
+      skipped.data.player !== null ||
+      skipped.data.confidence !== 0
+    ) {
+      throw new Error("Expected no detection without a heuristic detector");
+    }
+
+    return "Falls back to heuristic detection";
+  }
+
+  // テスト22: applySelectorPack
+  testApplySelectorPack() {
+    const elementManager = this.createElementManager();
+    const pack = {
+      version: "1.1.0",
+      minExtensionVersion: "1.1.0",
+      pages: {
+        video: {
+          videoPlayer: [".html5-video-player", "#movie_player"],
+        },
+      },
+    };
+
+    // 拡張機能のバージョンが足りない場合は適用しない
+    const incompatible = elementManager.applySelectorPack(pack, {
+      extensionVersion: "1.0.0",
+    });
+    if (
+      !incompatible.isFailure() ||
+      elementManager.selectors.videoPlayer[0] !== "#movie_player"
+    ) {
+      throw new Error("Expected incompatible pack to be rejected");
+    }
+
+    // 不正なパックは DataValidator で拒否する
+    const invalid = elementManager.applySelectorPack({
+      ...pack,
+      pages: { video: { videoPlayer: [] } },
+    });
+    if (!invalid.isFailure()) {
+      throw new Error("Expected invalid pack to be rejected");
+    }
+
+    const result = elementManager.applySelectorPack(pack, {
+      extensionVersion: "1.1.4",
+    });
+    if (!result.isSuccess() || result.data.version !== "1.1.0") {
+      throw new Error("Expected pack to be applied");
+    }
+    if (elementManager.selectors.videoPlayer[0] !== ".html5-video-player") {
+      throw new Error("Expected pack selectors to be used");
+    }
+    if (elementManager.selectors.overlayTargets.length === 0) {
+      throw new Error("Expected missing selectors to use the built-in pack");
+    }
+
+    const found = elementManager.findElementWithFallback(
+      elementManager.selectors.videoPlayer
+    );
+    const chain = elementManager.selectorHealth.getChain("videoPlayer");
+    if (found.data.id !== "html5-video-player" || !chain) {
+      throw new Error("Expected pack selectors to be reported by name");
+    }
+
+    return "Applies validated selector packs";
+  }
+
   // 全テストを実行
   async runAllTests() {
     console.log("🧪 Starting ElementManager Unit Tests...\n");
@@ -682,6 +978,19 @@ class ElementManagerTests {
       this.testDetectVideoPlayer()
     );
     this.runTest("findOverlayTargets", () => this.testFindOverlayTargets());
+    this.runTest("findOverlayTargetsByRegion", () =>
+      this.testFindOverlayTargetsByRegion()
+    );
+    this.runTest("findOverlayTargetsByRegion - Shorts", () =>
+      this.testFindShortsOverlayTargets()
+    );
+    this.runTest("getSelectorHealthReport", () =>
+      this.testSelectorHealthReport()
+    );
+    await this.runAsyncTest("locateVideoPlayer", () =>
+      this.testLocateVideoPlayer()
+    );
+    this.runTest("applySelectorPack", () => this.testApplySelectorPack());
 
     this.printTestSummary();
   }
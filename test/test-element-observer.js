@@ -702,6 +702,60 @@ class ElementObserverTests {
     return "Successfully cleans up resources";
   }
 
+  // テスト12: Shorts のリールの切り替え監視
+  testObserveShortsReels() {
+    const elementObserver = this.createElementObserver();
+    const firstReel = { matches: () => true };
+    const secondReel = { matches: () => true };
+    let activeReel = firstReel;
+    const container = { querySelector: () => activeReel };
+
+    const notified = [];
+    const result = elementObserver.observeShortsReels(container, {
+      id: "shorts-reels",
+      callback: (reel) => notified.push(reel),
+    });
+
+    if (!result.isSuccess() || result.data !== "shorts-reels") {
+      throw new Error("Expected successful result");
+    }
+
+    const { observer, config } =
+      elementObserver.mutationObservers.get("shorts-reels");
+    if (!config.attributeFilter.includes("is-active") || !config.subtree) {
+      throw new Error("Expected is-active attribute to be observed");
+    }
+
+    // 再生中のリールが変わらない属性の変更は通知しない
+    observer.callback([{ target: container, type: "attributes" }]);
+    if (notified.length !== 0) {
+      throw new Error("Expected no notification without a reel change");
+    }
+
+    // スワイプで再生中のリールが変わった場合
+    activeReel = secondReel;
+    observer.callback([{ target: secondReel, type: "attributes" }]);
+    if (notified.length !== 1 || notified[0] !== secondReel) {
+      throw new Error("Expected the new active reel to be notified");
+    }
+
+    // 新しいリールが読み込まれた場合
+    observer.callback([
+      { target: container, type: "childList", addedNodes: [firstReel] },
+    ]);
+    if (notified.length !== 2) {
+      throw new Error("Expected added reels to be notified");
+    }
+
+    if (!elementObserver.observeShortsReels(container, {}).isFailure()) {
+      throw new Error("Expected missing callback to fail");
+    }
+
+    elementObserver.stopObservation("shorts-reels");
+
+    return "Successfully observes Shorts reel changes";
+  }
+
   // 全テストを実行
   async runAllTests() {
     console.log("🧪 Starting ElementObserver Unit Tests...\n");
@@ -725,6 +779,7 @@ class ElementObserverTests {
       this.testWaitForElement()
     );
     this.runTest("Cleanup", () => this.testCleanup());
+    this.runTest("Observe Shorts Reels", () => this.testObserveShortsReels());
 
     this.printTestSummary();
   }
@@ -0,0 +1,201 @@
+/**
+ * EmbedMode のテスト
+ */
+
+// 依存関係のインポート
+const {
+  EMBED_PERMISSION_ORIGINS,
+  EMBED_CONTENT_SCRIPTS,
+  EMBED_OPACITY_PROPERTY,
+  isEmbedPlayerUrl,
+  getEmbedPlayerOrigin,
+  findEmbedPlayers,
+  getEmbedHostOrigin,
+  positionEmbedOverlay,
+} = require("../infrastructure/embed-mode.js");
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== EmbedMode Tests ===");
+
+  // 各テストを実行
+  testEmbedPlayerUrl();
+  testFindEmbedPlayers();
+  testEmbedHostOrigin();
+  testContentScripts();
+  testPositionEmbedOverlay();
+
+  console.log("=== All EmbedMode Tests Completed ===");
+}
+
+/**
+ * 埋め込みプレーヤーの URL の判定テスト
+ */
+function testEmbedPlayerUrl() {
+  console.log("Testing isEmbedPlayerUrl...");
+
+  console.assert(
+    isEmbedPlayerUrl("https://www.youtube.com/embed/abc123?start=10"),
+    "YouTube embed URL should be detected"
+  );
+  console.assert(
+    isEmbedPlayerUrl("https://www.youtube-nocookie.com/embed/abc123"),
+    "Privacy-enhanced embed URL should be detected"
+  );
+  console.assert(
+    !isEmbedPlayerUrl("https://www.youtube.com/watch?v=abc123"),
+    "Watch page should not be an embed"
+  );
+  console.assert(
+    !isEmbedPlayerUrl("https://example.com/youtube.com/embed/abc123"),
+    "Other hosts should not be an embed"
+  );
+  console.assert(!isEmbedPlayerUrl("not a url"), "Invalid URL is not an embed");
+
+  console.assert(
+    getEmbedPlayerOrigin("https://youtube.com/embed/abc123") ===
+      "https://www.youtube.com",
+    "Origin should follow the redirect to www"
+  );
+  console.assert(
+    getEmbedPlayerOrigin("https://www.youtube-nocookie.com/embed/abc123") ===
+      "https://www.youtube-nocookie.com",
+    "Origin with www should be kept"
+  );
+  console.assert(
+    getEmbedPlayerOrigin("https://example.com/") === null,
+    "Non-embed URL should have no origin"
+  );
+
+  console.log("✓ isEmbedPlayerUrl tests passed");
+}
+
+/**
+ * 埋め込みプレーヤーの検索テスト
+ */
+function testFindEmbedPlayers() {
+  console.log("Testing findEmbedPlayers...");
+
+  const player = { src: "https://www.youtube.com/embed/abc123" };
+  const lookalike = { src: "https://example.com/?next=youtube.com/embed/x" };
+  const root = {
+    querySelectorAll: () => [player, lookalike],
+  };
+
+  const players = findEmbedPlayers(root);
+  console.assert(
+    players.length === 1 && players[0] === player,
+    "Only real embed players should be found"
+  );
+
+  console.log("✓ findEmbedPlayers tests passed");
+}
+
+/**
+ * 埋め込み先のオリジンの取得テスト
+ */
+function testEmbedHostOrigin() {
+  console.log("Testing getEmbedHostOrigin...");
+
+  console.assert(
+    getEmbedHostOrigin(
+      { ancestorOrigins: ["https://conf.example"] },
+      "https://other.example/talks"
+    ) === "https://conf.example",
+    "ancestorOrigins should be preferred"
+  );
+  console.assert(
+    getEmbedHostOrigin({}, "https://conf.example/talks/42") ===
+      "https://conf.example",
+    "Referrer should be used as a fallback"
+  );
+  console.assert(
+    getEmbedHostOrigin({ ancestorOrigins: [] }, "") === null,
+    "Unknown host should return null"
+  );
+
+  console.log("✓ getEmbedHostOrigin tests passed");
+}
+
+/**
+ * 登録するコンテンツスクリプトの定義テスト
+ */
+function testContentScripts() {
+  console.log("Testing content script definitions...");
+
+  const ids = EMBED_CONTENT_SCRIPTS.map(({ id }) => id);
+  console.assert(
+    new Set(ids).size === ids.length,
+    "Content script IDs should be unique"
+  );
+
+  const host = EMBED_CONTENT_SCRIPTS.find(({ js }) =>
+    js.includes("embed-host.js")
+  );
+  console.assert(
+    host && host.excludeMatches.includes("*://*.youtube.com/*"),
+    "Host script should not run on YouTube itself"
+  );
+
+  const frame = EMBED_CONTENT_SCRIPTS.find(({ js }) =>
+    js.includes("embed-frame.js")
+  );
+  console.assert(
+    frame && frame.allFrames === true,
+    "Frame script should run inside iframes"
+  );
+
+  console.assert(
+    EMBED_PERMISSION_ORIGINS.includes("*://*/*"),
+    "Permission should cover third-party sites"
+  );
+
+  console.log("✓ content script definition tests passed");
+}
+
+/**
+ * 暗くする要素の位置の更新テスト
+ */
+function testPositionEmbedOverlay() {
+  console.log("Testing positionEmbedOverlay...");
+
+  const properties = new Map();
+  const overlay = {
+    style: {
+      setProperty: (name, value) => properties.set(name, value),
+    },
+  };
+
+  positionEmbedOverlay(
+    overlay,
+    { left: 40, top: 120.5, width: 640, height: 360 },
+    0.3
+  );
+  console.assert(
+    overlay.style.left === "40px" &&
+      overlay.style.top === "120.5px" &&
+      overlay.style.width === "640px" &&
+      overlay.style.height === "360px",
+    "Overlay should cover the player position"
+  );
+  console.assert(
+    properties.get(EMBED_OPACITY_PROPERTY) === 0.3,
+    "Opacity should be set"
+  );
+
+  console.log("✓ positionEmbedOverlay tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runEmbedModeTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runEmbedModeTests = runTests;
+}
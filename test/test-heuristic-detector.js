@@ -0,0 +1,374 @@
+/**
+ * HeuristicDetector のテスト
+ */
+
+// 依存関係のインポート
+const {
+  ErrorHandler,
+  ErrorType,
+} = require("../infrastructure/error-handler.js");
+const {
+  DetectionConfidence,
+} = require("../infrastructure/youtube-page-detector.js");
+const {
+  HeuristicPlacement,
+  isSimilarRect,
+  classifyPlacement,
+  HeuristicDetector,
+} = require("../infrastructure/heuristic-detector.js");
+const { TheaterModeController } = require("../theater-mode-controller.js");
+
+global.ErrorType = ErrorType;
+
+const VIEWPORT = { width: 1280, height: 720 };
+
+// ロガーのモック
+const mockLogger = {
+  trace() {},
+  debug() {},
+  info() {},
+  warn() {},
+  error() {},
+};
+
+/**
+ * 矩形を作成
+ * @param {number} left - 左端
+ * @param {number} top - 上端
+ * @param {number} width - 幅
+ * @param {number} height - 高さ
+ * @returns {Object} 矩形
+ */
+const rect = (left, top, width, height) => ({
+  left,
+  top,
+  width,
+  height,
+  right: left + width,
+  bottom: top + height,
+});
+
+/**
+ * 要素のモックを作成
+ * @param {string} tagName - タグ名
+ * @param {Object} bounds - 矩形
+ * @param {Object[]} [children=[]] - 子要素
+ * @returns {Object} 要素のモック
+ */
+const createElement = (tagName, bounds, children = []) => {
+  const element = {
+    tagName: tagName.toUpperCase(),
+    parentElement: null,
+    children,
+    getBoundingClientRect: () => bounds,
+    querySelectorAll: (selector) =>
+      children.flatMap((child) => [
+        ...(child.tagName === selector.toUpperCase() ? [child] : []),
+        ...child.querySelectorAll(selector),
+      ]),
+  };
+  children.forEach((child) => {
+    child.parentElement = element;
+  });
+  return element;
+};
+
+/**
+ * 動画ページのレイアウトを作成
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.sidebar=true] - 関連動画の列を含めるかどうか
+ * @returns {Object} レイアウトの要素
+ */
+const createWatchLayout = (options = {}) => {
+  const video = createElement("video", rect(24, 80, 854, 480));
+  const preview = createElement("video", rect(900, 100, 160, 90));
+  const player = createElement("div", rect(24, 80, 854, 480), [
+    createElement("div", rect(24, 80, 854, 480), [video]),
+  ]);
+  const below = createElement("div", rect(24, 572, 854, 1400));
+  const primary = createElement("div", rect(24, 80, 854, 1900), [
+    player,
+    below,
+  ]);
+  const sidebar = createElement("div", rect(900, 80, 356, 1900), [preview]);
+  const columns = createElement(
+    "div",
+    rect(0, 56, 1280, 1944),
+    options.sidebar === false ? [primary] : [primary, sidebar]
+  );
+  const masthead = createElement("div", rect(0, 0, 1280, 56));
+  const body = createElement("body", rect(0, 0, 1280, 2000), [
+    masthead,
+    columns,
+  ]);
+
+  global.document = {
+    body,
+    documentElement: { clientWidth: 0, clientHeight: 0 },
+  };
+
+  return { body, video, player, below, sidebar, masthead };
+};
+
+/**
+ * HeuristicDetectorを作成
+ * @param {Object} [options] - オプション
+ * @param {boolean} [options.inViewport=true] - プレーヤーがビューポート内にあるかどうか
+ * @returns {HeuristicDetector} HeuristicDetectorインスタンス
+ */
+const createDetector = (options = {}) => {
+  const errorHandler = new ErrorHandler(mockLogger);
+  const elementObserver = {
+    isElementVisible: () => errorHandler.wrapSync(() => true),
+    isElementInViewport: () =>
+      errorHandler.wrapSync(() => options.inViewport !== false),
+  };
+  return new HeuristicDetector(mockLogger, errorHandler, elementObserver);
+};
+
+/**
+ * 推定したプレーヤーを検出する TheaterModeController を作成
+ * シアターモードを有効にした状態で初期化し、適用したオーバーレイを記録する
+ * @param {Object} detection - ElementManager#locateVideoPlayer の検出結果
+ * @param {Function} [confirmDetection] - 推定したプレーヤーを適用するか確認する関数
+ * @returns {Object} { controller, applyCalls }
+ */
+const createController = (detection, confirmDetection) => {
+  const errorHandler = new ErrorHandler(mockLogger);
+  const applyCalls = [];
+  const success = (data) => errorHandler.wrapSync(() => data);
+
+  const controller = new TheaterModeController({
+    logger: mockLogger,
+    // TheaterModeController は非同期の処理を関数で渡すため、呼び出してからラップする
+    errorHandler: {
+      wrapSync: (fn) => errorHandler.wrapSync(fn),
+      wrapAsync: (fn) => errorHandler.wrapAsync(fn()),
+    },
+    stateStore: {
+      subscribeToPath: () => () => {},
+      getState: () => ({ theaterMode: { isEnabled: true, opacity: 0.7 } }),
+    },
+    elementManager: {
+      selectors: { videoControls: [] },
+      locateVideoPlayer: async () => success({ ...detection, heuristic: true }),
+      findOverlayTargets: () => success([]),
+      findElementsWithFallback: () => success([]),
+    },
+    overlayManager: {
+      applyOverlay: (targets, protectedElements) => {
+        applyCalls.push({ targets, protectedElements });
+        return success(true);
+      },
+      updateOpacity() {},
+    },
+    confirmDetection,
+  });
+
+  return { controller, applyCalls };
+};
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== HeuristicDetector Tests ===");
+
+  // 他のテストに影響しないよう、終了後にグローバルを戻す
+  const originalWindow = global.window;
+  const originalDocument = global.document;
+  global.window = { innerWidth: VIEWPORT.width, innerHeight: VIEWPORT.height };
+
+  try {
+    // 各テストを実行
+    testClassifyPlacement();
+    testDetectWatchLayout();
+    testDetectConfidence();
+  } finally {
+    global.window = originalWindow;
+    global.document = originalDocument;
+  }
+
+  // TheaterModeController のテストはグローバルを使わない
+  await testControllerHeuristicDetection();
+
+  console.log("=== All HeuristicDetector Tests Completed ===");
+}
+
+/**
+ * 位置関係による分類のテスト
+ */
+function testClassifyPlacement() {
+  console.log("Testing classifyPlacement...");
+
+  const playerRect = rect(24, 80, 854, 480);
+
+  console.assert(
+    isSimilarRect(rect(20, 78, 860, 490), playerRect),
+    "Slightly larger rect should be similar"
+  );
+  console.assert(
+    !isSimilarRect(rect(0, 0, 1280, 720), playerRect),
+    "Page-sized rect should not be similar"
+  );
+  console.assert(
+    classifyPlacement(rect(900, 80, 356, 1900), playerRect, VIEWPORT) ===
+      HeuristicPlacement.SIDE,
+    "Tall column beside the player should be a side candidate"
+  );
+  console.assert(
+    classifyPlacement(rect(24, 572, 854, 400), playerRect, VIEWPORT) ===
+      HeuristicPlacement.BELOW,
+    "Wide block below the player should be a below candidate"
+  );
+  console.assert(
+    classifyPlacement(rect(0, 0, 1280, 56), playerRect, VIEWPORT) ===
+      HeuristicPlacement.ABOVE,
+    "Full-width bar above the player should be an above candidate"
+  );
+  console.assert(
+    classifyPlacement(rect(900, 80, 200, 40), playerRect, VIEWPORT) === null,
+    "Small element beside the player should not be a candidate"
+  );
+  console.assert(
+    classifyPlacement(rect(100, 100, 300, 300), playerRect, VIEWPORT) ===
+      null,
+    "Element overlapping the player should not be a candidate"
+  );
+
+  console.log("✓ classifyPlacement tests passed");
+}
+
+/**
+ * 動画ページのレイアウトの推定テスト
+ */
+function testDetectWatchLayout() {
+  console.log("Testing detect...");
+
+  const layout = createWatchLayout();
+  const result = createDetector().detect(layout.body);
+
+  console.assert(result.isSuccess(), "Detection should succeed");
+
+  const { player, video, candidates, confidence } = result.data;
+  console.assert(video === layout.video, "Largest video should be found");
+  console.assert(
+    player === layout.player,
+    "Outermost ancestor of the video size should be the player"
+  );
+
+  const placementOf = (element) =>
+    (candidates.find((candidate) => candidate.element === element) || {})
+      .placement;
+  console.assert(
+    placementOf(layout.below) === HeuristicPlacement.BELOW &&
+      placementOf(layout.sidebar) === HeuristicPlacement.SIDE &&
+      placementOf(layout.masthead) === HeuristicPlacement.ABOVE,
+    "Columns around the player should be classified"
+  );
+  console.assert(
+    confidence === DetectionConfidence.HIGH,
+    "Standard watch layout should have high confidence"
+  );
+
+  console.log("✓ detect tests passed");
+}
+
+/**
+ * 信頼度のテスト
+ */
+function testDetectConfidence() {
+  console.log("Testing detection confidence...");
+
+  const withoutSidebar = createWatchLayout({ sidebar: false });
+  console.assert(
+    createDetector().detect(withoutSidebar.body).data.confidence ===
+      DetectionConfidence.MEDIUM,
+    "Layout without a side column should have medium confidence"
+  );
+
+  const offscreen = createWatchLayout();
+  console.assert(
+    createDetector({ inViewport: false }).detect(offscreen.body).data
+      .confidence === DetectionConfidence.LOW,
+    "Player outside the viewport should have low confidence"
+  );
+
+  const empty = createElement("body", rect(0, 0, 1280, 720), [
+    createElement("video", rect(0, 0, 160, 90)),
+  ]);
+  const none = createDetector().detect(empty).data;
+  console.assert(
+    none.player === null && none.confidence === DetectionConfidence.NONE,
+    "Small videos should not be detected"
+  );
+
+  console.log("✓ detection confidence tests passed");
+}
+
+/**
+ * TheaterModeController で推定したプレーヤーを適用するテスト
+ */
+async function testControllerHeuristicDetection() {
+  const player = createElement("div", rect(24, 80, 854, 480));
+  const sidebar = createElement("div", rect(900, 80, 356, 1900));
+  const detection = (confidence) => ({
+    player,
+    candidates: [{ element: sidebar, placement: HeuristicPlacement.SIDE }],
+    confidence,
+  });
+
+  // 信頼度が高い場合は自動で適用
+  const auto = createController(detection(DetectionConfidence.HIGH));
+  const autoResult = await auto.controller.initialize();
+  console.assert(
+    autoResult.data === true,
+    "High confidence detection should be applied automatically"
+  );
+  const [applyCall] = auto.applyCalls;
+  console.assert(
+    applyCall &&
+      applyCall.targets.includes(sidebar) &&
+      applyCall.protectedElements.includes(player),
+    "Heuristic candidates should be overlaid around the protected player"
+  );
+
+  // 確認する関数がない場合は適用しない
+  const unconfirmed = createController(detection(DetectionConfidence.MEDIUM));
+  const unconfirmedResult = await unconfirmed.controller.initialize();
+  console.assert(
+    unconfirmedResult.data === false && unconfirmed.applyCalls.length === 0,
+    "Medium confidence detection should not be applied without asking"
+  );
+
+  // ユーザーが承認した場合は適用
+  const asked = [];
+  const confirmed = createController(
+    detection(DetectionConfidence.MEDIUM),
+    async (result) => {
+      asked.push(result);
+      return true;
+    }
+  );
+  const confirmedResult = await confirmed.controller.initialize();
+  console.assert(
+    confirmedResult.data === true &&
+      asked.length === 1 &&
+      asked[0].confidence === DetectionConfidence.MEDIUM,
+    "Medium confidence detection should be applied after confirmation"
+  );
+
+  console.log("✓ controller heuristic detection tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runHeuristicDetectorTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runHeuristicDetectorTests = runTests;
+}
@@ -20,8 +20,8 @@ class MockErrorHandler {
     }
   }
 
-  wrapAsync(fn) {
-    return Promise.resolve(fn())
+  wrapAsync(promise) {
+    return Promise.resolve(promise)
       .then((result) => ({
         isSuccess: () => true,
         isFailure: () => false,
@@ -156,8 +156,8 @@ function runKeyboardShortcutTests() {
     // デフォルトショートカットが設定されているか確認
     const shortcuts = manager.getShortcuts().data;
     console.assert(
-      shortcuts.size === 3,
-      "Manager should have 3 default shortcuts"
+      shortcuts.size === 4,
+      "Manager should have 4 default shortcuts"
     );
     console.assert(
       shortcuts.has("theaterMode"),
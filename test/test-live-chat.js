@@ -0,0 +1,184 @@
+/**
+ * LiveChat のテスト
+ */
+
+// 依存関係のインポート
+const {
+  LiveChatClass,
+  LIVE_CHAT_OPACITY_PROPERTY,
+  DEFAULT_LIVE_CHAT_PROFILE,
+  normalizeLiveChatProfile,
+  isLiveBadgeVisible,
+  findLiveBadge,
+  applyLiveChatState,
+} = require("../infrastructure/live-chat.js");
+
+/**
+ * テスト用のバッジ要素を作成
+ * @param {string} display - 計算後の display の値
+ * @returns {Object} ownerDocument を持つ要素
+ */
+function createBadge(display) {
+  return {
+    hidden: false,
+    ownerDocument: {
+      defaultView: { getComputedStyle: () => ({ display }) },
+    },
+  };
+}
+
+/**
+ * テスト用のルート要素を作成
+ * @returns {Object} classList と style を持つ要素
+ */
+function createRoot() {
+  const classes = new Set();
+  const properties = new Map();
+  return {
+    classes,
+    properties,
+    classList: {
+      toggle: (name, force) =>
+        force ? classes.add(name) : classes.delete(name),
+    },
+    style: {
+      setProperty: (name, value) => properties.set(name, value),
+      removeProperty: (name) => properties.delete(name),
+    },
+  };
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== LiveChat Tests ===");
+
+  // 各テストを実行
+  testNormalize();
+  testLiveBadge();
+  testApplyLiveChatState();
+
+  console.log("=== All LiveChat Tests Completed ===");
+}
+
+/**
+ * プロファイルの正規化テスト
+ */
+function testNormalize() {
+  console.log("Testing normalizeLiveChatProfile...");
+
+  const defaults = normalizeLiveChatProfile(undefined);
+  console.assert(
+    JSON.stringify(defaults) === JSON.stringify(DEFAULT_LIVE_CHAT_PROFILE),
+    "Missing profile should use defaults"
+  );
+
+  const profile = normalizeLiveChatProfile({
+    enabled: "yes",
+    chatOpacity: 0.97,
+    keepPinned: false,
+  });
+  console.assert(profile.enabled === false, "Enabled should be a boolean");
+  console.assert(profile.chatOpacity === 0.9, "Opacity should be clamped");
+  console.assert(profile.keepPinned === false, "Pinned should be kept off");
+  console.assert(
+    profile.keepSuperChats === true,
+    "Super chats should stay bright by default"
+  );
+  console.assert(
+    normalizeLiveChatProfile({ chatOpacity: 0.33 }).chatOpacity === 0.35,
+    "Opacity should be rounded to 5%"
+  );
+
+  console.log("✓ normalize tests passed");
+}
+
+/**
+ * ライブバッジの判定テスト
+ */
+function testLiveBadge() {
+  console.log("Testing live badge detection...");
+
+  // 通常の動画でもバッジは display: none で存在する
+  const hiddenBadge = createBadge("none");
+  const visibleBadge = createBadge("inline-block");
+
+  console.assert(!isLiveBadgeVisible(null), "Missing badge is not live");
+  console.assert(
+    !isLiveBadgeVisible(hiddenBadge),
+    "Hidden badge should not indicate a live stream"
+  );
+  console.assert(
+    !isLiveBadgeVisible({ ...visibleBadge, hidden: true }),
+    "Badge with the hidden attribute should not indicate a live stream"
+  );
+  console.assert(
+    isLiveBadgeVisible(visibleBadge),
+    "Visible badge should indicate a live stream"
+  );
+
+  const root = {
+    badges: [hiddenBadge],
+    querySelectorAll(selector) {
+      return selector === ".ytp-live-badge" ? this.badges : [];
+    },
+  };
+  console.assert(findLiveBadge(root) === null, "VOD should not be live");
+  root.badges = [hiddenBadge, visibleBadge];
+  console.assert(
+    findLiveBadge(root) === visibleBadge,
+    "Visible badge should be found"
+  );
+
+  console.log("✓ live badge tests passed");
+}
+
+/**
+ * チャットフレームへの状態の反映テスト
+ */
+function testApplyLiveChatState() {
+  console.log("Testing applyLiveChatState...");
+
+  const root = createRoot();
+  applyLiveChatState(root, {
+    active: true,
+    chatOpacity: 0.4,
+    keepPinned: true,
+    keepSuperChats: false,
+  });
+  console.assert(
+    root.classes.has(LiveChatClass.ACTIVE) &&
+      root.classes.has(LiveChatClass.KEEP_PINNED) &&
+      !root.classes.has(LiveChatClass.KEEP_SUPER_CHATS),
+    "Classes should follow the profile"
+  );
+  console.assert(
+    root.properties.get(LIVE_CHAT_OPACITY_PROPERTY) === 0.4,
+    "Chat opacity should be set"
+  );
+
+  applyLiveChatState(root, { active: false });
+  console.assert(
+    root.classes.size === 0,
+    "Inactive state should clear classes"
+  );
+  console.assert(
+    !root.properties.has(LIVE_CHAT_OPACITY_PROPERTY),
+    "Inactive state should clear the opacity"
+  );
+
+  console.log("✓ applyLiveChatState tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runLiveChatTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runLiveChatTests = runTests;
+}
@@ -761,6 +761,99 @@ async function runMessageBusTests() {
       );
     });
 
+    // フレーム間のメッセージングのテスト
+    framework.test("Frame messaging", async () => {
+      const originalWindow = global.window;
+      const origin = "https://www.youtube.com";
+      const parentWindow = new EventTarget();
+      const frameWindow = new EventTarget();
+      const otherWindow = new EventTarget();
+
+      // 送信元のウィンドウとオリジンを付けて message イベントを発火
+      const dispatchMessage = (receiver, sender, data) => {
+        const event = new Event("message");
+        Object.assign(event, { data, source: sender, origin });
+        receiver.dispatchEvent(event);
+      };
+      // receiver.postMessage() で sender からのメッセージとして届ける
+      const linkWindows = (receiver, sender) => {
+        receiver.postMessage = (data, targetOrigin) => {
+          if (targetOrigin === origin) {
+            setTimeout(() => dispatchMessage(receiver, sender, data), 0);
+          }
+        };
+      };
+      linkWindows(frameWindow, parentWindow);
+      linkWindows(parentWindow, frameWindow);
+
+      try {
+        global.window = parentWindow;
+        const parentBus = new MessageBus({ name: "parent" });
+        parentBus.connectFrame(() => frameWindow, origin);
+
+        global.window = frameWindow;
+        const frameBus = new MessageBus({ name: "frame" });
+        frameBus.connectFrame(() => parentWindow, origin);
+
+        const states = [];
+        frameBus.registerHandler(MessageType.LIVE_CHAT_STATE, (message) => {
+          states.push(message.data);
+        });
+        parentBus.registerHandler(MessageType.LIVE_CHAT_READY, () =>
+          parentBus.send(
+            MessageType.LIVE_CHAT_STATE,
+            { active: true, chatOpacity: 0.5 },
+            { target: MessageTarget.FRAME }
+          )
+        );
+
+        mockChrome.clear();
+        await frameBus.send(
+          MessageType.LIVE_CHAT_READY,
+          {},
+          { target: MessageTarget.FRAME }
+        );
+        await new Promise((resolve) => setTimeout(resolve, 20));
+
+        framework.assertEqual(states.length, 1, "Frame should receive state");
+        framework.assert(
+          states[0].active && states[0].chatOpacity === 0.5,
+          "State data should match"
+        );
+        framework.assertEqual(
+          mockChrome.messages.length,
+          0,
+          "Frame messages should not use the Chrome API"
+        );
+
+        // 接続していないウィンドウからのメッセージは無視する
+        dispatchMessage(frameWindow, otherWindow, {
+          channel: FRAME_CHANNEL,
+          message: new Message(MessageType.LIVE_CHAT_STATE, {
+            active: false,
+          }).serialize(),
+        });
+        await new Promise((resolve) => setTimeout(resolve, 20));
+        framework.assertEqual(
+          states.length,
+          1,
+          "Messages from other windows should be ignored"
+        );
+
+        global.window = parentWindow;
+        parentBus.dispose();
+        global.window = frameWindow;
+        frameBus.dispose();
+        framework.assertEqual(
+          frameBus.frames.length,
+          0,
+          "Dispose should disconnect frames"
+        );
+      } finally {
+        global.window = originalWindow;
+      }
+    });
+
     await framework.run();
     return framework.failed === 0;
   } catch (error) {
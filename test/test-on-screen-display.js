@@ -0,0 +1,301 @@
+/**
+ * OnScreenDisplay のテスト
+ */
+
+// 依存関係のインポート
+const {
+  OSD_ID,
+  DEFAULT_OSD_HIDE_DELAY,
+  OSD_HIDE_DELAY_RANGE,
+  normalizeOsdHideDelay,
+  OnScreenDisplay,
+} = require("../infrastructure/on-screen-display.js");
+const {
+  SettingsManager,
+  SchemaType,
+} = require("../infrastructure/settings-manager.js");
+
+// メッセージキーをそのまま返す I18nManager
+const i18n = { getMessage: (key) => key };
+
+/**
+ * テスト用の要素を作成
+ * @param {string} tagName - タグ名
+ * @returns {Object} 子要素・属性・クラスを扱える疑似要素
+ */
+function createFakeElement(tagName) {
+  const classes = new Set();
+  const element = {
+    tagName: tagName.toUpperCase(),
+    children: [],
+    parentNode: null,
+    attributes: {},
+    style: {},
+    textContent: "",
+    classList: {
+      add: (name) => classes.add(name),
+      remove: (name) => classes.delete(name),
+      contains: (name) => classes.has(name),
+      toggle: (name, force) => {
+        if (force === undefined ? classes.has(name) : !force) {
+          classes.delete(name);
+        } else {
+          classes.add(name);
+        }
+      },
+    },
+    appendChild(child) {
+      if (child.parentNode) {
+        child.remove();
+      }
+      child.parentNode = element;
+      element.children.push(child);
+      return child;
+    },
+    remove() {
+      if (element.parentNode) {
+        const siblings = element.parentNode.children;
+        siblings.splice(siblings.indexOf(element), 1);
+        element.parentNode = null;
+      }
+    },
+    setAttribute(name, value) {
+      element.attributes[name] = String(value);
+    },
+    getAttribute(name) {
+      return element.attributes[name] ?? null;
+    },
+  };
+  Object.defineProperty(element, "className", {
+    get: () => [...classes].join(" "),
+    set: (value) => {
+      classes.clear();
+      value.split(" ").forEach((name) => classes.add(name));
+    },
+  });
+  return element;
+}
+
+/**
+ * 手動で進めるタイマー
+ * テスト中に document を差し替えたまま待たないため、setTimeout を置き換える
+ * @returns {{advance: Function, restore: Function}} 時間を進める関数と元に戻す関数
+ */
+function useFakeTimers() {
+  const originals = {
+    setTimeout: global.setTimeout,
+    clearTimeout: global.clearTimeout,
+  };
+  const timers = new Map();
+  let now = 0;
+  let nextId = 1;
+
+  global.setTimeout = (callback, delay) => {
+    timers.set(nextId, { callback, time: now + delay });
+    return nextId++;
+  };
+  global.clearTimeout = (id) => timers.delete(id);
+
+  return {
+    advance(ms) {
+      now += ms;
+      for (const [id, timer] of [...timers.entries()]) {
+        if (timer.time <= now && timers.delete(id)) {
+          timer.callback();
+        }
+      }
+    },
+    restore() {
+      Object.assign(global, originals);
+    },
+  };
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== OnScreenDisplay Tests ===");
+
+  testNormalizeHideDelay();
+  testSettingsSchema();
+
+  const originalDocument = global.document;
+  global.document = {
+    createElement: createFakeElement,
+    body: createFakeElement("body"),
+    fullscreenElement: null,
+  };
+  const timers = useFakeTimers();
+  try {
+    testShowAndHide(timers);
+    testPlayerContainer();
+  } finally {
+    timers.restore();
+    global.document = originalDocument;
+  }
+
+  console.log("=== All OnScreenDisplay tests passed ===");
+}
+
+/**
+ * 表示し続ける時間の正規化のテスト
+ */
+function testNormalizeHideDelay() {
+  console.assert(
+    normalizeOsdHideDelay(2000) === 2000 &&
+      normalizeOsdHideDelay(1234.5) === 1235,
+    "Delays in range should be kept as whole milliseconds"
+  );
+  console.assert(
+    normalizeOsdHideDelay(0) === OSD_HIDE_DELAY_RANGE.min &&
+      normalizeOsdHideDelay(60000) === OSD_HIDE_DELAY_RANGE.max,
+    "Delays out of range should be clamped"
+  );
+  console.assert(
+    normalizeOsdHideDelay("1000") === DEFAULT_OSD_HIDE_DELAY &&
+      normalizeOsdHideDelay(NaN) === DEFAULT_OSD_HIDE_DELAY,
+    "Non-numeric delays should fall back to the default"
+  );
+
+  console.log("✓ Hide delay tests passed");
+}
+
+/**
+ * 設定スキーマのテスト
+ */
+function testSettingsSchema() {
+  const manager = new SettingsManager({ storageAdapter: {} });
+  const rule = manager.getSchema().osdHideDelay;
+  console.assert(
+    rule.type === SchemaType.NUMBER &&
+      rule.min === OSD_HIDE_DELAY_RANGE.min &&
+      rule.max === OSD_HIDE_DELAY_RANGE.max &&
+      manager.getDefaultSettings().osdHideDelay === DEFAULT_OSD_HIDE_DELAY,
+    "The hide delay should be a ranged number setting"
+  );
+  console.assert(
+    manager.validateSettings({ osdHideDelay: 100 }).isFailure(),
+    "Delays shorter than the range should be rejected"
+  );
+
+  console.log("✓ Settings schema tests passed");
+}
+
+/**
+ * 表示と自動で隠す処理のテスト
+ * @param {{advance: Function}} timers - 手動で進めるタイマー
+ */
+function testShowAndHide(timers) {
+  const osd = new OnScreenDisplay({ i18n, hideDelay: 1000 });
+
+  osd.show({ active: true, opacity: 0.7 });
+  const element = osd.element;
+  console.assert(
+    element.parentNode === document.body &&
+      element.id === OSD_ID &&
+      element.classList.contains("is-visible") &&
+      element.classList.contains("is-active") &&
+      element.getAttribute("aria-hidden") === "true",
+    "Showing should add a visible element hidden from screen readers"
+  );
+  console.assert(
+    osd.stateText.textContent === "osdTheaterOn" &&
+      osd.valueText.textContent === "70%" &&
+      osd.meter.style.width === "70%",
+    "The state and percentage should be shown"
+  );
+
+  // 表示中に変更すると内容を更新して表示時間を延長する
+  timers.advance(800);
+  osd.show({ active: false, opacity: 0.25 });
+  timers.advance(800);
+  console.assert(
+    osd.isVisible() &&
+      osd.element === element &&
+      document.body.children.length === 1 &&
+      !element.classList.contains("is-active") &&
+      osd.stateText.textContent === "osdTheaterOff" &&
+      osd.valueText.textContent === "25%",
+    "Showing again should update the element and keep it visible"
+  );
+
+  timers.advance(200);
+  console.assert(
+    !osd.isVisible() &&
+      !element.classList.contains("is-visible") &&
+      element.parentNode === document.body,
+    "The display should fade out after the delay"
+  );
+
+  // 変更した表示時間は次の表示から使う
+  console.assert(
+    osd.setHideDelay(100) === OSD_HIDE_DELAY_RANGE.min,
+    "Changed delays should be clamped"
+  );
+  osd.show({ active: true, opacity: 0.5 });
+  timers.advance(OSD_HIDE_DELAY_RANGE.min - 1);
+  console.assert(osd.isVisible(), "The display should wait for the delay");
+  timers.advance(1);
+  console.assert(!osd.isVisible(), "The changed delay should be used");
+
+  osd.destroy();
+  console.assert(
+    osd.element === null && document.body.children.length === 0,
+    "Destroying should remove the element"
+  );
+
+  console.log("✓ Show and hide tests passed");
+}
+
+/**
+ * 表示先のプレーヤーのテスト
+ */
+function testPlayerContainer() {
+  let player = createFakeElement("div");
+  const osd = new OnScreenDisplay({ i18n, getContainer: () => player });
+
+  osd.show({ active: true, opacity: 0.4 });
+  console.assert(
+    osd.element.parentNode === player &&
+      !osd.element.classList.contains("is-detached"),
+    "The display should be placed over the player"
+  );
+
+  // SPA 遷移でプレーヤーが差し替えられた場合
+  const previous = player;
+  player = createFakeElement("div");
+  osd.show({ active: true, opacity: 0.5 });
+  console.assert(
+    osd.element.parentNode === player && previous.children.length === 0,
+    "The display should move to the new player"
+  );
+
+  // プレーヤーが見つからない場合は全画面の要素か body に表示する
+  player = null;
+  const fullscreen = createFakeElement("div");
+  document.fullscreenElement = fullscreen;
+  osd.show({ active: false, opacity: 0.5 });
+  console.assert(
+    osd.element.parentNode === fullscreen &&
+      osd.element.classList.contains("is-detached"),
+    "Without a player the display should fall back to the page"
+  );
+  document.fullscreenElement = null;
+
+  osd.destroy();
+
+  console.log("✓ Player container tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runOnScreenDisplayTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runOnScreenDisplayTests = runTests;
+}
@@ -0,0 +1,306 @@
+/**
+ * 透明度のプリセットと OpacityController のアニメーションのテスト
+ */
+
+// 依存関係のインポート
+const {
+  MAX_OPACITY_PRESETS,
+  OPACITY_PRESET_NAME_MAX_LENGTH,
+  normalizeOpacityPreset,
+  normalizeOpacityPresets,
+  getOpacityPresetShortcutId,
+  getOpacityPresetAction,
+  createOpacityPresetShortcut,
+} = require("../infrastructure/opacity-presets.js");
+const {
+  formatShortcut,
+  createKeyboardShortcutManager,
+} = require("../keyboard-shortcut-manager.js");
+const { OpacityController } = require("../opacity-controller.js");
+const {
+  SettingsManager,
+  SchemaType,
+} = require("../infrastructure/settings-manager.js");
+const { Logger } = require("../infrastructure/logger.js");
+const { ErrorHandler } = require("../infrastructure/error-handler.js");
+
+// テスト用のロガーとエラーハンドラーを作成
+const logger = new Logger("OpacityPresetsTest", {
+  level: Logger.LogLevel.ERROR,
+});
+const errorHandler = new ErrorHandler(logger);
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== Opacity Preset Tests ===");
+
+  testNormalizeOpacityPresets();
+  testSettingsSchema();
+
+  // ショートカットの判定と CSS カスタムプロパティの更新に使う document
+  const originalDocument = global.document;
+  global.document = {
+    activeElement: null,
+    documentElement: {
+      style: {
+        setProperty(name, value) {
+          this[name] = value;
+        },
+      },
+    },
+  };
+  try {
+    testPresetShortcuts();
+    testAnimatedOpacity();
+  } finally {
+    global.document = originalDocument;
+  }
+
+  console.log("=== All Opacity Preset Tests Completed ===");
+}
+
+/**
+ * プリセットの正規化のテスト
+ */
+function testNormalizeOpacityPresets() {
+  const preset = normalizeOpacityPreset({
+    name: `  ${"映画".repeat(20)}  `,
+    opacity: 0.42,
+    blur: 50,
+  });
+  console.assert(
+    preset.name.length === OPACITY_PRESET_NAME_MAX_LENGTH &&
+      preset.name.startsWith("映画"),
+    "Names should be trimmed and shortened"
+  );
+  console.assert(
+    preset.opacity === 0.4 &&
+      preset.blur === 20 &&
+      preset.grayscale === 0 &&
+      preset.brightness === 1,
+    "Effects should be normalized like overlay effects"
+  );
+  console.assert(
+    normalizeOpacityPreset({ opacity: 0.3 }).name === "",
+    "Presets without a name should have an empty name"
+  );
+
+  const presets = normalizeOpacityPresets([
+    null,
+    "dark",
+    ...Array.from({ length: 7 }, (_, index) => ({
+      name: `P${index}`,
+      opacity: index / 10,
+    })),
+  ]);
+  console.assert(
+    presets.length === MAX_OPACITY_PRESETS &&
+      presets[0].name === "P0" &&
+      presets[4].name === "P4",
+    "Invalid presets should be dropped and extra presets cut off"
+  );
+  console.assert(
+    normalizeOpacityPresets(undefined).length === 0 &&
+      normalizeOpacityPresets({}).length === 0,
+    "Non-array presets should become an empty list"
+  );
+
+  console.log("✓ Preset normalization tests passed");
+}
+
+/**
+ * 設定スキーマのテスト
+ */
+function testSettingsSchema() {
+  const manager = new SettingsManager({ storageAdapter: {} });
+  const rule = manager.getSchema().opacityPresets;
+  console.assert(
+    rule.type === SchemaType.ARRAY &&
+      rule.maxItems === MAX_OPACITY_PRESETS &&
+      Array.isArray(manager.getDefaultSettings().opacityPresets),
+    "Presets should be stored as a limited array setting"
+  );
+
+  const tooMany = Array.from({ length: MAX_OPACITY_PRESETS + 1 }, () => ({
+    opacity: 0.5,
+  }));
+  console.assert(
+    manager.validateSettings({ opacityPresets: tooMany }).isFailure(),
+    "More presets than the limit should be rejected"
+  );
+
+  console.log("✓ Settings schema tests passed");
+}
+
+/**
+ * プリセットのショートカットのテスト
+ */
+function testPresetShortcuts() {
+  const config = createOpacityPresetShortcut(0, "プリセットを適用: 映画");
+  console.assert(
+    getOpacityPresetShortcutId(0) === "opacityPreset1" &&
+      config.action === getOpacityPresetAction(0) &&
+      config.action === "applyOpacityPreset1" &&
+      formatShortcut(config) === "Ctrl+Shift+1",
+    "Preset 1 should be bound to Ctrl+Shift+1"
+  );
+
+  const manager = createKeyboardShortcutManager({ logger, errorHandler });
+  const applied = [];
+  manager.registerActionHandlers({
+    [getOpacityPresetAction(0)]: () => applied.push(1),
+    [getOpacityPresetAction(4)]: () => applied.push(5),
+  });
+  for (const index of [0, 4]) {
+    console.assert(
+      manager
+        .registerShortcut(
+          getOpacityPresetShortcutId(index),
+          createOpacityPresetShortcut(index, `preset ${index + 1}`)
+        )
+        .isSuccess(),
+      "Preset shortcuts should be registered"
+    );
+  }
+
+  // Shift で数字キーの文字が記号に変わってもキーの位置で一致する
+  const press = (key, code) =>
+    manager._handleKeyDown({
+      key,
+      code,
+      ctrlKey: true,
+      shiftKey: true,
+      altKey: false,
+      metaKey: false,
+      preventDefault() {},
+      stopPropagation() {},
+    });
+  press("!", "Digit1");
+  press("%", "Digit5");
+  press("@", "Digit2");
+  console.assert(
+    applied.join(",") === "1,5",
+    "Preset shortcuts should match the digit key positions"
+  );
+
+  const conflicts = manager.findConflicts(
+    "theaterMode",
+    createOpacityPresetShortcut(0, "")
+  ).data;
+  console.assert(
+    conflicts.some((conflict) => conflict.id === "opacityPreset1"),
+    "Preset shortcuts should be reported as conflicts"
+  );
+
+  console.log("✓ Preset shortcut tests passed");
+}
+
+/**
+ * OpacityController による透明度のアニメーションのテスト
+ * アニメーションフレームは手動で進める（テスト中に document を差し替えたまま待たないため）
+ */
+function testAnimatedOpacity() {
+  const originals = {
+    requestAnimationFrame: global.requestAnimationFrame,
+    cancelAnimationFrame: global.cancelAnimationFrame,
+  };
+  const properties = document.documentElement.style;
+  const frames = new Map();
+  let nextFrameId = 1;
+  global.requestAnimationFrame = (callback) => {
+    frames.set(nextFrameId, callback);
+    return nextFrameId++;
+  };
+  global.cancelAnimationFrame = (id) => frames.delete(id);
+
+  // 指定時間分のフレームを16ミリ秒ごとに実行
+  const advance = (ms) => {
+    const start = performance.now();
+    for (let elapsed = 16; elapsed <= ms; elapsed += 16) {
+      const pending = [...frames.values()];
+      frames.clear();
+      pending.forEach((callback) => callback(start + elapsed));
+    }
+  };
+
+  try {
+    const updates = [];
+    const controller = new OpacityController(
+      {
+        logger,
+        errorHandler,
+        onOpacityUpdate: (opacity, completed) =>
+          updates.push({ opacity, completed }),
+      },
+      { animationDuration: 100 }
+    );
+
+    // 他の方法で変更された透明度に合わせてもコールバックは呼ばない
+    controller.syncOpacity(0.3);
+    console.assert(
+      controller.getOpacity() === 0.3 && updates.length === 0,
+      "Syncing should not report an update"
+    );
+
+    controller.setOpacity(0.8, true);
+    advance(200);
+    const last = updates[updates.length - 1];
+    console.assert(
+      updates.length > 1 &&
+        updates.slice(0, -1).every((update) => !update.completed) &&
+        updates[0].opacity > 0.3 &&
+        updates[0].opacity < 0.8,
+      "Intermediate frames should be reported as not completed"
+    );
+    console.assert(
+      updates.filter((update) => update.completed).length === 1,
+      "Completion should be reported only once"
+    );
+    console.assert(
+      last.completed &&
+        last.opacity === 0.8 &&
+        properties["--theater-mode-opacity"] === 0.8,
+      "The last frame should report the target opacity as completed"
+    );
+
+    // アニメーション中に合わせた透明度で止まる
+    updates.length = 0;
+    controller.setOpacity(0.2, true);
+    advance(40);
+    controller.syncOpacity(0.5);
+    const count = updates.length;
+    advance(150);
+    console.assert(
+      count > 0 &&
+        updates.length === count &&
+        controller.getOpacity() === 0.5 &&
+        !controller.isAnimationInProgress(),
+      "Syncing should stop a running animation"
+    );
+
+    controller.setOpacity(0.6, false);
+    console.assert(
+      updates[updates.length - 1].completed &&
+        updates[updates.length - 1].opacity === 0.6,
+      "Opacity set without animation should be reported as completed"
+    );
+  } finally {
+    Object.assign(global, originals);
+  }
+
+  console.log("✓ Animated opacity tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runOpacityPresetTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runOpacityPresetTests = runTests;
+}
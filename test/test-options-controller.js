@@ -0,0 +1,289 @@
+/**
+ * OptionsController のテスト
+ */
+
+// 依存関係のインポート
+const {
+  OptionControlType,
+  getControlType,
+  createOptionFields,
+  getFieldValue,
+  formatControlValue,
+  parseControlValue,
+} = require("../infrastructure/options-controller.js");
+const {
+  SettingsManager,
+  getDefaultSettingsSchema,
+  validateSchemaValue,
+} = require("../infrastructure/settings-manager.js");
+const {
+  StorageAdapter,
+  StorageType,
+} = require("../infrastructure/storage-adapter.js");
+const { Logger } = require("../infrastructure/logger.js");
+const { ErrorHandler } = require("../infrastructure/error-handler.js");
+
+// テスト用のロガーとエラーハンドラーを作成
+const logger = new Logger("OptionsControllerTest", {
+  level: Logger.LogLevel.DEBUG,
+});
+const errorHandler = new ErrorHandler(logger);
+
+/**
+ * テスト用の SettingsManager を作成
+ * @returns {SettingsManager} メモリーに保存する SettingsManager
+ */
+function createSettingsManager() {
+  const storageAdapter = new StorageAdapter({
+    namespace: "test",
+    preferredType: StorageType.MEMORY,
+    logger,
+    errorHandler,
+  });
+  return new SettingsManager({ storageAdapter, logger, errorHandler });
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== OptionsController Tests ===");
+
+  // 各テストを実行
+  testGetControlType();
+  testCreateOptionFields();
+  testControlValues();
+  testValidateSchemaValue();
+  testSettingsManagerValidation();
+
+  console.log("=== All OptionsController Tests Completed ===");
+}
+
+/**
+ * 項目をキーで検索
+ * @param {Array<Object>} fields - 項目
+ * @param {string} key - 項目のキー（"a.b" の形式）
+ * @returns {Object|undefined} 項目
+ */
+function findField(fields, key) {
+  for (const field of fields) {
+    if (field.key === key) {
+      return field;
+    }
+    const child = findField(field.children, key);
+    if (child) {
+      return child;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * コントロールの種類のテスト
+ */
+function testGetControlType() {
+  console.log("Testing getControlType...");
+
+  const schema = getDefaultSettingsSchema();
+  const expected = {
+    theaterModeEnabled: OptionControlType.CHECKBOX,
+    opacity: OptionControlType.RANGE,
+    overlayEffects: OptionControlType.GROUP,
+    overlayRegionLevels: OptionControlType.GROUP,
+    keyboardShortcut: OptionControlType.TEXT,
+    theme: OptionControlType.SELECT,
+    autoEnableSchedule: OptionControlType.JSON,
+    channelProfiles: OptionControlType.JSON,
+    version: OptionControlType.TEXT,
+  };
+  Object.entries(expected).forEach(([key, controlType]) => {
+    console.assert(
+      getControlType(schema[key]) === controlType,
+      `${key} should be a ${controlType} control`
+    );
+  });
+
+  console.assert(
+    getControlType(schema.overlayRegionLevels.properties.sidebar) ===
+      OptionControlType.COMBO,
+    "Region levels should accept a level or an opacity"
+  );
+  console.assert(
+    getControlType({ type: "number" }) === OptionControlType.NUMBER,
+    "Numbers without a range should use a number input"
+  );
+
+  console.log("✓ getControlType tests passed");
+}
+
+/**
+ * 項目の作成のテスト
+ */
+function testCreateOptionFields() {
+  console.log("Testing createOptionFields...");
+
+  const schema = getDefaultSettingsSchema();
+  const fields = createOptionFields(schema);
+
+  console.assert(
+    fields.length ===
+      Object.values(schema).filter((rule) => !rule.customEditor).length,
+    "Every top-level setting should have a field"
+  );
+  console.assert(
+    !findField(fields, "shortcuts") && !findField(fields, "autoEnableSchedule"),
+    "Settings with a custom editor should not have a field"
+  );
+
+  const delay = findField(fields, "playerStateAutoDim.enableOnPlayDelay");
+  console.assert(
+    delay &&
+      delay.path.join("/") === "playerStateAutoDim/enableOnPlayDelay" &&
+      delay.controlType === OptionControlType.RANGE &&
+      delay.label === "enableOnPlayDelay",
+    "Nested properties should become child fields labelled by name"
+  );
+
+  const opacity = findField(fields, "opacity");
+  console.assert(
+    opacity.label === schema.opacity.description &&
+      opacity.children.length === 0,
+    "Top-level fields should use the description as the label"
+  );
+
+  const settings = createSettingsManager().getDefaultSettings();
+  console.assert(
+    getFieldValue(settings, delay) === 0 &&
+      getFieldValue({ playerStateAutoDim: null }, delay) === undefined,
+    "Field values should be read by path"
+  );
+
+  console.log("✓ createOptionFields tests passed");
+}
+
+/**
+ * コントロールの値の変換のテスト
+ */
+function testControlValues() {
+  console.log("Testing control value conversion...");
+
+  const fields = createOptionFields(getDefaultSettingsSchema());
+  const sidebar = findField(fields, "overlayRegionLevels.sidebar");
+  const opacity = findField(fields, "opacity");
+  const rules = findField(fields, "customSelectorRules");
+
+  console.assert(
+    parseControlValue(sidebar, "hidden") === "hidden" &&
+      parseControlValue(sidebar, "0.4") === 0.4 &&
+      parseControlValue(sidebar, "dim") === "dim",
+    "Combo input should become a level or a number"
+  );
+  console.assert(
+    parseControlValue(opacity, "0.5") === 0.5 &&
+      Number.isNaN(parseControlValue(opacity, " ")),
+    "Empty number input should be NaN"
+  );
+
+  const entries = [{ selector: "#secondary", type: "exclude" }];
+  console.assert(
+    parseControlValue(rules, formatControlValue(rules, entries))[0]
+      .selector === "#secondary",
+    "JSON fields should round-trip"
+  );
+
+  let threw = false;
+  try {
+    parseControlValue(rules, "[{");
+  } catch (error) {
+    threw = true;
+  }
+  console.assert(threw, "Invalid JSON should throw");
+
+  console.assert(
+    formatControlValue(opacity, undefined) === "",
+    "Missing values should be shown as empty"
+  );
+
+  console.log("✓ control value conversion tests passed");
+}
+
+/**
+ * スキーマによる検証のテスト
+ */
+function testValidateSchemaValue() {
+  console.log("Testing validateSchemaValue...");
+
+  const schema = getDefaultSettingsSchema();
+  const levels = schema.overlayRegionLevels;
+
+  console.assert(
+    validateSchemaValue("overlayRegionLevels", levels, {
+      sidebar: "hidden",
+      comments: 0.5,
+    }).isSuccess(),
+    "Levels and opacities within range should be valid"
+  );
+
+  const outOfRange = validateSchemaValue("overlayRegionLevels", levels, {
+    sidebar: 2,
+  });
+  console.assert(
+    outOfRange.isFailure() &&
+      outOfRange.error.message.includes("overlayRegionLevels.sidebar"),
+    "Nested errors should name the property"
+  );
+  console.assert(
+    validateSchemaValue("overlayRegionLevels", levels, {
+      sidebar: "dim",
+    }).isFailure(),
+    "Unknown levels should be invalid"
+  );
+  console.assert(
+    validateSchemaValue(
+      "playerStateAutoDim",
+      schema.playerStateAutoDim,
+      { enableOnPlayDelay: 20000 }
+    ).isFailure(),
+    "Delays should be limited"
+  );
+
+  console.log("✓ validateSchemaValue tests passed");
+}
+
+/**
+ * SettingsManager の検証がスキーマのメタデータを使うことのテスト
+ */
+function testSettingsManagerValidation() {
+  console.log("Testing SettingsManager validation with properties...");
+
+  const manager = createSettingsManager();
+  const settings = manager.getDefaultSettings();
+
+  console.assert(
+    manager.validateSettings(settings).isSuccess(),
+    "Default settings should be valid"
+  );
+  console.assert(
+    manager
+      .validateSettings({
+        ...settings,
+        ambientSettings: { sampleInterval: 50, saturation: 1 },
+      })
+      .isFailure(),
+    "Nested ranges should be validated"
+  );
+
+  console.log("✓ SettingsManager validation with properties tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runOptionsControllerTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runOptionsControllerTests = runTests;
+}
@@ -0,0 +1,169 @@
+/**
+ * OverlayEffects のテスト
+ */
+
+// 依存関係のインポート
+const {
+  DEFAULT_OVERLAY_EFFECTS,
+  OVERLAY_EFFECT_PROPERTIES,
+  normalizeOverlayEffects,
+  buildEffectFilter,
+  setEffectProperties,
+  removeEffectProperties,
+} = require("../infrastructure/overlay-effects.js");
+
+/**
+ * テスト用のスタイルを作成
+ * @returns {Object} setProperty / removeProperty を持つスタイル
+ */
+function createFakeStyle() {
+  const properties = new Map();
+  return {
+    properties,
+    setProperty: (name, value) => properties.set(name, String(value)),
+    removeProperty: (name) => properties.delete(name),
+  };
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== OverlayEffects Tests ===");
+
+  // 各テストを実行
+  testNormalize();
+  testBuildEffectFilter();
+  testEffectProperties();
+
+  console.log("=== All OverlayEffects Tests Completed ===");
+}
+
+/**
+ * 効果の正規化テスト
+ */
+function testNormalize() {
+  console.log("Testing normalizeOverlayEffects...");
+
+  const defaults = normalizeOverlayEffects(undefined);
+  console.assert(
+    JSON.stringify(defaults) === JSON.stringify(DEFAULT_OVERLAY_EFFECTS),
+    "Missing effects should use defaults"
+  );
+
+  // 透明度のみの旧形式の設定
+  const legacy = normalizeOverlayEffects({ opacity: 0.4 });
+  console.assert(
+    legacy.opacity === 0.4 &&
+      legacy.blur === 0 &&
+      legacy.grayscale === 0 &&
+      legacy.brightness === 1,
+    "Opacity-only settings should keep the opacity"
+  );
+
+  const clamped = normalizeOverlayEffects({
+    opacity: 1,
+    blur: 50,
+    grayscale: -1,
+    brightness: 0,
+  });
+  console.assert(clamped.opacity === 0.9, "Opacity should be clamped");
+  console.assert(clamped.blur === 20, "Blur should be clamped");
+  console.assert(clamped.grayscale === 0, "Grayscale should be clamped");
+  console.assert(clamped.brightness === 0.2, "Brightness should be clamped");
+
+  const stepped = normalizeOverlayEffects({
+    opacity: 0.33,
+    blur: 2.6,
+    grayscale: 0.71,
+  });
+  console.assert(
+    stepped.opacity === 0.35 && stepped.blur === 3 && stepped.grayscale === 0.7,
+    "Values should be rounded to their steps"
+  );
+
+  const invalid = normalizeOverlayEffects({ blur: "4px", grayscale: NaN });
+  console.assert(
+    invalid.blur === 0 && invalid.grayscale === 0,
+    "Invalid values should fall back to defaults"
+  );
+
+  console.log("✓ normalize tests passed");
+}
+
+/**
+ * filter の作成テスト
+ */
+function testBuildEffectFilter() {
+  console.log("Testing buildEffectFilter...");
+
+  console.assert(
+    buildEffectFilter(DEFAULT_OVERLAY_EFFECTS) === "none",
+    "Default effects should not add a filter"
+  );
+
+  console.assert(
+    buildEffectFilter({ ...DEFAULT_OVERLAY_EFFECTS, blur: 4 }) === "blur(4px)",
+    "Only active effects should be included"
+  );
+
+  console.assert(
+    buildEffectFilter({
+      opacity: 0.7,
+      blur: 2,
+      grayscale: 0.5,
+      brightness: 0.6,
+    }) === "blur(2px) grayscale(0.5) brightness(0.6)",
+    "Effects should be combined"
+  );
+
+  console.log("✓ buildEffectFilter tests passed");
+}
+
+/**
+ * カスタムプロパティの反映テスト
+ */
+function testEffectProperties() {
+  console.log("Testing effect properties...");
+
+  const style = createFakeStyle();
+  setEffectProperties(style, {
+    opacity: 0.5,
+    blur: 8,
+    grayscale: 1,
+    brightness: 0.4,
+  });
+
+  console.assert(
+    style.properties.get(OVERLAY_EFFECT_PROPERTIES.opacity) === "0.5",
+    "Opacity property should be set"
+  );
+  console.assert(
+    style.properties.get(OVERLAY_EFFECT_PROPERTIES.blur) === "8px",
+    "Blur property should include the unit"
+  );
+  console.assert(
+    style.properties.get(OVERLAY_EFFECT_PROPERTIES.brightness) === "0.4",
+    "Brightness property should be set"
+  );
+
+  removeEffectProperties(style);
+  console.assert(
+    style.properties.size === 0,
+    "All properties should be removed"
+  );
+
+  console.log("✓ effect property tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runOverlayEffectsTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runOverlayEffectsTests = runTests;
+}
@@ -764,6 +764,293 @@ class OverlayManagerTests {
     return "Successfully cleaned up resources";
   }
 
+  // テスト14: ユーザー定義セレクタールール
+  testCustomRules() {
+    const overlayManager = this.createOverlayManager();
+    const secondary = this.mockDOM.querySelector("#secondary");
+    const comments = this.mockDOM.querySelector("#comments");
+    const metaContents = this.mockDOM.querySelector("#meta-contents");
+
+    // matches/closest をモック要素に追加
+    secondary.matches = (selector) => selector === "#secondary";
+    secondary.closest = () => null;
+    comments.matches = () => false;
+    comments.closest = () => null;
+    metaContents.matches = () => false;
+    metaContents.closest = () => null;
+
+    const count = overlayManager.setCustomRules([
+      { selector: "#meta-contents", type: "include" },
+      { selector: "#secondary", type: "exclude" },
+      { selector: "#masthead", type: "include", enabled: false },
+      { selector: "#comments", type: "hide" },
+    ]);
+
+    if (count !== 2) {
+      throw new Error(`Expected 2 active rules, got ${count}`);
+    }
+
+    const targets = overlayManager.resolveTargets([secondary, comments]);
+
+    if (targets.includes(secondary)) {
+      throw new Error("Expected excluded element to be removed");
+    }
+
+    if (!targets.includes(comments) || !targets.includes(metaContents)) {
+      throw new Error("Expected default and included elements in targets");
+    }
+
+    if (targets.length !== 2) {
+      throw new Error(`Expected 2 targets, got ${targets.length}`);
+    }
+
+    return "Custom selector rules are merged into targets";
+  }
+
+  // テスト15: スポットライトモード
+  testSpotlightMode() {
+    const player = this.mockDOM.querySelector("#movie_player");
+    player.getBoundingClientRect = () => ({
+      top: 56,
+      left: 24,
+      width: 1280,
+      height: 720,
+    });
+
+    // スポットライトレイヤー用のDOM APIをモック
+    const appended = [];
+    const listeners = new Map();
+    global.document.createElement = (tagName) => {
+      const element = this.mockDOM.createMockElement(tagName, "");
+      element.setAttribute = () => {};
+      element.remove = () => appended.splice(appended.indexOf(element), 1);
+      return element;
+    };
+    global.document.body = { appendChild: (element) => appended.push(element) };
+    global.window.addEventListener = (type, fn) => listeners.set(type, fn);
+    global.window.removeEventListener = (type) => listeners.delete(type);
+
+    const observed = [];
+    const elementObserver = {
+      observeResize: (element, options) => {
+        observed.push(options.id);
+        return { data: options.id, isSuccess: () => true };
+      },
+      stopObservation: (id) => observed.splice(observed.indexOf(id), 1),
+    };
+
+    const overlayManager = this.createOverlayManager({
+      mode: "spotlight",
+      elementObserver,
+    });
+    overlayManager.applyOverlay([this.mockDOM.querySelector("#secondary")]);
+
+    if (appended.length !== 1 || !overlayManager.isOverlayActive()) {
+      throw new Error("Expected a single spotlight layer to be added");
+    }
+
+    const layer = appended[0];
+    if (layer.style.top !== "56px" || layer.style.width !== "1280px") {
+      throw new Error("Expected spotlight to match the player bounds");
+    }
+
+    if (overlayManager.overlayElements.size !== 0) {
+      throw new Error("Spotlight mode should not fade individual elements");
+    }
+
+    if (!listeners.has("scroll") || observed.length !== 1) {
+      throw new Error("Expected spotlight to follow scroll and resize");
+    }
+
+    overlayManager.updateOpacity(0.4);
+    if (!layer.style.boxShadow.includes("0.6")) {
+      throw new Error("Expected spotlight darkness to follow opacity");
+    }
+
+    // フェードモードに切り替えるとレイヤーを削除して要素に適用
+    overlayManager.setMode("fade");
+    if (appended.length !== 0 || listeners.size !== 0 || observed.length) {
+      throw new Error("Expected spotlight resources to be released");
+    }
+
+    if (overlayManager.getState().mode !== "fade") {
+      throw new Error("Expected mode to be fade");
+    }
+
+    return "Spotlight layer tracks the player and is released on mode change";
+  }
+
+  // テスト16: アンビエントモード
+  testAmbientMode() {
+    const player = this.mockDOM.querySelector("#movie_player");
+    player.getBoundingClientRect = () => ({
+      top: 0,
+      left: 0,
+      width: 1280,
+      height: 720,
+    });
+
+    const appended = [];
+    global.document.createElement = (tagName) => {
+      const element = this.mockDOM.createMockElement(tagName, "");
+      element.setAttribute = () => {};
+      element.remove = () => appended.splice(appended.indexOf(element), 1);
+      return element;
+    };
+    global.document.body = { appendChild: (element) => appended.push(element) };
+    global.window.addEventListener = () => {};
+    global.window.removeEventListener = () => {};
+
+    // ルート要素のカスタムプロパティを記録
+    const rootProperties = new Map();
+    global.document.documentElement = {
+      style: {
+        setProperty: (prop, value) => rootProperties.set(prop, value),
+        removeProperty: (prop) => rootProperties.delete(prop),
+      },
+    };
+
+    const overlayManager = this.createOverlayManager({ mode: "ambient" });
+    overlayManager.applyOverlay([this.mockDOM.querySelector("#secondary")]);
+
+    const layer = appended[0];
+    if (!layer || !layer.classList.contains("theater-mode-ambient")) {
+      throw new Error("Expected the spotlight layer with the ambient class");
+    }
+
+    // 影はCSSのカスタムプロパティで描画するため直接設定しない
+    if (layer.style.boxShadow) {
+      throw new Error("Ambient layer should not set an inline box-shadow");
+    }
+
+    overlayManager.setAmbientColor({ r: 200, g: 40, b: 10 });
+    if (rootProperties.get("--theater-mode-ambient-rgb") !== "200, 40, 10") {
+      throw new Error("Expected ambient color to be set on the root");
+    }
+
+    overlayManager.setAmbientColor(null);
+    if (rootProperties.has("--theater-mode-ambient-rgb")) {
+      throw new Error("Expected null color to fall back to plain dimming");
+    }
+
+    overlayManager.setAmbientColor({ r: 1, g: 2, b: 3 });
+    overlayManager.clearOverlay(false);
+    if (
+      appended.length !== 0 ||
+      rootProperties.has("--theater-mode-ambient-rgb")
+    ) {
+      throw new Error("Expected ambient layer and color to be released");
+    }
+
+    return "Ambient mode tints the spotlight layer with the sampled color";
+  }
+
+  // テスト17: 効果（ぼかし・グレースケール・明るさ）
+  testUpdateEffects() {
+    const rootProperties = new Map();
+    global.document.documentElement = {
+      style: {
+        setProperty: (prop, value) => rootProperties.set(prop, value),
+        removeProperty: (prop) => rootProperties.delete(prop),
+      },
+    };
+
+    const overlayManager = this.createOverlayManager();
+
+    const result = overlayManager.updateEffects({ blur: 6.4, grayscale: 2 });
+    if (!result.isSuccess()) {
+      throw new Error("Expected successful result");
+    }
+
+    const effects = result.data;
+    if (
+      effects.opacity !== 0.7 ||
+      effects.blur !== 6 ||
+      effects.grayscale !== 1 ||
+      effects.brightness !== 1
+    ) {
+      throw new Error(`Unexpected effects: ${JSON.stringify(effects)}`);
+    }
+
+    if (
+      rootProperties.get("--theater-mode-blur") !== "6px" ||
+      rootProperties.get("--theater-mode-grayscale") !== 1
+    ) {
+      throw new Error("Expected effects to be set as custom properties");
+    }
+
+    // 透明度の更新は他の効果を保持する
+    overlayManager.updateOpacity(0.33);
+    const state = overlayManager.getState();
+    if (state.opacity !== 0.35 || state.effects.blur !== 6) {
+      throw new Error("Expected opacity update to keep other effects");
+    }
+
+    // 要素には filter をフォールバックとして直接設定
+    const element = this.mockDOM.createMockElement("div", "effect-target");
+    overlayManager.updateEffects({ brightness: 0.6 });
+    overlayManager._applyOverlayToElement(element);
+    if (element.style.filter !== "blur(6px) grayscale(1) brightness(0.6)") {
+      throw new Error(`Unexpected filter: ${element.style.filter}`);
+    }
+
+    if (!overlayManager.updateEffects(null).isFailure()) {
+      throw new Error("Expected invalid effects to fail");
+    }
+
+    overlayManager.clearOverlay(false);
+    if (rootProperties.has("--theater-mode-blur")) {
+      throw new Error("Expected effect properties to be removed");
+    }
+
+    return "Effects are normalized and combined into a CSS filter";
+  }
+
+  // テスト18: ホバー・フォーカスによる一時表示
+  testRevealSettings() {
+    const listeners = new Map();
+    global.document.addEventListener = (type, fn) => listeners.set(type, fn);
+    global.document.removeEventListener = (type) => listeners.delete(type);
+    global.document.documentElement = {
+      style: { setProperty: () => {}, removeProperty: () => {} },
+      addEventListener: () => {},
+      removeEventListener: () => {},
+    };
+
+    const overlayManager = this.createOverlayManager({
+      reveal: { enabled: true, revealDelay: 5000 },
+    });
+    if (overlayManager.getState().reveal.revealDelay !== 2000) {
+      throw new Error("Expected reveal delay to be clamped");
+    }
+
+    overlayManager.applyOverlay([this.mockDOM.querySelector("#comments")]);
+    if (!listeners.has("pointermove") || !listeners.has("focusin")) {
+      throw new Error("Expected reveal to watch pointer and focus");
+    }
+
+    // 無効にすると監視を止める
+    const result = overlayManager.setRevealSettings({ enabled: false });
+    if (!result.isSuccess() || result.data.revealDelay !== 2000) {
+      throw new Error("Expected settings to be merged");
+    }
+    if (listeners.size !== 0) {
+      throw new Error("Expected reveal listeners to be removed");
+    }
+
+    overlayManager.setRevealSettings({ enabled: true });
+    overlayManager.clearOverlay(false);
+    if (listeners.size !== 0) {
+      throw new Error("Expected clearOverlay to stop the reveal");
+    }
+
+    if (!overlayManager.setRevealSettings(null).isFailure()) {
+      throw new Error("Expected invalid reveal settings to fail");
+    }
+
+    return "Reveal watches pointer and focus only while the overlay is active";
+  }
+
   // 全テストを実行
   async runAllTests() {
     console.log("🧪 Starting OverlayManager Unit Tests...\n");
@@ -785,6 +1072,11 @@ class OverlayManagerTests {
     );
     this.runTest("Get State", () => this.testGetState());
     this.runTest("Cleanup", () => this.testCleanup());
+    this.runTest("Custom Rules", () => this.testCustomRules());
+    this.runTest("Spotlight Mode", () => this.testSpotlightMode());
+    this.runTest("Ambient Mode", () => this.testAmbientMode());
+    this.runTest("Update Effects", () => this.testUpdateEffects());
+    this.runTest("Reveal Settings", () => this.testRevealSettings());
 
     this.printTestSummary();
   }
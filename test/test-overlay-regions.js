@@ -0,0 +1,220 @@
+/**
+ * OverlayRegions のテスト
+ */
+
+// 依存関係のインポート
+const {
+  OVERLAY_REGIONS,
+  OverlayRegionLevel,
+  DEFAULT_OVERLAY_REGION_LEVELS,
+  normalizeOverlayRegionLevels,
+  resolveRegionOpacity,
+  splitAroundNested,
+  SHORTS_OVERLAY_REGIONS,
+  SHORTS_PROTECTED_SELECTORS,
+  getOverlayLayout,
+} = require("../infrastructure/overlay-regions.js");
+
+/**
+ * テスト用の要素を作成
+ * @param {string} id - 要素のID
+ * @param {Array<Object>} [children=[]] - 子要素
+ * @returns {Object} contains と children を持つ要素
+ */
+function createNode(id, children = []) {
+  const node = {
+    id,
+    children,
+    contains: (other) =>
+      other === node || children.some((child) => child.contains(other)),
+  };
+  return node;
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== OverlayRegions Tests ===");
+
+  // 各テストを実行
+  testRegions();
+  testNormalize();
+  testResolveRegionOpacity();
+  testSplitAroundNested();
+  testGetOverlayLayout();
+
+  console.log("=== All OverlayRegions Tests Completed ===");
+}
+
+/**
+ * 領域定義のテスト
+ */
+function testRegions() {
+  console.log("Testing region definitions...");
+
+  console.assert(
+    ["masthead", "metadata", "comments", "sidebar", "chat"].every((region) =>
+      Array.isArray(OVERLAY_REGIONS[region])
+    ),
+    "All regions should have selectors"
+  );
+  console.assert(
+    OVERLAY_REGIONS.chat.includes("#chat") &&
+      !OVERLAY_REGIONS.sidebar.includes("#chat"),
+    "Chat should be a separate region"
+  );
+  console.assert(
+    Object.values(DEFAULT_OVERLAY_REGION_LEVELS).every(
+      (level) => level === OverlayRegionLevel.DEFAULT
+    ),
+    "All regions should follow the main opacity by default"
+  );
+
+  console.log("✓ region definition tests passed");
+}
+
+/**
+ * 暗さの正規化テスト
+ */
+function testNormalize() {
+  console.log("Testing normalizeOverlayRegionLevels...");
+
+  const defaults = normalizeOverlayRegionLevels(undefined);
+  console.assert(
+    JSON.stringify(defaults) === JSON.stringify(DEFAULT_OVERLAY_REGION_LEVELS),
+    "Missing levels should use defaults"
+  );
+
+  const levels = normalizeOverlayRegionLevels({
+    chat: 0.87,
+    sidebar: "hidden",
+    masthead: "off",
+    comments: 2,
+    metadata: "dim",
+    footer: "hidden",
+  });
+  console.assert(levels.chat === 0.85, "Levels should be rounded to 5%");
+  console.assert(levels.sidebar === "hidden", "Hidden should be kept");
+  console.assert(levels.masthead === "off", "Off should be kept");
+  console.assert(levels.comments === 0.9, "Levels should be clamped");
+  console.assert(
+    levels.metadata === "default",
+    "Unknown levels should fall back to default"
+  );
+  console.assert(!("footer" in levels), "Unknown regions should be ignored");
+
+  console.log("✓ normalize tests passed");
+}
+
+/**
+ * 領域の透明度の解決テスト
+ */
+function testResolveRegionOpacity() {
+  console.log("Testing resolveRegionOpacity...");
+
+  console.assert(
+    resolveRegionOpacity(OverlayRegionLevel.DEFAULT, 0.6) === 0.6,
+    "Default should follow the main opacity"
+  );
+  console.assert(
+    resolveRegionOpacity(0.85, 0.6) === 0.85,
+    "Custom level should be used as is"
+  );
+  console.assert(
+    resolveRegionOpacity(OverlayRegionLevel.HIDDEN, 0.6) === 0,
+    "Hidden should be fully transparent"
+  );
+  console.assert(
+    resolveRegionOpacity(OverlayRegionLevel.OFF, 0.6) === null,
+    "Off should not be dimmed"
+  );
+  console.assert(
+    resolveRegionOpacity(undefined, 0.6) === 0.6,
+    "Regions without a level should follow the main opacity"
+  );
+
+  console.log("✓ resolveRegionOpacity tests passed");
+}
+
+/**
+ * 他の領域を含む要素の分割テスト
+ */
+function testSplitAroundNested() {
+  console.log("Testing splitAroundNested...");
+
+  const chat = createNode("chat");
+  const related = createNode("related");
+  const panels = createNode("panels");
+  const inner = createNode("secondary-inner", [
+    createNode("chat-container", [chat]),
+    related,
+    panels,
+  ]);
+  const secondary = createNode("secondary", [inner]);
+
+  const parts = splitAroundNested(secondary, [chat]);
+  console.assert(
+    parts.length === 2 && parts[0] === related && parts[1] === panels,
+    "Sidebar should be split around the chat"
+  );
+
+  console.assert(
+    splitAroundNested(secondary, [createNode("comments")])[0] === secondary,
+    "Elements without nested regions should be kept"
+  );
+
+  console.log("✓ splitAroundNested tests passed");
+}
+
+/**
+ * ページタイプ別の対象の切り替えテスト
+ */
+function testGetOverlayLayout() {
+  console.log("Testing getOverlayLayout...");
+
+  const video = getOverlayLayout("video");
+  console.assert(
+    video.regions === OVERLAY_REGIONS && video.protectedSelectors.length === 0,
+    "Other pages should use the default regions"
+  );
+
+  const shorts = getOverlayLayout("shorts");
+  console.assert(
+    shorts.regions.reels === SHORTS_OVERLAY_REGIONS.reels &&
+      shorts.regions.feed === SHORTS_OVERLAY_REGIONS.feed,
+    "Shorts should dim the feed and neighbouring reels"
+  );
+  console.assert(
+    !("actions" in shorts.regions),
+    "Action rail should stay visible by default"
+  );
+  console.assert(
+    shorts.protectedSelectors === SHORTS_PROTECTED_SELECTORS,
+    "Shorts player should be protected"
+  );
+
+  const dimmed = getOverlayLayout("shorts", { showShortsActions: false });
+  console.assert(
+    dimmed.regions.actions === SHORTS_OVERLAY_REGIONS.actions,
+    "Action rail should be dimmed when requested"
+  );
+  console.assert(
+    "actions" in SHORTS_OVERLAY_REGIONS,
+    "Shared region definitions should not be modified"
+  );
+
+  console.log("✓ getOverlayLayout tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runOverlayRegionsTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runOverlayRegionsTests = runTests;
+}
@@ -0,0 +1,276 @@
+/**
+ * OverlayReveal のテスト
+ */
+
+// 依存関係のインポート
+const {
+  DEFAULT_REVEAL_SETTINGS,
+  normalizeRevealSettings,
+  OverlayReveal,
+} = require("../infrastructure/overlay-reveal.js");
+const {
+  YouTubeShortcutProtection,
+} = require("../youtube-shortcut-protection.js");
+
+/**
+ * テスト用の document を作成
+ * @returns {EventTarget} イベントを発火できる疑似 document
+ */
+function createFakeDocument() {
+  const fakeDocument = new EventTarget();
+  fakeDocument.documentElement = new EventTarget();
+  fakeDocument.body = {};
+  fakeDocument.activeElement = fakeDocument.body;
+  return fakeDocument;
+}
+
+/**
+ * テスト用のオーバーレイ要素を作成
+ * @param {Object} rect - 要素の矩形 { left, top, right, bottom }
+ * @param {Array<Object>} [children=[]] - 子要素
+ * @returns {Object} 矩形と contains を持つ要素
+ */
+function createFakeElement(rect, children = []) {
+  const element = {
+    style: {},
+    getBoundingClientRect: () => rect,
+    contains: (other) => other === element || children.includes(other),
+  };
+  return element;
+}
+
+/**
+ * ポインター移動イベントを発火
+ * @param {number} x - クライアント座標 X
+ * @param {number} y - クライアント座標 Y
+ */
+function movePointer(x, y) {
+  const event = new Event("pointermove");
+  event.clientX = x;
+  event.clientY = y;
+  document.dispatchEvent(event);
+}
+
+/**
+ * フォーカス移動イベントを発火
+ * @param {string} type - focusin または focusout
+ * @param {Object} target - フォーカス対象
+ * @param {Object|null} [relatedTarget=null] - 移動先
+ */
+function moveFocus(type, target, relatedTarget = null) {
+  const event = new Event(type);
+  Object.defineProperty(event, "target", { value: target });
+  event.relatedTarget = relatedTarget;
+  document.dispatchEvent(event);
+}
+
+/**
+ * 指定時間待機
+ * @param {number} ms - 待機時間（ミリ秒）
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * テスト用の OverlayReveal を作成
+ * @param {Array<Object>} elements - 対象要素
+ * @param {Object} settings - 表示設定
+ * @returns {{reveal: OverlayReveal, revealed: Set<Object>}}
+ */
+function createReveal(elements, settings) {
+  const revealed = new Set();
+  const reveal = new OverlayReveal(
+    {
+      getElements: () => elements,
+      onReveal: (element) => revealed.add(element),
+      onConceal: (element) => revealed.delete(element),
+    },
+    settings
+  );
+  return { reveal, revealed };
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== OverlayReveal Tests ===");
+
+  const originalDocument = global.document;
+  global.document = createFakeDocument();
+
+  try {
+    // 各テストを実行
+    testNormalize();
+    await testHoverDelays();
+    await testFocusReveal();
+    await testShortcutProtection();
+  } finally {
+    global.document = originalDocument;
+  }
+
+  console.log("=== All OverlayReveal Tests Completed ===");
+}
+
+/**
+ * 表示設定の正規化テスト
+ */
+function testNormalize() {
+  console.log("Testing normalizeRevealSettings...");
+
+  const defaults = normalizeRevealSettings(undefined);
+  console.assert(
+    JSON.stringify(defaults) === JSON.stringify(DEFAULT_REVEAL_SETTINGS),
+    "Missing settings should use defaults"
+  );
+
+  const settings = normalizeRevealSettings({
+    enabled: "yes",
+    revealDelay: 9999,
+    hideDelay: -10,
+  });
+  console.assert(settings.enabled === false, "Enabled should be a boolean");
+  console.assert(settings.revealDelay === 2000, "Delay should be clamped");
+  console.assert(settings.hideDelay === 0, "Hold time should be clamped");
+
+  console.log("✓ normalize tests passed");
+}
+
+/**
+ * ホバーによる表示の遅延と保持のテスト
+ */
+async function testHoverDelays() {
+  console.log("Testing hover delays...");
+
+  const sidebar = createFakeElement({
+    left: 800,
+    top: 0,
+    right: 1200,
+    bottom: 800,
+  });
+  const { reveal, revealed } = createReveal([sidebar], {
+    revealDelay: 30,
+    hideDelay: 60,
+  });
+  reveal.start();
+
+  // 遅延の前に離れた場合は表示しない
+  movePointer(900, 100);
+  movePointer(100, 100);
+  await wait(50);
+  console.assert(!revealed.has(sidebar), "Brief hover should not reveal");
+
+  movePointer(900, 100);
+  await wait(10);
+  console.assert(!revealed.has(sidebar), "Reveal should wait for the delay");
+  await wait(40);
+  console.assert(revealed.has(sidebar), "Hovered region should be revealed");
+
+  // 離れてからも保持時間の間は表示を続ける
+  movePointer(100, 100);
+  await wait(30);
+  console.assert(revealed.has(sidebar), "Region should be held after leaving");
+  await wait(50);
+  console.assert(!revealed.has(sidebar), "Region should be dimmed again");
+
+  // 停止時は表示中の要素を暗い状態に戻す
+  movePointer(900, 100);
+  await wait(50);
+  reveal.stop();
+  console.assert(!revealed.has(sidebar), "Stop should dim revealed regions");
+  movePointer(900, 100);
+  await wait(50);
+  console.assert(!revealed.has(sidebar), "Stopped reveal should not react");
+
+  console.log("✓ hover delay tests passed");
+}
+
+/**
+ * フォーカスによる表示のテスト
+ */
+async function testFocusReveal() {
+  console.log("Testing focus reveal...");
+
+  const commentBox = {};
+  const comments = createFakeElement(
+    { left: 0, top: 900, right: 800, bottom: 1600 },
+    [commentBox]
+  );
+  const { reveal, revealed } = createReveal([comments], {
+    revealDelay: 0,
+    hideDelay: 0,
+  });
+  reveal.start();
+
+  moveFocus("focusin", commentBox);
+  await wait(10);
+  console.assert(revealed.has(comments), "Focus within should reveal");
+
+  // ホバーが外れてもフォーカスがあれば表示を続ける
+  movePointer(900, 100);
+  await wait(10);
+  console.assert(revealed.has(comments), "Focus should keep the region");
+
+  moveFocus("focusout", commentBox);
+  await wait(10);
+  console.assert(!revealed.has(comments), "Blur should dim the region");
+
+  reveal.stop();
+
+  console.log("✓ focus reveal tests passed");
+}
+
+/**
+ * YouTubeShortcutProtection との連携テスト
+ */
+async function testShortcutProtection() {
+  console.log("Testing cooperation with shortcut protection...");
+
+  const masthead = createFakeElement({
+    left: 0,
+    top: 0,
+    right: 1200,
+    bottom: 56,
+  });
+  const protection = new YouTubeShortcutProtection();
+  const originalLog = console.log;
+  console.log = () => {};
+  protection.configureOverlayForEventPropagation(masthead);
+  console.log = originalLog;
+
+  const { reveal, revealed } = createReveal([masthead], {
+    revealDelay: 0,
+    hideDelay: 0,
+  });
+  reveal.start();
+
+  // オーバーレイがイベントを受け取らなくても document の移動で判定する
+  let propagated = false;
+  document.addEventListener("pointermove", () => (propagated = true));
+  movePointer(100, 20);
+  await wait(10);
+  console.assert(revealed.has(masthead), "Region should be revealed");
+  console.assert(propagated, "Pointer events should keep propagating");
+  console.assert(
+    masthead.style.pointerEvents === "none",
+    "Reveal should not change pointer-events"
+  );
+
+  reveal.stop();
+
+  console.log("✓ shortcut protection tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runOverlayRevealTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runOverlayRevealTests = runTests;
+}
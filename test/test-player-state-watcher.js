@@ -0,0 +1,388 @@
+/**
+ * PlayerStateWatcher / PlayerStateAutoDim のテスト
+ */
+
+// 依存関係のインポート
+const {
+  PlayerState,
+  DEFAULT_PLAYER_STATE_AUTO_DIM,
+  normalizePlayerStateAutoDim,
+  PlayerStateWatcher,
+  PlayerStateAutoDim,
+} = require("../infrastructure/player-state-watcher.js");
+const { MessageType } = require("../infrastructure/message-bus.js");
+
+/**
+ * テスト用の <video> 要素を作成
+ * @returns {EventTarget} イベントを発火できる疑似 <video>
+ */
+function createFakeVideo() {
+  const video = new EventTarget();
+  video.currentTime = 12;
+  video.duration = 300;
+  video.emit = (eventName) => video.dispatchEvent(new Event(eventName));
+  return video;
+}
+
+/**
+ * テスト用のシアターモードコントローラーを作成
+ * @param {boolean} isActive - 初期の有効状態
+ * @param {number} opacity - 初期の透明度
+ * @returns {Object} モックコントローラー
+ */
+function createMockController(isActive = false, opacity = 0.7) {
+  const state = { isActive, opacity };
+  return {
+    state,
+    calls: [],
+    async enable() {
+      this.calls.push("enable");
+      state.isActive = true;
+    },
+    async disable() {
+      this.calls.push("disable");
+      state.isActive = false;
+    },
+    async updateOpacity(value) {
+      this.calls.push(`opacity:${value}`);
+      state.opacity = value;
+    },
+    getState() {
+      return { ...state };
+    },
+  };
+}
+
+/**
+ * 指定時間待機
+ * @param {number} ms - 待機時間（ミリ秒）
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== PlayerStateWatcher Tests ===");
+
+  // 各テストを実行
+  testNormalize();
+  await testWatcher();
+  await testAutoDimTransitions();
+  await testAutoDimCancel();
+  await testAutoDimPausedOpacity();
+
+  console.log("=== All PlayerStateWatcher Tests Completed ===");
+}
+
+/**
+ * 設定の正規化テスト
+ */
+function testNormalize() {
+  console.log("Testing normalizePlayerStateAutoDim...");
+
+  const defaults = normalizePlayerStateAutoDim(undefined);
+  console.assert(defaults.success, "Missing settings should use defaults");
+  console.assert(
+    JSON.stringify(defaults.data) ===
+      JSON.stringify(DEFAULT_PLAYER_STATE_AUTO_DIM),
+    "Defaults should match DEFAULT_PLAYER_STATE_AUTO_DIM"
+  );
+
+  const partial = normalizePlayerStateAutoDim({ enableOnPlay: true });
+  console.assert(
+    partial.data.enableOnPlay === true &&
+      partial.data.disableOnEndDelay === 3000,
+    "Partial settings should be merged with defaults"
+  );
+
+  console.assert(
+    normalizePlayerStateAutoDim({ lightenOnPause: "yes" }).isFailure(),
+    "Non-boolean rule should fail"
+  );
+  console.assert(
+    normalizePlayerStateAutoDim({ enableOnPlayDelay: 20000 }).isFailure(),
+    "Delay above the maximum should fail"
+  );
+  console.assert(
+    normalizePlayerStateAutoDim({ disableOnEndDelay: 1.5 }).isFailure(),
+    "Fractional delay should fail"
+  );
+  console.assert(
+    normalizePlayerStateAutoDim({ pauseOpacity: 1 }).isFailure(),
+    "Pause opacity above 0.9 should fail"
+  );
+
+  console.log("✓ normalize tests passed");
+}
+
+/**
+ * 再生状態の監視と配信のテスト
+ */
+async function testWatcher() {
+  console.log("Testing PlayerStateWatcher...");
+
+  const video = createFakeVideo();
+  const sent = [];
+  const watcher = new PlayerStateWatcher({
+    shortcutProtection: { getVideoElement: () => video },
+    messageBus: {
+      send: async (type, data, options) => {
+        sent.push({ type, data, options });
+      },
+    },
+  });
+
+  const received = [];
+  watcher.addChangeListener((event) => received.push(event));
+
+  console.assert(watcher.start() === true, "start should attach to video");
+  console.assert(watcher.getState().attached, "Watcher should be attached");
+
+  video.emit("play");
+  video.emit("seeking");
+  video.emit("pause");
+
+  console.assert(received.length === 3, "Listener should receive 3 events");
+  console.assert(
+    received[0].state === PlayerState.PLAYING &&
+      received[0].previousState === null,
+    "First event should be playing"
+  );
+  console.assert(
+    received[2].previousState === PlayerState.PLAYING,
+    "Seeking should not replace the current state"
+  );
+  console.assert(
+    received[0].currentTime === 12 && received[0].duration === 300,
+    "Event should include playback position"
+  );
+  console.assert(
+    sent.length === 3 &&
+      sent[0].type === MessageType.YOUTUBE_PLAYER_STATE_CHANGE,
+    "State changes should be broadcast on the message bus"
+  );
+  console.assert(
+    watcher.getState().state === PlayerState.PAUSED,
+    "Current state should be paused"
+  );
+
+  // 差し替えられた <video> に付け替える
+  const nextVideo = createFakeVideo();
+  watcher.shortcutProtection = { getVideoElement: () => nextVideo };
+  watcher.refresh();
+  video.emit("play");
+  console.assert(received.length === 3, "Old video should be detached");
+  nextVideo.emit("ended");
+  console.assert(
+    received[3].state === PlayerState.ENDED,
+    "New video should be watched"
+  );
+
+  watcher.dispose();
+  nextVideo.emit("play");
+  console.assert(received.length === 4, "Disposed watcher should be silent");
+
+  // <video> が見つからない場合は再検索する
+  let lookups = 0;
+  const lateWatcher = new PlayerStateWatcher(
+    {
+      shortcutProtection: {
+        getVideoElement: () => (++lookups >= 2 ? video : null),
+      },
+    },
+    { retryInterval: 5, maxRetries: 3 }
+  );
+  console.assert(lateWatcher.start() === false, "No video yet");
+  await wait(20);
+  console.assert(
+    lateWatcher.getState().attached,
+    "Watcher should attach after retry"
+  );
+  lateWatcher.dispose();
+
+  console.log("✓ PlayerStateWatcher tests passed");
+}
+
+/**
+ * 自動切り替えのテスト
+ */
+async function testAutoDimTransitions() {
+  console.log("Testing PlayerStateAutoDim transitions...");
+
+  const video = createFakeVideo();
+  const watcher = new PlayerStateWatcher({
+    shortcutProtection: { getVideoElement: () => video },
+  });
+  const controller = createMockController(false, 0.7);
+  const autoDim = new PlayerStateAutoDim(
+    { watcher, theaterModeController: controller },
+    {
+      enableOnPlay: true,
+      enableOnPlayDelay: 5,
+      lightenOnPause: true,
+      lightenOnPauseDelay: 5,
+      pauseOpacity: 0.9,
+      disableOnEnd: true,
+      disableOnEndDelay: 5,
+    }
+  );
+  autoDim.start();
+  watcher.start();
+
+  video.emit("play");
+  console.assert(controller.calls.length === 0, "Enable should be delayed");
+  await wait(20);
+  console.assert(controller.state.isActive, "Play should enable");
+
+  video.emit("pause");
+  await wait(20);
+  console.assert(
+    controller.state.opacity === 0.9,
+    "Pause should lighten to pauseOpacity"
+  );
+
+  video.emit("play");
+  await wait(20);
+  console.assert(
+    controller.state.opacity === 0.7,
+    "Play should restore the previous opacity"
+  );
+
+  video.emit("ended");
+  await wait(20);
+  console.assert(!controller.state.isActive, "Ended should disable");
+
+  // 一時停止用の透明度より明るい場合は変更しない
+  controller.state.isActive = true;
+  controller.state.opacity = 0.9;
+  controller.calls.length = 0;
+  video.emit("pause");
+  await wait(20);
+  console.assert(
+    controller.calls.length === 0,
+    "Pause should not darken a lighter overlay"
+  );
+
+  autoDim.dispose();
+  watcher.dispose();
+
+  console.log("✓ PlayerStateAutoDim transition tests passed");
+}
+
+/**
+ * 実行待ちの切り替えの取り消しテスト
+ */
+async function testAutoDimCancel() {
+  console.log("Testing PlayerStateAutoDim cancellation...");
+
+  const video = createFakeVideo();
+  const watcher = new PlayerStateWatcher({
+    shortcutProtection: { getVideoElement: () => video },
+  });
+  const controller = createMockController(true, 0.7);
+  const autoDim = new PlayerStateAutoDim(
+    { watcher, theaterModeController: controller },
+    { disableOnEnd: true, disableOnEndDelay: 30 }
+  );
+  autoDim.start();
+  watcher.start();
+
+  // 終了後すぐに再生（リプレイ）すると無効化は取り消される
+  video.emit("ended");
+  video.emit("play");
+  await wait(50);
+  console.assert(
+    controller.state.isActive,
+    "Replay should cancel the pending disable"
+  );
+
+  // シークでは取り消さない
+  video.emit("ended");
+  video.emit("seeking");
+  await wait(50);
+  console.assert(
+    !controller.state.isActive,
+    "Seeking should not cancel the pending disable"
+  );
+
+  // 不正な設定は無視される
+  const result = autoDim.updateSettings({ disableOnEndDelay: -1 });
+  console.assert(result.isFailure(), "Invalid settings should fail");
+  console.assert(
+    autoDim.settings.disableOnEndDelay === 30,
+    "Invalid settings should keep the current settings"
+  );
+
+  autoDim.dispose();
+  watcher.dispose();
+
+  console.log("✓ PlayerStateAutoDim cancellation tests passed");
+}
+
+/**
+ * 一時停止で明るくした透明度の扱いのテスト
+ */
+async function testAutoDimPausedOpacity() {
+  console.log("Testing PlayerStateAutoDim paused opacity...");
+
+  const video = createFakeVideo();
+  const watcher = new PlayerStateWatcher({
+    shortcutProtection: { getVideoElement: () => video },
+  });
+  const controller = createMockController(true, 0.7);
+  const settings = {
+    lightenOnPause: true,
+    lightenOnPauseDelay: 5,
+    pauseOpacity: 0.9,
+  };
+  const autoDim = new PlayerStateAutoDim(
+    { watcher, theaterModeController: controller },
+    settings
+  );
+  autoDim.start();
+  watcher.start();
+
+  // 一時停止中に手動で変更した透明度は再生再開時に上書きしない
+  video.emit("pause");
+  await wait(20);
+  controller.state.opacity = 0.5;
+  autoDim.discardPausedOpacity();
+  video.emit("play");
+  await wait(20);
+  console.assert(
+    controller.state.opacity === 0.5,
+    "Play should keep an opacity changed during the pause"
+  );
+
+  // 一時停止中に明るくする設定を無効にすると元に戻す
+  video.emit("pause");
+  await wait(20);
+  console.assert(controller.state.opacity === 0.9, "Pause should lighten");
+  autoDim.updateSettings({ ...settings, lightenOnPause: false });
+  await wait(0);
+  console.assert(
+    controller.state.opacity === 0.5 && autoDim.opacityBeforePause === null,
+    "Disabling lighten on pause should restore the opacity"
+  );
+
+  autoDim.dispose();
+  watcher.dispose();
+
+  console.log("✓ PlayerStateAutoDim paused opacity tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runPlayerStateWatcherTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runPlayerStateWatcherTests = runTests;
+}
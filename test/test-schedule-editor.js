@@ -0,0 +1,282 @@
+/**
+ * ScheduleEditor のテスト
+ */
+
+// 依存関係のインポート
+const {
+  NEW_SCHEDULE_WINDOW,
+  ScheduleEditor,
+} = require("../infrastructure/schedule-editor.js");
+const {
+  MAX_SCHEDULE_WINDOWS,
+} = require("../infrastructure/auto-enable-schedule.js");
+const { Logger } = require("../infrastructure/logger.js");
+const { ErrorHandler } = require("../infrastructure/error-handler.js");
+
+// テスト用のロガーとエラーハンドラーを作成
+const logger = new Logger("ScheduleEditorTest", {
+  level: Logger.LogLevel.ERROR,
+});
+const errorHandler = new ErrorHandler(logger);
+
+/**
+ * テスト用の ScheduleEditor を作成
+ * @param {Array<Array<Object>>} saved - 保存した時間帯の一覧を追加する配列
+ * @param {boolean} [succeeds=true] - 保存が成功するかどうか
+ * @returns {ScheduleEditor} DOM に表示しない ScheduleEditor
+ */
+function createEditor(saved, succeeds = true) {
+  const editor = new ScheduleEditor({
+    saveSchedule: async (windows) => {
+      saved.push(windows);
+      return succeeds;
+    },
+    uiEventHandler: null,
+    i18n: {
+      getMessage: (key, substitutions = []) =>
+        [key, ...substitutions].join(":"),
+      getCurrentLocale: () => "en",
+    },
+    logger,
+    errorHandler,
+  });
+  editor.elements = {
+    scheduleFeedback: {
+      textContent: "",
+      isError: false,
+      classList: {
+        toggle(name, force) {
+          editor.elements.scheduleFeedback.isError = force;
+        },
+      },
+    },
+  };
+  return editor;
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== ScheduleEditor Tests ===");
+
+  testLoadSchedule();
+  await testAddWindow();
+  await testUpdateWindow();
+  await testSetDay();
+  await testRemoveWindow();
+  await testSaveFailure();
+
+  console.log("=== All ScheduleEditor Tests Completed ===");
+}
+
+/**
+ * 保存された時間帯の読み込みのテスト
+ */
+function testLoadSchedule() {
+  console.log("Testing loadSchedule...");
+
+  const editor = createEditor([]);
+  const result = editor.loadSchedule([
+    { id: "night", days: [5, 1], start: "22:00", end: "02:00" },
+    { days: [], start: "20:00", end: "23:00" },
+  ]);
+
+  console.assert(
+    result.isSuccess() && result.data.length === 1,
+    "Invalid windows should not be loaded"
+  );
+  console.assert(
+    editor.windows[0].days.join(",") === "1,5" &&
+      editor.windows[0].opacity === 0.7 &&
+      editor.windows[0].enabled === true,
+    "Loaded windows should be normalized"
+  );
+  console.assert(
+    editor.loadSchedule(undefined).data.length === 0,
+    "A missing schedule should load as empty"
+  );
+
+  console.log("✓ loadSchedule tests passed");
+}
+
+/**
+ * 時間帯の追加のテスト
+ */
+async function testAddWindow() {
+  console.log("Testing addWindow...");
+
+  const saved = [];
+  const editor = createEditor(saved);
+  const result = await editor.addWindow();
+
+  console.assert(
+    result.isSuccess() && saved.length === 1 && editor.windows.length === 1,
+    "A new window should be saved"
+  );
+  console.assert(
+    editor.windows[0].start === NEW_SCHEDULE_WINDOW.start &&
+      editor.windows[0].end === NEW_SCHEDULE_WINDOW.end &&
+      editor.windows[0].id.startsWith("window-"),
+    "A new window should start from the default window with its own id"
+  );
+  console.assert(
+    editor.elements.scheduleFeedback.textContent === "scheduleSaved",
+    "Saving should be reported"
+  );
+
+  editor.loadSchedule(
+    Array.from({ length: MAX_SCHEDULE_WINDOWS }, (_, index) => ({
+      ...NEW_SCHEDULE_WINDOW,
+      id: `window-${index}`,
+    }))
+  );
+  const limited = await editor.addWindow();
+  console.assert(
+    limited.isFailure() && saved.length === 1,
+    "Windows over the limit should not be saved"
+  );
+  console.assert(
+    editor.elements.scheduleFeedback.textContent ===
+      `scheduleWindowLimit:${MAX_SCHEDULE_WINDOWS}` &&
+      editor.elements.scheduleFeedback.isError,
+    "The limit should be reported as an error"
+  );
+
+  console.log("✓ addWindow tests passed");
+}
+
+/**
+ * 時間帯の変更のテスト
+ */
+async function testUpdateWindow() {
+  console.log("Testing updateWindow...");
+
+  const saved = [];
+  const editor = createEditor(saved);
+  editor.loadSchedule([{ id: "evening", ...NEW_SCHEDULE_WINDOW }]);
+
+  const result = await editor.updateWindow(0, { end: "01:30", opacity: 0.5 });
+  console.assert(
+    result.isSuccess() &&
+      saved[0][0].end === "01:30" &&
+      saved[0][0].opacity === 0.5 &&
+      saved[0][0].id === "evening",
+    "Changed windows should be saved with their id"
+  );
+
+  const invalid = await editor.updateWindow(0, { start: "01:30" });
+  console.assert(
+    invalid.isFailure() && saved.length === 1,
+    "Windows that start when they end should not be saved"
+  );
+  console.assert(
+    editor.windows[0].start === NEW_SCHEDULE_WINDOW.start,
+    "The saved window should be kept after an invalid change"
+  );
+
+  const disabled = await editor.updateWindow(0, { enabled: false });
+  console.assert(
+    disabled.isSuccess() && saved[1][0].enabled === false,
+    "Windows should be able to be turned off"
+  );
+
+  console.assert(
+    (await editor.updateWindow(5, { end: "23:30" })).isFailure(),
+    "Unknown windows should be rejected"
+  );
+
+  console.log("✓ updateWindow tests passed");
+}
+
+/**
+ * 曜日の選択のテスト
+ */
+async function testSetDay() {
+  console.log("Testing setDay...");
+
+  const saved = [];
+  const editor = createEditor(saved);
+  editor.loadSchedule([
+    { id: "weekend", days: [6], start: "10:00", end: "12:00" },
+  ]);
+
+  await editor.setDay(0, 0, true);
+  console.assert(
+    saved[0][0].days.join(",") === "0,6",
+    "Selected days should be added"
+  );
+
+  await editor.setDay(0, 6, false);
+  console.assert(
+    saved[1][0].days.join(",") === "0",
+    "Cleared days should be removed"
+  );
+
+  const empty = await editor.setDay(0, 0, false);
+  console.assert(
+    empty.isFailure() && saved.length === 2,
+    "A window without days should not be saved"
+  );
+
+  console.log("✓ setDay tests passed");
+}
+
+/**
+ * 時間帯の削除のテスト
+ */
+async function testRemoveWindow() {
+  console.log("Testing removeWindow...");
+
+  const saved = [];
+  const editor = createEditor(saved);
+  editor.loadSchedule([
+    { id: "first", ...NEW_SCHEDULE_WINDOW },
+    { id: "second", ...NEW_SCHEDULE_WINDOW },
+  ]);
+
+  await editor.removeWindow(0);
+  console.assert(
+    saved[0].length === 1 &&
+      saved[0][0].id === "second" &&
+      editor.windows.length === 1,
+    "Removed windows should not be saved"
+  );
+
+  console.log("✓ removeWindow tests passed");
+}
+
+/**
+ * 保存に失敗した場合のテスト
+ */
+async function testSaveFailure() {
+  console.log("Testing save failure...");
+
+  const editor = createEditor([], false);
+  editor.loadSchedule([{ id: "evening", ...NEW_SCHEDULE_WINDOW }]);
+
+  const result = await editor.updateWindow(0, { end: "23:30" });
+  console.assert(
+    result.isFailure() && editor.windows[0].end === NEW_SCHEDULE_WINDOW.end,
+    "The saved windows should be kept when saving fails"
+  );
+  console.assert(
+    editor.elements.scheduleFeedback.textContent === "scheduleSaveFailed" &&
+      editor.elements.scheduleFeedback.isError,
+    "Save failures should be reported as an error"
+  );
+
+  console.log("✓ Save failure tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runScheduleEditorTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runScheduleEditorTests = runTests;
+}
@@ -0,0 +1,228 @@
+/**
+ * スクリプトの読み込み方のテスト
+ *
+ * ブラウザではコンテンツスクリプト、サービスワーカー、各ページのスクリプトを
+ * すべて通常のスクリプトとして読み込み、同じグローバルスコープを共有する。
+ * 読み込む順に宣言だけを行い、重複宣言にならないことと、
+ * 依存関係の提供元を読み込む場合は、依存するファイルより先に読み込むことを確認する
+ */
+
+// 依存関係のインポート
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// 読み込むスクリプトを確認するページ
+const PAGES = ["popup.html", "options.html", "test/test-element-manager.html"];
+
+/**
+ * 拡張機能のルートからのパスのファイルを読み込む
+ * @param {string} file - 拡張機能のルートからのパス
+ * @returns {string} ファイルの内容
+ */
+function readSource(file) {
+  return fs.readFileSync(path.join(ROOT, file), "utf8");
+}
+
+// 依存関係の変数を宣言する部分
+const DEPENDENCY_HEADER =
+  /\/\/ 依存関係のインポート\n([\s\S]*?)\n\/\/ Node\.js環境での依存関係の解決/;
+
+/**
+ * 依存関係の変数として宣言している名前を取得
+ * @param {string} source - ファイルの内容
+ * @returns {string[]} 宣言している名前（宣言していない場合は空）
+ */
+function getDependencyNames(source) {
+  const match = source.match(DEPENDENCY_HEADER);
+  if (!match) {
+    return [];
+  }
+  return match[1]
+    .replace(/^var\s+/gm, "")
+    .split(/[,;\s]+/)
+    .filter(Boolean);
+}
+
+/**
+ * スクリプトを宣言だけ行うように読み込む
+ * 先頭で例外を投げ、宣言だけを行って実行はしない
+ * @param {string} file - 拡張機能のルートからのパス
+ * @param {string} source - ファイルの内容
+ * @param {Object} context - 読み込むコンテキスト
+ * @returns {string|null} 宣言のエラーのメッセージ（エラーがない場合はnull）
+ */
+function declareScript(file, source, context) {
+  try {
+    new vm.Script(`throw null;\n${source}`, { filename: file }).runInContext(
+      context
+    );
+  } catch (error) {
+    if (error !== null) {
+      return error.message;
+    }
+  }
+  return null;
+}
+
+/**
+ * ファイルが依存関係の変数以外で名前を宣言しているかどうか
+ * @param {string} file - 拡張機能のルートからのパス
+ * @param {string} name - 名前
+ * @returns {boolean} 宣言している場合はtrue
+ */
+function providesName(file, name) {
+  const context = vm.createContext({});
+  const source = readSource(file).replace(DEPENDENCY_HEADER, "");
+  declareScript(file, source, context);
+  try {
+    vm.runInContext(name, context);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * 同じグローバルスコープで読み込むスクリプトの組を取得
+ * @returns {Array<{name: string, files: string[]}>} 読み込む順のファイル
+ */
+function getScriptGroups() {
+  const manifest = JSON.parse(readSource("manifest.json"));
+
+  const groups = manifest.content_scripts.map(({ matches, js }) => ({
+    name: `content script (${matches.join(", ")})`,
+    files: js,
+  }));
+
+  // サービスワーカーは自身の宣言の後に importScripts したファイルを読み込む
+  const worker = manifest.background.service_worker;
+  const imported = [
+    ...readSource(worker).matchAll(/importScripts\(([^)]*)\)/g),
+  ].flatMap(([, args]) =>
+    args.match(/"[^"]+"/g).map((arg) => JSON.parse(arg))
+  );
+  groups.push({ name: worker, files: [worker, ...imported] });
+
+  PAGES.forEach((page) => {
+    const html = readSource(page);
+    const files = [...html.matchAll(/<script[^>]*\ssrc="([^"]+)"/g)].map(
+      ([, src]) => path.posix.join(path.posix.dirname(page), src)
+    );
+    groups.push({ name: page, files });
+  });
+
+  return groups;
+}
+
+/**
+ * スクリプトを読み込む順に同じコンテキストで宣言
+ * @param {string[]} files - 読み込む順のファイル
+ * @returns {string[]} 宣言のエラー
+ */
+function declareScripts(files) {
+  const context = vm.createContext({});
+  return files
+    .map((file) => [file, declareScript(file, readSource(file), context)])
+    .filter(([, error]) => error !== null)
+    .map(([file, error]) => `${file}: ${error}`);
+}
+
+/**
+ * 依存するファイルより後に読み込む依存関係の提供元を取得
+ * 読み込まない提供元（使う場合だけ渡すものなど）は対象外
+ * @param {string[]} files - 読み込む順のファイル
+ * @returns {string[]} 後に読み込む依存関係
+ */
+function getLateDependencies(files) {
+  return files.flatMap((file, index) =>
+    getDependencyNames(readSource(file))
+      .filter(
+        (name) =>
+          !files.slice(0, index).some((other) => providesName(other, name)) &&
+          files.slice(index + 1).some((other) => providesName(other, name))
+      )
+      .map((name) => `${file}: ${name}`)
+  );
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== Script Loading Tests ===");
+
+  testClassicScripts();
+  testDeclarations();
+  testDependencyOrder();
+
+  console.log("=== All Script Loading tests passed ===");
+}
+
+/**
+ * 通常のスクリプトとして読み込み、ページに公開しないことのテスト
+ */
+function testClassicScripts() {
+  const manifest = JSON.parse(readSource("manifest.json"));
+  console.assert(
+    manifest.background.type === undefined,
+    "The service worker should be a classic script that uses importScripts"
+  );
+  console.assert(
+    manifest.web_accessible_resources === undefined,
+    "Extension scripts should not be exposed to web pages"
+  );
+
+  PAGES.forEach((page) => {
+    console.assert(
+      !readSource(page).includes('type="module"'),
+      `${page} should load its scripts as classic scripts`
+    );
+  });
+
+  console.log("✓ Classic script tests passed");
+}
+
+/**
+ * 同じスコープで読み込むスクリプトが重複宣言にならないことのテスト
+ */
+function testDeclarations() {
+  getScriptGroups().forEach(({ name, files }) => {
+    const errors = declareScripts(files);
+    console.assert(
+      errors.length === 0,
+      `${name} should load without redeclarations: ${errors.join("; ")}`
+    );
+  });
+
+  console.log("✓ Declaration tests passed");
+}
+
+/**
+ * 依存関係の提供元を先に読み込むことのテスト
+ */
+function testDependencyOrder() {
+  getScriptGroups().forEach(({ name, files }) => {
+    const lateDependencies = getLateDependencies(files);
+    console.assert(
+      lateDependencies.length === 0,
+      `${name} should load dependencies first: ${lateDependencies.join("; ")}`
+    );
+  });
+
+  console.log("✓ Dependency order tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runScriptLoadingTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runScriptLoadingTests = runTests;
+}
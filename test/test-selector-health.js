@@ -0,0 +1,231 @@
+/**
+ * SelectorHealth のテスト
+ */
+
+// 依存関係のインポート
+const {
+  SELECTOR_HEALTH_WARNING_LOADS,
+  MAX_SELECTOR_CHAINS,
+  getSelectorChainKey,
+  scoreSelectorMatch,
+  SelectorHealthTracker,
+} = require("../infrastructure/selector-health.js");
+
+const PLAYER_SELECTORS = ["#movie_player", ".html5-video-player", "video"];
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== SelectorHealth Tests ===");
+
+  // 各テストを実行
+  testScoreSelectorMatch();
+  testRecord();
+  testPrimaryMissedLoads();
+  testReport();
+  testSerialization();
+
+  console.log("=== All SelectorHealth Tests Completed ===");
+}
+
+/**
+ * 信頼度の計算テスト
+ */
+function testScoreSelectorMatch() {
+  console.log("Testing scoreSelectorMatch...");
+
+  console.assert(scoreSelectorMatch(0, 3) === 1, "Primary should score 1");
+  console.assert(
+    scoreSelectorMatch(1, 4) === 0.75,
+    "Fallback should score lower"
+  );
+  console.assert(scoreSelectorMatch(-1, 3) === 0, "Failure should score 0");
+  console.assert(
+    getSelectorChainKey(PLAYER_SELECTORS) ===
+      "#movie_player, .html5-video-player, video",
+    "Chain key should join selectors"
+  );
+
+  console.log("✓ scoreSelectorMatch tests passed");
+}
+
+/**
+ * 検索結果の記録テスト
+ */
+function testRecord() {
+  console.log("Testing record...");
+
+  const warnings = [];
+  const tracker = new SelectorHealthTracker({
+    logger: { warn: (message, data) => warnings.push({ message, data }) },
+    now: () => 1000,
+  }).registerChain("videoPlayer", PLAYER_SELECTORS);
+
+  tracker.record(PLAYER_SELECTORS, 0);
+  tracker.record(PLAYER_SELECTORS, 1);
+  const chain = tracker.record(PLAYER_SELECTORS, -1);
+
+  console.assert(chain.name === "videoPlayer", "Chain should be named");
+  console.assert(chain.lookups === 3, "Lookups should be counted");
+  console.assert(chain.failures === 1, "Failures should be counted");
+  console.assert(
+    chain.matches["#movie_player"] === 1 &&
+      chain.matches[".html5-video-player"] === 1,
+    "Matches should be counted per selector"
+  );
+  console.assert(
+    chain.lastMatchedSelector === ".html5-video-player",
+    "Last matched selector should be kept"
+  );
+  console.assert(chain.lastFailedAt === 1000, "Failure time should be kept");
+  console.assert(
+    chain.confidence > 0 && chain.confidence < 1,
+    "Confidence should drop after fallbacks and failures"
+  );
+  console.assert(
+    warnings.length === 1 && warnings[0].data.chain === "videoPlayer",
+    "Failure should be logged"
+  );
+
+  console.log("✓ record tests passed");
+}
+
+/**
+ * 優先セレクターが一致しなかった連続回数のテスト
+ */
+function testPrimaryMissedLoads() {
+  console.log("Testing primaryMissedLoads...");
+
+  const tracker = new SelectorHealthTracker().registerChain(
+    "videoPlayer",
+    PLAYER_SELECTORS
+  );
+
+  for (let i = 0; i < SELECTOR_HEALTH_WARNING_LOADS - 1; i++) {
+    tracker.record(PLAYER_SELECTORS, 2);
+    tracker.completePageLoad();
+  }
+  console.assert(
+    !tracker.isPrimaryMissing("videoPlayer"),
+    "Should not warn before the threshold"
+  );
+
+  // 検索しなかったページ読み込みは数えない
+  tracker.completePageLoad();
+  console.assert(
+    tracker.getChain("videoPlayer").primaryMissedLoads ===
+      SELECTOR_HEALTH_WARNING_LOADS - 1,
+    "Loads without lookups should not be counted"
+  );
+
+  tracker.record(PLAYER_SELECTORS, -1);
+  tracker.completePageLoad();
+  console.assert(
+    tracker.isPrimaryMissing("videoPlayer"),
+    "Should warn at the threshold"
+  );
+
+  tracker.record(PLAYER_SELECTORS, 1);
+  tracker.record(PLAYER_SELECTORS, 0);
+  tracker.completePageLoad();
+  console.assert(
+    !tracker.isPrimaryMissing("videoPlayer"),
+    "Primary match should reset the count"
+  );
+  console.assert(
+    !tracker.isPrimaryMissing("unknown"),
+    "Unknown chains should not warn"
+  );
+
+  console.log("✓ primaryMissedLoads tests passed");
+}
+
+/**
+ * レポートのテスト
+ */
+function testReport() {
+  console.log("Testing getReport...");
+
+  const tracker = new SelectorHealthTracker().registerChain(
+    "videoPlayer",
+    PLAYER_SELECTORS
+  );
+  tracker.record(["#primary", "#secondary"], 0);
+  tracker.record(PLAYER_SELECTORS, -1);
+  tracker.completePageLoad();
+
+  const report = tracker.getReport({ threshold: 1 });
+  console.assert(report.pageLoads === 1, "Report should count page loads");
+  console.assert(report.chains.length === 2, "Report should list chains");
+  console.assert(
+    report.warnings.length === 1 && report.warnings[0] === "videoPlayer",
+    "Report should warn about the named chain"
+  );
+  console.assert(
+    report.chains[0].name === null &&
+      report.chains[0].key === "#primary, #secondary",
+    "Unnamed chains should be reported by key"
+  );
+
+  // 上限を超えた場合は古い記録を削除
+  for (let i = 0; i <= MAX_SELECTOR_CHAINS; i++) {
+    tracker.record([`#selector-${i}`], 0);
+  }
+  console.assert(
+    tracker.chains.size === MAX_SELECTOR_CHAINS,
+    "Chains should be capped"
+  );
+
+  console.log("✓ getReport tests passed");
+}
+
+/**
+ * 保存と復元のテスト
+ */
+function testSerialization() {
+  console.log("Testing toJSON/fromJSON...");
+
+  const tracker = new SelectorHealthTracker().registerChain(
+    "videoPlayer",
+    PLAYER_SELECTORS
+  );
+  tracker.record(PLAYER_SELECTORS, 1);
+  tracker.completePageLoad();
+  tracker.record(PLAYER_SELECTORS, 1);
+
+  const restored = SelectorHealthTracker.fromJSON(
+    JSON.parse(JSON.stringify(tracker))
+  );
+  const chain = restored.getChain("videoPlayer");
+
+  console.assert(restored.pageLoads === 1, "Page loads should be restored");
+  console.assert(
+    chain && chain.lookups === 2 && chain.primaryMissedLoads === 1,
+    "Chain should be restored by name"
+  );
+  console.assert(
+    chain.lookupsThisLoad === 0,
+    "Unfinished page load should not be restored"
+  );
+
+  const empty = SelectorHealthTracker.fromJSON({ chains: [null, {}] });
+  console.assert(
+    empty.pageLoads === 0 && empty.chains.size === 0,
+    "Invalid data should be ignored"
+  );
+
+  console.log("✓ toJSON/fromJSON tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runSelectorHealthTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runSelectorHealthTests = runTests;
+}
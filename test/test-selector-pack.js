@@ -0,0 +1,262 @@
+/**
+ * SelectorPack のテスト
+ */
+
+// 依存関係のインポート
+const {
+  DEFAULT_SELECTOR_PACK,
+  SELECTOR_PACK_SCHEMA,
+  compareVersions,
+  isSelectorPackCompatible,
+  resolveSelectorPack,
+} = require("../infrastructure/selector-pack.js");
+const {
+  OVERLAY_REGIONS,
+  SHORTS_CONTAINER_SELECTORS,
+  getOverlayLayout,
+} = require("../infrastructure/overlay-regions.js");
+const { LIVE_BADGE_SELECTORS } = require("../infrastructure/live-chat.js");
+const { DataValidator } = require("../infrastructure/data-validator.js");
+
+/**
+ * パックを SELECTOR_PACK_SCHEMA で検証
+ * @param {any} pack - セレクターパック
+ * @returns {Object} 検証結果 { valid, errors }
+ */
+const validatePack = (pack) =>
+  new DataValidator().validate(pack, SELECTOR_PACK_SCHEMA).data;
+
+/**
+ * 動画プレーヤーのセレクターだけを更新したパック
+ */
+const UPDATED_PACK = {
+  version: "1.1.0",
+  minExtensionVersion: "1.1.0",
+  pages: {
+    video: {
+      videoPlayer: ["#new-player", "#movie_player"],
+    },
+    live: {
+      detect: [".new-live-badge"],
+    },
+  },
+};
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== SelectorPack Tests ===");
+
+  // 各テストを実行
+  testDefaultPack();
+  testCompareVersions();
+  testValidatePack();
+  testSchema();
+  testResolveSelectorPack();
+  testOverlayLayoutFromPack();
+
+  console.log("=== All SelectorPack Tests Completed ===");
+}
+
+/**
+ * 同梱のパックのテスト
+ */
+function testDefaultPack() {
+  console.log("Testing DEFAULT_SELECTOR_PACK...");
+
+  console.assert(
+    validatePack(DEFAULT_SELECTOR_PACK).valid,
+    "Built-in pack should be valid"
+  );
+  console.assert(
+    OVERLAY_REGIONS === DEFAULT_SELECTOR_PACK.pages.video.overlayRegions &&
+      SHORTS_CONTAINER_SELECTORS ===
+        DEFAULT_SELECTOR_PACK.pages.shorts.container &&
+      LIVE_BADGE_SELECTORS === DEFAULT_SELECTOR_PACK.pages.live.detect,
+    "Module constants should come from the built-in pack"
+  );
+  console.assert(
+    ["video", "shorts", "live", "premiere", "channel", "search", "home"].every(
+      (pageType) => DEFAULT_SELECTOR_PACK.pages[pageType].detect.length > 0
+    ),
+    "Every page type should have detection selectors"
+  );
+
+  console.log("✓ DEFAULT_SELECTOR_PACK tests passed");
+}
+
+/**
+ * バージョン比較のテスト
+ */
+function testCompareVersions() {
+  console.log("Testing compareVersions...");
+
+  console.assert(compareVersions("1.10.0", "1.9.2") > 0, "Should be numeric");
+  console.assert(compareVersions("1.1", "1.1.0") === 0, "Missing parts are 0");
+  console.assert(compareVersions("1.0.9", "1.1.0") < 0, "Older should be < 0");
+
+  console.assert(
+    isSelectorPackCompatible(UPDATED_PACK, "1.1.4"),
+    "Newer extension should accept the pack"
+  );
+  console.assert(
+    !isSelectorPackCompatible(UPDATED_PACK, "1.0.0"),
+    "Older extension should reject the pack"
+  );
+
+  console.log("✓ compareVersions tests passed");
+}
+
+/**
+ * 構造の検証のテスト
+ * ポップアップとコンテンツスクリプトと同じく DataValidator でスキーマを検証する
+ */
+function testValidatePack() {
+  console.log("Testing selector pack validation...");
+
+  console.assert(
+    validatePack(UPDATED_PACK).valid,
+    "Partial pack should be valid"
+  );
+  console.assert(
+    !validatePack(null).valid && !validatePack([]).valid,
+    "Non-object pack should be rejected"
+  );
+  console.assert(
+    !validatePack({ ...UPDATED_PACK, version: "latest" }).valid,
+    "Version should be numeric"
+  );
+
+  [
+    { video: { videoPlayer: [] } },
+    { video: { unknown: ["#a"] } },
+    { shorts: { overlayRegions: { reels: "ytd-reel-video-renderer" } } },
+    { live: null },
+  ].forEach((pages) => {
+    console.assert(
+      !validatePack({ ...UPDATED_PACK, pages }).valid,
+      `Invalid pages should be rejected: ${JSON.stringify(pages)}`
+    );
+  });
+
+  console.log("✓ Selector pack validation tests passed");
+}
+
+/**
+ * DataValidator のスキーマのテスト
+ */
+function testSchema() {
+  console.log("Testing SELECTOR_PACK_SCHEMA...");
+
+  const validator = new DataValidator();
+  validator.registerSchema("selectorPack", SELECTOR_PACK_SCHEMA);
+
+  const valid = validator.validate(UPDATED_PACK, "selectorPack");
+  console.assert(
+    valid.isSuccess() && valid.data.valid,
+    "Schema should accept a valid pack"
+  );
+
+  const missing = validator.validate({ version: "1.0.0" }, "selectorPack");
+  console.assert(
+    !missing.data.valid && missing.data.errors.length === 2,
+    "Schema should require minExtensionVersion and pages"
+  );
+
+  const invalidPages = validator.validate(
+    { ...UPDATED_PACK, pages: { video: { videoPlayer: "#movie_player" } } },
+    "selectorPack"
+  );
+  console.assert(
+    !invalidPages.data.valid &&
+      invalidPages.data.errors[0].message.includes("pages.video.videoPlayer"),
+    "Schema should report the invalid section"
+  );
+
+  console.log("✓ SELECTOR_PACK_SCHEMA tests passed");
+}
+
+/**
+ * 同梱のパックによる補完のテスト
+ */
+function testResolveSelectorPack() {
+  console.log("Testing resolveSelectorPack...");
+
+  console.assert(
+    resolveSelectorPack() === DEFAULT_SELECTOR_PACK,
+    "Missing pack should resolve to the built-in pack"
+  );
+
+  const resolved = resolveSelectorPack(UPDATED_PACK);
+  const { video } = resolved.pages;
+  console.assert(
+    resolved.version === "1.1.0" && video.videoPlayer[0] === "#new-player",
+    "Pack selectors should be used"
+  );
+  console.assert(
+    video.channelOwner === DEFAULT_SELECTOR_PACK.pages.video.channelOwner &&
+      resolved.pages.search === DEFAULT_SELECTOR_PACK.pages.search,
+    "Missing selectors and sections should fall back to the built-in pack"
+  );
+  console.assert(
+    DEFAULT_SELECTOR_PACK.pages.video.videoPlayer[0] === "#movie_player",
+    "Built-in pack should not be modified"
+  );
+
+  console.assert(
+    resolved.pages.live.detect[0] === ".new-live-badge",
+    "Page type sections should be replaced by field"
+  );
+
+  console.log("✓ resolveSelectorPack tests passed");
+}
+
+/**
+ * パックのオーバーレイ領域のテスト
+ */
+function testOverlayLayoutFromPack() {
+  console.log("Testing getOverlayLayout with a selector pack...");
+
+  const pack = resolveSelectorPack({
+    ...UPDATED_PACK,
+    pages: {
+      video: { overlayRegions: { sidebar: ["#new-sidebar"] } },
+      live: { protectedElements: ["#live-chat-banner"] },
+    },
+  });
+
+  const video = getOverlayLayout("video", { selectorPack: pack });
+  console.assert(
+    video.regions.sidebar[0] === "#new-sidebar" &&
+      video.protectedSelectors.length === 0,
+    "Video page should use the pack regions"
+  );
+
+  const live = getOverlayLayout("live", { selectorPack: pack });
+  console.assert(
+    live.regions === video.regions &&
+      live.protectedSelectors[0] === "#live-chat-banner",
+    "Other pages should fall back to the video regions"
+  );
+
+  const shorts = getOverlayLayout("shorts", { selectorPack: pack });
+  console.assert(
+    "reels" in shorts.regions && !("actions" in shorts.regions),
+    "Shorts should keep the built-in regions"
+  );
+
+  console.log("✓ getOverlayLayout with a selector pack tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runSelectorPackTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runSelectorPackTests = runTests;
+}
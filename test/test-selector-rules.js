@@ -0,0 +1,233 @@
+/**
+ * SelectorRules のテスト
+ */
+
+// 依存関係のインポート
+const {
+  SelectorRuleType,
+  MAX_SELECTOR_RULES,
+  SelectorRules,
+  isValidSelector,
+  validateSelectorRules,
+} = require("../infrastructure/selector-rules.js");
+const { SettingsManager } = require("../infrastructure/settings-manager.js");
+const {
+  StorageAdapter,
+  StorageType,
+} = require("../infrastructure/storage-adapter.js");
+const { Logger } = require("../infrastructure/logger.js");
+const { ErrorHandler } = require("../infrastructure/error-handler.js");
+
+// テスト用のロガーとエラーハンドラーを作成
+const logger = new Logger("SelectorRulesTest", {
+  level: Logger.LogLevel.DEBUG,
+});
+const errorHandler = new ErrorHandler(logger);
+
+/**
+ * テスト用のSelectorRulesを作成
+ * @param {string} namespace - ストレージの名前空間
+ * @returns {SelectorRules} SelectorRulesインスタンス
+ */
+function createSelectorRules(namespace) {
+  const storageAdapter = new StorageAdapter({
+    namespace,
+    preferredType: StorageType.MEMORY,
+    logger,
+    errorHandler,
+  });
+
+  const settingsManager = new SettingsManager({
+    storageAdapter,
+    logger,
+    errorHandler,
+    storageKey: `${namespace}Settings`,
+  });
+
+  return new SelectorRules({ settingsManager, logger, errorHandler });
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== SelectorRules Tests ===");
+
+  // 各テストを実行
+  testInitialization();
+  testValidateRules();
+  await testAddRemoveRules();
+
+  console.log("=== All SelectorRules Tests Completed ===");
+}
+
+/**
+ * 初期化テスト
+ */
+function testInitialization() {
+  console.log("Testing initialization...");
+
+  // SettingsManager は必須
+  let threw = false;
+  try {
+    new SelectorRules({});
+  } catch (error) {
+    threw = true;
+  }
+  console.assert(threw, "Should throw without settingsManager");
+
+  const selectorRules = createSelectorRules("test_selector_init");
+  console.assert(
+    selectorRules.dataValidator.getSchema("selectorRules") !== null,
+    "Should register the selectorRules schema"
+  );
+
+  console.assert(isValidSelector("#secondary"), "Should accept a selector");
+  console.assert(!isValidSelector(""), "Should reject an empty selector");
+  console.assert(!isValidSelector(null), "Should reject a non-string");
+
+  console.log("✓ Initialization tests passed");
+}
+
+/**
+ * ルール検証テスト
+ */
+function testValidateRules() {
+  console.log("Testing validateRules...");
+
+  const selectorRules = createSelectorRules("test_selector_validate");
+
+  // 有効なルール
+  const validResult = selectorRules.validateRules([
+    { selector: "ytd-merch-shelf-renderer", type: SelectorRuleType.INCLUDE },
+    {
+      selector: "#chapters",
+      type: SelectorRuleType.EXCLUDE,
+      enabled: false,
+    },
+  ]);
+  console.assert(validResult.success, "Valid rules should pass validation");
+  console.assert(
+    validResult.data[0].enabled === true,
+    "enabled should default to true"
+  );
+  console.assert(
+    validResult.data[1].enabled === false,
+    "Explicit enabled should be kept"
+  );
+
+  // 無効な種類
+  const invalidTypeResult = selectorRules.validateRules([
+    { selector: "#secondary", type: "hide" },
+  ]);
+  console.assert(
+    invalidTypeResult.isFailure(),
+    "Unknown rule type should fail validation"
+  );
+
+  // セレクターの欠落
+  const missingSelectorResult = selectorRules.validateRules([
+    { type: SelectorRuleType.INCLUDE },
+  ]);
+  console.assert(
+    missingSelectorResult.isFailure(),
+    "Rule without selector should fail validation"
+  );
+
+  // 最大数の超過
+  const tooManyRules = Array.from(
+    { length: MAX_SELECTOR_RULES + 1 },
+    (_, i) => ({ selector: `#panel-${i}`, type: SelectorRuleType.INCLUDE })
+  );
+  console.assert(
+    selectorRules.validateRules(tooManyRules).isFailure(),
+    "Too many rules should fail validation"
+  );
+
+  // 設定管理を持たないポップアップとコンテンツスクリプトでも同じスキーマで検証する
+  const include = { selector: "#chat", type: SelectorRuleType.INCLUDE };
+  console.assert(
+    validateSelectorRules([include]).isSuccess() &&
+      validateSelectorRules([{ ...include, type: "hide" }]).isFailure(),
+    "validateSelectorRules should apply the selector rule schema"
+  );
+
+  console.log("✓ validateRules tests passed");
+}
+
+/**
+ * ルールの追加・削除テスト
+ */
+async function testAddRemoveRules() {
+  console.log("Testing addRule and removeRule...");
+
+  const selectorRules = createSelectorRules("test_selector_add_remove");
+
+  // 初期状態は空
+  const initialResult = await selectorRules.loadRules();
+  console.assert(initialResult.success, "loadRules should succeed");
+  console.assert(initialResult.data.length === 0, "Initial rules are empty");
+
+  // ルールを追加
+  await selectorRules.addRule({
+    selector: " ytd-engagement-panel-section-list-renderer ",
+    type: SelectorRuleType.INCLUDE,
+  });
+  const addResult = await selectorRules.addRule({
+    selector: "#chapters",
+    type: SelectorRuleType.EXCLUDE,
+  });
+  console.assert(addResult.success, "addRule should succeed");
+  console.assert(addResult.data.length === 2, "Should have two rules");
+  console.assert(
+    addResult.data[0].selector ===
+      "ytd-engagement-panel-section-list-renderer",
+    "Selector should be trimmed"
+  );
+
+  // 同じルールの再追加は置き換え
+  const duplicateResult = await selectorRules.addRule({
+    selector: "#chapters",
+    type: SelectorRuleType.EXCLUDE,
+    enabled: false,
+  });
+  console.assert(
+    duplicateResult.data.length === 2,
+    "Duplicate rule should replace the existing one"
+  );
+
+  // 無効なルールは保存されない
+  const invalidResult = await selectorRules.addRule({
+    selector: "#secondary",
+    type: "unknown",
+  });
+  console.assert(invalidResult.isFailure(), "Invalid rule should be rejected");
+
+  const afterInvalidResult = await selectorRules.loadRules();
+  console.assert(
+    afterInvalidResult.data.length === 2,
+    "Invalid rule should not be persisted"
+  );
+
+  // ルールを削除
+  const removeResult = await selectorRules.removeRule(
+    "#chapters",
+    SelectorRuleType.EXCLUDE
+  );
+  console.assert(removeResult.success, "removeRule should succeed");
+  console.assert(removeResult.data.length === 1, "Should have one rule left");
+
+  console.log("✓ addRule and removeRule tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runSelectorRulesTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runSelectorRulesTests = runTests;
+}
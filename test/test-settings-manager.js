@@ -5,6 +5,8 @@
 // 依存関係のインポート
 const {
   SchemaType,
+  SETTINGS_VERSIONS,
+  shouldAutoEnableForPageType,
   SettingsManager,
 } = require("../infrastructure/settings-manager.js");
 const {
@@ -35,6 +37,9 @@ async function runTests() {
   await testChangeListeners();
   await testGetUpdateSetting();
   await testResetSettings();
+  await testChannelProfiles();
+  await testAutoEnablePageTypes();
+  await testOverlayEffects();
 
   console.log("=== All SettingsManager Tests Completed ===");
 }
@@ -589,6 +594,21 @@ async function testMigration() {
   // 元のメソッドを復元
   manager._migrateSettingsIfNeeded = originalMigrateMethod;
 
+  // 1.4.0 -> 1.5.0 の移行で保存済みのショートカットは入力される文字で割り当てる
+  const shortcutMigration = SETTINGS_VERSIONS.find(
+    (v) => v.version === "1.5.0"
+  );
+  const migrated = shortcutMigration.migrate({
+    shortcuts: { theaterMode: { key: "y", modifiers: { alt: true } } },
+    version: "1.4.0",
+  });
+  console.assert(
+    migrated.shortcuts.theaterMode.binding === "character" &&
+      migrated.shortcuts.theaterMode.code === "KeyY" &&
+      migrated.version === "1.5.0",
+    "Migration should keep stored shortcuts matching by character"
+  );
+
   console.log("✓ Migration tests passed");
 }
 
@@ -800,6 +820,285 @@ async function testResetSettings() {
   console.log("✓ resetSettings tests passed");
 }
 
+/**
+ * チャンネルプロファイルテスト
+ */
+async function testChannelProfiles() {
+  console.log("Testing channel profiles...");
+
+  // ストレージアダプターを作成
+  const storageAdapter = new StorageAdapter({
+    namespace: "test_channel_profiles",
+    preferredType: StorageType.MEMORY,
+    logger,
+    errorHandler,
+  });
+
+  // SettingsManagerを作成
+  const manager = new SettingsManager({
+    storageAdapter,
+    logger,
+    errorHandler,
+    storageKey: "testChannelProfiles",
+  });
+
+  // デフォルトは空のマップ
+  const defaultSettings = manager.getDefaultSettings();
+  console.assert(
+    JSON.stringify(defaultSettings.channelProfiles) === "{}",
+    "channelProfiles should default to an empty object"
+  );
+
+  // 未保存のプロファイル
+  const emptyResult = await manager.getChannelProfile("@coding");
+  console.assert(emptyResult.success, "getChannelProfile should succeed");
+  console.assert(emptyResult.data === null, "Unknown channel should be null");
+
+  // プロファイルを保存
+  const saveResult = await manager.saveChannelProfile("@coding", {
+    theaterModeEnabled: true,
+    opacity: 0.8,
+    name: "Coding Talks",
+  });
+  console.assert(saveResult.success, "saveChannelProfile should succeed");
+
+  await manager.saveChannelProfile("UCmusic", {
+    theaterModeEnabled: false,
+    opacity: 0.3,
+  });
+
+  const codingResult = await manager.getChannelProfile("@coding");
+  console.assert(
+    codingResult.data.theaterModeEnabled === true &&
+      codingResult.data.opacity === 0.8 &&
+      codingResult.data.name === "Coding Talks",
+    "Saved profile should be returned"
+  );
+
+  const musicResult = await manager.getChannelProfile("UCmusic");
+  console.assert(
+    musicResult.data.name === "UCmusic",
+    "Profile name should fall back to channel ID"
+  );
+
+  // 無効なプロファイル
+  const invalidOpacityResult = await manager.saveChannelProfile("@coding", {
+    theaterModeEnabled: true,
+    opacity: 1.5,
+  });
+  console.assert(
+    invalidOpacityResult.isFailure(),
+    "Profile with out-of-range opacity should fail"
+  );
+
+  const invalidIdResult = await manager.saveChannelProfile("", {
+    theaterModeEnabled: true,
+    opacity: 0.5,
+  });
+  console.assert(
+    invalidIdResult.isFailure(),
+    "Profile with empty channel ID should fail"
+  );
+
+  // プロファイルを削除
+  const removeResult = await manager.removeChannelProfile("@coding");
+  console.assert(
+    removeResult.success && removeResult.data === true,
+    "removeChannelProfile should report removal"
+  );
+
+  const removedResult = await manager.getChannelProfile("@coding");
+  console.assert(removedResult.data === null, "Removed profile should be null");
+
+  const remainingResult = await manager.getChannelProfile("UCmusic");
+  console.assert(
+    remainingResult.data !== null,
+    "Other profiles should be kept after removal"
+  );
+
+  const missingRemoveResult = await manager.removeChannelProfile("@unknown");
+  console.assert(
+    missingRemoveResult.success && missingRemoveResult.data === false,
+    "Removing an unknown channel should report no change"
+  );
+
+  // "@handle" 形式で保存したプロファイルは "UC..." 形式のIDの別名として扱う
+  await manager.saveChannelProfile("@gaming", {
+    theaterModeEnabled: true,
+    opacity: 0.5,
+  });
+  const aliasResult = await manager.getChannelProfile("UCgaming", ["@gaming"]);
+  console.assert(
+    aliasResult.data !== null && aliasResult.data.opacity === 0.5,
+    "A profile saved with a handle should be found by its alias"
+  );
+
+  await manager.saveChannelProfile(
+    "UCgaming",
+    { theaterModeEnabled: false, opacity: 0.3 },
+    ["@gaming"]
+  );
+  const profiles = (await manager.getSetting("channelProfiles")).data;
+  console.assert(
+    profiles.UCgaming.opacity === 0.3 && !("@gaming" in profiles),
+    "Saving with the channel ID should replace the profile saved by alias"
+  );
+
+  const removeAliasResult = await manager.removeChannelProfile("UCother", [
+    "UCgaming",
+  ]);
+  console.assert(
+    removeAliasResult.data === true &&
+      !("UCgaming" in (await manager.getSetting("channelProfiles")).data),
+    "Removing should also remove the profile saved by alias"
+  );
+
+  console.log("✓ Channel profile tests passed");
+}
+
+/**
+ * ページタイプ別の自動有効化テスト
+ */
+async function testAutoEnablePageTypes() {
+  console.log("Testing auto-enable page types...");
+
+  // 判定関数
+  console.assert(
+    !shouldAutoEnableForPageType({ autoEnable: false }, "video"),
+    "Auto-enable should be off when autoEnable is false"
+  );
+  console.assert(
+    shouldAutoEnableForPageType({ autoEnable: true }, "video"),
+    "Videos should be auto-enabled by default"
+  );
+  console.assert(
+    !shouldAutoEnableForPageType({ autoEnable: true }, "shorts"),
+    "Shorts should not be auto-enabled by default"
+  );
+  console.assert(
+    !shouldAutoEnableForPageType({ autoEnable: true }, "home"),
+    "Non-playback pages should never be auto-enabled"
+  );
+
+  // 1.2.0 -> 1.3.0 の移行でページタイプ別の設定が追加される
+  const migration = SETTINGS_VERSIONS.find((v) => v.version === "1.3.0");
+  const migrated = migration.migrate({ autoEnable: true, version: "1.2.0" });
+  console.assert(
+    migrated.autoEnable === true &&
+      migrated.autoEnablePageTypes.video === true &&
+      migrated.autoEnablePageTypes.shorts === false,
+    "Migration should keep autoEnable and add default page types"
+  );
+
+  // ストレージアダプターを作成
+  const storageAdapter = new StorageAdapter({
+    namespace: "test_auto_enable",
+    preferredType: StorageType.MEMORY,
+    logger,
+    errorHandler,
+  });
+
+  // SettingsManagerを作成
+  const manager = new SettingsManager({
+    storageAdapter,
+    logger,
+    errorHandler,
+    storageKey: "testAutoEnable",
+  });
+
+  await manager.updateSetting("autoEnable", true);
+
+  const setResult = await manager.setAutoEnableForPageType("shorts", true);
+  console.assert(setResult.success, "setAutoEnableForPageType should succeed");
+
+  const shortsResult = await manager.isAutoEnabledForPageType("shorts");
+  console.assert(
+    shortsResult.success && shortsResult.data === true,
+    "Shorts should be auto-enabled after setting it"
+  );
+
+  await manager.setAutoEnableForPageType("live", false);
+  const liveResult = await manager.isAutoEnabledForPageType("live");
+  console.assert(liveResult.data === false, "Live should be turned off");
+
+  const videoResult = await manager.isAutoEnabledForPageType("video");
+  console.assert(
+    videoResult.data === true,
+    "Other page types should keep their values"
+  );
+
+  const invalidResult = await manager.setAutoEnableForPageType("home", true);
+  console.assert(
+    invalidResult.isFailure(),
+    "Non-playback page types should be rejected"
+  );
+
+  console.log("✓ Auto-enable page type tests passed");
+}
+
+/**
+ * オーバーレイの効果テスト
+ */
+async function testOverlayEffects() {
+  console.log("Testing overlay effects...");
+
+  // 1.3.0 -> 1.4.0 の移行で保存済みの透明度が効果モデルに引き継がれる
+  const migration = SETTINGS_VERSIONS.find((v) => v.version === "1.4.0");
+  const migrated = migration.migrate({ opacity: 0.45, version: "1.3.0" });
+  console.assert(
+    migrated.overlayEffects.opacity === 0.45 &&
+      migrated.overlayEffects.blur === 0 &&
+      migrated.overlayEffects.brightness === 1,
+    "Migration should move opacity into the effect model"
+  );
+
+  // ストレージアダプターを作成
+  const storageAdapter = new StorageAdapter({
+    namespace: "test_overlay_effects",
+    preferredType: StorageType.MEMORY,
+    logger,
+    errorHandler,
+  });
+
+  // SettingsManagerを作成
+  const manager = new SettingsManager({
+    storageAdapter,
+    logger,
+    errorHandler,
+    storageKey: "testOverlayEffects",
+  });
+
+  const updateResult = await manager.updateOverlayEffects({
+    opacity: 0.5,
+    blur: 6,
+  });
+  console.assert(
+    updateResult.success &&
+      updateResult.data.blur === 6 &&
+      updateResult.data.grayscale === 0,
+    "updateOverlayEffects should merge with the current effects"
+  );
+
+  const opacityResult = await manager.getSetting("opacity");
+  console.assert(
+    opacityResult.data === 0.5,
+    "Opacity should follow the effect model"
+  );
+
+  const grayscaleResult = await manager.updateOverlayEffects({
+    grayscale: 0.8,
+  });
+  console.assert(
+    grayscaleResult.data.blur === 6 && grayscaleResult.data.grayscale === 0.8,
+    "Unspecified effects should keep their values"
+  );
+
+  const invalidResult = await manager.updateOverlayEffects(null);
+  console.assert(invalidResult.isFailure(), "Non-object effects should fail");
+
+  console.log("✓ Overlay effect tests passed");
+}
+
 // Node.js環境でテストを実行
 if (typeof require !== "undefined" && require.main === module) {
   runTests().catch(console.error);
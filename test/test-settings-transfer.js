@@ -0,0 +1,290 @@
+/**
+ * SettingsTransfer のテスト
+ */
+
+// 依存関係のインポート
+const {
+  SETTINGS_EXPORT_FORMAT,
+  SETTINGS_EXPORT_FORMAT_VERSION,
+  createSettingsExport,
+  parseSettingsExport,
+  migrateExportedSettings,
+  getSettingsChanges,
+} = require("../infrastructure/settings-transfer.js");
+const { DataValidator } = require("../infrastructure/data-validator.js");
+const {
+  CURRENT_VERSION,
+  MigrationScripts,
+} = require("../infrastructure/migration-scripts.js");
+const {
+  StorageAdapter,
+  StorageType,
+} = require("../infrastructure/storage-adapter.js");
+
+/**
+ * 1.2.0 の拡張機能でエクスポートした設定
+ */
+const OLD_SETTINGS = {
+  theaterModeEnabled: true,
+  opacity: 0.4,
+  keyboardShortcut: "k",
+  theme: "dark",
+  autoEnable: false,
+  channelProfiles: { UC123: { enabled: true, opacity: 0.5 } },
+  customSelectorRules: [{ selector: "#merch-shelf", action: "include" }],
+  version: "1.2.0",
+};
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== SettingsTransfer Tests ===");
+
+  // 各テストを実行
+  testCreateSettingsExport();
+  testParseSettingsExport();
+  await testMigrateExportedSettings();
+  testGetSettingsChanges();
+  await testBackupData();
+
+  console.log("=== All SettingsTransfer Tests Completed ===");
+}
+
+/**
+ * ドキュメントの作成のテスト
+ */
+function testCreateSettingsExport() {
+  console.log("Testing createSettingsExport...");
+
+  const exported = createSettingsExport(OLD_SETTINGS, "1.2.3");
+  console.assert(
+    exported.format === SETTINGS_EXPORT_FORMAT &&
+      exported.formatVersion === SETTINGS_EXPORT_FORMAT_VERSION &&
+      exported.extensionVersion === "1.2.3" &&
+      !isNaN(Date.parse(exported.exportedAt)),
+    "Export should record the format and versions"
+  );
+  console.assert(
+    exported.settings === OLD_SETTINGS,
+    "Export should contain the settings"
+  );
+
+  console.log("✓ createSettingsExport tests passed");
+}
+
+/**
+ * ドキュメントの読み込みのテスト
+ */
+function testParseSettingsExport() {
+  console.log("Testing parseSettingsExport...");
+
+  const validator = new DataValidator();
+  const json = JSON.stringify(createSettingsExport(OLD_SETTINGS, "1.2.3"));
+
+  const parsed = parseSettingsExport(json, validator);
+  console.assert(
+    parsed.isSuccess() && parsed.data.settings.keyboardShortcut === "k",
+    "Valid export should be parsed"
+  );
+
+  console.assert(
+    parseSettingsExport("{", validator).isFailure() &&
+      parseSettingsExport("null", validator).isFailure(),
+    "Broken JSON and null should be rejected"
+  );
+  console.assert(
+    parseSettingsExport(JSON.stringify(OLD_SETTINGS), validator).isFailure(),
+    "Bare settings without the document should be rejected"
+  );
+
+  const newer = parseSettingsExport(
+    JSON.stringify({
+      ...JSON.parse(json),
+      formatVersion: SETTINGS_EXPORT_FORMAT_VERSION + 1,
+    }),
+    validator
+  );
+  console.assert(
+    newer.isFailure() && newer.error.context.errors[0].code === "max",
+    "Newer document formats should be rejected"
+  );
+
+  const unknownVersion = parseSettingsExport(
+    JSON.stringify(
+      createSettingsExport({ ...OLD_SETTINGS, version: "9.0.0" }, "9.0.0")
+    ),
+    validator
+  );
+  console.assert(
+    unknownVersion.isFailure() &&
+      unknownVersion.error.context.errors[0].path === "settings.version",
+    "Settings versions that cannot be migrated should be rejected"
+  );
+
+  const firstVersion = parseSettingsExport(
+    JSON.stringify(
+      createSettingsExport({ ...OLD_SETTINGS, version: "1.0.0" }, "1.0.0")
+    ),
+    validator
+  );
+  console.assert(
+    firstVersion.isSuccess(),
+    "Settings exported as the first version should be accepted for migration"
+  );
+
+  console.log("✓ parseSettingsExport tests passed");
+}
+
+/**
+ * 設定の移行のテスト
+ */
+async function testMigrateExportedSettings() {
+  console.log("Testing migrateExportedSettings...");
+
+  const migrated = await migrateExportedSettings(OLD_SETTINGS);
+  console.assert(migrated.isSuccess(), "Old settings should be migrated");
+
+  const settings = migrated.data;
+  console.assert(
+    settings.version === CURRENT_VERSION &&
+      settings.overlayEffects.opacity === 0.4 &&
+      settings.autoEnablePageTypes.video === true,
+    "Migrations after the exported version should be applied"
+  );
+  console.assert(
+    settings.keyboardShortcut === "k" &&
+      settings.channelProfiles.UC123.opacity === 0.5 &&
+      settings.customSelectorRules.length === 1,
+    "Shortcuts, profiles and selector rules should be kept"
+  );
+  console.assert(
+    settings.shortcuts.theaterMode.key === "k" &&
+      settings.shortcuts.theaterMode.code === "KeyK" &&
+      settings.shortcuts.theaterMode.modifiers.ctrl &&
+      settings.shortcuts.theaterMode.binding === "character",
+    "A changed legacy shortcut key should become the theater mode shortcut"
+  );
+
+  const recorded = await migrateExportedSettings({
+    keyboardShortcut: "Ctrl+Shift+KeyJ",
+    shortcuts: {
+      increaseOpacity: { key: "=", modifiers: { alt: true } },
+    },
+    version: "1.4.0",
+  });
+  const shortcuts = recorded.data.shortcuts;
+  console.assert(
+    recorded.isSuccess() &&
+      shortcuts.increaseOpacity.binding === "character" &&
+      shortcuts.increaseOpacity.code === "Equal" &&
+      shortcuts.increaseOpacity.modifiers.alt === true &&
+      shortcuts.theaterMode.key === "j",
+    "Recorded shortcuts should keep matching by character"
+  );
+
+  const first = await migrateExportedSettings({
+    ...OLD_SETTINGS,
+    version: "1.0.0",
+  });
+  console.assert(
+    first.isSuccess() &&
+      first.data.version === CURRENT_VERSION &&
+      first.data.theaterModeEnabled === true &&
+      first.data.overlayEffects.opacity === 0.4 &&
+      first.data.channelProfiles.UC123.opacity === 0.5,
+    "Settings recorded as the first version should keep their values"
+  );
+
+  const current = await migrateExportedSettings(settings);
+  console.assert(
+    current.isSuccess() &&
+      JSON.stringify(current.data) === JSON.stringify(settings),
+    "Current settings should not change"
+  );
+
+  console.log("✓ migrateExportedSettings tests passed");
+}
+
+/**
+ * 変更の取得のテスト
+ */
+function testGetSettingsChanges() {
+  console.log("Testing getSettingsChanges...");
+
+  const changes = getSettingsChanges(
+    {
+      opacity: 0.7,
+      theme: "auto",
+      overlayEffects: { opacity: 0.7, blur: 0 },
+      channelProfiles: { UC1: { enabled: true } },
+      customSelectorRules: [],
+    },
+    {
+      opacity: 0.7,
+      overlayEffects: { opacity: 0.7, blur: 2 },
+      channelProfiles: { UC2: { enabled: false } },
+      customSelectorRules: [{ selector: "#a", action: "exclude" }],
+    }
+  );
+
+  console.assert(
+    JSON.stringify(changes.map(({ key }) => key)) ===
+      JSON.stringify([
+        "overlayEffects.blur",
+        "channelProfiles.UC1",
+        "channelProfiles.UC2",
+        "customSelectorRules",
+      ]),
+    "Only changed properties should be listed"
+  );
+  console.assert(
+    changes[1].before.enabled === true && changes[1].after === undefined,
+    "Removed properties should have no new value"
+  );
+
+  console.log("✓ getSettingsChanges tests passed");
+}
+
+/**
+ * インポート前のバックアップのテスト
+ */
+async function testBackupData() {
+  console.log("Testing MigrationScripts.backupData...");
+
+  const storageAdapter = new StorageAdapter({
+    namespace: "test",
+    preferredType: StorageType.MEMORY,
+  });
+  const migrationScripts = new MigrationScripts({ storageAdapter });
+
+  const backup = await migrationScripts.backupData({ settings: OLD_SETTINGS });
+  console.assert(backup.isSuccess(), "Backup should be created");
+
+  const stored = await storageAdapter.get(backup.data);
+  console.assert(
+    stored.data.version === "1.2.0" &&
+      stored.data.data.settings.keyboardShortcut === "k",
+    "Backup should keep the data and its version"
+  );
+
+  const backups = await migrationScripts.getAvailableBackups();
+  console.assert(
+    backups.isSuccess() && backups.data.length === 1,
+    "Backup should be listed"
+  );
+
+  console.log("✓ MigrationScripts.backupData tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runSettingsTransferTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runSettingsTransferTests = runTests;
+}
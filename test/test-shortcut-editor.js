@@ -0,0 +1,742 @@
+/**
+ * ShortcutEditor と KeyboardShortcutManager の競合検出のテスト
+ */
+
+// 依存関係のインポート
+const {
+  ShortcutConflictType,
+  ShortcutBinding,
+  SHORTCUT_SEQUENCE_TIMEOUT_RANGE,
+  DEFAULT_SHORTCUT_SEQUENCE_TIMEOUT,
+  getShortcutFromEvent,
+  getCodeFromKey,
+  getKeyFromCode,
+  migrateShortcutConfig,
+  normalizeSequenceTimeout,
+  formatShortcut,
+  loadBrowserCommands,
+  createKeyboardShortcutManager,
+} = require("../keyboard-shortcut-manager.js");
+const { ShortcutEditor } = require("../infrastructure/shortcut-editor.js");
+const {
+  ActionType,
+  StateStore,
+} = require("../infrastructure/state-store.js");
+const { Logger } = require("../infrastructure/logger.js");
+const { ErrorHandler } = require("../infrastructure/error-handler.js");
+
+// テスト用のロガーとエラーハンドラーを作成
+const logger = new Logger("ShortcutEditorTest", {
+  level: Logger.LogLevel.ERROR,
+});
+const errorHandler = new ErrorHandler(logger);
+
+/**
+ * 設定更新アクションを保存先に書き込む StateStore を作成
+ * @param {Array<Object>} saved - 保存した設定を追加する配列
+ * @param {boolean} [succeeds=true] - 保存が成功するかどうか
+ * @returns {StateStore} StateStore
+ */
+function createStateStore(saved, succeeds = true) {
+  const stateStore = new StateStore({ logger, errorHandler });
+  stateStore.addMiddleware(async (action) => {
+    if (action.type === ActionType.SETTINGS_UPDATE) {
+      if (!succeeds) {
+        throw new Error("Failed to save settings");
+      }
+      saved.push(action.payload.updates);
+    }
+    return action;
+  });
+  return stateStore;
+}
+
+/**
+ * テスト用の ShortcutEditor を作成
+ * @param {KeyboardShortcutManager} shortcutManager - ショートカットマネージャー
+ * @returns {ShortcutEditor} DOM に表示しない ShortcutEditor
+ */
+function createEditor(shortcutManager) {
+  const editor = new ShortcutEditor({
+    shortcutManager,
+    uiEventHandler: null,
+    i18n: {
+      getMessage: (key, substitutions = []) =>
+        [key, ...substitutions].join(":"),
+    },
+    logger,
+    errorHandler,
+  });
+  editor.elements = {
+    shortcutFeedback: { textContent: "", classList: { toggle() {} } },
+  };
+  return editor;
+}
+
+/**
+ * キーボードイベントを作成
+ * @param {string} key - キー
+ * @param {Object} [modifiers={}] - 修飾キー
+ * @param {string} [code] - キーの位置
+ * @returns {Object} preventDefault() されたかを defaultPrevented に記録するイベント
+ */
+function createKeyEvent(key, modifiers = {}, code = undefined) {
+  return {
+    key,
+    code,
+    ctrlKey: !!modifiers.ctrl,
+    shiftKey: !!modifiers.shift,
+    altKey: !!modifiers.alt,
+    metaKey: !!modifiers.meta,
+    defaultPrevented: false,
+    preventDefault() {
+      this.defaultPrevented = true;
+    },
+    stopPropagation() {},
+  };
+}
+
+/**
+ * 指定時間待つ
+ * @param {number} ms - 待つ時間（ミリ秒）
+ * @returns {Promise<void>}
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== ShortcutEditor Tests ===");
+
+  // 各テストを実行
+  testGetShortcutFromEvent();
+  testFormatShortcut();
+  testFindConflicts();
+  testExecuteCommand();
+  await testLoadBrowserCommands();
+  await testSaveShortcuts();
+  await testRecordShortcut();
+
+  const originalDocument = global.document;
+  global.document = {
+    activeElement: null,
+    addEventListener() {},
+    removeEventListener() {},
+  };
+  try {
+    await testSequenceShortcuts();
+    await testRecordSequence();
+    await testLayoutIndependentShortcuts();
+  } finally {
+    global.document = originalDocument;
+  }
+
+  console.log("=== All ShortcutEditor Tests Completed ===");
+}
+
+/**
+ * キーボードイベントからの取得のテスト
+ */
+function testGetShortcutFromEvent() {
+  console.log("Testing getShortcutFromEvent...");
+
+  const shortcut = getShortcutFromEvent({
+    key: "K",
+    ctrlKey: true,
+    shiftKey: true,
+    altKey: false,
+    metaKey: false,
+  });
+  console.assert(
+    shortcut.key === "k" &&
+      shortcut.modifiers.ctrl &&
+      shortcut.modifiers.shift &&
+      !shortcut.modifiers.alt &&
+      !shortcut.modifiers.meta,
+    "Letters should be lower-cased with their modifiers"
+  );
+  console.assert(
+    getShortcutFromEvent({ key: "ArrowUp", altKey: true }).key === "ArrowUp",
+    "Named keys should be kept"
+  );
+  console.assert(
+    getShortcutFromEvent({ key: "Shift", shiftKey: true }) === null,
+    "Modifier keys alone should not be a shortcut"
+  );
+
+  console.log("✓ getShortcutFromEvent tests passed");
+}
+
+/**
+ * 表示用の文字列のテスト
+ */
+function testFormatShortcut() {
+  console.log("Testing formatShortcut...");
+
+  console.assert(
+    formatShortcut({ key: "t", modifiers: { ctrl: true, shift: true } }) ===
+      "Ctrl+Shift+T",
+    "Modifiers should come before the upper-cased key"
+  );
+  console.assert(
+    formatShortcut({ key: " ", modifiers: { alt: true } }) === "Alt+Space",
+    "Space should be named"
+  );
+  console.assert(
+    formatShortcut({ key: "ArrowDown", modifiers: { meta: true } }) ===
+      "Meta+ArrowDown",
+    "Named keys should be kept"
+  );
+  console.assert(
+    formatShortcut({
+      key: "g",
+      modifiers: {},
+      sequence: [{ key: "t", modifiers: { shift: true } }],
+    }) === "G Shift+T",
+    "Sequence keys should be separated by spaces"
+  );
+
+  const azerty = new Map([["KeyQ", "a"]]);
+  console.assert(
+    formatShortcut(
+      {
+        key: "q",
+        code: "KeyQ",
+        modifiers: { ctrl: true },
+        binding: ShortcutBinding.CODE,
+      },
+      azerty
+    ) === "Ctrl+A" &&
+      formatShortcut(
+        {
+          key: "q",
+          code: "KeyQ",
+          modifiers: { ctrl: true },
+          binding: ShortcutBinding.CHARACTER,
+        },
+        azerty
+      ) === "Ctrl+Q",
+    "Key positions should be labelled with the keyboard layout"
+  );
+
+  console.log("✓ formatShortcut tests passed");
+}
+
+/**
+ * 競合の検出のテスト
+ */
+function testFindConflicts() {
+  console.log("Testing KeyboardShortcutManager.findConflicts...");
+
+  const manager = createKeyboardShortcutManager({ logger, errorHandler });
+  const ctrlShift = { ctrl: true, shift: true, alt: false, meta: false };
+
+  const own = manager.findConflicts("theaterMode", {
+    key: "T",
+    modifiers: ctrlShift,
+  });
+  console.assert(
+    own.isSuccess() && own.data.length === 0,
+    "A shortcut should not conflict with itself"
+  );
+
+  const other = manager.findConflicts("theaterMode", {
+    key: "ArrowUp",
+    modifiers: ctrlShift,
+  }).data;
+  console.assert(
+    other.length === 1 &&
+      other[0].type === ShortcutConflictType.SHORTCUT &&
+      other[0].id === "increaseOpacity",
+    "Shortcuts of other actions should conflict"
+  );
+
+  const native = manager.findConflicts("theaterMode", {
+    key: "f",
+    modifiers: { shift: true },
+  }).data;
+  console.assert(
+    native.length === 1 &&
+      native[0].type === ShortcutConflictType.YOUTUBE &&
+      native[0].action === "toggleFullscreen",
+    "YouTube keys should conflict with or without Shift"
+  );
+  console.assert(
+    manager.findConflicts("theaterMode", {
+      key: "ArrowLeft",
+      modifiers: {},
+    }).data[0].action === "seekBackward",
+    "Named YouTube keys should conflict"
+  );
+  console.assert(
+    manager.findConflicts("theaterMode", { key: "f", modifiers: ctrlShift })
+      .data.length === 0,
+    "YouTube keys with Ctrl should not conflict"
+  );
+
+  manager.registerShortcut("goTheater", {
+    key: "g",
+    sequence: [{ key: "t" }],
+    action: "toggleTheaterMode",
+  });
+  console.assert(
+    manager.findConflicts("theaterMode", { key: "g", modifiers: {} }).data[0]
+      .id === "goTheater",
+    "Keys starting a sequence should conflict with the sequence"
+  );
+  console.assert(
+    manager.findConflicts("theaterMode", {
+      key: "g",
+      modifiers: {},
+      sequence: [{ key: "t" }, { key: "x" }],
+    }).data[0].id === "goTheater",
+    "Sequences continuing another sequence should conflict"
+  );
+  console.assert(
+    manager.findConflicts("goTheater", {
+      key: "g",
+      modifiers: {},
+      sequence: [{ key: "f" }],
+    }).data.length === 0,
+    "YouTube keys ending a sequence should not conflict"
+  );
+  const nativePrefix = manager.findConflicts("goTheater", {
+    key: "k",
+    modifiers: {},
+    sequence: [{ key: "t" }],
+  }).data;
+  console.assert(
+    nativePrefix.length === 1 &&
+      nativePrefix[0].type === ShortcutConflictType.YOUTUBE &&
+      nativePrefix[0].action === "togglePlayPause",
+    "YouTube keys starting a sequence should conflict"
+  );
+
+  console.log("✓ KeyboardShortcutManager.findConflicts tests passed");
+}
+
+/**
+ * ブラウザのコマンドの実行のテスト
+ */
+function testExecuteCommand() {
+  console.log("Testing KeyboardShortcutManager.executeCommand...");
+
+  const manager = createKeyboardShortcutManager({ logger, errorHandler });
+  const executed = [];
+  manager.registerActionHandlers({
+    increaseOpacity: () => executed.push("increaseOpacity"),
+    cycleOpacityPreset: () => executed.push("cycleOpacityPreset"),
+  });
+
+  console.assert(
+    manager.executeCommand("increase-opacity").isSuccess() &&
+      manager.executeCommand("cycle-profile").isSuccess() &&
+      executed.join(",") === "increaseOpacity,cycleOpacityPreset",
+    "Commands should run the handlers of their actions"
+  );
+  console.assert(
+    manager.executeCommand("unknown-command").isFailure() &&
+      executed.length === 2,
+    "Unknown commands should fail"
+  );
+
+  console.log("✓ KeyboardShortcutManager.executeCommand tests passed");
+}
+
+/**
+ * ブラウザのコマンドの読み込みのテスト
+ */
+async function testLoadBrowserCommands() {
+  console.log("Testing loadBrowserCommands...");
+
+  console.assert(
+    (await loadBrowserCommands()).length === 0,
+    "Commands should be empty without chrome.commands"
+  );
+
+  global.chrome = {
+    commands: {
+      getAll: async () => [
+        { name: "_execute_action", description: "", shortcut: "" },
+        {
+          name: "toggle-theater-mode",
+          description: "Toggle theater mode",
+          shortcut: "Alt+Shift+T",
+        },
+        { name: "cycle-profile", description: "Cycle", shortcut: "" },
+      ],
+    },
+  };
+  try {
+    const commands = await loadBrowserCommands();
+    console.assert(
+      commands.map(({ name }) => name).join(",") ===
+        "toggle-theater-mode,cycle-profile",
+      "Only the extension's commands should be loaded"
+    );
+  } finally {
+    delete global.chrome;
+  }
+
+  console.log("✓ loadBrowserCommands tests passed");
+}
+
+/**
+ * StateStore を通した保存と読み込みのテスト
+ */
+async function testSaveShortcuts() {
+  console.log("Testing KeyboardShortcutManager.saveShortcuts...");
+
+  const saved = [];
+  const stateStore = createStateStore(saved);
+  const manager = createKeyboardShortcutManager({
+    logger,
+    errorHandler,
+    stateStore,
+  });
+
+  await manager.loadShortcuts({
+    theaterMode: { key: "y", modifiers: { alt: true } },
+  });
+  console.assert(
+    manager.getShortcuts("theaterMode").data.key === "y" &&
+      manager.getShortcuts("theaterMode").data.action === "toggleTheaterMode",
+    "Saved shortcuts should override the defaults"
+  );
+
+  const result = await manager.saveShortcuts();
+  console.assert(
+    result.isSuccess() &&
+      result.data === true &&
+      saved.length === 1 &&
+      saved[0].shortcuts.theaterMode.key === "y" &&
+      stateStore.getStateValue("settings.shortcuts.decreaseOpacity.key") ===
+        "ArrowDown",
+    "Shortcuts should be saved through the StateStore"
+  );
+
+  const failing = createKeyboardShortcutManager({
+    logger,
+    errorHandler,
+    stateStore: createStateStore([], false),
+  });
+  const failed = await failing.saveShortcuts();
+  console.assert(
+    failed.isSuccess() && failed.data === false,
+    "Failed saves should be reported"
+  );
+
+  console.log("✓ KeyboardShortcutManager.saveShortcuts tests passed");
+}
+
+/**
+ * ショートカットの記録のテスト
+ */
+async function testRecordShortcut() {
+  console.log("Testing ShortcutEditor.recordShortcut...");
+
+  const saved = [];
+  const manager = createKeyboardShortcutManager({
+    logger,
+    errorHandler,
+    stateStore: createStateStore(saved),
+  });
+  const editor = createEditor(manager);
+
+  const conflict = await editor.recordShortcut("theaterMode", {
+    key: "k",
+    modifiers: {},
+  });
+  console.assert(
+    conflict.isFailure() &&
+      conflict.error.context.conflicts[0].type ===
+        ShortcutConflictType.YOUTUBE &&
+      manager.getShortcuts("theaterMode").data.key === "t" &&
+      saved.length === 0,
+    "Conflicting shortcuts should not be recorded"
+  );
+
+  const recorded = await editor.recordShortcut("theaterMode", {
+    key: "d",
+    modifiers: { ctrl: false, shift: false, alt: true, meta: false },
+  });
+  console.assert(
+    recorded.isSuccess() &&
+      recorded.data.key === "d" &&
+      recorded.data.modifiers.alt &&
+      recorded.data.action === "toggleTheaterMode" &&
+      saved[0].shortcuts.theaterMode.key === "d",
+    "Recorded shortcuts should be saved"
+  );
+  console.assert(
+    editor.elements.shortcutFeedback.textContent ===
+      "shortcutSaved:shortcutTheaterMode:Alt+D",
+    "Saved shortcuts should be reported"
+  );
+
+  const failingManager = createKeyboardShortcutManager({
+    logger,
+    errorHandler,
+    stateStore: createStateStore([], false),
+  });
+  const failed = await createEditor(failingManager).recordShortcut(
+    "theaterMode",
+    { key: "d", modifiers: { alt: true } }
+  );
+  console.assert(
+    failed.isFailure() &&
+      failingManager.getShortcuts("theaterMode").data.key === "t",
+    "Shortcuts should be restored when saving fails"
+  );
+
+  console.log("✓ ShortcutEditor.recordShortcut tests passed");
+}
+
+/**
+ * キーシーケンスのショートカットのテスト
+ */
+async function testSequenceShortcuts() {
+  console.log("Testing KeyboardShortcutManager key sequences...");
+
+  console.assert(
+    normalizeSequenceTimeout(10) === SHORTCUT_SEQUENCE_TIMEOUT_RANGE.min &&
+      normalizeSequenceTimeout(60000) === SHORTCUT_SEQUENCE_TIMEOUT_RANGE.max &&
+      normalizeSequenceTimeout("fast") === DEFAULT_SHORTCUT_SEQUENCE_TIMEOUT,
+    "Sequence timeouts should be kept in range"
+  );
+
+  const manager = createKeyboardShortcutManager({
+    logger,
+    errorHandler,
+    sequenceTimeout: SHORTCUT_SEQUENCE_TIMEOUT_RANGE.min,
+  });
+  const executed = [];
+  manager.registerActionHandlers({
+    toggleTheaterMode: () => executed.push("toggleTheaterMode"),
+    cycleOverlayMode: () => executed.push("cycleOverlayMode"),
+  });
+  manager.registerShortcut("goTheater", {
+    key: "g",
+    sequence: [{ key: "t" }],
+    action: "toggleTheaterMode",
+  });
+  manager.registerShortcut("goMode", {
+    key: "g",
+    sequence: [{ key: "m" }],
+    action: "cycleOverlayMode",
+  });
+  console.assert(
+    manager.getShortcuts("goTheater").data.sequence[0].modifiers.ctrl ===
+      false,
+    "Sequence keys should be normalized"
+  );
+  console.assert(
+    manager
+      .registerShortcut("tooLong", {
+        key: "a",
+        sequence: [{ key: "b" }, { key: "c" }, { key: "d" }],
+        action: "toggleTheaterMode",
+      })
+      .isFailure(),
+    "Overlong sequences should be rejected"
+  );
+
+  const prefix = createKeyEvent("g");
+  manager._handleKeyDown(prefix);
+  console.assert(
+    !prefix.defaultPrevented && manager.pendingSequence !== null,
+    "Sequence prefixes should wait without being swallowed"
+  );
+
+  const completion = createKeyEvent("t");
+  manager._handleKeyDown(completion);
+  console.assert(
+    completion.defaultPrevented &&
+      executed.join(",") === "toggleTheaterMode" &&
+      manager.pendingSequence === null,
+    "Completed sequences should run their action"
+  );
+
+  const native = createKeyEvent("t");
+  manager._handleKeyDown(native);
+  console.assert(
+    !native.defaultPrevented && executed.length === 1,
+    "YouTube keys outside a sequence should pass through"
+  );
+
+  manager._handleKeyDown(createKeyEvent("g"));
+  const other = createKeyEvent("k");
+  manager._handleKeyDown(other);
+  console.assert(
+    !other.defaultPrevented &&
+      manager.pendingSequence === null &&
+      executed.length === 1,
+    "Keys not continuing a sequence should cancel it"
+  );
+
+  manager._handleKeyDown(createKeyEvent("g"));
+  manager._handleKeyDown(createKeyEvent("g"));
+  manager._handleKeyDown(createKeyEvent("m"));
+  console.assert(
+    executed.join(",") === "toggleTheaterMode,cycleOverlayMode",
+    "A repeated prefix should start the sequence again"
+  );
+
+  manager._handleKeyDown(createKeyEvent("g"));
+  await wait(SHORTCUT_SEQUENCE_TIMEOUT_RANGE.min + 50);
+  const late = createKeyEvent("t");
+  manager._handleKeyDown(late);
+  console.assert(
+    !late.defaultPrevented && executed.length === 2,
+    "Sequences should time out"
+  );
+
+  console.assert(
+    manager.setSequenceTimeout(1500).data === 1500 &&
+      manager.sequenceTimeout === 1500,
+    "Sequence timeouts should be configurable"
+  );
+
+  console.log("✓ KeyboardShortcutManager key sequence tests passed");
+}
+
+/**
+ * キーシーケンスの記録のテスト
+ */
+async function testRecordSequence() {
+  console.log("Testing ShortcutEditor sequence recording...");
+
+  const saved = [];
+  const manager = createKeyboardShortcutManager({
+    logger,
+    errorHandler,
+    stateStore: createStateStore(saved),
+    sequenceTimeout: SHORTCUT_SEQUENCE_TIMEOUT_RANGE.min,
+  });
+  const editor = createEditor(manager);
+
+  editor.startRecording("theaterMode");
+  editor._handleRecordKeyDown(createKeyEvent("g"));
+  editor._handleRecordKeyDown(createKeyEvent("t"));
+  console.assert(
+    editor.recordingId === "theaterMode" && saved.length === 0,
+    "Recording should wait for more sequence keys"
+  );
+
+  await wait(SHORTCUT_SEQUENCE_TIMEOUT_RANGE.min + 50);
+  const recorded = manager.getShortcuts("theaterMode").data;
+  console.assert(
+    editor.recordingId === null &&
+      recorded.key === "g" &&
+      recorded.sequence.length === 1 &&
+      recorded.sequence[0].key === "t" &&
+      saved[0].shortcuts.theaterMode.sequence[0].key === "t",
+    "Keys pressed in a row should be recorded as a sequence"
+  );
+
+  const single = await editor.recordShortcut("theaterMode", {
+    key: "d",
+    modifiers: { alt: true },
+  });
+  console.assert(
+    single.isSuccess() && single.data.sequence === undefined,
+    "Recording a single key should drop the previous sequence"
+  );
+
+  console.log("✓ ShortcutEditor sequence recording tests passed");
+}
+
+/**
+ * キーボード配列に依存しないショートカットのテスト
+ */
+async function testLayoutIndependentShortcuts() {
+  console.log("Testing layout-independent shortcuts...");
+
+  console.assert(
+    getCodeFromKey("t") === "KeyT" &&
+      getCodeFromKey("7") === "Digit7" &&
+      getCodeFromKey("/") === "Slash" &&
+      getCodeFromKey("ArrowUp") === "ArrowUp" &&
+      getKeyFromCode("KeyT") === "t" &&
+      getKeyFromCode("Slash") === "/",
+    "Keys and US layout positions should convert both ways"
+  );
+
+  const legacy = migrateShortcutConfig({
+    key: "y",
+    modifiers: { alt: true },
+    sequence: [{ key: "1" }],
+  });
+  console.assert(
+    legacy.binding === ShortcutBinding.CHARACTER &&
+      legacy.code === "KeyY" &&
+      legacy.sequence[0].code === "Digit1",
+    "Legacy shortcuts should keep matching by character"
+  );
+
+  const saved = [];
+  const manager = createKeyboardShortcutManager({
+    logger,
+    errorHandler,
+    stateStore: createStateStore(saved),
+  });
+  const executed = [];
+  manager.registerActionHandlers({
+    toggleTheaterMode: () => executed.push("toggleTheaterMode"),
+    increaseOpacity: () => executed.push("increaseOpacity"),
+  });
+  const ctrlShift = { ctrl: true, shift: true };
+
+  // Ctrl+Shift で KeyboardEvent.key が変わってもキーの位置で一致する
+  manager._handleKeyDown(createKeyEvent("\x14", ctrlShift, "KeyT"));
+  console.assert(
+    executed.join(",") === "toggleTheaterMode",
+    "Default shortcuts should match by key position"
+  );
+
+  // AZERTY の Q の位置（KeyA）で "q" を入力しても Ctrl+Shift+Q の位置ではない
+  await manager.loadShortcuts({
+    increaseOpacity: { key: "q", code: "KeyQ", modifiers: ctrlShift },
+  });
+  manager._handleKeyDown(createKeyEvent("q", ctrlShift, "KeyA"));
+  console.assert(
+    executed.length === 2 && executed[1] === "increaseOpacity",
+    "Stored shortcuts without a binding should match by character"
+  );
+
+  const editor = createEditor(manager);
+  const changed = await editor.setBinding(
+    "increaseOpacity",
+    ShortcutBinding.CODE
+  );
+  console.assert(
+    changed.isSuccess() &&
+      saved[0].shortcuts.increaseOpacity.binding === ShortcutBinding.CODE,
+    "Binding changes should be saved"
+  );
+  manager._handleKeyDown(createKeyEvent("q", ctrlShift, "KeyA"));
+  manager._handleKeyDown(createKeyEvent("a", ctrlShift, "KeyQ"));
+  console.assert(
+    executed.length === 3 && executed[2] === "increaseOpacity",
+    "Shortcuts bound by position should ignore the typed character"
+  );
+  console.assert(
+    (await editor.setBinding("increaseOpacity", "layout")).isFailure(),
+    "Unknown bindings should be rejected"
+  );
+
+  console.log("✓ Layout-independent shortcut tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runShortcutEditorTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runShortcutEditorTests = runTests;
+}
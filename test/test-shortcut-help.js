@@ -0,0 +1,363 @@
+/**
+ * ShortcutHelpOverlay のテスト
+ */
+
+// 依存関係のインポート
+const {
+  SHORTCUT_MESSAGE_KEYS,
+  createKeyboardShortcutManager,
+} = require("../keyboard-shortcut-manager.js");
+const {
+  ShortcutHelpOverlay,
+} = require("../infrastructure/shortcut-help.js");
+const { Logger } = require("../infrastructure/logger.js");
+const { ErrorHandler } = require("../infrastructure/error-handler.js");
+
+// テスト用のロガーとエラーハンドラーを作成
+const logger = new Logger("ShortcutHelpTest", {
+  level: Logger.LogLevel.ERROR,
+});
+const errorHandler = new ErrorHandler(logger);
+
+// メッセージキーをそのまま返す I18nManager
+const i18n = { getMessage: (key) => key };
+
+/**
+ * テスト用の要素を作成
+ * @param {string} tagName - タグ名
+ * @returns {EventTarget} 子要素・属性・フォーカスを扱える疑似要素
+ */
+function createFakeElement(tagName) {
+  const element = new EventTarget();
+  const classes = new Set();
+  Object.assign(element, {
+    tagName: tagName.toUpperCase(),
+    children: [],
+    parentNode: null,
+    attributes: {},
+    dataset: {},
+    textContent: "",
+    classList: {
+      add: (name) => classes.add(name),
+      contains: (name) => classes.has(name),
+    },
+    appendChild(child) {
+      child.parentNode = element;
+      element.children.push(child);
+      return child;
+    },
+    remove() {
+      if (element.parentNode) {
+        const siblings = element.parentNode.children;
+        siblings.splice(siblings.indexOf(element), 1);
+        element.parentNode = null;
+      }
+    },
+    setAttribute(name, value) {
+      element.attributes[name] = String(value);
+    },
+    getAttribute(name) {
+      return element.attributes[name] ?? null;
+    },
+    focus() {
+      document.activeElement = element;
+    },
+  });
+  Object.defineProperty(element, "className", {
+    get: () => [...classes].join(" "),
+    set: (value) => {
+      classes.clear();
+      value.split(" ").forEach((name) => classes.add(name));
+    },
+  });
+  return element;
+}
+
+/**
+ * テスト用の document を作成
+ * @returns {EventTarget} 要素を作成できる疑似 document
+ */
+function createFakeDocument() {
+  const fakeDocument = new EventTarget();
+  fakeDocument.createElement = createFakeElement;
+  fakeDocument.body = createFakeElement("body");
+  fakeDocument.activeElement = fakeDocument.body;
+  fakeDocument.fullscreenElement = null;
+
+  // Node.js の EventTarget は removeEventListener() の第3引数の true を
+  // capture として扱わないため、オプションに変換する
+  const removeEventListener =
+    fakeDocument.removeEventListener.bind(fakeDocument);
+  fakeDocument.removeEventListener = (type, listener, options) =>
+    removeEventListener(
+      type,
+      listener,
+      typeof options === "boolean" ? { capture: options } : options
+    );
+  return fakeDocument;
+}
+
+/**
+ * 条件に一致する子孫要素を探す
+ * @param {Object} root - 探索を始める要素
+ * @param {Function} predicate - 条件
+ * @returns {Array<Object>} 一致した要素
+ */
+function findAll(root, predicate) {
+  return root.children.flatMap((child) => [
+    ...(predicate(child) ? [child] : []),
+    ...findAll(child, predicate),
+  ]);
+}
+
+/**
+ * キーボードイベントを document に発火
+ * @param {string} key - キー
+ * @returns {Event} 発火したイベント
+ */
+function pressKey(key) {
+  const event = new Event("keydown", { cancelable: true });
+  event.key = key;
+  document.dispatchEvent(event);
+  return event;
+}
+
+/**
+ * テスト用の ShortcutHelpOverlay を作成
+ * @returns {{help: ShortcutHelpOverlay, manager: KeyboardShortcutManager, announced: Array<string>}}
+ */
+function createHelp() {
+  const manager = createKeyboardShortcutManager({
+    logger,
+    errorHandler,
+    i18n,
+  });
+  const announced = [];
+  const help = new ShortcutHelpOverlay({
+    shortcutManager: manager,
+    i18n,
+    announce: (message) => announced.push(message),
+  });
+  return { help, manager, announced };
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== ShortcutHelpOverlay Tests ===");
+
+  const originalDocument = global.document;
+  global.document = createFakeDocument();
+  try {
+    testGetEntries();
+    testOpenAndClose();
+    testKeyboardDismiss();
+    testToggleShortcut();
+  } finally {
+    global.document = originalDocument;
+  }
+
+  console.log("=== All ShortcutHelpOverlay tests passed ===");
+}
+
+/**
+ * 一覧に表示するショートカットのテスト
+ */
+function testGetEntries() {
+  const { help, manager } = createHelp();
+
+  const entries = help.getEntries();
+  console.assert(
+    entries.length === 4 &&
+      entries.some((entry) => entry.id === "showShortcutHelp"),
+    "Every registered shortcut should be listed"
+  );
+
+  const theaterMode = entries.find((entry) => entry.id === "theaterMode");
+  console.assert(
+    theaterMode.keys === "Ctrl+Shift+T" &&
+      theaterMode.label === SHORTCUT_MESSAGE_KEYS.theaterMode &&
+      theaterMode.description === "Ctrl+Shift+T: shortcutTheaterMode",
+    "Labels should be localized through I18nManager"
+  );
+  console.assert(
+    entries.every((entry) => !entry.conflictsWithYouTube && entry.enabled),
+    "Default shortcuts should not conflict with YouTube"
+  );
+
+  // YouTube の標準ショートカットキーと競合するショートカットと無効なショートカット
+  manager.registerShortcut("togglePlayback", {
+    key: "k",
+    modifiers: { ctrl: false, shift: false, alt: false, meta: false },
+    description: "再生の切り替え",
+    action: "togglePlayback",
+  });
+  manager.setShortcutEnabled("decreaseOpacity", false);
+
+  const updated = help.getEntries();
+  const playback = updated.find((entry) => entry.id === "togglePlayback");
+  console.assert(
+    playback.conflictsWithYouTube && playback.label === "再生の切り替え",
+    "Shortcuts that are YouTube's own keys should be marked"
+  );
+  console.assert(
+    !updated.find((entry) => entry.id === "decreaseOpacity").enabled,
+    "Disabled shortcuts should be marked"
+  );
+
+  help.open();
+  const marked = findAll(document.body, (element) =>
+    element.classList.contains("is-conflict")
+  );
+  console.assert(
+    marked.length === 2 &&
+      marked[1].textContent === "shortcutHelpConflict" &&
+      marked[0].dataset.shortcutId === "togglePlayback",
+    "Conflicting entries should show a mark"
+  );
+  help.close();
+
+  console.log("✓ Entry tests passed");
+}
+
+/**
+ * 表示と非表示のテスト
+ */
+function testOpenAndClose() {
+  const { help, announced } = createHelp();
+  const previous = createFakeElement("video");
+  previous.focus();
+
+  help.open();
+  const dialog = findAll(
+    document.body,
+    (element) => element.getAttribute("role") === "dialog"
+  )[0];
+  console.assert(
+    help.isOpen() &&
+      dialog &&
+      dialog.getAttribute("aria-modal") === "true" &&
+      findAll(dialog, (element) => element.tagName === "LI").length === 4,
+    "Opening should show a dialog listing every shortcut"
+  );
+  console.assert(
+    document.activeElement === help.closeButton,
+    "Opening should move focus into the dialog"
+  );
+  console.assert(
+    announced.join(",") === "shortcutHelpOpened",
+    "Opening should be announced"
+  );
+
+  help.open();
+  console.assert(
+    document.body.children.length === 1,
+    "Opening twice should not add another dialog"
+  );
+
+  help.close();
+  console.assert(
+    !help.isOpen() && document.body.children.length === 0,
+    "Closing should remove the dialog"
+  );
+  console.assert(
+    document.activeElement === previous,
+    "Closing should restore the previous focus"
+  );
+  console.assert(
+    announced.join(",") === "shortcutHelpOpened,shortcutHelpClosed",
+    "Closing should be announced"
+  );
+
+  // 全画面表示中は全画面の要素に表示する
+  const fullscreen = createFakeElement("div");
+  document.fullscreenElement = fullscreen;
+  help.open();
+  console.assert(
+    fullscreen.children.length === 1,
+    "The dialog should be shown inside the fullscreen element"
+  );
+  help.close();
+  document.fullscreenElement = null;
+
+  console.log("✓ Open and close tests passed");
+}
+
+/**
+ * キーボード操作のテスト
+ */
+function testKeyboardDismiss() {
+  const { help } = createHelp();
+  help.open();
+
+  const tab = pressKey("Tab");
+  console.assert(
+    tab.defaultPrevented && document.activeElement === help.closeButton,
+    "Tab should keep focus inside the dialog"
+  );
+
+  const other = pressKey("k");
+  console.assert(
+    !other.defaultPrevented && help.isOpen(),
+    "Other keys should be passed through"
+  );
+
+  const escape = pressKey("Escape");
+  console.assert(
+    escape.defaultPrevented && !help.isOpen(),
+    "Escape should close the dialog"
+  );
+
+  const afterClose = pressKey("Escape");
+  console.assert(
+    !afterClose.defaultPrevented,
+    "Escape should not be handled after closing"
+  );
+
+  help.open();
+  help.closeButton.dispatchEvent(new Event("click"));
+  console.assert(!help.isOpen(), "The close button should close the dialog");
+
+  console.log("✓ Keyboard dismiss tests passed");
+}
+
+/**
+ * 一覧のショートカットのテスト
+ */
+function testToggleShortcut() {
+  const { help, manager } = createHelp();
+  manager.registerActionHandlers({
+    toggleShortcutHelp: () => help.toggle(),
+  });
+
+  const event = {
+    key: "?",
+    code: "Slash",
+    ctrlKey: true,
+    shiftKey: true,
+    altKey: false,
+    metaKey: false,
+    preventDefault() {},
+    stopPropagation() {},
+  };
+  manager._handleKeyDown(event);
+  console.assert(help.isOpen(), "The help shortcut should open the dialog");
+
+  manager._handleKeyDown(event);
+  console.assert(!help.isOpen(), "The help shortcut should close the dialog");
+
+  console.log("✓ Toggle shortcut tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runShortcutHelpTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runShortcutHelpTests = runTests;
+}
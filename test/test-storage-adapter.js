@@ -667,6 +667,20 @@ async function runStorageAdapterTests() {
       );
     });
 
+    // キー一覧のテスト
+    framework.test("Get all keys", async () => {
+      const adapter = new StorageAdapter({
+        namespace: "test",
+        preferredType: StorageType.MEMORY,
+        logger: mockLogger,
+      });
+      await adapter.setMultiple({ keys1: "value1", keys2: "value2" });
+
+      const keysResult = await adapter.getAllKeys();
+      framework.assert(keysResult.success, "getAllKeys should succeed");
+      framework.assertEqual(keysResult.data, ["keys1", "keys2"]);
+    });
+
     await framework.run();
     return framework.failed === 0;
   } catch (error) {
@@ -0,0 +1,140 @@
+/**
+ * SyncSettingsStorage のテスト
+ */
+
+// 依存関係のインポート
+const {
+  SyncSettingsStorage,
+} = require("../infrastructure/sync-settings-storage.js");
+const { ErrorType } = require("../infrastructure/error-handler.js");
+
+/**
+ * chrome.storage.sync の代わりのストレージを作成
+ * 書き込んだ値は writes に記録する
+ * @param {Object} [items={}] - 保存済みの値
+ * @returns {Object} get・set と保存した値（items）、書き込み（writes）
+ */
+function createSyncArea(items = {}) {
+  return {
+    items,
+    writes: [],
+    async get() {
+      return JSON.parse(JSON.stringify(this.items));
+    },
+    async set(values) {
+      this.writes.push(values);
+      Object.assign(this.items, values);
+    },
+  };
+}
+
+/**
+ * テスト実行関数
+ */
+async function runTests() {
+  console.log("=== SyncSettingsStorage Tests ===");
+
+  await testGet();
+  await testSet();
+  await testQuotaExceeded();
+
+  console.log("=== All SyncSettingsStorage tests passed ===");
+}
+
+/**
+ * 設定の取得のテスト
+ */
+async function testGet() {
+  const storage = new SyncSettingsStorage({
+    storage: createSyncArea({ opacity: 0.4 }),
+  });
+
+  const result = await storage.get("settings", {
+    defaultValue: { opacity: 0.7, theme: "auto" },
+  });
+  console.assert(
+    result.isSuccess() &&
+      result.data.opacity === 0.4 &&
+      result.data.theme === "auto",
+    "Stored items should be merged over the default settings"
+  );
+
+  const failing = new SyncSettingsStorage({
+    storage: {
+      get: async () => {
+        throw new Error("Storage unavailable");
+      },
+    },
+  });
+  const failure = await failing.get("settings");
+  console.assert(
+    failure.isFailure() && failure.error.type === ErrorType.STORAGE_ERROR,
+    "A failed read should be returned as a storage error"
+  );
+
+  console.log("✓ Get tests passed");
+}
+
+/**
+ * 設定の保存のテスト
+ */
+async function testSet() {
+  const area = createSyncArea({ opacity: 0.4, shortcuts: { a: 1 } });
+  const storage = new SyncSettingsStorage({ storage: area });
+
+  const result = await storage.set("settings", {
+    opacity: 0.4,
+    shortcuts: { a: 1 },
+    channelProfiles: { UC123: { opacity: 0.5 } },
+  });
+  console.assert(
+    result.isSuccess() &&
+      area.writes.length === 1 &&
+      JSON.stringify(Object.keys(area.writes[0])) ===
+        JSON.stringify(["channelProfiles"]),
+    "Only changed items should be written"
+  );
+
+  await storage.set("settings", { opacity: 0.4 });
+  console.assert(
+    area.writes.length === 1,
+    "Nothing should be written when no item changed"
+  );
+
+  console.log("✓ Set tests passed");
+}
+
+/**
+ * 容量を超えた場合のテスト
+ */
+async function testQuotaExceeded() {
+  const storage = new SyncSettingsStorage({
+    storage: {
+      get: async () => ({}),
+      set: async () => {
+        throw new Error("QUOTA_BYTES_PER_ITEM quota exceeded");
+      },
+    },
+  });
+
+  const result = await storage.set("settings", { channelProfiles: {} });
+  console.assert(
+    result.isFailure() &&
+      result.error.type === ErrorType.QUOTA_EXCEEDED_ERROR,
+    "A quota error should be returned as QUOTA_EXCEEDED_ERROR"
+  );
+
+  console.log("✓ Quota exceeded tests passed");
+}
+
+// Node.js環境でテストを実行
+if (typeof require !== "undefined" && require.main === module) {
+  runTests().catch(console.error);
+}
+
+// エクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = { runSyncSettingsStorageTests: runTests };
+} else if (typeof window !== "undefined") {
+  window.runSyncSettingsStorageTests = runTests;
+}
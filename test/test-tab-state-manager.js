@@ -64,6 +64,7 @@ async function runTests() {
     await testTabUpdate();
     await testTabNotification();
     await testPeriodicSync();
+    await testWithoutTabSync();
     await testLockMechanism();
 
     console.log("=== All TabStateManager Tests Completed ===");
@@ -530,6 +531,59 @@ async function testPeriodicSync() {
   console.log("✓ Periodic sync tests passed");
 }
 
+/**
+ * タブに状態を送信しない場合のテスト
+ */
+async function testWithoutTabSync() {
+  console.log("Testing without tab sync...");
+
+  // StateStore を作成
+  const stateStore = new StateStore({
+    logger,
+    errorHandler,
+  });
+
+  // TabStateManager を作成（アクティブなタブの追跡のみ）
+  const tabStateManager = new TabStateManager({
+    stateStore,
+    logger,
+    errorHandler,
+    syncIntervalTime: 100, // 100ms
+    syncTabs: false,
+  });
+
+  // Chrome API のモックをリセット
+  chrome.tabs.sendMessage.mockReset();
+
+  // タブを登録してアクティブにする
+  await tabStateManager.registerTab(1, {
+    url: "https://youtube.com/watch?v=123",
+    title: "Test Video",
+  });
+  await tabStateManager.activateTab(1);
+
+  // 少し待機しても同期が実行されないことを確認
+  await new Promise((resolve) => setTimeout(resolve, 150));
+
+  console.assert(
+    stateStore.getState().tabs.activeTabId === 1,
+    "Active tab should still be tracked"
+  );
+  console.assert(
+    tabStateManager.syncInterval === null,
+    "Periodic sync should not be started"
+  );
+  console.assert(
+    chrome.tabs.sendMessage.mock.calls.length === 0,
+    "tabs.sendMessage should not be called without tab sync"
+  );
+
+  // クリーンアップ
+  tabStateManager.dispose();
+
+  console.log("✓ Without tab sync tests passed");
+}
+
 /**
  * ロック機構テスト
  */
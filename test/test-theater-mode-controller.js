@@ -107,6 +107,20 @@ class MockElementManager {
     return { isSuccess: () => true, isFailure: () => false, data: mockPlayer };
   }
 
+  async locateVideoPlayer() {
+    const playerResult = await this.detectVideoPlayer();
+    return {
+      isSuccess: () => true,
+      isFailure: () => false,
+      data: {
+        player: playerResult.data,
+        candidates: [],
+        confidence: DetectionConfidence.HIGH,
+        heuristic: false,
+      },
+    };
+  }
+
   findOverlayTargets() {
     const targets = [
       document.createElement("div"),
@@ -173,14 +187,23 @@ const ActionCreator = {
   }),
 };
 
+// DetectionConfidence モック（theater-mode-controller.js の宣言に代入する）
+var DetectionConfidence = {
+  HIGH: 3,
+  MEDIUM: 2,
+  LOW: 1,
+  NONE: 0,
+};
+
 // テスト関数
 function runTheaterModeControllerTests() {
   console.log("Running TheaterModeController tests...");
 
   // テスト環境のセットアップ
   const setupTestEnvironment = () => {
-    // グローバルに ActionCreator を設定
+    // グローバルに ActionCreator と DetectionConfidence を設定
     window.ActionCreator = ActionCreator;
+    window.DetectionConfidence = DetectionConfidence;
 
     // 依存オブジェクトを作成
     const dependencies = {
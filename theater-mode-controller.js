@@ -3,6 +3,17 @@
  * シアターモード制御の中核機能を提供
  * 単一責任の原則に基づく設計と依存性注入による疎結合設計
  */
+
+// 依存関係のインポート
+var DetectionConfidence;
+
+// Node.js環境での依存関係の解決
+if (typeof require !== "undefined") {
+  ({
+    DetectionConfidence,
+  } = require("./infrastructure/youtube-page-detector.js"));
+}
+
 class TheaterModeController {
   /**
    * TheaterModeControllerインスタンスを作成
@@ -12,6 +23,7 @@ class TheaterModeController {
    * @param {StateStore} dependencies.stateStore - 状態管理クラス
    * @param {Object} dependencies.logger - ロガーインスタンス
    * @param {Object} dependencies.errorHandler - エラーハンドラーインスタンス
+   * @param {Function} [dependencies.confirmDetection] - 推定したプレーヤーを適用するかユーザーに確認する関数
    */
   constructor(dependencies) {
     // 依存性の注入
@@ -20,11 +32,15 @@ class TheaterModeController {
     this.stateStore = dependencies.stateStore;
     this.logger = dependencies.logger;
     this.errorHandler = dependencies.errorHandler;
+    this.confirmDetection = dependencies.confirmDetection || null;
 
     // 状態の初期化
     this.initialized = false;
     this.unsubscribeStateStore = null;
 
+    /** @type {Object|null} 構造から推定したプレーヤーとオーバーレイ候補 */
+    this.heuristicDetection = null;
+
     this.logger.debug("TheaterModeController created");
   }
 
@@ -47,13 +63,26 @@ class TheaterModeController {
       const isEnabled = state.theaterMode.isEnabled;
       const opacity = state.theaterMode.opacity;
 
-      // YouTube動画プレーヤーを検出
-      const playerResult = await this.elementManager.detectVideoPlayer();
-      if (playerResult.isFailure() || !playerResult.data) {
+      // YouTube動画プレーヤーを検出（セレクターがすべて一致しない場合は構造から推定）
+      const playerResult = await this.elementManager.locateVideoPlayer();
+      if (playerResult.isFailure() || !playerResult.data.player) {
         this.logger.warn("Video player detection failed");
         return false;
       }
 
+      if (playerResult.data.heuristic) {
+        const accepted = await this._acceptHeuristicDetection(
+          playerResult.data
+        );
+        if (!accepted) {
+          this.logger.warn("Heuristic detection was not accepted", {
+            confidence: playerResult.data.confidence,
+          });
+          return false;
+        }
+        this.heuristicDetection = playerResult.data;
+      }
+
       // 初期状態に応じてシアターモードを適用
       if (isEnabled) {
         await this._applyTheaterMode();
@@ -72,6 +101,32 @@ class TheaterModeController {
     });
   }
 
+  /**
+   * 構造から推定したプレーヤーを適用するかどうかを判断
+   * 信頼度が高い場合は自動で適用し、それ以外はユーザーに確認する
+   * @param {Object} detection - ElementManager#locateVideoPlayer の検出結果
+   * @returns {Promise<boolean>} 適用する場合true
+   * @private
+   */
+  async _acceptHeuristicDetection(detection) {
+    if (detection.confidence >= DetectionConfidence.HIGH) {
+      this.logger.info("Heuristic detection applied automatically", {
+        confidence: detection.confidence,
+      });
+      return true;
+    }
+
+    if (detection.confidence === DetectionConfidence.NONE) {
+      return false;
+    }
+
+    if (!this.confirmDetection) {
+      return false;
+    }
+
+    return (await this.confirmDetection(detection)) === true;
+  }
+
   /**
    * 状態変更を処理
    * @param {Object} theaterModeState - シアターモード状態
@@ -221,15 +276,30 @@ class TheaterModeController {
         return false;
       }
 
-      const targets = targetsResult.data;
+      const targets = [...targetsResult.data];
+
+      // 構造から推定した場合は、プレーヤーの周囲の列も対象にする
+      if (this.heuristicDetection) {
+        this.heuristicDetection.candidates.forEach(({ element }) => {
+          if (!targets.includes(element)) {
+            targets.push(element);
+          }
+        });
+      }
       this.logger.debug(`Found ${targets.length} overlay targets`);
 
-      // 保護対象要素を検出
-      const playerResult = await this.elementManager.detectVideoPlayer();
+      // 保護対象要素を検出（推定したプレーヤーはセレクターで再検出しない）
+      let player = null;
+      if (this.heuristicDetection) {
+        player = this.heuristicDetection.player;
+      } else {
+        const playerResult = await this.elementManager.detectVideoPlayer();
+        player = playerResult.isSuccess() ? playerResult.data : null;
+      }
       const protectedElements = [];
 
-      if (playerResult.isSuccess() && playerResult.data) {
-        protectedElements.push(playerResult.data);
+      if (player) {
+        protectedElements.push(player);
 
         // コントロール要素も保護
         const controlsResult = this.elementManager.findElementsWithFallback(
@@ -348,6 +418,7 @@ class TheaterModeController {
     }
 
     this._removeTheaterMode();
+    this.heuristicDetection = null;
     this.initialized = false;
 
     this.logger.debug("TheaterModeController cleaned up");
@@ -3,34 +3,42 @@
  * シアターモード有効時に YouTube の標準ショートカットキーが正常に動作するようにする
  */
 
+/**
+ * YouTube の標準ショートカットキーのマッピング
+ * 修飾キー（Ctrl・Alt・Meta）なしで押されたキーを YouTube が処理する
+ * @readonly
+ * @type {Object<string, string>}
+ */
+var YOUTUBE_NATIVE_SHORTCUTS = Object.freeze({
+  " ": "togglePlayPause", // スペースキー: 再生/一時停止
+  k: "togglePlayPause", // k: 再生/一時停止
+  ArrowLeft: "seekBackward", // 左矢印: 5秒巻き戻し
+  j: "seekBackward", // j: 10秒巻き戻し
+  ArrowRight: "seekForward", // 右矢印: 5秒早送り
+  l: "seekForward", // l: 10秒早送り
+  ArrowUp: "volumeUp", // 上矢印: 音量アップ
+  ArrowDown: "volumeDown", // 下矢印: 音量ダウン
+  m: "toggleMute", // m: ミュート切り替え
+  f: "toggleFullscreen", // f: フルスクリーン切り替え
+  0: "seekToStart", // 0: 動画の先頭へ
+  1: "seekToPosition10", // 1: 動画の10%の位置へ
+  2: "seekToPosition20", // 2: 動画の20%の位置へ
+  3: "seekToPosition30", // 3: 動画の30%の位置へ
+  4: "seekToPosition40", // 4: 動画の40%の位置へ
+  5: "seekToPosition50", // 5: 動画の50%の位置へ
+  6: "seekToPosition60", // 6: 動画の60%の位置へ
+  7: "seekToPosition70", // 7: 動画の70%の位置へ
+  8: "seekToPosition80", // 8: 動画の80%の位置へ
+  9: "seekToPosition90", // 9: 動画の90%の位置へ
+  c: "toggleCaptions", // c: 字幕の表示/非表示
+  i: "toggleMiniPlayer", // i: ミニプレーヤーモード
+  t: "toggleTheater", // t: YouTubeのシアターモード
+});
+
 class YouTubeShortcutProtection {
   constructor() {
     // YouTube の標準ショートカットキーのマッピング
-    this.youtubeShortcuts = {
-      " ": "togglePlayPause", // スペースキー: 再生/一時停止
-      k: "togglePlayPause", // k: 再生/一時停止
-      ArrowLeft: "seekBackward", // 左矢印: 5秒巻き戻し
-      j: "seekBackward", // j: 10秒巻き戻し
-      ArrowRight: "seekForward", // 右矢印: 5秒早送り
-      l: "seekForward", // l: 10秒早送り
-      ArrowUp: "volumeUp", // 上矢印: 音量アップ
-      ArrowDown: "volumeDown", // 下矢印: 音量ダウン
-      m: "toggleMute", // m: ミュート切り替え
-      f: "toggleFullscreen", // f: フルスクリーン切り替え
-      0: "seekToStart", // 0: 動画の先頭へ
-      1: "seekToPosition10", // 1: 動画の10%の位置へ
-      2: "seekToPosition20", // 2: 動画の20%の位置へ
-      3: "seekToPosition30", // 3: 動画の30%の位置へ
-      4: "seekToPosition40", // 4: 動画の40%の位置へ
-      5: "seekToPosition50", // 5: 動画の50%の位置へ
-      6: "seekToPosition60", // 6: 動画の60%の位置へ
-      7: "seekToPosition70", // 7: 動画の70%の位置へ
-      8: "seekToPosition80", // 8: 動画の80%の位置へ
-      9: "seekToPosition90", // 9: 動画の90%の位置へ
-      c: "toggleCaptions", // c: 字幕の表示/非表示
-      i: "toggleMiniPlayer", // i: ミニプレーヤーモード
-      t: "toggleTheater", // t: YouTubeのシアターモード
-    };
+    this.youtubeShortcuts = YOUTUBE_NATIVE_SHORTCUTS;
 
     // シアターモード拡張機能のショートカットキー
     this.theaterModeShortcut = "Ctrl+Shift+T";
@@ -337,5 +345,8 @@ class YouTubeShortcutProtection {
 
 // エクスポート
 if (typeof module !== "undefined") {
-  module.exports = { YouTubeShortcutProtection };
+  module.exports = { YouTubeShortcutProtection, YOUTUBE_NATIVE_SHORTCUTS };
+} else if (typeof window !== "undefined") {
+  window.YouTubeShortcutProtection = YouTubeShortcutProtection;
+  window.YOUTUBE_NATIVE_SHORTCUTS = YOUTUBE_NATIVE_SHORTCUTS;
 }